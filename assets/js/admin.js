@@ -46,6 +46,13 @@
       this.setupMailTagInsertion();
       this.validateApiUrl();
       this.setupCustomHeaders();
+      this.setupAuthTypeToggle();
+      this.setupRequestPreview();
+      this.setupTemplateLinter();
+      this.setupConditionBuilder();
+      this.setupEndpointMethods();
+      this.setupFieldMapping();
+      this.setupAlertRules();
     }
 
     /**
@@ -97,6 +104,71 @@
         this.addPresetHeader($(e.currentTarget));
       });
 
+      // Authentication type selector
+      $(document).on("change", "#cf7-api-auth-type", (e) => {
+        this.handleAuthTypeChange($(e.target).val());
+      });
+
+      // Additional destinations management
+      $(document).on("click", "#cf7-api-add-endpoint", () => {
+        this.addEndpointRow();
+      });
+
+      $(document).on("click", ".cf7-api-remove-endpoint", (e) => {
+        this.removeEndpointRow($(e.currentTarget));
+      });
+
+      $(document).on("change", ".cf7-api-endpoint select[name$='[input_type]']", (e) => {
+        this.toggleEndpointMethod($(e.currentTarget).closest(".cf7-api-endpoint"));
+      });
+
+      // Sending conditions rule builder
+      $(document).on("click", ".cf7-api-add-condition", (e) => {
+        this.addConditionRow($(e.currentTarget).closest(".cf7-api-conditions"));
+      });
+
+      $(document).on("click", ".cf7-api-remove-condition", (e) => {
+        $(e.currentTarget).closest(".cf7-api-condition-row").remove();
+      });
+
+      $(document).on("change", ".cf7-api-condition-operator", (e) => {
+        this.toggleConditionValue($(e.currentTarget).closest(".cf7-api-condition-row"));
+      });
+
+      // Field mapping transforms and static fields
+      $(document).on("click", ".cf7-api-add-transform", (e) => {
+        this.addTransformRow($(e.currentTarget).closest(".cf7-api-mapping-row"));
+      });
+
+      $(document).on("click", ".cf7-api-remove-transform", (e) => {
+        $(e.currentTarget).closest(".cf7-api-transform").remove();
+      });
+
+      $(document).on("change", ".cf7-api-transform-type", (e) => {
+        this.toggleTransformOptions($(e.currentTarget).closest(".cf7-api-transform"));
+      });
+
+      $(document).on("click", "#cf7-api-add-constant", () => {
+        this.addConstantRow();
+      });
+
+      $(document).on("click", ".cf7-api-remove-constant", (e) => {
+        $(e.currentTarget).closest(".cf7-api-constant-row").remove();
+      });
+
+      // Alert rules
+      $(document).on("click", "#cf7-api-add-alert-rule", () => {
+        this.addAlertRuleRow();
+      });
+
+      $(document).on("click", ".cf7-api-remove-alert-rule", (e) => {
+        $(e.currentTarget).closest(".cf7-api-alert-rule-row").remove();
+      });
+
+      $(document).on("change", ".cf7-api-alert-rule-type", (e) => {
+        this.toggleAlertRuleThreshold($(e.currentTarget).closest(".cf7-api-alert-rule-row"));
+      });
+
       // Test API connection
       $(document).on("click", "#test-api-connection", () => {
         this.testApiConnection();
@@ -106,6 +178,11 @@
       $(document).on("change", "#wpcf7-sf-send-to-api", (e) => {
         this.toggleApiSectionVisibility($(e.target).is(":checked"));
       });
+
+      // Validate before the contact form is saved
+      $(document).on("submit", "#wpcf7-admin-form-element", (e) => {
+        return this.handleFormSubmission(e);
+      });
     }
 
     /**
@@ -121,6 +198,28 @@
       }
     }
 
+    /**
+     * Setup authentication type toggle functionality
+     *
+     * @since 2.5.0
+     * @return {void}
+     */
+    setupAuthTypeToggle() {
+      this.handleAuthTypeChange($("#cf7-api-auth-type").val() || "none");
+    }
+
+    /**
+     * Show the settings of the selected authentication type
+     *
+     * @since 2.5.0
+     * @param {string} authType The selected authentication type
+     * @return {void}
+     */
+    handleAuthTypeChange(authType) {
+      $(".cf7-api-auth-fields").hide();
+      $(`.cf7-api-auth-fields[data-auth-type="${authType}"]`).show();
+    }
+
     /**
      * Handle input type change
      *
@@ -130,18 +229,18 @@
      */
     handleInputTypeChange(selectedType) {
       // Remove existing body classes
-      $("body").removeClass("cf7-input-type-params cf7-input-type-xml cf7-input-type-json");
+      $("body").removeClass("cf7-input-type-params cf7-input-type-xml cf7-input-type-json cf7-input-type-multipart");
 
       // Add new body class
       $("body").addClass(`cf7-input-type-${selectedType}`);
 
-      // Show/hide relevant sections - corrected selector
+      // Show/hide relevant sections; the field mapping lists every type it applies to
       $("fieldset[data-cf7index]").hide();
-      $(`fieldset[data-cf7index="${selectedType}"]`).show();
+      $(`fieldset[data-cf7index~="${selectedType}"]`).show();
 
       // Show/hide method selection for applicable types - corrected selector
       const $methodRow = $(".cf7_row[data-cf7index]");
-      if (selectedType === "xml") {
+      if (selectedType === "xml" || selectedType === "multipart") {
         $methodRow.hide();
         $("#wpcf7-sf-method").val("POST");
       } else {
@@ -184,6 +283,9 @@
         case "json":
           $baseUrl.attr("placeholder", "https://api.example.com/json-endpoint");
           break;
+        case "multipart":
+          $baseUrl.attr("placeholder", "https://api.example.com/upload-endpoint");
+          break;
       }
     }
 
@@ -374,63 +476,657 @@
     /**
      * Test API connection
      *
+     * Sends the current (possibly unsaved) panel settings and the sample
+     * values to the server, which performs a real request and returns the
+     * response details.
+     *
      * @since 1.0.0
+     * @since 2.5.0 Performs a server-side request instead of a browser HEAD probe.
      * @return {Promise} Test result promise
      */
     async testApiConnection() {
+      const config = window.cf7ApiIntegration || {};
+      const i18n = config.i18n || {};
       const $testButton = $("#test-api-connection");
       const originalText = $testButton.text();
-      const url = $("#wpcf7-sf-base-url").val();
+      const url = $("#wpcf7-sf-base-url").val() || "";
 
       if (!url.trim()) {
-        this.showApiTestResult("Please enter an API URL first", "error");
+        this.showApiTestResult(i18n.urlRequired || "Please enter an API URL first", "error");
         return;
       }
 
+      const params = this.buildPanelRequestData("cf7_api_test_connection", {
+        log_test: $("#cf7-api-test-log").is(":checked") ? 1 : 0
+      });
+
       try {
         // Show loading state
-        $testButton.prop("disabled", true).text("Testing...");
-
-        // Simple test - just check if URL is reachable
-        const response = await fetch(url, {
-          method: "HEAD",
-          mode: "no-cors"
-        });
+        $testButton.prop("disabled", true).text(i18n.testing || "Testing...");
 
-        this.showApiTestResult("URL appears to be reachable", "success");
+        const response = await $.post(config.ajaxUrl, params);
 
+        if (response.success) {
+          this.renderApiTestResponse(response.data);
+        } else {
+          this.showApiTestResult(response.data?.message || i18n.testFailed || "Test request failed", "error");
+        }
       } catch (error) {
-        this.showApiTestResult("Could not reach the URL: " + error.message, "error");
+        this.showApiTestResult(i18n.requestError || "Could not reach the server", "error");
       } finally {
         // Restore button state
         $testButton.prop("disabled", false).text(originalText);
       }
     }
 
+    /**
+     * Build AJAX payload from the current (possibly unsaved) panel settings
+     *
+     * @since 2.5.0
+     * @param {string} action AJAX action name
+     * @param {Object} extra Additional parameters
+     * @return {string} Serialized request data
+     */
+    buildPanelRequestData(action, extra = {}) {
+      const config = window.cf7ApiIntegration || {};
+
+      return [
+        $("#cf7-api-integration :input[name]").serialize(),
+        $.param({
+          action,
+          nonce: config.nonce,
+          form_id: $("#post_ID").val(),
+          sample_values: this.collectSampleValues(),
+          ...extra
+        })
+      ].filter(Boolean).join("&");
+    }
+
+    /**
+     * Setup live request preview
+     *
+     * @since 2.5.0
+     * @return {void}
+     */
+    setupRequestPreview() {
+      if (!$("#cf7-api-request-preview").length || !window.cf7ApiIntegration) {
+        return;
+      }
+
+      this.previewTimer = null;
+      this.previewRequest = null;
+
+      $(document).on("input change", "#cf7-api-integration :input", (e) => {
+        if ($(e.target).closest("#cf7-api-test-log").length) {
+          return;
+        }
+
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.updateRequestPreview(), 400);
+      });
+
+      // Tag insertion and header row buttons do not trigger input events
+      $(document).on("click", ".xml_mailtag, .cf7-api-remove-header, .cf7-api-preset-header, .cf7-api-add-transform, .cf7-api-remove-transform, .cf7-api-remove-constant", () => {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.updateRequestPreview(), 400);
+      });
+
+      this.updateRequestPreview();
+    }
+
+    /**
+     * Refresh the request preview from the server
+     *
+     * @since 2.5.0
+     * @return {void}
+     */
+    updateRequestPreview() {
+      const config = window.cf7ApiIntegration;
+
+      // Only the latest preview matters
+      if (this.previewRequest) {
+        this.previewRequest.abort();
+      }
+
+      this.previewRequest = $.post(config.ajaxUrl, this.buildPanelRequestData("cf7_api_preview_request"))
+        .done((response) => {
+          if (response.success) {
+            this.renderRequestPreview(response.data);
+          }
+        })
+        .always(() => {
+          this.previewRequest = null;
+        });
+    }
+
+    /**
+     * Render the request preview
+     *
+     * @since 2.5.0
+     * @param {Object} data Preview returned by the server
+     * @return {void}
+     */
+    renderRequestPreview(data) {
+      const i18n = (window.cf7ApiIntegration || {}).i18n || {};
+      const $preview = $("#cf7-api-request-preview");
+      const headerLines = Object.entries(data.headers || {}).map(([name, value]) => `${name}: ${value}`);
+
+      $preview.find(".cf7-api-preview-url").text(`${data.method} ${data.url}`);
+      $preview.find(".cf7-api-preview-headers").text(headerLines.length ? headerLines.join("\n") : (i18n.noHeaders || ""));
+      $preview.find(".cf7-api-preview-body").text(data.body ? this.formatResponseBody(data.body) : (i18n.noBody || ""));
+
+      const $warnings = $preview.find(".cf7-api-preview-warnings").empty();
+
+      if (data.error) {
+        $("<div class=\"cf7-api-notice error\">").append($("<p>").text(data.error)).appendTo($warnings);
+      }
+
+      if (data.unreplaced && data.unreplaced.length) {
+        const $notice = $("<div class=\"cf7-api-notice warning\">");
+        const $list = $("<p>").append($("<strong>").text(`${i18n.unreplaced || "Unreplaced mail tags:"} `));
+
+        data.unreplaced.forEach((tag) => {
+          $list.append($("<code>").text(`[${tag}]`), " ");
+        });
+
+        $notice.append($list).appendTo($warnings);
+      }
+    }
+
+    /**
+     * Collect sample values entered for the connection test
+     *
+     * @since 2.5.0
+     * @return {Object} Sample values keyed by field name
+     */
+    collectSampleValues() {
+      const values = {};
+
+      $(".cf7-api-sample-value").each(function () {
+        const $input = $(this);
+        const value = $input.val();
+
+        values[$input.data("field")] = String($input.data("multiple")) === "1"
+          ? value.split(",").map((item) => item.trim()).filter(Boolean)
+          : value;
+      });
+
+      return values;
+    }
+
+    /**
+     * Render the response of a connection test
+     *
+     * All values come from a remote server, so they are inserted as text only.
+     *
+     * @since 2.5.0
+     * @param {Object} data Test result returned by the server
+     * @return {void}
+     */
+    renderApiTestResponse(data) {
+      const i18n = (window.cf7ApiIntegration || {}).i18n || {};
+      const type = data.success ? "success" : "error";
+      const $result = $("#cf7-api-test-result").empty().removeClass("success error").addClass(type);
+      let status = `${data.status_code}`;
+      if (data.error) {
+        status = data.status_code ? `${data.status_code} \u2014 ${data.error}` : data.error;
+      }
+
+      $("<p>").append(
+        $("<strong>").text(`${i18n.status || "Status"}: `),
+        $("<span>").text(status),
+        $("<span>").text(` \u2014 ${i18n.duration || "Time"}: ${data.duration_ms} ms`)
+      ).appendTo($result);
+
+      $("<p>").append(
+        $("<strong>").text(`${i18n.request || "Request"}: `),
+        $("<code>").text(`${data.method} ${data.url}`)
+      ).appendTo($result);
+
+      if (data.request_body) {
+        $("<pre>").text(data.request_body).appendTo($result);
+      }
+
+      const headerLines = Object.entries(data.headers || {}).map(([name, value]) => `${name}: ${value}`);
+      if (headerLines.length) {
+        $("<p>").append($("<strong>").text(i18n.headers || "Response Headers")).appendTo($result);
+        $("<pre>").text(headerLines.join("\n")).appendTo($result);
+      }
+
+      if (data.body) {
+        $("<p>").append($("<strong>").text(i18n.body || "Response Body")).appendTo($result);
+        $("<pre>").text(this.formatResponseBody(data.body)).appendTo($result);
+      }
+
+      const extractedLines = Object.entries(data.extracted || {}).map(([name, value]) => `[_api_${name}] = ${value}`);
+      if (extractedLines.length) {
+        $("<p>").append($("<strong>").text(i18n.extracted || "Extracted Fields")).appendTo($result);
+        $("<pre>").text(extractedLines.join("\n")).appendTo($result);
+      }
+
+      if (data.logged && i18n.loggedNotice) {
+        $("<p>").append($("<em>").text(i18n.loggedNotice)).appendTo($result);
+      }
+
+      $result.prop("hidden", false);
+    }
+
+    /**
+     * Pretty-print JSON response bodies, leave anything else untouched
+     *
+     * @since 2.5.0
+     * @param {string} body Raw response body
+     * @return {string} Formatted body
+     */
+    formatResponseBody(body) {
+      try {
+        return JSON.stringify(JSON.parse(body), null, 2);
+      } catch (e) {
+        return body;
+      }
+    }
+
     /**
      * Show API test result
      *
      * @since 1.0.0
+     * @since 2.5.0 Renders into the test result container as plain text.
      * @param {string} message The result message
      * @param {string} type The result type (success, error)
      * @return {void}
      */
     showApiTestResult(message, type) {
-      // Remove existing result
-      $(".cf7-api-test-result").remove();
+      $("#cf7-api-test-result")
+        .empty()
+        .removeClass("success error")
+        .addClass(type)
+        .append($("<p>").text(message))
+        .prop("hidden", false);
+    }
 
-      // Create result element
-      const $result = $(`<div class="cf7-api-test-result cf7-api-notice ${type}">${message}</div>`);
+    /**
+     * Setup template linter
+     *
+     * Validates the XML and JSON templates as they are edited.
+     *
+     * @since 2.5.0
+     * @return {void}
+     */
+    setupTemplateLinter() {
+      this.lintTimer = null;
 
-      // Insert after test button
-      $("#test-api-connection").after($result);
+      $(document).on("input change", 'textarea[name="template"], textarea[name="json_template"]', (e) => {
+        const $textarea = $(e.target);
+        const type = $textarea.attr("name") === "json_template" ? "json" : "xml";
 
-      // Auto-hide after 5 seconds
-      setTimeout(() => {
-        $result.fadeOut(300, function () {
-          $(this).remove();
+        clearTimeout(this.lintTimer);
+        this.lintTimer = setTimeout(() => {
+          this.renderTemplateLint($textarea, this.lintTemplate(type, $textarea.val()));
+        }, 300);
+      });
+
+      const lintAll = () => {
+        ["xml", "json"].forEach((type) => {
+          const $textarea = this.getTemplateTextarea(type);
+          if ($textarea && $textarea.val()) {
+            this.renderTemplateLint($textarea, this.lintTemplate(type, $textarea.val()));
+          }
         });
-      }, 5000);
+      };
+
+      // Unused field warnings depend on which fields have an API key.
+      $(document).on("change", 'input[name^="qs_wpcf7_api_map["]', lintAll);
+
+      lintAll();
+    }
+
+    /**
+     * Get the template textarea for an input type
+     *
+     * @since 2.5.0
+     * @param {string} type Input type (xml, json)
+     * @return {jQuery|null} Textarea or null for other types
+     */
+    getTemplateTextarea(type) {
+      const name = { xml: "template", json: "json_template" }[type];
+      const $textarea = name ? $(`textarea[name="${name}"]`) : $();
+
+      return $textarea.length ? $textarea : null;
+    }
+
+    /**
+     * Collect the mail tags of the form
+     *
+     * Checkbox options can be referenced as [field-option] as well as [field].
+     *
+     * @since 2.5.0
+     * @return {Object} Map of placeholder name to form field name
+     */
+    getKnownMailTags() {
+      const tags = {};
+
+      $('input[name^="qs_wpcf7_api_map["]').each(function () {
+        const parts = ($(this).attr("name").match(/\[([^\]]*)\]/g) || []).map((part) => part.slice(1, -1));
+
+        tags[parts[0]] = parts[0];
+        if (parts.length > 1) {
+          tags[`${parts[0]}-${parts[1]}`] = parts[0];
+        }
+      });
+
+      return tags;
+    }
+
+    /**
+     * Collect the form fields that have an API key mapped
+     *
+     * A checkbox counts as mapped when any of its options has a key.
+     *
+     * @since 2.5.0
+     * @return {Set<string>} Mapped form field names
+     */
+    getMappedFields() {
+      const fields = new Set();
+
+      $('input[name^="qs_wpcf7_api_map["]').each(function () {
+        const field = ($(this).attr("name").match(/\[([^\]]*)\]/) || [])[1];
+
+        if (field !== undefined && String($(this).val() || "").trim() !== "") {
+          fields.add(field);
+        }
+      });
+
+      return fields;
+    }
+
+    /**
+     * Lint a template
+     *
+     * @since 2.5.0
+     * @param {string} type Template type (xml, json)
+     * @param {string} template Template content
+     * @return {{errors: Array<string>, warnings: Array<string>}} Lint result
+     */
+    lintTemplate(type, template) {
+      const i18n = (window.cf7ApiIntegration || {}).i18n || {};
+      const result = { errors: [], warnings: [] };
+
+      if (!template || !template.trim()) {
+        return result;
+      }
+
+      const knownTags = this.getKnownMailTags();
+      const typeSuffix = /:(int|float|bool|array|string|base64|filename|mimetype)$/i;
+      const usedFields = new Set();
+      const unknownTags = new Set();
+      const tagPattern = /\[([A-Za-z](?:[\w:. -]*[\w:.-])?)\]/g;
+      let match;
+
+      while ((match = tagPattern.exec(template)) !== null) {
+        const name = match[1];
+        const field = knownTags[name] ?? knownTags[name.replace(typeSuffix, "")];
+
+        if (field !== undefined) {
+          usedFields.add(field);
+        } else if (!["true", "false", "null"].includes(name)) {
+          unknownTags.add(`[${name}]`);
+        }
+      }
+
+      const parseError = type === "json" ? this.getJsonTemplateError(template, knownTags) : this.getXmlTemplateError(template);
+
+      if (parseError) {
+        result.errors.push(parseError);
+      }
+
+      if (unknownTags.size) {
+        result.warnings.push(`${i18n.lintUnknownTags || "Unknown mail tags:"} ${[...unknownTags].join(", ")}`);
+      }
+
+      const unusedFields = [...this.getMappedFields()].filter((field) => !usedFields.has(field));
+      if (unusedFields.length) {
+        result.warnings.push(`${i18n.lintUnusedFields || "Mapped form fields not used in the template:"} ${unusedFields.map((field) => `[${field}]`).join(", ")}`);
+      }
+
+      return result;
+    }
+
+    /**
+     * Check a JSON template for syntax errors
+     *
+     * Known placeholders are swapped for same-length stand-ins so positions
+     * in the parser message still match the template.
+     *
+     * @since 2.5.0
+     * @param {string} template JSON template
+     * @param {Object} knownTags Known mail tags
+     * @return {string|null} Error message or null when valid
+     */
+    getJsonTemplateError(template, knownTags) {
+      const i18n = (window.cf7ApiIntegration || {}).i18n || {};
+      let inString = false;
+      let probe = "";
+
+      for (let i = 0; i < template.length; i++) {
+        const char = template[i];
+
+        if (inString && char === "\\") {
+          probe += template.substr(i, 2);
+          i++;
+          continue;
+        }
+
+        if (char === "\"") {
+          inString = !inString;
+        }
+
+        if (char === "[") {
+          const tag = template.slice(i).match(/^\[([A-Za-z](?:[\w:. -]*[\w:.-])?)\]/);
+          const name = tag ? tag[1].replace(/:(int|float|bool|array|string|base64|filename|mimetype)$/i, "") : null;
+
+          if (tag && (knownTags[tag[1]] !== undefined || knownTags[name] !== undefined)) {
+            const length = tag[0].length;
+            probe += inString ? "x".repeat(length) : "0".padEnd(length, " ");
+            i += length - 1;
+            continue;
+          }
+        }
+
+        probe += char;
+      }
+
+      const error = this.findJsonSyntaxError(probe);
+      if (!error) {
+        return null;
+      }
+
+      const location = this.getErrorLocation(`position ${error.position}`, probe);
+      const prefix = i18n.lintJsonError || "Invalid JSON";
+
+      return `${prefix} (${i18n.lintLine || "line"} ${location.line}, ${i18n.lintColumn || "column"} ${location.column}): ${error.message}`;
+    }
+
+    /**
+     * Find the first JSON syntax error
+     *
+     * Browsers do not consistently report where JSON.parse() failed, so this
+     * small validator walks the text and returns the offending position.
+     *
+     * @since 2.5.0
+     * @param {string} text JSON text
+     * @return {{position: number, message: string}|null} First error or null when valid
+     */
+    findJsonSyntaxError(text) {
+      let i = 0;
+
+      const fail = (message) => {
+        throw { position: i, message };
+      };
+      const skipWhitespace = () => {
+        while (i < text.length && " \t\r\n".includes(text[i])) {
+          i++;
+        }
+      };
+      const parseString = () => {
+        i++;
+        while (i < text.length) {
+          if (text[i] === "\"") {
+            i++;
+            return;
+          }
+          if (text[i] < " ") {
+            fail("Unescaped control character in string");
+          }
+          i += text[i] === "\\" ? 2 : 1;
+        }
+        fail("Unterminated string");
+      };
+      const parseValue = () => {
+        skipWhitespace();
+        const char = text[i];
+
+        if (char === "{" || char === "[") {
+          const close = char === "{" ? "}" : "]";
+          i++;
+          skipWhitespace();
+          if (text[i] === close) {
+            i++;
+            return;
+          }
+          for (;;) {
+            if (char === "{") {
+              skipWhitespace();
+              if (text[i] !== "\"") {
+                fail("Expected property name");
+              }
+              parseString();
+              skipWhitespace();
+              if (text[i] !== ":") {
+                fail("Expected ':' after property name");
+              }
+              i++;
+            }
+            parseValue();
+            skipWhitespace();
+            if (text[i] === ",") {
+              i++;
+              continue;
+            }
+            if (text[i] === close) {
+              i++;
+              return;
+            }
+            fail(`Expected ',' or '${close}'`);
+          }
+        }
+
+        if (char === "\"") {
+          parseString();
+          return;
+        }
+
+        const number = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+        number.lastIndex = i;
+        if (number.test(text) && number.lastIndex > i) {
+          i = number.lastIndex;
+          return;
+        }
+
+        const literal = ["true", "false", "null"].find((word) => text.startsWith(word, i));
+        if (literal) {
+          i += literal.length;
+          return;
+        }
+
+        fail(i < text.length ? `Unexpected character '${char}'` : "Unexpected end of template");
+      };
+
+      try {
+        parseValue();
+        skipWhitespace();
+        if (i < text.length) {
+          fail("Unexpected content after the end of the JSON");
+        }
+      } catch (error) {
+        return error;
+      }
+
+      return null;
+    }
+
+    /**
+     * Check an XML template for well-formedness errors
+     *
+     * @since 2.5.0
+     * @param {string} template XML template
+     * @return {string|null} Error message or null when valid
+     */
+    getXmlTemplateError(template) {
+      const i18n = (window.cf7ApiIntegration || {}).i18n || {};
+      const doc = new DOMParser().parseFromString(template.trim(), "application/xml");
+      const $error = $(doc).find("parsererror").first();
+
+      if (!$error.length) {
+        return null;
+      }
+
+      const message = $error.text().replace(/\s+/g, " ").trim();
+      const location = this.getErrorLocation(message, template.trim());
+      const prefix = i18n.lintXmlError || "Invalid XML";
+
+      return location ? `${prefix} (${i18n.lintLine || "line"} ${location.line}, ${i18n.lintColumn || "column"} ${location.column}): ${message}` : `${prefix}: ${message}`;
+    }
+
+    /**
+     * Extract line and column from a parser error message
+     *
+     * Browsers report either "line X column Y" or a character position.
+     *
+     * @since 2.5.0
+     * @param {string} message Parser error message
+     * @param {string} source Parsed source
+     * @return {{line: number, column: number}|null} Location or null
+     */
+    getErrorLocation(message, source) {
+      const lineColumn = message.match(/line(?: number)?\s*(\d+)[,\s]+(?:at\s+)?column\s*(\d+)/i);
+      if (lineColumn) {
+        return { line: parseInt(lineColumn[1], 10), column: parseInt(lineColumn[2], 10) };
+      }
+
+      const position = message.match(/position\s+(\d+)/i);
+      if (position) {
+        const before = source.slice(0, parseInt(position[1], 10)).split("\n");
+        return { line: before.length, column: before[before.length - 1].length + 1 };
+      }
+
+      return null;
+    }
+
+    /**
+     * Render lint results below a template textarea
+     *
+     * @since 2.5.0
+     * @param {jQuery} $textarea Template textarea
+     * @param {{errors: Array<string>, warnings: Array<string>}} result Lint result
+     * @return {void}
+     */
+    renderTemplateLint($textarea, result) {
+      let $lint = $textarea.next(".cf7-api-template-lint");
+
+      if (!$lint.length) {
+        $lint = $('<div class="cf7-api-template-lint" aria-live="polite"></div>').insertAfter($textarea);
+      }
+
+      $lint.empty();
+      $textarea.toggleClass("invalid", result.errors.length > 0);
+
+      result.errors.forEach((message) => {
+        $('<div class="validation-message error"></div>').text(message).appendTo($lint);
+      });
+
+      result.warnings.forEach((message) => {
+        $('<div class="validation-message warning"></div>').text(message).appendTo($lint);
+      });
     }
 
     /**
@@ -593,14 +1289,265 @@
       });
     }
 
+    /**
+     * Add an additional destination from the row template
+     *
+     * @since 2.5.0
+     * @return {void}
+     */
+    addEndpointRow() {
+      const $list = $("#cf7-api-endpoints-list");
+      const template = $("#tmpl-cf7-api-endpoint").html() || "";
+      const index = $list.children(".cf7-api-endpoint").length;
+
+      $list.append(template.replace(/__index__/g, index));
+      $list.find(".cf7-api-endpoint:last input[type='text']:first").focus();
+    }
+
+    /**
+     * Remove an additional destination
+     *
+     * @since 2.5.0
+     * @param {jQuery} $button The clicked remove button
+     * @return {void}
+     */
+    removeEndpointRow($button) {
+      const self = this;
+
+      $button.closest(".cf7-api-endpoint").fadeOut(200, function() {
+        $(this).remove();
+        self.reindexEndpoints();
+      });
+    }
+
+    /**
+     * Reindex destination fields to keep array indexes unique
+     *
+     * @since 2.5.0
+     * @return {void}
+     */
+    reindexEndpoints() {
+      $("#cf7-api-endpoints-list .cf7-api-endpoint").each(function(index) {
+        $(this).find("[name^='api_endpoints[']").each(function() {
+          $(this).attr("name", $(this).attr("name").replace(/^api_endpoints\[[^\]]*\]/, `api_endpoints[${index}]`));
+        });
+      });
+    }
+
+    /**
+     * Lock the method of saved multipart destinations to POST
+     *
+     * @since 2.5.0
+     * @return {void}
+     */
+    setupEndpointMethods() {
+      $("#cf7-api-endpoints-list .cf7-api-endpoint").each((index, endpoint) => {
+        this.toggleEndpointMethod($(endpoint));
+      });
+    }
+
+    /**
+     * Force POST for multipart destinations, which need a request body
+     *
+     * @since 2.5.0
+     * @param {jQuery} $endpoint The destination row
+     * @return {void}
+     */
+    toggleEndpointMethod($endpoint) {
+      const isMultipart = $endpoint.find("select[name$='[input_type]']").val() === "multipart";
+      const $method = $endpoint.find("select[name$='[method]']");
+
+      $method.find("option[value='GET']").prop("disabled", isMultipart);
+      if (isMultipart) {
+        $method.val("POST");
+      }
+    }
+
+    /**
+     * Setup the sending conditions rule builders
+     *
+     * @since 2.5.0
+     * @return {void}
+     */
+    setupConditionBuilder() {
+      // New rules need indexes that never collide with saved ones
+      this.conditionIndex = Date.now();
+
+      $(".cf7-api-condition-row").not(".cf7-api-condition-prototype").each((index, row) => {
+        this.toggleConditionValue($(row));
+      });
+    }
+
+    /**
+     * Add a rule to a sending conditions builder
+     *
+     * @since 2.5.0
+     * @param {jQuery} $builder The rule builder container
+     * @return {void}
+     */
+    addConditionRow($builder) {
+      const $prototype = $builder.find(".cf7-api-condition-prototype").first();
+      const $row = $prototype.clone().removeClass("cf7-api-condition-prototype").removeAttr("hidden");
+      const index = this.conditionIndex++;
+
+      $row.find("select, input").each(function() {
+        $(this).prop("disabled", false).attr("name", $(this).attr("name").replace("__rule__", index));
+      });
+
+      $row.insertBefore($prototype);
+      this.toggleConditionValue($row);
+      $row.find(".cf7-api-condition-field").focus();
+    }
+
+    /**
+     * Hide the value input for operators that do not compare a value
+     *
+     * @since 2.5.0
+     * @param {jQuery} $row The rule row
+     * @return {void}
+     */
+    toggleConditionValue($row) {
+      const operator = $row.find(".cf7-api-condition-operator").val();
+      $row.find(".cf7-api-condition-value").toggle(operator !== "is_empty" && operator !== "not_empty");
+    }
+
+    /**
+     * Setup the field mapping editor
+     *
+     * @since 2.5.0
+     * @return {void}
+     */
+    setupFieldMapping() {
+      // New rows need indexes that never collide with saved ones
+      this.mappingIndex = Date.now();
+
+      $(".cf7-api-transform").not(".cf7-api-transform-prototype").each((index, row) => {
+        this.toggleTransformOptions($(row));
+      });
+    }
+
+    /**
+     * Add a transform to a mapped form field
+     *
+     * @since 2.5.0
+     * @param {jQuery} $mappingRow The field mapping row
+     * @return {void}
+     */
+    addTransformRow($mappingRow) {
+      const $transform = $(".cf7-api-transform-prototype").first().clone()
+        .removeClass("cf7-api-transform-prototype")
+        .removeAttr("hidden");
+      const field = $mappingRow.data("field");
+      const index = this.mappingIndex++;
+
+      $transform.find("select, input, textarea").each(function() {
+        $(this).prop("disabled", false).attr(
+          "name",
+          $(this).attr("name").replace("__field__", field).replace("__index__", index)
+        );
+      });
+
+      $mappingRow.find(".cf7-api-transforms-list").append($transform);
+      this.toggleTransformOptions($transform);
+      $transform.find(".cf7-api-transform-type").focus();
+    }
+
+    /**
+     * Show the settings of the selected transform type
+     *
+     * @since 2.5.0
+     * @param {jQuery} $transform The transform row
+     * @return {void}
+     */
+    toggleTransformOptions($transform) {
+      const type = $transform.find(".cf7-api-transform-type").val();
+
+      $transform.find(".cf7-api-transform-option").each(function() {
+        $(this).toggle($(this).data("transform-type") === type);
+      });
+    }
+
+    /**
+     * Add a static field row
+     *
+     * @since 2.5.0
+     * @return {void}
+     */
+    addConstantRow() {
+      const $prototype = $(".cf7-api-constant-prototype").first();
+      const $row = $prototype.clone().removeClass("cf7-api-constant-prototype").removeAttr("hidden");
+      const index = this.mappingIndex++;
+
+      $row.find("input").each(function() {
+        $(this).prop("disabled", false).attr("name", $(this).attr("name").replace("__index__", index));
+      });
+
+      $row.insertBefore($prototype);
+      $row.find("input").first().focus();
+    }
+
+    /**
+     * Setup the alert rules editor
+     *
+     * @since 2.5.0
+     * @return {void}
+     */
+    setupAlertRules() {
+      // New rows need indexes that never collide with saved ones
+      this.alertRuleIndex = Date.now();
+
+      $(".cf7-api-alert-rule-row").not(".cf7-api-alert-rule-prototype").each((index, row) => {
+        this.toggleAlertRuleThreshold($(row));
+      });
+    }
+
+    /**
+     * Add an alert rule row
+     *
+     * @since 2.5.0
+     * @return {void}
+     */
+    addAlertRuleRow() {
+      const $prototype = $(".cf7-api-alert-rule-prototype").first();
+      const $row = $prototype.clone().removeClass("cf7-api-alert-rule-prototype").removeAttr("hidden");
+      const index = this.alertRuleIndex++;
+
+      $row.find("select, input").each(function() {
+        $(this).prop("disabled", false).attr("name", $(this).attr("name").replace("__index__", index));
+      });
+
+      $row.insertBefore($prototype);
+      this.toggleAlertRuleThreshold($row);
+      $row.find(".cf7-api-alert-rule-type").focus();
+    }
+
+    /**
+     * Show the threshold unit of the selected rule type
+     *
+     * "No successful delivery" rules have no threshold.
+     *
+     * @since 2.5.0
+     * @param {jQuery} $row The alert rule row
+     * @return {void}
+     */
+    toggleAlertRuleThreshold($row) {
+      const $option = $row.find(".cf7-api-alert-rule-type option:selected");
+
+      $row.find(".cf7-api-alert-rule-unit").text($option.data("unit") || "");
+      $row.find(".cf7-api-alert-rule-threshold").toggle($option.val() !== "no_success");
+    }
+
     /**
      * Handle form submission
      *
      * @since 1.0.0
+     * @since 2.5.0 Bound to the CF7 editor form; asks for confirmation when the active template is invalid.
      * @param {Event} e The form submit event
      * @return {boolean} Whether to allow submission
      */
     handleFormSubmission(e) {
+      const i18n = (window.cf7ApiIntegration || {}).i18n || {};
+
       // Basic validation before submission
       const $baseUrl = $("#wpcf7-sf-base-url");
       const $sendToApi = $("#wpcf7-sf-send-to-api");
@@ -612,6 +1559,21 @@
         return false;
       }
 
+      // Invalid templates only matter for the input type that is actually sent
+      const inputType = $("#wpcf7-sf-input-type").val();
+      const $textarea = this.getTemplateTextarea(inputType);
+
+      if ($sendToApi.is(":checked") && $textarea) {
+        const result = this.lintTemplate(inputType, $textarea.val());
+        this.renderTemplateLint($textarea, result);
+
+        if (result.errors.length && !window.confirm(i18n.lintConfirmSave || "The API template has errors. Save anyway?")) {
+          e.preventDefault();
+          $textarea.focus();
+          return false;
+        }
+      }
+
       return true;
     }
   }
@@ -636,6 +1598,9 @@
   $(() => {
     const validationCSS = `
       <style>
+        .cf7_row textarea.invalid {
+          border-color: #d63638;
+        }
         .cf7_row input.valid {
           border-color: #00a32a;
         }
@@ -14,6 +14,22 @@
 	 * Initialize API Log Admin
 	 */
 	const CF7ApiLogAdmin = {
+		/**
+		 * Live refresh state
+		 *
+		 * @since 2.5.0
+		 */
+		live: {
+			enabled: false,
+			paused: false,
+			timer: null,
+			request: null,
+			latestId: 0,
+			baseTotal: null,
+			pending: [],
+			rowHtml: {},
+		},
+
 		/**
 		 * Initialize
 		 */
@@ -21,14 +37,18 @@
 			this.bindEvents();
 			this.initTooltips();
 			this.initDateFilter();
+			this.initLiveRefresh();
+			this.initRequestActions();
+			this.initDrawer();
+			this.highlightContent($(".cf7-api-log-detail"));
 		},
 
 		/**
 		 * Bind events
 		 */
 		bindEvents: function () {
-			// Confirm delete action
-			$(".submitdelete").on("click", function (e) {
+			// Confirm delete action (delegated, rows are replaced by the live refresh)
+			$(document).on("click", ".submitdelete", function (e) {
 				if (!confirm(window.cf7ApiAdmin?.confirmDelete || "Are you sure you want to delete this log entry?")) {
 					e.preventDefault();
 					return false;
@@ -51,28 +71,478 @@
 					}
 				}
 			});
+		},
 
-			// Auto-refresh stats (optional)
-			if (window.cf7ApiAdmin?.autoRefresh) {
-				setInterval(function () {
-					// Could implement AJAX refresh here
-				}, 30000);
+		/**
+		 * Initialize tooltips
+		 *
+		 * Cells cut off by the column width show their full text on hover.
+		 *
+		 * @param {jQuery} [$scope] Rows to process, defaults to the whole list
+		 */
+		initTooltips: function ($scope) {
+			($scope || $("#the-list")).find(".column-endpoint .endpoint-cell, .column-from, .column-form a").each(function () {
+				if (!this.title && this.scrollWidth > this.clientWidth) {
+					this.title = $(this).text().trim();
+				}
+			});
+		},
+
+		/**
+		 * Initialize the live refresh controls
+		 *
+		 * @since 2.5.0
+		 */
+		initLiveRefresh: function () {
+			const $toggle = $("#cf7-api-live-toggle");
+			if (!$toggle.length || !$("#the-list").length || !window.cf7ApiAdmin?.ajaxUrl) {
+				return;
+			}
+
+			this.live.latestId = this.getLatestId();
+
+			$toggle.prop("checked", window.localStorage?.getItem("cf7ApiLiveRefresh") === "1");
+			$toggle.on("change", () => {
+				window.localStorage?.setItem("cf7ApiLiveRefresh", $toggle.is(":checked") ? "1" : "0");
+				this.setLive($toggle.is(":checked"));
+			});
+
+			$("#cf7-api-live-pause").on("click", () => this.togglePause());
+			$("#cf7-api-live-new").on("click", () => this.showPendingRows());
+
+			// Catch up as soon as the tab is visible again.
+			document.addEventListener("visibilitychange", () => {
+				if (!document.hidden && this.live.enabled) {
+					this.refresh();
+				}
+			});
+
+			if ($toggle.is(":checked")) {
+				this.setLive(true);
 			}
 		},
 
 		/**
-		 * Initialize tooltips
+		 * Start or stop polling
+		 *
+		 * @since 2.5.0
+		 * @param {boolean} enabled Whether live updates are on
+		 */
+		setLive: function (enabled) {
+			this.live.enabled = enabled;
+			clearInterval(this.live.timer);
+			this.live.timer = null;
+
+			$("#cf7-api-live-pause").toggleClass("cf7-api-hidden", !enabled);
+
+			if (enabled) {
+				this.refresh();
+				this.live.timer = setInterval(() => this.refresh(), window.cf7ApiAdmin.refreshInterval || 15000);
+			} else {
+				this.live.pending = [];
+				this.updateNewIndicator(0);
+				$("#cf7-api-live-status").text("");
+			}
+		},
+
+		/**
+		 * Pause or resume showing new entries
+		 *
+		 * While paused the list keeps polling, but new entries wait behind the indicator.
+		 *
+		 * @since 2.5.0
+		 */
+		togglePause: function () {
+			this.live.paused = !this.live.paused;
+
+			$("#cf7-api-live-pause")
+				.attr("aria-pressed", this.live.paused ? "true" : "false")
+				.text(this.live.paused ? window.cf7ApiAdmin?.resume || "Resume" : window.cf7ApiAdmin?.pause || "Pause");
+
+			if (!this.live.paused) {
+				this.showPendingRows();
+			}
+		},
+
+		/**
+		 * Fetch the current page of the list
+		 *
+		 * @since 2.5.0
+		 */
+		refresh: function () {
+			if (this.live.request || document.hidden) {
+				return;
+			}
+
+			// Same filters, sorting and page as the screen itself.
+			const params = new URLSearchParams(window.location.search);
+			params.set("action", "cf7_api_logs_refresh");
+			params.set("nonce", window.cf7ApiAdmin.refreshNonce);
+
+			this.live.request = $.get(`${window.cf7ApiAdmin.ajaxUrl}?${params.toString()}`)
+				.done((response) => {
+					if (response?.success) {
+						this.applyRefresh(response.data);
+					} else {
+						$("#cf7-api-live-status").text(response?.data?.message || window.cf7ApiAdmin?.refreshFailed || "");
+					}
+				})
+				.fail(() => {
+					$("#cf7-api-live-status").text(window.cf7ApiAdmin?.refreshFailed || "");
+				})
+				.always(() => {
+					this.live.request = null;
+				});
+		},
+
+		/**
+		 * Apply a refresh response to the screen
+		 *
+		 * @since 2.5.0
+		 * @param {Object} data Rows, status counts, statistics and totals
+		 */
+		applyRefresh: function (data) {
+			$("#cf7-api-stats").html(data.stats);
+			$(".subsubsub").replaceWith(data.views);
+			$(".displaying-num").text(data.total_label);
+			$("#cf7-api-live-status").text((window.cf7ApiAdmin?.updatedAt || "%s").replace("%s", data.updated_at));
+
+			if (this.live.baseTotal === null) {
+				this.live.baseTotal = data.total_items;
+			}
+
+			const $list = $("#the-list");
+			const firstResponse = Object.keys(this.live.rowHtml).length === 0;
+
+			data.rows.forEach((row) => {
+				const $existing = $list.find(`input[name='log[]'][value='${row.id}']`).closest("tr");
+
+				if ($existing.length) {
+					// Status changes, e.g. a queued delivery that has been sent.
+					if (!firstResponse && this.live.rowHtml[row.id] !== row.html) {
+						const checked = $existing.find("input[name='log[]']").prop("checked");
+						const $row = $(row.html);
+						$row.find("input[name='log[]']").prop("checked", checked);
+						$existing.replaceWith($row);
+						this.initTooltips($row);
+					}
+				} else if (row.id > this.live.latestId && this.canPrependRows()) {
+					this.live.pending.push(row);
+				}
+
+				this.live.rowHtml[row.id] = row.html;
+			});
+
+			this.live.latestId = Math.max(this.live.latestId, ...data.rows.map((row) => row.id));
+
+			if (!this.canPrependRows()) {
+				// Other pages and sort orders can't take new rows; the indicator reloads instead.
+				this.updateNewIndicator(Math.max(0, data.total_items - this.live.baseTotal));
+			} else if (this.live.paused) {
+				this.updateNewIndicator(this.live.pending.length);
+			} else {
+				this.showPendingRows();
+			}
+		},
+
+		/**
+		 * Insert the entries waiting behind the indicator
+		 *
+		 * @since 2.5.0
+		 */
+		showPendingRows: function () {
+			if (!this.canPrependRows()) {
+				window.location.reload();
+				return;
+			}
+
+			const $list = $("#the-list");
+			const perPage = parseInt($("#cf7_api_logs_per_page").val(), 10) || 20;
+
+			if (this.live.pending.length) {
+				$list.find("tr.no-items").remove();
+			}
+
+			// Rows arrive newest first.
+			this.live.pending
+				.slice()
+				.reverse()
+				.forEach((row) => {
+					const $row = $(row.html).addClass("cf7-api-row-new");
+					$list.prepend($row);
+					this.initTooltips($row);
+				});
+
+			$list.children("tr").slice(perPage).remove();
+			this.live.pending = [];
+			this.updateNewIndicator(0);
+		},
+
+		/**
+		 * Show or hide the "N new entries" indicator
+		 *
+		 * @since 2.5.0
+		 * @param {number} count Number of new entries
+		 */
+		updateNewIndicator: function (count) {
+			const text = 1 === count ? window.cf7ApiAdmin?.newEntry || "1 new entry" : (window.cf7ApiAdmin?.newEntries || "%s new entries").replace("%s", count);
+
+			$("#cf7-api-live-new").text(text).toggleClass("cf7-api-hidden", count < 1);
+		},
+
+		/**
+		 * Whether new entries can be added at the top of the list
+		 *
+		 * Only the first page sorted by date, newest first, shows them there.
+		 *
+		 * @since 2.5.0
+		 * @return {boolean}
+		 */
+		canPrependRows: function () {
+			const params = new URLSearchParams(window.location.search);
+			const paged = parseInt(params.get("paged") || "1", 10);
+			const orderby = params.get("orderby") || "created_at";
+			const order = (params.get("order") || "desc").toLowerCase();
+
+			return paged <= 1 && orderby === "created_at" && order === "desc";
+		},
+
+		/**
+		 * Get the highest log ID shown in the list
+		 *
+		 * @since 2.5.0
+		 * @return {number}
 		 */
-		initTooltips: function () {
-			// Add tooltips to truncated endpoints
-			$(".column-endpoint a").each(function () {
-				const fullUrl = $(this).attr("href");
-				if (fullUrl && fullUrl.includes("log_id=")) {
-					// Could add title attribute with full endpoint
+		getLatestId: function () {
+			const ids = $("#the-list input[name='log[]']")
+				.map(function () {
+					return parseInt(this.value, 10) || 0;
+				})
+				.get();
+
+			return ids.length ? Math.max(...ids) : 0;
+		},
+
+		/**
+		 * Initialize the copy and edit-and-resend actions of a log entry
+		 *
+		 * Delegated, as they appear on the detail page and in the drawer.
+		 *
+		 * @since 2.5.0
+		 */
+		initRequestActions: function () {
+			$(document).on("click", ".cf7-api-copy-command", (e) => {
+				this.copyCommand($(e.currentTarget));
+			});
+
+			$(document).on("click", ".cf7-api-resend-toggle", function () {
+				const $form = $(`#${$(this).attr("aria-controls")}`);
+				const open = $form.prop("hidden");
+
+				$form.prop("hidden", !open);
+				$(this).attr("aria-expanded", open ? "true" : "false");
+				if (open) {
+					$form.find("textarea[name='resend_body']").trigger("focus");
+				}
+			});
+
+			$(document).on("click", ".cf7-api-resend-cancel", function () {
+				const $form = $(this).closest(".cf7-api-resend-form").prop("hidden", true);
+				$(`[aria-controls='${$form.attr("id")}']`).attr("aria-expanded", "false").trigger("focus");
+			});
+
+			$(document).on("submit", ".cf7-api-resend-form", function (e) {
+				if (!confirm(window.cf7ApiAdmin?.confirmResend || "Send this edited request to the API?")) {
+					e.preventDefault();
+				}
+			});
+		},
+
+		/**
+		 * Initialize the log detail drawer
+		 *
+		 * "View Details" links on the list open the entry in a drawer instead of
+		 * leaving the page; modified clicks still open the full page.
+		 *
+		 * @since 2.5.0
+		 */
+		initDrawer: function () {
+			if (!$("#the-list").length || !window.cf7ApiAdmin?.detailNonce) {
+				return;
+			}
+
+			$(document).on("click", "#the-list a[href*='action=view'], .cf7-api-drawer-body a[href*='action=view']:not(.cf7-api-drawer-full)", (e) => {
+				if (e.ctrlKey || e.metaKey || e.shiftKey || e.which === 2) {
+					return;
+				}
+
+				const logId = new URL(e.currentTarget.href, window.location.href).searchParams.get("log_id");
+				if (logId) {
+					e.preventDefault();
+					this.openDrawer(logId);
+				}
+			});
+
+			$(document).on("click", ".cf7-api-drawer-close, .cf7-api-drawer-overlay", () => this.closeDrawer());
+			$(document).on("keydown", (e) => {
+				if (e.key === "Escape" && $(".cf7-api-drawer").hasClass("is-open")) {
+					this.closeDrawer();
 				}
 			});
 		},
 
+		/**
+		 * Open the drawer and load a log entry into it
+		 *
+		 * @since 2.5.0
+		 * @param {string|number} logId Log entry ID
+		 */
+		openDrawer: function (logId) {
+			let $drawer = $(".cf7-api-drawer");
+
+			if (!$drawer.length) {
+				$("body").append('<div class="cf7-api-drawer-overlay"></div>');
+				$drawer = $(
+					'<div class="cf7-api-drawer" role="dialog" aria-modal="true" aria-labelledby="cf7-api-drawer-title" tabindex="-1">' +
+						'<div class="cf7-api-drawer-header">' +
+						'<h2 id="cf7-api-drawer-title"></h2>' +
+						'<button type="button" class="button-link cf7-api-drawer-close"><span class="dashicons dashicons-no-alt"></span></button>' +
+						"</div>" +
+						'<div class="cf7-api-drawer-body"></div>' +
+						"</div>"
+				).appendTo("body");
+				$drawer.find(".cf7-api-drawer-close").attr("aria-label", window.cf7ApiAdmin?.close || "Close");
+			}
+
+			$drawer.find("#cf7-api-drawer-title").text("");
+			$drawer.find(".cf7-api-drawer-body").html($("<p>").text(window.cf7ApiAdmin?.loading || "Loading…"));
+			$("body").addClass("cf7-api-drawer-open");
+			$drawer.addClass("is-open").trigger("focus");
+
+			$.get(window.cf7ApiAdmin.ajaxUrl, {
+				action: "cf7_api_log_detail",
+				nonce: window.cf7ApiAdmin.detailNonce,
+				log_id: logId,
+			})
+				.done((response) => {
+					if (!response?.success) {
+						$drawer.find(".cf7-api-drawer-body").html($("<p>").text(response?.data?.message || window.cf7ApiAdmin?.detailFailed || ""));
+						return;
+					}
+
+					$drawer.find("#cf7-api-drawer-title").text(response.data.title);
+					$drawer.find(".cf7-api-drawer-body").html(response.data.html).scrollTop(0);
+					this.highlightContent($drawer);
+				})
+				.fail(() => {
+					$drawer.find(".cf7-api-drawer-body").html($("<p>").text(window.cf7ApiAdmin?.detailFailed || ""));
+				});
+		},
+
+		/**
+		 * Close the drawer
+		 *
+		 * @since 2.5.0
+		 */
+		closeDrawer: function () {
+			$(".cf7-api-drawer").removeClass("is-open");
+			$("body").removeClass("cf7-api-drawer-open");
+		},
+
+		/**
+		 * Add syntax highlighting to logged request and response bodies
+		 *
+		 * @since 2.5.0
+		 * @param {jQuery} $scope Container of the `pre.log-content[data-lang]` elements
+		 */
+		highlightContent: function ($scope) {
+			$scope.find("pre.log-content[data-lang='json'], pre.log-content[data-lang='xml']").each(function () {
+				const $pre = $(this);
+				const html = $pre
+					.text()
+					.replace(/&/g, "&amp;")
+					.replace(/</g, "&lt;")
+					.replace(/>/g, "&gt;");
+
+				// Single pass, so inserted markup is never matched again.
+				const highlighted =
+					$pre.data("lang") === "json"
+						? html.replace(/("(?:\\.|[^"\\])*")(\s*:)?|\b(true|false|null)\b|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g, (match, string, colon, literal) => {
+								if (string) {
+									return colon ? `<span class="cf7-api-hl-key">${string}</span>${colon}` : `<span class="cf7-api-hl-string">${string}</span>`;
+								}
+								return `<span class="${literal ? "cf7-api-hl-literal" : "cf7-api-hl-number"}">${match}</span>`;
+							})
+						: html.replace(/(&lt;\/?)([\w:.-]+)|([\w:.-]+)=("[^"]*")/g, (match, open, tag, attribute, value) => {
+								if (tag) {
+									return `${open}<span class="cf7-api-hl-key">${tag}</span>`;
+								}
+								return `<span class="cf7-api-hl-literal">${attribute}</span>=<span class="cf7-api-hl-string">${value}</span>`;
+							});
+
+				$pre.html(highlighted);
+			});
+		},
+
+		/**
+		 * Copy a request from a copy button to the clipboard
+		 *
+		 * The button holds the masked request in `data-command`; when "Unmask"
+		 * is checked the unmasked request is fetched first.
+		 *
+		 * @since 2.5.0
+		 * @param {jQuery} $button Copy button
+		 */
+		copyCommand: function ($button) {
+			const $group = $button.closest(".cf7-api-copy-request");
+			const done = () => {
+				const label = $button.data("label") || $button.text().trim();
+				$button.data("label", label).text(window.cf7ApiAdmin?.copied || "Copied!");
+				setTimeout(() => $button.text(label), 2000);
+			};
+
+			if (!$group.find(".cf7-api-copy-unmask").is(":checked")) {
+				this.writeClipboard($button.attr("data-command") || "").then(done);
+				return;
+			}
+
+			$.get(window.cf7ApiAdmin.ajaxUrl, {
+				action: "cf7_api_request_command",
+				nonce: window.cf7ApiAdmin.commandNonce,
+				log_id: $group.data("log-id"),
+				format: $button.data("format"),
+			})
+				.done((response) => {
+					if (!response?.success) {
+						alert(response?.data?.message || window.cf7ApiAdmin?.copyFailed || "");
+						return;
+					}
+					this.writeClipboard(response.data.command).then(done);
+				})
+				.fail(() => alert(window.cf7ApiAdmin?.copyFailed || ""));
+		},
+
+		/**
+		 * Write text to the clipboard
+		 *
+		 * @since 2.5.0
+		 * @param {string} text Text to copy
+		 * @return {Promise}
+		 */
+		writeClipboard: function (text) {
+			if (navigator.clipboard?.writeText) {
+				return navigator.clipboard.writeText(text);
+			}
+
+			// Fallback for non-secure (http) admin screens.
+			const $textarea = $("<textarea readonly>").val(text).css({ position: "fixed", opacity: 0 }).appendTo("body");
+			$textarea.trigger("select");
+			document.execCommand("copy");
+			$textarea.remove();
+
+			return Promise.resolve();
+		},
+
 		/**
 		 * Initialize date filter functionality
 		 */
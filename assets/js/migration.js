@@ -1,7 +1,7 @@
 /**
  * Migration JavaScript
  *
- * Handles AJAX-based migration of legacy unencrypted logs.
+ * Handles AJAX-based migration of legacy unencrypted logs and key rotation.
  * Provides real-time progress updates and user interaction.
  *
  * @package SilverAssist\ContactFormToAPI
@@ -17,13 +17,16 @@
 	/**
 	 * Migration handler class
 	 *
+	 * The migration runs on the server (see MigrationService): this page
+	 * drives batches while it is open, the background worker continues when
+	 * it is closed, and a reopened page reattaches to the stored state.
+	 *
 	 * @property {boolean} isRunning - Whether migration is currently running
 	 * @property {boolean} isDryRun - Whether this is a dry run (preview only)
-	 * @property {number} totalCount - Total number of logs to migrate
-	 * @property {number} processedCount - Number of logs processed so far
-	 * @property {number} batchSize - Number of logs to process per batch
 	 * @property {string} nonce - Security nonce for AJAX requests
 	 * @property {number} batchDelay - Delay in milliseconds between batches
+	 * @property {number} retryDelay - Delay in milliseconds before retrying after a network error
+	 * @property {number} failuresPage - Page of the failed logs table
 	 * @property {number|null} reloadTimeout - Timeout reference for page reload
 	 */
 	class MigrationHandler {
@@ -33,35 +36,32 @@
 		constructor() {
 			this.isRunning = false;
 			this.isDryRun = false;
-			this.totalCount = 0;
-			this.processedCount = 0;
-			this.batchSize = 100;
-			this.nonce = '';
+			this.nonce = $('#cf7-api-start-migration').data('nonce');
 			this.batchDelay = 500; // Delay in milliseconds between batches
+			this.retryDelay = 5000;
+			this.failuresPage = 1;
 			this.reloadTimeout = null;
 
 			this.init();
 		}
 
 		/**
-		 * Initialize event handlers
+		 * Initialize event handlers and reattach to a started migration
 		 */
 		init() {
 			const self = this;
 
 			// Start migration button
 			$('#cf7-api-start-migration').on('click', function() {
-				const nonce = $(this).data('nonce');
 				if (!confirm(cf7ApiMigration.i18n.confirmStart)) {
 					return;
 				}
-				self.startMigration(nonce, false);
+				self.startMigration(false);
 			});
 
 			// Dry run button
 			$('#cf7-api-dry-run').on('click', function() {
-				const nonce = $(this).data('nonce');
-				self.startMigration(nonce, true);
+				self.startMigration(true);
 			});
 
 			// Cancel button
@@ -71,54 +71,74 @@
 				}
 				self.cancelMigration();
 			});
+
+			// Failed logs pager
+			$('#cf7-api-failures-prev').on('click', function() {
+				self.loadFailures(self.failuresPage - 1);
+			});
+			$('#cf7-api-failures-next').on('click', function() {
+				self.loadFailures(self.failuresPage + 1);
+			});
+
+			this.reattach();
+		}
+
+		/**
+		 * Restore the progress of a migration started earlier
+		 */
+		reattach() {
+			const self = this;
+
+			this.request('cf7_api_migration_status', {}, function(data) {
+				const migration = data.migration;
+				if (!migration) {
+					return;
+				}
+
+				self.isDryRun = migration.dry_run;
+
+				if (migration.status === 'running') {
+					self.isRunning = true;
+					self.showProgress();
+					self.updateProgress(migration);
+					self.showResult(cf7ApiMigration.i18n.migrationResumed, 'info');
+					self.processBatch();
+				} else if (migration.status === 'error' || migration.failed > 0) {
+					self.handleFinished(migration);
+				}
+			});
 		}
 
 		/**
 		 * Start migration process
 		 *
-		 * @param {string} nonce Security nonce
 		 * @param {boolean} dryRun Whether this is a dry run
 		 */
-		startMigration(nonce, dryRun) {
+		startMigration(dryRun) {
 			const self = this;
-			this.nonce = nonce;
 			this.isDryRun = dryRun;
 			this.isRunning = true;
-			this.processedCount = 0;
 
 			// Show progress UI
 			this.showProgress();
+			$('#cf7-api-migration-failures').hide();
 
 			// Update status
-			this.updateStatus(cf7ApiMigration.i18n.migrationStarted, 0);
+			this.updateStatus(cf7ApiMigration.i18n.migrationStarted);
 
-			// Start migration via AJAX
-			$.ajax({
-				url: cf7ApiMigration.ajaxUrl,
-				type: 'POST',
-				data: {
-					action: 'cf7_api_migration_start',
-					nonce: nonce,
-					dry_run: dryRun ? '1' : '0'
-				},
-				success: function(response) {
-					if (response.success) {
-						self.totalCount = response.data.progress.unencrypted;
-						self.processBatch();
-					} else {
-						self.showError(response.data.message);
-					}
-				},
-				error: function(xhr, status, error) {
-					var fallback = (cf7ApiMigration.i18n && cf7ApiMigration.i18n.networkError) ? cf7ApiMigration.i18n.networkError : 'Network error';
-					var message = error || status || fallback;
-					self.showError(cf7ApiMigration.i18n.migrationError + ' ' + message);
-				}
+			this.request('cf7_api_migration_start', {
+				dry_run: dryRun ? '1' : '0'
+			}, function(data) {
+				self.updateProgress(data.migration);
+				self.processBatch();
 			});
 		}
 
 		/**
 		 * Process a single batch
+		 *
+		 * The server skips the batch while its background worker runs one,
+		 * so this also polls the progress.
 		 */
 		processBatch() {
 			const self = this;
@@ -127,59 +147,28 @@
 				return;
 			}
 
-			// Update status
-			this.updateStatus(cf7ApiMigration.i18n.processingBatch);
+			this.request('cf7_api_migration_batch', {}, function(data) {
+				const migration = data.migration;
 
-			// Process batch via AJAX
-			$.ajax({
-				url: cf7ApiMigration.ajaxUrl,
-				type: 'POST',
-				data: {
-					action: 'cf7_api_migration_batch',
-					nonce: this.nonce,
-					batch_size: this.batchSize,
-					dry_run: this.isDryRun ? '1' : '0'
-				},
-				success: function(response) {
-					if (response.success) {
-						const result = response.data.result;
-						const progress = response.data.progress;
-						const isComplete = response.data.is_complete;
-
-						// Update counts
-						self.processedCount += result.processed;
-
-						// Update progress bar
-						const percentage = progress.percentage;
-						self.updateProgressBar(percentage);
-
-						// Update status text
-						const statusText = self.processedCount + ' / ' + self.totalCount + ' ' + cf7ApiMigration.i18n.logsProcessed;
-						self.updateStatus(statusText, percentage);
-
-						// Check for errors
-						if (result.errors && result.errors.length > 0) {
-							console.error('Migration errors:', result.errors);
-						}
-
-						// Continue or complete
-						if (isComplete) {
-							self.completeMigration(result);
-						} else {
-							// Process next batch
-							setTimeout(function() {
-								self.processBatch();
-							}, self.batchDelay);
-						}
-					} else {
-						self.showError(response.data.message);
-					}
-				},
-				error: function(xhr, status, error) {
-					var fallback = (cf7ApiMigration.i18n && cf7ApiMigration.i18n.networkError) ? cf7ApiMigration.i18n.networkError : 'Network error';
-					var message = error || status || fallback;
-					self.showError(cf7ApiMigration.i18n.migrationError + ' ' + message);
+				if (!self.isRunning) {
+					return;
 				}
+
+				if (data.is_complete) {
+					self.handleFinished(migration);
+					return;
+				}
+
+				self.updateProgress(migration);
+				setTimeout(function() {
+					self.processBatch();
+				}, self.batchDelay);
+			}, function(message) {
+				// The background worker carries on: keep polling.
+				self.showResult(cf7ApiMigration.i18n.connectionLost + ' (' + message + ')', 'warning');
+				setTimeout(function() {
+					self.processBatch();
+				}, self.retryDelay);
 			});
 		}
 
@@ -190,16 +179,99 @@
 			const self = this;
 			this.isRunning = false;
 
+			this.request('cf7_api_migration_cancel', {}, function() {
+				self.showResult(cf7ApiMigration.i18n.migrationCancelled, 'warning');
+			});
+		}
+
+		/**
+		 * Show the outcome of a finished migration
+		 *
+		 * @param {Object|null} migration Migration status
+		 */
+		handleFinished(migration) {
+			this.isRunning = false;
+
+			if (!migration) {
+				this.showResult(cf7ApiMigration.i18n.migrationCancelled, 'warning');
+				return;
+			}
+
+			this.updateProgress(migration);
+
+			if (migration.status === 'error') {
+				this.showError(migration.error);
+				return;
+			}
+
+			let message = cf7ApiMigration.i18n.migrationComplete;
+			if (this.isDryRun) {
+				message = migration.success + ' ' + cf7ApiMigration.i18n.logsEncrypted;
+			} else if (migration.failed > 0) {
+				message += ' ' + migration.failed + ' ' + cf7ApiMigration.i18n.logsFailed;
+			}
+
+			let type = 'success';
+			if (this.isDryRun) {
+				type = 'info';
+			} else if (migration.failed > 0) {
+				type = 'warning';
+			}
+
+			this.showResult(message, type);
+
+			if (migration.failed > 0) {
+				this.loadFailures(1);
+			}
+		}
+
+		/**
+		 * Load a page of the logs that failed to encrypt
+		 *
+		 * @param {number} page Page number
+		 */
+		loadFailures(page) {
+			const self = this;
+
+			this.request('cf7_api_migration_failures', { page: page }, function(data) {
+				const $body = $('#cf7-api-migration-failures tbody').empty();
+
+				data.items.forEach(function(item) {
+					$('<tr>')
+						.append($('<td>').text(item.log_id))
+						.append($('<td>').text(item.error))
+						.append($('<td>').text(item.created_at))
+						.appendTo($body);
+				});
+
+				self.failuresPage = data.page;
+				$('#cf7-api-failures-page').text(
+					cf7ApiMigration.i18n.pageOf.replace('%1$s', data.page).replace('%2$s', data.pages)
+				);
+				$('#cf7-api-failures-prev').prop('disabled', data.page <= 1);
+				$('#cf7-api-failures-next').prop('disabled', data.page >= data.pages);
+				$('#cf7-api-migration-failures').toggle(data.total > 0);
+			});
+		}
+
+		/**
+		 * Send a migration AJAX request
+		 *
+		 * @param {string} action AJAX action
+		 * @param {Object} data Request data
+		 * @param {Function} onSuccess Called with the response data
+		 * @param {Function} [onNetworkError] Called with the error message; shows the error by default
+		 */
+		request(action, data, onSuccess, onNetworkError) {
+			const self = this;
+
 			$.ajax({
 				url: cf7ApiMigration.ajaxUrl,
 				type: 'POST',
-				data: {
-					action: 'cf7_api_migration_cancel',
-					nonce: this.nonce
-				},
+				data: $.extend({ action: action, nonce: this.nonce }, data),
 				success: function(response) {
 					if (response.success) {
-						self.showResult(cf7ApiMigration.i18n.migrationCancelled, 'warning');
+						onSuccess(response.data);
 					} else {
 						self.showError(response.data.message);
 					}
@@ -207,29 +279,15 @@
 				error: function(xhr, status, error) {
 					var fallback = (cf7ApiMigration.i18n && cf7ApiMigration.i18n.networkError) ? cf7ApiMigration.i18n.networkError : 'Network error';
 					var message = error || status || fallback;
-					self.showError(cf7ApiMigration.i18n.migrationError + ' ' + message);
+					if (onNetworkError) {
+						onNetworkError(message);
+					} else {
+						self.showError(message);
+					}
 				}
 			});
 		}
 
-		/**
-		 * Complete migration
-		 *
-		 * @param {Object} result Final batch result
-		 */
-		completeMigration(result) {
-			this.isRunning = false;
-
-			let message = cf7ApiMigration.i18n.migrationComplete;
-			if (this.isDryRun) {
-				message = this.processedCount + ' ' + cf7ApiMigration.i18n.logsEncrypted;
-			} else if (result.failed > 0) {
-				message += ' ' + result.failed + ' ' + cf7ApiMigration.i18n.logsFailed;
-			}
-
-			this.showResult(message, this.isDryRun ? 'info' : 'success');
-		}
-
 		/**
 		 * Show progress UI
 		 */
@@ -252,27 +310,38 @@
 		}
 
 		/**
-		 * Update progress bar
+		 * Update progress bar and counts from the migration status
 		 *
-		 * @param {number} percentage Progress percentage (0-100)
+		 * @param {Object|null} migration Migration status
 		 */
-		updateProgressBar(percentage) {
-			const $progressBar = $('.cf7-api-progress-bar');
-			const $progressText = $('.cf7-api-progress-text');
+		updateProgress(migration) {
+			if (!migration) {
+				return;
+			}
+
+			const $progressBar = $('#cf7-api-migration-progress .cf7-api-progress-bar');
+			const $progressText = $('#cf7-api-migration-progress .cf7-api-progress-text');
+
+			$progressBar.css('width', migration.percentage + '%');
+			$progressText.text(Math.round(migration.percentage) + '%');
 
-			$progressBar.css('width', percentage + '%');
-			$progressText.text(Math.round(percentage) + '%');
+			$('#cf7-api-processed-count').text(migration.processed);
+			$('#cf7-api-total-count').text(migration.processed + migration.remaining);
+
+			let status = cf7ApiMigration.i18n.processingBatch;
+			if (migration.failed > 0) {
+				status += ' ' + migration.failed + ' ' + cf7ApiMigration.i18n.logsFailed;
+			}
+			this.updateStatus(status);
 		}
 
 		/**
 		 * Update status text
 		 *
 		 * @param {string} message Status message
-		 * @param {number} percentage Optional percentage for details
 		 */
-		updateStatus(message, percentage) {
+		updateStatus(message) {
 			$('#cf7-api-migration-status-text').text(message);
-			$('#cf7-api-processed-count').text(this.processedCount);
 		}
 
 		/**
@@ -284,20 +353,26 @@
 			this.isRunning = false;
 			this.hideProgress();
 
-			const html = '<div class="notice notice-error"><p><strong>' + 
-				cf7ApiMigration.i18n.migrationError + '</strong> ' + message + '</p></div>';
-			$('#cf7-api-migration-result').html(html).show();
+			const $notice = $('<div class="notice notice-error"><p><strong></strong> <span></span></p></div>');
+			$notice.find('strong').text(cf7ApiMigration.i18n.migrationError);
+			$notice.find('span').text(message);
+			$('#cf7-api-migration-result').empty().append($notice).show();
 		}
 
 		/**
 		 * Show result message
 		 *
+		 * Progress stays visible while the migration runs.
+		 *
 		 * @param {string} message Result message
 		 * @param {string} type Message type (success, warning, info)
 		 */
 		showResult(message, type) {
 			const self = this;
-			this.hideProgress();
+
+			if (!this.isRunning) {
+				this.hideProgress();
+			}
 
 			// Clear any existing reload timeout
 			if (this.reloadTimeout) {
@@ -305,8 +380,9 @@
 				this.reloadTimeout = null;
 			}
 
-			const html = '<div class="notice notice-' + type + '"><p>' + message + '</p></div>';
-			$('#cf7-api-migration-result').html(html).show();
+			const $notice = $('<div class="notice"><p></p></div>').addClass('notice-' + type);
+			$notice.find('p').text(message);
+			$('#cf7-api-migration-result').empty().append($notice).show();
 
 			// Reload page after delay if migration was successful
 			if (type === 'success') {
@@ -318,11 +394,300 @@
 		}
 	}
 
+	/**
+	 * Key rotation handler class
+	 *
+	 * The rotation state is kept on the server, so a rotation paused or
+	 * interrupted by a page reload is resumed from the rotation status.
+	 *
+	 * @since 2.5.0
+	 * @property {jQuery} $container - Key rotation section
+	 * @property {string} nonce - Security nonce for AJAX requests
+	 * @property {boolean} isRunning - Whether batches are being processed
+	 * @property {boolean} pauseRequested - Whether to pause after the current batch
+	 * @property {number} batchSize - Number of logs to process per batch
+	 * @property {number} batchDelay - Delay in milliseconds between batches
+	 */
+	class KeyRotationHandler {
+		/**
+		 * Constructor - initializes class properties and event handlers
+		 */
+		constructor() {
+			this.$container = $('#cf7-api-key-rotation');
+			this.nonce = this.$container.data('nonce');
+			this.isRunning = false;
+			this.pauseRequested = false;
+			this.batchSize = 100;
+			this.batchDelay = 500;
+
+			this.init();
+		}
+
+		/**
+		 * Initialize event handlers and restore a rotation started earlier
+		 */
+		init() {
+			const self = this;
+
+			$('#cf7-api-start-rotation').on('click', function() {
+				if (!confirm(cf7ApiMigration.i18n.confirmRotation)) {
+					return;
+				}
+				self.startRotation(false);
+			});
+
+			$('#cf7-api-rotation-dry-run').on('click', function() {
+				self.startRotation(true);
+			});
+
+			$('#cf7-api-pause-rotation').on('click', function() {
+				self.pauseRequested = true;
+				$(this).prop('disabled', true);
+			});
+
+			$('#cf7-api-resume-rotation').on('click', function() {
+				self.run();
+			});
+
+			$('#cf7-api-clear-rotation').on('click', function() {
+				self.request('cf7_api_key_rotation_clear', {}, function() {
+					$('#cf7-api-rotation-result').hide();
+					self.render(null);
+				});
+			});
+
+			// Enter in the secret field would submit the settings form
+			$('#cf7-api-rotation-previous-secret').on('keydown', function(e) {
+				if (e.key === 'Enter') {
+					e.preventDefault();
+				}
+			});
+
+			this.render(this.$container.data('rotation') || null);
+		}
+
+		/**
+		 * Start a key rotation
+		 *
+		 * @param {boolean} dryRun Whether this is a dry run
+		 */
+		startRotation(dryRun) {
+			const self = this;
+			const $secret = $('#cf7-api-rotation-previous-secret');
+
+			this.request('cf7_api_key_rotation_start', {
+				dry_run: dryRun ? '1' : '0',
+				previous_secret: $secret.val()
+			}, function(data) {
+				$secret.val('');
+				self.showResult(dryRun ? cf7ApiMigration.i18n.rotationDryRun : cf7ApiMigration.i18n.rotationStarted, 'info');
+				self.isRunning = true;
+				self.render(data.rotation);
+				self.run();
+			});
+		}
+
+		/**
+		 * Process batches until the rotation completes or is paused
+		 */
+		run() {
+			this.isRunning = true;
+			this.pauseRequested = false;
+
+			$('#cf7-api-resume-rotation, #cf7-api-clear-rotation').hide();
+			$('#cf7-api-pause-rotation').show().prop('disabled', false);
+
+			this.processBatch();
+		}
+
+		/**
+		 * Process a single batch
+		 */
+		processBatch() {
+			const self = this;
+
+			if (this.pauseRequested) {
+				this.pauseRotation();
+				return;
+			}
+
+			$('#cf7-api-rotation-status-text').text(cf7ApiMigration.i18n.processingBatch);
+
+			this.request('cf7_api_key_rotation_batch', {
+				batch_size: this.batchSize
+			}, function(data) {
+				const rotation = data.rotation;
+
+				if (rotation.status === 'completed') {
+					self.isRunning = false;
+					self.completeRotation(rotation);
+					return;
+				}
+
+				self.render(rotation);
+				setTimeout(function() {
+					self.processBatch();
+				}, self.batchDelay);
+			});
+		}
+
+		/**
+		 * Pause the rotation on the server
+		 */
+		pauseRotation() {
+			const self = this;
+
+			this.request('cf7_api_key_rotation_pause', {}, function(data) {
+				self.isRunning = false;
+				self.pauseRequested = false;
+				self.render(data.rotation);
+				self.showResult(cf7ApiMigration.i18n.rotationPaused, 'info');
+			});
+		}
+
+		/**
+		 * Show the summary of a completed rotation
+		 *
+		 * @param {Object} rotation Rotation status
+		 */
+		completeRotation(rotation) {
+			let message = rotation.dry_run ? cf7ApiMigration.i18n.dryRunComplete : cf7ApiMigration.i18n.rotationComplete;
+			message += ' ' + rotation.rotated + ' ' + (rotation.dry_run ? cf7ApiMigration.i18n.logsDecrypted : cf7ApiMigration.i18n.logsRotated);
+			if (rotation.failed > 0) {
+				message += ', ' + rotation.failed + ' ' + cf7ApiMigration.i18n.logsFailed;
+			}
+
+			this.render(rotation);
+			this.showResult(message, rotation.failed > 0 ? 'warning' : 'success');
+		}
+
+		/**
+		 * Update the controls, progress and report from the rotation status
+		 *
+		 * @param {Object|null} rotation Rotation status, null when there is none
+		 */
+		render(rotation) {
+			const unfinished = rotation !== null && rotation.status !== 'completed';
+
+			$('#cf7-api-start-rotation, #cf7-api-rotation-dry-run').prop('disabled', unfinished);
+			$('.cf7-api-rotation-secret').toggle(!unfinished);
+			$('#cf7-api-pause-rotation').toggle(unfinished && this.isRunning).prop('disabled', this.pauseRequested);
+			$('#cf7-api-resume-rotation').toggle(unfinished && !this.isRunning);
+			$('#cf7-api-clear-rotation').toggle(rotation !== null && !this.isRunning && (rotation.dry_run || !unfinished));
+
+			if (rotation === null) {
+				$('#cf7-api-rotation-progress, #cf7-api-rotation-report').hide();
+				return;
+			}
+
+			const $progress = $('#cf7-api-rotation-progress').show();
+			$progress.find('.cf7-api-progress-bar').css('width', rotation.percentage + '%');
+			$progress.find('.cf7-api-progress-text').text(Math.round(rotation.percentage) + '%');
+			$('#cf7-api-rotation-processed-count').text(rotation.processed);
+			$('#cf7-api-rotation-total-count').text(rotation.processed + rotation.remaining);
+			if (unfinished) {
+				$('#cf7-api-rotation-status-text').text(this.isRunning ? cf7ApiMigration.i18n.processingBatch : cf7ApiMigration.i18n.rotationPaused);
+			} else {
+				$('#cf7-api-rotation-status-text').text('');
+			}
+
+			this.renderReport(rotation);
+		}
+
+		/**
+		 * Render the logs that could not be decrypted
+		 *
+		 * @param {Object} rotation Rotation status
+		 */
+		renderReport(rotation) {
+			const $report = $('#cf7-api-rotation-report');
+			const $body = $report.find('tbody').empty();
+
+			rotation.failures.forEach(function(failure) {
+				$('<tr>')
+					.append($('<td>').text(failure.id))
+					.append($('<td>').text(failure.error))
+					.appendTo($body);
+			});
+
+			$report.find('.cf7-api-rotation-truncated').remove();
+			if (rotation.failed > rotation.failures.length) {
+				$('<p class="description cf7-api-rotation-truncated">').text(cf7ApiMigration.i18n.failuresTruncated).appendTo($report);
+			}
+
+			$report.toggle(rotation.failures.length > 0);
+		}
+
+		/**
+		 * Send a key rotation AJAX request
+		 *
+		 * @param {string} action AJAX action
+		 * @param {Object} data Request data
+		 * @param {Function} onSuccess Called with the response data
+		 */
+		request(action, data, onSuccess) {
+			const self = this;
+
+			$.ajax({
+				url: cf7ApiMigration.ajaxUrl,
+				type: 'POST',
+				data: $.extend({ action: action, nonce: this.nonce }, data),
+				success: function(response) {
+					if (response.success) {
+						onSuccess(response.data);
+					} else {
+						self.showError(response.data.message);
+					}
+				},
+				error: function(xhr, status, error) {
+					var fallback = (cf7ApiMigration.i18n && cf7ApiMigration.i18n.networkError) ? cf7ApiMigration.i18n.networkError : 'Network error';
+					self.showError(error || status || fallback);
+				}
+			});
+		}
+
+		/**
+		 * Show error message
+		 *
+		 * Batches stop; the rotation can be resumed from where it stopped.
+		 *
+		 * @param {string} message Error message
+		 */
+		showError(message) {
+			this.isRunning = false;
+			this.pauseRequested = false;
+
+			const $notice = $('<div class="notice notice-error"><p><strong></strong> <span></span></p></div>');
+			$notice.find('strong').text(cf7ApiMigration.i18n.migrationError);
+			$notice.find('span').text(message);
+			$('#cf7-api-rotation-result').empty().append($notice).show();
+
+			$('#cf7-api-pause-rotation').hide();
+			$('#cf7-api-resume-rotation').toggle($('#cf7-api-start-rotation').prop('disabled'));
+		}
+
+		/**
+		 * Show result message
+		 *
+		 * @param {string} message Result message
+		 * @param {string} type Message type (success, warning, info)
+		 */
+		showResult(message, type) {
+			const $notice = $('<div class="notice"><p></p></div>').addClass('notice-' + type);
+			$notice.find('p').text(message);
+			$('#cf7-api-rotation-result').empty().append($notice).show();
+		}
+	}
+
 	// Initialize on document ready
 	$(document).ready(function() {
 		if ($('#cf7-api-start-migration').length > 0) {
 			new MigrationHandler();
 		}
+
+		if ($('#cf7-api-key-rotation').length > 0) {
+			new KeyRotationHandler();
+		}
 	});
 
 })(jQuery);
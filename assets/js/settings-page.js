@@ -16,6 +16,8 @@
 	 */
 	$(document).ready(function () {
 		initTestEmailButton();
+		initTestAlertButtons();
+		initFormConfigTool();
 	});
 
 	/**
@@ -80,6 +82,218 @@
 		});
 	}
 
+	/**
+	 * Initialize the test buttons of the alert channels
+	 *
+	 * Tests the webhook URL currently entered, saved or not.
+	 *
+	 * @since 2.5.0
+	 * @return {void}
+	 */
+	function initTestAlertButtons() {
+		$('.cf7-api-send-test-alert').on('click', function (e) {
+			e.preventDefault();
+
+			const button = $(this);
+			const channel = button.data('channel');
+			const resultSpan = button.siblings('.cf7-api-test-alert-result');
+			const url = $('#alert_channel_' + channel + '_url').val().trim();
+
+			if (!url) {
+				showResult(resultSpan, 'error', cf7ApiSettings.i18n.enterWebhookUrl);
+				return;
+			}
+
+			button.prop('disabled', true);
+			button.text(cf7ApiSettings.i18n.sending);
+			resultSpan.html('');
+
+			$.ajax({
+				url: cf7ApiSettings.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'cf7_api_send_test_alert',
+					nonce: cf7ApiSettings.nonce,
+					channel: channel,
+					url: url
+				},
+				success: function (response) {
+					// The error may quote the webhook response.
+					const message = $('<span>').text(response.data.message).html();
+					showResult(resultSpan, response.success ? 'success' : 'error', message);
+				},
+				error: function () {
+					showResult(resultSpan, 'error', cf7ApiSettings.i18n.testAlertError);
+				},
+				complete: function () {
+					button.prop('disabled', false);
+					button.text(cf7ApiSettings.i18n.sendTestAlert);
+				}
+			});
+		});
+	}
+
+	/**
+	 * Initialize the form configuration import and copy tool
+	 *
+	 * Changes are previewed first; editing the source or the targets
+	 * requires a new preview before they can be applied.
+	 *
+	 * @since 2.5.0
+	 * @return {void}
+	 */
+	function initFormConfigTool() {
+		const tool = $('#cf7-api-form-config-tool');
+		const previewButton = $('#cf7-api-form-config-preview');
+		const applyButton = $('#cf7-api-form-config-apply');
+		const resultSpan = $('#cf7-api-form-config-result');
+		const diff = $('#cf7-api-form-config-diff');
+		let payload = null;
+
+		if (!tool.length) {
+			return;
+		}
+
+		tool.on('change', 'input, select', function () {
+			payload = null;
+			applyButton.prop('disabled', true);
+			diff.empty();
+		});
+
+		previewButton.on('click', function (e) {
+			e.preventDefault();
+
+			const data = {
+				nonce: cf7ApiSettings.formConfigNonce,
+				target_ids: tool.find('input[name="cf7_api_config_targets[]"]:checked').map(function () {
+					return $(this).val();
+				}).get()
+			};
+
+			if (!data.target_ids.length) {
+				showResult(resultSpan, 'error', cf7ApiSettings.i18n.chooseTargets);
+				return;
+			}
+
+			if (tool.find('input[name="cf7_api_config_source"]:checked').val() === 'form') {
+				data.source_id = $('#cf7-api-form-config-source').val();
+				requestPreview(data);
+				return;
+			}
+
+			const file = $('#cf7-api-form-config-file')[0].files[0];
+			if (!file) {
+				showResult(resultSpan, 'error', cf7ApiSettings.i18n.chooseFile);
+				return;
+			}
+
+			const reader = new FileReader();
+			reader.onload = function () {
+				data.config = reader.result;
+				requestPreview(data);
+			};
+			reader.readAsText(file);
+		});
+
+		applyButton.on('click', function (e) {
+			e.preventDefault();
+
+			if (!payload || !window.confirm(cf7ApiSettings.i18n.confirmApply)) {
+				return;
+			}
+
+			applyButton.prop('disabled', true);
+			resultSpan.text(cf7ApiSettings.i18n.applyingChanges);
+
+			$.post(cf7ApiSettings.ajaxUrl, $.extend({}, payload, { action: 'cf7_api_form_config_apply' }))
+				.done(function (response) {
+					if (response.success) {
+						payload = null;
+						diff.empty();
+						showResult(resultSpan, 'success', response.data.message);
+					} else {
+						applyButton.prop('disabled', false);
+						showResult(resultSpan, 'error', response.data.message);
+					}
+				})
+				.fail(function () {
+					applyButton.prop('disabled', false);
+					showResult(resultSpan, 'error', cf7ApiSettings.i18n.formConfigError);
+				});
+		});
+
+		/**
+		 * Request and render the preview of a payload
+		 *
+		 * @param {Object} data Request data (nonce, target_ids and source_id or config).
+		 * @return {void}
+		 */
+		function requestPreview(data) {
+			previewButton.prop('disabled', true);
+			resultSpan.text(cf7ApiSettings.i18n.loadingPreview);
+			diff.empty();
+
+			$.post(cf7ApiSettings.ajaxUrl, $.extend({}, data, { action: 'cf7_api_form_config_preview' }))
+				.done(function (response) {
+					if (!response.success) {
+						showResult(resultSpan, 'error', response.data.message);
+						return;
+					}
+
+					resultSpan.empty();
+					response.data.targets.forEach(function (target) {
+						diff.append(renderTargetDiff(target));
+					});
+
+					payload = data;
+					applyButton.prop('disabled', false);
+				})
+				.fail(function () {
+					showResult(resultSpan, 'error', cf7ApiSettings.i18n.formConfigError);
+				})
+				.always(function () {
+					previewButton.prop('disabled', false);
+				});
+		}
+	}
+
+	/**
+	 * Render the changes a configuration makes to one form
+	 *
+	 * @since 2.5.0
+	 * @param {Object} target Target form (form_id, title, changes, warnings).
+	 * @return {jQuery} Diff element.
+	 */
+	function renderTargetDiff(target) {
+		const element = $('<div class="cf7-api-form-config-target-diff"></div>');
+
+		element.append($('<h4></h4>').text(target.title + ' (#' + target.form_id + ')'));
+
+		target.warnings.forEach(function (warning) {
+			element.append($('<div class="notice notice-warning inline"></div>').append($('<p></p>').text(warning)));
+		});
+
+		if (!target.changes.length) {
+			element.append($('<p class="description"></p>').text(cf7ApiSettings.i18n.noChanges));
+			return element;
+		}
+
+		const table = $('<table class="widefat striped"><thead><tr><th></th><th></th><th></th></tr></thead><tbody></tbody></table>');
+		table.find('th').eq(0).text(cf7ApiSettings.i18n.setting);
+		table.find('th').eq(1).text(cf7ApiSettings.i18n.before);
+		table.find('th').eq(2).text(cf7ApiSettings.i18n.after);
+
+		target.changes.forEach(function (change) {
+			$('<tr></tr>')
+				.append($('<td></td>').append($('<code></code>').text(change.key)))
+				.append($('<td class="cf7-api-diff-before"></td>').append($('<pre></pre>').text(change.before)))
+				.append($('<td class="cf7-api-diff-after"></td>').append($('<pre></pre>').text(change.after)))
+				.appendTo(table.find('tbody'));
+		});
+
+		return element.append(table);
+	}
+
 	/**
 	 * Show result message
 	 *
@@ -114,25 +114,45 @@ class Settings implements LoadableInterface {
 	 */
 	public static function get_defaults(): array {
 		return array(
-			'max_manual_retries'      => 3,
-			'max_retries_per_hour'    => 10,
-			'sensitive_patterns'      => array( 'password', 'token', 'secret', 'api_key', 'apikey', 'api-key' ),
-			'logging_enabled'         => true,
-			'log_retention_days'      => 30,
+			'max_manual_retries'        => 3,
+			'max_retries_per_hour'      => 10,
+			'sensitive_patterns'        => array( 'password', 'token', 'secret', 'api_key', 'apikey', 'api-key' ),
+			'logging_enabled'           => true,
+			'log_retention_days'        => 30,
 			// Email alert settings.
-			'alerts_enabled'          => false,
-			'alert_recipients'        => \get_option( 'admin_email' ),
-			'alert_error_threshold'   => 10,
-			'alert_rate_threshold'    => 20,
-			'alert_check_interval'    => 'hourly',
-			'alert_cooldown_hours'    => 4,
-			'alert_last_sent'         => 0,
-			'alert_types'             => array(
+			'alerts_enabled'            => false,
+			'alert_recipients'          => \get_option( 'admin_email' ),
+			'alert_error_threshold'     => 10,
+			'alert_rate_threshold'      => 20,
+			'alert_check_interval'      => 'hourly',
+			'alert_cooldown_hours'      => 4,
+			'alert_last_sent'           => 0,
+			'alert_types'               => array(
 				'threshold'  => true,  // Existing: high error rate alerts.
 				'individual' => false, // New: per-submission failure alerts.
 			),
+			// Slack, Teams and generic webhook alert channels keyed by channel ID.
+			'alert_channels'            => array(),
 			// Encryption settings.
-			'encryption_enabled'      => true,
+			'encryption_enabled'        => true,
+			// Delivery queue settings.
+			'queue_enabled'             => false,
+			'queue_batch_size'          => 10,
+			// Circuit breaker settings (threshold in consecutive failures, cooldown in minutes).
+			'circuit_breaker_enabled'   => true,
+			'circuit_breaker_threshold' => 5,
+			'circuit_breaker_cooldown'  => 5,
+			// File forwarding limits (MB).
+			'file_max_size'             => 5,
+			'file_max_total_size'       => 10,
+			// Request fields searchable through the blind-hash index.
+			'search_index_fields'       => array( 'email', 'phone' ),
+			// Scheduled log export: frequency (empty when off), format and logs screen filters.
+			'export_schedule'           => array(
+				'frequency' => '',
+				'format'    => 'csv',
+				'filters'   => array(),
+			),
 		);
 	}
 
@@ -399,4 +419,126 @@ class Settings implements LoadableInterface {
 		$alert_types = $this->get_alert_types();
 		return ! empty( $alert_types['individual'] );
 	}
+
+	/**
+	 * Get the settings of an alert channel
+	 *
+	 * @since 2.5.0
+	 * @param string $channel_id Channel ID (slack, teams, webhook).
+	 * @return array{enabled: bool, url: string, types: array{threshold: bool, individual: bool, dead_letter: bool, rule: bool}, cooldown_hours: int} Channel settings.
+	 */
+	public function get_alert_channel( string $channel_id ): array {
+		$channels = $this->get( 'alert_channels', array() );
+		$channel  = \is_array( $channels ) && \is_array( $channels[ $channel_id ] ?? null ) ? $channels[ $channel_id ] : array();
+		$types    = \is_array( $channel['types'] ?? null ) ? $channel['types'] : array();
+
+		return array(
+			'enabled'        => ! empty( $channel['enabled'] ),
+			'url'            => (string) ( $channel['url'] ?? '' ),
+			'types'          => array(
+				'threshold'   => (bool) ( $types['threshold'] ?? true ),
+				'individual'  => (bool) ( $types['individual'] ?? false ),
+				'dead_letter' => (bool) ( $types['dead_letter'] ?? true ),
+				'rule'        => (bool) ( $types['rule'] ?? true ),
+			),
+			'cooldown_hours' => \max( 0, (int) ( $channel['cooldown_hours'] ?? 1 ) ),
+		);
+	}
+
+	/**
+	 * Check if submissions are delivered through the background queue
+	 *
+	 * @since 2.5.0
+	 * @return bool
+	 */
+	public function is_queue_enabled(): bool {
+		return (bool) $this->get( 'queue_enabled', false );
+	}
+
+	/**
+	 * Get the number of queued deliveries a worker run sends
+	 *
+	 * @since 2.5.0
+	 * @return int Batch size (1-100).
+	 */
+	public function get_queue_batch_size(): int {
+		return \max( 1, \min( 100, (int) $this->get( 'queue_batch_size', 10 ) ) );
+	}
+
+	/**
+	 * Check if failing endpoints are skipped by their circuit breaker
+	 *
+	 * @since 2.5.0
+	 * @return bool
+	 */
+	public function is_circuit_breaker_enabled(): bool {
+		return (bool) $this->get( 'circuit_breaker_enabled', true );
+	}
+
+	/**
+	 * Get the number of consecutive failed deliveries that opens a circuit breaker
+	 *
+	 * @since 2.5.0
+	 * @return int Threshold (1-100).
+	 */
+	public function get_circuit_breaker_threshold(): int {
+		return \max( 1, \min( 100, (int) $this->get( 'circuit_breaker_threshold', 5 ) ) );
+	}
+
+	/**
+	 * Get how long an open circuit breaker waits before probing its endpoint
+	 *
+	 * @since 2.5.0
+	 * @return int Minutes (1-1440).
+	 */
+	public function get_circuit_breaker_cooldown(): int {
+		return \max( 1, \min( 1440, (int) $this->get( 'circuit_breaker_cooldown', 5 ) ) );
+	}
+
+	/**
+	 * Get the largest uploaded file forwarded to an API
+	 *
+	 * @since 2.5.0
+	 * @return int Size in bytes.
+	 */
+	public function get_file_max_size(): int {
+		return \max( 1, (int) $this->get( 'file_max_size', 5 ) ) * MB_IN_BYTES;
+	}
+
+	/**
+	 * Get the combined size limit of the files forwarded with one request
+	 *
+	 * @since 2.5.0
+	 * @return int Size in bytes.
+	 */
+	public function get_file_max_total_size(): int {
+		return \max( 1, (int) $this->get( 'file_max_total_size', 10 ) ) * MB_IN_BYTES;
+	}
+
+	/**
+	 * Get the request fields searchable through the search index
+	 *
+	 * @since 2.5.0
+	 * @return array<string> Field names.
+	 */
+	public function get_search_index_fields(): array {
+		return \array_values( \array_filter( (array) $this->get( 'search_index_fields', array( 'email', 'phone' ) ), 'is_string' ) );
+	}
+
+	/**
+	 * Get the scheduled log export
+	 *
+	 * @since 2.5.0
+	 * @return array{frequency: string, format: string, filters: array<string, int|string>} Frequency is empty when scheduled exports are off.
+	 */
+	public function get_export_schedule(): array {
+		$schedule = $this->get( 'export_schedule', array() );
+		$schedule = \is_array( $schedule ) ? $schedule : array();
+
+		return array(
+			'frequency' => (string) ( $schedule['frequency'] ?? '' ),
+			'format'    => (string) ( $schedule['format'] ?? 'csv' ),
+			'filters'   => \is_array( $schedule['filters'] ?? null ) ? $schedule['filters'] : array(),
+		);
+	}
 }
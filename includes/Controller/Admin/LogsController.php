@@ -19,12 +19,18 @@ use SilverAssist\ContactFormToAPI\Core\AssetHelper;
 use SilverAssist\ContactFormToAPI\Core\Interfaces\LoadableInterface;
 use SilverAssist\ContactFormToAPI\Infrastructure\ListTable\RequestLogTable;
 use SilverAssist\ContactFormToAPI\Service\Api\ApiClient;
+use SilverAssist\ContactFormToAPI\Service\Api\CircuitBreaker;
+use SilverAssist\ContactFormToAPI\Service\Api\DeliveryQueue;
 use SilverAssist\ContactFormToAPI\Service\Export\ExportService;
+use SilverAssist\ContactFormToAPI\Service\Export\ScheduledExportService;
 use SilverAssist\ContactFormToAPI\Service\Logging\LogReader;
 use SilverAssist\ContactFormToAPI\Service\Logging\LogStatistics;
 use SilverAssist\ContactFormToAPI\Service\Logging\RetryManager;
+use SilverAssist\ContactFormToAPI\Service\Logging\SearchIndex;
 use SilverAssist\ContactFormToAPI\Service\Notification\EmailAlertService;
 use SilverAssist\ContactFormToAPI\Utils\DateFilterTrait;
+use SilverAssist\ContactFormToAPI\Utils\RequestFormatter;
+use SilverAssist\ContactFormToAPI\View\Admin\Logs\Partials\StatisticsPartial;
 use SilverAssist\ContactFormToAPI\View\Admin\Logs\RequestLogView;
 
 \defined( 'ABSPATH' ) || exit;
@@ -99,6 +105,16 @@ class LogsController implements LoadableInterface {
 		// Handle exports early before any output is sent.
 		\add_action( 'admin_init', array( $this, 'maybe_handle_export' ) );
 
+		// Scheduled exports.
+		\add_action( 'admin_post_cf7_api_schedule_export', array( $this, 'handle_schedule_export' ) );
+		\add_action( 'admin_post_cf7_api_download_export', array( $this, 'handle_download_export' ) );
+		\add_action( 'admin_post_nopriv_cf7_api_download_export', 'auth_redirect' );
+
+		// Live refresh of the logs list.
+		\add_action( 'wp_ajax_cf7_api_logs_refresh', array( $this, 'handle_refresh' ) );
+		\add_action( 'wp_ajax_cf7_api_log_detail', array( $this, 'handle_log_detail' ) );
+		\add_action( 'wp_ajax_cf7_api_request_command', array( $this, 'handle_request_command' ) );
+
 		$this->initialized = true;
 	}
 
@@ -123,13 +139,96 @@ class LogsController implements LoadableInterface {
 
 		// Check for export actions.
 		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Nonce is verified in handle_export_action().
-		if ( ! isset( $_GET['action'] ) || ! \in_array( $_GET['action'], array( 'export_csv', 'export_json' ), true ) ) {
+		if ( ! isset( $_GET['action'] ) || ! \in_array( $_GET['action'], array( 'export_csv', 'export_json', 'export_ndjson' ), true ) ) {
 			return;
 		}
 
 		$this->handle_export_action();
 	}
 
+	/**
+	 * Save the scheduled export from the logs screen
+	 *
+	 * The schedule keeps the filters the logs screen had when it was saved.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_schedule_export(): void {
+		if ( ! \current_user_can( 'manage_options' ) ) {
+			\wp_die( \esc_html__( 'You do not have permission to access this page.', 'contact-form-to-api' ) );
+		}
+
+		if ( ! isset( $_POST['_wpnonce'] ) || ! \wp_verify_nonce( \sanitize_text_field( \wp_unslash( $_POST['_wpnonce'] ) ), 'cf7_api_schedule_export' ) ) {
+			\wp_die( \esc_html__( 'Security check failed', 'contact-form-to-api' ) );
+		}
+
+		$frequency = isset( $_POST['export_frequency'] ) ? \sanitize_key( \wp_unslash( $_POST['export_frequency'] ) ) : '';
+		$format    = isset( $_POST['export_format'] ) ? \sanitize_key( \wp_unslash( $_POST['export_format'] ) ) : 'csv';
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized by sanitize_filters().
+		$filters = ExportService::sanitize_filters( isset( $_POST['filters'] ) && \is_array( $_POST['filters'] ) ? \wp_unslash( $_POST['filters'] ) : array() );
+
+		ScheduledExportService::instance()->update_schedule( $frequency, $format, $filters );
+
+		$args = \array_merge(
+			array(
+				'page'             => 'cf7-api-logs',
+				'export_scheduled' => \in_array( $frequency, ScheduledExportService::FREQUENCIES, true ) ? $frequency : 'off',
+			),
+			$filters
+		);
+		\wp_safe_redirect( \add_query_arg( $args, \admin_url( 'admin.php' ) ) );
+		exit;
+	}
+
+	/**
+	 * Download a scheduled export file
+	 *
+	 * Linked from the scheduled export email, so there is no nonce; the file
+	 * name is unguessable and the `manage_options` capability is required.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_download_export(): void {
+		if ( ! \current_user_can( 'manage_options' ) ) {
+			\wp_die( \esc_html__( 'You do not have permission to access this page.', 'contact-form-to-api' ) );
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only download, see above.
+		$filename = isset( $_GET['file'] ) ? \sanitize_file_name( \wp_unslash( $_GET['file'] ) ) : '';
+		$path     = ScheduledExportService::instance()->get_file_path( $filename );
+
+		if ( null === $path ) {
+			\wp_die(
+				\esc_html(
+					\sprintf(
+						/* translators: %d: number of days */
+						\__( 'The export file was not found. Scheduled exports are deleted after %d days.', 'contact-form-to-api' ),
+						ScheduledExportService::RETENTION_DAYS
+					)
+				),
+				'',
+				array( 'response' => 404 )
+			);
+		}
+
+		while ( \ob_get_level() > 0 ) {
+			\ob_end_clean();
+		}
+
+		$format = \pathinfo( $path, PATHINFO_EXTENSION );
+		\header( 'Content-Type: ' . ExportService::instance()->get_content_type( $format ) . '; charset=utf-8' );
+		\header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+		\header( 'Content-Length: ' . \filesize( $path ) );
+		\header( 'Pragma: no-cache' );
+		\header( 'Expires: 0' );
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_readfile -- Streaming the export file.
+		\readfile( $path );
+		exit;
+	}
+
 	/**
 	 * Get loading priority
 	 *
@@ -172,6 +271,9 @@ class LogsController implements LoadableInterface {
 
 		\add_action( "load-{$hook}", array( $this, 'screen_options' ) );
 		\add_action( "load-{$hook}", array( $this, 'process_bulk_actions' ) );
+		\add_action( "load-{$hook}", array( $this, 'process_queue_actions' ) );
+		\add_action( "load-{$hook}", array( $this, 'process_circuit_actions' ) );
+		\add_action( "load-{$hook}", array( $this, 'process_resend_action' ) );
 	}
 
 	/**
@@ -268,6 +370,180 @@ class LogsController implements LoadableInterface {
 		}
 	}
 
+	/**
+	 * Process delivery queue controls
+	 *
+	 * Runs a worker batch immediately or pauses/resumes the queue workers.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function process_queue_actions(): void {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Nonce is verified below.
+		$action = isset( $_GET['queue_action'] ) ? \sanitize_key( \wp_unslash( $_GET['queue_action'] ) ) : '';
+
+		if ( ! \in_array( $action, array( 'process', 'pause', 'resume' ), true ) ) {
+			return;
+		}
+
+		if ( ! \current_user_can( 'manage_options' ) ) {
+			\wp_die( \esc_html__( 'You do not have permission to access this page.', 'contact-form-to-api' ) );
+		}
+
+		if ( ! isset( $_GET['_wpnonce'] ) || ! \wp_verify_nonce( \sanitize_text_field( \wp_unslash( $_GET['_wpnonce'] ) ), 'cf7_api_queue' ) ) {
+			\wp_die( \esc_html__( 'Security check failed', 'contact-form-to-api' ) );
+		}
+
+		$queue = DeliveryQueue::instance();
+
+		switch ( $action ) {
+			case 'process':
+				$args = array( 'queue_processed' => $queue->process_queue() );
+				break;
+
+			case 'pause':
+				$queue->pause();
+				$args = array( 'queue_paused' => 1 );
+				break;
+
+			default:
+				$queue->resume();
+				$args = array( 'queue_resumed' => 1 );
+				break;
+		}
+
+		$redirect = \add_query_arg( $args, \admin_url( 'admin.php?page=cf7-api-logs' ) );
+		\wp_safe_redirect( $redirect );
+		exit;
+	}
+
+	/**
+	 * Process circuit breaker controls
+	 *
+	 * Resets the breaker of an endpoint and runs the queue worker for the
+	 * deliveries it was holding.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function process_circuit_actions(): void {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Nonce is verified below.
+		$action = isset( $_GET['circuit_action'] ) ? \sanitize_key( \wp_unslash( $_GET['circuit_action'] ) ) : '';
+
+		if ( 'reset' !== $action ) {
+			return;
+		}
+
+		if ( ! \current_user_can( 'manage_options' ) ) {
+			\wp_die( \esc_html__( 'You do not have permission to access this page.', 'contact-form-to-api' ) );
+		}
+
+		if ( ! isset( $_GET['_wpnonce'] ) || ! \wp_verify_nonce( \sanitize_text_field( \wp_unslash( $_GET['_wpnonce'] ) ), 'cf7_api_circuit' ) ) {
+			\wp_die( \esc_html__( 'Security check failed', 'contact-form-to-api' ) );
+		}
+
+		$endpoint = isset( $_GET['circuit_endpoint'] ) ? \esc_url_raw( \wp_unslash( $_GET['circuit_endpoint'] ) ) : '';
+
+		if ( ( new CircuitBreaker() )->reset( $endpoint ) ) {
+			DeliveryQueue::instance()->schedule_next_run();
+		}
+
+		$redirect = \add_query_arg( 'circuit_reset', 1, \admin_url( 'admin.php?page=cf7-api-logs' ) );
+		\wp_safe_redirect( $redirect );
+		exit;
+	}
+
+	/**
+	 * Process edit and resend
+	 *
+	 * Sends a failed request again with the headers and body edited in the
+	 * log detail. The result is logged as a manual retry of the original
+	 * entry and counts towards the same retry limits.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function process_resend_action(): void {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce is verified below.
+		$log_id = isset( $_POST['cf7_api_resend'] ) ? \absint( $_POST['cf7_api_resend'] ) : 0;
+
+		if ( ! $log_id ) {
+			return;
+		}
+
+		if ( ! \current_user_can( 'manage_options' ) ) {
+			\wp_die( \esc_html__( 'You do not have permission to access this page.', 'contact-form-to-api' ) );
+		}
+
+		if ( ! isset( $_POST['_wpnonce'] ) || ! \wp_verify_nonce( \sanitize_text_field( \wp_unslash( $_POST['_wpnonce'] ) ), 'cf7_api_resend_' . $log_id ) ) {
+			\wp_die( \esc_html__( 'Security check failed', 'contact-form-to-api' ) );
+		}
+
+		$log           = $this->get_log_by_id( $log_id );
+		$retry_manager = new RetryManager();
+		$max_retries   = RetryManager::get_max_manual_retries();
+
+		if ( ! $log || ! $retry_manager->can_retry( $log ) ) {
+			\wp_safe_redirect( \add_query_arg( array( 'retried_skipped' => 1 ), \admin_url( 'admin.php?page=cf7-api-logs' ) ) );
+			exit;
+		}
+
+		if ( $this->count_recent_retries( 1 ) >= RetryManager::get_max_retries_per_hour() ) {
+			\wp_safe_redirect( \add_query_arg( array( 'retry_error' => 'rate_limit' ), \admin_url( 'admin.php?page=cf7-api-logs' ) ) );
+			exit;
+		}
+
+		$headers = $this->parse_header_lines( isset( $_POST['resend_headers'] ) ? \sanitize_textarea_field( \wp_unslash( $_POST['resend_headers'] ) ) : '' );
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sent to the API as entered, never output.
+		$body = isset( $_POST['resend_body'] ) ? (string) \wp_unslash( $_POST['resend_body'] ) : '';
+
+		// Fields and JSON bodies were logged as arrays and are edited as JSON.
+		if ( \is_array( \json_decode( (string) $log['request_data'], true ) ) ) {
+			$body = \json_decode( $body, true );
+			if ( ! \is_array( $body ) ) {
+				\wp_safe_redirect( \add_query_arg( array( 'retry_error' => 'invalid_body' ), \admin_url( 'admin.php?page=cf7-api-logs' ) ) );
+				exit;
+			}
+		}
+
+		$result = ApiClient::instance()->retry_from_log(
+			$log_id,
+			array(
+				'headers' => $headers,
+				'body'    => $body,
+			)
+		);
+
+		if ( ! $result['success'] && $retry_manager->count_retries( $log_id, false ) >= $max_retries ) {
+			$this->maybe_trigger_individual_alert( $log_id );
+		}
+
+		$args = $result['success'] ? array( 'retried_success' => 1 ) : array( 'retried_failed' => 1 );
+		\wp_safe_redirect( \add_query_arg( $args, \admin_url( 'admin.php?page=cf7-api-logs' ) ) );
+		exit;
+	}
+
+	/**
+	 * Parse "Name: value" header lines
+	 *
+	 * @since 2.5.0
+	 * @param string $lines One header per line.
+	 * @return array<string, string> Header values keyed by name.
+	 */
+	private function parse_header_lines( string $lines ): array {
+		$headers = array();
+
+		foreach ( \preg_split( '/\R/', $lines ) ?: array() as $line ) {
+			$parts = \explode( ':', $line, 2 );
+			$name  = \trim( $parts[0] );
+			if ( 2 === \count( $parts ) && '' !== $name ) {
+				$headers[ $name ] = \trim( $parts[1] );
+			}
+		}
+
+		return $headers;
+	}
+
 	/**
 	 * Handle delete action
 	 *
@@ -286,6 +562,8 @@ class LogsController implements LoadableInterface {
 			);
 		}
 
+		SearchIndex::instance()->delete_orphans();
+
 		$redirect = \add_query_arg(
 			array( 'deleted' => \count( $log_ids ) ),
 			\wp_get_referer()
@@ -336,7 +614,7 @@ class LogsController implements LoadableInterface {
 			}
 
 			// Check per-entry retry limit.
-			$retry_count = $retry_manager->count_retries( $log_id );
+			$retry_count = $retry_manager->count_retries( $log_id, false );
 			if ( $retry_count >= $max_retries_per_entry ) {
 				// Trigger individual failure alert if retries exhausted.
 				$this->maybe_trigger_individual_alert( $log_id );
@@ -359,7 +637,7 @@ class LogsController implements LoadableInterface {
 				++$failed_count;
 
 				// Check if this was the last allowed retry.
-				$updated_retry_count = $retry_manager->count_retries( $log_id );
+				$updated_retry_count = $retry_manager->count_retries( $log_id, false );
 				if ( $updated_retry_count >= $max_retries_per_entry ) {
 					// Trigger individual failure alert after final retry failed.
 					$this->maybe_trigger_individual_alert( $log_id );
@@ -400,6 +678,7 @@ class LogsController implements LoadableInterface {
 			$wpdb->prepare(
 				'SELECT COUNT(*) FROM %i 
 				WHERE retry_of IS NOT NULL 
+				AND is_auto_retry = 0
 				AND created_at >= DATE_SUB(NOW(), INTERVAL %d HOUR)',
 				$table_name,
 				$hours
@@ -464,8 +743,164 @@ class LogsController implements LoadableInterface {
 		$stats        = $stats_data['stats'];
 		$date_context = $stats_data['date_context'];
 
+		$export_schedule             = Settings::instance()->get_export_schedule();
+		$export_schedule['next_run'] = ScheduledExportService::instance()->get_next_run();
+
 		// Render page.
-		RequestLogView::render_page( $this->list_table, $forms_with_logs, $stats, $date_context );
+		RequestLogView::render_page( $this->list_table, $forms_with_logs, $stats, $date_context, DeliveryQueue::instance()->get_status(), $export_schedule, ( new CircuitBreaker() )->get_all() );
+	}
+
+	/**
+	 * Handle live refresh AJAX request
+	 *
+	 * Re-renders the current page of the logs list with the filters, sorting
+	 * and page sent by the logs screen, along with the status counts and the
+	 * statistics, so new and updated entries show up without a reload.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_refresh(): void {
+		if ( ! \current_user_can( 'manage_options' ) ) {
+			\wp_send_json_error( array( 'message' => \__( 'Permission denied', 'contact-form-to-api' ) ) );
+		}
+
+		if ( ! isset( $_GET['nonce'] ) || ! \wp_verify_nonce( \sanitize_text_field( \wp_unslash( $_GET['nonce'] ) ), 'cf7_api_logs_refresh' ) ) {
+			\wp_send_json_error( array( 'message' => \__( 'Security check failed', 'contact-form-to-api' ) ) );
+		}
+
+		if ( ! $this->is_logging_enabled() ) {
+			\wp_send_json_error( array( 'message' => \__( 'API logging is disabled.', 'contact-form-to-api' ) ) );
+		}
+
+		$list_table = new RequestLogTable( $this->get_page_url() );
+		$list_table->prepare_items();
+
+		$stats_data = $this->get_statistics_data();
+		\ob_start();
+		StatisticsPartial::render( $stats_data['stats'], $stats_data['date_context'] );
+		$stats_html = (string) \ob_get_clean();
+
+		$total_items = $list_table->get_total_items();
+
+		\wp_send_json_success(
+			array(
+				'rows'        => $list_table->get_rows_html(),
+				'views'       => $list_table->get_views_html(),
+				'stats'       => $stats_html,
+				'total_items' => $total_items,
+				'total_label' => \sprintf(
+					/* translators: %s: number of log entries */
+					\_n( '%s item', '%s items', $total_items, 'contact-form-to-api' ),
+					\number_format_i18n( $total_items )
+				),
+				'updated_at'  => \current_time( (string) \get_option( 'time_format' ) ),
+			)
+		);
+	}
+
+	/**
+	 * Handle log detail AJAX request
+	 *
+	 * Renders a log entry for the drawer on the logs list, including the
+	 * comparison of its original request with every retry.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_log_detail(): void {
+		if ( ! \current_user_can( 'manage_options' ) ) {
+			\wp_send_json_error( array( 'message' => \__( 'Permission denied', 'contact-form-to-api' ) ) );
+		}
+
+		if ( ! isset( $_GET['nonce'] ) || ! \wp_verify_nonce( \sanitize_text_field( \wp_unslash( $_GET['nonce'] ) ), 'cf7_api_log_detail' ) ) {
+			\wp_send_json_error( array( 'message' => \__( 'Security check failed', 'contact-form-to-api' ) ) );
+		}
+
+		$log = $this->get_log_by_id( isset( $_GET['log_id'] ) ? \absint( $_GET['log_id'] ) : 0 );
+		if ( ! $log ) {
+			\wp_send_json_error( array( 'message' => \__( 'Log entry not found.', 'contact-form-to-api' ) ) );
+		}
+
+		$retry_manager = new RetryManager();
+		$deliveries    = ! empty( $log['submission_id'] ) ? ( new LogReader() )->get_logs_by_submission( (string) $log['submission_id'] ) : array();
+
+		// Retries are compared with the request they retried.
+		$original = ! empty( $log['retry_of'] ) ? $this->get_log_by_id( (int) $log['retry_of'] ) : $log;
+		$retries  = array();
+		if ( $original ) {
+			foreach ( $retry_manager->get_retries_for_log( (int) $original['id'] ) as $retry ) {
+				$retry_log = $this->get_log_by_id( (int) $retry['id'] );
+				if ( $retry_log ) {
+					$retries[] = $retry_log;
+				}
+			}
+		}
+
+		\ob_start();
+		RequestLogView::render_drawer( $log, $retry_manager, $deliveries, $original, $retries );
+
+		\wp_send_json_success(
+			array(
+				/* translators: %d: log ID */
+				'title' => \sprintf( \__( 'API Log #%d', 'contact-form-to-api' ), $log['id'] ),
+				'html'  => (string) \ob_get_clean(),
+			)
+		);
+	}
+
+	/**
+	 * Handle request command AJAX request
+	 *
+	 * Formats a logged request with its sensitive body fields unmasked. The
+	 * masked commands are rendered with the log detail; unmasked ones are
+	 * only sent when asked for.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_request_command(): void {
+		if ( ! \current_user_can( 'manage_options' ) ) {
+			\wp_send_json_error( array( 'message' => \__( 'Permission denied', 'contact-form-to-api' ) ) );
+		}
+
+		if ( ! isset( $_GET['nonce'] ) || ! \wp_verify_nonce( \sanitize_text_field( \wp_unslash( $_GET['nonce'] ) ), 'cf7_api_request_command' ) ) {
+			\wp_send_json_error( array( 'message' => \__( 'Security check failed', 'contact-form-to-api' ) ) );
+		}
+
+		$format = isset( $_GET['format'] ) ? \sanitize_key( \wp_unslash( $_GET['format'] ) ) : '';
+		$log    = $this->get_log_by_id( isset( $_GET['log_id'] ) ? \absint( $_GET['log_id'] ) : 0 );
+
+		if ( ! $log || ! \in_array( $format, RequestFormatter::FORMATS, true ) ) {
+			\wp_send_json_error( array( 'message' => \__( 'Log entry not found.', 'contact-form-to-api' ) ) );
+		}
+
+		\wp_send_json_success( array( 'command' => RequestFormatter::format( $log, $format, false ) ) );
+	}
+
+	/**
+	 * Get the logs page URL with the current filters, sorting and page
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	private function get_page_url(): string {
+		$args = array( 'page' => 'cf7-api-logs' );
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only filter values, nonce verified by the caller.
+		$query = \wp_unslash( $_GET );
+		foreach ( array( 'status', 's', 'date_filter', 'date_start', 'date_end', 'orderby', 'order' ) as $key ) {
+			if ( isset( $query[ $key ] ) && '' !== $query[ $key ] && \is_string( $query[ $key ] ) ) {
+				$args[ $key ] = \sanitize_text_field( $query[ $key ] );
+			}
+		}
+		foreach ( array( 'form_id', 'paged' ) as $key ) {
+			if ( ! empty( $query[ $key ] ) ) {
+				$args[ $key ] = \absint( $query[ $key ] );
+			}
+		}
+
+		return \add_query_arg( \urlencode_deep( $args ), \admin_url( 'admin.php' ) );
 	}
 
 	/**
@@ -481,8 +916,11 @@ class LogsController implements LoadableInterface {
 			\wp_die( \esc_html__( 'Log entry not found.', 'contact-form-to-api' ) );
 		}
 
+		// Other deliveries of the same submission (multi-destination forms).
+		$deliveries = ! empty( $log['submission_id'] ) ? ( new LogReader() )->get_logs_by_submission( (string) $log['submission_id'] ) : array();
+
 		$retry_manager = new RetryManager();
-		RequestLogView::render_detail( $log, $retry_manager );
+		RequestLogView::render_detail( $log, $retry_manager, $deliveries );
 	}
 
 	/**
@@ -686,6 +1124,14 @@ class LogsController implements LoadableInterface {
 			true
 		);
 
+		/**
+		 * Filters how often the live logs screen checks for new entries.
+		 *
+		 * @since 2.5.0
+		 * @param int $seconds Polling interval in seconds (minimum 5).
+		 */
+		$refresh_interval = \max( 5, (int) \apply_filters( 'cf7_api_logs_refresh_interval', 15 ) );
+
 		// Localize script with translated strings.
 		\wp_localize_script(
 			'cf7-api-log-admin',
@@ -698,6 +1144,25 @@ class LogsController implements LoadableInterface {
 				'confirmBulkRetry'   => \__( 'Are you sure you want to retry the selected requests?', 'contact-form-to-api' ),
 				'dateStartBeforeEnd' => \__( 'Start date must be before or equal to end date.', 'contact-form-to-api' ),
 				'dateEndAfterStart'  => \__( 'End date must be after or equal to start date.', 'contact-form-to-api' ),
+				'ajaxUrl'            => \admin_url( 'admin-ajax.php' ),
+				'refreshNonce'       => \wp_create_nonce( 'cf7_api_logs_refresh' ),
+				'refreshInterval'    => $refresh_interval * 1000,
+				/* translators: %s: number of new log entries */
+				'newEntries'         => \__( '%s new entries', 'contact-form-to-api' ),
+				'newEntry'           => \__( '1 new entry', 'contact-form-to-api' ),
+				/* translators: %s: time of the last refresh */
+				'updatedAt'          => \__( 'Updated %s', 'contact-form-to-api' ),
+				'refreshFailed'      => \__( 'Live update failed. Retrying…', 'contact-form-to-api' ),
+				'pause'              => \__( 'Pause', 'contact-form-to-api' ),
+				'resume'             => \__( 'Resume', 'contact-form-to-api' ),
+				'detailNonce'        => \wp_create_nonce( 'cf7_api_log_detail' ),
+				'loading'            => \__( 'Loading…', 'contact-form-to-api' ),
+				'detailFailed'       => \__( 'The log entry could not be loaded.', 'contact-form-to-api' ),
+				'close'              => \__( 'Close', 'contact-form-to-api' ),
+				'copied'             => \__( 'Copied!', 'contact-form-to-api' ),
+				'commandNonce'       => \wp_create_nonce( 'cf7_api_request_command' ),
+				'copyFailed'         => \__( 'The request could not be copied.', 'contact-form-to-api' ),
+				'confirmResend'      => \__( 'Send this edited request to the API?', 'contact-form-to-api' ),
 			)
 		);
 	}
@@ -721,143 +1186,55 @@ class LogsController implements LoadableInterface {
 		}
 
 		$action = \sanitize_text_field( \wp_unslash( $_GET['action'] ) );
+		$format = \substr( $action, \strlen( 'export_' ) );
 
-		switch ( $action ) {
-			case 'export_csv':
-				$this->handle_export_csv();
-				break;
-
-			case 'export_json':
-				$this->handle_export_json();
-				break;
-
-			default:
-				\wp_die( \esc_html__( 'Invalid export action.', 'contact-form-to-api' ) );
+		if ( ! \in_array( $format, ExportService::FORMATS, true ) ) {
+			\wp_die( \esc_html__( 'Invalid export action.', 'contact-form-to-api' ) );
 		}
+
+		$this->handle_export( $format );
 	}
 
 	/**
-	 * Handle CSV export
+	 * Handle export download
 	 *
-	 * Exports logs to CSV format with current filters applied.
+	 * Streams the logs matching the current filters straight to the browser,
+	 * so exports are not limited by memory.
 	 *
+	 * @since 2.5.0
+	 * @param string $format One of ExportService::FORMATS.
 	 * @return void
 	 */
-	private function handle_export_csv(): void {
-		$logs = $this->get_filtered_logs();
-
+	private function handle_export( string $format ): void {
 		$export_service = ExportService::instance();
-		$csv_content    = $export_service->export_csv( $logs );
-		$filename       = $export_service->get_export_filename( 'csv' );
-
-		// Set headers for download.
-		\header( 'Content-Type: text/csv; charset=utf-8' );
-		\header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
-		\header( 'Pragma: no-cache' );
-		\header( 'Expires: 0' );
-
-		echo $csv_content; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- CSV content is escaped via fputcsv() for CSV format.
-		exit;
-	}
+		$filename       = $export_service->get_export_filename( $format );
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized, WordPress.Security.NonceVerification.Recommended -- Sanitized by sanitize_filters(); nonce verified in handle_export_action().
+		$filters = ExportService::sanitize_filters( \wp_unslash( $_GET ) );
 
-	/**
-	 * Handle JSON export
-	 *
-	 * Exports logs to JSON format with current filters applied.
-	 *
-	 * @return void
-	 */
-	private function handle_export_json(): void {
-		$logs = $this->get_filtered_logs();
+		// Large exports take longer than the default execution time.
+		if ( \function_exists( 'set_time_limit' ) ) {
+			\set_time_limit( 0 );
+		}
 
-		$export_service = ExportService::instance();
-		$json_content   = $export_service->export_json( $logs );
-		$filename       = $export_service->get_export_filename( 'json' );
+		// Send rows as they are written instead of buffering the whole file.
+		while ( \ob_get_level() > 0 ) {
+			\ob_end_clean();
+		}
 
 		// Set headers for download.
-		\header( 'Content-Type: application/json; charset=utf-8' );
+		\header( 'Content-Type: ' . $export_service->get_content_type( $format ) . '; charset=utf-8' );
 		\header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
 		\header( 'Pragma: no-cache' );
 		\header( 'Expires: 0' );
 
-		echo $json_content; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- JSON content is escaped via wp_json_encode() for JSON format.
-		exit;
-	}
-
-	/**
-	 * Maximum number of logs to export
-	 *
-	 * Prevents memory exhaustion on large datasets.
-	 */
-	private const EXPORT_LIMIT = 10000;
-
-	/**
-	 * Get filtered logs for export
-	 *
-	 * Retrieves logs matching current filters with a reasonable limit to prevent memory issues.
-	 * Maximum of 10,000 records can be exported at once.
-	 *
-	 * @return array<int, array<string, mixed>> Array of log entries.
-	 */
-	private function get_filtered_logs(): array {
-		global $wpdb;
-		$table_name = $wpdb->prefix . 'cf7_api_logs';
-
-		// Build WHERE clause with same logic as RequestLogTable.
-		$where        = '1=1';
-		$where_values = array();
-
-		// Filter by status.
-		if ( isset( $_GET['status'] ) && 'all' !== $_GET['status'] ) {
-			$status = \sanitize_text_field( \wp_unslash( $_GET['status'] ) );
-			if ( 'error' === $status ) {
-				$where .= " AND status IN ('error', 'client_error', 'server_error')";
-			} else {
-				$where         .= ' AND status = %s';
-				$where_values[] = $status;
-			}
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen -- Output stream, not filesystem.
+		$output = \fopen( 'php://output', 'w' );
+		if ( false !== $output ) {
+			$export_service->stream( $output, $format, $filters );
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose -- Output stream, not filesystem.
+			\fclose( $output );
 		}
-
-		// Filter by form ID.
-		if ( isset( $_GET['form_id'] ) && ! empty( $_GET['form_id'] ) ) {
-			$where         .= ' AND form_id = %d';
-			$where_values[] = \absint( $_GET['form_id'] );
-		}
-
-		// Search functionality.
-		if ( isset( $_GET['s'] ) && ! empty( $_GET['s'] ) ) {
-			$search         = '%' . $wpdb->esc_like( \sanitize_text_field( \wp_unslash( $_GET['s'] ) ) ) . '%';
-			$where         .= ' AND (endpoint LIKE %s OR error_message LIKE %s)';
-			$where_values[] = $search;
-			$where_values[] = $search;
-		}
-
-		// Apply date filter using shared trait method.
-		$params      = $this->get_date_filter_params();
-		$date_filter = $this->build_date_filter_clause( $params['filter'], $params['start'], $params['end'] );
-		if ( ! empty( $date_filter['clause'] ) ) {
-			$where         .= ' ' . $date_filter['clause'];
-			$where_values   = \array_merge( $where_values, $date_filter['values'] );
-		}
-
-		// Prepare WHERE clause.
-		if ( ! empty( $where_values ) ) {
-			$where = $wpdb->prepare( $where, ...$where_values );
-		}
-
-		// Get logs matching filters with limit to prevent memory exhaustion.
-		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared -- WHERE clause is prepared above if needed.
-		$logs = $wpdb->get_results(
-			$wpdb->prepare(
-				'SELECT * FROM %i WHERE ' . $where . ' ORDER BY created_at DESC LIMIT %d',
-				$table_name,
-				self::EXPORT_LIMIT
-			),
-			ARRAY_A
-		);
-		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
-
-		return $logs ?: array();
+		exit;
 	}
 
 	/**
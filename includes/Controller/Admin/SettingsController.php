@@ -18,7 +18,9 @@ use SilverAssist\ContactFormToAPI\Config\Settings;
 use SilverAssist\ContactFormToAPI\Core\AssetHelper;
 use SilverAssist\ContactFormToAPI\Core\Interfaces\LoadableInterface;
 use SilverAssist\ContactFormToAPI\Core\Plugin;
+use SilverAssist\ContactFormToAPI\Service\ContactForm\FormConfigManager;
 use SilverAssist\ContactFormToAPI\Service\Migration\MigrationService;
+use SilverAssist\ContactFormToAPI\Service\Notification\AlertChannelService;
 use SilverAssist\ContactFormToAPI\Service\Notification\EmailAlertService;
 
 \defined( 'ABSPATH' ) || exit;
@@ -95,12 +97,25 @@ class SettingsController implements LoadableInterface {
 
 		// Handle AJAX test email.
 		\add_action( 'wp_ajax_cf7_api_send_test_email', array( $this, 'handle_test_email' ) );
+		\add_action( 'wp_ajax_cf7_api_send_test_alert', array( $this, 'handle_test_alert' ) );
 
 		// Handle AJAX migration endpoints.
 		\add_action( 'wp_ajax_cf7_api_migration_start', array( $this, 'handle_start_migration' ) );
 		\add_action( 'wp_ajax_cf7_api_migration_batch', array( $this, 'handle_process_batch' ) );
 		\add_action( 'wp_ajax_cf7_api_migration_status', array( $this, 'handle_get_status' ) );
 		\add_action( 'wp_ajax_cf7_api_migration_cancel', array( $this, 'handle_cancel_migration' ) );
+		\add_action( 'wp_ajax_cf7_api_migration_failures', array( $this, 'handle_get_failures' ) );
+
+		// Handle AJAX key rotation endpoints (status is part of cf7_api_migration_status).
+		\add_action( 'wp_ajax_cf7_api_key_rotation_start', array( $this, 'handle_start_key_rotation' ) );
+		\add_action( 'wp_ajax_cf7_api_key_rotation_batch', array( $this, 'handle_rotate_batch' ) );
+		\add_action( 'wp_ajax_cf7_api_key_rotation_pause', array( $this, 'handle_pause_key_rotation' ) );
+		\add_action( 'wp_ajax_cf7_api_key_rotation_clear', array( $this, 'handle_clear_key_rotation' ) );
+
+		// Handle form API config export, import and copy.
+		\add_action( 'admin_post_cf7_api_export_form_config', array( $this, 'handle_export_form_config' ) );
+		\add_action( 'wp_ajax_cf7_api_form_config_preview', array( $this, 'handle_form_config_preview' ) );
+		\add_action( 'wp_ajax_cf7_api_form_config_apply', array( $this, 'handle_form_config_apply' ) );
 
 		// Enqueue admin scripts.
 		\add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_assets' ) );
@@ -158,14 +173,28 @@ class SettingsController implements LoadableInterface {
 			'cf7-api-settings',
 			'cf7ApiSettings',
 			array(
-				'ajaxUrl' => \admin_url( 'admin-ajax.php' ),
-				'nonce'   => \wp_create_nonce( 'cf7_api_test_email' ),
+				'ajaxUrl'         => \admin_url( 'admin-ajax.php' ),
+				'nonce'           => \wp_create_nonce( 'cf7_api_test_email' ),
+				'formConfigNonce' => \wp_create_nonce( 'cf7_api_form_config' ),
 				// i18n strings for JavaScript.
-				'i18n'    => array(
-					'enterRecipient' => \__( 'Please enter a recipient email address.', 'contact-form-to-api' ),
-					'sending'        => \__( 'Sending...', 'contact-form-to-api' ),
-					'sendTestEmail'  => \__( 'Send Test Email', 'contact-form-to-api' ),
-					'ajaxError'      => \__( 'An error occurred while sending the test email.', 'contact-form-to-api' ),
+				'i18n'            => array(
+					'enterRecipient'  => \__( 'Please enter a recipient email address.', 'contact-form-to-api' ),
+					'sending'         => \__( 'Sending...', 'contact-form-to-api' ),
+					'sendTestEmail'   => \__( 'Send Test Email', 'contact-form-to-api' ),
+					'ajaxError'       => \__( 'An error occurred while sending the test email.', 'contact-form-to-api' ),
+					'enterWebhookUrl' => \__( 'Please enter a webhook URL.', 'contact-form-to-api' ),
+					'sendTestAlert'   => \__( 'Send Test Alert', 'contact-form-to-api' ),
+					'testAlertError'  => \__( 'An error occurred while sending the test alert.', 'contact-form-to-api' ),
+					'chooseFile'      => \__( 'Please choose an export file.', 'contact-form-to-api' ),
+					'chooseTargets'   => \__( 'Please select at least one target form.', 'contact-form-to-api' ),
+					'noChanges'       => \__( 'No changes.', 'contact-form-to-api' ),
+					'setting'         => \__( 'Setting', 'contact-form-to-api' ),
+					'before'          => \__( 'Current', 'contact-form-to-api' ),
+					'after'           => \__( 'New', 'contact-form-to-api' ),
+					'confirmApply'    => \__( 'Replace the API settings of the selected forms?', 'contact-form-to-api' ),
+					'formConfigError' => \__( 'An error occurred while processing the form configurations.', 'contact-form-to-api' ),
+					'loadingPreview'  => \__( 'Loading preview...', 'contact-form-to-api' ),
+					'applyingChanges' => \__( 'Applying changes...', 'contact-form-to-api' ),
 				),
 			)
 		);
@@ -198,6 +227,21 @@ class SettingsController implements LoadableInterface {
 					'logsProcessed'     => \__( 'logs processed', 'contact-form-to-api' ),
 					'logsEncrypted'     => \__( 'logs encrypted', 'contact-form-to-api' ),
 					'logsFailed'        => \__( 'failed', 'contact-form-to-api' ),
+					'confirmRotation'   => \__( 'Start the key rotation? Logs are re-encrypted with a new key; the rotation cannot be undone once started.', 'contact-form-to-api' ),
+					'rotationStarted'   => \__( 'Key rotation started...', 'contact-form-to-api' ),
+					'rotationDryRun'    => \__( 'Dry run started: logs are only decrypted, nothing is changed.', 'contact-form-to-api' ),
+					'rotationPaused'    => \__( 'Key rotation paused. You can resume it later, also after reloading the page.', 'contact-form-to-api' ),
+					'rotationComplete'  => \__( 'Key rotation completed.', 'contact-form-to-api' ),
+					'dryRunComplete'    => \__( 'Dry run completed.', 'contact-form-to-api' ),
+					'logsRotated'       => \__( 'logs re-encrypted', 'contact-form-to-api' ),
+					'logsDecrypted'     => \__( 'logs decrypted', 'contact-form-to-api' ),
+					'logId'             => \__( 'Log ID', 'contact-form-to-api' ),
+					'error'             => \__( 'Error', 'contact-form-to-api' ),
+					'failuresTruncated' => \__( 'Only the first failures are listed.', 'contact-form-to-api' ),
+					'migrationResumed'  => \__( 'Migration in progress. It continues in the background when you leave this page.', 'contact-form-to-api' ),
+					'connectionLost'    => \__( 'Connection lost. The migration continues in the background; retrying...', 'contact-form-to-api' ),
+					/* translators: 1: current page, 2: number of pages */
+					'pageOf'            => \__( 'Page %1$s of %2$s', 'contact-form-to-api' ),
 				),
 			)
 		);
@@ -224,21 +268,34 @@ class SettingsController implements LoadableInterface {
 
 		// Sanitize and validate input.
 		$new_settings = array(
-			'max_manual_retries'      => isset( $_POST['max_manual_retries'] ) ? \absint( $_POST['max_manual_retries'] ) : 3,
-			'max_retries_per_hour'    => isset( $_POST['max_retries_per_hour'] ) ? \absint( $_POST['max_retries_per_hour'] ) : 10,
-			'sensitive_patterns'      => $this->sanitize_patterns( isset( $_POST['sensitive_patterns'] ) ? \wp_unslash( $_POST['sensitive_patterns'] ) : '' ),
-			'logging_enabled'         => isset( $_POST['logging_enabled'] ) && '1' === $_POST['logging_enabled'],
-			'log_retention_days'      => isset( $_POST['log_retention_days'] ) ? \absint( $_POST['log_retention_days'] ) : 30,
+			'max_manual_retries'        => isset( $_POST['max_manual_retries'] ) ? \absint( $_POST['max_manual_retries'] ) : 3,
+			'max_retries_per_hour'      => isset( $_POST['max_retries_per_hour'] ) ? \absint( $_POST['max_retries_per_hour'] ) : 10,
+			'sensitive_patterns'        => $this->sanitize_patterns( isset( $_POST['sensitive_patterns'] ) ? \wp_unslash( $_POST['sensitive_patterns'] ) : '' ),
+			'logging_enabled'           => isset( $_POST['logging_enabled'] ) && '1' === $_POST['logging_enabled'],
+			'log_retention_days'        => isset( $_POST['log_retention_days'] ) ? \absint( $_POST['log_retention_days'] ) : 30,
 			// Encryption settings.
-			'encryption_enabled'      => isset( $_POST['encryption_enabled'] ) && '1' === $_POST['encryption_enabled'],
+			'encryption_enabled'        => isset( $_POST['encryption_enabled'] ) && '1' === $_POST['encryption_enabled'],
+			// Delivery queue settings.
+			'queue_enabled'             => isset( $_POST['queue_enabled'] ) && '1' === $_POST['queue_enabled'],
+			'queue_batch_size'          => isset( $_POST['queue_batch_size'] ) ? \max( 1, \min( 100, \absint( $_POST['queue_batch_size'] ) ) ) : 10,
+			// Circuit breaker settings.
+			'circuit_breaker_enabled'   => isset( $_POST['circuit_breaker_enabled'] ) && '1' === $_POST['circuit_breaker_enabled'],
+			'circuit_breaker_threshold' => isset( $_POST['circuit_breaker_threshold'] ) ? \max( 1, \min( 100, \absint( $_POST['circuit_breaker_threshold'] ) ) ) : 5,
+			'circuit_breaker_cooldown'  => isset( $_POST['circuit_breaker_cooldown'] ) ? \max( 1, \min( 1440, \absint( $_POST['circuit_breaker_cooldown'] ) ) ) : 5,
+			// File forwarding limits.
+			'file_max_size'             => isset( $_POST['file_max_size'] ) ? \max( 1, \min( 100, \absint( $_POST['file_max_size'] ) ) ) : 5,
+			'file_max_total_size'       => isset( $_POST['file_max_total_size'] ) ? \max( 1, \min( 100, \absint( $_POST['file_max_total_size'] ) ) ) : 10,
+			// Searchable fields.
+			'search_index_fields'       => \array_map( 'strtolower', $this->sanitize_patterns( isset( $_POST['search_index_fields'] ) ? \wp_unslash( $_POST['search_index_fields'] ) : '' ) ),
 			// Email alert settings.
-			'alerts_enabled'          => isset( $_POST['alerts_enabled'] ) && '1' === $_POST['alerts_enabled'],
-			'alert_recipients'        => $this->sanitize_email_recipients( isset( $_POST['alert_recipients'] ) ? \wp_unslash( $_POST['alert_recipients'] ) : \get_option( 'admin_email' ) ),
-			'alert_error_threshold'   => isset( $_POST['alert_error_threshold'] ) ? \absint( $_POST['alert_error_threshold'] ) : 10,
-			'alert_rate_threshold'    => isset( $_POST['alert_rate_threshold'] ) ? \absint( $_POST['alert_rate_threshold'] ) : 20,
-			'alert_check_interval'    => isset( $_POST['alert_check_interval'] ) ? \sanitize_text_field( \wp_unslash( $_POST['alert_check_interval'] ) ) : 'hourly',
-			'alert_cooldown_hours'    => isset( $_POST['alert_cooldown_hours'] ) ? \absint( $_POST['alert_cooldown_hours'] ) : 4,
-			'alert_types'             => $this->sanitize_alert_types( $_POST ),
+			'alerts_enabled'            => isset( $_POST['alerts_enabled'] ) && '1' === $_POST['alerts_enabled'],
+			'alert_recipients'          => $this->sanitize_email_recipients( isset( $_POST['alert_recipients'] ) ? \wp_unslash( $_POST['alert_recipients'] ) : \get_option( 'admin_email' ) ),
+			'alert_error_threshold'     => isset( $_POST['alert_error_threshold'] ) ? \absint( $_POST['alert_error_threshold'] ) : 10,
+			'alert_rate_threshold'      => isset( $_POST['alert_rate_threshold'] ) ? \absint( $_POST['alert_rate_threshold'] ) : 20,
+			'alert_check_interval'      => isset( $_POST['alert_check_interval'] ) ? \sanitize_text_field( \wp_unslash( $_POST['alert_check_interval'] ) ) : 'hourly',
+			'alert_cooldown_hours'      => isset( $_POST['alert_cooldown_hours'] ) ? \absint( $_POST['alert_cooldown_hours'] ) : 4,
+			'alert_types'               => $this->sanitize_alert_types( $_POST ),
+			'alert_channels'            => $this->sanitize_alert_channels( $_POST ),
 		);
 
 		// Preserve alert_last_sent timestamp (don't reset it).
@@ -250,8 +307,11 @@ class SettingsController implements LoadableInterface {
 		// Schedule or unschedule log cleanup based on retention setting.
 		$this->update_cleanup_schedule( $new_settings['log_retention_days'] );
 
-		// Schedule or unschedule email alerts based on alerts setting.
-		$this->update_alert_schedule( $new_settings['alerts_enabled'], $new_settings['alert_check_interval'] );
+		// Schedule or unschedule the alert check based on the email alert and channel settings.
+		$this->update_alert_schedule(
+			$new_settings['alerts_enabled'] || ( new AlertChannelService() )->has_enabled_channels(),
+			$new_settings['alert_check_interval']
+		);
 
 		// Redirect back to the main settings page with success/error message.
 		$redirect_url = \add_query_arg(
@@ -335,6 +395,36 @@ class SettingsController implements LoadableInterface {
 		);
 	}
 
+	/**
+	 * Sanitize alert channel settings
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $post_data POST data array.
+	 * @return array<string, array<string, mixed>> Sanitized settings keyed by channel ID.
+	 */
+	private function sanitize_alert_channels( array $post_data ): array {
+		$input    = isset( $post_data['alert_channels'] ) && \is_array( $post_data['alert_channels'] ) ? \wp_unslash( $post_data['alert_channels'] ) : array();
+		$channels = array();
+
+		foreach ( \array_keys( ( new AlertChannelService() )->get_channels() ) as $channel_id ) {
+			$channel = isset( $input[ $channel_id ] ) && \is_array( $input[ $channel_id ] ) ? $input[ $channel_id ] : array();
+
+			$types = array();
+			foreach ( AlertChannelService::ALERT_TYPES as $type ) {
+				$types[ $type ] = isset( $channel['types'][ $type ] ) && '1' === $channel['types'][ $type ];
+			}
+
+			$channels[ $channel_id ] = array(
+				'enabled'        => isset( $channel['enabled'] ) && '1' === $channel['enabled'],
+				'url'            => \esc_url_raw( \trim( (string) ( $channel['url'] ?? '' ) ), array( 'http', 'https' ) ),
+				'types'          => $types,
+				'cooldown_hours' => isset( $channel['cooldown_hours'] ) ? \min( 24, \absint( $channel['cooldown_hours'] ) ) : 1,
+			);
+		}
+
+		return $channels;
+	}
+
 	/**
 	 * Update log cleanup schedule
 	 *
@@ -430,6 +520,37 @@ class SettingsController implements LoadableInterface {
 		}
 	}
 
+	/**
+	 * Handle test alert AJAX request
+	 *
+	 * Sends a test alert to the webhook URL entered for a channel.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_test_alert(): void {
+		// Verify user capabilities.
+		if ( ! \current_user_can( 'manage_options' ) ) {
+			\wp_send_json_error( array( 'message' => \__( 'Permission denied', 'contact-form-to-api' ) ) );
+		}
+
+		// Verify nonce.
+		if ( ! isset( $_POST['nonce'] ) || ! \wp_verify_nonce( \sanitize_text_field( \wp_unslash( $_POST['nonce'] ) ), 'cf7_api_test_email' ) ) {
+			\wp_send_json_error( array( 'message' => \__( 'Security check failed', 'contact-form-to-api' ) ) );
+		}
+
+		$channel_id = isset( $_POST['channel'] ) ? \sanitize_key( \wp_unslash( $_POST['channel'] ) ) : '';
+		$url        = isset( $_POST['url'] ) ? \esc_url_raw( \trim( \wp_unslash( $_POST['url'] ) ), array( 'http', 'https' ) ) : '';
+
+		$result = ( new AlertChannelService() )->send_test( $channel_id, $url );
+
+		if ( \is_wp_error( $result ) ) {
+			\wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		\wp_send_json_success( array( 'message' => \__( 'Test alert sent successfully', 'contact-form-to-api' ) ) );
+	}
+
 	/**
 	 * Get nonce name for forms
 	 *
@@ -442,9 +563,10 @@ class SettingsController implements LoadableInterface {
 	/**
 	 * Handle start migration AJAX request
 	 *
-	 * Initializes the migration process.
+	 * Initializes the migration process, which continues in the background.
 	 *
 	 * @since 1.3.4
+	 * @since 2.5.0 Dry runs are started too; returns the migration status.
 	 * @return void
 	 */
 	public function handle_start_migration(): void {
@@ -464,19 +586,18 @@ class SettingsController implements LoadableInterface {
 		// Initialize migration service.
 		$migration_service = MigrationService::instance();
 
-		// Start migration (set transient).
-		if ( ! $dry_run ) {
-			$migration_service->start_migration();
-		}
+		// Start migration (store state, schedule the background worker).
+		$migration_service->start_migration( $dry_run );
 
 		// Get initial progress.
 		$progress = $migration_service->get_progress();
 
 		\wp_send_json_success(
 			array(
-				'message'  => $dry_run ? \__( 'Dry run started', 'contact-form-to-api' ) : \__( 'Migration started', 'contact-form-to-api' ),
-				'progress' => $progress,
-				'dry_run'  => $dry_run,
+				'message'   => $dry_run ? \__( 'Dry run started', 'contact-form-to-api' ) : \__( 'Migration started', 'contact-form-to-api' ),
+				'progress'  => $progress,
+				'dry_run'   => $dry_run,
+				'migration' => $migration_service->get_migration_status(),
 			)
 		);
 	}
@@ -487,6 +608,7 @@ class SettingsController implements LoadableInterface {
 	 * Processes a single batch of logs during migration.
 	 *
 	 * @since 1.3.4
+	 * @since 2.5.0 Runs the next batch of the started migration; the batch size adapts on the server.
 	 * @return void
 	 */
 	public function handle_process_batch(): void {
@@ -503,29 +625,17 @@ class SettingsController implements LoadableInterface {
 		// Initialize migration service.
 		$migration_service = MigrationService::instance();
 
-		// Get batch size and dry_run flag.
-		$batch_size = isset( $_POST['batch_size'] ) ? \absint( $_POST['batch_size'] ) : 100;
-		$dry_run    = isset( $_POST['dry_run'] ) && '1' === $_POST['dry_run'];
-
-		// Process batch.
-		$result = $migration_service->migrate_batch( $batch_size, $dry_run );
+		// Process batch (skipped while the background worker runs one).
+		$migration = $migration_service->run_batch();
 
 		// Get updated progress.
 		$progress = $migration_service->get_progress();
 
-		// Check if migration is complete.
-		$is_complete = 0 === $result['remaining'];
-
-		// If complete, cleanup transient.
-		if ( $is_complete && ! $dry_run ) {
-			$migration_service->complete_migration();
-		}
-
 		\wp_send_json_success(
 			array(
-				'result'      => $result,
+				'migration'   => $migration,
 				'progress'    => $progress,
-				'is_complete' => $is_complete,
+				'is_complete' => null === $migration || 'running' !== $migration['status'],
 			)
 		);
 	}
@@ -536,6 +646,7 @@ class SettingsController implements LoadableInterface {
 	 * Returns current migration status and progress.
 	 *
 	 * @since 1.3.4
+	 * @since 2.5.0 Also returns the migration and key rotation status.
 	 * @return void
 	 */
 	public function handle_get_status(): void {
@@ -553,7 +664,13 @@ class SettingsController implements LoadableInterface {
 		$migration_service = MigrationService::instance();
 		$progress          = $migration_service->get_progress();
 
-		\wp_send_json_success( array( 'progress' => $progress ) );
+		\wp_send_json_success(
+			array(
+				'progress'  => $progress,
+				'migration' => $migration_service->get_migration_status(),
+				'rotation'  => $migration_service->get_rotation_status(),
+			)
+		);
 	}
 
 	/**
@@ -589,5 +706,274 @@ class SettingsController implements LoadableInterface {
 			)
 		);
 	}
-}
 
+	/**
+	 * Handle get migration failures AJAX request
+	 *
+	 * Returns a page of the logs the last migration failed to encrypt.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_get_failures(): void {
+		$this->verify_migration_request();
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified in verify_migration_request().
+		$page = isset( $_POST['page'] ) ? \absint( $_POST['page'] ) : 1;
+
+		\wp_send_json_success( MigrationService::instance()->get_failures( $page ) );
+	}
+
+	/**
+	 * Handle start key rotation AJAX request
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_start_key_rotation(): void {
+		$this->verify_migration_request();
+
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Verified in verify_migration_request().
+		$dry_run = isset( $_POST['dry_run'] ) && '1' === $_POST['dry_run'];
+		// Salts may contain any character: sanitizing would change them.
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		$previous_secret = isset( $_POST['previous_secret'] ) ? (string) \wp_unslash( $_POST['previous_secret'] ) : '';
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		$rotation = MigrationService::instance()->start_key_rotation( $dry_run, $previous_secret );
+		if ( \is_wp_error( $rotation ) ) {
+			\wp_send_json_error( array( 'message' => $rotation->get_error_message() ) );
+		}
+
+		\wp_send_json_success( array( 'rotation' => $rotation ) );
+	}
+
+	/**
+	 * Handle key rotation batch AJAX request
+	 *
+	 * Also resumes a paused rotation.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_rotate_batch(): void {
+		$this->verify_migration_request();
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified in verify_migration_request().
+		$batch_size = isset( $_POST['batch_size'] ) ? \absint( $_POST['batch_size'] ) : 100;
+
+		$rotation = MigrationService::instance()->rotate_batch( $batch_size );
+		if ( \is_wp_error( $rotation ) ) {
+			\wp_send_json_error( array( 'message' => $rotation->get_error_message() ) );
+		}
+
+		\wp_send_json_success( array( 'rotation' => $rotation ) );
+	}
+
+	/**
+	 * Handle pause key rotation AJAX request
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_pause_key_rotation(): void {
+		$this->verify_migration_request();
+
+		$migration_service = MigrationService::instance();
+		$migration_service->pause_key_rotation();
+
+		\wp_send_json_success( array( 'rotation' => $migration_service->get_rotation_status() ) );
+	}
+
+	/**
+	 * Handle clear key rotation AJAX request
+	 *
+	 * Discards the report of a finished rotation or an unfinished dry run.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_clear_key_rotation(): void {
+		$this->verify_migration_request();
+
+		$result = MigrationService::instance()->clear_key_rotation();
+		if ( \is_wp_error( $result ) ) {
+			\wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		\wp_send_json_success( array( 'rotation' => null ) );
+	}
+
+	/**
+	 * Verify capability and nonce of a migration AJAX request
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	private function verify_migration_request(): void {
+		if ( ! \current_user_can( 'manage_options' ) ) {
+			\wp_send_json_error( array( 'message' => \__( 'Permission denied', 'contact-form-to-api' ) ) );
+		}
+
+		if ( ! isset( $_POST['nonce'] ) || ! \wp_verify_nonce( \sanitize_text_field( \wp_unslash( $_POST['nonce'] ) ), 'cf7_api_migration' ) ) {
+			\wp_send_json_error( array( 'message' => \__( 'Security check failed', 'contact-form-to-api' ) ) );
+		}
+	}
+
+	/**
+	 * Download the API configuration of a form as JSON
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_export_form_config(): void {
+		if ( ! \current_user_can( 'manage_options' ) ) {
+			\wp_die( \esc_html__( 'You do not have permission to access this page.', 'contact-form-to-api' ) );
+		}
+
+		if ( ! isset( $_POST['_wpnonce'] ) || ! \wp_verify_nonce( \sanitize_text_field( \wp_unslash( $_POST['_wpnonce'] ) ), 'cf7_api_export_form_config' ) ) {
+			\wp_die( \esc_html__( 'Security check failed', 'contact-form-to-api' ) );
+		}
+
+		$form_id  = isset( $_POST['form_id'] ) ? \absint( $_POST['form_id'] ) : 0;
+		$document = ( new FormConfigManager() )->export( $form_id, ! empty( $_POST['include_secrets'] ) );
+
+		if ( null === $document ) {
+			\wp_die( \esc_html__( 'The contact form was not found.', 'contact-form-to-api' ), '', array( 'response' => 404 ) );
+		}
+
+		$filename = \sprintf( 'cf7-api-form-%d-%s.json', $form_id, \gmdate( 'Y-m-d' ) );
+
+		\nocache_headers();
+		\header( 'Content-Type: application/json; charset=utf-8' );
+		\header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+
+		echo \wp_json_encode( $document, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+		exit;
+	}
+
+	/**
+	 * Preview the changes of importing or copying a form API configuration
+	 *
+	 * Returns, per target form, the changed settings and warnings.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_form_config_preview(): void {
+		$this->verify_form_config_request();
+
+		$manager = new FormConfigManager();
+		$config  = $this->get_posted_form_config( $manager );
+		$forms   = $manager->get_forms();
+		$targets = array();
+
+		foreach ( $this->get_posted_target_ids() as $form_id ) {
+			$diff = $manager->diff( $form_id, $config );
+			if ( null !== $diff ) {
+				$targets[] = \array_merge(
+					array(
+						'form_id' => $form_id,
+						'title'   => $forms[ $form_id ] ?? '',
+					),
+					$diff
+				);
+			}
+		}
+
+		\wp_send_json_success( array( 'targets' => $targets ) );
+	}
+
+	/**
+	 * Import or copy a form API configuration into the target forms
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_form_config_apply(): void {
+		$this->verify_form_config_request();
+
+		$manager = new FormConfigManager();
+		$config  = $this->get_posted_form_config( $manager );
+		$updated = 0;
+
+		foreach ( $this->get_posted_target_ids() as $form_id ) {
+			if ( $manager->import( $form_id, $config ) ) {
+				++$updated;
+			}
+		}
+
+		\wp_send_json_success(
+			array(
+				'message' => \sprintf(
+					/* translators: %d: number of forms */
+					\_n( 'Updated the API settings of %d form.', 'Updated the API settings of %d forms.', $updated, 'contact-form-to-api' ),
+					$updated
+				),
+			)
+		);
+	}
+
+	/**
+	 * Verify capability and nonce of a form API configuration AJAX request
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	private function verify_form_config_request(): void {
+		if ( ! \current_user_can( 'manage_options' ) ) {
+			\wp_send_json_error( array( 'message' => \__( 'Permission denied', 'contact-form-to-api' ) ) );
+		}
+
+		if ( ! isset( $_POST['nonce'] ) || ! \wp_verify_nonce( \sanitize_text_field( \wp_unslash( $_POST['nonce'] ) ), 'cf7_api_form_config' ) ) {
+			\wp_send_json_error( array( 'message' => \__( 'Security check failed', 'contact-form-to-api' ) ) );
+		}
+	}
+
+	/**
+	 * Get the posted configuration: an uploaded export or another form's settings
+	 *
+	 * Copies include the source form's secrets, which are re-encrypted for
+	 * the targets. Sends a JSON error when there is no valid configuration.
+	 *
+	 * @since 2.5.0
+	 * @param FormConfigManager $manager Form config manager.
+	 * @return array<string, mixed> Exported config.
+	 */
+	private function get_posted_form_config( FormConfigManager $manager ): array {
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Verified in verify_form_config_request().
+		if ( isset( $_POST['source_id'] ) ) {
+			$document = $manager->export( \absint( $_POST['source_id'] ), true );
+			$config   = null !== $document ? $document['config'] : new \WP_Error( 'not_found', \__( 'The source form was not found.', 'contact-form-to-api' ) );
+		} else {
+			// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON document, validated by parse() and sanitized on import.
+			$config = $manager->parse( isset( $_POST['config'] ) ? (string) \wp_unslash( $_POST['config'] ) : '' );
+		}
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		if ( \is_wp_error( $config ) ) {
+			\wp_send_json_error( array( 'message' => $config->get_error_message() ) );
+		}
+
+		return $config;
+	}
+
+	/**
+	 * Get the posted target form IDs
+	 *
+	 * Sends a JSON error when no target is selected.
+	 *
+	 * @since 2.5.0
+	 * @return array<int> Form IDs.
+	 */
+	private function get_posted_target_ids(): array {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified in verify_form_config_request().
+		$target_ids = isset( $_POST['target_ids'] ) ? \array_filter( \array_map( 'absint', (array) \wp_unslash( $_POST['target_ids'] ) ) ) : array();
+
+		if ( empty( $target_ids ) ) {
+			\wp_send_json_error( array( 'message' => \__( 'Please select at least one target form.', 'contact-form-to-api' ) ) );
+		}
+
+		return \array_values( \array_unique( $target_ids ) );
+	}
+}
@@ -16,9 +16,15 @@ namespace SilverAssist\ContactFormToAPI\Controller\ContactForm;
 
 use SilverAssist\ContactFormToAPI\Core\AssetHelper;
 use SilverAssist\ContactFormToAPI\Core\Interfaces\LoadableInterface;
+use SilverAssist\ContactFormToAPI\Model\FormSettings;
+use SilverAssist\ContactFormToAPI\Service\Api\AuthManager;
+use SilverAssist\ContactFormToAPI\Service\Api\RequestSigner;
+use SilverAssist\ContactFormToAPI\Service\Api\RetryScheduler;
 use SilverAssist\ContactFormToAPI\Service\ContactForm\SubmissionProcessor;
+use SilverAssist\ContactFormToAPI\Service\Logging\EndpointHealth;
 use SilverAssist\ContactFormToAPI\Service\Logging\LogReader;
 use SilverAssist\ContactFormToAPI\Service\Logging\LogStatistics;
+use SilverAssist\ContactFormToAPI\Service\Notification\AlertRuleService;
 use SilverAssist\ContactFormToAPI\View\ContactForm\IntegrationView;
 use WPCF7_ContactForm;
 
@@ -76,6 +82,15 @@ class SubmissionController implements LoadableInterface {
 	 */
 	private bool $initialized = false;
 
+	/**
+	 * Failure message to show for the submission being processed
+	 *
+	 * Set on `wpcf7_before_send_mail`, applied to the CF7 feedback response.
+	 *
+	 * @var array{form_id: int, status: string, message: string}|null
+	 */
+	private ?array $failure_response = null;
+
 	/**
 	 * Get singleton instance
 	 *
@@ -118,7 +133,11 @@ class SubmissionController implements LoadableInterface {
 		$this->register_legacy_hooks();
 
 		// Hook into Contact Form 7 submission process.
-		\add_action( 'wpcf7_before_send_mail', array( $this, 'handle_form_submission' ) );
+		\add_action( 'wpcf7_before_send_mail', array( $this, 'handle_form_submission' ), 10, 3 );
+		\add_filter( 'wpcf7_feedback_response', array( $this, 'handle_feedback_response' ), 10, 2 );
+
+		// Expose values extracted from the API response as [_api_<name>] mail tags.
+		\add_filter( 'wpcf7_special_mail_tags', array( $this, 'handle_response_mail_tag' ), 10, 2 );
 
 		// Add checkbox value handling filters.
 		\add_filter( 'cf7_api_set_record_value', array( $this, 'handle_checkbox_value' ), 10, 2 );
@@ -130,6 +149,8 @@ class SubmissionController implements LoadableInterface {
 			\add_filter( 'wpcf7_editor_panels', array( $this, 'add_integrations_tab' ) );
 			\add_action( 'wpcf7_save_contact_form', array( $this, 'save_form_settings' ) );
 			\add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_admin_assets' ) );
+			\add_action( 'wp_ajax_cf7_api_test_connection', array( $this, 'handle_test_connection' ) );
+			\add_action( 'wp_ajax_cf7_api_preview_request', array( $this, 'handle_preview_request' ) );
 		}
 
 		// Register properties filter to ensure properties are in CF7 defaults before filtering.
@@ -302,6 +323,14 @@ class SubmissionController implements LoadableInterface {
 		$properties['json_template']      ??= '';
 		$properties['retry_config']       ??= array();
 		$properties['custom_headers']     ??= array();
+		$properties['api_endpoints']      ??= array();
+		$properties['send_conditions']    ??= array();
+		$properties['auth_config']        ??= array();
+		$properties['signing_config']     ??= array();
+		$properties['response_rules']     ??= array();
+		$properties['failure_policy']     ??= array();
+		$properties['mapping_rules']      ??= array();
+		$properties['alert_rules']        ??= array();
 
 		return $properties;
 	}
@@ -344,6 +373,14 @@ class SubmissionController implements LoadableInterface {
 		$wpcf7_api_json_data_template = \stripslashes( $wpcf7->prop( 'json_template' ) ?: \get_post_meta( $form_id, '_json_template', true ) );
 		$retry_config                 = $wpcf7->prop( 'retry_config' ) ?: array();
 		$custom_headers               = $wpcf7->prop( 'custom_headers' ) ?: array();
+		$api_endpoints                = $wpcf7->prop( 'api_endpoints' ) ?: array();
+		$send_conditions              = $wpcf7->prop( 'send_conditions' ) ?: array();
+		$auth_config                  = $wpcf7->prop( 'auth_config' ) ?: array();
+		$signing_config               = $wpcf7->prop( 'signing_config' ) ?: array();
+		$response_rules               = $wpcf7->prop( 'response_rules' ) ?: array();
+		$failure_policy               = $wpcf7->prop( 'failure_policy' ) ?: array();
+		$mapping_rules                = $wpcf7->prop( 'mapping_rules' ) ?: array();
+		$alert_rules                  = $wpcf7->prop( 'alert_rules' ) ?: array();
 
 		$mail_tags = $this->get_mail_tags( $post, array() );
 
@@ -364,6 +401,9 @@ class SubmissionController implements LoadableInterface {
 		$retry_config['max_retries']      ??= self::DEFAULT_MAX_RETRIES;
 		$retry_config['retry_delay']      ??= self::DEFAULT_RETRY_DELAY;
 		$retry_config['retry_on_timeout'] ??= true;
+		$retry_config['auto_retry']       ??= false;
+
+		$retry_config['auto_retry_schedule'] = RetryScheduler::parse_schedule( $retry_config['auto_retry_schedule'] ?? RetryScheduler::DEFAULT_SCHEDULE );
 
 		// Get debug information.
 		$debug_url    = \get_post_meta( $form_id, 'cf7_api_debug_url', true );
@@ -377,6 +417,13 @@ class SubmissionController implements LoadableInterface {
 		$recent_logs = $log_reader->get_recent_logs( $form_id, 5 );
 		$statistics  = $log_stats->get_statistics( $form_id );
 
+		// Health of the endpoints this form sends to.
+		$health          = new EndpointHealth();
+		$endpoint_health = array();
+		foreach ( FormSettings::from_meta( $form_id, $wpcf7->get_properties() )->get_endpoints() as $url ) {
+			$endpoint_health[ $url ] = $health->get_health( $url );
+		}
+
 		// Prepare debug info array.
 		$debug_info = array(
 			'url'    => $debug_url,
@@ -397,7 +444,16 @@ class SubmissionController implements LoadableInterface {
 			$recent_logs,
 			$statistics,
 			$debug_info,
-			\is_array( $custom_headers ) ? $custom_headers : array()
+			\is_array( $custom_headers ) ? $custom_headers : array(),
+			\is_array( $api_endpoints ) ? $api_endpoints : array(),
+			\is_array( $send_conditions ) ? $send_conditions : array(),
+			\is_array( $auth_config ) ? $auth_config : array(),
+			\is_array( $signing_config ) ? $signing_config : array(),
+			\is_array( $response_rules ) ? $response_rules : array(),
+			\is_array( $failure_policy ) ? $failure_policy : array(),
+			\is_array( $mapping_rules ) ? $mapping_rules : array(),
+			\is_array( $alert_rules ) ? $alert_rules : array(),
+			$endpoint_health
 		);
 	}
 
@@ -422,57 +478,334 @@ class SubmissionController implements LoadableInterface {
 		$properties['template']           = $_POST['template'] ?? '';
 		$properties['json_template']      = \stripslashes( $_POST['json_template'] ?? '' );
 
-		// Get retry configuration.
-		$retry_config = $_POST['retry_config'] ?? array();
-		// Convert checkbox value.
-		if ( isset( $retry_config['retry_on_timeout'] ) ) {
-			$retry_config['retry_on_timeout'] = true;
-		} else {
-			$retry_config['retry_on_timeout'] = false;
-		}
-		// Ensure numeric values.
-		if ( isset( $retry_config['max_retries'] ) ) {
-			$retry_config['max_retries'] = (int) $retry_config['max_retries'];
-		}
-		if ( isset( $retry_config['retry_delay'] ) ) {
-			$retry_config['retry_delay'] = (int) $retry_config['retry_delay'];
+		// File uploads need a request body, so multipart is always sent as POST.
+		if ( \is_array( $properties['wpcf7_api_data'] ) && 'multipart' === ( $properties['wpcf7_api_data']['input_type'] ?? '' ) ) {
+			$properties['wpcf7_api_data']['method'] = 'POST';
 		}
-		$properties['retry_config'] = $retry_config;
 
-		// Get custom headers and sanitize.
-		$raw_headers = $_POST['custom_headers'] ?? array();
+		$properties['retry_config']    = FormSettings::sanitize_retry_config( \wp_unslash( $_POST['retry_config'] ?? array() ) );
+		$properties['custom_headers']  = FormSettings::sanitize_custom_headers( \wp_unslash( $_POST['custom_headers'] ?? array() ) );
+		$properties['api_endpoints']   = FormSettings::sanitize_endpoints( \wp_unslash( $_POST['api_endpoints'] ?? array() ) );
+		$properties['send_conditions'] = FormSettings::sanitize_conditions( \wp_unslash( $_POST['send_conditions'] ?? array() ) );
+		$properties['mapping_rules']   = FormSettings::sanitize_mapping_rules( \wp_unslash( $_POST['mapping_rules'] ?? array() ) );
+
+		$saved_auth                = $contact_form->prop( 'auth_config' );
+		$properties['auth_config'] = ( new AuthManager() )->sanitize(
+			\wp_unslash( $_POST['auth_config'] ?? array() ),
+			\is_array( $saved_auth ) ? $saved_auth : array()
+		);
+
+		$saved_signing                = $contact_form->prop( 'signing_config' );
+		$properties['signing_config'] = ( new RequestSigner() )->sanitize(
+			\wp_unslash( $_POST['signing_config'] ?? array() ),
+			\is_array( $saved_signing ) ? $saved_signing : array()
+		);
+
+		$properties['response_rules'] = FormSettings::sanitize_response_rules( \wp_unslash( $_POST['response_rules'] ?? array() ) );
+		$properties['failure_policy'] = FormSettings::sanitize_failure_policy( \wp_unslash( $_POST['failure_policy'] ?? array() ) );
+		$properties['alert_rules']    = ( new AlertRuleService() )->sanitize( \wp_unslash( $_POST['alert_rules'] ?? array() ) );
 		// phpcs:enable WordPress.Security.NonceVerification.Missing
-		$custom_headers = array();
-		if ( \is_array( $raw_headers ) ) {
-			foreach ( $raw_headers as $header ) {
-				$name  = \sanitize_text_field( $header['name'] ?? '' );
-				$value = \sanitize_text_field( $header['value'] ?? '' );
-				// Only save non-empty headers.
-				if ( ! empty( $name ) ) {
-					$custom_headers[] = array(
-						'name'  => $name,
-						'value' => $value,
-					);
-				}
-			}
+
+		if ( '' !== $properties['failure_policy']['message'] ) {
+			// Lets multilingual plugins (WPML, Polylang's WPML API) translate the custom message.
+			\do_action( 'wpml_register_single_string', 'contact-form-to-api', 'failure_message_' . $contact_form->id(), $properties['failure_policy']['message'] );
 		}
-		$properties['custom_headers'] = $custom_headers;
 
 		// Set properties using CF7's native method.
 		$contact_form->set_properties( $properties );
 	}
 
+	/**
+	 * Handle test connection AJAX request
+	 *
+	 * Sends a single request built from the (possibly unsaved) integration
+	 * panel settings and the sample values entered by the user, and returns
+	 * the real response so it can be displayed in the panel.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_test_connection(): void {
+		$form_id = $this->verify_panel_request();
+		$config  = $this->get_posted_panel_config( $form_id );
+
+		if ( empty( $config['api_data']['base_url'] ) ) {
+			\wp_send_json_error( array( 'message' => \__( 'Please enter a valid API URL first.', 'contact-form-to-api' ) ) );
+		}
+
+		$result = $this->processor->send_test_request(
+			$form_id,
+			$config['api_data'],
+			$config['data_map'],
+			$config['template'],
+			$config['custom_headers'],
+			$config['sample_values'],
+			! empty( $_POST['log_test'] ), // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified in verify_panel_request().
+			$config['auth'],
+			$config['signing'],
+			$config['response_rules'],
+			$config['mapping_rules']
+		);
+
+		\wp_send_json_success( $result );
+	}
+
+	/**
+	 * Handle request preview AJAX request
+	 *
+	 * Returns the URL, headers and body a submission with the sample values
+	 * would send, using the (possibly unsaved) integration panel settings.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_preview_request(): void {
+		$form_id = $this->verify_panel_request();
+		$config  = $this->get_posted_panel_config( $form_id );
+
+		\wp_send_json_success(
+			$this->processor->build_preview(
+				$config['api_data'],
+				$config['data_map'],
+				$config['template'],
+				$config['custom_headers'],
+				$config['sample_values'],
+				$config['auth'],
+				$config['signing'],
+				$config['mapping_rules']
+			)
+		);
+	}
+
+	/**
+	 * Verify capability and nonce for integration panel AJAX requests
+	 *
+	 * Sends a JSON error and exits when the check fails.
+	 *
+	 * @since 2.5.0
+	 * @return int Form ID being edited.
+	 */
+	private function verify_panel_request(): int {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce is verified below.
+		$form_id = isset( $_POST['form_id'] ) ? \absint( $_POST['form_id'] ) : 0;
+
+		// Verify user capabilities.
+		if ( ! $form_id || ! \current_user_can( 'wpcf7_edit_contact_form', $form_id ) ) {
+			\wp_send_json_error( array( 'message' => \__( 'Permission denied', 'contact-form-to-api' ) ) );
+		}
+
+		// Verify nonce.
+		if ( ! isset( $_POST['nonce'] ) || ! \wp_verify_nonce( \sanitize_text_field( \wp_unslash( $_POST['nonce'] ) ), 'cf7_api_integration' ) ) {
+			\wp_send_json_error( array( 'message' => \__( 'Security check failed', 'contact-form-to-api' ) ) );
+		}
+
+		return $form_id;
+	}
+
+	/**
+	 * Read integration panel settings posted by the panel's AJAX actions
+	 *
+	 * Mirrors the fields saved by save_form_settings() so unsaved changes
+	 * can be previewed and tested.
+	 *
+	 * Authentication and signing secrets left blank fall back to the ones saved on the form.
+	 *
+	 * @since 2.5.0
+	 * @param int $form_id Form ID being edited.
+	 * @return array{api_data: array<string, string>, data_map: array<string, mixed>, template: string, custom_headers: array<int, array<string, string>>, sample_values: array<string, mixed>, auth: array<string, string>, signing: array<string, mixed>, response_rules: array<string, mixed>, mapping_rules: array<string, mixed>}
+	 */
+	private function get_posted_panel_config( int $form_id ): array {
+		// phpcs:disable WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Verified in verify_panel_request(), sanitized below per field.
+		$raw_api_data = isset( $_POST['wpcf7-sf'] ) && \is_array( $_POST['wpcf7-sf'] ) ? \wp_unslash( $_POST['wpcf7-sf'] ) : array();
+		$raw_data_map = isset( $_POST['qs_wpcf7_api_map'] ) && \is_array( $_POST['qs_wpcf7_api_map'] ) ? \wp_unslash( $_POST['qs_wpcf7_api_map'] ) : array();
+		$raw_headers  = isset( $_POST['custom_headers'] ) && \is_array( $_POST['custom_headers'] ) ? \wp_unslash( $_POST['custom_headers'] ) : array();
+		$raw_samples  = isset( $_POST['sample_values'] ) && \is_array( $_POST['sample_values'] ) ? \wp_unslash( $_POST['sample_values'] ) : array();
+		$raw_auth     = isset( $_POST['auth_config'] ) && \is_array( $_POST['auth_config'] ) ? \wp_unslash( $_POST['auth_config'] ) : array();
+		$raw_signing  = isset( $_POST['signing_config'] ) && \is_array( $_POST['signing_config'] ) ? \wp_unslash( $_POST['signing_config'] ) : array();
+		$raw_rules    = isset( $_POST['response_rules'] ) && \is_array( $_POST['response_rules'] ) ? \wp_unslash( $_POST['response_rules'] ) : array();
+		$raw_mapping  = isset( $_POST['mapping_rules'] ) && \is_array( $_POST['mapping_rules'] ) ? \wp_unslash( $_POST['mapping_rules'] ) : array();
+		$xml_template = isset( $_POST['template'] ) ? (string) \wp_unslash( $_POST['template'] ) : '';
+		$json_tpl     = isset( $_POST['json_template'] ) ? (string) \wp_unslash( $_POST['json_template'] ) : '';
+		// phpcs:enable WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+
+		$api_data = array(
+			'base_url'   => \esc_url_raw( $raw_api_data['base_url'] ?? '' ),
+			'input_type' => \sanitize_key( $raw_api_data['input_type'] ?? 'params' ),
+			'method'     => \strtoupper( \sanitize_key( $raw_api_data['method'] ?? 'GET' ) ),
+		);
+
+		if ( ! \in_array( $api_data['input_type'], array( 'params', 'xml', 'json', 'multipart' ), true ) ) {
+			$api_data['input_type'] = 'params';
+		}
+
+		if ( 'multipart' === $api_data['input_type'] ) {
+			$api_data['method'] = 'POST';
+		} elseif ( ! \in_array( $api_data['method'], array( 'GET', 'POST' ), true ) ) {
+			$api_data['method'] = 'GET';
+		}
+
+		return array(
+			'api_data'       => $api_data,
+			'data_map'       => \map_deep( $raw_data_map, 'sanitize_text_field' ),
+			'template'       => 'json' === $api_data['input_type'] ? $json_tpl : $xml_template,
+			'custom_headers' => FormSettings::sanitize_custom_headers( $raw_headers ),
+			'sample_values'  => \map_deep( $raw_samples, 'sanitize_textarea_field' ),
+			'auth'           => $this->get_posted_auth( $form_id, $raw_auth ),
+			'signing'        => $this->get_posted_signing( $form_id, $raw_signing ),
+			'response_rules' => FormSettings::sanitize_response_rules( $raw_rules ),
+			'mapping_rules'  => FormSettings::sanitize_mapping_rules( $raw_mapping ),
+		);
+	}
+
+	/**
+	 * Sanitize posted authentication settings against the ones saved on a form
+	 *
+	 * @since 2.5.0
+	 * @param int                  $form_id  Form ID.
+	 * @param array<string, mixed> $raw_auth Posted authentication settings.
+	 * @return array<string, string>
+	 */
+	private function get_posted_auth( int $form_id, array $raw_auth ): array {
+		$saved_auth = \get_post_meta( $form_id, '_auth_config', true );
+
+		return ( new AuthManager() )->sanitize( $raw_auth, \is_array( $saved_auth ) ? $saved_auth : array() );
+	}
+
+	/**
+	 * Sanitize posted signing settings against the ones saved on a form
+	 *
+	 * @since 2.5.0
+	 * @param int                  $form_id     Form ID.
+	 * @param array<string, mixed> $raw_signing Posted signing settings.
+	 * @return array<string, mixed>
+	 */
+	private function get_posted_signing( int $form_id, array $raw_signing ): array {
+		$saved_signing = \get_post_meta( $form_id, '_signing_config', true );
+
+		return ( new RequestSigner() )->sanitize( $raw_signing, \is_array( $saved_signing ) ? $saved_signing : array() );
+	}
+
+	/**
+	 * Replace [_api_<name>] mail tags with values extracted from the API response
+	 *
+	 * Works in the mail and in the response messages because the API is
+	 * called on `wpcf7_before_send_mail`.
+	 *
+	 * @since 2.5.0
+	 * @param string|null $output Current replacement.
+	 * @param string      $name   Mail tag name.
+	 * @return string|null
+	 */
+	public function handle_response_mail_tag( $output, $name ) {
+		if ( ! \is_string( $name ) || ! \str_starts_with( $name, '_api_' ) ) {
+			return $output;
+		}
+
+		return $this->processor->get_response_fields()[ \substr( $name, 5 ) ] ?? '';
+	}
+
 	/**
 	 * Handle form submission
 	 *
-	 * Routes submission to processor service.
+	 * Routes submission to processor service, then applies the form's
+	 * failure policy when the primary endpoint delivery failed.
 	 *
 	 * @since 2.0.0
-	 * @param WPCF7_ContactForm $contact_form Contact form object (CF7).
+	 * @since 2.5.0 Added `$abort` and `$submission` for the failure policy.
+	 * @param WPCF7_ContactForm     $contact_form Contact form object (CF7).
+	 * @param bool                  $abort        Set to true to stop CF7 from sending the mail (by reference).
+	 * @param WPCF7_Submission|null $submission   Current submission.
 	 * @return void
 	 */
-	public function handle_form_submission( WPCF7_ContactForm $contact_form ): void {
+	public function handle_form_submission( WPCF7_ContactForm $contact_form, &$abort = false, $submission = null ): void {
+		$this->failure_response = null;
+
 		$this->processor->process_submission( $contact_form );
+
+		if ( ! $this->processor->has_primary_failed() ) {
+			return;
+		}
+
+		$failure_policy = $contact_form->prop( 'failure_policy' );
+		$policy         = \is_array( $failure_policy ) ? (string) ( $failure_policy['policy'] ?? 'ignore' ) : 'ignore';
+
+		if ( ! \in_array( $policy, array( 'message', 'abort' ), true ) ) {
+			return;
+		}
+
+		$message = $this->get_failure_message( $contact_form, \is_array( $failure_policy ) ? (string) ( $failure_policy['message'] ?? '' ) : '' );
+
+		if ( 'abort' === $policy ) {
+			$abort = true;
+		}
+
+		if ( \is_object( $submission ) && \method_exists( $submission, 'set_response' ) ) {
+			$submission->set_response( $message );
+		}
+
+		$this->failure_response = array(
+			'form_id' => $contact_form->id(),
+			'status'  => 'abort' === $policy ? 'aborted' : 'api_failed',
+			'message' => $message,
+		);
+	}
+
+	/**
+	 * Replace CF7's feedback with the failure message of the submission
+	 *
+	 * With the "message" policy the mail was sent, so the response gets the
+	 * custom `api_failed` status (rendered by CF7 as `custom-api-failed`)
+	 * instead of `mail_sent`.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $response Feedback response sent to the browser.
+	 * @param array<string, mixed> $result   Submission result.
+	 * @return array<string, mixed>
+	 */
+	public function handle_feedback_response( $response, $result ) {
+		if ( null === $this->failure_response || ! \is_array( $response ) ) {
+			return $response;
+		}
+
+		if ( (int) ( $result['contact_form_id'] ?? $response['contact_form_id'] ?? 0 ) !== $this->failure_response['form_id'] ) {
+			return $response;
+		}
+
+		$response['status']  = $this->failure_response['status'];
+		$response['message'] = $this->failure_response['message'];
+
+		return $response;
+	}
+
+	/**
+	 * Get the translated failure message shown to the visitor
+	 *
+	 * @since 2.5.0
+	 * @param WPCF7_ContactForm $contact_form Contact form object (CF7).
+	 * @param string            $message      Custom message from the form settings.
+	 * @return string
+	 */
+	private function get_failure_message( WPCF7_ContactForm $contact_form, string $message ): string {
+		if ( '' === $message ) {
+			$message = \__( 'We could not process your submission right now. Please try again in a few minutes.', 'contact-form-to-api' );
+		} else {
+			$message = (string) \apply_filters( 'wpml_translate_single_string', $message, 'contact-form-to-api', 'failure_message_' . $contact_form->id() );
+		}
+
+		// Mail tags such as [your-name] can be used in the message.
+		if ( \function_exists( 'wpcf7_mail_replace_tags' ) ) {
+			$message = \wp_strip_all_tags( \wpcf7_mail_replace_tags( $message ) );
+		}
+
+		/**
+		 * Filter the message shown to the visitor when the API delivery failed
+		 *
+		 * @since 2.5.0
+		 *
+		 * @param string            $message      Failure message.
+		 * @param WPCF7_ContactForm $contact_form Contact form.
+		 */
+		return (string) \apply_filters( 'cf7_api_failure_message', $message, $contact_form );
 	}
 
 	/**
@@ -545,6 +878,38 @@ class SubmissionController implements LoadableInterface {
 			CF7_API_VERSION,
 			true
 		);
+
+		\wp_localize_script(
+			'cf7-api-admin',
+			'cf7ApiIntegration',
+			array(
+				'ajaxUrl' => \admin_url( 'admin-ajax.php' ),
+				'nonce'   => \wp_create_nonce( 'cf7_api_integration' ),
+				'i18n'    => array(
+					'testing'          => \__( 'Sending test request...', 'contact-form-to-api' ),
+					'testFailed'       => \__( 'Test request failed', 'contact-form-to-api' ),
+					'requestError'     => \__( 'Could not reach the server. Please try again.', 'contact-form-to-api' ),
+					'urlRequired'      => \__( 'Please enter a valid API URL first.', 'contact-form-to-api' ),
+					'status'           => \__( 'Status', 'contact-form-to-api' ),
+					'duration'         => \__( 'Time', 'contact-form-to-api' ),
+					'request'          => \__( 'Request', 'contact-form-to-api' ),
+					'headers'          => \__( 'Response Headers', 'contact-form-to-api' ),
+					'body'             => \__( 'Response Body', 'contact-form-to-api' ),
+					'extracted'        => \__( 'Extracted Fields', 'contact-form-to-api' ),
+					'loggedNotice'     => \__( 'This test was recorded in the API logs.', 'contact-form-to-api' ),
+					'unreplaced'       => \__( 'Unreplaced mail tags:', 'contact-form-to-api' ),
+					'noHeaders'        => \__( '(no headers)', 'contact-form-to-api' ),
+					'noBody'           => \__( '(empty body)', 'contact-form-to-api' ),
+					'lintJsonError'    => \__( 'Invalid JSON', 'contact-form-to-api' ),
+					'lintXmlError'     => \__( 'Invalid XML', 'contact-form-to-api' ),
+					'lintLine'         => \__( 'line', 'contact-form-to-api' ),
+					'lintColumn'       => \__( 'column', 'contact-form-to-api' ),
+					'lintUnknownTags'  => \__( 'Unknown mail tags:', 'contact-form-to-api' ),
+					'lintUnusedFields' => \__( 'Mapped form fields not used in the template:', 'contact-form-to-api' ),
+					'lintConfirmSave'  => \__( 'The API template has errors and requests will likely fail. Save anyway?', 'contact-form-to-api' ),
+				),
+			)
+		);
 	}
 
 	/**
@@ -15,6 +15,7 @@
 namespace SilverAssist\ContactFormToAPI\Core;
 
 use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Service\Export\ScheduledExportService;
 
 \defined( 'ABSPATH' ) || exit;
 
@@ -71,6 +72,15 @@ class Activator {
 		\wp_clear_scheduled_hook( 'cf7_api_cleanup' );
 		\wp_clear_scheduled_hook( 'cf7_api_cleanup_old_logs' );
 		\wp_clear_scheduled_hook( 'cf7_api_check_alerts' );
+		\wp_clear_scheduled_hook( 'cf7_api_process_queue' );
+		\wp_clear_scheduled_hook( 'cf7_api_process_retries' );
+		\wp_clear_scheduled_hook( 'cf7_api_rebuild_search_index' );
+		\wp_clear_scheduled_hook( 'cf7_api_scheduled_export' );
+		\wp_clear_scheduled_hook( 'cf7_api_migration_run' );
+
+		if ( \function_exists( 'as_unschedule_all_actions' ) ) {
+			\as_unschedule_all_actions( 'cf7_api_process_queue' );
+		}
 
 		// Clear cached data.
 		\wp_cache_flush();
@@ -98,10 +108,21 @@ class Activator {
 			\delete_option( 'cf7_api_activated' );
 			\delete_option( 'cf7_api_deactivated' );
 			\delete_option( 'cf7_api_keep_data_on_uninstall' );
+			\delete_option( 'cf7_api_queue_paused' );
+			\delete_option( 'cf7_api_search_index' );
+			\delete_option( 'cf7_api_migration_state' );
+			\delete_option( 'cf7_api_migration_lock' );
+			\delete_option( 'cf7_api_alert_channel_state' );
+			\delete_option( 'cf7_api_alert_rule_state' );
+			\delete_option( 'cf7_api_circuit_breakers' );
+			\delete_option( 'cf7_api_circuit_breakers_lock' );
 
 			// Drop database tables.
 			self::drop_tables();
 
+			// Scheduled exports contain submission data.
+			ScheduledExportService::instance()->delete_all_files();
+
 			// Clear any cached data.
 			\wp_cache_flush();
 		}
@@ -147,12 +168,44 @@ class Activator {
 			retry_count int(3) UNSIGNED DEFAULT 0,
 			retry_of bigint(20) UNSIGNED DEFAULT NULL,
 			encryption_version tinyint(1) UNSIGNED DEFAULT 0,
+			is_test tinyint(1) UNSIGNED DEFAULT 0,
+			submission_id varchar(36) DEFAULT NULL,
+			destination varchar(100) DEFAULT NULL,
+			queue_payload longtext DEFAULT NULL,
+			is_auto_retry tinyint(1) UNSIGNED DEFAULT 0,
+			next_retry_at datetime DEFAULT NULL,
+			signature_algorithm varchar(10) DEFAULT NULL,
+			response_fields text DEFAULT NULL,
+			file_metadata text DEFAULT NULL,
 			created_at datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
 			PRIMARY KEY  (id),
 			KEY form_id (form_id),
 			KEY created_at (created_at),
 			KEY status (status),
-			KEY retry_of (retry_of)
+			KEY retry_of (retry_of),
+			KEY submission_id (submission_id),
+			KEY next_retry_at (next_retry_at)
+		) {$charset_collate};";
+
+		// Blind hashes of searchable request fields, see SearchIndex.
+		$index_sql = "CREATE TABLE {$wpdb->prefix}cf7_api_log_index (
+			id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+			log_id bigint(20) UNSIGNED NOT NULL,
+			field varchar(64) NOT NULL,
+			hash char(64) NOT NULL,
+			PRIMARY KEY  (id),
+			KEY log_id (log_id),
+			KEY field_hash (field,hash)
+		) {$charset_collate};";
+
+		// Logs the encryption migration failed to encrypt, see MigrationService.
+		$failures_sql = "CREATE TABLE {$wpdb->prefix}cf7_api_migration_failures (
+			id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+			log_id bigint(20) UNSIGNED NOT NULL,
+			error text NOT NULL,
+			created_at datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+			PRIMARY KEY  (id),
+			KEY log_id (log_id)
 		) {$charset_collate};";
 
 		// Try to load dbDelta function.
@@ -165,11 +218,15 @@ class Activator {
 
 		// Use dbDelta if available, otherwise use direct query.
 		if ( \function_exists( 'dbDelta' ) ) {
-			\dbDelta( $sql );
+			\dbDelta( array( $sql, $index_sql, $failures_sql ) );
 		} else {
 			// Fallback for test environments where dbDelta might not be available.
 			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange, WordPress.DB.PreparedSQL.NotPrepared
 			$wpdb->query( \str_replace( 'CREATE TABLE', 'CREATE TABLE IF NOT EXISTS', $sql ) );
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange, WordPress.DB.PreparedSQL.NotPrepared
+			$wpdb->query( \str_replace( 'CREATE TABLE', 'CREATE TABLE IF NOT EXISTS', $index_sql ) );
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange, WordPress.DB.PreparedSQL.NotPrepared
+			$wpdb->query( \str_replace( 'CREATE TABLE', 'CREATE TABLE IF NOT EXISTS', $failures_sql ) );
 		}
 	}
 
@@ -187,6 +244,10 @@ class Activator {
 
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange
 		$wpdb->query( $wpdb->prepare( 'DROP TABLE IF EXISTS %i', $table_name ) );
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange
+		$wpdb->query( $wpdb->prepare( 'DROP TABLE IF EXISTS %i', $wpdb->prefix . 'cf7_api_log_index' ) );
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange
+		$wpdb->query( $wpdb->prepare( 'DROP TABLE IF EXISTS %i', $wpdb->prefix . 'cf7_api_migration_failures' ) );
 	}
 
 	/**
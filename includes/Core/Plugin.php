@@ -20,9 +20,13 @@ use SilverAssist\ContactFormToAPI\Controller\ContactForm\SubmissionController;
 use SilverAssist\ContactFormToAPI\Core\Interfaces\LoadableInterface;
 use SilverAssist\ContactFormToAPI\Infrastructure\Handler\CheckboxHandler;
 use SilverAssist\ContactFormToAPI\Service\Api\ApiClient;
+use SilverAssist\ContactFormToAPI\Service\Api\DeliveryQueue;
+use SilverAssist\ContactFormToAPI\Service\Api\RetryScheduler;
 use SilverAssist\ContactFormToAPI\Service\ContactForm\SubmissionProcessor;
 use SilverAssist\ContactFormToAPI\Service\Export\ExportService;
+use SilverAssist\ContactFormToAPI\Service\Export\ScheduledExportService;
 use SilverAssist\ContactFormToAPI\Service\Logging\LogWriter;
+use SilverAssist\ContactFormToAPI\Service\Logging\SearchIndex;
 use SilverAssist\ContactFormToAPI\Service\Migration\MigrationService;
 use SilverAssist\ContactFormToAPI\Service\Notification\EmailAlertService;
 use SilverAssist\ContactFormToAPI\Service\Security\EncryptionService;
@@ -212,9 +216,13 @@ class Plugin implements LoadableInterface {
 		$service_classes = array(
 			ApiClient::class,
 			CheckboxHandler::class,
+			DeliveryQueue::class,
 			EmailAlertService::class,
 			ExportService::class,
 			MigrationService::class,
+			RetryScheduler::class,
+			ScheduledExportService::class,
+			SearchIndex::class,
 		);
 
 		foreach ( $service_classes as $service_class ) {
@@ -394,7 +402,7 @@ class Plugin implements LoadableInterface {
 		$db_version = \get_option( 'cf7_api_db_version', '0' );
 
 		// Current schema version - increment this when making schema changes.
-		$current_schema_version = '1.3.5';
+		$current_schema_version = '2.5.0.8';
 
 		if ( \version_compare( $db_version, $current_schema_version, '>=' ) ) {
 			return;
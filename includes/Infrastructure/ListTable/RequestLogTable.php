@@ -17,6 +17,7 @@ namespace SilverAssist\ContactFormToAPI\Infrastructure\ListTable;
 use SilverAssist\ContactFormToAPI\Service\Security\SensitiveDataPatterns;
 use SilverAssist\ContactFormToAPI\Service\Logging\LogReader;
 use SilverAssist\ContactFormToAPI\Service\Logging\RetryManager;
+use SilverAssist\ContactFormToAPI\Service\Logging\SearchIndex;
 use SilverAssist\ContactFormToAPI\Utils\DateFilterTrait;
 
 \defined( 'ABSPATH' ) || exit;
@@ -58,18 +59,33 @@ class RequestLogTable extends \WP_List_Table {
 	 */
 	private ?array $resolved_error_ids = null;
 
+	/**
+	 * URL that filter and row action links are built on, false for the current request URL
+	 *
+	 * @var string|false
+	 */
+	private $page_url = false;
+
 	/**
 	 * Constructor
+	 *
+	 * @since 2.5.0 Added `$page_url` for rows rendered outside the logs page (live refresh).
+	 * @param string $page_url Logs page URL with the current filters, empty for the current request URL.
 	 */
-	public function __construct() {
+	public function __construct( string $page_url = '' ) {
 		parent::__construct(
 			array(
 				'singular' => 'cf7-api-log',
 				'plural'   => 'cf7-api-logs',
 				'ajax'     => false,
+				'screen'   => 'contact_page_cf7-api-logs',
 			)
 		);
 
+		if ( '' !== $page_url ) {
+			$this->page_url = $page_url;
+		}
+
 		// Initialize logging service instances once for reuse.
 		$this->log_reader    = new LogReader();
 		$this->retry_manager = new RetryManager();
@@ -86,6 +102,41 @@ class RequestLogTable extends \WP_List_Table {
 		return (int) $this->get_pagination_arg( 'total_items' );
 	}
 
+	/**
+	 * Get the rendered rows of the current page
+	 *
+	 * Used by the live refresh of the logs page; call prepare_items() first.
+	 *
+	 * @since 2.5.0
+	 * @return array<int, array{id: int, html: string}> Rows in display order.
+	 */
+	public function get_rows_html(): array {
+		$rows = array();
+
+		foreach ( $this->items as $item ) {
+			\ob_start();
+			$this->single_row( $item );
+			$rows[] = array(
+				'id'   => (int) $item['id'],
+				'html' => (string) \ob_get_clean(),
+			);
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Get the rendered status filter links
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_views_html(): string {
+		\ob_start();
+		$this->views();
+		return (string) \ob_get_clean();
+	}
+
 	/**
 	 * Get columns
 	 *
@@ -162,6 +213,8 @@ class RequestLogTable extends \WP_List_Table {
 			'client_error' => 0,
 			'server_error' => 0,
 			'pending'      => 0,
+			'skipped'      => 0,
+			'dead_letter'  => 0,
 		);
 
 		foreach ( $counts as $row ) {
@@ -176,7 +229,7 @@ class RequestLogTable extends \WP_List_Table {
 
 		$views['all'] = \sprintf(
 			'<a href="%s" class="%s">%s <span class="count">(%d)</span></a>',
-			\remove_query_arg( 'status' ),
+			\remove_query_arg( 'status', $this->page_url ),
 			'all' === $current ? 'current' : '',
 			\__( 'All', 'contact-form-to-api' ),
 			$status_counts['all']
@@ -184,7 +237,7 @@ class RequestLogTable extends \WP_List_Table {
 
 		$views['success'] = \sprintf(
 			'<a href="%s" class="%s">%s <span class="count">(%d)</span></a>',
-			\add_query_arg( 'status', 'success' ),
+			\add_query_arg( 'status', 'success', $this->page_url ),
 			'success' === $current ? 'current' : '',
 			\__( 'Success', 'contact-form-to-api' ),
 			$status_counts['success']
@@ -192,16 +245,38 @@ class RequestLogTable extends \WP_List_Table {
 
 		$views['error'] = \sprintf(
 			'<a href="%s" class="%s">%s <span class="count">(%d)</span></a>',
-			\add_query_arg( 'status', 'error' ),
+			\add_query_arg( 'status', 'error', $this->page_url ),
 			'error' === $current ? 'current' : '',
 			\__( 'All Errors', 'contact-form-to-api' ),
-			$status_counts['error'] + $status_counts['client_error'] + $status_counts['server_error']
+			$status_counts['error'] + $status_counts['client_error'] + $status_counts['server_error'] + $status_counts['dead_letter']
 		);
 
+		// Deliveries that failed every scheduled retry.
+		if ( $status_counts['dead_letter'] > 0 || 'dead_letter' === $current ) {
+			$views['dead_letter'] = \sprintf(
+				'<a href="%s" class="%s">%s <span class="count">(%d)</span></a>',
+				\add_query_arg( 'status', 'dead_letter', $this->page_url ),
+				'dead_letter' === $current ? 'current' : '',
+				\__( 'Dead letter', 'contact-form-to-api' ),
+				$status_counts['dead_letter']
+			);
+		}
+
+		// Deliveries skipped by the form's sending conditions.
+		if ( $status_counts['skipped'] > 0 || 'skipped' === $current ) {
+			$views['skipped'] = \sprintf(
+				'<a href="%s" class="%s">%s <span class="count">(%d)</span></a>',
+				\add_query_arg( 'status', 'skipped', $this->page_url ),
+				'skipped' === $current ? 'current' : '',
+				\__( 'Skipped', 'contact-form-to-api' ),
+				$status_counts['skipped']
+			);
+		}
+
 		// Add unresolved errors filter (errors without successful retry).
 		$views['unresolved'] = \sprintf(
 			'<a href="%s" class="%s">%s <span class="count">(%d)</span></a>',
-			\add_query_arg( 'status', 'unresolved' ),
+			\add_query_arg( 'status', 'unresolved', $this->page_url ),
 			'unresolved' === $current ? 'current' : '',
 			\__( 'Unresolved', 'contact-form-to-api' ),
 			$error_resolution['unresolved']
@@ -249,6 +324,7 @@ class RequestLogTable extends \WP_List_Table {
 	 *
 	 * When search is active, filtering by name/lastname is done in PHP to respect
 	 * anonymization rules (fields marked as sensitive are not searched).
+	 * Structured filters of the search query are applied in SQL, see SearchQuery.
 	 *
 	 * @param int $per_page Items per page.
 	 * @param int $paged    Current page.
@@ -268,10 +344,10 @@ class RequestLogTable extends \WP_List_Table {
 			$status = \sanitize_text_field( \wp_unslash( $_GET['status'] ) );
 			if ( 'error' === $status ) {
 				// Include all error types (hardcoded values, no placeholder needed).
-				$conditions[] = "status IN ('error', 'client_error', 'server_error')";
+				$conditions[] = "status IN ('error', 'client_error', 'server_error', 'dead_letter')";
 			} elseif ( 'unresolved' === $status ) {
 				// Filter for unresolved errors (errors without successful retry).
-				$conditions[]      = "status IN ('error', 'client_error', 'server_error')";
+				$conditions[]      = "status IN ('error', 'client_error', 'server_error', 'dead_letter')";
 				$filter_unresolved = true;
 			} else {
 				$conditions[] = 'status = %s';
@@ -285,11 +361,15 @@ class RequestLogTable extends \WP_List_Table {
 			$values[]     = \absint( $_GET['form_id'] );
 		}
 
-		// Search term - when active, all filtering is done in PHP to support
-		// endpoint/error_message/sender_name search with OR logic.
+		// Search term - structured filters (code:5xx, email:...) are applied in SQL.
+		// Remaining free text is matched in PHP to support endpoint/error_message/
+		// sender_name search with OR logic.
 		$search_term = '';
 		if ( isset( $_GET['s'] ) && ! empty( $_GET['s'] ) ) {
-			$search_term = \sanitize_text_field( \wp_unslash( $_GET['s'] ) );
+			$search      = SearchIndex::instance()->get_query_conditions( \sanitize_text_field( \wp_unslash( $_GET['s'] ) ) );
+			$conditions  = \array_merge( $conditions, $search['conditions'] );
+			$values      = \array_merge( $values, $search['values'] );
+			$search_term = $search['text'];
 		}
 
 		// Apply date filter.
@@ -380,7 +460,8 @@ class RequestLogTable extends \WP_List_Table {
 		// Select only needed columns to reduce memory usage.
 		// We need request_data for sender extraction, encryption_version for decryption.
 		$columns = 'id, form_id, endpoint, method, status, error_message, request_data, '
-			. 'encryption_version, response_code, execution_time, retry_count, retry_of, created_at';
+			. 'encryption_version, response_code, execution_time, retry_count, retry_of, is_test, destination, '
+			. '( queue_payload IS NOT NULL ) AS is_queued, next_retry_at, created_at';
 
 		// Fetch records matching base filters (status, form, date), limit for memory safety.
 		// Search filtering is done in PHP to support OR logic with sender name.
@@ -503,7 +584,7 @@ class RequestLogTable extends \WP_List_Table {
 		$form_title = ( $form instanceof \WP_Post ) ? $form->post_title : \sprintf( \__( 'Form #%d', 'contact-form-to-api' ), $form_id );
 
 		// Add filter link.
-		$filter_url = \add_query_arg( 'form_id', $form_id );
+		$filter_url = \add_query_arg( 'form_id', $form_id, $this->page_url );
 
 		return \sprintf(
 			'<a href="%s">%s</a>',
@@ -720,7 +801,8 @@ class RequestLogTable extends \WP_List_Table {
 						array(
 							'action' => 'view',
 							'log_id' => $item['id'],
-						)
+						),
+						$this->page_url
 					)
 				),
 				\__( 'View Details', 'contact-form-to-api' )
@@ -728,7 +810,7 @@ class RequestLogTable extends \WP_List_Table {
 		);
 
 		// Only show retry action for failed requests that haven't been successfully retried
-		if ( 'error' === $item['status'] || 'client_error' === $item['status'] || 'server_error' === $item['status'] ) {
+		if ( \in_array( $item['status'], array( 'error', 'client_error', 'server_error', 'dead_letter' ), true ) ) {
 			// Check if already successfully retried using cached logger instance
 			if ( ! $this->retry_manager->has_successful_retry( (int) $item['id'] ) ) {
 				$actions['retry'] = \sprintf(
@@ -739,7 +821,8 @@ class RequestLogTable extends \WP_List_Table {
 								array(
 									'action' => 'retry',
 									'log'    => $item['id'],
-								)
+								),
+								$this->page_url
 							),
 							'bulk-cf7-api-logs'
 						)
@@ -757,7 +840,8 @@ class RequestLogTable extends \WP_List_Table {
 						array(
 							'action' => 'delete',
 							'log'    => $item['id'],
-						)
+						),
+						$this->page_url
 					),
 					'bulk-cf7-api-logs'
 				)
@@ -768,18 +852,25 @@ class RequestLogTable extends \WP_List_Table {
 		$endpoint      = $item['endpoint'];
 		$endpoint_full = $endpoint;
 
+		// Label deliveries of multi-destination forms.
+		$destination = ! empty( $item['destination'] )
+			? \sprintf( ' <span class="cf7-api-destination">%s</span>', \esc_html( $item['destination'] ) )
+			: '';
+
 		return \sprintf(
-			'<span class="endpoint-cell" title="%s"><strong><a href="%s">%s</a></strong></span>%s',
+			'<span class="endpoint-cell" title="%s"><strong><a href="%s">%s</a></strong>%s</span>%s',
 			\esc_attr( $endpoint_full ),
 			\esc_url(
 				\add_query_arg(
 					array(
 						'action' => 'view',
 						'log_id' => $item['id'],
-					)
+					),
+					$this->page_url
 				)
 			),
 			\esc_html( $endpoint ),
+			$destination,
 			$this->row_actions( $actions )
 		);
 	}
@@ -806,6 +897,7 @@ class RequestLogTable extends \WP_List_Table {
 	 *
 	 * @since 1.1.0
 	 * @since 1.3.14 Added resolved indicator for errors with successful retry.
+	 * @since 2.5.0 Flags deliveries waiting in the delivery queue.
 	 * @param array<string, mixed> $item Item data.
 	 * @return string
 	 */
@@ -818,9 +910,42 @@ class RequestLogTable extends \WP_List_Table {
 			\esc_html( $label )
 		);
 
+		// Flag pending deliveries still waiting for the queue worker.
+		if ( 'pending' === $status && ( ! empty( $item['is_queued'] ) || ! empty( $item['queue_payload'] ) ) ) {
+			$output .= \sprintf(
+				' <span class="cf7-api-status cf7-api-status-queued" title="%s">%s</span>',
+				\esc_attr__( 'Waiting in the delivery queue', 'contact-form-to-api' ),
+				\esc_html__( 'Queued', 'contact-form-to-api' )
+			);
+		}
+
+		// Flag failed deliveries waiting for a scheduled retry.
+		if ( ! empty( $item['next_retry_at'] ) ) {
+			$output .= \sprintf(
+				' <span class="cf7-api-status cf7-api-status-retry-scheduled" title="%s">%s</span>',
+				\esc_attr(
+					\sprintf(
+						/* translators: %s: date and time of the next retry */
+						\__( 'Next automatic retry: %s', 'contact-form-to-api' ),
+						\get_date_from_gmt( $item['next_retry_at'], \get_option( 'date_format' ) . ' ' . \get_option( 'time_format' ) )
+					)
+				),
+				\esc_html__( 'Retry scheduled', 'contact-form-to-api' )
+			);
+		}
+
+		// Flag requests sent from the integration panel's connection test.
+		if ( ! empty( $item['is_test'] ) ) {
+			$output .= \sprintf(
+				' <span class="cf7-api-status cf7-api-status-test" title="%s">%s</span>',
+				\esc_attr__( 'Sent from the Test Connection button', 'contact-form-to-api' ),
+				\esc_html__( 'Test', 'contact-form-to-api' )
+			);
+		}
+
 		// Check if this is an error that has been successfully retried.
 		// Use cached resolved IDs to avoid N+1 queries.
-		$is_error = \in_array( $status, array( 'error', 'client_error', 'server_error' ), true );
+		$is_error = \in_array( $status, array( 'error', 'client_error', 'server_error', 'dead_letter' ), true );
 		if ( $is_error ) {
 			// Lazy load resolved IDs once per request.
 			if ( null === $this->resolved_error_ids ) {
@@ -16,6 +16,7 @@ namespace SilverAssist\ContactFormToAPI\Infrastructure\Widget;
 
 use SilverAssist\ContactFormToAPI\Core\AssetHelper;
 use SilverAssist\ContactFormToAPI\Core\Interfaces\LoadableInterface;
+use SilverAssist\ContactFormToAPI\Service\Logging\EndpointHealth;
 use SilverAssist\ContactFormToAPI\Service\Logging\LogStatistics;
 use SilverAssist\ContactFormToAPI\View\Admin\Dashboard\DashboardWidgetView;
 
@@ -129,6 +130,8 @@ class DashboardWidget implements LoadableInterface {
 	/**
 	 * Get statistics for dashboard
 	 *
+	 * @since 1.2.0
+	 * @since 2.5.0 Added `endpoint_health`.
 	 * @return array<string, mixed> Statistics array
 	 */
 	private function get_statistics(): array {
@@ -141,6 +144,7 @@ class DashboardWidget implements LoadableInterface {
 			'success_rate'      => $stats->get_success_rate_last_hours( 24 ),
 			'avg_response_time' => $stats->get_avg_response_time_last_hours( 24 ),
 			'recent_errors'     => $stats->get_recent_errors( 5, 24 ),
+			'endpoint_health'   => ( new EndpointHealth() )->get_all(),
 		);
 	}
 
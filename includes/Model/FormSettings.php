@@ -14,6 +14,11 @@
 
 namespace SilverAssist\ContactFormToAPI\Model;
 
+use SilverAssist\ContactFormToAPI\Service\Api\RetryScheduler;
+use SilverAssist\ContactFormToAPI\Utils\ConditionEvaluator;
+use SilverAssist\ContactFormToAPI\Utils\FieldTransformer;
+use SilverAssist\ContactFormToAPI\Utils\ResponseEvaluator;
+
 \defined( 'ABSPATH' ) || exit;
 
 /**
@@ -26,6 +31,17 @@ namespace SilverAssist\ContactFormToAPI\Model;
  */
 class FormSettings {
 
+	/**
+	 * What the visitor sees when the primary endpoint delivery fails
+	 *
+	 * - ignore:  CF7's normal response, the mail is sent (default).
+	 * - message: the mail is sent, the visitor sees the failure message.
+	 * - abort:   the mail is not sent and the visitor sees the failure message, so they can resubmit.
+	 *
+	 * @since 2.5.0
+	 */
+	public const FAILURE_POLICIES = array( 'ignore', 'message', 'abort' );
+
 	/**
 	 * Form ID
 	 *
@@ -96,21 +112,95 @@ class FormSettings {
 	 */
 	private bool $debug_mode;
 
+	/**
+	 * Additional destinations
+	 *
+	 * @var array<int, array<string, mixed>>
+	 */
+	private array $additional_endpoints;
+
+	/**
+	 * XML request template
+	 *
+	 * @var string
+	 */
+	private string $template;
+
+	/**
+	 * JSON request template
+	 *
+	 * @var string
+	 */
+	private string $json_template;
+
+	/**
+	 * Sending conditions
+	 *
+	 * @var array<string, mixed>
+	 */
+	private array $send_conditions;
+
+	/**
+	 * Request signing configuration
+	 *
+	 * @var array<string, mixed>
+	 */
+	private array $signing_config;
+
+	/**
+	 * Response rules
+	 *
+	 * @var array<string, mixed>
+	 */
+	private array $response_rules;
+
+	/**
+	 * Failure policy
+	 *
+	 * @var array<string, mixed>
+	 */
+	private array $failure_policy;
+
+	/**
+	 * Field mapping rules (transforms and constants)
+	 *
+	 * @var array<string, mixed>
+	 */
+	private array $mapping_rules;
+
+	/**
+	 * Alert rules
+	 *
+	 * @var array<int, array<string, mixed>>
+	 */
+	private array $alert_rules;
+
 	/**
 	 * Constructor
 	 *
 	 * @since 2.0.0
-	 *
-	 * @param int                  $form_id        Form ID.
-	 * @param bool                 $enabled        Integration enabled.
-	 * @param string               $endpoint       API endpoint URL.
-	 * @param string               $method         HTTP method.
-	 * @param string               $input_type     Input type.
-	 * @param array<string, mixed> $field_mappings Field mappings.
-	 * @param array<string, mixed> $auth_config    Authentication config.
-	 * @param array<string, mixed> $custom_headers Custom headers.
-	 * @param array<string, mixed> $retry_config   Retry configuration.
-	 * @param bool                 $debug_mode     Debug mode.
+	 * @since 2.5.0 Added `$additional_endpoints`, `$template`, `$json_template`, `$send_conditions`,
+	 *              `$signing_config`, `$response_rules`, `$failure_policy`, `$mapping_rules` and `$alert_rules`.
+	 *
+	 * @param int                              $form_id              Form ID.
+	 * @param bool                             $enabled              Integration enabled.
+	 * @param string                           $endpoint             API endpoint URL.
+	 * @param string                           $method               HTTP method.
+	 * @param string                           $input_type           Input type.
+	 * @param array<string, mixed>             $field_mappings       Field mappings.
+	 * @param array<string, mixed>             $auth_config          Authentication config.
+	 * @param array<string, mixed>             $custom_headers       Custom headers.
+	 * @param array<string, mixed>             $retry_config         Retry configuration.
+	 * @param bool                             $debug_mode           Debug mode.
+	 * @param array<int, array<string, mixed>> $additional_endpoints Additional destinations.
+	 * @param string                           $template             XML request template.
+	 * @param string                           $json_template        JSON request template.
+	 * @param array<string, mixed>             $send_conditions      Sending conditions.
+	 * @param array<string, mixed>             $signing_config       Request signing config.
+	 * @param array<string, mixed>             $response_rules       Response rules.
+	 * @param array<string, mixed>             $failure_policy       Failure policy.
+	 * @param array<string, mixed>             $mapping_rules        Field mapping rules.
+	 * @param array<int, array<string, mixed>> $alert_rules          Alert rules.
 	 */
 	public function __construct(
 		int $form_id,
@@ -122,18 +212,36 @@ class FormSettings {
 		array $auth_config = array(),
 		array $custom_headers = array(),
 		array $retry_config = array(),
-		bool $debug_mode = false
+		bool $debug_mode = false,
+		array $additional_endpoints = array(),
+		string $template = '',
+		string $json_template = '',
+		array $send_conditions = array(),
+		array $signing_config = array(),
+		array $response_rules = array(),
+		array $failure_policy = array(),
+		array $mapping_rules = array(),
+		array $alert_rules = array()
 	) {
-		$this->form_id        = $form_id;
-		$this->enabled        = $enabled;
-		$this->endpoint       = $endpoint;
-		$this->method         = $method;
-		$this->input_type     = $input_type;
-		$this->field_mappings = $field_mappings;
-		$this->auth_config    = $auth_config;
-		$this->custom_headers = $custom_headers;
-		$this->retry_config   = $retry_config;
-		$this->debug_mode     = $debug_mode;
+		$this->form_id              = $form_id;
+		$this->enabled              = $enabled;
+		$this->endpoint             = $endpoint;
+		$this->method               = $method;
+		$this->input_type           = $input_type;
+		$this->field_mappings       = $field_mappings;
+		$this->auth_config          = $auth_config;
+		$this->custom_headers       = $custom_headers;
+		$this->retry_config         = $retry_config;
+		$this->debug_mode           = $debug_mode;
+		$this->additional_endpoints = $additional_endpoints;
+		$this->template             = $template;
+		$this->json_template        = $json_template;
+		$this->send_conditions      = $send_conditions;
+		$this->signing_config       = $signing_config;
+		$this->response_rules       = $response_rules;
+		$this->failure_policy       = $failure_policy;
+		$this->mapping_rules        = $mapping_rules;
+		$this->alert_rules          = $alert_rules;
 	}
 
 	/**
@@ -246,32 +354,200 @@ class FormSettings {
 		return $this->debug_mode;
 	}
 
+	/**
+	 * Get additional destinations
+	 *
+	 * @since 2.5.0
+	 *
+	 * @return array<int, array<string, mixed>> Additional destinations.
+	 */
+	public function get_additional_endpoints(): array {
+		return $this->additional_endpoints;
+	}
+
+	/**
+	 * Get XML request template
+	 *
+	 * @since 2.5.0
+	 *
+	 * @return string XML template.
+	 */
+	public function get_template(): string {
+		return $this->template;
+	}
+
+	/**
+	 * Get JSON request template
+	 *
+	 * @since 2.5.0
+	 *
+	 * @return string JSON template.
+	 */
+	public function get_json_template(): string {
+		return $this->json_template;
+	}
+
+	/**
+	 * Get sending conditions
+	 *
+	 * @since 2.5.0
+	 *
+	 * @return array<string, mixed> Sending conditions.
+	 */
+	public function get_send_conditions(): array {
+		return $this->send_conditions;
+	}
+
+	/**
+	 * Get request signing configuration
+	 *
+	 * @since 2.5.0
+	 *
+	 * @return array<string, mixed> Signing config (secret as stored).
+	 */
+	public function get_signing_config(): array {
+		return $this->signing_config;
+	}
+
+	/**
+	 * Get response rules
+	 *
+	 * @since 2.5.0
+	 *
+	 * @return array<string, mixed> Response rules.
+	 */
+	public function get_response_rules(): array {
+		return $this->response_rules;
+	}
+
+	/**
+	 * Get failure policy
+	 *
+	 * @since 2.5.0
+	 *
+	 * @return array<string, mixed> Failure policy.
+	 */
+	public function get_failure_policy(): array {
+		return $this->failure_policy;
+	}
+
+	/**
+	 * Get field mapping rules
+	 *
+	 * @since 2.5.0
+	 *
+	 * @return array<string, mixed> Mapping rules.
+	 */
+	public function get_mapping_rules(): array {
+		return $this->mapping_rules;
+	}
+
+	/**
+	 * Get alert rules
+	 *
+	 * @since 2.5.0
+	 *
+	 * @return array<int, array<string, mixed>> Alert rules.
+	 */
+	public function get_alert_rules(): array {
+		return $this->alert_rules;
+	}
+
+	/**
+	 * Get the URLs of all enabled destinations
+	 *
+	 * The primary endpoint comes first, followed by enabled additional destinations.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @return array<int, string> Endpoint URLs.
+	 */
+	public function get_endpoints(): array {
+		$endpoints = '' !== $this->endpoint ? array( $this->endpoint ) : array();
+
+		foreach ( $this->additional_endpoints as $additional ) {
+			if ( ! empty( $additional['enabled'] ) && ! empty( $additional['base_url'] ) ) {
+				$endpoints[] = (string) $additional['base_url'];
+			}
+		}
+
+		return $endpoints;
+	}
+
 	/**
 	 * Convert to array representation
 	 *
 	 * @since 2.0.0
+	 * @since 2.5.0 Added the templates, conditions, signing, response, failure, mapping and alert rules.
 	 *
 	 * @return array<string, mixed> Array representation.
 	 */
 	public function to_array(): array {
 		return array(
-			'form_id'        => $this->form_id,
-			'enabled'        => $this->enabled,
-			'endpoint'       => $this->endpoint,
-			'method'         => $this->method,
-			'input_type'     => $this->input_type,
-			'field_mappings' => $this->field_mappings,
-			'auth_config'    => $this->auth_config,
-			'custom_headers' => $this->custom_headers,
-			'retry_config'   => $this->retry_config,
-			'debug_mode'     => $this->debug_mode,
+			'form_id'              => $this->form_id,
+			'enabled'              => $this->enabled,
+			'endpoint'             => $this->endpoint,
+			'method'               => $this->method,
+			'input_type'           => $this->input_type,
+			'field_mappings'       => $this->field_mappings,
+			'auth_config'          => $this->auth_config,
+			'custom_headers'       => $this->custom_headers,
+			'retry_config'         => $this->retry_config,
+			'debug_mode'           => $this->debug_mode,
+			'additional_endpoints' => $this->additional_endpoints,
+			'template'             => $this->template,
+			'json_template'        => $this->json_template,
+			'send_conditions'      => $this->send_conditions,
+			'signing_config'       => $this->signing_config,
+			'response_rules'       => $this->response_rules,
+			'failure_policy'       => $this->failure_policy,
+			'mapping_rules'        => $this->mapping_rules,
+			'alert_rules'          => $this->alert_rules,
+		);
+	}
+
+	/**
+	 * Convert to Contact Form 7 form properties
+	 *
+	 * The inverse of from_meta() for the properties registered by
+	 * SubmissionController::add_form_properties().
+	 *
+	 * @since 2.5.0
+	 *
+	 * @return array<string, mixed> Form properties.
+	 */
+	public function to_properties(): array {
+		return array(
+			'wpcf7_api_data'     => array(
+				'send_to_api' => $this->enabled ? 'on' : '',
+				'base_url'    => $this->endpoint,
+				'method'      => $this->method,
+				'input_type'  => $this->input_type,
+				'debug_log'   => $this->debug_mode,
+			),
+			'wpcf7_api_data_map' => $this->field_mappings,
+			'template'           => $this->template,
+			'json_template'      => $this->json_template,
+			'retry_config'       => $this->retry_config,
+			'custom_headers'     => $this->custom_headers,
+			'api_endpoints'      => $this->additional_endpoints,
+			'send_conditions'    => $this->send_conditions,
+			'auth_config'        => $this->auth_config,
+			'signing_config'     => $this->signing_config,
+			'response_rules'     => $this->response_rules,
+			'failure_policy'     => $this->failure_policy,
+			'mapping_rules'      => $this->mapping_rules,
+			'alert_rules'        => $this->alert_rules,
 		);
 	}
 
 	/**
 	 * Create FormSettings from post meta array
 	 *
+	 * Also accepts the properties of a Contact Form 7 form.
+	 *
 	 * @since 2.0.0
+	 * @since 2.5.0 Reads the `auth_config` property and the properties added in 2.5.0.
 	 *
 	 * @param int                  $form_id Form ID.
 	 * @param array<string, mixed> $meta    Post meta array.
@@ -300,10 +576,317 @@ class FormSettings {
 			(string) ( $api_data['method'] ?? 'POST' ),
 			(string) ( $api_data['input_type'] ?? 'params' ),
 			$api_data_map,
-			(array) ( $meta['_wpcf7_api_auth'] ?? $meta['wpcf7_api_auth'] ?? array() ),
+			(array) ( $meta['_wpcf7_api_auth'] ?? $meta['wpcf7_api_auth'] ?? $meta['auth_config'] ?? array() ),
 			(array) ( $meta['custom_headers'] ?? array() ),
 			(array) ( $meta['retry_config'] ?? array() ),
-			! empty( $api_data['debug_log'] )
+			! empty( $api_data['debug_log'] ),
+			\array_values( (array) ( $meta['api_endpoints'] ?? array() ) ),
+			(string) ( $meta['template'] ?? '' ),
+			(string) ( $meta['json_template'] ?? '' ),
+			(array) ( $meta['send_conditions'] ?? array() ),
+			(array) ( $meta['signing_config'] ?? array() ),
+			(array) ( $meta['response_rules'] ?? array() ),
+			(array) ( $meta['failure_policy'] ?? array() ),
+			(array) ( $meta['mapping_rules'] ?? array() ),
+			\array_values( (array) ( $meta['alert_rules'] ?? array() ) )
+		);
+	}
+
+	/**
+	 * Sanitize a retry configuration
+	 *
+	 * Accepts the posted panel fields (checkboxes, schedule as a comma
+	 * separated list) as well as the stored shape (booleans, schedule array).
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param mixed $raw_config Posted or stored retry configuration.
+	 * @return array<string, mixed> Retry configuration.
+	 */
+	public static function sanitize_retry_config( $raw_config ): array {
+		$raw_config   = \is_array( $raw_config ) ? $raw_config : array();
+		$retry_config = array(
+			'retry_on_timeout'    => ! empty( $raw_config['retry_on_timeout'] ),
+			'auto_retry'          => ! empty( $raw_config['auto_retry'] ),
+			'auto_retry_schedule' => RetryScheduler::parse_schedule( $raw_config['auto_retry_schedule'] ?? '' ),
+		);
+
+		// Ensure numeric values.
+		if ( isset( $raw_config['max_retries'] ) ) {
+			$retry_config['max_retries'] = (int) $raw_config['max_retries'];
+		}
+		if ( isset( $raw_config['retry_delay'] ) ) {
+			$retry_config['retry_delay'] = (int) $raw_config['retry_delay'];
+		}
+
+		return $retry_config;
+	}
+
+	/**
+	 * Sanitize custom headers
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param mixed $raw_headers Headers (list of name/value pairs).
+	 * @return array<int, array<string, string>> Non-empty headers.
+	 */
+	public static function sanitize_custom_headers( $raw_headers ): array {
+		$custom_headers = array();
+		if ( ! \is_array( $raw_headers ) ) {
+			return $custom_headers;
+		}
+
+		foreach ( $raw_headers as $header ) {
+			$name  = \is_array( $header ) ? \sanitize_text_field( self::get_string( $header, 'name' ) ) : '';
+			$value = \is_array( $header ) ? \sanitize_text_field( self::get_string( $header, 'value' ) ) : '';
+			// Only save non-empty headers.
+			if ( ! empty( $name ) ) {
+				$custom_headers[] = array(
+					'name'  => $name,
+					'value' => $value,
+				);
+			}
+		}
+
+		return $custom_headers;
+	}
+
+	/**
+	 * Sanitize additional destinations
+	 *
+	 * Each destination has its own URL, method, input type, template, headers
+	 * and retry configuration. The panel posts the headers as `headers`, one
+	 * `Name: value` per line; stored destinations carry `custom_headers`.
+	 * Destinations without a URL are dropped.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param mixed $raw_endpoints Posted or stored destinations, unslashed.
+	 * @return array<int, array<string, mixed>> Destinations.
+	 */
+	public static function sanitize_endpoints( $raw_endpoints ): array {
+		$endpoints = array();
+		if ( ! \is_array( $raw_endpoints ) ) {
+			return $endpoints;
+		}
+
+		foreach ( $raw_endpoints as $raw ) {
+			if ( ! \is_array( $raw ) ) {
+				continue;
+			}
+
+			$base_url = \esc_url_raw( \trim( self::get_string( $raw, 'base_url' ) ) );
+			if ( empty( $base_url ) ) {
+				continue;
+			}
+
+			$input_type = \sanitize_key( self::get_string( $raw, 'input_type', 'params' ) );
+			$method     = 'multipart' === $input_type ? 'POST' : \strtoupper( \sanitize_key( self::get_string( $raw, 'method', 'GET' ) ) );
+
+			$headers = \is_array( $raw['custom_headers'] ?? null ) ? $raw['custom_headers'] : array();
+			foreach ( \preg_split( '/\r\n|\r|\n/', self::get_string( $raw, 'headers' ) ) as $line ) {
+				$parts = \explode( ':', $line, 2 );
+				if ( 2 === \count( $parts ) ) {
+					$headers[] = array(
+						'name'  => \trim( $parts[0] ),
+						'value' => \trim( $parts[1] ),
+					);
+				}
+			}
+
+			$endpoints[] = array(
+				/* translators: %d: destination number */
+				'label'          => \sanitize_text_field( self::get_string( $raw, 'label' ) ) ?: \sprintf( \__( 'Destination %d', 'contact-form-to-api' ), \count( $endpoints ) + 2 ),
+				'enabled'        => ! empty( $raw['enabled'] ),
+				'base_url'       => $base_url,
+				'input_type'     => \in_array( $input_type, array( 'params', 'xml', 'json', 'multipart' ), true ) ? $input_type : 'params',
+				'method'         => \in_array( $method, array( 'GET', 'POST' ), true ) ? $method : 'GET',
+				'template'       => self::get_string( $raw, 'template' ),
+				'custom_headers' => self::sanitize_custom_headers( $headers ),
+				'retry_config'   => self::sanitize_retry_config( $raw['retry_config'] ?? array() ),
+				'conditions'     => self::sanitize_conditions( $raw['conditions'] ?? array() ),
+			);
+		}
+
+		return $endpoints;
+	}
+
+	/**
+	 * Sanitize response rules
+	 *
+	 * The panel posts extraction fields as "name = path" lines; stored rules
+	 * carry them as a list of name/path pairs.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param mixed $raw_rules Posted or stored response rules.
+	 * @return array{success_path: string, success_value: string, extract: array<int, array{name: string, path: string}>}
+	 */
+	public static function sanitize_response_rules( $raw_rules ): array {
+		$raw_rules = \is_array( $raw_rules ) ? $raw_rules : array();
+		$extract   = $raw_rules['extract'] ?? '';
+
+		if ( \is_array( $extract ) ) {
+			$extract = \implode(
+				"\n",
+				\array_map( fn( $field ) => \is_array( $field ) ? self::get_string( $field, 'name' ) . ' = ' . self::get_string( $field, 'path' ) : '', $extract )
+			);
+		}
+
+		return array(
+			'success_path'  => \sanitize_text_field( self::get_string( $raw_rules, 'success_path' ) ),
+			'success_value' => \sanitize_text_field( self::get_string( $raw_rules, 'success_value' ) ),
+			'extract'       => ResponseEvaluator::parse_extract_lines( \sanitize_textarea_field( (string) $extract ) ),
+		);
+	}
+
+	/**
+	 * Sanitize a failure policy
+	 *
+	 * Unknown policies fall back to `ignore`.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param mixed $raw_policy Posted or stored failure policy.
+	 * @return array{policy: string, message: string}
+	 */
+	public static function sanitize_failure_policy( $raw_policy ): array {
+		$raw_policy = \is_array( $raw_policy ) ? $raw_policy : array();
+		$policy     = \sanitize_key( self::get_string( $raw_policy, 'policy', 'ignore' ) );
+
+		return array(
+			'policy'  => \in_array( $policy, self::FAILURE_POLICIES, true ) ? $policy : 'ignore',
+			'message' => \sanitize_textarea_field( self::get_string( $raw_policy, 'message' ) ),
+		);
+	}
+
+	/**
+	 * Sanitize sending conditions
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param mixed $raw_conditions Posted or stored conditions (match and rules), unslashed.
+	 * @return array{match: string, rules: array<int, array<string, string>>} Conditions.
+	 */
+	public static function sanitize_conditions( $raw_conditions ): array {
+		$raw_conditions = \is_array( $raw_conditions ) ? $raw_conditions : array();
+		$rules          = array();
+
+		foreach ( (array) ( $raw_conditions['rules'] ?? array() ) as $rule ) {
+			if ( ! \is_array( $rule ) ) {
+				continue;
+			}
+
+			$field    = \sanitize_text_field( self::get_string( $rule, 'field' ) );
+			$operator = \sanitize_key( self::get_string( $rule, 'operator' ) );
+
+			if ( '' === $field || ! \in_array( $operator, ConditionEvaluator::OPERATORS, true ) ) {
+				continue;
+			}
+
+			$rules[] = array(
+				'field'    => $field,
+				'operator' => $operator,
+				'value'    => \sanitize_text_field( self::get_string( $rule, 'value' ) ),
+			);
+		}
+
+		return array(
+			'match' => 'any' === ( $raw_conditions['match'] ?? 'all' ) ? 'any' : 'all',
+			'rules' => $rules,
 		);
 	}
+
+	/**
+	 * Sanitize field mapping rules
+	 *
+	 * The panel posts lookup tables as "from = to" lines and concatenated
+	 * fields as a comma-separated list; stored rules carry an array for both.
+	 * An empty concatenation separator means a space.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param mixed $raw_rules Posted or stored mapping rules (transforms and constants).
+	 * @return array{transforms: array<string, array<int, array<string, mixed>>>, constants: array<int, array{key: string, value: string}>}
+	 */
+	public static function sanitize_mapping_rules( $raw_rules ): array {
+		$raw_rules  = \is_array( $raw_rules ) ? $raw_rules : array();
+		$transforms = array();
+		$constants  = array();
+
+		foreach ( (array) ( $raw_rules['transforms'] ?? array() ) as $field => $field_transforms ) {
+			$field = \sanitize_text_field( (string) $field );
+
+			foreach ( (array) $field_transforms as $transform ) {
+				$type = \is_array( $transform ) ? \sanitize_key( self::get_string( $transform, 'type' ) ) : '';
+				if ( '' === $field || ! \in_array( $type, FieldTransformer::TYPES, true ) ) {
+					continue;
+				}
+
+				$clean = array( 'type' => $type );
+
+				switch ( $type ) {
+					case 'date':
+						$clean['from'] = \sanitize_text_field( self::get_string( $transform, 'from' ) );
+						$clean['to']   = \sanitize_text_field( self::get_string( $transform, 'to' ) ) ?: 'Y-m-d';
+						break;
+
+					case 'phone':
+						$clean['country'] = (string) \preg_replace( '/\D+/', '', self::get_string( $transform, 'country' ) );
+						break;
+
+					case 'default':
+						$clean['value'] = \sanitize_text_field( self::get_string( $transform, 'value' ) );
+						break;
+
+					case 'lookup':
+						$map = $transform['map'] ?? '';
+						if ( \is_array( $map ) ) {
+							$map = \implode( "\n", \array_map( fn( $from, $to ) => $from . ' = ' . ( \is_scalar( $to ) ? $to : '' ), \array_keys( $map ), $map ) );
+						}
+						$clean['map'] = FieldTransformer::parse_lookup_lines( \sanitize_textarea_field( (string) $map ) );
+						break;
+
+					case 'concat':
+						$fields             = $transform['fields'] ?? '';
+						$fields             = \is_array( $fields ) ? \implode( ',', \array_filter( $fields, 'is_scalar' ) ) : (string) $fields;
+						$separator          = \wp_kses( self::get_string( $transform, 'separator' ), array() );
+						$clean['fields']    = \array_values( \array_filter( \array_map( 'trim', \explode( ',', \sanitize_text_field( $fields ) ) ) ) );
+						$clean['separator'] = '' === $separator ? ' ' : $separator;
+						break;
+				}
+
+				$transforms[ $field ][] = $clean;
+			}
+		}
+
+		foreach ( (array) ( $raw_rules['constants'] ?? array() ) as $constant ) {
+			$key = \is_array( $constant ) ? \sanitize_text_field( self::get_string( $constant, 'key' ) ) : '';
+			if ( '' !== $key ) {
+				$constants[] = array(
+					'key'   => $key,
+					'value' => \sanitize_text_field( self::get_string( $constant, 'value' ) ),
+				);
+			}
+		}
+
+		return array(
+			'transforms' => $transforms,
+			'constants'  => $constants,
+		);
+	}
+
+	/**
+	 * Get a string value of a posted or stored settings array
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array<mixed> $raw      Settings array.
+	 * @param string       $key      Key to read.
+	 * @param string       $fallback Value used when the key is missing or not a scalar.
+	 * @return string
+	 */
+	private static function get_string( array $raw, string $key, string $fallback = '' ): string {
+		return \is_scalar( $raw[ $key ] ?? null ) ? (string) $raw[ $key ] : $fallback;
+	}
 }
@@ -131,6 +131,20 @@ class LogEntry {
 	 */
 	private ?int $retry_of = null;
 
+	/**
+	 * Submission ID shared by all deliveries of one form submission
+	 *
+	 * @var string|null
+	 */
+	private ?string $submission_id = null;
+
+	/**
+	 * Destination label
+	 *
+	 * @var string|null
+	 */
+	private ?string $destination = null;
+
 	/**
 	 * Constructor
 	 *
@@ -444,6 +458,52 @@ class LogEntry {
 		$this->retry_of = $retry_of;
 	}
 
+	/**
+	 * Get submission ID
+	 *
+	 * @since 2.5.0
+	 *
+	 * @return string|null Submission UUID.
+	 */
+	public function get_submission_id(): ?string {
+		return $this->submission_id;
+	}
+
+	/**
+	 * Set submission ID
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string|null $submission_id Submission UUID.
+	 * @return void
+	 */
+	public function set_submission_id( ?string $submission_id ): void {
+		$this->submission_id = $submission_id;
+	}
+
+	/**
+	 * Get destination label
+	 *
+	 * @since 2.5.0
+	 *
+	 * @return string|null Destination label.
+	 */
+	public function get_destination(): ?string {
+		return $this->destination;
+	}
+
+	/**
+	 * Set destination label
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string|null $destination Destination label.
+	 * @return void
+	 */
+	public function set_destination( ?string $destination ): void {
+		$this->destination = $destination;
+	}
+
 	/**
 	 * Check if this is a retry
 	 *
@@ -474,7 +534,7 @@ class LogEntry {
 	 * @return bool True if error occurred.
 	 */
 	public function is_error(): bool {
-		return \in_array( $this->status, array( 'error', 'client_error', 'server_error' ), true );
+		return \in_array( $this->status, array( 'error', 'client_error', 'server_error', 'dead_letter' ), true );
 	}
 
 	/**
@@ -501,6 +561,8 @@ class LogEntry {
 			'created_at'       => $this->created_at,
 			'retry_count'      => $this->retry_count,
 			'retry_of'         => $this->retry_of,
+			'submission_id'    => $this->submission_id,
+			'destination'      => $this->destination,
 		);
 	}
 
@@ -567,6 +629,14 @@ class LogEntry {
 			$entry->set_retry_of( (int) $data['retry_of'] );
 		}
 
+		if ( isset( $data['submission_id'] ) ) {
+			$entry->set_submission_id( (string) $data['submission_id'] );
+		}
+
+		if ( isset( $data['destination'] ) ) {
+			$entry->set_destination( (string) $data['destination'] );
+		}
+
 		return $entry;
 	}
 }
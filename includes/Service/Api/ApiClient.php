@@ -15,9 +15,11 @@
 namespace SilverAssist\ContactFormToAPI\Service\Api;
 
 use SilverAssist\ContactFormToAPI\Core\Interfaces\LoadableInterface;
+use SilverAssist\ContactFormToAPI\Service\ContactForm\SubmissionProcessor;
 use SilverAssist\ContactFormToAPI\Service\Logging\LogReader;
 use SilverAssist\ContactFormToAPI\Service\Logging\LogWriter;
 use SilverAssist\ContactFormToAPI\Utils\DebugLogger;
+use SilverAssist\ContactFormToAPI\Utils\ResponseEvaluator;
 use WP_Error;
 
 defined( 'ABSPATH' ) || exit;
@@ -70,6 +72,13 @@ class ApiClient implements LoadableInterface {
 	 */
 	public const DEFAULT_TIMEOUT = 30;
 
+	/**
+	 * Marker standing in for a file's base64 contents until the request is sent
+	 *
+	 * @var string
+	 */
+	private const FILE_PLACEHOLDER = '{cf7-api-file:%s}';
+
 	/**
 	 * Get singleton instance
 	 *
@@ -124,6 +133,18 @@ class ApiClient implements LoadableInterface {
 	/**
 	 * Send HTTP request with retry logic
 	 *
+	 * Besides the request itself, the configuration accepts `log` (bool, default true)
+	 * to skip writing the request to the API logs, `is_test` (bool) to mark the
+	 * logged request as a connection test, `is_auto_retry` (bool) to mark it as a
+	 * scheduled retry, and `submission_id` / `destination` (string) to link the
+	 * deliveries of one submission in the logs. `auth` and `signing` hold the
+	 * form's authentication and HMAC signing settings, `response_rules` its
+	 * success rule and response field extraction (see ResponseEvaluator); a 2xx
+	 * response failing the success rule is returned as a `cf7_api_response_rule`
+	 * error carrying the response in its data. `files` lists uploaded files
+	 * (see SubmissionProcessor::build_api_record()); their contents are added
+	 * only when the request is sent, so the logs keep just their metadata.
+	 *
 	 * @param array<string, mixed> $request_config Request configuration.
 	 * @return array<string, mixed>|WP_Error Response data or error.
 	 */
@@ -133,48 +154,147 @@ class ApiClient implements LoadableInterface {
 			$this->init();
 		}
 
-		$url          = $request_config['url'] ?? '';
-		$method       = strtoupper( $request_config['method'] ?? 'GET' );
-		$body         = $request_config['body'] ?? null;
-		$headers      = $request_config['headers'] ?? array();
-		$content_type = $request_config['content_type'] ?? 'params';
-		$form_id      = $request_config['form_id'] ?? 0;
-		$retry_config = $request_config['retry_config'] ?? array();
-		$retry_of     = $request_config['retry_of'] ?? null;
+		$form_id     = $request_config['form_id'] ?? 0;
+		$retry_of    = $request_config['retry_of'] ?? null;
+		$log_request = $request_config['log'] ?? true;
+		$signing     = \is_array( $request_config['signing'] ?? null ) ? $request_config['signing'] : array();
+		$attributes  = array(
+			'is_test'             => ! empty( $request_config['is_test'] ),
+			'is_auto_retry'       => ! empty( $request_config['is_auto_retry'] ),
+			'submission_id'       => $request_config['submission_id'] ?? null,
+			'destination'         => $request_config['destination'] ?? null,
+			'signature_algorithm' => RequestSigner::is_enabled( $signing ) ? RequestSigner::get_algorithm( $signing ) : null,
+			'files'               => \is_array( $request_config['files'] ?? null ) ? $request_config['files'] : array(),
+		);
 
-		// Build request arguments.
-		$args = $this->build_request_args( $method, $body, $headers, $content_type );
-		if ( \is_wp_error( $args ) ) {
-			return $args;
+		// Build final URL and request arguments.
+		$prepared = $this->prepare_request( $request_config );
+		if ( \is_wp_error( $prepared ) ) {
+			return $prepared;
 		}
 
-		// Build URL with query params if needed.
-		$url = $this->build_url( $url, $body, $method, $content_type );
-
 		// Start logging.
 		$log_writer = new LogWriter();
 		$start_time = \microtime( true );
 		$log_id     = false;
-		if ( $form_id > 0 ) {
+		if ( $form_id > 0 && $log_request ) {
 			$log_id = $log_writer->start_request(
 				$form_id,
-				$url,
-				$method,
-				$args['body'] ?? '',
-				$args['headers'] ?? array(),
+				AuthManager::redact_url( \is_array( $request_config['auth'] ?? null ) ? $request_config['auth'] : array(), $prepared['url'] ),
+				$prepared['method'],
+				$prepared['args']['body'] ?? '',
+				$prepared['args']['headers'] ?? array(),
 				$retry_of,
-				$start_time
+				$start_time,
+				$attributes
 			);
 		}
 
+		return $this->dispatch( $prepared, $request_config, $log_writer, $log_id, $start_time );
+	}
+
+	/**
+	 * Send a request prepared earlier by the delivery queue
+	 *
+	 * The pending log entry was written when the submission was queued, so
+	 * the response completes that entry instead of starting a new one.
+	 *
+	 * @since 2.5.0
+	 * @param array{url: string, method: string, args: array<string, mixed>} $prepared       Prepared request, see prepare_request().
+	 * @param array<string, mixed>                                           $request_config Request configuration (form_id, body, retry_config, ...).
+	 * @param int                                                            $log_id         Pending log entry ID.
+	 * @return array<string, mixed>|WP_Error Response data or error.
+	 */
+	public function send_prepared( array $prepared, array $request_config, int $log_id ) {
+		if ( ! $this->initialized ) {
+			$this->init();
+		}
+
+		// Sign again so the timestamp reflects when the request is actually sent.
+		$prepared['args'] = $this->apply_signature( $prepared['args'], \is_array( $request_config['signing'] ?? null ) ? $request_config['signing'] : array(), $prepared['url'] );
+
+		return $this->dispatch( $prepared, $request_config, new LogWriter(), $log_id ?: false, \microtime( true ) );
+	}
+
+	/**
+	 * Execute a prepared request, complete its log entry and fire the response filter
+	 *
+	 * The outcome is recorded on the endpoint's circuit breaker; while the
+	 * breaker is open the request fails with a `cf7_api_circuit_open` error
+	 * without being sent (see CircuitBreaker).
+	 *
+	 * @since 2.5.0
+	 * @param array{url: string, method: string, args: array<string, mixed>} $prepared       Prepared request.
+	 * @param array<string, mixed>                                           $request_config Request configuration.
+	 * @param LogWriter                                                      $log_writer     Log writer instance.
+	 * @param int|false                                                      $log_id         Log entry ID.
+	 * @param float                                                          $start_time     Request start time (microtime).
+	 * @return array<string, mixed>|WP_Error Response data or error.
+	 */
+	private function dispatch( array $prepared, array $request_config, LogWriter $log_writer, $log_id, float $start_time ) {
+		$body         = $request_config['body'] ?? null;
+		$form_id      = $request_config['form_id'] ?? 0;
+		$retry_config = $request_config['retry_config'] ?? array();
+		$retry_of     = $request_config['retry_of'] ?? null;
+		$is_test      = ! empty( $request_config['is_test'] );
+		$breaker      = new CircuitBreaker();
+
+		$url    = $prepared['url'];
+		$method = $prepared['method'];
+		$files  = \is_array( $request_config['files'] ?? null ) ? $request_config['files'] : array();
+		$args   = $this->attach_files( $prepared['args'], $files, (string) ( $request_config['content_type'] ?? 'params' ) );
+
 		// Execute request with retries.
-		$result      = $this->execute_with_retries( $url, $method, $args, $retry_config, $log_writer, $log_id );
+		if ( \is_wp_error( $args ) ) {
+			$result = array(
+				'response'    => $args,
+				'retry_count' => 0,
+			);
+		} elseif ( ! $is_test && ( null === $retry_of || ! empty( $request_config['is_auto_retry'] ) ) && ! $breaker->allow_request( $url ) ) {
+			// The endpoint keeps failing, so no call is made. Connection tests and manual retries are always sent.
+			$result = array(
+				'response'    => new WP_Error( 'cf7_api_circuit_open', \__( 'Request not sent: the circuit breaker of this endpoint is open after repeated failures.', 'contact-form-to-api' ) ),
+				'retry_count' => 0,
+			);
+		} else {
+			// The signature has to cover the body with the files in it. Multipart bodies are always rebuilt with a new boundary.
+			if ( ! empty( $files ) || 'multipart' === ( $request_config['content_type'] ?? '' ) ) {
+				$args = $this->apply_signature( $args, \is_array( $request_config['signing'] ?? null ) ? $request_config['signing'] : array(), $url );
+			}
+
+			$auth   = \is_array( $request_config['auth'] ?? null ) ? $request_config['auth'] : array();
+			$result = $this->execute_with_retries( $url, $method, $args, $retry_config, $log_writer, $log_id, $auth );
+
+			if ( ! $is_test ) {
+				$breaker->record_result( $url, $result['response'] );
+			}
+		}
 		$retry_count = $result['retry_count'];
 		$response    = $result['response'];
 
+		// Response rules can turn a 2xx response into a failure and pick values out of the body.
+		$response_rules  = \is_array( $request_config['response_rules'] ?? null ) ? $request_config['response_rules'] : array();
+		$response_fields = array();
+		$rule_failure    = null;
+		if ( ! \is_wp_error( $response ) && ResponseEvaluator::has_rules( $response_rules ) ) {
+			$response_body   = \wp_remote_retrieve_body( $response );
+			$response_code   = (int) \wp_remote_retrieve_response_code( $response );
+			$response_fields = ResponseEvaluator::extract( $response_rules, $response_body );
+
+			if ( $response_code >= 200 && $response_code < 300 ) {
+				$rule_failure = ResponseEvaluator::get_failure_reason( $response_rules, $response_body );
+			}
+		}
+
 		// Complete logging.
 		if ( $log_id ) {
-			$log_writer->complete_request( $log_id, $response, $retry_count, $start_time );
+			$log_writer->complete_request( $log_id, $response, $retry_count, $start_time, $response_fields, $rule_failure );
+
+			// Failed original deliveries may be re-sent later on the form's backoff schedule.
+			// Uploaded files are gone by then, so deliveries with files are not rescheduled.
+			if ( ! $is_test && null === $retry_of && empty( $files ) ) {
+				RetryScheduler::instance()->maybe_schedule( $log_id, $response, $retry_config );
+			}
 		}
 
 		// Calculate execution time.
@@ -198,6 +318,7 @@ class ApiClient implements LoadableInterface {
 				'headers'     => $headers_array,
 				'body'        => $response_body,
 				'body_parsed' => $this->parse_response_body( $response_body ),
+				'extracted'   => $response_fields,
 				'duration'    => $execution_time,
 			);
 
@@ -218,6 +339,7 @@ class ApiClient implements LoadableInterface {
 				'form_data'  => $body,
 				'endpoint'   => $url,
 				'is_retry'   => null !== $retry_of,
+				'is_test'    => $is_test,
 				'attempt'    => $retry_count + 1,
 			);
 
@@ -236,6 +358,7 @@ class ApiClient implements LoadableInterface {
 			 *     @type array       $headers      Response headers as key-value pairs.
 			 *     @type string      $body         Raw response body.
 			 *     @type array|null  $body_parsed  Parsed response (if JSON), null otherwise.
+			 *     @type array       $extracted    Values extracted by the form's response rules, keyed by field name.
 			 *     @type float       $duration     Request duration in seconds.
 			 * }
 			 * @param array $context {
@@ -247,6 +370,7 @@ class ApiClient implements LoadableInterface {
 			 *     @type mixed    $form_data   Original form submission data.
 			 *     @type string   $endpoint    The API endpoint URL.
 			 *     @type bool     $is_retry    Whether this was a retry attempt.
+			 *     @type bool     $is_test     Whether this was a connection test from the integration panel.
 			 *     @type int      $attempt     Attempt number (1 = first try).
 			 * }
 			 * @return array Modified response array (or original if no changes).
@@ -254,6 +378,10 @@ class ApiClient implements LoadableInterface {
 			$response_data = \apply_filters( 'cf7_api_after_response', $response_data, $context );
 		}
 
+		if ( null !== $rule_failure ) {
+			return new WP_Error( 'cf7_api_response_rule', $rule_failure, array( 'response' => $response ) );
+		}
+
 		return $response;
 	}
 
@@ -280,17 +408,78 @@ class ApiClient implements LoadableInterface {
 		return null;
 	}
 
+	/**
+	 * Prepare final request URL and arguments without sending
+	 *
+	 * Applies the same body processing and URL/argument filters as send(),
+	 * so callers such as the integration panel preview see the exact request.
+	 *
+	 * The form's authentication settings (`auth`) add their headers and query
+	 * parameters here; with `preview` set, secrets are masked and no OAuth2
+	 * token is requested. Signing settings (`signing`) add the HMAC headers.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $request_config Request configuration (url, method, body, headers, content_type, auth, signing, preview).
+	 * @return array{url: string, method: string, args: array<string, mixed>}|WP_Error Prepared request or error.
+	 */
+	public function prepare_request( array $request_config ) {
+		$url          = $request_config['url'] ?? '';
+		$method       = strtoupper( $request_config['method'] ?? 'GET' );
+		$body         = $request_config['body'] ?? null;
+		$headers      = $request_config['headers'] ?? array();
+		$content_type = $request_config['content_type'] ?? 'params';
+		$auth         = \is_array( $request_config['auth'] ?? null ) ? $request_config['auth'] : array();
+
+		// File uploads need a request body.
+		if ( 'multipart' === $content_type ) {
+			$method = 'POST';
+		}
+
+		$credentials = ( new AuthManager() )->get_credentials( $auth, ! empty( $request_config['preview'] ) );
+		if ( \is_wp_error( $credentials ) ) {
+			return $credentials;
+		}
+		$headers = \array_merge( $headers, $credentials['headers'] );
+
+		// Build request arguments.
+		$args = $this->build_request_args( $method, $body, $headers, $content_type );
+		if ( \is_wp_error( $args ) ) {
+			return $args;
+		}
+
+		// Build URL with query params if needed.
+		$url = $this->build_url( $url, $body, $method, $content_type );
+
+		if ( ! empty( $credentials['query'] ) ) {
+			$url = \add_query_arg( \array_map( 'rawurlencode', $credentials['query'] ), $url );
+		}
+
+		// Sign last, so the signature covers the final body or query string.
+		$args = $this->apply_signature( $args, \is_array( $request_config['signing'] ?? null ) ? $request_config['signing'] : array(), $url );
+
+		return array(
+			'url'    => $url,
+			'method' => $method,
+			'args'   => $args,
+		);
+	}
+
 	/**
 	 * Retry request from log entry
 	 *
 	 * Replays a failed API request from log history.
 	 * Creates a new log entry linked to the original via retry_of.
+	 * Redacted headers are restored from the form's current settings.
 	 *
 	 * @since 1.2.0
-	 * @param int $log_id Original log entry ID to retry
+	 * @since 2.5.0 Added the `$options` parameter.
+	 * @param int                  $log_id  Original log entry ID to retry
+	 * @param array<string, mixed> $options Optional `automatic` (bool): send once, as a scheduled retry.
+	 *                                      Optional `headers` (array) and `body` (mixed): edited request to
+	 *                                      send instead; redacted values are restored from the original.
 	 * @return array<string, mixed> Result with success status and details
 	 */
-	public function retry_from_log( int $log_id ): array {
+	public function retry_from_log( int $log_id, array $options = array() ): array {
 		$log_reader = new LogReader();
 
 		$request_data = $log_reader->get_request_for_retry( $log_id );
@@ -302,16 +491,51 @@ class ApiClient implements LoadableInterface {
 			);
 		}
 
+		if ( ! empty( $request_data['files'] ) ) {
+			return array(
+				'success' => false,
+				'error'   => \__( 'Requests with uploaded files cannot be retried because the files are no longer stored.', 'contact-form-to-api' ),
+			);
+		}
+
+		if ( isset( $options['headers'] ) && \is_array( $options['headers'] ) ) {
+			$request_data['headers'] = $options['headers'];
+		}
+
+		if ( \array_key_exists( 'body', $options ) ) {
+			$request_data['body'] = \is_array( $options['body'] ) && \is_array( $request_data['body'] )
+				? $this->restore_redacted_values( $options['body'], $request_data['body'] )
+				: $options['body'];
+		}
+
+		// Logged secrets are redacted; credentials come from the form's current settings.
+		$destination             = SubmissionProcessor::instance()->get_destination_settings( $request_data['form_id'], $request_data['destination'] ?? null );
+		$request_data['headers'] = $this->restore_redacted_headers(
+			\is_array( $request_data['headers'] ) ? $request_data['headers'] : array(),
+			$destination['custom_headers']
+		);
+
 		// Build request configuration with retry_of set
 		$config = array(
-			'url'      => $request_data['url'],
-			'method'   => $request_data['method'],
-			'body'     => $request_data['body'],
-			'headers'  => $request_data['headers'],
-			'form_id'  => $request_data['form_id'],
-			'retry_of' => $request_data['original_log_id'],
+			'url'            => $request_data['url'],
+			'method'         => $request_data['method'],
+			'body'           => $request_data['body'],
+			'headers'        => $request_data['headers'],
+			'form_id'        => $request_data['form_id'],
+			'retry_of'       => $request_data['original_log_id'],
+			'submission_id'  => $request_data['submission_id'] ?? null,
+			'destination'    => $request_data['destination'] ?? null,
+			'auth'           => $destination['auth'],
+			'signing'        => $destination['signing'],
+			'response_rules' => $destination['response_rules'],
 		);
 
+		// Scheduled retries are single attempts; the schedule provides the backoff.
+		if ( ! empty( $options['automatic'] ) ) {
+			$config['is_auto_retry'] = true;
+			$config['retry_config']  = array( 'max_retries' => 0 );
+		}
+
 		// Determine content type based on Content-Type header
 		// Determine content type based on Content-Type header (case-insensitive lookup per RFC 7230)
 		$content_type        = 'params';
@@ -360,6 +584,62 @@ class ApiClient implements LoadableInterface {
 		);
 	}
 
+	/**
+	 * Restore headers redacted in the logs from the form's current settings
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed>              $headers        Logged request headers.
+	 * @param array<int, array<string, string>> $custom_headers Current custom header rows of the destination.
+	 * @return array<string, mixed> Headers.
+	 */
+	private function restore_redacted_headers( array $headers, array $custom_headers ): array {
+		if ( ! \in_array( '***REDACTED***', $headers, true ) ) {
+			return $headers;
+		}
+
+		$current = array();
+		foreach ( $custom_headers as $header ) {
+			if ( ! empty( $header['name'] ) ) {
+				$current[ \strtolower( $header['name'] ) ] = $header['value'] ?? '';
+			}
+		}
+
+		foreach ( $headers as $name => $value ) {
+			if ( '***REDACTED***' === $value && isset( $current[ \strtolower( (string) $name ) ] ) ) {
+				$headers[ $name ] = $current[ \strtolower( (string) $name ) ];
+			}
+		}
+
+		return $headers;
+	}
+
+	/**
+	 * Restore body values redacted for display from the logged body
+	 *
+	 * Edited bodies start from the anonymized body shown in the log detail, so
+	 * fields still set to the redaction marker are sent with their logged value.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $body     Edited body.
+	 * @param array<string, mixed> $original Logged body.
+	 * @return array<string, mixed> Body.
+	 */
+	private function restore_redacted_values( array $body, array $original ): array {
+		foreach ( $body as $key => $value ) {
+			if ( ! \array_key_exists( $key, $original ) ) {
+				continue;
+			}
+
+			if ( '***REDACTED***' === $value ) {
+				$body[ $key ] = $original[ $key ];
+			} elseif ( \is_array( $value ) && \is_array( $original[ $key ] ) ) {
+				$body[ $key ] = $this->restore_redacted_values( $value, $original[ $key ] );
+			}
+		}
+
+		return $body;
+	}
+
 	/**
 	 * Build request arguments
 	 *
@@ -410,6 +690,128 @@ class ApiClient implements LoadableInterface {
 		return $args;
 	}
 
+	/**
+	 * Get the marker a JSON or XML body uses for a file's base64 contents
+	 *
+	 * @since 2.5.0
+	 * @param string $field Form field name.
+	 * @return string
+	 */
+	public static function get_file_placeholder( string $field ): string {
+		return \sprintf( self::FILE_PLACEHOLDER, $field );
+	}
+
+	/**
+	 * Add uploaded files to the request body
+	 *
+	 * Multipart requests get a `multipart/form-data` body with the fields and
+	 * file parts; JSON and XML bodies get the base64 contents in place of the
+	 * file markers. Files over the size limits (with an `error`) are left out.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed>             $args         Request arguments.
+	 * @param array<int, array<string, mixed>> $files        Uploaded files.
+	 * @param string                           $content_type Content type (params, multipart, json, xml).
+	 * @return array<string, mixed>|WP_Error Request arguments or error when a file cannot be read.
+	 */
+	private function attach_files( array $args, array $files, string $content_type ) {
+		$contents = array();
+
+		foreach ( $files as $index => $file ) {
+			if ( ! empty( $file['error'] ) ) {
+				continue;
+			}
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- Local upload in CF7's temporary directory.
+			$data = \is_readable( (string) ( $file['path'] ?? '' ) ) ? \file_get_contents( $file['path'] ) : false;
+			if ( false === $data ) {
+				return new WP_Error(
+					'cf7_api_file_missing',
+					/* translators: %s: file name */
+					\sprintf( \__( 'The uploaded file %s could not be read.', 'contact-form-to-api' ), $file['filename'] ?? '' )
+				);
+			}
+			$contents[ $index ] = $data;
+		}
+
+		if ( 'multipart' === $content_type ) {
+			$boundary = 'cf7api' . \wp_generate_password( 24, false );
+			$body     = '';
+
+			foreach ( \is_array( $args['body'] ?? null ) ? $args['body'] : array() as $name => $value ) {
+				foreach ( \is_array( $value ) ? $value : array( $value ) as $item ) {
+					$part_name = \is_array( $value ) ? "{$name}[]" : (string) $name;
+					$body     .= "--{$boundary}\r\nContent-Disposition: form-data; name=\"" . $this->escape_multipart_value( $part_name ) . "\"\r\n\r\n{$item}\r\n";
+				}
+			}
+
+			foreach ( $contents as $index => $data ) {
+				$file  = $files[ $index ];
+				$body .= "--{$boundary}\r\n"
+					. 'Content-Disposition: form-data; name="' . $this->escape_multipart_value( (string) $file['name'] ) . '"; filename="' . $this->escape_multipart_value( (string) $file['filename'] ) . "\"\r\n"
+					. 'Content-Type: ' . $file['mimetype'] . "\r\n\r\n"
+					. $data . "\r\n";
+			}
+
+			$args['body']                    = $body . "--{$boundary}--\r\n";
+			$args['headers']['Content-Type'] = "multipart/form-data; boundary={$boundary}";
+
+			return $args;
+		}
+
+		if ( \is_string( $args['body'] ?? null ) ) {
+			foreach ( $contents as $index => $data ) {
+				$args['body'] = \str_replace( self::get_file_placeholder( (string) $files[ $index ]['field'] ), \base64_encode( $data ), $args['body'] ); // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode -- Encodes file uploads for the API.
+			}
+		}
+
+		return $args;
+	}
+
+	/**
+	 * Escape a multipart header parameter value
+	 *
+	 * @since 2.5.0
+	 * @param string $value Field name or file name.
+	 * @return string
+	 */
+	private function escape_multipart_value( string $value ): string {
+		return \str_replace( array( '"', "\r", "\n" ), array( '%22', '%0D', '%0A' ), $value );
+	}
+
+	/**
+	 * Add HMAC signature headers to request arguments
+	 *
+	 * Requests without a body, such as GET requests with the fields in the
+	 * query string, are signed over the query string of the URL as sent.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $args    Request arguments.
+	 * @param array<string, mixed> $signing HMAC signing settings, see RequestSigner.
+	 * @param string               $url     Final request URL.
+	 * @return array<string, mixed> Request arguments.
+	 */
+	private function apply_signature( array $args, array $signing, string $url ): array {
+		if ( ! RequestSigner::is_enabled( $signing ) ) {
+			return $args;
+		}
+
+		$body = $args['body'] ?? null;
+		if ( null === $body ) {
+			$body = (string) \wp_parse_url( $url, PHP_URL_QUERY );
+		} elseif ( \is_array( $body ) ) {
+			// Form-encoded the same way the HTTP API sends it.
+			$body = \http_build_query( $body, '', '&' );
+		}
+
+		$args['headers'] = \array_merge(
+			\is_array( $args['headers'] ?? null ) ? $args['headers'] : array(),
+			( new RequestSigner() )->sign( $signing, (string) $body )
+		);
+
+		return $args;
+	}
+
 	/**
 	 * Process request body based on content type
 	 *
@@ -500,20 +902,33 @@ class ApiClient implements LoadableInterface {
 	 * @param array<string, mixed>        $retry_config Retry configuration.
 	 * @param LogWriter|null              $log_writer   Log writer instance.
 	 * @param int|false                   $log_id       Log entry ID.
+	 * @param array<string, mixed>        $auth         Authentication settings; OAuth2 tokens are refreshed once on 401.
 	 * @return array<string, mixed> Response with retry count.
 	 */
-	private function execute_with_retries( string $url, string $method, array $args, array $retry_config, ?LogWriter $log_writer, $log_id ): array {
+	private function execute_with_retries( string $url, string $method, array $args, array $retry_config, ?LogWriter $log_writer, $log_id, array $auth = array() ): array {
 		$max_retries      = $retry_config['max_retries'] ?? self::DEFAULT_MAX_RETRIES;
 		$retry_delay      = $retry_config['retry_delay'] ?? self::DEFAULT_RETRY_DELAY;
 		$retry_on_timeout = $retry_config['retry_on_timeout'] ?? true;
 
-		$retry_count = 0;
-		$response    = null;
+		$retry_count     = 0;
+		$response        = null;
+		$token_refreshed = false;
 
 		for ( $attempt = 0; $attempt <= $max_retries; $attempt++ ) {
 			// Make the request.
 			$response = $this->make_request( $url, $method, $args );
 
+			// Expired OAuth2 token: fetch a new one and repeat the attempt before any retry.
+			if ( ! $token_refreshed && 'oauth2' === AuthManager::get_type( $auth ) && 401 === (int) \wp_remote_retrieve_response_code( $response ) ) {
+				$token_refreshed = true;
+				$token           = ( new AuthManager() )->get_access_token( $auth, true );
+
+				if ( ! \is_wp_error( $token ) ) {
+					$args['headers']['Authorization'] = 'Bearer ' . $token;
+					$response                         = $this->make_request( $url, $method, $args );
+				}
+			}
+
 			// Check if successful.
 			if ( ! \is_wp_error( $response ) ) {
 				$response_code = \wp_remote_retrieve_response_code( $response );
@@ -0,0 +1,344 @@
+<?php
+/**
+ * Authentication Manager
+ *
+ * Applies a form's authentication settings to outgoing requests and
+ * manages OAuth2 client-credentials tokens.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Service\Api
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Service\Api;
+
+use SilverAssist\ContactFormToAPI\Service\Security\EncryptionService;
+use SilverAssist\ContactFormToAPI\Utils\DebugLogger;
+use WP_Error;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class AuthManager
+ *
+ * Authentication settings are stored per form as:
+ *
+ *     array(
+ *         'type'          => 'none'|'bearer'|'basic'|'api_key_query'|'oauth2',
+ *         'token'         => '...',            // bearer
+ *         'username'      => '...',            // basic
+ *         'password'      => '...',            // basic
+ *         'query_param'   => 'api_key',        // api_key_query
+ *         'api_key'       => '...',            // api_key_query
+ *         'token_url'     => 'https://...',    // oauth2
+ *         'client_id'     => '...',            // oauth2
+ *         'client_secret' => '...',            // oauth2
+ *         'scope'         => '...',            // oauth2
+ *     )
+ *
+ * Secret fields are encrypted with EncryptionService when it is available.
+ * OAuth2 access tokens are cached (encrypted) in a transient until shortly
+ * before they expire.
+ *
+ * @since 2.5.0
+ */
+class AuthManager {
+
+	/**
+	 * Supported authentication types
+	 *
+	 * @var array<string>
+	 */
+	public const TYPES = array( 'none', 'bearer', 'basic', 'api_key_query', 'oauth2' );
+
+	/**
+	 * Fields holding secrets
+	 *
+	 * @var array<string>
+	 */
+	public const SECRET_FIELDS = array( 'token', 'password', 'api_key', 'client_secret' );
+
+	/**
+	 * Prefix marking an encrypted secret
+	 *
+	 * @var string
+	 */
+	private const ENCRYPTED_PREFIX = 'enc:';
+
+	/**
+	 * Value shown instead of secrets in previews and logs
+	 *
+	 * @var string
+	 */
+	private const REDACTED = '***REDACTED***';
+
+	/**
+	 * Seconds subtracted from the token lifetime so it is refreshed before it expires
+	 *
+	 * @var int
+	 */
+	private const TOKEN_EXPIRY_MARGIN = 60;
+
+	/**
+	 * Encryption service instance
+	 *
+	 * @var EncryptionService|null
+	 */
+	private ?EncryptionService $encryption = null;
+
+	/**
+	 * Constructor
+	 */
+	public function __construct() {
+		if ( EncryptionService::is_sodium_available() ) {
+			$this->encryption = EncryptionService::instance();
+			$this->encryption->init();
+		}
+	}
+
+	/**
+	 * Get translated authentication type labels
+	 *
+	 * @return array<string, string> Labels keyed by type.
+	 */
+	public static function get_type_labels(): array {
+		return array(
+			'none'          => \__( 'None / custom headers only', 'contact-form-to-api' ),
+			'bearer'        => \__( 'Bearer token', 'contact-form-to-api' ),
+			'basic'         => \__( 'Basic authentication', 'contact-form-to-api' ),
+			'api_key_query' => \__( 'API key in query string', 'contact-form-to-api' ),
+			'oauth2'        => \__( 'OAuth2 client credentials', 'contact-form-to-api' ),
+		);
+	}
+
+	/**
+	 * Get the authentication type of a configuration
+	 *
+	 * @param array<string, mixed> $auth Authentication settings.
+	 * @return string
+	 */
+	public static function get_type( array $auth ): string {
+		$type = (string) ( $auth['type'] ?? 'none' );
+		return \in_array( $type, self::TYPES, true ) ? $type : 'none';
+	}
+
+	/**
+	 * Encrypt a secret for storage
+	 *
+	 * @param string $secret Plaintext secret.
+	 * @return string Stored value.
+	 */
+	public function encrypt_secret( string $secret ): string {
+		if ( '' === $secret || ! $this->encryption ) {
+			return $secret;
+		}
+
+		$encrypted = $this->encryption->encrypt( $secret );
+
+		// encrypt() returns the plaintext when encryption is disabled.
+		return $encrypted === $secret ? $secret : self::ENCRYPTED_PREFIX . $encrypted;
+	}
+
+	/**
+	 * Decrypt a stored secret
+	 *
+	 * @param string $stored Stored value.
+	 * @return string Plaintext secret, empty when it cannot be decrypted.
+	 */
+	public function decrypt_secret( string $stored ): string {
+		if ( ! \str_starts_with( $stored, self::ENCRYPTED_PREFIX ) ) {
+			return $stored;
+		}
+
+		if ( ! $this->encryption ) {
+			return '';
+		}
+
+		try {
+			return $this->encryption->decrypt( \substr( $stored, \strlen( self::ENCRYPTED_PREFIX ) ) );
+		} catch ( \Exception $e ) {
+			DebugLogger::instance()->error( 'Could not decrypt authentication secret: ' . $e->getMessage() );
+			return '';
+		}
+	}
+
+	/**
+	 * Get the headers and query parameters a request needs
+	 *
+	 * @param array<string, mixed> $auth    Authentication settings (secrets as stored).
+	 * @param bool                 $preview Mask secrets and skip fetching OAuth2 tokens.
+	 * @return array{headers: array<string, string>, query: array<string, string>}|WP_Error
+	 */
+	public function get_credentials( array $auth, bool $preview = false ) {
+		$credentials = array(
+			'headers' => array(),
+			'query'   => array(),
+		);
+
+		$secret = fn( string $field ) => $preview ? self::REDACTED : $this->decrypt_secret( (string) ( $auth[ $field ] ?? '' ) );
+
+		switch ( self::get_type( $auth ) ) {
+			case 'bearer':
+				$credentials['headers']['Authorization'] = 'Bearer ' . $secret( 'token' );
+				break;
+
+			case 'basic':
+				$credentials['headers']['Authorization'] = $preview
+					? 'Basic ' . self::REDACTED
+					// phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode -- HTTP Basic authentication.
+					: 'Basic ' . \base64_encode( ( $auth['username'] ?? '' ) . ':' . $secret( 'password' ) );
+				break;
+
+			case 'api_key_query':
+				if ( ! empty( $auth['query_param'] ) ) {
+					$credentials['query'][ (string) $auth['query_param'] ] = $secret( 'api_key' );
+				}
+				break;
+
+			case 'oauth2':
+				$token = $preview ? self::REDACTED : $this->get_access_token( $auth );
+				if ( \is_wp_error( $token ) ) {
+					return $token;
+				}
+				$credentials['headers']['Authorization'] = 'Bearer ' . $token;
+				break;
+		}
+
+		return $credentials;
+	}
+
+	/**
+	 * Mask the API key query parameter in a URL
+	 *
+	 * Used for the endpoint stored in the logs.
+	 *
+	 * @param array<string, mixed> $auth Authentication settings.
+	 * @param string               $url  Request URL.
+	 * @return string
+	 */
+	public static function redact_url( array $auth, string $url ): string {
+		if ( 'api_key_query' !== self::get_type( $auth ) || empty( $auth['query_param'] ) ) {
+			return $url;
+		}
+
+		$param = (string) $auth['query_param'];
+		$query = (string) \wp_parse_url( $url, PHP_URL_QUERY );
+		\parse_str( $query, $args );
+
+		return isset( $args[ $param ] ) ? \add_query_arg( $param, self::REDACTED, $url ) : $url;
+	}
+
+	/**
+	 * Get an OAuth2 access token, from cache when possible
+	 *
+	 * @param array<string, mixed> $auth          OAuth2 settings.
+	 * @param bool                 $force_refresh Ignore the cached token (e.g. after a 401 response).
+	 * @return string|WP_Error Access token or error.
+	 */
+	public function get_access_token( array $auth, bool $force_refresh = false ) {
+		$cache_key = $this->get_token_cache_key( $auth );
+
+		if ( ! $force_refresh ) {
+			$cached = \get_transient( $cache_key );
+			if ( \is_string( $cached ) && '' !== $cached ) {
+				$token = $this->decrypt_secret( $cached );
+				if ( '' !== $token ) {
+					return $token;
+				}
+			}
+		}
+
+		if ( empty( $auth['token_url'] ) || empty( $auth['client_id'] ) ) {
+			return new WP_Error( 'cf7_api_oauth_config', \__( 'OAuth2 token URL and client ID are required.', 'contact-form-to-api' ) );
+		}
+
+		$body = array(
+			'grant_type'    => 'client_credentials',
+			'client_id'     => (string) $auth['client_id'],
+			'client_secret' => $this->decrypt_secret( (string) ( $auth['client_secret'] ?? '' ) ),
+		);
+
+		if ( ! empty( $auth['scope'] ) ) {
+			$body['scope'] = (string) $auth['scope'];
+		}
+
+		$response = \wp_remote_post(
+			(string) $auth['token_url'],
+			array(
+				'timeout' => 15,
+				'headers' => array( 'Accept' => 'application/json' ),
+				'body'    => $body,
+			)
+		);
+
+		if ( \is_wp_error( $response ) ) {
+			return new WP_Error(
+				'cf7_api_oauth_token',
+				/* translators: %s: error message */
+				\sprintf( \__( 'Could not get an OAuth2 access token: %s', 'contact-form-to-api' ), $response->get_error_message() )
+			);
+		}
+
+		$code = (int) \wp_remote_retrieve_response_code( $response );
+		$data = \json_decode( \wp_remote_retrieve_body( $response ), true );
+
+		if ( $code < 200 || $code >= 300 || ! \is_array( $data ) || empty( $data['access_token'] ) ) {
+			return new WP_Error(
+				'cf7_api_oauth_token',
+				\sprintf(
+					/* translators: 1: HTTP status code, 2: error returned by the token endpoint */
+					\__( 'Could not get an OAuth2 access token (HTTP %1$d): %2$s', 'contact-form-to-api' ),
+					$code,
+					\is_array( $data ) ? (string) ( $data['error_description'] ?? $data['error'] ?? '' ) : ''
+				)
+			);
+		}
+
+		$token      = (string) $data['access_token'];
+		$expires_in = isset( $data['expires_in'] ) ? (int) $data['expires_in'] : HOUR_IN_SECONDS;
+
+		\set_transient( $cache_key, $this->encrypt_secret( $token ), \max( self::TOKEN_EXPIRY_MARGIN, $expires_in - self::TOKEN_EXPIRY_MARGIN ) );
+
+		return $token;
+	}
+
+	/**
+	 * Prepare posted authentication settings for storage
+	 *
+	 * Secrets left blank keep their saved value; new secrets are encrypted.
+	 *
+	 * @param mixed                $raw   Posted settings.
+	 * @param array<string, mixed> $saved Currently saved settings.
+	 * @return array<string, string> Settings to store.
+	 */
+	public function sanitize( $raw, array $saved = array() ): array {
+		$raw  = \is_array( $raw ) ? $raw : array();
+		$auth = array(
+			'type'        => self::get_type( array( 'type' => \sanitize_key( $raw['type'] ?? 'none' ) ) ),
+			'username'    => \sanitize_text_field( $raw['username'] ?? '' ),
+			'query_param' => \sanitize_key( $raw['query_param'] ?? '' ),
+			'token_url'   => \esc_url_raw( \trim( (string) ( $raw['token_url'] ?? '' ) ) ),
+			'client_id'   => \sanitize_text_field( $raw['client_id'] ?? '' ),
+			'scope'       => \sanitize_text_field( $raw['scope'] ?? '' ),
+		);
+
+		foreach ( self::SECRET_FIELDS as $field ) {
+			$value          = \trim( (string) ( $raw[ $field ] ?? '' ) );
+			$auth[ $field ] = '' === $value ? (string) ( $saved[ $field ] ?? '' ) : $this->encrypt_secret( $value );
+		}
+
+		return $auth;
+	}
+
+	/**
+	 * Get the transient key caching the token of an OAuth2 configuration
+	 *
+	 * @param array<string, mixed> $auth OAuth2 settings.
+	 * @return string
+	 */
+	private function get_token_cache_key( array $auth ): string {
+		return 'cf7_api_oauth_' . \md5( ( $auth['token_url'] ?? '' ) . '|' . ( $auth['client_id'] ?? '' ) . '|' . ( $auth['scope'] ?? '' ) );
+	}
+}
@@ -0,0 +1,529 @@
+<?php
+/**
+ * Circuit Breaker
+ *
+ * Stops sending live requests to an endpoint that keeps failing, and probes
+ * it periodically until it recovers.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Service\Api
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Service\Api;
+
+use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Utils\DebugLogger;
+use WP_Error;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class CircuitBreaker
+ *
+ * Each endpoint (scheme, host and path; the query string is ignored) has its
+ * own breaker:
+ *
+ * - closed: requests are sent; failures are counted until one succeeds
+ * - open: after `circuit_breaker_threshold` consecutive failed deliveries no
+ *   request is sent for `circuit_breaker_cooldown` minutes
+ * - half-open: once the cooldown is over, the next request is sent as a
+ *   probe; its success closes the breaker, its failure opens it again
+ *
+ * Timeouts, connection errors, 5xx, 408 and 429 responses count as failures
+ * (see RetryScheduler::is_retryable_response()); any other response shows
+ * the endpoint is up. Breakers are stored in an option, keyed by endpoint.
+ * Every change is made under a short lock and re-reads the option, so
+ * concurrent deliveries neither lose updates nor both start a probe.
+ *
+ * @since 2.5.0
+ */
+class CircuitBreaker {
+
+	/**
+	 * Option storing the breakers
+	 *
+	 * @var string
+	 */
+	public const OPTION = 'cf7_api_circuit_breakers';
+
+	/**
+	 * Option holding the update lock (its expiry timestamp)
+	 *
+	 * @var string
+	 */
+	public const LOCK_OPTION = 'cf7_api_circuit_breakers_lock';
+
+	/**
+	 * Breaker states
+	 */
+	public const CLOSED    = 'closed';
+	public const OPEN      = 'open';
+	public const HALF_OPEN = 'half_open';
+
+	/**
+	 * Seconds a probe may take before another request may probe instead
+	 *
+	 * @var int
+	 */
+	private const PROBE_TIMEOUT = 120;
+
+	/**
+	 * Seconds after which a lock left by a crashed request is taken over
+	 *
+	 * @var int
+	 */
+	private const LOCK_TIMEOUT = 10;
+
+	/**
+	 * Attempts to take the lock before giving up, 20 ms apart
+	 *
+	 * @var int
+	 */
+	private const LOCK_ATTEMPTS = 5;
+
+	/**
+	 * Get the labels of the breaker states
+	 *
+	 * @return array<string, string> Labels keyed by state.
+	 */
+	public static function get_state_labels(): array {
+		return array(
+			self::CLOSED    => \__( 'Closed', 'contact-form-to-api' ),
+			self::OPEN      => \__( 'Open', 'contact-form-to-api' ),
+			self::HALF_OPEN => \__( 'Half-open', 'contact-form-to-api' ),
+		);
+	}
+
+	/**
+	 * Get the endpoint a URL belongs to
+	 *
+	 * @param string $url Request URL.
+	 * @return string Scheme, host, port and path of the URL.
+	 */
+	public static function get_endpoint( string $url ): string {
+		$parts = \wp_parse_url( \trim( $url ) );
+		if ( ! \is_array( $parts ) || empty( $parts['host'] ) ) {
+			return \strtok( \trim( $url ), '?#' ) ?: '';
+		}
+
+		return \strtolower( ( $parts['scheme'] ?? 'https' ) . '://' . $parts['host'] )
+			. ( isset( $parts['port'] ) ? ':' . $parts['port'] : '' )
+			. ( $parts['path'] ?? '' );
+	}
+
+	/**
+	 * Check whether the breakers are enabled
+	 *
+	 * @return bool
+	 */
+	public function is_enabled(): bool {
+		return Settings::instance()->is_circuit_breaker_enabled();
+	}
+
+	/**
+	 * Check whether requests to an endpoint are currently refused
+	 *
+	 * Unlike allow_request(), this never starts a probe.
+	 *
+	 * @param string $url Request or endpoint URL.
+	 * @return bool
+	 */
+	public function is_open( string $url ): bool {
+		return null !== $this->get_retry_at( $url );
+	}
+
+	/**
+	 * Get when an endpoint accepts a request again
+	 *
+	 * @param string $url Request or endpoint URL.
+	 * @return int|null Unix timestamp, or null when requests are not refused.
+	 */
+	public function get_retry_at( string $url ): ?int {
+		if ( ! $this->is_enabled() ) {
+			return null;
+		}
+
+		$breakers = $this->get_breakers();
+		$breaker  = $breakers[ self::get_endpoint( $url ) ] ?? null;
+
+		return null === $breaker ? null : $this->get_breaker_retry_at( $breaker );
+	}
+
+	/**
+	 * Check whether a request may be sent to an endpoint
+	 *
+	 * When the cooldown of an open breaker is over, the breaker becomes
+	 * half-open and the caller's request is the probe: further requests are
+	 * refused until its result is recorded. The probe is claimed under the
+	 * lock, so only one of several concurrent requests gets it.
+	 *
+	 * @param string $url Request URL.
+	 * @return bool
+	 */
+	public function allow_request( string $url ): bool {
+		if ( ! $this->is_enabled() ) {
+			return true;
+		}
+
+		$endpoint = self::get_endpoint( $url );
+		$breaker  = $this->get_breakers()[ $endpoint ] ?? null;
+
+		if ( null === $breaker || self::CLOSED === $breaker['state'] ) {
+			return true;
+		}
+
+		if ( null !== $this->get_breaker_retry_at( $breaker ) ) {
+			return false;
+		}
+
+		return (bool) $this->update_breakers(
+			function ( array $breakers ) use ( $endpoint ) {
+				$breaker = $breakers[ $endpoint ] ?? null;
+
+				// Another request may have claimed the probe or closed the breaker meanwhile.
+				if ( null === $breaker || self::CLOSED === $breaker['state'] ) {
+					return array( $breakers, true );
+				}
+
+				if ( null !== $this->get_breaker_retry_at( $breaker ) ) {
+					return array( null, false );
+				}
+
+				$breakers[ $endpoint ]['state']    = self::HALF_OPEN;
+				$breakers[ $endpoint ]['probe_at'] = \time();
+
+				return array( $breakers, true );
+			}
+		);
+	}
+
+	/**
+	 * Record the outcome of a delivery
+	 *
+	 * @param string                        $url      Request URL.
+	 * @param array<string, mixed>|WP_Error $response API response or error.
+	 * @return void
+	 */
+	public function record_result( string $url, $response ): void {
+		if ( RetryScheduler::is_retryable_response( $response ) ) {
+			$this->record_failure( $url );
+			return;
+		}
+
+		$this->record_success( $url );
+	}
+
+	/**
+	 * Record a failed delivery, opening the breaker when the threshold is reached
+	 *
+	 * @param string $url Request URL.
+	 * @return void
+	 */
+	public function record_failure( string $url ): void {
+		if ( ! $this->is_enabled() ) {
+			return;
+		}
+
+		$settings = Settings::instance();
+		$endpoint = self::get_endpoint( $url );
+
+		$this->update_breakers(
+			function ( array $breakers ) use ( $settings, $endpoint ) {
+				$breaker = $breakers[ $endpoint ] ?? array(
+					'state'     => self::CLOSED,
+					'failures'  => 0,
+					'opened_at' => 0,
+					'retry_at'  => 0,
+					'probe_at'  => 0,
+				);
+
+				++$breaker['failures'];
+
+				if ( self::CLOSED !== $breaker['state'] || $breaker['failures'] >= $settings->get_circuit_breaker_threshold() ) {
+					if ( self::CLOSED === $breaker['state'] ) {
+						$breaker['opened_at'] = \time();
+
+						DebugLogger::instance()->warning(
+							'Circuit breaker opened',
+							array(
+								'endpoint' => $endpoint,
+								'failures' => $breaker['failures'],
+							)
+						);
+					}
+
+					$breaker['state']    = self::OPEN;
+					$breaker['retry_at'] = \time() + $settings->get_circuit_breaker_cooldown() * MINUTE_IN_SECONDS;
+					$breaker['probe_at'] = 0;
+				}
+
+				$breakers[ $endpoint ] = $breaker;
+
+				return array( $breakers, null );
+			}
+		);
+	}
+
+	/**
+	 * Record a successful delivery, closing the breaker
+	 *
+	 * @param string $url Request URL.
+	 * @return void
+	 */
+	public function record_success( string $url ): void {
+		$endpoint = self::get_endpoint( $url );
+
+		if ( ! isset( $this->get_breakers()[ $endpoint ] ) ) {
+			return;
+		}
+
+		$this->update_breakers(
+			function ( array $breakers ) use ( $endpoint ) {
+				if ( ! isset( $breakers[ $endpoint ] ) ) {
+					return array( null, null );
+				}
+
+				if ( self::CLOSED !== $breakers[ $endpoint ]['state'] ) {
+					DebugLogger::instance()->info( 'Circuit breaker closed', array( 'endpoint' => $endpoint ) );
+				}
+
+				unset( $breakers[ $endpoint ] );
+
+				return array( $breakers, null );
+			}
+		);
+	}
+
+	/**
+	 * Close the breaker of an endpoint manually
+	 *
+	 * @param string $url Request or endpoint URL.
+	 * @return bool Whether a breaker was reset.
+	 */
+	public function reset( string $url ): bool {
+		$endpoint = self::get_endpoint( $url );
+
+		return (bool) $this->update_breakers(
+			function ( array $breakers ) use ( $endpoint ) {
+				if ( ! isset( $breakers[ $endpoint ] ) ) {
+					return array( null, false );
+				}
+
+				unset( $breakers[ $endpoint ] );
+
+				return array( $breakers, true );
+			}
+		);
+	}
+
+	/**
+	 * Get the endpoints whose requests are currently refused
+	 *
+	 * @return array<int, string> Endpoint URLs.
+	 */
+	public function get_open_endpoints(): array {
+		if ( ! $this->is_enabled() ) {
+			return array();
+		}
+
+		$open = array();
+		foreach ( $this->get_breakers() as $endpoint => $breaker ) {
+			if ( null !== $this->get_breaker_retry_at( $breaker ) ) {
+				$open[] = (string) $endpoint;
+			}
+		}
+
+		return $open;
+	}
+
+	/**
+	 * Get when the first refused endpoint accepts a request again
+	 *
+	 * @return int|null Unix timestamp, or null when no endpoint is refused.
+	 */
+	public function get_next_probe(): ?int {
+		if ( ! $this->is_enabled() ) {
+			return null;
+		}
+
+		$next = null;
+		foreach ( $this->get_breakers() as $breaker ) {
+			$retry_at = $this->get_breaker_retry_at( $breaker );
+			if ( null !== $retry_at && ( null === $next || $retry_at < $next ) ) {
+				$next = $retry_at;
+			}
+		}
+
+		return $next;
+	}
+
+	/**
+	 * Get the breakers for the logs screen
+	 *
+	 * Open breakers whose cooldown is over are reported as half-open: the
+	 * next request probes the endpoint.
+	 *
+	 * @return array<string, array{state: string, failures: int, opened_at: int, retry_at: int|null}> Breakers keyed by endpoint.
+	 */
+	public function get_all(): array {
+		$all = array();
+		foreach ( $this->get_breakers() as $endpoint => $breaker ) {
+			$retry_at = $this->get_breaker_retry_at( $breaker );
+			$state    = $breaker['state'];
+
+			if ( self::OPEN === $state && null === $retry_at ) {
+				$state = self::HALF_OPEN;
+			}
+
+			$all[ (string) $endpoint ] = array(
+				'state'     => $state,
+				'failures'  => (int) $breaker['failures'],
+				'opened_at' => (int) $breaker['opened_at'],
+				'retry_at'  => $retry_at,
+			);
+		}
+
+		return $all;
+	}
+
+	/**
+	 * Get when a breaker accepts a request again
+	 *
+	 * @param array<string, mixed> $breaker Stored breaker.
+	 * @return int|null Unix timestamp, or null when requests are not refused.
+	 */
+	private function get_breaker_retry_at( array $breaker ): ?int {
+		switch ( $breaker['state'] ) {
+			case self::OPEN:
+				$retry_at = (int) $breaker['retry_at'];
+				break;
+
+			case self::HALF_OPEN:
+				$retry_at = (int) $breaker['probe_at'] + self::PROBE_TIMEOUT;
+				break;
+
+			default:
+				return null;
+		}
+
+		return $retry_at > \time() ? $retry_at : null;
+	}
+
+	/**
+	 * Get the stored breakers
+	 *
+	 * @param bool $fresh Read the option from the database instead of the object cache.
+	 * @return array<string, array<string, mixed>> Breakers keyed by endpoint.
+	 */
+	private function get_breakers( bool $fresh = false ): array {
+		if ( $fresh ) {
+			\wp_cache_delete( self::OPTION, 'options' );
+			\wp_cache_delete( 'notoptions', 'options' );
+		}
+
+		$breakers = \get_option( self::OPTION, array() );
+
+		return \is_array( $breakers ) ? $breakers : array();
+	}
+
+	/**
+	 * Change the stored breakers under the lock
+	 *
+	 * The callback gets the breakers as stored right now and returns the
+	 * breakers to save (null to leave them unchanged) and a result. When the
+	 * lock cannot be taken, nothing changes and the result is null.
+	 *
+	 * @param callable $callback Receives the breakers, returns `array( ?array $breakers, mixed $result )`.
+	 * @return mixed The callback's result.
+	 */
+	private function update_breakers( callable $callback ) {
+		if ( ! $this->acquire_lock() ) {
+			return null;
+		}
+
+		$result = null;
+		try {
+			list( $breakers, $result ) = $callback( $this->get_breakers( true ) );
+
+			if ( null !== $breakers ) {
+				\update_option( self::OPTION, $breakers, false );
+			}
+		} finally {
+			$this->release_lock();
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Take the update lock
+	 *
+	 * The lock row is inserted with INSERT IGNORE, so only one of two
+	 * concurrent requests gets it; the other retries briefly. An expired
+	 * lock is taken over with a conditional update on its previous expiry,
+	 * which again only one request can win.
+	 *
+	 * @return bool False if another request kept holding it.
+	 */
+	private function acquire_lock(): bool {
+		global $wpdb;
+
+		for ( $attempt = 1; $attempt <= self::LOCK_ATTEMPTS; $attempt++ ) {
+			$expires = (string) ( \time() + self::LOCK_TIMEOUT );
+
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$inserted = $wpdb->query(
+				$wpdb->prepare(
+					"INSERT IGNORE INTO %i (option_name, option_value, autoload) VALUES (%s, %s, 'no')",
+					$wpdb->options,
+					self::LOCK_OPTION,
+					$expires
+				)
+			);
+
+			if ( $inserted ) {
+				return true;
+			}
+
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$current = $wpdb->get_var(
+				$wpdb->prepare( 'SELECT option_value FROM %i WHERE option_name = %s', $wpdb->options, self::LOCK_OPTION )
+			);
+
+			if ( null !== $current && (int) $current <= \time() ) {
+				// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+				$updated = $wpdb->query(
+					$wpdb->prepare(
+						'UPDATE %i SET option_value = %s WHERE option_name = %s AND option_value = %s',
+						$wpdb->options,
+						$expires,
+						self::LOCK_OPTION,
+						$current
+					)
+				);
+
+				if ( 1 === $updated ) {
+					return true;
+				}
+			}
+
+			if ( $attempt < self::LOCK_ATTEMPTS ) {
+				\usleep( 20000 );
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Release the update lock
+	 *
+	 * @return void
+	 */
+	private function release_lock(): void {
+		\delete_option( self::LOCK_OPTION );
+	}
+}
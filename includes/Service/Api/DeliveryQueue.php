@@ -0,0 +1,586 @@
+<?php
+/**
+ * Delivery Queue Service
+ *
+ * Stores form deliveries as pending logs and sends them from a background
+ * worker, so slow APIs and retries no longer block the form submit.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Service\Api
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Service\Api;
+
+use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Core\Interfaces\LoadableInterface;
+use SilverAssist\ContactFormToAPI\Service\ContactForm\SubmissionProcessor;
+use SilverAssist\ContactFormToAPI\Service\Logging\LogWriter;
+use SilverAssist\ContactFormToAPI\Service\Security\EncryptionService;
+use SilverAssist\ContactFormToAPI\Utils\DebugLogger;
+use WP_Error;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class DeliveryQueue
+ *
+ * A queued delivery is a `pending` log entry whose `queue_payload` column
+ * holds the prepared request (encrypted when available). The worker claims
+ * entries by clearing that column, sends them with the form's retry
+ * configuration and completes the same log entry.
+ *
+ * Deliveries to an endpoint whose circuit breaker is open stay in the
+ * queue; the worker runs again when the breaker lets a probe through.
+ *
+ * The worker runs on Action Scheduler when it is installed, WP-Cron otherwise.
+ *
+ * @since 2.5.0
+ */
+class DeliveryQueue implements LoadableInterface {
+
+	/**
+	 * Worker hook name
+	 *
+	 * @var string
+	 */
+	public const HOOK = 'cf7_api_process_queue';
+
+	/**
+	 * Option flag set while the workers are paused
+	 *
+	 * @var string
+	 */
+	public const PAUSED_OPTION = 'cf7_api_queue_paused';
+
+	/**
+	 * Action Scheduler group
+	 *
+	 * @var string
+	 */
+	private const ACTION_GROUP = 'contact-form-to-api';
+
+	/**
+	 * Singleton instance
+	 *
+	 * @var DeliveryQueue|null
+	 */
+	private static ?DeliveryQueue $instance = null;
+
+	/**
+	 * Whether the component has been initialized
+	 *
+	 * @var bool
+	 */
+	private bool $initialized = false;
+
+	/**
+	 * Database table name
+	 *
+	 * @var string
+	 */
+	private string $table_name;
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return DeliveryQueue
+	 */
+	public static function instance(): DeliveryQueue {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor
+	 */
+	private function __construct() {
+		global $wpdb;
+		$this->table_name = $wpdb->prefix . 'cf7_api_logs';
+	}
+
+	/**
+	 * Initialize the service
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		if ( $this->initialized ) {
+			return;
+		}
+
+		\add_action( self::HOOK, array( $this, 'process_queue' ) );
+
+		$this->initialized = true;
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 20; // Services priority.
+	}
+
+	/**
+	 * Determine if service should load
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return true; // The worker must drain the queue even after queueing is turned off.
+	}
+
+	/**
+	 * Check whether new deliveries should be queued
+	 *
+	 * Queued deliveries live in the logs table, so logging must be enabled.
+	 *
+	 * @return bool
+	 */
+	public function is_enabled(): bool {
+		$settings = Settings::instance();
+		return $settings->is_queue_enabled() && $settings->is_logging_enabled();
+	}
+
+	/**
+	 * Queue a delivery
+	 *
+	 * Prepares the request exactly like ApiClient::send(), writes it as a
+	 * `pending` log entry and schedules the worker.
+	 *
+	 * @param array<string, mixed> $request_config Request configuration, see ApiClient::send().
+	 * @param array<string, mixed> $context        Hook context replayed by the worker (`record`, `destination`).
+	 * @return int|false|WP_Error Log entry ID, false when the delivery could not be queued, or a request error.
+	 */
+	public function enqueue( array $request_config, array $context = array() ) {
+		$form_id = (int) ( $request_config['form_id'] ?? 0 );
+		if ( $form_id <= 0 ) {
+			return false;
+		}
+
+		$prepared = ApiClient::instance()->prepare_request( $request_config );
+		if ( \is_wp_error( $prepared ) ) {
+			return $prepared;
+		}
+
+		$auth    = \is_array( $request_config['auth'] ?? null ) ? $request_config['auth'] : array();
+		$signing = \is_array( $request_config['signing'] ?? null ) ? $request_config['signing'] : array();
+
+		$log_id = ( new LogWriter() )->start_request(
+			$form_id,
+			AuthManager::redact_url( $auth, $prepared['url'] ),
+			$prepared['method'],
+			$prepared['args']['body'] ?? '',
+			$prepared['args']['headers'] ?? array(),
+			null,
+			null,
+			array(
+				'submission_id'       => $request_config['submission_id'] ?? null,
+				'destination'         => $request_config['destination'] ?? null,
+				'signature_algorithm' => RequestSigner::is_enabled( $signing ) ? RequestSigner::get_algorithm( $signing ) : null,
+			)
+		);
+
+		if ( ! $log_id ) {
+			return false;
+		}
+
+		$payload = \wp_json_encode(
+			array(
+				'prepared'    => $prepared,
+				'config'      => array(
+					'form_id'        => $form_id,
+					'body'           => $request_config['body'] ?? null,
+					'retry_config'   => $request_config['retry_config'] ?? array(),
+					'auth'           => $auth,
+					'signing'        => $signing,
+					'response_rules' => $request_config['response_rules'] ?? array(),
+				),
+				'record'      => $context['record'] ?? array(),
+				'destination' => $context['destination'] ?? array(),
+			)
+		);
+
+		global $wpdb;
+
+		$stored = false !== $payload && $wpdb->update(
+			$this->table_name,
+			array( 'queue_payload' => $this->encrypt( $payload ) ),
+			array( 'id' => $log_id ),
+			array( '%s' ),
+			array( '%d' )
+		);
+
+		if ( ! $stored ) {
+			// Let the caller send it right away instead of leaving an orphaned pending entry.
+			$wpdb->delete( $this->table_name, array( 'id' => $log_id ), array( '%d' ) );
+			return false;
+		}
+
+		$this->schedule_next_run();
+
+		return $log_id;
+	}
+
+	/**
+	 * Worker: send the next batch of queued deliveries
+	 *
+	 * Deliveries to endpoints whose circuit breaker is open are skipped.
+	 * Reschedules itself while deliveries remain. Does nothing while paused.
+	 *
+	 * @return int Number of deliveries sent.
+	 */
+	public function process_queue(): int {
+		if ( $this->is_paused() ) {
+			return 0;
+		}
+
+		global $wpdb;
+
+		$breaker = new CircuitBreaker();
+
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared -- Held clause is safely prepared in get_held_clause().
+		$entries = $wpdb->get_results(
+			$wpdb->prepare(
+				'SELECT id, endpoint FROM %i WHERE queue_payload IS NOT NULL' . $this->get_held_clause( $breaker->get_open_endpoints() ) . ' ORDER BY id ASC LIMIT %d',
+				$this->table_name,
+				Settings::instance()->get_queue_batch_size()
+			),
+			ARRAY_A
+		);
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		$processed = 0;
+		foreach ( (array) $entries as $entry ) {
+			// A probe sent earlier in this batch may have opened the breaker again.
+			if ( $breaker->is_open( (string) $entry['endpoint'] ) ) {
+				continue;
+			}
+
+			$job = $this->claim( (int) $entry['id'] );
+			if ( null === $job ) {
+				continue;
+			}
+
+			$this->deliver( (int) $entry['id'], $job );
+			++$processed;
+		}
+
+		$this->schedule_next_run();
+
+		return $processed;
+	}
+
+	/**
+	 * Schedule the worker for the deliveries left in the queue
+	 *
+	 * The worker runs right away when a delivery can be sent, otherwise when
+	 * the first open circuit breaker lets a probe through.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function schedule_next_run(): void {
+		global $wpdb;
+
+		$breaker = new CircuitBreaker();
+
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared -- Held clause is safely prepared in get_held_clause().
+		$ready = (int) $wpdb->get_var(
+			$wpdb->prepare(
+				'SELECT COUNT(*) FROM %i WHERE queue_payload IS NOT NULL' . $this->get_held_clause( $breaker->get_open_endpoints() ),
+				$this->table_name
+			)
+		);
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		if ( $ready > 0 ) {
+			$this->schedule_worker();
+		} elseif ( $this->count_queued() > 0 ) {
+			$this->schedule_worker( $breaker->get_next_probe() ?? \time() );
+		}
+	}
+
+	/**
+	 * Count deliveries waiting in the queue
+	 *
+	 * @return int
+	 */
+	public function count_queued(): int {
+		global $wpdb;
+
+		return (int) $wpdb->get_var(
+			$wpdb->prepare( 'SELECT COUNT(*) FROM %i WHERE queue_payload IS NOT NULL', $this->table_name )
+		);
+	}
+
+	/**
+	 * Check whether the workers are paused
+	 *
+	 * @return bool
+	 */
+	public function is_paused(): bool {
+		return (bool) \get_option( self::PAUSED_OPTION, false );
+	}
+
+	/**
+	 * Pause the workers
+	 *
+	 * New deliveries keep being queued; nothing is sent until resumed.
+	 *
+	 * @return void
+	 */
+	public function pause(): void {
+		\update_option( self::PAUSED_OPTION, true, false );
+		$this->unschedule_worker();
+	}
+
+	/**
+	 * Resume the workers
+	 *
+	 * @return void
+	 */
+	public function resume(): void {
+		\delete_option( self::PAUSED_OPTION );
+
+		$this->schedule_next_run();
+	}
+
+	/**
+	 * Get the timestamp of the next scheduled worker run
+	 *
+	 * @return int|null Unix timestamp, or null when no run is scheduled.
+	 */
+	public function get_next_run(): ?int {
+		if ( $this->uses_action_scheduler() ) {
+			$next = \as_next_scheduled_action( self::HOOK, array(), self::ACTION_GROUP );
+			// true means the action is running right now.
+			return true === $next ? \time() : ( $next ?: null );
+		}
+
+		$next = \wp_next_scheduled( self::HOOK );
+		return $next ?: null;
+	}
+
+	/**
+	 * Get queue status for the logs screen
+	 *
+	 * @return array{enabled: bool, length: int, paused: bool, next_run: int|null, batch_size: int, runner: string}
+	 */
+	public function get_status(): array {
+		return array(
+			'enabled'    => $this->is_enabled(),
+			'length'     => $this->count_queued(),
+			'paused'     => $this->is_paused(),
+			'next_run'   => $this->get_next_run(),
+			'batch_size' => Settings::instance()->get_queue_batch_size(),
+			'runner'     => $this->uses_action_scheduler() ? 'Action Scheduler' : 'WP-Cron',
+		);
+	}
+
+	/**
+	 * Schedule a worker run unless one is pending
+	 *
+	 * A single run is kept, always at the earliest requested time.
+	 *
+	 * @param int $timestamp Unix timestamp of the run; now by default.
+	 * @return void
+	 */
+	private function schedule_worker( int $timestamp = 0 ): void {
+		if ( $this->is_paused() ) {
+			return;
+		}
+
+		$timestamp = \max( \time(), $timestamp );
+		$next      = $this->get_next_run();
+
+		if ( null !== $next && $next <= $timestamp ) {
+			return;
+		}
+
+		if ( null !== $next ) {
+			$this->unschedule_worker();
+		}
+
+		if ( $this->uses_action_scheduler() ) {
+			if ( $timestamp > \time() ) {
+				\as_schedule_single_action( $timestamp, self::HOOK, array(), self::ACTION_GROUP );
+			} else {
+				\as_enqueue_async_action( self::HOOK, array(), self::ACTION_GROUP );
+			}
+			return;
+		}
+
+		\wp_schedule_single_event( $timestamp, self::HOOK );
+	}
+
+	/**
+	 * Build the SQL condition excluding deliveries to endpoints held by their circuit breaker
+	 *
+	 * Logged URLs may carry a query string after the endpoint.
+	 *
+	 * @param array<int, string> $endpoints Endpoint URLs, see CircuitBreaker::get_open_endpoints().
+	 * @return string Prepared condition starting with AND, or an empty string.
+	 */
+	private function get_held_clause( array $endpoints ): string {
+		global $wpdb;
+
+		$clause = '';
+		foreach ( $endpoints as $endpoint ) {
+			$clause .= $wpdb->prepare( ' AND NOT ( endpoint = %s OR endpoint LIKE %s )', $endpoint, $wpdb->esc_like( $endpoint ) . '?%' );
+		}
+
+		return $clause;
+	}
+
+	/**
+	 * Remove pending worker runs
+	 *
+	 * @return void
+	 */
+	private function unschedule_worker(): void {
+		\wp_clear_scheduled_hook( self::HOOK );
+
+		if ( $this->uses_action_scheduler() ) {
+			\as_unschedule_all_actions( self::HOOK, array(), self::ACTION_GROUP );
+		}
+	}
+
+	/**
+	 * Check whether Action Scheduler is available
+	 *
+	 * @return bool
+	 */
+	private function uses_action_scheduler(): bool {
+		return \function_exists( 'as_enqueue_async_action' ) && \function_exists( 'as_has_scheduled_action' );
+	}
+
+	/**
+	 * Claim a queued delivery
+	 *
+	 * Clearing the payload is conditional, so concurrent workers cannot
+	 * claim (and send) the same delivery twice.
+	 *
+	 * @param int $log_id Log entry ID.
+	 * @return array<string, mixed>|null Job data, or null if another worker claimed it first.
+	 */
+	private function claim( int $log_id ): ?array {
+		global $wpdb;
+
+		$payload = $wpdb->get_var(
+			$wpdb->prepare( 'SELECT queue_payload FROM %i WHERE id = %d', $this->table_name, $log_id )
+		);
+
+		if ( null === $payload ) {
+			return null;
+		}
+
+		$claimed = $wpdb->query(
+			$wpdb->prepare(
+				'UPDATE %i SET queue_payload = NULL WHERE id = %d AND queue_payload IS NOT NULL',
+				$this->table_name,
+				$log_id
+			)
+		);
+
+		if ( 1 !== (int) $claimed ) {
+			return null;
+		}
+
+		$job = \json_decode( $this->decrypt( (string) $payload ), true );
+
+		if ( ! \is_array( $job ) || empty( $job['prepared']['url'] ) ) {
+			$this->fail( $log_id, \__( 'Queued delivery could not be read.', 'contact-form-to-api' ) );
+			return null;
+		}
+
+		return $job;
+	}
+
+	/**
+	 * Send a claimed delivery and fire the submission hooks
+	 *
+	 * Runs the same `cf7_api_after_send_lead` filter and `cf7_api_after_send_to_api`
+	 * action as a synchronous delivery.
+	 *
+	 * @param int                  $log_id Log entry ID.
+	 * @param array<string, mixed> $job    Job data.
+	 * @return void
+	 */
+	private function deliver( int $log_id, array $job ): void {
+		$config      = \is_array( $job['config'] ?? null ) ? $job['config'] : array();
+		$record      = \is_array( $job['record'] ?? null ) ? $job['record'] : array();
+		$destination = \is_array( $job['destination'] ?? null ) ? $job['destination'] : array();
+
+		$response = ApiClient::instance()->send_prepared( $job['prepared'], $config, $log_id );
+
+		$response = \apply_filters( 'cf7_api_after_send_lead', $response, $record );
+
+		if ( \is_wp_error( $response ) ) {
+			SubmissionProcessor::instance()->log_api_error( $response, (int) ( $config['form_id'] ?? 0 ) );
+			return;
+		}
+
+		\do_action( 'cf7_api_after_send_to_api', $record, $response, $destination );
+	}
+
+	/**
+	 * Mark a queued delivery as failed without sending it
+	 *
+	 * @param int    $log_id  Log entry ID.
+	 * @param string $message Error message.
+	 * @return void
+	 */
+	private function fail( int $log_id, string $message ): void {
+		( new LogWriter() )->complete_request( $log_id, new WP_Error( 'cf7_api_queue_error', $message ) );
+
+		DebugLogger::instance()->error( $message, array( 'log_id' => $log_id ) );
+	}
+
+	/**
+	 * Encrypt a payload when encryption is available
+	 *
+	 * @param string $payload JSON payload.
+	 * @return string
+	 */
+	private function encrypt( string $payload ): string {
+		if ( ! EncryptionService::is_sodium_available() ) {
+			return $payload;
+		}
+
+		$encryption = EncryptionService::instance();
+		$encryption->init();
+
+		return $encryption->encrypt( $payload );
+	}
+
+	/**
+	 * Decrypt a payload
+	 *
+	 * Plain JSON (stored while encryption was unavailable) is returned as is.
+	 *
+	 * @param string $payload Stored payload.
+	 * @return string
+	 */
+	private function decrypt( string $payload ): string {
+		if ( ! EncryptionService::is_sodium_available() ) {
+			return $payload;
+		}
+
+		$encryption = EncryptionService::instance();
+		$encryption->init();
+
+		try {
+			return $encryption->decrypt( $payload );
+		} catch ( \Exception $e ) {
+			DebugLogger::instance()->error( 'Failed to decrypt queued delivery: ' . $e->getMessage() );
+			return '';
+		}
+	}
+}
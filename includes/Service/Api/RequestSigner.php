@@ -0,0 +1,156 @@
+<?php
+/**
+ * Request Signer
+ *
+ * Signs outgoing request bodies with an HMAC so receivers can verify
+ * that a webhook was sent by this site.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Service\Api
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Service\Api;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class RequestSigner
+ *
+ * Signing settings are stored per form as:
+ *
+ *     array(
+ *         'enabled'          => true,
+ *         'secret'           => '...',                   // encrypted, see AuthManager::encrypt_secret()
+ *         'algorithm'        => 'sha256'|'sha512'|'sha1',
+ *         'header'           => 'X-Signature',
+ *         'timestamp_header' => 'X-Signature-Timestamp', // optional
+ *     )
+ *
+ * The signature header carries `<algorithm>=<hex digest>`. Without a timestamp
+ * header the digest covers the raw body; with one it covers `<timestamp>.<body>`
+ * so receivers can reject replayed requests. Requests without a body (GET) are
+ * signed over the query string of the request URL instead.
+ *
+ * @since 2.5.0
+ */
+class RequestSigner {
+
+	/**
+	 * Supported HMAC algorithms
+	 *
+	 * @var array<string>
+	 */
+	public const ALGORITHMS = array( 'sha256', 'sha512', 'sha1' );
+
+	/**
+	 * Default signature header name
+	 *
+	 * @var string
+	 */
+	public const DEFAULT_HEADER = 'X-Signature';
+
+	/**
+	 * Secret storage helper
+	 *
+	 * @var AuthManager
+	 */
+	private AuthManager $secrets;
+
+	/**
+	 * Constructor
+	 */
+	public function __construct() {
+		$this->secrets = new AuthManager();
+	}
+
+	/**
+	 * Check whether signing settings are complete and enabled
+	 *
+	 * @param array<string, mixed> $signing Signing settings.
+	 * @return bool
+	 */
+	public static function is_enabled( array $signing ): bool {
+		return ! empty( $signing['enabled'] ) && ! empty( $signing['secret'] );
+	}
+
+	/**
+	 * Get the algorithm of a signing configuration
+	 *
+	 * @param array<string, mixed> $signing Signing settings.
+	 * @return string
+	 */
+	public static function get_algorithm( array $signing ): string {
+		$algorithm = (string) ( $signing['algorithm'] ?? 'sha256' );
+		return \in_array( $algorithm, self::ALGORITHMS, true ) ? $algorithm : 'sha256';
+	}
+
+	/**
+	 * Get the signature headers for a request body
+	 *
+	 * @param array<string, mixed> $signing   Signing settings (secret as stored).
+	 * @param string               $body      Request body exactly as sent.
+	 * @param int|null             $timestamp Unix timestamp, defaults to now.
+	 * @return array<string, string> Headers to add, empty when signing is disabled.
+	 */
+	public function sign( array $signing, string $body, ?int $timestamp = null ): array {
+		if ( ! self::is_enabled( $signing ) ) {
+			return array();
+		}
+
+		$secret = $this->secrets->decrypt_secret( (string) $signing['secret'] );
+		if ( '' === $secret ) {
+			return array();
+		}
+
+		$headers          = array();
+		$algorithm        = self::get_algorithm( $signing );
+		$timestamp_header = (string) ( $signing['timestamp_header'] ?? '' );
+
+		if ( '' !== $timestamp_header ) {
+			$timestamp                    = $timestamp ?? \time();
+			$headers[ $timestamp_header ] = (string) $timestamp;
+			$body                         = $timestamp . '.' . $body;
+		}
+
+		$header             = (string) ( $signing['header'] ?? '' );
+		$header             = '' !== $header ? $header : self::DEFAULT_HEADER;
+		$headers[ $header ] = $algorithm . '=' . \hash_hmac( $algorithm, $body, $secret );
+
+		return $headers;
+	}
+
+	/**
+	 * Prepare posted signing settings for storage
+	 *
+	 * A blank secret keeps the saved one; a new secret is encrypted.
+	 *
+	 * @param mixed                $raw   Posted settings.
+	 * @param array<string, mixed> $saved Currently saved settings.
+	 * @return array<string, mixed> Settings to store.
+	 */
+	public function sanitize( $raw, array $saved = array() ): array {
+		$raw    = \is_array( $raw ) ? $raw : array();
+		$secret = \trim( (string) ( $raw['secret'] ?? '' ) );
+
+		return array(
+			'enabled'          => ! empty( $raw['enabled'] ),
+			'secret'           => '' === $secret ? (string) ( $saved['secret'] ?? '' ) : $this->secrets->encrypt_secret( $secret ),
+			'algorithm'        => self::get_algorithm( array( 'algorithm' => \sanitize_key( $raw['algorithm'] ?? '' ) ) ),
+			'header'           => self::sanitize_header_name( (string) ( $raw['header'] ?? '' ) ) ?: self::DEFAULT_HEADER,
+			'timestamp_header' => self::sanitize_header_name( (string) ( $raw['timestamp_header'] ?? '' ) ),
+		);
+	}
+
+	/**
+	 * Strip characters that are not allowed in an HTTP header name
+	 *
+	 * @param string $name Header name.
+	 * @return string
+	 */
+	private static function sanitize_header_name( string $name ): string {
+		return (string) \preg_replace( '/[^A-Za-z0-9!#$%&\'*+.^_`|~-]/', '', $name );
+	}
+}
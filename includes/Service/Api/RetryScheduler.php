@@ -0,0 +1,445 @@
+<?php
+/**
+ * Retry Scheduler Service
+ *
+ * Re-sends failed deliveries in the background following a per-form
+ * backoff schedule, and moves them to a dead-letter status once the
+ * schedule is exhausted.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Service\Api
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Service\Api;
+
+use SilverAssist\ContactFormToAPI\Core\Interfaces\LoadableInterface;
+use SilverAssist\ContactFormToAPI\Service\ContactForm\SubmissionProcessor;
+use SilverAssist\ContactFormToAPI\Service\Logging\LogReader;
+use SilverAssist\ContactFormToAPI\Service\Logging\RetryManager;
+use SilverAssist\ContactFormToAPI\Service\Notification\EmailAlertService;
+use SilverAssist\ContactFormToAPI\Utils\DebugLogger;
+use WP_Error;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class RetryScheduler
+ *
+ * A failed delivery whose retry configuration has `auto_retry` enabled gets
+ * a `next_retry_at` time (GMT) on its log entry. The worker re-sends due
+ * entries through ApiClient::retry_from_log(), which logs every attempt as
+ * a retry (`is_auto_retry` = 1) of the original entry. Once all steps of the
+ * `auto_retry_schedule` (minutes after the previous attempt) have failed,
+ * the original entry is marked `dead_letter` and an alert is sent.
+ *
+ * Only timeouts, connection errors, 5xx, 408 and 429 responses are retried.
+ *
+ * @since 2.5.0
+ */
+class RetryScheduler implements LoadableInterface {
+
+	/**
+	 * Worker hook name
+	 *
+	 * @var string
+	 */
+	public const HOOK = 'cf7_api_process_retries';
+
+	/**
+	 * Default schedule, in minutes after the previous attempt
+	 *
+	 * @var array<int>
+	 */
+	public const DEFAULT_SCHEDULE = array( 5, 30, 120, 720, 1440 );
+
+	/**
+	 * Maximum number of scheduled attempts
+	 *
+	 * @var int
+	 */
+	public const MAX_ATTEMPTS = 10;
+
+	/**
+	 * Maximum delay of a single step, in minutes (one week)
+	 *
+	 * @var int
+	 */
+	public const MAX_DELAY = 10080;
+
+	/**
+	 * Entries re-sent per worker run
+	 *
+	 * @var int
+	 */
+	private const BATCH_SIZE = 20;
+
+	/**
+	 * Singleton instance
+	 *
+	 * @var RetryScheduler|null
+	 */
+	private static ?RetryScheduler $instance = null;
+
+	/**
+	 * Whether the component has been initialized
+	 *
+	 * @var bool
+	 */
+	private bool $initialized = false;
+
+	/**
+	 * Database table name
+	 *
+	 * @var string
+	 */
+	private string $table_name;
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return RetryScheduler
+	 */
+	public static function instance(): RetryScheduler {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor
+	 */
+	private function __construct() {
+		global $wpdb;
+		$this->table_name = $wpdb->prefix . 'cf7_api_logs';
+	}
+
+	/**
+	 * Initialize the service
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		if ( $this->initialized ) {
+			return;
+		}
+
+		\add_action( self::HOOK, array( $this, 'process_due_retries' ) );
+
+		$this->initialized = true;
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 20; // Services priority.
+	}
+
+	/**
+	 * Determine if service should load
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return true;
+	}
+
+	/**
+	 * Parse a retry schedule
+	 *
+	 * Accepts a list or a comma separated string of minutes. Invalid steps
+	 * are dropped, delays are capped at MAX_DELAY and the list at MAX_ATTEMPTS.
+	 *
+	 * @param mixed $raw Schedule as posted or stored.
+	 * @return array<int> Minutes per attempt; the default schedule when nothing is valid.
+	 */
+	public static function parse_schedule( $raw ): array {
+		$steps = \is_array( $raw ) ? $raw : \explode( ',', (string) $raw );
+
+		$schedule = array();
+		foreach ( $steps as $step ) {
+			$minutes = \is_numeric( \trim( (string) $step ) ) ? (int) $step : 0;
+			if ( $minutes > 0 ) {
+				$schedule[] = \min( $minutes, self::MAX_DELAY );
+			}
+		}
+
+		return $schedule ? \array_slice( $schedule, 0, self::MAX_ATTEMPTS ) : self::DEFAULT_SCHEDULE;
+	}
+
+	/**
+	 * Check whether a response is worth retrying later
+	 *
+	 * @param array<string, mixed>|WP_Error $response API response or error.
+	 * @return bool
+	 */
+	public static function is_retryable_response( $response ): bool {
+		if ( \is_wp_error( $response ) ) {
+			return true;
+		}
+
+		$code = (int) \wp_remote_retrieve_response_code( $response );
+
+		return $code >= 500 || 408 === $code || 429 === $code;
+	}
+
+	/**
+	 * Schedule the first automatic retry of a failed delivery
+	 *
+	 * @param int                           $log_id       Original log entry ID.
+	 * @param array<string, mixed>|WP_Error $response     API response or error.
+	 * @param array<string, mixed>          $retry_config Retry configuration of the destination.
+	 * @return bool Whether a retry was scheduled.
+	 */
+	public function maybe_schedule( int $log_id, $response, array $retry_config ): bool {
+		if ( empty( $retry_config['auto_retry'] ) || ! self::is_retryable_response( $response ) ) {
+			return false;
+		}
+
+		$schedule = self::parse_schedule( $retry_config['auto_retry_schedule'] ?? self::DEFAULT_SCHEDULE );
+		$this->schedule_attempt( $log_id, $schedule[0] );
+
+		return true;
+	}
+
+	/**
+	 * Worker: re-send the deliveries whose next retry is due
+	 *
+	 * Reschedules itself for the next due entry.
+	 *
+	 * @return int Number of entries processed.
+	 */
+	public function process_due_retries(): int {
+		global $wpdb;
+
+		$now     = \gmdate( 'Y-m-d H:i:s' );
+		$log_ids = $wpdb->get_col(
+			$wpdb->prepare(
+				'SELECT id FROM %i WHERE next_retry_at IS NOT NULL AND next_retry_at <= %s ORDER BY next_retry_at ASC LIMIT %d',
+				$this->table_name,
+				$now,
+				self::BATCH_SIZE
+			)
+		);
+
+		$processed = 0;
+		foreach ( (array) $log_ids as $log_id ) {
+			// Clearing the due time is conditional, so concurrent workers cannot send the same attempt twice.
+			$claimed = $wpdb->query(
+				$wpdb->prepare(
+					'UPDATE %i SET next_retry_at = NULL WHERE id = %d AND next_retry_at IS NOT NULL AND next_retry_at <= %s',
+					$this->table_name,
+					(int) $log_id,
+					$now
+				)
+			);
+
+			if ( 1 !== (int) $claimed ) {
+				continue;
+			}
+
+			$this->run_attempt( (int) $log_id );
+			++$processed;
+		}
+
+		$next = $this->get_next_due();
+		if ( null !== $next ) {
+			$this->schedule_worker( $next );
+		}
+
+		return $processed;
+	}
+
+	/**
+	 * Count deliveries waiting for an automatic retry
+	 *
+	 * @return int
+	 */
+	public function count_scheduled(): int {
+		global $wpdb;
+
+		return (int) $wpdb->get_var(
+			$wpdb->prepare( 'SELECT COUNT(*) FROM %i WHERE next_retry_at IS NOT NULL', $this->table_name )
+		);
+	}
+
+	/**
+	 * Get the time of the earliest scheduled retry
+	 *
+	 * @return int|null Unix timestamp, or null when nothing is scheduled.
+	 */
+	public function get_next_due(): ?int {
+		global $wpdb;
+
+		$next = $wpdb->get_var(
+			$wpdb->prepare( 'SELECT MIN(next_retry_at) FROM %i WHERE next_retry_at IS NOT NULL', $this->table_name )
+		);
+
+		return $next ? (int) \strtotime( $next . ' UTC' ) : null;
+	}
+
+	/**
+	 * Send one scheduled attempt and plan the next one
+	 *
+	 * Stops when the delivery was already retried successfully or automatic
+	 * retries were turned off for its destination since it failed. While the
+	 * endpoint's circuit breaker is open the attempt is postponed, without
+	 * using up a step of the schedule.
+	 *
+	 * @param int $log_id Original log entry ID.
+	 * @return void
+	 */
+	private function run_attempt( int $log_id ): void {
+		$log = ( new LogReader() )->get_log( $log_id );
+		if ( null === $log ) {
+			return;
+		}
+
+		$retry_manager = new RetryManager();
+		if ( $retry_manager->has_successful_retry( $log_id ) ) {
+			return;
+		}
+
+		$form_id     = (int) $log['form_id'];
+		$destination = SubmissionProcessor::instance()->get_destination_settings( $form_id, $log['destination'] ?? null );
+		$config      = \is_array( $destination['retry_config'] ?? null ) ? $destination['retry_config'] : array();
+
+		if ( empty( $config['auto_retry'] ) ) {
+			return;
+		}
+
+		// An attempt made while the endpoint's circuit breaker is open would fail without being sent; wait for the probe instead.
+		$probe_at = ( new CircuitBreaker() )->get_retry_at( (string) $log['endpoint'] );
+		if ( null !== $probe_at ) {
+			$this->schedule_attempt( $log_id, (int) \max( 1, \ceil( ( $probe_at - \time() ) / MINUTE_IN_SECONDS ) ) );
+			return;
+		}
+
+		$schedule = self::parse_schedule( $config['auto_retry_schedule'] ?? self::DEFAULT_SCHEDULE );
+		$attempts = $retry_manager->count_retries( $log_id, true );
+
+		if ( $attempts < \count( $schedule ) ) {
+			$result = ApiClient::instance()->retry_from_log( $log_id, array( 'automatic' => true ) );
+
+			if ( ! empty( $result['success'] ) ) {
+				return;
+			}
+
+			$sent = $retry_manager->count_retries( $log_id, true );
+			if ( $sent <= $attempts ) {
+				// Nothing was sent (e.g. the entry is no longer retryable); do not loop on it.
+				DebugLogger::instance()->error(
+					'Scheduled retry could not be sent',
+					array(
+						'log_id' => $log_id,
+						'error'  => $result['error'] ?? '',
+					)
+				);
+				return;
+			}
+
+			$response_code = (int) ( $result['response_code'] ?? 0 );
+			$retryable     = 0 === $response_code || $response_code >= 500 || \in_array( $response_code, array( 408, 429 ), true );
+
+			if ( $retryable && $sent < \count( $schedule ) ) {
+				$this->schedule_attempt( $log_id, $schedule[ $sent ] );
+				return;
+			}
+		}
+
+		$this->mark_dead_letter( $log_id, $form_id );
+	}
+
+	/**
+	 * Set the next retry time of a log entry and make sure the worker runs then
+	 *
+	 * @param int $log_id  Original log entry ID.
+	 * @param int $minutes Minutes from now.
+	 * @return void
+	 */
+	private function schedule_attempt( int $log_id, int $minutes ): void {
+		global $wpdb;
+
+		$timestamp = \time() + $minutes * MINUTE_IN_SECONDS;
+
+		$wpdb->update(
+			$this->table_name,
+			array( 'next_retry_at' => \gmdate( 'Y-m-d H:i:s', $timestamp ) ),
+			array( 'id' => $log_id ),
+			array( '%s' ),
+			array( '%d' )
+		);
+
+		$this->schedule_worker( $timestamp );
+	}
+
+	/**
+	 * Move a delivery to the dead-letter status and send the alert
+	 *
+	 * @param int $log_id  Original log entry ID.
+	 * @param int $form_id Contact Form 7 form ID.
+	 * @return void
+	 */
+	private function mark_dead_letter( int $log_id, int $form_id ): void {
+		global $wpdb;
+
+		$wpdb->update(
+			$this->table_name,
+			array(
+				'status'        => 'dead_letter',
+				'next_retry_at' => null,
+			),
+			array( 'id' => $log_id ),
+			array( '%s', '%s' ),
+			array( '%d' )
+		);
+
+		DebugLogger::instance()->warning(
+			'Delivery moved to dead letter after scheduled retries',
+			array(
+				'log_id'  => $log_id,
+				'form_id' => $form_id,
+			)
+		);
+
+		/**
+		 * Fires when a delivery is moved to the dead-letter status.
+		 *
+		 * @since 2.5.0
+		 *
+		 * @param int $log_id  Original log entry ID.
+		 * @param int $form_id Contact Form 7 form ID.
+		 */
+		\do_action( 'cf7_api_delivery_dead_letter', $log_id, $form_id );
+
+		EmailAlertService::instance()->maybe_send_dead_letter_alert( $log_id, $form_id );
+	}
+
+	/**
+	 * Make sure the worker runs no later than the given time
+	 *
+	 * A single event is kept, always at the earliest due retry.
+	 *
+	 * @param int $timestamp Unix timestamp.
+	 * @return void
+	 */
+	private function schedule_worker( int $timestamp ): void {
+		$next = \wp_next_scheduled( self::HOOK );
+
+		if ( $next && $next <= $timestamp ) {
+			return;
+		}
+
+		if ( $next ) {
+			\wp_unschedule_event( $next, self::HOOK );
+		}
+
+		\wp_schedule_single_event( $timestamp, self::HOOK );
+	}
+}
@@ -0,0 +1,473 @@
+<?php
+/**
+ * Form Config Manager
+ *
+ * Exports, imports and copies the API integration settings of
+ * Contact Form 7 forms as JSON documents.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Service\ContactForm
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Service\ContactForm;
+
+use SilverAssist\ContactFormToAPI\Model\FormSettings;
+use SilverAssist\ContactFormToAPI\Service\Api\AuthManager;
+use SilverAssist\ContactFormToAPI\Service\Api\RequestSigner;
+use SilverAssist\ContactFormToAPI\Service\Notification\AlertRuleService;
+use SilverAssist\ContactFormToAPI\Service\Security\SensitiveDataPatterns;
+use WP_Error;
+use WPCF7_ContactForm;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class FormConfigManager
+ *
+ * An export document looks like:
+ *
+ *     array(
+ *         'format'           => 'cf7-api-form-config',
+ *         'version'          => 1,
+ *         'plugin_version'   => '2.5.0',
+ *         'exported_at'      => '2026-01-31T12:00:00+00:00',
+ *         'form'             => array( 'id' => 12, 'title' => 'Contact' ),
+ *         'secrets_included' => false,
+ *         'config'           => array( ... ), // FormSettings::to_array() without `form_id`
+ *     )
+ *
+ * Secrets (authentication secrets, the signing secret and the values of
+ * sensitive headers) are exported in plaintext only on request, and blank
+ * otherwise. On import, secrets are encrypted with this site's key and
+ * blank secrets keep the target form's current value, so a document
+ * without secrets can be imported over a form that already has them.
+ *
+ * @since 2.5.0
+ */
+class FormConfigManager {
+
+	/**
+	 * Export document format identifier
+	 *
+	 * @var string
+	 */
+	public const FORMAT = 'cf7-api-form-config';
+
+	/**
+	 * Export document version
+	 *
+	 * @var int
+	 */
+	public const VERSION = 1;
+
+	/**
+	 * Value shown instead of secrets in diffs
+	 *
+	 * @var string
+	 */
+	private const MASK = '********';
+
+	/**
+	 * Secret storage helper
+	 *
+	 * @var AuthManager
+	 */
+	private AuthManager $secrets;
+
+	/**
+	 * Constructor
+	 */
+	public function __construct() {
+		$this->secrets = new AuthManager();
+	}
+
+	/**
+	 * Get all contact forms
+	 *
+	 * @return array<int, string> Form titles keyed by form ID.
+	 */
+	public function get_forms(): array {
+		if ( ! \class_exists( 'WPCF7_ContactForm' ) ) {
+			return array();
+		}
+
+		$forms = array();
+		foreach ( WPCF7_ContactForm::find( array( 'posts_per_page' => -1 ) ) as $form ) {
+			$forms[ (int) $form->id() ] = (string) $form->title();
+		}
+
+		return $forms;
+	}
+
+	/**
+	 * Get the integration settings of a form
+	 *
+	 * @param int $form_id Form ID.
+	 * @return FormSettings|null Null when the form does not exist.
+	 */
+	public function get_settings( int $form_id ): ?FormSettings {
+		$form = $this->get_form( $form_id );
+
+		return $form ? FormSettings::from_meta( $form_id, $form->get_properties() ) : null;
+	}
+
+	/**
+	 * Build the export document of a form
+	 *
+	 * @param int  $form_id         Form ID.
+	 * @param bool $include_secrets Export secrets in plaintext instead of blank.
+	 * @return array<string, mixed>|null Export document, or null when the form does not exist.
+	 */
+	public function export( int $form_id, bool $include_secrets = false ): ?array {
+		$settings = $this->get_settings( $form_id );
+		if ( null === $settings ) {
+			return null;
+		}
+
+		$config = $settings->to_array();
+		unset( $config['form_id'] );
+
+		return array(
+			'format'           => self::FORMAT,
+			'version'          => self::VERSION,
+			'plugin_version'   => CF7_API_VERSION,
+			'exported_at'      => \gmdate( 'c' ),
+			'form'             => array(
+				'id'    => $form_id,
+				'title' => (string) \get_the_title( $form_id ),
+			),
+			'secrets_included' => $include_secrets,
+			'config'           => $this->map_secrets( $config, fn( $value ) => $include_secrets ? $this->secrets->decrypt_secret( $value ) : '' ),
+		);
+	}
+
+	/**
+	 * Parse an export document
+	 *
+	 * @param string $json Export document JSON.
+	 * @return array<string, mixed>|WP_Error The document's config, or an error.
+	 */
+	public function parse( string $json ) {
+		$document = \json_decode( $json, true );
+
+		if ( ! \is_array( $document ) ) {
+			return new WP_Error( 'invalid_json', \__( 'The file is not valid JSON.', 'contact-form-to-api' ) );
+		}
+
+		if ( self::FORMAT !== ( $document['format'] ?? '' ) || ! \is_array( $document['config'] ?? null ) ) {
+			return new WP_Error( 'invalid_format', \__( 'The file is not a form API configuration export.', 'contact-form-to-api' ) );
+		}
+
+		if ( (int) ( $document['version'] ?? 0 ) > self::VERSION ) {
+			return new WP_Error( 'unsupported_version', \__( 'The file was exported by a newer version of the plugin.', 'contact-form-to-api' ) );
+		}
+
+		return $document['config'];
+	}
+
+	/**
+	 * Prepare an exported config for a target form
+	 *
+	 * Runs the config through the same sanitizers as the integration panel,
+	 * encrypts secrets with this site's key and keeps the target's current
+	 * secrets where the config has none.
+	 *
+	 * @param int                  $form_id Target form ID.
+	 * @param array<string, mixed> $config  Exported config.
+	 * @return FormSettings|null Null when the form does not exist.
+	 */
+	public function prepare( int $form_id, array $config ): ?FormSettings {
+		$current = $this->get_settings( $form_id );
+		if ( null === $current ) {
+			return null;
+		}
+
+		$input_type = \sanitize_key( (string) ( $config['input_type'] ?? 'params' ) );
+		$method     = 'multipart' === $input_type ? 'POST' : \strtoupper( \sanitize_key( (string) ( $config['method'] ?? 'GET' ) ) );
+
+		$endpoints = FormSettings::sanitize_endpoints( $config['additional_endpoints'] ?? array() );
+		foreach ( $endpoints as $index => $endpoint ) {
+			$saved                                 = $current->get_additional_endpoints()[ $index ] ?? array();
+			$endpoints[ $index ]['custom_headers'] = $this->merge_headers( $endpoint['custom_headers'], (array) ( $saved['custom_headers'] ?? array() ) );
+		}
+
+		return new FormSettings(
+			form_id: $form_id,
+			enabled: ! empty( $config['enabled'] ),
+			endpoint: \esc_url_raw( (string) ( $config['endpoint'] ?? '' ) ),
+			method: \in_array( $method, array( 'GET', 'POST' ), true ) ? $method : 'GET',
+			input_type: \in_array( $input_type, array( 'params', 'xml', 'json', 'multipart' ), true ) ? $input_type : 'params',
+			field_mappings: \map_deep( (array) ( $config['field_mappings'] ?? array() ), 'sanitize_text_field' ),
+			auth_config: $this->secrets->sanitize( (array) ( $config['auth_config'] ?? array() ), $current->get_auth_config() ),
+			custom_headers: $this->merge_headers( (array) ( $config['custom_headers'] ?? array() ), $current->get_custom_headers() ),
+			retry_config: FormSettings::sanitize_retry_config( $config['retry_config'] ?? array() ),
+			debug_mode: ! empty( $config['debug_mode'] ),
+			additional_endpoints: $endpoints,
+			template: (string) ( $config['template'] ?? '' ),
+			json_template: (string) ( $config['json_template'] ?? '' ),
+			send_conditions: FormSettings::sanitize_conditions( $config['send_conditions'] ?? array() ),
+			signing_config: ( new RequestSigner() )->sanitize( (array) ( $config['signing_config'] ?? array() ), $current->get_signing_config() ),
+			response_rules: FormSettings::sanitize_response_rules( $config['response_rules'] ?? array() ),
+			failure_policy: FormSettings::sanitize_failure_policy( $config['failure_policy'] ?? array() ),
+			mapping_rules: FormSettings::sanitize_mapping_rules( $config['mapping_rules'] ?? array() ),
+			alert_rules: ( new AlertRuleService() )->sanitize( $config['alert_rules'] ?? array() )
+		);
+	}
+
+	/**
+	 * Preview the changes importing a config would make to a form
+	 *
+	 * Nested settings are compared by their dotted path, e.g.
+	 * `retry_config.max_retries`. Secrets are compared by value but shown masked.
+	 *
+	 * @param int                  $form_id Target form ID.
+	 * @param array<string, mixed> $config  Exported config.
+	 * @return array{changes: array<int, array{key: string, before: string, after: string}>, warnings: array<int, string>}|null Null when the form does not exist.
+	 */
+	public function diff( int $form_id, array $config ): ?array {
+		$current  = $this->get_settings( $form_id );
+		$prepared = $this->prepare( $form_id, $config );
+		if ( null === $current || null === $prepared ) {
+			return null;
+		}
+
+		$before = $this->flatten( $this->get_comparable( $current->to_array() ) );
+		$after  = $this->flatten( $this->get_comparable( $prepared->to_array() ) );
+		unset( $before['form_id'], $after['form_id'] );
+
+		$changes = array();
+		foreach ( \array_keys( $before + $after ) as $key ) {
+			$old = $before[ $key ] ?? '';
+			$new = $after[ $key ] ?? '';
+
+			if ( $old !== $new ) {
+				$changes[] = array(
+					'key'    => (string) $key,
+					'before' => $this->is_masked( $old ) ? self::MASK : $old,
+					'after'  => $this->is_masked( $new ) ? self::MASK : $new,
+				);
+			}
+		}
+
+		return array(
+			'changes'  => $changes,
+			'warnings' => $this->get_warnings( $form_id, $prepared ),
+		);
+	}
+
+	/**
+	 * Import a config into a form
+	 *
+	 * Only the integration settings of the form are replaced.
+	 *
+	 * @param int                  $form_id Target form ID.
+	 * @param array<string, mixed> $config  Exported config.
+	 * @return bool Whether the form was saved.
+	 */
+	public function import( int $form_id, array $config ): bool {
+		$form     = $this->get_form( $form_id );
+		$prepared = $this->prepare( $form_id, $config );
+		if ( ! $form || null === $prepared ) {
+			return false;
+		}
+
+		$form->set_properties( \array_merge( $form->get_properties(), $prepared->to_properties() ) );
+		$result = $form->save();
+		if ( empty( $result ) || \is_wp_error( $result ) ) {
+			return false;
+		}
+
+		$message = $prepared->get_failure_policy()['message'] ?? '';
+		if ( '' !== $message ) {
+			// Lets multilingual plugins translate the imported message, like a panel save does.
+			\do_action( 'wpml_register_single_string', 'contact-form-to-api', 'failure_message_' . $form_id, $message );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get a contact form
+	 *
+	 * @param int $form_id Form ID.
+	 * @return WPCF7_ContactForm|null
+	 */
+	private function get_form( int $form_id ): ?WPCF7_ContactForm {
+		if ( $form_id <= 0 || ! \class_exists( 'WPCF7_ContactForm' ) ) {
+			return null;
+		}
+
+		$form = WPCF7_ContactForm::get_instance( $form_id );
+
+		return $form instanceof WPCF7_ContactForm ? $form : null;
+	}
+
+	/**
+	 * Apply a callback to every secret of a config
+	 *
+	 * @param array<string, mixed> $config   Config (FormSettings::to_array() shape).
+	 * @param callable             $callback Receives and returns a secret value.
+	 * @return array<string, mixed>
+	 */
+	private function map_secrets( array $config, callable $callback ): array {
+		foreach ( AuthManager::SECRET_FIELDS as $field ) {
+			if ( isset( $config['auth_config'][ $field ] ) ) {
+				$config['auth_config'][ $field ] = $callback( (string) $config['auth_config'][ $field ] );
+			}
+		}
+
+		if ( isset( $config['signing_config']['secret'] ) ) {
+			$config['signing_config']['secret'] = $callback( (string) $config['signing_config']['secret'] );
+		}
+
+		// Header values are stored in plaintext, which decrypt_secret() returns unchanged.
+		$config['custom_headers'] = $this->map_header_secrets( (array) ( $config['custom_headers'] ?? array() ), $callback );
+		foreach ( (array) ( $config['additional_endpoints'] ?? array() ) as $index => $endpoint ) {
+			$config['additional_endpoints'][ $index ]['custom_headers'] = $this->map_header_secrets( (array) ( $endpoint['custom_headers'] ?? array() ), $callback );
+		}
+
+		return $config;
+	}
+
+	/**
+	 * Apply a callback to the values of sensitive headers
+	 *
+	 * @param array<int, array<string, string>> $headers  Headers (name/value pairs).
+	 * @param callable                          $callback Receives and returns a header value.
+	 * @return array<int, array<string, string>>
+	 */
+	private function map_header_secrets( array $headers, callable $callback ): array {
+		foreach ( $headers as $index => $header ) {
+			if ( \is_array( $header ) && SensitiveDataPatterns::is_sensitive( (string) ( $header['name'] ?? '' ) ) ) {
+				$headers[ $index ]['value'] = $callback( (string) ( $header['value'] ?? '' ) );
+			}
+		}
+
+		return $headers;
+	}
+
+	/**
+	 * Sanitize imported headers, keeping saved values of blank sensitive headers
+	 *
+	 * @param array<int, mixed>                 $headers Imported headers.
+	 * @param array<int, array<string, string>> $saved   Headers saved on the target.
+	 * @return array<int, array<string, string>>
+	 */
+	private function merge_headers( array $headers, array $saved ): array {
+		$saved_values = array();
+		foreach ( $saved as $header ) {
+			if ( \is_array( $header ) ) {
+				$saved_values[ \strtolower( (string) ( $header['name'] ?? '' ) ) ] = (string) ( $header['value'] ?? '' );
+			}
+		}
+
+		$merged = array();
+		foreach ( $headers as $header ) {
+			$name  = \is_array( $header ) ? \sanitize_text_field( (string) ( $header['name'] ?? '' ) ) : '';
+			$value = \is_array( $header ) ? \sanitize_text_field( (string) ( $header['value'] ?? '' ) ) : '';
+			if ( '' === $name ) {
+				continue;
+			}
+
+			if ( '' === $value && SensitiveDataPatterns::is_sensitive( $name ) ) {
+				$value = $saved_values[ \strtolower( $name ) ] ?? '';
+			}
+
+			$merged[] = array(
+				'name'  => $name,
+				'value' => $value,
+			);
+		}
+
+		return $merged;
+	}
+
+	/**
+	 * Replace secrets with a comparable marker
+	 *
+	 * Encrypted secrets differ on every encryption, so they are compared by
+	 * the hash of their plaintext.
+	 *
+	 * @param array<string, mixed> $config Config (FormSettings::to_array() shape).
+	 * @return array<string, mixed>
+	 */
+	private function get_comparable( array $config ): array {
+		return $this->map_secrets(
+			$config,
+			function ( $value ) {
+				$plain = $this->secrets->decrypt_secret( $value );
+				return '' === $plain ? '' : "\0" . \hash( 'sha256', $plain );
+			}
+		);
+	}
+
+	/**
+	 * Check whether a flattened value is a secret marker
+	 *
+	 * @param string $value Flattened value.
+	 * @return bool
+	 */
+	private function is_masked( string $value ): bool {
+		return \str_starts_with( $value, "\0" );
+	}
+
+	/**
+	 * Flatten a config to dotted keys and display values
+	 *
+	 * @param array<mixed> $data   Config.
+	 * @param string       $prefix Key prefix.
+	 * @return array<string, string>
+	 */
+	private function flatten( array $data, string $prefix = '' ): array {
+		$flat = array();
+
+		foreach ( $data as $key => $value ) {
+			$path = '' === $prefix ? (string) $key : $prefix . '.' . $key;
+
+			if ( \is_array( $value ) ) {
+				$flat = \array_merge( $flat, $this->flatten( $value, $path ) );
+			} elseif ( \is_bool( $value ) ) {
+				$flat[ $path ] = $value ? 'true' : 'false';
+			} elseif ( \is_scalar( $value ) ) {
+				$flat[ $path ] = (string) $value;
+			}
+		}
+
+		return $flat;
+	}
+
+	/**
+	 * Get warnings about a prepared config
+	 *
+	 * Field mappings refer to the form's fields by name, so a config copied
+	 * from another form may map fields the target form does not have.
+	 *
+	 * @param int          $form_id  Target form ID.
+	 * @param FormSettings $prepared Prepared config.
+	 * @return array<int, string>
+	 */
+	private function get_warnings( int $form_id, FormSettings $prepared ): array {
+		$form = $this->get_form( $form_id );
+		if ( ! $form ) {
+			return array();
+		}
+
+		$fields = \array_filter( \array_map( fn( $tag ) => (string) $tag->name, $form->scan_form_tags() ) );
+
+		$warnings = array();
+		foreach ( \array_keys( $prepared->get_field_mappings() ) as $field ) {
+			if ( ! \in_array( (string) $field, $fields, true ) ) {
+				$warnings[] = \sprintf(
+					/* translators: %s: form field name */
+					\__( 'Mapped field "%s" does not exist in this form.', 'contact-form-to-api' ),
+					$field
+				);
+			}
+		}
+
+		return $warnings;
+	}
+}
@@ -14,9 +14,18 @@
 
 namespace SilverAssist\ContactFormToAPI\Service\ContactForm;
 
+use SilverAssist\ContactFormToAPI\Config\Settings;
 use SilverAssist\ContactFormToAPI\Core\Interfaces\LoadableInterface;
 use SilverAssist\ContactFormToAPI\Infrastructure\Handler\CheckboxHandler;
 use SilverAssist\ContactFormToAPI\Service\Api\ApiClient;
+use SilverAssist\ContactFormToAPI\Service\Api\CircuitBreaker;
+use SilverAssist\ContactFormToAPI\Service\Api\DeliveryQueue;
+use SilverAssist\ContactFormToAPI\Service\Logging\LogWriter;
+use SilverAssist\ContactFormToAPI\Service\Security\SensitiveDataPatterns;
+use SilverAssist\ContactFormToAPI\Utils\ConditionEvaluator;
+use SilverAssist\ContactFormToAPI\Utils\FieldTransformer;
+use SilverAssist\ContactFormToAPI\Utils\ResponseEvaluator;
+use SilverAssist\ContactFormToAPI\Utils\TemplateRenderer;
 use WPCF7_ContactForm;
 use WPCF7_Submission;
 use WP_Error;
@@ -86,6 +95,22 @@ class SubmissionProcessor implements LoadableInterface {
 	 */
 	private array $api_errors = array();
 
+	/**
+	 * Values extracted from the primary endpoint's response for the current submission
+	 *
+	 * @since 2.5.0
+	 * @var array<string, string>
+	 */
+	private array $response_fields = array();
+
+	/**
+	 * Whether the primary endpoint delivery of the current submission failed
+	 *
+	 * @since 2.5.0
+	 * @var bool
+	 */
+	private bool $primary_failed = false;
+
 	/**
 	 * Get singleton instance
 	 *
@@ -150,12 +175,15 @@ class SubmissionProcessor implements LoadableInterface {
 	 * Handles data extraction, transformation, and API communication.
 	 *
 	 * @since 2.0.0
+	 * @since 2.5.0 Delivers to the primary endpoint and every enabled additional destination.
 	 * @param WPCF7_ContactForm $contact_form Contact form object (CF7).
 	 * @return void
 	 */
 	public function process_submission( WPCF7_ContactForm $contact_form ): void {
 		$this->clear_error_log( $contact_form->id() );
-		$this->current_form = $contact_form;
+		$this->current_form    = $contact_form;
+		$this->response_fields = array();
+		$this->primary_failed  = false;
 
 		$submission = WPCF7_Submission::get_instance();
 		if ( ! $submission ) {
@@ -171,45 +199,189 @@ class SubmissionProcessor implements LoadableInterface {
 		$api_json_template = \stripslashes( $contact_form->prop( 'json_template' ) ?: \get_post_meta( $form_id, '_json_template', true ) );
 		$retry_config      = $contact_form->prop( 'retry_config' ) ?: array();
 		$custom_headers    = $contact_form->prop( 'custom_headers' ) ?: array();
+		$api_endpoints     = $contact_form->prop( 'api_endpoints' ) ?: array();
+		$send_conditions   = $contact_form->prop( 'send_conditions' ) ?: array();
+		$auth_config       = $contact_form->prop( 'auth_config' ) ?: array();
+		$response_rules    = $contact_form->prop( 'response_rules' ) ?: array();
+		$mapping_rules     = $contact_form->prop( 'mapping_rules' ) ?: array();
 
-		// Set default retry configuration if not provided.
-		if ( ! \is_array( $retry_config ) ) {
-			$retry_config = array();
+		// Check if form should be sent to API.
+		if ( empty( $api_data['send_to_api'] ) || $api_data['send_to_api'] !== 'on' ) {
+			return;
 		}
+
+		$record_type = $api_data['input_type'] ?? 'params';
+
+		$destinations = array(
+			array(
+				'label'          => \__( 'Primary', 'contact-form-to-api' ),
+				'base_url'       => $api_data['base_url'] ?? '',
+				'method'         => $api_data['method'] ?? 'GET',
+				'input_type'     => $record_type,
+				'template'       => 'json' === $record_type ? \stripslashes( $api_json_template ) : $api_data_template,
+				'custom_headers' => $custom_headers,
+				'retry_config'   => $retry_config,
+				'conditions'     => \is_array( $send_conditions ) ? $send_conditions : array(),
+				'auth'           => \is_array( $auth_config ) ? $auth_config : array(),
+				'signing'        => $this->get_signing_config( $contact_form ),
+				'response_rules' => \is_array( $response_rules ) ? $response_rules : array(),
+				'primary'        => true,
+			),
+		);
+
+		// Authentication, signing and response rules apply to the primary endpoint only.
+		foreach ( \is_array( $api_endpoints ) ? $api_endpoints : array() as $endpoint ) {
+			if ( \is_array( $endpoint ) && ! empty( $endpoint['enabled'] ) && ! empty( $endpoint['base_url'] ) ) {
+				$destinations[] = \array_merge(
+					$endpoint,
+					array(
+						'auth'           => array(),
+						'signing'        => array(),
+						'response_rules' => array(),
+						'primary'        => false,
+					)
+				);
+			}
+		}
+
+		// Links every delivery of this submission in the API logs.
+		$submission_id = \wp_generate_uuid4();
+
+		foreach ( $destinations as $destination ) {
+			$this->deliver_to_destination(
+				$submission,
+				\is_array( $api_data_map ) ? $api_data_map : array(),
+				$destination,
+				$submission_id,
+				\is_array( $mapping_rules ) ? $mapping_rules : array()
+			);
+		}
+	}
+
+	/**
+	 * Deliver a submission to one destination
+	 *
+	 * Builds the record with the destination's input type and template, fires
+	 * the before/after send hooks and records the delivery in the API logs.
+	 * Deliveries whose sending conditions do not match are logged as skipped;
+	 * with queued delivery enabled, or while the endpoint's circuit breaker is
+	 * open, the request is handed to DeliveryQueue.
+	 *
+	 * @since 2.5.0
+	 * @param WPCF7_Submission     $submission    Form submission.
+	 * @param array<string, mixed> $data_map      Field mapping shared by all destinations.
+	 * @param array<string, mixed> $destination   Destination settings.
+	 * @param string               $submission_id Submission UUID.
+	 * @param array<string, mixed> $mapping_rules Value transforms and static fields shared by all destinations.
+	 * @return void
+	 */
+	private function deliver_to_destination( WPCF7_Submission $submission, array $data_map, array $destination, string $submission_id, array $mapping_rules = array() ): void {
+		$record_type = $destination['input_type'] ?? 'params';
+		$template    = \in_array( $record_type, array( 'xml', 'json' ), true ) ? (string) ( $destination['template'] ?? '' ) : '';
+
+		// Set default retry configuration if not provided.
+		$retry_config                       = \is_array( $destination['retry_config'] ?? null ) ? $destination['retry_config'] : array();
 		$retry_config['max_retries']      ??= self::DEFAULT_MAX_RETRIES;
 		$retry_config['retry_delay']      ??= self::DEFAULT_RETRY_DELAY;
 		$retry_config['retry_on_timeout'] ??= true;
 
-		// Always enable debug logging.
-		$api_data['debug_log'] = true;
-
-		// Check if form should be sent to API.
-		if ( empty( $api_data['send_to_api'] ) || $api_data['send_to_api'] !== 'on' ) {
+		if ( empty( $destination['base_url'] ) ) {
 			return;
 		}
 
-		$record_type = $api_data['input_type'] ?? 'params';
+		$reason = ConditionEvaluator::get_skip_reason(
+			\is_array( $destination['conditions'] ?? null ) ? $destination['conditions'] : array(),
+			(array) $submission->get_posted_data()
+		);
 
-		if ( $record_type === 'json' ) {
-			$api_data_template = \stripslashes( $api_json_template );
+		if ( null !== $reason ) {
+			$this->log_skipped_delivery( $destination, $reason, $submission_id );
+			return;
 		}
 
-		$record        = $this->build_api_record( $submission, $api_data_map, $record_type, $api_data_template );
-		$record['url'] = $api_data['base_url'];
+		$record        = $this->build_api_record( $submission, $data_map, $record_type, $template, $mapping_rules );
+		$record['url'] = $destination['base_url'];
 
-		if ( ! empty( $record['url'] ) ) {
-			\do_action( 'cf7_api_before_send_to_api', $record );
+		\do_action( 'cf7_api_before_send_to_api', $record, $destination );
 
-			$response = $this->send_api_request( $record, $api_data['debug_log'], $api_data['method'], $record_type, $retry_config, $custom_headers );
+		$log_context = array(
+			'submission_id' => $submission_id,
+			'destination'   => $destination['label'] ?? '',
+		);
 
-			if ( \is_wp_error( $response ) ) {
-				$this->log_api_error( $response, $contact_form->id() );
-			} else {
-				\do_action( 'cf7_api_after_send_to_api', $record, $response );
+		if ( $this->queue_delivery( $record, $destination, $retry_config, $log_context ) ) {
+			return;
+		}
+
+		$response = $this->send_api_request(
+			$record,
+			! empty( $destination['primary'] ), // Legacy debug meta only tracks the primary endpoint.
+			$destination['method'] ?? 'GET',
+			$record_type,
+			$retry_config,
+			\is_array( $destination['custom_headers'] ?? null ) ? $destination['custom_headers'] : array(),
+			$log_context,
+			\is_array( $destination['auth'] ?? null ) ? $destination['auth'] : array(),
+			\is_array( $destination['response_rules'] ?? null ) ? $destination['response_rules'] : array(),
+			\is_array( $destination['signing'] ?? null ) ? $destination['signing'] : array()
+		);
+
+		if ( ! empty( $destination['primary'] ) ) {
+			$response_code        = \is_wp_error( $response ) ? 0 : (int) \wp_remote_retrieve_response_code( $response );
+			$this->primary_failed = $response_code < 200 || $response_code >= 300;
+		}
+
+		if ( \is_wp_error( $response ) ) {
+			$this->log_api_error( $response, $this->current_form ? $this->current_form->id() : 0 );
+		} else {
+			if ( ! empty( $destination['primary'] ) ) {
+				$this->response_fields = ResponseEvaluator::extract(
+					\is_array( $destination['response_rules'] ?? null ) ? $destination['response_rules'] : array(),
+					(string) \wp_remote_retrieve_body( $response )
+				);
 			}
+
+			\do_action( 'cf7_api_after_send_to_api', $record, $response, $destination );
 		}
 	}
 
+	/**
+	 * Record a delivery skipped by its sending conditions
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $destination   Destination settings.
+	 * @param string               $reason        Rule that caused the skip.
+	 * @param string               $submission_id Submission UUID.
+	 * @return void
+	 */
+	private function log_skipped_delivery( array $destination, string $reason, string $submission_id ): void {
+		$form_id = $this->current_form ? $this->current_form->id() : 0;
+
+		if ( $form_id > 0 ) {
+			( new LogWriter() )->log_skipped(
+				$form_id,
+				(string) $destination['base_url'],
+				\strtoupper( (string) ( $destination['method'] ?? 'GET' ) ),
+				$reason,
+				array(
+					'submission_id' => $submission_id,
+					'destination'   => $destination['label'] ?? '',
+				)
+			);
+		}
+
+		/**
+		 * Fires when a delivery is skipped because its sending conditions do not match
+		 *
+		 * @since 2.5.0
+		 *
+		 * @param array<string, mixed> $destination Destination settings.
+		 * @param string               $reason      Rule that caused the skip.
+		 * @param int                  $form_id     Form ID.
+		 */
+		\do_action( 'cf7_api_delivery_skipped', $destination, $reason, $form_id );
+	}
+
 	/**
 	 * Build API record from form submission
 	 *
@@ -217,17 +389,30 @@ class SubmissionProcessor implements LoadableInterface {
 	 * Handles params, JSON, and XML record types.
 	 *
 	 * @since 2.0.0
-	 * @param WPCF7_Submission       $submission Form submission (CF7 Submission object).
-	 * @param array<string, mixed>  $data_map   Field mapping.
-	 * @param string                $type       Record type (params, xml, json).
-	 * @param string                $template   Template for xml/json.
+	 * @since 2.5.0 Accepts raw posted data (e.g. sample values from a connection test).
+	 * @since 2.5.0 JSON/XML placeholders are escaped for their context and support types (see TemplateRenderer).
+	 * @since 2.5.0 Added `$mapping_rules`: value transforms and static fields. JSON without a template is built from the mapping.
+	 * @since 2.5.0 Forwards uploaded files as `multipart` file parts or `[field:base64]` placeholders, listed in `$record['files']`.
+	 * @param WPCF7_Submission|array<string, mixed> $submission    Form submission (CF7 Submission object) or posted data.
+	 * @param array<string, mixed>                  $data_map      Field mapping.
+	 * @param string                                $type          Record type (params, multipart, xml, json).
+	 * @param string                                $template      Template for xml/json.
+	 * @param array<string, mixed>                  $mapping_rules Value transforms and static fields, see FieldTransformer.
 	 * @return array<string, mixed> API record data.
 	 */
-	public function build_api_record( WPCF7_Submission $submission, array $data_map, string $type = 'params', string $template = '' ): array {
-		$submitted_data = $submission->get_posted_data();
+	public function build_api_record( WPCF7_Submission|array $submission, array $data_map, string $type = 'params', string $template = '', array $mapping_rules = array() ): array {
+		$submitted_data = \is_array( $submission ) ? $submission : $submission->get_posted_data();
 		$record         = array();
+		$transforms     = \is_array( $mapping_rules['transforms'] ?? null ) ? $mapping_rules['transforms'] : array();
+		$constants      = \is_array( $mapping_rules['constants'] ?? null ) ? $mapping_rules['constants'] : array();
+		$files          = \is_array( $submission ) ? array() : $this->get_uploaded_files( $submission );
 
-		if ( $type === 'params' ) {
+		// File fields are not part of the posted data; as in CF7's mail tags, they stand for the file name.
+		foreach ( $files as $field => $file ) {
+			$submitted_data[ $field ] ??= $file['filename'];
+		}
+
+		if ( $type === 'params' || $type === 'multipart' ) {
 			foreach ( $data_map as $form_key => $api_form_key ) {
 				if ( ! $api_form_key ) {
 					continue;
@@ -244,6 +429,9 @@ class SubmissionProcessor implements LoadableInterface {
 								$record['fields'][ $api_form_key[ $value ] ] = \apply_filters( 'cf7_api_set_record_value', $value, $api_form_key );
 						}
 					}
+				} elseif ( 'multipart' === $type && isset( $files[ $form_key ] ) ) {
+					// Sent as a file part named after the API key.
+					$record['files'][] = array( 'name' => $api_form_key ) + $files[ $form_key ];
 				} else {
 					$value = $submitted_data[ $form_key ] ?? '';
 
@@ -252,46 +440,69 @@ class SubmissionProcessor implements LoadableInterface {
 						$value = reset( $value );
 					}
 
+					$value = FieldTransformer::apply( $value, (array) ( $transforms[ $form_key ] ?? array() ), $submitted_data );
+
 					$record['fields'][ $api_form_key ] = \apply_filters( 'cf7_api_set_record_value', $value, $api_form_key );
 				}
 			}
+
+			foreach ( $constants as $constant ) {
+				$record['fields'][ $constant['key'] ] = $constant['value'];
+			}
 		} elseif ( $type === 'xml' || $type === 'json' ) {
+			$values = array();
+
 			foreach ( $data_map as $form_key => $api_form_key ) {
 				if ( \is_array( $api_form_key ) ) {
-					// Handle checkbox arrays.
-					$field_value = $submitted_data[ $form_key ] ?? null;
-					if ( ! \is_array( $field_value ) ) {
-						continue;
+					// Handle checkbox arrays: checked options become [field-option], unchecked ones are cleared.
+					$field_value = $submitted_data[ $form_key ] ?? array();
+					$field_value = \is_array( $field_value ) ? $field_value : array();
+					foreach ( \array_keys( $api_form_key ) as $field_suffix ) {
+						$values[ "{$form_key}-{$field_suffix}" ] = '';
 					}
 					foreach ( $field_value as $value ) {
 						if ( $value ) {
-								$value    = \apply_filters( 'cf7_api_set_record_value', $value, $api_form_key );
-								$template = str_replace( "[{$form_key}-{$value}]", $value, $template );
+							$values[ "{$form_key}-{$value}" ] = \apply_filters( 'cf7_api_set_record_value', $value, $api_form_key );
 						}
 					}
 				} else {
-					$value = $submitted_data[ $form_key ] ?? '';
+					$value            = $submitted_data[ $form_key ] ?? '';
+					$field_transforms = (array) ( $transforms[ $form_key ] ?? array() );
+
+					// Keep multi-value fields intact for [field:array], transform and filter each item.
+					if ( \is_array( $value ) && \count( $value ) > 1 ) {
+						$values[ $form_key ] = \array_map(
+							fn( $item ) => \apply_filters( 'cf7_api_set_record_value', FieldTransformer::apply( $item, $field_transforms, $submitted_data ), $api_form_key ),
+							$value
+						);
+						continue;
+					}
 
 					// Flatten radio button values.
 					if ( \is_array( $value ) ) {
-						$value = reset( $value );
+						$value = empty( $value ) ? '' : reset( $value );
 					}
 
-					$value    = \apply_filters( 'cf7_api_set_record_value', $value, $api_form_key );
-					$template = str_replace( "[{$form_key}]", $value, $template );
+					$value = FieldTransformer::apply( $value, $field_transforms, $submitted_data );
+
+					$values[ $form_key ] = \apply_filters( 'cf7_api_set_record_value', $value, $api_form_key );
 				}
 			}
 
-			// Clean unchanged tags.
-			foreach ( $data_map as $form_key => $api_form_key ) {
-				if ( \is_array( $api_form_key ) ) {
-					foreach ( $api_form_key as $field_suffix => $api_name ) {
-						$template = str_replace( "[{$form_key}-{$field_suffix}]", '', $template );
-					}
+			foreach ( $this->get_file_placeholder_fields( $template ) as $field ) {
+				$values = \array_merge( $values, $this->get_file_placeholder_values( $field, $files[ $field ] ?? null, $submitted_data[ $field ] ?? '' ) );
+
+				if ( isset( $files[ $field ] ) ) {
+					$record['files'][] = array( 'name' => $field ) + $files[ $field ];
 				}
 			}
 
-			$record['fields'] = $template;
+			if ( 'json' === $type && '' === \trim( $template ) ) {
+				$record['fields'] = $this->build_mapped_json( $data_map, $values, $constants );
+			} else {
+				$template         = TemplateRenderer::render( $template, $type, $values );
+				$record['fields'] = $template;
+			}
 		}
 
 		$record = \apply_filters( 'cf7_api_create_record', $record, $submitted_data, $data_map, $type, $template );
@@ -299,6 +510,133 @@ class SubmissionProcessor implements LoadableInterface {
 		return $record;
 	}
 
+	/**
+	 * Get the files uploaded with a submission
+	 *
+	 * Only the first file of each field is forwarded. Files over the size
+	 * limits keep their metadata with an `error`, so the log shows why they
+	 * were not sent.
+	 *
+	 * @since 2.5.0
+	 * @param WPCF7_Submission $submission Form submission.
+	 * @return array<string, array{field: string, path: string, filename: string, mimetype: string, size: int, error?: string}> Files keyed by form field.
+	 */
+	private function get_uploaded_files( WPCF7_Submission $submission ): array {
+		$max_size  = Settings::instance()->get_file_max_size();
+		$max_total = Settings::instance()->get_file_max_total_size();
+		$total     = 0;
+		$files     = array();
+
+		foreach ( (array) $submission->uploaded_files() as $field => $paths ) {
+			$path = \is_array( $paths ) ? \reset( $paths ) : $paths;
+			if ( ! \is_string( $path ) || '' === $path || ! \is_readable( $path ) ) {
+				continue;
+			}
+
+			$filename = \wp_basename( $path );
+			$file     = array(
+				'field'    => (string) $field,
+				'path'     => $path,
+				'filename' => $filename,
+				'mimetype' => \wp_check_filetype( $filename )['type'] ?: 'application/octet-stream',
+				'size'     => (int) \filesize( $path ),
+			);
+
+			if ( $file['size'] > $max_size ) {
+				/* translators: %s: size limit, e.g. 5 MB */
+				$file['error'] = \sprintf( \__( 'Not sent: larger than the %s file limit.', 'contact-form-to-api' ), \size_format( $max_size ) );
+			} elseif ( $total + $file['size'] > $max_total ) {
+				/* translators: %s: size limit, e.g. 10 MB */
+				$file['error'] = \sprintf( \__( 'Not sent: the files of this submission exceed the %s total limit.', 'contact-form-to-api' ), \size_format( $max_total ) );
+			} else {
+				$total += $file['size'];
+			}
+
+			$files[ (string) $field ] = $file;
+		}
+
+		return $files;
+	}
+
+	/**
+	 * Get the fields used by file placeholders in a template
+	 *
+	 * @since 2.5.0
+	 * @param string $template JSON or XML template.
+	 * @return array<int, string> Field names.
+	 */
+	private function get_file_placeholder_fields( string $template ): array {
+		\preg_match_all( '/\[([^\[\]\s"]+):(?:base64|filename|mimetype)\]/', $template, $matches );
+
+		return \array_values( \array_unique( $matches[1] ) );
+	}
+
+	/**
+	 * Get the values of a field's file placeholders
+	 *
+	 * The base64 placeholder holds a marker that ApiClient replaces with the
+	 * file contents just before sending, so logs and previews never contain
+	 * the file. Without an upload (connection tests, optional fields) the
+	 * submitted value stands for the file name and the contents are empty.
+	 *
+	 * @since 2.5.0
+	 * @param string                    $field    Form field name.
+	 * @param array<string, mixed>|null $file     Uploaded file, see get_uploaded_files().
+	 * @param mixed                     $fallback Submitted value of the field.
+	 * @return array<string, string> Values keyed by `field:filename`, `field:mimetype` and `field:base64`.
+	 */
+	private function get_file_placeholder_values( string $field, ?array $file, $fallback ): array {
+		if ( null === $file ) {
+			$filename = \is_scalar( $fallback ) ? (string) $fallback : '';
+			$file     = array(
+				'filename' => $filename,
+				'mimetype' => '' !== $filename ? ( \wp_check_filetype( $filename )['type'] ?: '' ) : '',
+				'error'    => \__( 'No file uploaded.', 'contact-form-to-api' ),
+			);
+		}
+
+		return array(
+			"{$field}:filename" => (string) $file['filename'],
+			"{$field}:mimetype" => (string) $file['mimetype'],
+			"{$field}:base64"   => empty( $file['error'] ) ? ApiClient::get_file_placeholder( $field ) : '',
+		);
+	}
+
+	/**
+	 * Build a JSON payload from the field mapping
+	 *
+	 * Used when the JSON input type has no template. Dotted API keys such as
+	 * `contact.email` become nested objects.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed>             $data_map  Field mapping.
+	 * @param array<string, mixed>             $values    Transformed values keyed by form field (checkbox options as `field-option`).
+	 * @param array<int, array<string, mixed>> $constants Static fields (key, value).
+	 * @return array<string, mixed> Payload, encoded as JSON by ApiClient.
+	 */
+	private function build_mapped_json( array $data_map, array $values, array $constants ): array {
+		$fields = array();
+
+		foreach ( $data_map as $form_key => $api_form_key ) {
+			if ( \is_array( $api_form_key ) ) {
+				foreach ( $api_form_key as $option => $option_key ) {
+					$value = $values[ "{$form_key}-{$option}" ] ?? '';
+					if ( '' !== (string) $option_key && '' !== $value ) {
+						$fields = FieldTransformer::set_nested( $fields, (string) $option_key, $value );
+					}
+				}
+			} elseif ( '' !== (string) $api_form_key ) {
+				$fields = FieldTransformer::set_nested( $fields, (string) $api_form_key, $values[ $form_key ] ?? '' );
+			}
+		}
+
+		foreach ( $constants as $constant ) {
+			$fields = FieldTransformer::set_nested( $fields, (string) $constant['key'], $constant['value'] );
+		}
+
+		return $fields;
+	}
+
 	/**
 	 * Send API request with retry support
 	 *
@@ -306,42 +644,24 @@ class SubmissionProcessor implements LoadableInterface {
 	 * Handles retries, debug logging, and error handling.
 	 *
 	 * @since 2.0.0
+	 * @since 2.5.0 Added `$log_context` to link deliveries of one submission, `$auth` for the authentication settings, `$response_rules` and `$signing`.
 	 * @param array<string, mixed>                $record         Record data.
 	 * @param bool                                $debug          Enable debug logging.
 	 * @param string                              $method         HTTP method.
 	 * @param string                              $record_type    Record type (params, json, xml).
 	 * @param array<string, mixed>                $retry_config   Retry configuration.
 	 * @param array<int, array<string, string>>   $custom_headers Custom HTTP headers.
+	 * @param array<string, string>               $log_context    Log attributes (`submission_id`, `destination`).
+	 * @param array<string, mixed>                $auth           Authentication settings, see AuthManager.
+	 * @param array<string, mixed>                $response_rules Success rule and field extraction, see ResponseEvaluator.
+	 * @param array<string, mixed>                $signing        HMAC signing settings, see RequestSigner.
 	 * @return array<string, mixed>|WP_Error Response data or error.
 	 */
-	public function send_api_request( array $record, bool $debug = false, string $method = 'GET', string $record_type = 'params', array $retry_config = array(), array $custom_headers = array() ) {
+	public function send_api_request( array $record, bool $debug = false, string $method = 'GET', string $record_type = 'params', array $retry_config = array(), array $custom_headers = array(), array $log_context = array(), array $auth = array(), array $response_rules = array(), array $signing = array() ) {
 		$lead = $record['fields'];
 		$url  = $record['url'];
 
-		// Build headers array from custom_headers.
-		$headers = array();
-		if ( ! empty( $custom_headers ) ) {
-			foreach ( $custom_headers as $header ) {
-				if ( ! empty( $header['name'] ) ) {
-					$headers[ $header['name'] ] = $header['value'] ?? '';
-				}
-			}
-		}
-
-		// Build request configuration for ApiClient.
-		$request_config = array(
-			'url'          => $url,
-			'method'       => $method,
-			'body'         => $lead,
-			'headers'      => $headers,
-			'content_type' => $record_type,
-			'form_id'      => $this->current_form ? $this->current_form->id() : 0,
-			'retry_config' => array(
-				'max_retries'      => $retry_config['max_retries'] ?? self::DEFAULT_MAX_RETRIES,
-				'retry_delay'      => $retry_config['retry_delay'] ?? self::DEFAULT_RETRY_DELAY,
-				'retry_on_timeout' => $retry_config['retry_on_timeout'] ?? true,
-			),
-		);
+		$request_config = $this->build_request_config( $record, $method, $record_type, $retry_config, $custom_headers, $log_context, $auth, $response_rules, $signing );
 
 		// Send via ApiClient.
 		$result = ApiClient::instance()->send( $request_config );
@@ -361,6 +681,357 @@ class SubmissionProcessor implements LoadableInterface {
 		return \apply_filters( 'cf7_api_after_send_lead', $result, $record );
 	}
 
+	/**
+	 * Build the ApiClient request configuration for a record
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed>                $record         Record data (url, fields).
+	 * @param string                              $method         HTTP method.
+	 * @param string                              $record_type    Record type (params, json, xml).
+	 * @param array<string, mixed>                $retry_config   Retry configuration.
+	 * @param array<int, array<string, string>>   $custom_headers Custom HTTP headers.
+	 * @param array<string, string>               $log_context    Log attributes (`submission_id`, `destination`).
+	 * @param array<string, mixed>                $auth           Authentication settings, see AuthManager.
+	 * @param array<string, mixed>                $response_rules Success rule and field extraction, see ResponseEvaluator.
+	 * @param array<string, mixed>                $signing        HMAC signing settings, see RequestSigner.
+	 * @return array<string, mixed> Request configuration.
+	 */
+	private function build_request_config( array $record, string $method, string $record_type, array $retry_config, array $custom_headers, array $log_context, array $auth = array(), array $response_rules = array(), array $signing = array() ): array {
+		return array(
+			'url'            => $record['url'],
+			'method'         => $method,
+			'body'           => $record['fields'],
+			'headers'        => $this->build_headers( $custom_headers ),
+			'content_type'   => $record_type,
+			'form_id'        => $this->current_form ? $this->current_form->id() : 0,
+			'retry_config'   => array(
+				'max_retries'         => $retry_config['max_retries'] ?? self::DEFAULT_MAX_RETRIES,
+				'retry_delay'         => $retry_config['retry_delay'] ?? self::DEFAULT_RETRY_DELAY,
+				'retry_on_timeout'    => $retry_config['retry_on_timeout'] ?? true,
+				'auto_retry'          => ! empty( $retry_config['auto_retry'] ),
+				'auto_retry_schedule' => $retry_config['auto_retry_schedule'] ?? array(),
+			),
+			'submission_id'  => $log_context['submission_id'] ?? null,
+			'destination'    => $log_context['destination'] ?? null,
+			'auth'           => $auth,
+			'signing'        => $signing,
+			'response_rules' => $response_rules,
+			'files'          => $record['files'] ?? array(),
+		);
+	}
+
+	/**
+	 * Get the HMAC signing settings of a form
+	 *
+	 * Signing is configured per form and applies to the primary endpoint.
+	 *
+	 * @since 2.5.0
+	 * @param WPCF7_ContactForm|null $contact_form Contact form object (CF7).
+	 * @return array<string, mixed> Signing settings, see RequestSigner.
+	 */
+	private function get_signing_config( ?WPCF7_ContactForm $contact_form ): array {
+		$signing = $contact_form ? $contact_form->prop( 'signing_config' ) : array();
+
+		return \is_array( $signing ) ? $signing : array();
+	}
+
+	/**
+	 * Hand a delivery to the background queue when queued delivery is enabled
+	 *
+	 * Deliveries to an endpoint whose circuit breaker is open are queued even
+	 * when queued delivery is off, so they wait as pending instead of failing.
+	 * The worker fires `cf7_api_after_send_lead` and `cf7_api_after_send_to_api`
+	 * once the request has actually been sent.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed>  $record       Record data.
+	 * @param array<string, mixed>  $destination  Destination settings.
+	 * @param array<string, mixed>  $retry_config Retry configuration.
+	 * @param array<string, string> $log_context  Log attributes (`submission_id`, `destination`).
+	 * @return bool True if the delivery was queued (or rejected), false to send it now.
+	 */
+	private function queue_delivery( array $record, array $destination, array $retry_config, array $log_context ): bool {
+		$queue = DeliveryQueue::instance();
+
+		// Uploaded files are removed once CF7 finishes the submission, so they are sent right away.
+		if ( ! empty( $record['files'] ) || ( ! $queue->is_enabled() && ! ( new CircuitBreaker() )->is_open( (string) $record['url'] ) ) ) {
+			return false;
+		}
+
+		$queued = $queue->enqueue(
+			$this->build_request_config(
+				$record,
+				$destination['method'] ?? 'GET',
+				$destination['input_type'] ?? 'params',
+				$retry_config,
+				\is_array( $destination['custom_headers'] ?? null ) ? $destination['custom_headers'] : array(),
+				$log_context,
+				\is_array( $destination['auth'] ?? null ) ? $destination['auth'] : array(),
+				\is_array( $destination['response_rules'] ?? null ) ? $destination['response_rules'] : array(),
+				\is_array( $destination['signing'] ?? null ) ? $destination['signing'] : array()
+			),
+			array(
+				'record'      => $record,
+				'destination' => $destination,
+			)
+		);
+
+		if ( \is_wp_error( $queued ) ) {
+			$this->log_api_error( $queued, $this->current_form ? $this->current_form->id() : 0 );
+			return true;
+		}
+
+		return false !== $queued;
+	}
+
+	/**
+	 * Send a connection test using sample field values
+	 *
+	 * Builds the record exactly like a real submission and sends it once,
+	 * without retries, so the integration panel can show the real response.
+	 * Legacy debug meta and the before/after send hooks are left untouched.
+	 *
+	 * @since 2.5.0
+	 * @param int                                 $form_id        Form ID.
+	 * @param array<string, mixed>                $api_data       API configuration (base_url, method, input_type).
+	 * @param array<string, mixed>                $data_map       Field mapping.
+	 * @param string                              $template       XML or JSON template for the selected input type.
+	 * @param array<int, array<string, string>>   $custom_headers Custom HTTP headers.
+	 * @param array<string, mixed>                $sample_values  Sample values keyed by mail tag name.
+	 * @param bool                                $log_request    Whether to record the test in the API logs.
+	 * @param array<string, mixed>                $auth           Authentication settings, see AuthManager.
+	 * @param array<string, mixed>                $signing        HMAC signing settings, see RequestSigner.
+	 * @param array<string, mixed>                $response_rules Success rule and field extraction, see ResponseEvaluator.
+	 * @param array<string, mixed>                $mapping_rules  Value transforms and static fields, see FieldTransformer.
+	 * @return array<string, mixed> Test result with request summary and response details.
+	 */
+	public function send_test_request( int $form_id, array $api_data, array $data_map, string $template, array $custom_headers, array $sample_values, bool $log_request = false, array $auth = array(), array $signing = array(), array $response_rules = array(), array $mapping_rules = array() ): array {
+		$record_type = $api_data['input_type'] ?? 'params';
+		$method      = \strtoupper( $api_data['method'] ?? 'GET' );
+		$record      = $this->build_api_record( $sample_values, $data_map, $record_type, $template, $mapping_rules );
+
+		$request_config = array(
+			'url'            => $api_data['base_url'] ?? '',
+			'method'         => $method,
+			'body'           => $record['fields'] ?? array(),
+			'headers'        => $this->build_headers( $custom_headers ),
+			'content_type'   => $record_type,
+			'form_id'        => $form_id,
+			'retry_config'   => array(
+				'max_retries'      => 0,
+				'retry_on_timeout' => false,
+			),
+			'log'            => $log_request,
+			'is_test'        => true,
+			'auth'           => $auth,
+			'signing'        => $signing,
+			'response_rules' => $response_rules,
+		);
+
+		$start_time = \microtime( true );
+		$response   = ApiClient::instance()->send( $request_config );
+		$duration   = \microtime( true ) - $start_time;
+
+		$result = array(
+			'success'      => false,
+			'url'          => $request_config['url'],
+			'method'       => $method,
+			'request_body' => \is_string( $request_config['body'] ) ? $request_config['body'] : \wp_json_encode( $request_config['body'] ),
+			'status_code'  => null,
+			'headers'      => array(),
+			'body'         => '',
+			'duration_ms'  => \round( $duration * 1000 ),
+			'error'        => null,
+			'logged'       => $log_request && $form_id > 0 && Settings::instance()->is_logging_enabled(),
+			'extracted'    => array(),
+		);
+
+		// A response failing the success rule is still shown, with the rule as the error.
+		if ( \is_wp_error( $response ) && 'cf7_api_response_rule' === $response->get_error_code() ) {
+			$result['error'] = $response->get_error_message();
+			$response        = $response->get_error_data()['response'] ?? $response;
+		}
+
+		if ( \is_wp_error( $response ) ) {
+			$result['error'] = $response->get_error_message();
+			return $result;
+		}
+
+		$status_code = (int) \wp_remote_retrieve_response_code( $response );
+		$headers     = array();
+		foreach ( \wp_remote_retrieve_headers( $response ) as $name => $value ) {
+			$headers[ $name ] = \is_array( $value ) ? \implode( ', ', $value ) : (string) $value;
+		}
+
+		$result['success']     = $status_code >= 200 && $status_code < 300 && null === $result['error'];
+		$result['status_code'] = $status_code;
+		$result['headers']     = $headers;
+		$result['body']        = \wp_remote_retrieve_body( $response );
+		$result['extracted']   = ResponseEvaluator::extract( $response_rules, $result['body'] );
+
+		return $result;
+	}
+
+	/**
+	 * Build a preview of the request a submission would send
+	 *
+	 * Uses build_api_record() and ApiClient::prepare_request() so the preview
+	 * matches what a real submission with the given sample values sends.
+	 * Sensitive header values are redacted the same way as in the API logs.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed>              $api_data       API configuration (base_url, method, input_type).
+	 * @param array<string, mixed>              $data_map       Field mapping.
+	 * @param string                            $template       XML or JSON template for the selected input type.
+	 * @param array<int, array<string, string>> $custom_headers Custom HTTP headers.
+	 * @param array<string, mixed>              $sample_values  Sample values keyed by mail tag name.
+	 * @param array<string, mixed>              $auth           Authentication settings; secrets are masked in the preview.
+	 * @param array<string, mixed>              $signing        HMAC signing settings, see RequestSigner.
+	 * @param array<string, mixed>              $mapping_rules  Value transforms and static fields, see FieldTransformer.
+	 * @return array<string, mixed> Preview with url, method, headers, body, error and unreplaced tags.
+	 */
+	public function build_preview( array $api_data, array $data_map, string $template, array $custom_headers, array $sample_values, array $auth = array(), array $signing = array(), array $mapping_rules = array() ): array {
+		$record_type = $api_data['input_type'] ?? 'params';
+		$record      = $this->build_api_record( $sample_values, $data_map, $record_type, $template, $mapping_rules );
+		$body        = $record['fields'] ?? array();
+
+		$preview = array(
+			'url'        => $api_data['base_url'] ?? '',
+			'method'     => \strtoupper( $api_data['method'] ?? 'GET' ),
+			'headers'    => array(),
+			'body'       => \is_string( $body ) ? $body : '',
+			'error'      => null,
+			'unreplaced' => array(),
+		);
+
+		$prepared = ApiClient::instance()->prepare_request(
+			array(
+				'url'          => $preview['url'],
+				'method'       => $preview['method'],
+				'body'         => $body,
+				'headers'      => $this->build_headers( $custom_headers ),
+				'content_type' => $record_type,
+				'auth'         => $auth,
+				'signing'      => $signing,
+				'preview'      => true,
+			)
+		);
+
+		if ( \is_wp_error( $prepared ) ) {
+			// Still show the raw template output so the problem can be located.
+			$preview['error'] = $prepared->get_error_message();
+		} else {
+			$preview['url'] = $prepared['url'];
+
+			foreach ( $prepared['args']['headers'] ?? array() as $name => $value ) {
+				$preview['headers'][ $name ] = SensitiveDataPatterns::is_sensitive( (string) $name ) ? '***REDACTED***' : (string) $value;
+			}
+
+			if ( isset( $prepared['args']['body'] ) ) {
+				$preview['body'] = \is_string( $prepared['args']['body'] ) ? $prepared['args']['body'] : \http_build_query( $prepared['args']['body'] );
+			}
+		}
+
+		\preg_match_all( '/\[([a-zA-Z][\w:-]*)\]/', $preview['url'] . "\n" . $preview['body'], $matches );
+		$preview['unreplaced'] = \array_values( \array_unique( $matches[1] ) );
+
+		return $preview;
+	}
+
+	/**
+	 * Check whether the primary endpoint delivery of the current submission failed
+	 *
+	 * Covers transport errors, non-2xx responses and failed success rules.
+	 * Skipped and queued deliveries do not count as failures.
+	 *
+	 * @since 2.5.0
+	 * @return bool
+	 */
+	public function has_primary_failed(): bool {
+		return $this->primary_failed;
+	}
+
+	/**
+	 * Get the values extracted from the primary endpoint's response
+	 *
+	 * Filled while the current submission is processed, so they are available
+	 * to the CF7 mail and response message (not for queued deliveries).
+	 *
+	 * @since 2.5.0
+	 * @return array<string, string> Values keyed by field name.
+	 */
+	public function get_response_fields(): array {
+		return $this->response_fields;
+	}
+
+	/**
+	 * Get the current settings of a form destination
+	 *
+	 * Looks up an additional endpoint by its logged label and falls back to
+	 * the primary endpoint, e.g. to restore headers redacted in the logs.
+	 *
+	 * @since 2.5.0
+	 * @param int         $form_id Contact Form 7 form ID.
+	 * @param string|null $label   Destination label stored in the log entry.
+	 * @return array{custom_headers: array<int, array<string, string>>, retry_config: array<string, mixed>, auth: array<string, mixed>, signing: array<string, mixed>, response_rules: array<string, mixed>} Destination settings.
+	 */
+	public function get_destination_settings( int $form_id, ?string $label ): array {
+		$contact_form = \class_exists( 'WPCF7_ContactForm' ) ? WPCF7_ContactForm::get_instance( $form_id ) : null;
+		if ( ! $contact_form ) {
+			return array(
+				'custom_headers' => array(),
+				'retry_config'   => array(),
+				'auth'           => array(),
+				'signing'        => array(),
+				'response_rules' => array(),
+			);
+		}
+
+		$api_endpoints = $contact_form->prop( 'api_endpoints' );
+		foreach ( \is_array( $api_endpoints ) ? $api_endpoints : array() as $endpoint ) {
+			if ( null !== $label && '' !== $label && \is_array( $endpoint ) && ( $endpoint['label'] ?? '' ) === $label ) {
+				return array(
+					'custom_headers' => \is_array( $endpoint['custom_headers'] ?? null ) ? $endpoint['custom_headers'] : array(),
+					'retry_config'   => \is_array( $endpoint['retry_config'] ?? null ) ? $endpoint['retry_config'] : array(),
+					'auth'           => array(),
+					'signing'        => array(),
+					'response_rules' => array(),
+				);
+			}
+		}
+
+		$custom_headers = $contact_form->prop( 'custom_headers' );
+		$retry_config   = $contact_form->prop( 'retry_config' );
+		$auth_config    = $contact_form->prop( 'auth_config' );
+		$response_rules = $contact_form->prop( 'response_rules' );
+
+		return array(
+			'custom_headers' => \is_array( $custom_headers ) ? $custom_headers : array(),
+			'retry_config'   => \is_array( $retry_config ) ? $retry_config : array(),
+			'auth'           => \is_array( $auth_config ) ? $auth_config : array(),
+			'signing'        => $this->get_signing_config( $contact_form ),
+			'response_rules' => \is_array( $response_rules ) ? $response_rules : array(),
+		);
+	}
+
+	/**
+	 * Build request headers from custom header rows
+	 *
+	 * @since 2.5.0
+	 * @param array<int, array<string, string>> $custom_headers Custom HTTP headers.
+	 * @return array<string, string> Headers keyed by name.
+	 */
+	private function build_headers( array $custom_headers ): array {
+		$headers = array();
+		foreach ( $custom_headers as $header ) {
+			if ( ! empty( $header['name'] ) ) {
+				$headers[ $header['name'] ] = $header['value'] ?? '';
+			}
+		}
+
+		return $headers;
+	}
+
 	/**
 	 * Log API error
 	 *
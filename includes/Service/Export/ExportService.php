@@ -2,7 +2,7 @@
 /**
  * Export Service
  *
- * Handles exporting API request logs to CSV and JSON formats.
+ * Handles exporting API request logs to CSV, JSON and NDJSON formats.
  * Provides data sanitization and streaming support for large exports.
  *
  * @package SilverAssist\ContactFormToAPI
@@ -16,7 +16,9 @@ namespace SilverAssist\ContactFormToAPI\Service\Export;
 
 use SilverAssist\ContactFormToAPI\Core\Interfaces\LoadableInterface;
 use SilverAssist\ContactFormToAPI\Service\Logging\LogReader;
+use SilverAssist\ContactFormToAPI\Service\Logging\SearchIndex;
 use SilverAssist\ContactFormToAPI\Service\Security\SensitiveDataPatterns;
+use SilverAssist\ContactFormToAPI\Utils\DateFilterTrait;
 
 \defined( 'ABSPATH' ) || exit;
 
@@ -30,6 +32,32 @@ use SilverAssist\ContactFormToAPI\Service\Security\SensitiveDataPatterns;
  */
 class ExportService implements LoadableInterface {
 
+	use DateFilterTrait;
+
+	/**
+	 * Supported export formats
+	 *
+	 * @since 2.5.0
+	 * @var array<string>
+	 */
+	public const FORMATS = array( 'csv', 'json', 'ndjson' );
+
+	/**
+	 * Filters of the logs screen that apply to exports
+	 *
+	 * @since 2.5.0
+	 * @var array<string>
+	 */
+	public const FILTER_KEYS = array( 'status', 'form_id', 's', 'date_filter', 'date_start', 'date_end' );
+
+	/**
+	 * Log entries read per query while streaming
+	 *
+	 * @since 2.5.0
+	 * @var int
+	 */
+	private const CHUNK_SIZE = 500;
+
 	/**
 	 * Singleton instance
 	 *
@@ -37,6 +65,13 @@ class ExportService implements LoadableInterface {
 	 */
 	private static ?ExportService $instance = null;
 
+	/**
+	 * Log reader used to decrypt exported entries
+	 *
+	 * @var LogReader|null
+	 */
+	private ?LogReader $log_reader = null;
+
 	/**
 	 * Get singleton instance
 	 *
@@ -93,7 +128,186 @@ class ExportService implements LoadableInterface {
 	 * @return string CSV content.
 	 */
 	public function export_csv( array $logs ): string {
-		// Create memory stream for CSV generation.
+		return $this->export( $logs, 'csv' );
+	}
+
+	/**
+	 * Export logs as JSON
+	 *
+	 * Generates JSON content with pretty printing and sanitized data.
+	 *
+	 * @param array<int, array<string, mixed>> $logs Array of log entries.
+	 * @return string JSON content.
+	 */
+	public function export_json( array $logs ): string {
+		return $this->export( $logs, 'json' );
+	}
+
+	/**
+	 * Export logs as NDJSON
+	 *
+	 * One sanitized log entry per line, so large exports can be processed line by line.
+	 *
+	 * @since 2.5.0
+	 * @param array<int, array<string, mixed>> $logs Array of log entries.
+	 * @return string NDJSON content.
+	 */
+	public function export_ndjson( array $logs ): string {
+		return $this->export( $logs, 'ndjson' );
+	}
+
+	/**
+	 * Stream filtered logs to a file handle
+	 *
+	 * Logs are read newest first in chunks of CHUNK_SIZE and written as they
+	 * are read, so memory use does not grow with the number of exported logs.
+	 *
+	 * @since 2.5.0
+	 * @param resource             $handle  Writable stream, e.g. `php://output` or an export file.
+	 * @param string               $format  One of FORMATS.
+	 * @param array<string, mixed> $filters Filters from sanitize_filters().
+	 * @return int Number of exported logs.
+	 */
+	public function stream( $handle, string $format, array $filters = array() ): int {
+		global $wpdb;
+
+		$where   = $this->build_where( $filters );
+		$count   = 0;
+		$last_id = PHP_INT_MAX;
+
+		$this->write_start( $handle, $format );
+
+		do {
+			// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared -- WHERE clause only contains placeholders.
+			$logs = $wpdb->get_results(
+				$wpdb->prepare(
+					'SELECT * FROM %i WHERE ' . $where['clause'] . ' AND id < %d ORDER BY id DESC LIMIT %d',
+					\array_merge( array( $wpdb->prefix . 'cf7_api_logs' ), $where['values'], array( $last_id, self::CHUNK_SIZE ) )
+				),
+				ARRAY_A
+			);
+			// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+			$logs = $logs ?: array();
+			foreach ( $logs as $log ) {
+				$this->write_log( $handle, $format, $log, 0 === $count );
+				$last_id = (int) $log['id'];
+				++$count;
+			}
+
+			\fflush( $handle );
+		} while ( \count( $logs ) === self::CHUNK_SIZE );
+
+		$this->write_end( $handle, $format, $count );
+
+		return $count;
+	}
+
+	/**
+	 * Sanitize log filters
+	 *
+	 * Keeps the filters of the logs screen and drops empty values. The date
+	 * range only applies to the custom date filter.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $input Unslashed filters, e.g. from `$_GET`.
+	 * @return array<string, int|string> Filters keyed by FILTER_KEYS.
+	 */
+	public static function sanitize_filters( array $input ): array {
+		$filters = array();
+
+		foreach ( self::FILTER_KEYS as $key ) {
+			if ( empty( $input[ $key ] ) || ! \is_scalar( $input[ $key ] ) ) {
+				continue;
+			}
+
+			$filters[ $key ] = 'form_id' === $key ? \absint( $input[ $key ] ) : \sanitize_text_field( (string) $input[ $key ] );
+		}
+
+		if ( 'all' === ( $filters['status'] ?? '' ) ) {
+			unset( $filters['status'] );
+		}
+
+		if ( 'custom' !== ( $filters['date_filter'] ?? '' ) ) {
+			unset( $filters['date_start'], $filters['date_end'] );
+		}
+
+		return \array_filter( $filters );
+	}
+
+	/**
+	 * Build the WHERE clause for filtered logs
+	 *
+	 * Uses the same logic as RequestLogTable, including the structured search syntax.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $filters Filters from sanitize_filters().
+	 * @return array{clause: string, values: array<int, mixed>} Clause with placeholders and its values.
+	 */
+	public function build_where( array $filters ): array {
+		global $wpdb;
+
+		$where        = '1=1';
+		$where_values = array();
+
+		// Filter by status.
+		if ( ! empty( $filters['status'] ) ) {
+			if ( 'error' === $filters['status'] ) {
+				$where .= " AND status IN ('error', 'client_error', 'server_error', 'dead_letter')";
+			} else {
+				$where         .= ' AND status = %s';
+				$where_values[] = (string) $filters['status'];
+			}
+		}
+
+		// Filter by form ID.
+		if ( ! empty( $filters['form_id'] ) ) {
+			$where         .= ' AND form_id = %d';
+			$where_values[] = (int) $filters['form_id'];
+		}
+
+		// Search functionality: structured filters, then free text.
+		if ( ! empty( $filters['s'] ) ) {
+			$query = SearchIndex::instance()->get_query_conditions( (string) $filters['s'] );
+			foreach ( $query['conditions'] as $condition ) {
+				$where .= ' AND ' . $condition;
+			}
+			$where_values = \array_merge( $where_values, $query['values'] );
+
+			if ( '' !== $query['text'] ) {
+				$search         = '%' . $wpdb->esc_like( $query['text'] ) . '%';
+				$where         .= ' AND (endpoint LIKE %s OR error_message LIKE %s)';
+				$where_values[] = $search;
+				$where_values[] = $search;
+			}
+		}
+
+		// Apply date filter using shared trait method.
+		$date_filter = $this->build_date_filter_clause(
+			(string) ( $filters['date_filter'] ?? '' ),
+			(string) ( $filters['date_start'] ?? '' ),
+			(string) ( $filters['date_end'] ?? '' )
+		);
+		if ( ! empty( $date_filter['clause'] ) ) {
+			$where       .= ' ' . $date_filter['clause'];
+			$where_values = \array_merge( $where_values, $date_filter['values'] );
+		}
+
+		return array(
+			'clause' => $where,
+			'values' => $where_values,
+		);
+	}
+
+	/**
+	 * Export log entries to a string
+	 *
+	 * @since 2.5.0
+	 * @param array<int, array<string, mixed>> $logs   Array of log entries.
+	 * @param string                           $format One of FORMATS.
+	 * @return string Export content.
+	 */
+	private function export( array $logs, string $format ): string {
 		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen -- Using php://temp memory stream, not filesystem.
 		$output = \fopen( 'php://temp', 'r+' );
 
@@ -101,59 +315,118 @@ class ExportService implements LoadableInterface {
 			return '';
 		}
 
-		// Add UTF-8 BOM for Excel compatibility.
-		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite -- Writing to memory stream, not filesystem.
-		\fwrite( $output, "\xEF\xBB\xBF" );
-
-		// Write headers.
-		$headers = $this->get_csv_headers();
-		\fputcsv( $output, $headers, ',', '"', '\\' );
+		$this->write_start( $output, $format );
 
-		// Write data rows.
+		$first = true;
 		foreach ( $logs as $log ) {
-			$sanitized = $this->sanitize_for_export( $log );
-			$row       = array(
-				$sanitized['id'],
-				$sanitized['form_id'],
-				$sanitized['endpoint'],
-				$sanitized['method'],
-				$sanitized['status'],
-				$sanitized['response_code'] ?? '',
-				$sanitized['execution_time'] ?? '',
-				$sanitized['retry_count'] ?? '0',
-				$sanitized['error_message'] ?? '',
-				$sanitized['created_at'],
-			);
-			\fputcsv( $output, $row, ',', '"', '\\' );
+			$this->write_log( $output, $format, $log, $first );
+			$first = false;
 		}
 
-		// Get CSV content.
+		$this->write_end( $output, $format, \count( $logs ) );
+
 		\rewind( $output );
-		$csv = \stream_get_contents( $output );
+		$content = \stream_get_contents( $output );
 		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose -- Closing memory stream, not filesystem.
 		\fclose( $output );
 
-		return $csv !== false ? $csv : '';
+		return false !== $content ? $content : '';
 	}
 
 	/**
-	 * Export logs as JSON
-	 *
-	 * Generates JSON content with pretty printing and sanitized data.
+	 * Write the beginning of an export
 	 *
-	 * @param array<int, array<string, mixed>> $logs Array of log entries.
-	 * @return string JSON content.
+	 * @since 2.5.0
+	 * @param resource $handle Writable stream.
+	 * @param string   $format One of FORMATS.
+	 * @return void
 	 */
-	public function export_json( array $logs ): string {
-		$sanitized_logs = array();
+	private function write_start( $handle, string $format ): void {
+		// phpcs:disable WordPress.WP.AlternativeFunctions.file_system_operations_fwrite -- Writing to an export stream.
+		if ( 'csv' === $format ) {
+			// Add UTF-8 BOM for Excel compatibility.
+			\fwrite( $handle, "\xEF\xBB\xBF" );
+			\fputcsv( $handle, $this->get_csv_headers(), ',', '"', '\\' );
+		} elseif ( 'json' === $format ) {
+			\fwrite( $handle, '[' );
+		}
+		// phpcs:enable WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
+	}
 
-		foreach ( $logs as $log ) {
-			$sanitized_logs[] = $this->sanitize_for_export( $log );
+	/**
+	 * Write one sanitized log entry
+	 *
+	 * JSON entries are indented as with JSON_PRETTY_PRINT on the whole list.
+	 *
+	 * @since 2.5.0
+	 * @param resource             $handle Writable stream.
+	 * @param string               $format One of FORMATS.
+	 * @param array<string, mixed> $log    Log entry.
+	 * @param bool                 $first  Whether this is the first exported entry.
+	 * @return void
+	 */
+	private function write_log( $handle, string $format, array $log, bool $first ): void {
+		$sanitized = $this->sanitize_for_export( $log );
+
+		// phpcs:disable WordPress.WP.AlternativeFunctions.file_system_operations_fwrite -- Writing to an export stream.
+		switch ( $format ) {
+			case 'csv':
+				\fputcsv( $handle, $this->get_csv_row( $sanitized ), ',', '"', '\\' );
+				break;
+
+			case 'json':
+				$json = \wp_json_encode( $sanitized, JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE );
+				if ( false !== $json ) {
+					\fwrite( $handle, ( $first ? "\n" : ",\n" ) . '    ' . \str_replace( "\n", "\n    ", $json ) );
+				}
+				break;
+
+			case 'ndjson':
+				$json = \wp_json_encode( $sanitized, JSON_UNESCAPED_UNICODE );
+				if ( false !== $json ) {
+					\fwrite( $handle, $json . "\n" );
+				}
+				break;
 		}
+		// phpcs:enable WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
+	}
 
-		$json = \wp_json_encode( $sanitized_logs, JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE );
+	/**
+	 * Write the end of an export
+	 *
+	 * @since 2.5.0
+	 * @param resource $handle Writable stream.
+	 * @param string   $format One of FORMATS.
+	 * @param int      $count  Number of written log entries.
+	 * @return void
+	 */
+	private function write_end( $handle, string $format, int $count ): void {
+		if ( 'json' === $format ) {
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite -- Writing to an export stream.
+			\fwrite( $handle, $count > 0 ? "\n]" : ']' );
+		}
+	}
 
-		return $json !== false ? $json : '[]';
+	/**
+	 * Get the CSV row of a sanitized log entry
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $sanitized Sanitized log entry.
+	 * @return array<int, mixed> Row matching get_csv_headers().
+	 */
+	private function get_csv_row( array $sanitized ): array {
+		return array(
+			$sanitized['id'],
+			$sanitized['form_id'],
+			$sanitized['endpoint'],
+			$sanitized['method'],
+			$sanitized['status'],
+			$sanitized['response_code'] ?? '',
+			$sanitized['execution_time'] ?? '',
+			$sanitized['retry_count'] ?? '0',
+			$sanitized['error_message'] ?? '',
+			$sanitized['created_at'],
+		);
 	}
 
 	/**
@@ -171,6 +444,9 @@ class ExportService implements LoadableInterface {
 
 		$sanitized = $log;
 
+		// Queued deliveries keep their unredacted request until sent; never export it.
+		unset( $sanitized['queue_payload'] );
+
 		// Sanitize request headers.
 		if ( isset( $sanitized['request_headers'] ) ) {
 			$sanitized['request_headers'] = $this->sanitize_headers_field( $sanitized['request_headers'] );
@@ -210,10 +486,11 @@ class ExportService implements LoadableInterface {
 		}
 
 		// Use LogReader to decrypt fields.
-		$reader = new LogReader();
-		$log    = $reader->decrypt_log_fields( $log );
+		if ( null === $this->log_reader ) {
+			$this->log_reader = new LogReader();
+		}
 
-		return $log;
+		return $this->log_reader->decrypt_log_fields( $log );
 	}
 
 	/**
@@ -301,11 +578,26 @@ class ExportService implements LoadableInterface {
 	 *
 	 * Generates filename with timestamp.
 	 *
-	 * @param string $format Export format (csv or json).
+	 * @param string $format Export format (csv, json or ndjson).
 	 * @return string Filename.
 	 */
 	public function get_export_filename( string $format ): string {
 		$timestamp = \gmdate( 'Y-m-d_H-i-s' );
 		return "cf7-api-logs_{$timestamp}.{$format}";
 	}
+
+	/**
+	 * Get the MIME type of an export format
+	 *
+	 * @since 2.5.0
+	 * @param string $format Export format.
+	 * @return string
+	 */
+	public function get_content_type( string $format ): string {
+		return match ( $format ) {
+			'json'   => 'application/json',
+			'ndjson' => 'application/x-ndjson',
+			default  => 'text/csv',
+		};
+	}
 }
@@ -0,0 +1,365 @@
+<?php
+/**
+ * Scheduled Export Service
+ *
+ * Writes daily or weekly log exports to a protected uploads directory and
+ * emails a download link to the alert recipients.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Service\Export
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Service\Export;
+
+use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Core\Interfaces\LoadableInterface;
+use SilverAssist\ContactFormToAPI\Service\Notification\EmailAlertService;
+use SilverAssist\ContactFormToAPI\Utils\DebugLogger;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class ScheduledExportService
+ *
+ * The schedule is saved from the logs screen and keeps its filters, so a
+ * scheduled export contains the same logs as a download with those filters.
+ * Export files get an unguessable name and the directory denies direct
+ * access; downloads go through LogsController::handle_download_export(),
+ * which requires the `manage_options` capability. Files are deleted after
+ * RETENTION_DAYS.
+ *
+ * @since 2.5.0
+ */
+class ScheduledExportService implements LoadableInterface {
+
+	/**
+	 * Export cron hook name
+	 *
+	 * @var string
+	 */
+	public const HOOK = 'cf7_api_scheduled_export';
+
+	/**
+	 * Supported frequencies (WP-Cron recurrences)
+	 *
+	 * @var array<string>
+	 */
+	public const FREQUENCIES = array( 'daily', 'weekly' );
+
+	/**
+	 * Days an export file is kept
+	 *
+	 * @var int
+	 */
+	public const RETENTION_DAYS = 14;
+
+	/**
+	 * Export directory name inside the uploads directory
+	 *
+	 * @var string
+	 */
+	private const DIRECTORY = 'cf7-api-exports';
+
+	/**
+	 * Export file name pattern
+	 *
+	 * @var string
+	 */
+	private const FILE_PATTERN = '/^cf7-api-logs_[\w-]+\.(csv|json|ndjson)$/';
+
+	/**
+	 * Singleton instance
+	 *
+	 * @var ScheduledExportService|null
+	 */
+	private static ?ScheduledExportService $instance = null;
+
+	/**
+	 * Whether the component has been initialized
+	 *
+	 * @var bool
+	 */
+	private bool $initialized = false;
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return ScheduledExportService
+	 */
+	public static function instance(): ScheduledExportService {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor
+	 */
+	private function __construct() {
+		// Empty - initialization happens in init().
+	}
+
+	/**
+	 * Initialize the service
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		if ( $this->initialized ) {
+			return;
+		}
+
+		\add_action( self::HOOK, array( $this, 'run' ) );
+
+		$this->initialized = true;
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 20; // Services priority.
+	}
+
+	/**
+	 * Determine if service should load
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return true; // Always load for cron jobs.
+	}
+
+	/**
+	 * Save the export schedule and (re)schedule the cron event
+	 *
+	 * An unknown frequency turns scheduled exports off.
+	 *
+	 * @param string               $frequency One of FREQUENCIES, or empty to stop.
+	 * @param string               $format    One of ExportService::FORMATS.
+	 * @param array<string, mixed> $filters   Filters from ExportService::sanitize_filters().
+	 * @return void
+	 */
+	public function update_schedule( string $frequency, string $format, array $filters ): void {
+		$frequency = \in_array( $frequency, self::FREQUENCIES, true ) ? $frequency : '';
+
+		Settings::instance()->update(
+			array(
+				'export_schedule' => array(
+					'frequency' => $frequency,
+					'format'    => \in_array( $format, ExportService::FORMATS, true ) ? $format : 'csv',
+					'filters'   => $filters,
+				),
+			)
+		);
+
+		\wp_clear_scheduled_hook( self::HOOK );
+
+		if ( '' !== $frequency ) {
+			\wp_schedule_event( \time(), $frequency, self::HOOK );
+		}
+	}
+
+	/**
+	 * Get the time of the next scheduled export
+	 *
+	 * @return int|null Unix timestamp, or null when nothing is scheduled.
+	 */
+	public function get_next_run(): ?int {
+		$timestamp = \wp_next_scheduled( self::HOOK );
+
+		return false !== $timestamp ? (int) $timestamp : null;
+	}
+
+	/**
+	 * Worker: write the scheduled export and email its download link
+	 *
+	 * @return string|null Export file name, or null when nothing was exported.
+	 */
+	public function run(): ?string {
+		$schedule = Settings::instance()->get_export_schedule();
+		if ( '' === $schedule['frequency'] || ! \in_array( $schedule['format'], ExportService::FORMATS, true ) ) {
+			return null;
+		}
+
+		$this->delete_expired_files();
+
+		$directory = $this->get_directory();
+		if ( null === $directory ) {
+			$this->log_error( 'Scheduled export failed: export directory is not writable' );
+			return null;
+		}
+
+		$filename = \sprintf( 'cf7-api-logs_%s_%s.%s', \gmdate( 'Y-m-d_H-i-s' ), \wp_generate_password( 20, false ), $schedule['format'] );
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen -- Streaming the export to a file.
+		$handle = \fopen( $directory . '/' . $filename, 'w' );
+		if ( false === $handle ) {
+			$this->log_error( 'Scheduled export failed: could not create the export file' );
+			return null;
+		}
+
+		$count = ExportService::instance()->stream( $handle, $schedule['format'], $schedule['filters'] );
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose -- Closing the export file.
+		\fclose( $handle );
+
+		EmailAlertService::instance()->send_export_ready( $this->get_download_url( $filename ), $filename, $count, self::RETENTION_DAYS );
+
+		try {
+			DebugLogger::instance()->info(
+				'Scheduled log export written',
+				array(
+					'file'  => $filename,
+					'count' => $count,
+				)
+			);
+		} catch ( \Exception $e ) {
+			// Silently fail if logger not available.
+			unset( $e );
+		}
+
+		return $filename;
+	}
+
+	/**
+	 * Get the path of an export file
+	 *
+	 * @param string $filename Export file name.
+	 * @return string|null Path, or null when the name is invalid or the file does not exist.
+	 */
+	public function get_file_path( string $filename ): ?string {
+		if ( ! \preg_match( self::FILE_PATTERN, $filename ) ) {
+			return null;
+		}
+
+		$path = $this->get_base_directory() . '/' . $filename;
+
+		return \is_file( $path ) ? $path : null;
+	}
+
+	/**
+	 * Get the download URL of an export file
+	 *
+	 * @param string $filename Export file name.
+	 * @return string
+	 */
+	public function get_download_url( string $filename ): string {
+		return \add_query_arg(
+			array(
+				'action' => 'cf7_api_download_export',
+				'file'   => $filename,
+			),
+			\admin_url( 'admin-post.php' )
+		);
+	}
+
+	/**
+	 * Delete export files older than RETENTION_DAYS
+	 *
+	 * @return int Number of deleted files.
+	 */
+	public function delete_expired_files(): int {
+		$deleted = 0;
+		$cutoff  = \time() - self::RETENTION_DAYS * DAY_IN_SECONDS;
+
+		foreach ( $this->get_files() as $path ) {
+			if ( \filemtime( $path ) < $cutoff ) {
+				\wp_delete_file( $path );
+				++$deleted;
+			}
+		}
+
+		return $deleted;
+	}
+
+	/**
+	 * Delete all export files and the export directory
+	 *
+	 * @return void
+	 */
+	public function delete_all_files(): void {
+		$directory = $this->get_base_directory();
+		if ( ! \is_dir( $directory ) ) {
+			return;
+		}
+
+		foreach ( \array_diff( (array) \scandir( $directory ), array( '.', '..' ) ) as $name ) {
+			if ( \is_file( $directory . '/' . $name ) ) {
+				\wp_delete_file( $directory . '/' . $name );
+			}
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_rmdir -- Removing the now empty export directory.
+		\rmdir( $directory );
+	}
+
+	/**
+	 * Get the existing export files
+	 *
+	 * @return array<string> Paths.
+	 */
+	private function get_files(): array {
+		$paths = \glob( $this->get_base_directory() . '/cf7-api-logs_*' );
+
+		return \array_values( \array_filter( $paths ?: array(), fn( $path ) => (bool) \preg_match( self::FILE_PATTERN, \basename( $path ) ) ) );
+	}
+
+	/**
+	 * Get the export directory path
+	 *
+	 * @return string
+	 */
+	private function get_base_directory(): string {
+		$upload_dir = \wp_upload_dir();
+
+		return $upload_dir['basedir'] . '/' . self::DIRECTORY;
+	}
+
+	/**
+	 * Get the export directory, creating it with its access protection
+	 *
+	 * @return string|null Path, or null when the directory cannot be written.
+	 */
+	private function get_directory(): ?string {
+		$directory = $this->get_base_directory();
+
+		if ( ! \wp_mkdir_p( $directory ) || ! \wp_is_writable( $directory ) ) {
+			return null;
+		}
+
+		$protection = array(
+			'.htaccess' => "<IfModule mod_authz_core.c>\n\tRequire all denied\n</IfModule>\n<IfModule !mod_authz_core.c>\n\tDeny from all\n</IfModule>\n",
+			'index.php' => "<?php\n// Silence is golden.\n",
+		);
+
+		foreach ( $protection as $name => $contents ) {
+			if ( ! \file_exists( $directory . '/' . $name ) ) {
+				// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents -- Protecting the export directory.
+				\file_put_contents( $directory . '/' . $name, $contents );
+			}
+		}
+
+		return $directory;
+	}
+
+	/**
+	 * Log an export error
+	 *
+	 * @param string $message Error message.
+	 * @return void
+	 */
+	private function log_error( string $message ): void {
+		try {
+			DebugLogger::instance()->error( $message, array( 'directory' => $this->get_base_directory() ) );
+		} catch ( \Exception $e ) {
+			// Silently fail if logger not available.
+			unset( $e );
+		}
+	}
+}
@@ -0,0 +1,168 @@
+<?php
+/**
+ * Endpoint Health
+ *
+ * Summarizes the recent deliveries to an endpoint as a health status.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Service\Logging
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Service\Logging;
+
+use SilverAssist\ContactFormToAPI\Service\ContactForm\FormConfigManager;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class EndpointHealth
+ *
+ * Health is computed from the deliveries of the last 24 hours, across all
+ * forms sending to the endpoint:
+ *
+ * - down: the last three deliveries failed
+ * - degraded: the last delivery failed, or at least 10% of deliveries failed
+ * - healthy: otherwise
+ * - unknown: no deliveries in the last 24 hours
+ *
+ * @since 2.5.0
+ */
+class EndpointHealth {
+
+	/**
+	 * Health statuses
+	 */
+	public const HEALTHY  = 'healthy';
+	public const DEGRADED = 'degraded';
+	public const DOWN     = 'down';
+	public const UNKNOWN  = 'unknown';
+
+	/**
+	 * Window the health is computed over, in minutes
+	 *
+	 * @var int
+	 */
+	private const WINDOW_MINUTES = 1440;
+
+	/**
+	 * Consecutive failed deliveries after which an endpoint is down
+	 *
+	 * @var int
+	 */
+	private const DOWN_AFTER_FAILURES = 3;
+
+	/**
+	 * Error rate (percentage) from which an endpoint is degraded
+	 *
+	 * @var float
+	 */
+	private const DEGRADED_ERROR_RATE = 10.0;
+
+	/**
+	 * Log statistics
+	 *
+	 * @var LogStatistics
+	 */
+	private LogStatistics $stats;
+
+	/**
+	 * Constructor
+	 */
+	public function __construct() {
+		$this->stats = new LogStatistics();
+	}
+
+	/**
+	 * Get the labels of the health statuses
+	 *
+	 * @return array<string, string> Labels keyed by status.
+	 */
+	public static function get_status_labels(): array {
+		return array(
+			self::HEALTHY  => \__( 'Healthy', 'contact-form-to-api' ),
+			self::DEGRADED => \__( 'Degraded', 'contact-form-to-api' ),
+			self::DOWN     => \__( 'Down', 'contact-form-to-api' ),
+			self::UNKNOWN  => \__( 'No recent deliveries', 'contact-form-to-api' ),
+		);
+	}
+
+	/**
+	 * Get the health of an endpoint
+	 *
+	 * @param string $endpoint Endpoint URL.
+	 * @return array{status: string, total: int, error_rate: float, p95_latency: float|null, last_success: string|null}
+	 */
+	public function get_health( string $endpoint ): array {
+		$window = $this->stats->get_window_stats( self::WINDOW_MINUTES, 0, $endpoint );
+
+		return array(
+			'status'       => $this->get_status( $endpoint, $window ),
+			'total'        => $window['total'],
+			'error_rate'   => $window['error_rate'],
+			'p95_latency'  => $this->stats->get_response_time_percentile( 95, self::WINDOW_MINUTES, 0, $endpoint ),
+			'last_success' => $this->stats->get_last_success( 0, $endpoint ),
+		);
+	}
+
+	/**
+	 * Get the health of the endpoints of all forms
+	 *
+	 * Each URL is listed once, with the forms sending to it.
+	 *
+	 * @return array<string, array<string, mixed>> Health (see get_health()) plus `forms` (titles), keyed by URL.
+	 */
+	public function get_all(): array {
+		$manager   = new FormConfigManager();
+		$endpoints = array();
+
+		foreach ( $manager->get_forms() as $form_id => $title ) {
+			$settings = $manager->get_settings( $form_id );
+			if ( null === $settings || ! $settings->is_enabled() ) {
+				continue;
+			}
+
+			foreach ( $settings->get_endpoints() as $url ) {
+				$endpoints[ $url ][] = $title;
+			}
+		}
+
+		$health = array();
+		foreach ( $endpoints as $url => $forms ) {
+			$health[ $url ] = $this->get_health( $url ) + array( 'forms' => \array_values( \array_unique( $forms ) ) );
+		}
+
+		return $health;
+	}
+
+	/**
+	 * Determine the health status of an endpoint
+	 *
+	 * @param string                                                            $endpoint Endpoint URL.
+	 * @param array{total: int, successes: int, errors: int, error_rate: float} $window   Statistics of the health window.
+	 * @return string Health status.
+	 */
+	private function get_status( string $endpoint, array $window ): string {
+		if ( 0 === $window['total'] ) {
+			return self::UNKNOWN;
+		}
+
+		$recent   = $this->stats->get_recent_statuses( self::DOWN_AFTER_FAILURES, 0, $endpoint );
+		$failures = \array_filter(
+			$recent,
+			fn( $status ) => \in_array( $status, array( 'error', 'client_error', 'server_error', 'dead_letter' ), true )
+		);
+
+		if ( \count( $recent ) === self::DOWN_AFTER_FAILURES && \count( $failures ) === self::DOWN_AFTER_FAILURES ) {
+			return self::DOWN;
+		}
+
+		if ( isset( $failures[0] ) || $window['error_rate'] >= self::DEGRADED_ERROR_RATE ) {
+			return self::DEGRADED;
+		}
+
+		return self::HEALTHY;
+	}
+}
@@ -113,6 +113,35 @@ class LogReader {
 		return $results ?: array();
 	}
 
+	/**
+	 * Get all deliveries of a submission
+	 *
+	 * Returns every log entry (including retries) recorded for the same form
+	 * submission, across all of the form's destinations.
+	 *
+	 * @since 2.5.0
+	 * @param string $submission_id Submission UUID.
+	 * @return array<int, array<string, mixed>> Array of log entries, oldest first.
+	 */
+	public function get_logs_by_submission( string $submission_id ): array {
+		if ( '' === $submission_id ) {
+			return array();
+		}
+
+		global $wpdb;
+
+		$results = $wpdb->get_results(
+			$wpdb->prepare(
+				'SELECT id, form_id, endpoint, method, status, response_code, execution_time, retry_of, destination, created_at FROM %i WHERE submission_id = %s ORDER BY id ASC',
+				$this->table_name,
+				$submission_id
+			),
+			ARRAY_A
+		);
+
+		return $results ?: array();
+	}
+
 	/**
 	 * Get request data for retry
 	 *
@@ -131,7 +160,7 @@ class LogReader {
 		}
 
 		// Only retry failed requests (pending excluded as they haven't completed yet).
-		$retryable_statuses = array( 'error', 'client_error', 'server_error' );
+		$retryable_statuses = array( 'error', 'client_error', 'server_error', 'dead_letter' );
 		if ( ! \in_array( $log['status'], $retryable_statuses, true ) ) {
 			return null;
 		}
@@ -169,6 +198,9 @@ class LogReader {
 			'body'            => $request_data,
 			'form_id'         => (int) $log['form_id'],
 			'original_log_id' => $log_id,
+			'submission_id'   => $log['submission_id'] ?? null,
+			'destination'     => $log['destination'] ?? null,
+			'files'           => ! empty( $log['file_metadata'] ) ? (array) \json_decode( (string) $log['file_metadata'], true ) : array(),
 		);
 	}
 
@@ -63,7 +63,7 @@ class LogStatistics {
 				COUNT(*) as total_requests,
 				SUM(CASE WHEN status = %s THEN 1 ELSE 0 END) as successful_requests,
 				SUM(CASE 
-					WHEN status IN (%s, %s, %s) 
+					WHEN status IN (%s, %s, %s, %s) 
 					AND id NOT IN (
 						SELECT DISTINCT retry_of FROM %i 
 						WHERE retry_of IS NOT NULL 
@@ -75,7 +75,7 @@ class LogStatistics {
 				AVG(execution_time) as avg_execution_time,
 				MAX(retry_count) as max_retries
 			FROM %i
-			WHERE 1=1';
+			WHERE status != %s';
 
 		// Base prepare values (always needed).
 		$prepare_values = array(
@@ -83,9 +83,11 @@ class LogStatistics {
 			'error',           // For failed_requests IN clause.
 			'client_error',    // For failed_requests IN clause.
 			'server_error',    // For failed_requests IN clause.
+			'dead_letter',     // For failed_requests IN clause.
 			$this->table_name, // For subquery FROM.
 			'success',         // For subquery status check.
 			$this->table_name, // For main FROM.
+			'skipped',         // Skipped deliveries were never sent.
 		);
 
 		// Add form filter if specified.
@@ -148,6 +150,9 @@ class LogStatistics {
 			} else {
 				$status_condition = $wpdb->prepare( ' AND status = %s', $status );
 			}
+		} else {
+			// Skipped deliveries were never sent.
+			$status_condition = $wpdb->prepare( ' AND status != %s', 'skipped' );
 		}
 
 		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared -- Variables are safely prepared above.
@@ -182,21 +187,23 @@ class LogStatistics {
 					COUNT(*) as total,
 					SUM(CASE WHEN status = %s THEN 1 ELSE 0 END) as successful,
 					SUM(CASE 
-						WHEN status IN (%s, %s, %s) 
+						WHEN status IN (%s, %s, %s, %s) 
 						AND id IN (SELECT DISTINCT retry_of FROM %i WHERE retry_of IS NOT NULL AND status = %s)
 						THEN 1 
 						ELSE 0 
 					END) as retried_successfully
 				FROM %i
-				WHERE created_at >= DATE_SUB(NOW(), INTERVAL %d HOUR)',
+				WHERE created_at >= DATE_SUB(NOW(), INTERVAL %d HOUR) AND status != %s',
 				'success',
 				'error',
 				'client_error',
 				'server_error',
+				'dead_letter',
 				$this->table_name,
 				'success',
 				$this->table_name,
-				$hours
+				$hours,
+				'skipped'
 			),
 			ARRAY_A
 		);
@@ -263,7 +270,7 @@ class LogStatistics {
 		$results = $wpdb->get_results(
 			$wpdb->prepare(
 				'SELECT * FROM %i 
-				WHERE status IN (%s, %s, %s)
+				WHERE status IN (%s, %s, %s, %s)
 				AND id NOT IN (
 					SELECT DISTINCT retry_of FROM %i 
 					WHERE retry_of IS NOT NULL 
@@ -275,6 +282,7 @@ class LogStatistics {
 				'error',
 				'client_error',
 				'server_error',
+				'dead_letter',
 				$this->table_name,
 				'success',
 				$limit
@@ -285,4 +293,174 @@ class LogStatistics {
 
 		return $results ?: array();
 	}
+
+	/**
+	 * Get delivery statistics for a time window
+	 *
+	 * Used by alert rules and endpoint health. Test requests, skipped and
+	 * pending deliveries are not counted; errors that were successfully
+	 * retried are not counted as errors.
+	 *
+	 * @since 2.5.0
+	 * @param int    $minutes  Window length in minutes.
+	 * @param int    $form_id  Form ID (0 for all forms).
+	 * @param string $endpoint Endpoint URL (empty for all endpoints).
+	 * @return array{total: int, successes: int, errors: int, error_rate: float} Error rate as a percentage.
+	 */
+	public function get_window_stats( int $minutes, int $form_id = 0, string $endpoint = '' ): array {
+		global $wpdb;
+
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared -- Scope clause is safely prepared in get_scope_clause().
+		$stats = $wpdb->get_row(
+			$wpdb->prepare(
+				'SELECT
+					COUNT(*) as total,
+					SUM(CASE WHEN status = %s THEN 1 ELSE 0 END) as successes,
+					SUM(CASE
+						WHEN status IN (%s, %s, %s, %s)
+						AND id NOT IN (SELECT DISTINCT retry_of FROM %i WHERE retry_of IS NOT NULL AND status = %s)
+						THEN 1
+						ELSE 0
+					END) as errors
+				FROM %i
+				WHERE created_at >= DATE_SUB(NOW(), INTERVAL %d MINUTE) AND status NOT IN (%s, %s) AND is_test = 0' . $this->get_scope_clause( $form_id, $endpoint ),
+				'success',
+				'error',
+				'client_error',
+				'server_error',
+				'dead_letter',
+				$this->table_name,
+				'success',
+				$this->table_name,
+				$minutes,
+				'skipped',
+				'pending'
+			),
+			ARRAY_A
+		);
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		$total  = (int) ( $stats['total'] ?? 0 );
+		$errors = (int) ( $stats['errors'] ?? 0 );
+
+		return array(
+			'total'      => $total,
+			'successes'  => (int) ( $stats['successes'] ?? 0 ),
+			'errors'     => $errors,
+			'error_rate' => $total > 0 ? \round( ( $errors / $total ) * 100, 2 ) : 0.0,
+		);
+	}
+
+	/**
+	 * Get a response time percentile for a time window
+	 *
+	 * @since 2.5.0
+	 * @param int    $percentile Percentile (1-100), e.g. 95.
+	 * @param int    $minutes    Window length in minutes.
+	 * @param int    $form_id    Form ID (0 for all forms).
+	 * @param string $endpoint   Endpoint URL (empty for all endpoints).
+	 * @return float|null Response time in milliseconds, or null without timed requests.
+	 */
+	public function get_response_time_percentile( int $percentile, int $minutes, int $form_id = 0, string $endpoint = '' ): ?float {
+		global $wpdb;
+
+		$where = $wpdb->prepare( 'created_at >= DATE_SUB(NOW(), INTERVAL %d MINUTE) AND execution_time IS NOT NULL AND is_test = 0', $minutes )
+			. $this->get_scope_clause( $form_id, $endpoint );
+
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared -- Where clause is safely prepared above.
+		$count = (int) $wpdb->get_var( $wpdb->prepare( 'SELECT COUNT(*) FROM %i WHERE ' . $where, $this->table_name ) );
+
+		if ( 0 === $count ) {
+			return null;
+		}
+
+		// Nearest-rank method: the smallest value at or above the percentile.
+		$offset = \max( 0, (int) \ceil( $count * $percentile / 100 ) - 1 );
+		$value  = $wpdb->get_var(
+			$wpdb->prepare( 'SELECT execution_time FROM %i WHERE ' . $where . ' ORDER BY execution_time ASC LIMIT 1 OFFSET %d', $this->table_name, $offset )
+		);
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		// Convert seconds to milliseconds.
+		return \round( (float) $value * 1000, 0 );
+	}
+
+	/**
+	 * Get the time of the last successful delivery
+	 *
+	 * @since 2.5.0
+	 * @param int    $form_id  Form ID (0 for all forms).
+	 * @param string $endpoint Endpoint URL (empty for all endpoints).
+	 * @return string|null Date in MySQL format, or null if nothing was delivered successfully.
+	 */
+	public function get_last_success( int $form_id = 0, string $endpoint = '' ): ?string {
+		global $wpdb;
+
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared -- Scope clause is safely prepared in get_scope_clause().
+		$created_at = $wpdb->get_var(
+			$wpdb->prepare(
+				'SELECT MAX(created_at) FROM %i WHERE status = %s AND is_test = 0' . $this->get_scope_clause( $form_id, $endpoint ),
+				$this->table_name,
+				'success'
+			)
+		);
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		return $created_at ? (string) $created_at : null;
+	}
+
+	/**
+	 * Get the statuses of the most recent deliveries, newest first
+	 *
+	 * @since 2.5.0
+	 * @param int    $limit    Maximum number of deliveries.
+	 * @param int    $form_id  Form ID (0 for all forms).
+	 * @param string $endpoint Endpoint URL (empty for all endpoints).
+	 * @return array<int, string> Statuses.
+	 */
+	public function get_recent_statuses( int $limit, int $form_id = 0, string $endpoint = '' ): array {
+		global $wpdb;
+
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared -- Scope clause is safely prepared in get_scope_clause().
+		$statuses = $wpdb->get_col(
+			$wpdb->prepare(
+				'SELECT status FROM %i WHERE status NOT IN (%s, %s) AND is_test = 0' . $this->get_scope_clause( $form_id, $endpoint ) . ' ORDER BY id DESC LIMIT %d',
+				$this->table_name,
+				'skipped',
+				'pending',
+				$limit
+			)
+		);
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		return \array_map( 'strval', $statuses ?: array() );
+	}
+
+	/**
+	 * Build the SQL conditions limiting statistics to a form and an endpoint
+	 *
+	 * Logged URLs of GET requests (and of API keys sent in the query string)
+	 * extend the endpoint URL with a query string, so those match too.
+	 *
+	 * @since 2.5.0
+	 * @param int    $form_id  Form ID (0 for all forms).
+	 * @param string $endpoint Endpoint URL (empty for all endpoints).
+	 * @return string Prepared SQL starting with " AND", or an empty string.
+	 */
+	private function get_scope_clause( int $form_id, string $endpoint ): string {
+		global $wpdb;
+
+		$clause = '';
+
+		if ( $form_id > 0 ) {
+			$clause .= $wpdb->prepare( ' AND form_id = %d', $form_id );
+		}
+
+		if ( '' !== $endpoint ) {
+			$like    = $wpdb->esc_like( $endpoint );
+			$clause .= $wpdb->prepare( ' AND (endpoint = %s OR endpoint LIKE %s OR endpoint LIKE %s)', $endpoint, $like . '?%', $like . '&%' );
+		}
+
+		return $clause;
+	}
 }
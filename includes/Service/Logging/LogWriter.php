@@ -76,9 +76,10 @@ class LogWriter {
 	 * @param array<string, string>  $request_headers Request headers.
 	 * @param int|null               $retry_of        Original log ID if this is a retry.
 	 * @param float|null             $start_time      Request start time (microtime). If not provided, current time is used.
+	 * @param array<string, mixed>   $attributes      Optional flags: `is_test` (bool), `is_auto_retry` (bool), `submission_id` (string), `destination` (string), `signature_algorithm` (string) and `files` (uploaded file descriptors).
 	 * @return int|false Log entry ID or false on failure.
 	 */
-	public function start_request( int $form_id, string $endpoint, string $method, $request_data, array $request_headers = array(), ?int $retry_of = null, ?float $start_time = null ) {
+	public function start_request( int $form_id, string $endpoint, string $method, $request_data, array $request_headers = array(), ?int $retry_of = null, ?float $start_time = null, array $attributes = array() ) {
 		// Check if logging is enabled via settings.
 		if ( ! $this->is_logging_enabled() ) {
 			return false;
@@ -121,10 +122,11 @@ class LogWriter {
 			'request_headers'    => $prepared_headers,
 			'retry_count'        => 0,
 			'encryption_version' => $encryption_version,
+			'is_test'            => ! empty( $attributes['is_test'] ) ? 1 : 0,
 			'created_at'         => \current_time( 'mysql' ),
 		);
 
-		$format = array( '%d', '%s', '%s', '%s', '%s', '%s', '%d', '%d', '%s' );
+		$format = array( '%d', '%s', '%s', '%s', '%s', '%s', '%d', '%d', '%d', '%s' );
 
 		// Add retry_of if this is a retry attempt.
 		if ( null !== $retry_of ) {
@@ -132,17 +134,55 @@ class LogWriter {
 			$format[]                = '%d';
 		}
 
+		// Scheduled retries do not count against the manual retry limits.
+		if ( ! empty( $attributes['is_auto_retry'] ) ) {
+			$insert_data['is_auto_retry'] = 1;
+			$format[]                     = '%d';
+		}
+
+		// Link deliveries of the same submission to each other.
+		if ( ! empty( $attributes['submission_id'] ) ) {
+			$insert_data['submission_id'] = \substr( (string) $attributes['submission_id'], 0, 36 );
+			$format[]                     = '%s';
+		}
+
+		if ( ! empty( $attributes['destination'] ) ) {
+			$insert_data['destination'] = \substr( (string) $attributes['destination'], 0, 100 );
+			$format[]                   = '%s';
+		}
+
+		// Records that the request carried an HMAC signature (never the secret).
+		if ( ! empty( $attributes['signature_algorithm'] ) ) {
+			$insert_data['signature_algorithm'] = \substr( (string) $attributes['signature_algorithm'], 0, 10 );
+			$format[]                           = '%s';
+		}
+
+		// Uploaded files are logged by name, type and size; their contents and paths are not.
+		if ( ! empty( $attributes['files'] ) && \is_array( $attributes['files'] ) ) {
+			$insert_data['file_metadata'] = \wp_json_encode(
+				\array_map(
+					fn( $file ) => \array_intersect_key( (array) $file, \array_flip( array( 'name', 'field', 'filename', 'mimetype', 'size', 'error' ) ) ),
+					\array_values( $attributes['files'] )
+				)
+			);
+			$format[]                     = '%s';
+		}
+
 		$result = $wpdb->insert(
 			$this->table_name,
 			$insert_data,
 			$format
 		);
 
-		if ( $result ) {
-			return $wpdb->insert_id ?: false;
+		if ( ! $result || ! $wpdb->insert_id ) {
+			return false;
 		}
 
-		return false;
+		// Index searchable fields while the data is still unencrypted.
+		$log_id = (int) $wpdb->insert_id;
+		SearchIndex::instance()->index_log( $log_id, $request_data );
+
+		return $log_id;
 	}
 
 	/**
@@ -151,13 +191,16 @@ class LogWriter {
 	 * Updates log entry with response information and execution time.
 	 *
 	 * @since 2.0.0
-	 * @param int                               $log_id      Log entry ID.
-	 * @param array<string, mixed>|\WP_Error $response    API response or error.
-	 * @param int|null                          $retry_count Number of retry attempts.
-	 * @param float|null                        $start_time  Request start time for calculating execution time. If not provided, execution time will be 0.
+	 * @since 2.5.0 Added `$response_fields` and `$rule_failure` for the form's response rules.
+	 * @param int                            $log_id          Log entry ID.
+	 * @param array<string, mixed>|\WP_Error $response        API response or error.
+	 * @param int|null                       $retry_count     Number of retry attempts.
+	 * @param float|null                     $start_time      Request start time for calculating execution time. If not provided, execution time will be 0.
+	 * @param array<string, string>          $response_fields Values extracted from the response body.
+	 * @param string|null                    $rule_failure    Why a 2xx response failed the success rule; logs the entry as an error.
 	 * @return bool True on success, false on failure.
 	 */
-	public function complete_request( int $log_id, $response, ?int $retry_count = 0, ?float $start_time = null ): bool {
+	public function complete_request( int $log_id, $response, ?int $retry_count = 0, ?float $start_time = null, array $response_fields = array(), ?string $rule_failure = null ): bool {
 		global $wpdb;
 
 		$execution_time = $start_time ? \microtime( true ) - $start_time : 0;
@@ -210,6 +253,17 @@ class LogWriter {
 				'retry_count'      => $retry_count,
 			);
 			$format      = array( '%s', '%d', '%s', '%s', '%f', '%d' );
+
+			if ( null !== $rule_failure ) {
+				$update_data['status']        = 'error';
+				$update_data['error_message'] = $rule_failure;
+				$format[]                     = '%s';
+			}
+
+			if ( ! empty( $response_fields ) ) {
+				$update_data['response_fields'] = \wp_json_encode( $response_fields );
+				$format[]                       = '%s';
+			}
 		}
 
 		$result = $wpdb->update(
@@ -223,6 +277,50 @@ class LogWriter {
 		return $result !== false;
 	}
 
+	/**
+	 * Log a delivery skipped by the form's sending conditions
+	 *
+	 * No request is sent, so only the destination and the blocking rule are
+	 * stored (in error_message); the submitted data is not logged.
+	 *
+	 * @since 2.5.0
+	 * @param int                  $form_id    Contact Form 7 form ID.
+	 * @param string               $endpoint   API endpoint URL that would have been called.
+	 * @param string               $method     HTTP method.
+	 * @param string               $reason     Rule that caused the skip.
+	 * @param array<string, mixed> $attributes Optional `submission_id` and `destination`, see start_request().
+	 * @return int|false Log entry ID or false on failure.
+	 */
+	public function log_skipped( int $form_id, string $endpoint, string $method, string $reason, array $attributes = array() ) {
+		if ( ! $this->is_logging_enabled() ) {
+			return false;
+		}
+
+		global $wpdb;
+
+		$insert_data = array(
+			'form_id'       => $form_id,
+			'endpoint'      => $endpoint,
+			'method'        => $method,
+			'status'        => 'skipped',
+			'request_data'  => '',
+			'error_message' => $reason,
+			'created_at'    => \current_time( 'mysql' ),
+		);
+		$format      = array( '%d', '%s', '%s', '%s', '%s', '%s', '%s' );
+
+		foreach ( array( 'submission_id' => 36, 'destination' => 100 ) as $column => $length ) {
+			if ( ! empty( $attributes[ $column ] ) ) {
+				$insert_data[ $column ] = \substr( (string) $attributes[ $column ], 0, $length );
+				$format[]               = '%s';
+			}
+		}
+
+		$result = $wpdb->insert( $this->table_name, $insert_data, $format );
+
+		return $result ? ( $wpdb->insert_id ?: false ) : false;
+	}
+
 	/**
 	 * Update retry count for a log entry
 	 *
@@ -265,6 +363,10 @@ class LogWriter {
 			)
 		);
 
+		if ( $result ) {
+			SearchIndex::instance()->delete_orphans();
+		}
+
 		return $result ?: 0;
 	}
 
@@ -67,19 +67,32 @@ class RetryManager {
 	 * Counts how many times a specific log entry has been retried.
 	 *
 	 * @since 2.0.0
-	 * @param int $log_id Original log entry ID.
+	 * @since 2.5.0 Added the `$automatic` parameter.
+	 * @param int       $log_id    Original log entry ID.
+	 * @param bool|null $automatic True for scheduled retries only, false for manual retries only, null for both.
 	 * @return int Number of retry attempts.
 	 */
-	public function count_retries( int $log_id ): int {
+	public function count_retries( int $log_id, ?bool $automatic = null ): int {
 		global $wpdb;
 
-		$count = $wpdb->get_var(
-			$wpdb->prepare(
-				'SELECT COUNT(*) FROM %i WHERE retry_of = %d',
-				$this->table_name,
-				$log_id
-			)
-		);
+		if ( null === $automatic ) {
+			$count = $wpdb->get_var(
+				$wpdb->prepare(
+					'SELECT COUNT(*) FROM %i WHERE retry_of = %d',
+					$this->table_name,
+					$log_id
+				)
+			);
+		} else {
+			$count = $wpdb->get_var(
+				$wpdb->prepare(
+					'SELECT COUNT(*) FROM %i WHERE retry_of = %d AND is_auto_retry = %d',
+					$this->table_name,
+					$log_id,
+					$automatic ? 1 : 0
+				)
+			);
+		}
 
 		return (int) ( $count ?: 0 );
 	}
@@ -109,6 +122,26 @@ class RetryManager {
 		return $results ?: array();
 	}
 
+	/**
+	 * Check if a log entry can still be retried manually
+	 *
+	 * Failed entries can be retried until one retry succeeds or the manual
+	 * retry limit is reached. Entries that forwarded files cannot be retried
+	 * because the files are no longer stored.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $log Log entry data.
+	 * @return bool
+	 */
+	public function can_retry( array $log ): bool {
+		$retryable_statuses = array( 'error', 'client_error', 'server_error', 'dead_letter' );
+
+		return \in_array( $log['status'] ?? '', $retryable_statuses, true )
+			&& empty( $log['file_metadata'] )
+			&& ! $this->has_successful_retry( (int) $log['id'] )
+			&& $this->count_retries( (int) $log['id'], false ) < self::get_max_manual_retries();
+	}
+
 	/**
 	 * Check if log entry has a successful manual retry
 	 *
@@ -174,7 +207,7 @@ class RetryManager {
 		// Count total errors (not including retry entries themselves).
 		$total_errors = (int) $wpdb->get_var(
 			$wpdb->prepare(
-				'SELECT COUNT(*) FROM %i WHERE status IN (\'error\', \'client_error\', \'server_error\') AND retry_of IS NULL',
+				'SELECT COUNT(*) FROM %i WHERE status IN (\'error\', \'client_error\', \'server_error\', \'dead_letter\') AND retry_of IS NULL',
 				$this->table_name
 			)
 		);
@@ -184,7 +217,7 @@ class RetryManager {
 			$wpdb->prepare(
 				'SELECT COUNT(DISTINCT e.id) FROM %i e
 				INNER JOIN %i r ON r.retry_of = e.id AND r.status = \'success\'
-				WHERE e.status IN (\'error\', \'client_error\', \'server_error\') AND e.retry_of IS NULL',
+				WHERE e.status IN (\'error\', \'client_error\', \'server_error\', \'dead_letter\') AND e.retry_of IS NULL',
 				$this->table_name,
 				$this->table_name
 			)
@@ -213,7 +246,7 @@ class RetryManager {
 			$wpdb->prepare(
 				'SELECT DISTINCT e.id FROM %i e
 				INNER JOIN %i r ON r.retry_of = e.id AND r.status = \'success\'
-				WHERE e.status IN (\'error\', \'client_error\', \'server_error\') AND e.retry_of IS NULL',
+				WHERE e.status IN (\'error\', \'client_error\', \'server_error\', \'dead_letter\') AND e.retry_of IS NULL',
 				$this->table_name,
 				$this->table_name
 			)
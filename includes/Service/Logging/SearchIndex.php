@@ -0,0 +1,451 @@
+<?php
+/**
+ * Search Index Service
+ *
+ * Makes chosen request fields of the encrypted logs searchable through
+ * blind hashes.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Service\Logging
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Service\Logging;
+
+use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Core\Interfaces\LoadableInterface;
+use SilverAssist\ContactFormToAPI\Service\Security\EncryptionService;
+use SilverAssist\ContactFormToAPI\Service\Security\SensitiveDataPatterns;
+use SilverAssist\ContactFormToAPI\Utils\SearchQuery;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class SearchIndex
+ *
+ * For every searchable field configured in the settings, the index stores
+ * `(log_id, field, hash)` rows where `hash` is the blind index of the
+ * normalized request value. Request keys match a field when their last
+ * segment contains its name, so `email` covers `your-email` and
+ * `contact.email`. Sensitive fields are never indexed.
+ *
+ * Only exact values can be found: `email:jane@example.com` matches, a part
+ * of the address does not. When the searchable fields change, existing logs
+ * are re-indexed in the background.
+ *
+ * @since 2.5.0
+ */
+class SearchIndex implements LoadableInterface {
+
+	/**
+	 * Background rebuild hook name
+	 *
+	 * @var string
+	 */
+	public const HOOK = 'cf7_api_rebuild_search_index';
+
+	/**
+	 * Option holding the indexed fields and the rebuild position
+	 *
+	 * @var string
+	 */
+	public const STATE_OPTION = 'cf7_api_search_index';
+
+	/**
+	 * Log entries indexed per rebuild run
+	 *
+	 * @var int
+	 */
+	private const BATCH_SIZE = 200;
+
+	/**
+	 * Singleton instance
+	 *
+	 * @var SearchIndex|null
+	 */
+	private static ?SearchIndex $instance = null;
+
+	/**
+	 * Whether the component has been initialized
+	 *
+	 * @var bool
+	 */
+	private bool $initialized = false;
+
+	/**
+	 * Index table name
+	 *
+	 * @var string
+	 */
+	private string $table_name;
+
+	/**
+	 * Logs table name
+	 *
+	 * @var string
+	 */
+	private string $logs_table;
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return SearchIndex
+	 */
+	public static function instance(): SearchIndex {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor
+	 */
+	private function __construct() {
+		global $wpdb;
+		$this->table_name = $wpdb->prefix . 'cf7_api_log_index';
+		$this->logs_table = $wpdb->prefix . 'cf7_api_logs';
+	}
+
+	/**
+	 * Initialize the service
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		if ( $this->initialized ) {
+			return;
+		}
+
+		\add_action( self::HOOK, array( $this, 'process_rebuild' ) );
+		\add_action( 'admin_init', array( $this, 'maybe_schedule_rebuild' ) );
+
+		$this->initialized = true;
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 20; // Services priority.
+	}
+
+	/**
+	 * Determine if service should load
+	 *
+	 * Blind hashes are keyed with the encryption key, which needs sodium.
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return EncryptionService::is_sodium_available();
+	}
+
+	/**
+	 * Get the index table name
+	 *
+	 * @return string
+	 */
+	public function get_table_name(): string {
+		return $this->table_name;
+	}
+
+	/**
+	 * Get the searchable fields
+	 *
+	 * @return array<string> Lowercase field names, without sensitive fields.
+	 */
+	public function get_fields(): array {
+		if ( ! $this->should_load() ) {
+			return array();
+		}
+
+		$fields = \array_map( 'strtolower', Settings::instance()->get_search_index_fields() );
+
+		return \array_values( \array_unique( \array_filter( $fields, fn( $field ) => '' !== $field && ! SensitiveDataPatterns::is_sensitive( $field ) ) ) );
+	}
+
+	/**
+	 * Normalize a value before hashing
+	 *
+	 * Values are trimmed and lowercased; phone numbers keep only their digits,
+	 * so `+1 (555) 010-9999` and `15550109999` match.
+	 *
+	 * @param string $value Submitted or searched value.
+	 * @return string
+	 */
+	public static function normalize( string $value ): string {
+		$value = \mb_strtolower( \trim( $value ) );
+
+		if ( \preg_match( '/^\+?[\d\s().-]+$/', $value ) && \preg_match_all( '/\d/', $value ) >= 5 ) {
+			return (string) \preg_replace( '/\D+/', '', $value );
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Get the blind hash of a field value
+	 *
+	 * The field name is part of the hashed input, so equal values of
+	 * different fields do not share a hash.
+	 *
+	 * @param string $field Searchable field name.
+	 * @param string $value Raw value.
+	 * @return string
+	 */
+	public function hash( string $field, string $value ): string {
+		return EncryptionService::instance()->blind_index( \strtolower( $field ) . "\0" . self::normalize( $value ) );
+	}
+
+	/**
+	 * Index the request data of a log entry
+	 *
+	 * Replaces the entry's existing index rows.
+	 *
+	 * @param int   $log_id       Log entry ID.
+	 * @param mixed $request_data Request body as logged (array or JSON string).
+	 * @return int Number of index rows written.
+	 */
+	public function index_log( int $log_id, $request_data ): int {
+		$fields = $this->get_fields();
+		if ( empty( $fields ) ) {
+			return 0;
+		}
+
+		global $wpdb;
+
+		$wpdb->delete( $this->table_name, array( 'log_id' => $log_id ), array( '%d' ) );
+
+		$data = \is_string( $request_data ) ? \json_decode( $request_data, true ) : $request_data;
+		if ( ! \is_array( $data ) ) {
+			return 0;
+		}
+
+		$rows = array();
+		foreach ( $this->flatten( $data ) as $key => $value ) {
+			if ( '' === \trim( $value ) ) {
+				continue;
+			}
+
+			// List items are named after their list, e.g. `emails.0`.
+			$segments = \array_filter( \explode( '.', \strtolower( (string) $key ) ), fn( $segment ) => ! \ctype_digit( $segment ) );
+			$name     = (string) \end( $segments );
+
+			foreach ( $fields as $field ) {
+				if ( \str_contains( $name, $field ) ) {
+					$hash                         = $this->hash( $field, $value );
+					$rows[ $field . ':' . $hash ] = array( $field, $hash );
+				}
+			}
+		}
+
+		foreach ( $rows as $row ) {
+			$wpdb->insert(
+				$this->table_name,
+				array(
+					'log_id' => $log_id,
+					'field'  => $row[0],
+					'hash'   => $row[1],
+				),
+				array( '%d', '%s', '%s' )
+			);
+		}
+
+		return \count( $rows );
+	}
+
+	/**
+	 * Build SQL conditions for a search box query
+	 *
+	 * Conditions refer to the logs table columns and use placeholders only.
+	 * Filters on searchable fields look up the blind hash in the index.
+	 *
+	 * @param string $query Search box value.
+	 * @return array{conditions: array<int, string>, values: array<int, mixed>, text: string} Conditions joined with AND, their values and the remaining free text.
+	 */
+	public function get_query_conditions( string $query ): array {
+		global $wpdb;
+
+		$fields     = $this->get_fields();
+		$parsed     = SearchQuery::parse( $query, $fields );
+		$conditions = array();
+		$values     = array();
+
+		foreach ( $parsed['filters'] as $filter ) {
+			switch ( $filter['key'] ) {
+				case 'code':
+				case 'time':
+					foreach ( (array) SearchQuery::parse_range( $filter['value'] ) as $comparison ) {
+						// Operators come from the whitelist in SearchQuery::parse_range().
+						if ( 'code' === $filter['key'] ) {
+							$conditions[] = "response_code {$comparison[0]} %d";
+							$values[]     = $comparison[1];
+						} else {
+							$conditions[] = "execution_time {$comparison[0]} %f";
+							$values[]     = $comparison[1] / 1000.0;
+						}
+					}
+					break;
+
+				case 'endpoint':
+					$conditions[] = 'endpoint LIKE %s';
+					$values[]     = '%' . $wpdb->esc_like( $filter['value'] ) . '%';
+					break;
+
+				case 'error':
+					$conditions[] = 'error_message LIKE %s';
+					$values[]     = '%' . $wpdb->esc_like( $filter['value'] ) . '%';
+					break;
+
+				case 'method':
+					$conditions[] = 'method = %s';
+					$values[]     = \strtoupper( $filter['value'] );
+					break;
+
+				default:
+					$conditions[] = 'id IN (SELECT log_id FROM %i WHERE field = %s AND hash = %s)';
+					\array_push( $values, $this->table_name, $filter['key'], $this->hash( $filter['key'], $filter['value'] ) );
+					break;
+			}
+		}
+
+		return array(
+			'conditions' => $conditions,
+			'values'     => $values,
+			'text'       => $parsed['text'],
+		);
+	}
+
+	/**
+	 * Delete index rows of deleted log entries
+	 *
+	 * @return int Number of deleted rows.
+	 */
+	public function delete_orphans(): int {
+		global $wpdb;
+
+		$result = $wpdb->query(
+			$wpdb->prepare(
+				'DELETE i FROM %i i LEFT JOIN %i l ON l.id = i.log_id WHERE l.id IS NULL',
+				$this->table_name,
+				$this->logs_table
+			)
+		);
+
+		return $result ?: 0;
+	}
+
+	/**
+	 * Schedule a rebuild when the searchable fields changed
+	 *
+	 * Also indexes the logs written before the index existed.
+	 *
+	 * @return void
+	 */
+	public function maybe_schedule_rebuild(): void {
+		$state  = \get_option( self::STATE_OPTION, array() );
+		$fields = $this->get_fields();
+
+		if ( \is_array( $state ) && ( $state['fields'] ?? null ) === $fields ) {
+			return;
+		}
+
+		\update_option(
+			self::STATE_OPTION,
+			array(
+				'fields'        => $fields,
+				'rebuild_after' => empty( $fields ) ? null : 0,
+			)
+		);
+
+		if ( empty( $fields ) ) {
+			global $wpdb;
+			$wpdb->query( $wpdb->prepare( 'TRUNCATE TABLE %i', $this->table_name ) );
+			return;
+		}
+
+		if ( ! \wp_next_scheduled( self::HOOK ) ) {
+			\wp_schedule_single_event( \time(), self::HOOK );
+		}
+	}
+
+	/**
+	 * Worker: index the next batch of log entries
+	 *
+	 * @return int Number of log entries indexed.
+	 */
+	public function process_rebuild(): int {
+		$state = \get_option( self::STATE_OPTION, array() );
+		if ( ! \is_array( $state ) || ! isset( $state['rebuild_after'] ) ) {
+			return 0;
+		}
+
+		global $wpdb;
+
+		$logs = $wpdb->get_results(
+			$wpdb->prepare(
+				'SELECT id, request_data, encryption_version FROM %i WHERE id > %d ORDER BY id ASC LIMIT %d',
+				$this->logs_table,
+				(int) $state['rebuild_after'],
+				self::BATCH_SIZE
+			),
+			ARRAY_A
+		);
+
+		$log_reader = new LogReader();
+		foreach ( $logs ?: array() as $log ) {
+			$log = $log_reader->decrypt_log_fields( $log );
+			$this->index_log( (int) $log['id'], (string) $log['request_data'] );
+			$state['rebuild_after'] = (int) $log['id'];
+		}
+
+		if ( \count( $logs ?: array() ) < self::BATCH_SIZE ) {
+			$state['rebuild_after'] = null;
+		} else {
+			\wp_schedule_single_event( \time(), self::HOOK );
+		}
+
+		\update_option( self::STATE_OPTION, $state );
+
+		return \count( $logs ?: array() );
+	}
+
+	/**
+	 * Check whether existing logs are still being indexed
+	 *
+	 * @return bool
+	 */
+	public function is_rebuilding(): bool {
+		$state = \get_option( self::STATE_OPTION, array() );
+
+		return \is_array( $state ) && isset( $state['rebuild_after'] );
+	}
+
+	/**
+	 * Flatten request data to dotted keys and scalar values
+	 *
+	 * @param array<mixed> $data   Request data.
+	 * @param string       $prefix Key prefix.
+	 * @return array<string, string>
+	 */
+	private function flatten( array $data, string $prefix = '' ): array {
+		$flat = array();
+
+		foreach ( $data as $key => $value ) {
+			$path = '' === $prefix ? (string) $key : $prefix . '.' . $key;
+
+			if ( \is_array( $value ) ) {
+				$flat = \array_merge( $flat, $this->flatten( $value, $path ) );
+			} elseif ( \is_scalar( $value ) ) {
+				$flat[ $path ] = (string) $value;
+			}
+		}
+
+		return $flat;
+	}
+}
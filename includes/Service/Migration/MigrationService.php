@@ -4,6 +4,7 @@
  *
  * Handles batch migration of unencrypted legacy logs to encrypted format.
  * Provides safe, incremental migration with progress tracking and rollback capability.
+ * Also rotates the encryption key of encrypted logs.
  *
  * @package SilverAssist\ContactFormToAPI
  * @subpackage Service\Migration
@@ -17,7 +18,11 @@ namespace SilverAssist\ContactFormToAPI\Service\Migration;
 use SilverAssist\ContactFormToAPI\Service\Security\EncryptionService;
 use SilverAssist\ContactFormToAPI\Core\Interfaces\LoadableInterface;
 use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Exception\DecryptionException;
+use SilverAssist\ContactFormToAPI\Service\Api\AuthManager;
+use SilverAssist\ContactFormToAPI\Service\Logging\SearchIndex;
 use SilverAssist\ContactFormToAPI\Utils\DebugLogger;
+use WP_Error;
 
 \defined( 'ABSPATH' ) || exit;
 
@@ -26,10 +31,22 @@ use SilverAssist\ContactFormToAPI\Utils\DebugLogger;
  *
  * Service for migrating legacy unencrypted logs to encrypted format.
  *
+ * A started migration runs in the background on WP-Cron and keeps its
+ * state on the server; the settings page drives batches while it is open
+ * and reattaches to the migration when reopened.
+ *
  * @since 1.3.4
  */
 class MigrationService implements LoadableInterface {
 
+	/**
+	 * Background worker hook name
+	 *
+	 * @since 2.5.0
+	 * @var string
+	 */
+	public const HOOK = 'cf7_api_migration_run';
+
 	/**
 	 * Singleton instance
 	 *
@@ -44,6 +61,47 @@ class MigrationService implements LoadableInterface {
 	 */
 	private const MAX_BATCH_SIZE = 500;
 
+	/**
+	 * Minimum number of logs the adaptive batch size goes down to.
+	 *
+	 * @since 2.5.0
+	 */
+	private const MIN_BATCH_SIZE = 10;
+
+	/**
+	 * Initial number of logs per batch of a started migration.
+	 *
+	 * @since 2.5.0
+	 */
+	private const DEFAULT_BATCH_SIZE = 100;
+
+	/**
+	 * Target duration of a batch in seconds
+	 *
+	 * The batch size adapts to it, so each request stays well within the
+	 * PHP and proxy time limits.
+	 *
+	 * @since 2.5.0
+	 * @var float
+	 */
+	private const BATCH_TIME_BUDGET = 2.0;
+
+	/**
+	 * Maximum duration of a background worker run in seconds
+	 *
+	 * @since 2.5.0
+	 * @var int
+	 */
+	private const WORKER_TIME_LIMIT = 20;
+
+	/**
+	 * Number of failed logs per page
+	 *
+	 * @since 2.5.0
+	 * @var int
+	 */
+	private const FAILURES_PER_PAGE = 20;
+
 	/**
 	 * Whether the component has been initialized
 	 *
@@ -58,6 +116,13 @@ class MigrationService implements LoadableInterface {
 	 */
 	private string $table_name;
 
+	/**
+	 * Failed logs table name
+	 *
+	 * @var string
+	 */
+	private string $failures_table;
+
 	/**
 	 * Encryption service instance
 	 *
@@ -66,18 +131,55 @@ class MigrationService implements LoadableInterface {
 	private ?EncryptionService $encryption = null;
 
 	/**
-	 * Transient key for migration progress
+	 * Option storing the state of the migration
+	 *
+	 * @since 2.5.0
+	 * @var string
+	 */
+	private const STATE_OPTION = 'cf7_api_migration_state';
+
+	/**
+	 * Option held while a batch runs, storing when the lock expires
+	 *
+	 * @since 2.5.0
+	 * @var string
+	 */
+	private const LOCK_OPTION = 'cf7_api_migration_lock';
+
+	/**
+	 * Lock expiration time, in case a batch dies without releasing it
 	 *
+	 * @since 2.5.0
+	 * @var int
+	 */
+	private const LOCK_TIMEOUT = 60;
+
+	/**
+	 * Option storing the state of the key rotation
+	 *
+	 * An option rather than a transient, so a paused rotation survives until
+	 * it is resumed.
+	 *
+	 * @since 2.5.0
 	 * @var string
 	 */
-	private const PROGRESS_TRANSIENT = 'cf7_api_migration_progress';
+	private const ROTATION_OPTION = 'cf7_api_key_rotation';
 
 	/**
-	 * Transient expiration time (24 hours)
+	 * Maximum number of failed logs listed in the rotation report
 	 *
+	 * @since 2.5.0
 	 * @var int
 	 */
-	private const PROGRESS_EXPIRATION = 86400;
+	private const MAX_REPORTED_FAILURES = 500;
+
+	/**
+	 * Log columns re-encrypted by the key rotation
+	 *
+	 * @since 2.5.0
+	 * @var array<int, string>
+	 */
+	private const ROTATED_FIELDS = array( 'request_data', 'request_headers', 'response_data', 'response_headers', 'queue_payload' );
 
 	/**
 	 * Get singleton instance
@@ -96,7 +198,8 @@ class MigrationService implements LoadableInterface {
 	 */
 	private function __construct() {
 		global $wpdb;
-		$this->table_name = $wpdb->prefix . 'cf7_api_logs';
+		$this->table_name     = $wpdb->prefix . 'cf7_api_logs';
+		$this->failures_table = $wpdb->prefix . 'cf7_api_migration_failures';
 	}
 
 	/**
@@ -115,6 +218,8 @@ class MigrationService implements LoadableInterface {
 			$this->encryption->init();
 		}
 
+		\add_action( self::HOOK, array( $this, 'process_background' ) );
+
 		$this->initialized = true;
 	}
 
@@ -158,13 +263,16 @@ class MigrationService implements LoadableInterface {
 	 * Migrate a batch of logs
 	 *
 	 * Encrypts a batch of unencrypted logs and updates encryption_version.
+	 * Logs that fail are recorded, see get_failures().
 	 *
 	 * @since 1.3.4
+	 * @since 2.5.0 Added $after_id and the last_id result.
 	 * @param int  $batch_size Number of logs to process (default: 100).
 	 * @param bool $dry_run    Preview only, no changes (default: false).
-	 * @return array{processed: int, success: int, failed: int, remaining: int, errors: array<string>} Migration results.
+	 * @param int  $after_id   Only process logs with a higher ID (default: 0).
+	 * @return array{processed: int, success: int, failed: int, remaining: int, last_id: int, errors: array<string>} Migration results.
 	 */
-	public function migrate_batch( int $batch_size = 100, bool $dry_run = false ): array {
+	public function migrate_batch( int $batch_size = 100, bool $dry_run = false, int $after_id = 0 ): array {
 		global $wpdb;
 
 		// Validate batch size.
@@ -177,6 +285,7 @@ class MigrationService implements LoadableInterface {
 				'success'   => 0,
 				'failed'    => 0,
 				'remaining' => $this->get_unencrypted_count(),
+				'last_id'   => $after_id,
 				'errors'    => array( \__( 'Encryption service not available', 'contact-form-to-api' ) ),
 			);
 		}
@@ -189,6 +298,7 @@ class MigrationService implements LoadableInterface {
 				'success'   => 0,
 				'failed'    => 0,
 				'remaining' => $this->get_unencrypted_count(),
+				'last_id'   => $after_id,
 				'errors'    => array( \__( 'Encryption is disabled in settings', 'contact-form-to-api' ) ),
 			);
 		}
@@ -198,10 +308,11 @@ class MigrationService implements LoadableInterface {
 			$wpdb->prepare(
 				'SELECT id, request_data, request_headers, response_data, response_headers 
 				FROM %i 
-				WHERE encryption_version = 0 
+				WHERE encryption_version = 0 AND id > %d 
 				ORDER BY id ASC 
 				LIMIT %d',
 				$this->table_name,
+				$after_id,
 				$batch_size
 			),
 			ARRAY_A
@@ -213,6 +324,7 @@ class MigrationService implements LoadableInterface {
 				'success'   => 0,
 				'failed'    => 0,
 				'remaining' => 0,
+				'last_id'   => $after_id,
 				'errors'    => array(),
 			);
 		}
@@ -224,6 +336,7 @@ class MigrationService implements LoadableInterface {
 
 		foreach ( $logs as $log ) {
 			++$processed;
+			$after_id = (int) $log['id'];
 
 			try {
 				// Encrypt fields (handle NULL values).
@@ -259,11 +372,13 @@ class MigrationService implements LoadableInterface {
 					++$success;
 				} else {
 					++$failed;
-					$errors[] = \sprintf(
+					$error_message = \sprintf(
 						/* translators: %d: log ID */
 						\__( 'Failed to update log ID %d', 'contact-form-to-api' ),
 						$log['id']
 					);
+					$errors[] = $error_message;
+					$this->record_failure( (int) $log['id'], $error_message );
 				}
 			} catch ( \Exception $e ) {
 				++$failed;
@@ -274,6 +389,7 @@ class MigrationService implements LoadableInterface {
 					$e->getMessage()
 				);
 				$errors[] = $error_message;
+				$this->record_failure( (int) $log['id'], $error_message );
 
 				// Log to debug logger.
 				DebugLogger::instance()->error( $error_message );
@@ -288,6 +404,7 @@ class MigrationService implements LoadableInterface {
 			'success'   => $success,
 			'failed'    => $failed,
 			'remaining' => $remaining,
+			'last_id'   => $after_id,
 			'errors'    => $errors,
 		);
 	}
@@ -325,55 +442,769 @@ class MigrationService implements LoadableInterface {
 	/**
 	 * Check if migration is in progress
 	 *
-	 * Checks transient to determine if migration is currently running.
-	 *
 	 * @since 1.3.4
+	 * @since 2.5.0 Reads the stored migration state.
 	 * @return bool True if migration is running.
 	 */
 	public function is_migration_running(): bool {
-		$progress = \get_transient( self::PROGRESS_TRANSIENT );
-		return false !== $progress;
+		$state = $this->get_migration_state();
+		return null !== $state && 'running' === $state['status'];
 	}
 
 	/**
 	 * Start migration
 	 *
-	 * Initializes migration by setting transient.
+	 * Stores the migration state and schedules the background worker, so the
+	 * migration continues after the settings page is closed.
 	 *
 	 * @since 1.3.4
+	 * @since 2.5.0 Added $dry_run; runs in the background.
+	 * @param bool $dry_run Preview only, no changes (default: false).
 	 * @return bool True on success.
 	 */
-	public function start_migration(): bool {
-		$progress = array(
-			'started_at' => \current_time( 'mysql' ),
-			'status'     => 'running',
+	public function start_migration( bool $dry_run = false ): bool {
+		global $wpdb;
+
+		// Failures of the previous run are replaced by the new run's.
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->query( $wpdb->prepare( 'DELETE FROM %i', $this->failures_table ) );
+
+		\update_option(
+			self::STATE_OPTION,
+			array(
+				'status'     => 'running',
+				'dry_run'    => $dry_run,
+				'started_at' => \current_time( 'mysql' ),
+				'updated_at' => null,
+				'last_id'    => 0,
+				'processed'  => 0,
+				'success'    => 0,
+				'failed'     => 0,
+				'batch_size' => self::DEFAULT_BATCH_SIZE,
+				'error'      => '',
+			),
+			false
 		);
 
-		return \set_transient( self::PROGRESS_TRANSIENT, $progress, self::PROGRESS_EXPIRATION );
+		$this->schedule_worker();
+
+		return true;
 	}
 
 	/**
 	 * Cancel migration
 	 *
-	 * Cancels ongoing migration by deleting transient.
+	 * Cancels ongoing migration by deleting its state.
 	 *
 	 * @since 1.3.4
 	 * @return bool True on success.
 	 */
 	public function cancel_migration(): bool {
-		return \delete_transient( self::PROGRESS_TRANSIENT );
+		\wp_clear_scheduled_hook( self::HOOK );
+
+		return \delete_option( self::STATE_OPTION );
 	}
 
 	/**
 	 * Complete migration
 	 *
-	 * Marks migration as complete and cleans up transient.
+	 * Marks migration as complete. The state is kept for the summary.
 	 *
 	 * @since 1.3.4
 	 * @return bool True on success.
 	 */
 	public function complete_migration(): bool {
-		return \delete_transient( self::PROGRESS_TRANSIENT );
+		$state = $this->get_migration_state();
+		if ( null === $state ) {
+			return false;
+		}
+
+		\wp_clear_scheduled_hook( self::HOOK );
+		$state['status'] = 'completed';
+
+		return \update_option( self::STATE_OPTION, $state, false );
+	}
+
+	/**
+	 * Run the next batch of a started migration
+	 *
+	 * Does nothing while another request (the page or the background
+	 * worker) runs a batch.
+	 *
+	 * @since 2.5.0
+	 * @return array<string, mixed>|null Migration status, see get_migration_status().
+	 */
+	public function run_batch(): ?array {
+		$this->process_next_batch();
+
+		return $this->get_migration_status();
+	}
+
+	/**
+	 * Worker: run batches of a started migration
+	 *
+	 * Runs batches for up to WORKER_TIME_LIMIT seconds, then reschedules
+	 * itself while the migration is running.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function process_background(): void {
+		$started = \microtime( true );
+
+		// Stops at the time limit, on completion or while another request holds the lock.
+		do {
+			$continues = $this->process_next_batch();
+		} while ( $continues && \microtime( true ) - $started < self::WORKER_TIME_LIMIT );
+
+		if ( $this->is_migration_running() ) {
+			$this->schedule_worker();
+		}
+	}
+
+	/**
+	 * Get the migration status
+	 *
+	 * Status is `running`, `completed` or `error` (encryption unavailable).
+	 *
+	 * @since 2.5.0
+	 * @return array{status: string, dry_run: bool, started_at: string, updated_at: string|null, last_id: int, processed: int, success: int, failed: int, batch_size: int, error: string, remaining: int, percentage: float}|null Null when no migration was started.
+	 */
+	public function get_migration_status(): ?array {
+		global $wpdb;
+
+		$state = $this->get_migration_state();
+		if ( null === $state ) {
+			return null;
+		}
+
+		$remaining = 0;
+		if ( 'completed' !== $state['status'] ) {
+			$remaining = (int) $wpdb->get_var(
+				$wpdb->prepare(
+					'SELECT COUNT(*) FROM %i WHERE encryption_version = 0 AND id > %d',
+					$this->table_name,
+					$state['last_id']
+				)
+			);
+		}
+
+		$total = $state['processed'] + $remaining;
+
+		$state['remaining']  = $remaining;
+		$state['percentage'] = \round( $total > 0 ? ( $state['processed'] / $total ) * 100 : 100, 2 );
+
+		return $state;
+	}
+
+	/**
+	 * Get a page of the logs the last migration failed to encrypt
+	 *
+	 * @since 2.5.0
+	 * @param int $page Page number, starting at 1.
+	 * @return array{items: array<int, array{log_id: int, error: string, created_at: string}>, total: int, page: int, pages: int}
+	 */
+	public function get_failures( int $page = 1 ): array {
+		global $wpdb;
+
+		$total = (int) $wpdb->get_var( $wpdb->prepare( 'SELECT COUNT(*) FROM %i', $this->failures_table ) );
+		$pages = \max( 1, (int) \ceil( $total / self::FAILURES_PER_PAGE ) );
+		$page  = \max( 1, \min( $page, $pages ) );
+
+		$items = $wpdb->get_results(
+			$wpdb->prepare(
+				'SELECT log_id, error, created_at FROM %i ORDER BY id ASC LIMIT %d OFFSET %d',
+				$this->failures_table,
+				self::FAILURES_PER_PAGE,
+				( $page - 1 ) * self::FAILURES_PER_PAGE
+			),
+			ARRAY_A
+		);
+
+		return array(
+			'items' => \array_map(
+				fn( $item ) => array(
+					'log_id'     => (int) $item['log_id'],
+					'error'      => (string) $item['error'],
+					'created_at' => (string) $item['created_at'],
+				),
+				$items ?: array()
+			),
+			'total' => $total,
+			'page'  => $page,
+			'pages' => $pages,
+		);
+	}
+
+	/**
+	 * Run the next batch and update the migration state
+	 *
+	 * The batch size adapts so each batch takes about BATCH_TIME_BUDGET.
+	 *
+	 * @since 2.5.0
+	 * @return bool True if a batch ran and the migration continues.
+	 */
+	private function process_next_batch(): bool {
+		if ( ! $this->is_migration_running() || ! $this->acquire_lock() ) {
+			return false;
+		}
+
+		$state   = $this->get_migration_state();
+		$started = \microtime( true );
+		$result  = $this->migrate_batch( $state['batch_size'], $state['dry_run'], $state['last_id'] );
+		$elapsed = \microtime( true ) - $started;
+
+		// The migration may have been cancelled by another request meanwhile.
+		\wp_cache_delete( self::STATE_OPTION, 'options' );
+		if ( ! $this->is_migration_running() ) {
+			$this->release_lock();
+			return false;
+		}
+
+		if ( 0 === $result['processed'] && ! empty( $result['errors'] ) && $result['remaining'] > 0 ) {
+			// Encryption is unavailable or disabled: nothing can be migrated.
+			$state['status'] = 'error';
+			$state['error']  = $result['errors'][0];
+		} elseif ( $result['processed'] < $state['batch_size'] ) {
+			$state['status'] = 'completed';
+		}
+
+		$state['last_id']    = $result['last_id'];
+		$state['processed'] += $result['processed'];
+		$state['success']   += $result['success'];
+		$state['failed']    += $result['failed'];
+		$state['updated_at'] = \current_time( 'mysql' );
+		$state['batch_size'] = $this->adapt_batch_size( $state['batch_size'], $result['processed'], $elapsed );
+
+		if ( 'running' !== $state['status'] ) {
+			\wp_clear_scheduled_hook( self::HOOK );
+		}
+
+		\update_option( self::STATE_OPTION, $state, false );
+		$this->release_lock();
+
+		return 'running' === $state['status'];
+	}
+
+	/**
+	 * Adapt the batch size to the time budget
+	 *
+	 * Grows at most twofold per batch; shrinks as far as needed.
+	 *
+	 * @since 2.5.0
+	 * @param int   $batch_size Batch size of the last batch.
+	 * @param int   $processed  Number of logs it processed.
+	 * @param float $elapsed    Its duration in seconds.
+	 * @return int Next batch size.
+	 */
+	private function adapt_batch_size( int $batch_size, int $processed, float $elapsed ): int {
+		// A partial batch does not tell how long a full one takes.
+		if ( $processed < $batch_size || $elapsed <= 0 ) {
+			return $batch_size;
+		}
+
+		$target = (int) \round( $batch_size * self::BATCH_TIME_BUDGET / $elapsed );
+
+		return \max( self::MIN_BATCH_SIZE, \min( $target, $batch_size * 2, self::MAX_BATCH_SIZE ) );
+	}
+
+	/**
+	 * Get the stored migration state
+	 *
+	 * @since 2.5.0
+	 * @return array<string, mixed>|null
+	 */
+	private function get_migration_state(): ?array {
+		$state = \get_option( self::STATE_OPTION, null );
+
+		return \is_array( $state ) ? $state : null;
+	}
+
+	/**
+	 * Schedule the background worker
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	private function schedule_worker(): void {
+		if ( ! \wp_next_scheduled( self::HOOK ) ) {
+			\wp_schedule_single_event( \time(), self::HOOK );
+		}
+	}
+
+	/**
+	 * Take the batch lock
+	 *
+	 * The lock row is inserted with INSERT IGNORE, so only one of two
+	 * concurrent requests gets it. An expired lock is taken over with a
+	 * conditional update on its previous expiry, which again only one
+	 * request can win.
+	 *
+	 * @since 2.5.0
+	 * @return bool False if another request holds it.
+	 */
+	private function acquire_lock(): bool {
+		global $wpdb;
+
+		$expires = (string) ( \time() + self::LOCK_TIMEOUT );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$inserted = $wpdb->query(
+			$wpdb->prepare(
+				"INSERT IGNORE INTO %i (option_name, option_value, autoload) VALUES (%s, %s, 'no')",
+				$wpdb->options,
+				self::LOCK_OPTION,
+				$expires
+			)
+		);
+
+		if ( $inserted ) {
+			return true;
+		}
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$current = $wpdb->get_var(
+			$wpdb->prepare( 'SELECT option_value FROM %i WHERE option_name = %s', $wpdb->options, self::LOCK_OPTION )
+		);
+
+		if ( null === $current || (int) $current > \time() ) {
+			return false;
+		}
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$updated = $wpdb->query(
+			$wpdb->prepare(
+				'UPDATE %i SET option_value = %s WHERE option_name = %s AND option_value = %s',
+				$wpdb->options,
+				$expires,
+				self::LOCK_OPTION,
+				$current
+			)
+		);
+
+		return 1 === $updated;
+	}
+
+	/**
+	 * Release the batch lock
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	private function release_lock(): void {
+		\delete_option( self::LOCK_OPTION );
+	}
+
+	/**
+	 * Record a log the migration failed to encrypt
+	 *
+	 * @since 2.5.0
+	 * @param int    $log_id Log ID.
+	 * @param string $error  Error message.
+	 * @return void
+	 */
+	private function record_failure( int $log_id, string $error ): void {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->insert(
+			$this->failures_table,
+			array(
+				'log_id'     => $log_id,
+				'error'      => $error,
+				'created_at' => \current_time( 'mysql' ),
+			),
+			array( '%d', '%s', '%s' )
+		);
+	}
+
+	/**
+	 * Start a key rotation
+	 *
+	 * Keeps the active key (and the key of the previous AUTH_KEY, when given)
+	 * to decrypt existing logs, then switches to the next key version. Logs
+	 * of older versions are re-encrypted by rotate_batch(). A dry run keeps
+	 * the active key and only checks that every log can be decrypted.
+	 *
+	 * @since 2.5.0
+	 * @param bool   $dry_run         Preview only, no changes (default: false).
+	 * @param string $previous_secret Previous AUTH_KEY, when the WordPress salts already changed.
+	 * @return array<string, mixed>|WP_Error Rotation status, see get_rotation_status().
+	 */
+	public function start_key_rotation( bool $dry_run = false, string $previous_secret = '' ) {
+		if ( ! $this->encryption ) {
+			return new WP_Error( 'encryption_unavailable', \__( 'Encryption service not available', 'contact-form-to-api' ) );
+		}
+
+		if ( ! Settings::instance()->is_encryption_enabled() ) {
+			return new WP_Error( 'encryption_disabled', \__( 'Encryption is disabled in settings', 'contact-form-to-api' ) );
+		}
+
+		$state = $this->get_rotation_state();
+		if ( null !== $state && 'completed' !== $state['status'] ) {
+			return new WP_Error( 'rotation_in_progress', \__( 'A key rotation is already in progress.', 'contact-form-to-api' ) );
+		}
+
+		$this->encryption->remember_previous_keys( $previous_secret );
+
+		if ( $dry_run ) {
+			$target_version = $this->encryption->get_version() + 1;
+		} else {
+			$target_version = $this->encryption->activate_next_version();
+
+			// Search hashes are keyed with the encryption key: index the logs again.
+			\delete_option( SearchIndex::STATE_OPTION );
+			SearchIndex::instance()->maybe_schedule_rebuild();
+		}
+
+		\update_option(
+			self::ROTATION_OPTION,
+			array(
+				'status'         => 'running',
+				'dry_run'        => $dry_run,
+				'target_version' => $target_version,
+				'started_at'     => \current_time( 'mysql' ),
+				'last_id'        => 0,
+				'processed'      => 0,
+				'rotated'        => 0,
+				'failed'         => 0,
+				'failures'       => array(),
+			),
+			false
+		);
+
+		return $this->get_rotation_status();
+	}
+
+	/**
+	 * Rotate the key of a batch of logs
+	 *
+	 * Decrypts the logs of older key versions and encrypts them with the
+	 * active key. Logs that cannot be decrypted are skipped and reported.
+	 * Also resumes a paused rotation.
+	 *
+	 * @since 2.5.0
+	 * @param int $batch_size Number of logs to process (default: 100).
+	 * @return array<string, mixed>|WP_Error Rotation status, see get_rotation_status().
+	 */
+	public function rotate_batch( int $batch_size = 100 ) {
+		global $wpdb;
+
+		$state = $this->get_rotation_state();
+		if ( null === $state || 'completed' === $state['status'] ) {
+			return new WP_Error( 'no_rotation', \__( 'No key rotation in progress.', 'contact-form-to-api' ) );
+		}
+
+		if ( ! $this->encryption || ! Settings::instance()->is_encryption_enabled() ) {
+			return new WP_Error( 'encryption_disabled', \__( 'Encryption is disabled in settings', 'contact-form-to-api' ) );
+		}
+
+		$batch_size      = \max( 1, \min( $batch_size, self::MAX_BATCH_SIZE ) );
+		$state['status'] = 'running';
+
+		$logs = $wpdb->get_results(
+			$wpdb->prepare(
+				'SELECT id, encryption_version, request_data, request_headers, response_data, response_headers, queue_payload
+				FROM %i
+				WHERE id > %d AND encryption_version > 0 AND encryption_version < %d
+				ORDER BY id ASC
+				LIMIT %d',
+				$this->table_name,
+				$state['last_id'],
+				$state['target_version'],
+				$batch_size
+			),
+			ARRAY_A
+		);
+
+		foreach ( $logs ?: array() as $log ) {
+			$state['last_id'] = (int) $log['id'];
+			++$state['processed'];
+
+			try {
+				$fields = $this->reencrypt_log_fields( $log, $state['dry_run'] );
+			} catch ( DecryptionException $e ) {
+				$this->record_rotation_failure( $state, (int) $log['id'], $e->getMessage() );
+				continue;
+			}
+
+			if ( $state['dry_run'] ) {
+				++$state['rotated'];
+				continue;
+			}
+
+			$fields['encryption_version'] = $state['target_version'];
+
+			// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$updated = $wpdb->update(
+				$this->table_name,
+				$fields,
+				array(
+					'id'                 => $log['id'],
+					'encryption_version' => $log['encryption_version'], // Only update if not rotated meanwhile.
+				),
+				array( '%s', '%s', '%s', '%s', '%s', '%d' ),
+				array( '%d', '%d' )
+			);
+			// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+
+			if ( false === $updated ) {
+				$this->record_rotation_failure(
+					$state,
+					(int) $log['id'],
+					/* translators: %d: log ID */
+					\sprintf( \__( 'Failed to update log ID %d', 'contact-form-to-api' ), $log['id'] )
+				);
+				continue;
+			}
+
+			++$state['rotated'];
+		}
+
+		if ( \count( $logs ?: array() ) < $batch_size ) {
+			$this->complete_key_rotation( $state );
+		}
+
+		\update_option( self::ROTATION_OPTION, $state, false );
+
+		return $this->get_rotation_status();
+	}
+
+	/**
+	 * Pause the key rotation
+	 *
+	 * The rotation continues where it stopped on the next rotate_batch().
+	 *
+	 * @since 2.5.0
+	 * @return bool True if a running rotation was paused.
+	 */
+	public function pause_key_rotation(): bool {
+		$state = $this->get_rotation_state();
+		if ( null === $state || 'running' !== $state['status'] ) {
+			return false;
+		}
+
+		$state['status'] = 'paused';
+
+		return \update_option( self::ROTATION_OPTION, $state, false );
+	}
+
+	/**
+	 * Discard the key rotation report
+	 *
+	 * Unfinished dry runs are discarded too; an unfinished rotation is not,
+	 * as its logs would be left under two keys.
+	 *
+	 * @since 2.5.0
+	 * @return true|WP_Error
+	 */
+	public function clear_key_rotation() {
+		$state = $this->get_rotation_state();
+		if ( null === $state ) {
+			return true;
+		}
+
+		if ( ! $state['dry_run'] && 'completed' !== $state['status'] ) {
+			return new WP_Error( 'rotation_in_progress', \__( 'A key rotation cannot be discarded before it finishes.', 'contact-form-to-api' ) );
+		}
+
+		if ( 'completed' !== $state['status'] && $this->encryption ) {
+			$this->encryption->forget_previous_keys();
+		}
+
+		\delete_option( self::ROTATION_OPTION );
+
+		return true;
+	}
+
+	/**
+	 * Get the key rotation status
+	 *
+	 * @since 2.5.0
+	 * @return array{status: string, dry_run: bool, target_version: int, started_at: string, last_id: int, processed: int, rotated: int, failed: int, failures: array<int, array{id: int, error: string}>, remaining: int, percentage: float}|null Null when no rotation was started.
+	 */
+	public function get_rotation_status(): ?array {
+		global $wpdb;
+
+		$state = $this->get_rotation_state();
+		if ( null === $state ) {
+			return null;
+		}
+
+		$remaining = 0;
+		if ( 'completed' !== $state['status'] ) {
+			$remaining = (int) $wpdb->get_var(
+				$wpdb->prepare(
+					'SELECT COUNT(*) FROM %i WHERE id > %d AND encryption_version > 0 AND encryption_version < %d',
+					$this->table_name,
+					$state['last_id'],
+					$state['target_version']
+				)
+			);
+		}
+
+		$total = $state['processed'] + $remaining;
+
+		$state['remaining']  = $remaining;
+		$state['percentage'] = \round( $total > 0 ? ( $state['processed'] / $total ) * 100 : 100, 2 );
+
+		return $state;
+	}
+
+	/**
+	 * Get the stored key rotation state
+	 *
+	 * @since 2.5.0
+	 * @return array<string, mixed>|null
+	 */
+	private function get_rotation_state(): ?array {
+		$state = \get_option( self::ROTATION_OPTION, null );
+		if ( ! \is_array( $state ) ) {
+			return null;
+		}
+
+		return \array_merge(
+			array(
+				'status'         => 'completed',
+				'dry_run'        => false,
+				'target_version' => 0,
+				'started_at'     => '',
+				'last_id'        => 0,
+				'processed'      => 0,
+				'rotated'        => 0,
+				'failed'         => 0,
+				'failures'       => array(),
+			),
+			$state
+		);
+	}
+
+	/**
+	 * Finish the key rotation
+	 *
+	 * Re-encrypts the form secrets, then forgets the previous keys.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $state Rotation state, updated in place.
+	 * @return void
+	 */
+	private function complete_key_rotation( array &$state ): void {
+		if ( ! $state['dry_run'] ) {
+			$this->reencrypt_form_secrets();
+		}
+
+		$this->encryption->forget_previous_keys();
+
+		$state['status']       = 'completed';
+		$state['completed_at'] = \current_time( 'mysql' );
+	}
+
+	/**
+	 * Re-encrypt the secrets of the form API settings with the active key
+	 *
+	 * Secrets that cannot be decrypted are left as they are.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	private function reencrypt_form_secrets(): void {
+		global $wpdb;
+
+		$secret_fields = array(
+			'_auth_config'    => AuthManager::SECRET_FIELDS,
+			'_signing_config' => array( 'secret' ),
+		);
+
+		$form_ids = $wpdb->get_col(
+			$wpdb->prepare(
+				'SELECT DISTINCT post_id FROM %i WHERE meta_key IN ( %s, %s )',
+				$wpdb->postmeta,
+				'_auth_config',
+				'_signing_config'
+			)
+		);
+
+		$secrets = new AuthManager();
+		foreach ( $form_ids as $form_id ) {
+			foreach ( $secret_fields as $meta_key => $fields ) {
+				$config = \get_post_meta( (int) $form_id, $meta_key, true );
+				if ( ! \is_array( $config ) ) {
+					continue;
+				}
+
+				$changed = false;
+				foreach ( $fields as $field ) {
+					$stored = (string) ( $config[ $field ] ?? '' );
+					$secret = $secrets->decrypt_secret( $stored );
+
+					// Skip plaintext secrets and secrets no key decrypts.
+					if ( '' === $secret || $secret === $stored ) {
+						continue;
+					}
+
+					$config[ $field ] = $secrets->encrypt_secret( $secret );
+					$changed          = true;
+				}
+
+				if ( $changed ) {
+					\update_post_meta( (int) $form_id, $meta_key, $config );
+				}
+			}
+		}
+	}
+
+	/**
+	 * Record a log the key rotation could not rotate
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $state  Rotation state, updated in place.
+	 * @param int                  $log_id Log ID.
+	 * @param string               $error  Error message.
+	 * @return void
+	 */
+	private function record_rotation_failure( array &$state, int $log_id, string $error ): void {
+		++$state['failed'];
+
+		if ( \count( $state['failures'] ) < self::MAX_REPORTED_FAILURES ) {
+			$state['failures'][] = array(
+				'id'    => $log_id,
+				'error' => $error,
+			);
+		}
+
+		DebugLogger::instance()->error(
+			'Key rotation failed for log entry',
+			array(
+				'log_id' => $log_id,
+				'error'  => $error,
+			)
+		);
+	}
+
+	/**
+	 * Re-encrypt log fields with the active key
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $log     Log entry data.
+	 * @param bool                 $dry_run Only decrypt the fields.
+	 * @return array<string, mixed> Re-encrypted fields.
+	 * @throws DecryptionException If a field cannot be decrypted.
+	 */
+	private function reencrypt_log_fields( array $log, bool $dry_run ): array {
+		$fields = array();
+
+		foreach ( self::ROTATED_FIELDS as $field ) {
+			$value = $log[ $field ] ?? null;
+			if ( null === $value ) {
+				$fields[ $field ] = null;
+				continue;
+			}
+
+			$plaintext        = $this->encryption->decrypt( $value );
+			$fields[ $field ] = $dry_run ? $plaintext : $this->encryption->encrypt( $plaintext );
+		}
+
+		return $fields;
 	}
 
 	/**
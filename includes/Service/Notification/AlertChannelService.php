@@ -0,0 +1,325 @@
+<?php
+/**
+ * Alert Channel Service
+ *
+ * Sends alerts to the Slack, Microsoft Teams and generic webhook channels.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Service\Notification
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Service\Notification;
+
+use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Service\Notification\Channel\AlertChannelInterface;
+use SilverAssist\ContactFormToAPI\Service\Notification\Channel\SlackChannel;
+use SilverAssist\ContactFormToAPI\Service\Notification\Channel\TeamsChannel;
+use SilverAssist\ContactFormToAPI\Service\Notification\Channel\WebhookChannel;
+use SilverAssist\ContactFormToAPI\Utils\DebugLogger;
+use WP_Error;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class AlertChannelService
+ *
+ * Each channel has its own webhook URL, alert types and cooldown, and is
+ * independent of the email alert settings. EmailAlertService decides when
+ * an alert is due and passes it to dispatch().
+ *
+ * @since 2.5.0
+ */
+class AlertChannelService {
+
+	/**
+	 * Option storing when each channel last sent each alert type
+	 *
+	 * @var string
+	 */
+	public const STATE_OPTION = 'cf7_api_alert_channel_state';
+
+	/**
+	 * Alert types a channel can subscribe to
+	 *
+	 * @var array<int, string>
+	 */
+	public const ALERT_TYPES = array( 'threshold', 'individual', 'dead_letter', 'rule' );
+
+	/**
+	 * Webhook request timeout in seconds
+	 *
+	 * @var int
+	 */
+	private const TIMEOUT = 10;
+
+	/**
+	 * Registered channels keyed by ID
+	 *
+	 * @var array<string, AlertChannelInterface>|null
+	 */
+	private ?array $channels = null;
+
+	/**
+	 * Get the registered channels
+	 *
+	 * @since 2.5.0
+	 * @return array<string, AlertChannelInterface> Channels keyed by ID.
+	 */
+	public function get_channels(): array {
+		if ( null !== $this->channels ) {
+			return $this->channels;
+		}
+
+		/**
+		 * Filter the alert channels
+		 *
+		 * @since 2.5.0
+		 * @param array<int, AlertChannelInterface> $channels Alert channels.
+		 */
+		$channels = \apply_filters(
+			'cf7_api_alert_channels',
+			array(
+				new SlackChannel(),
+				new TeamsChannel(),
+				new WebhookChannel(),
+			)
+		);
+
+		$this->channels = array();
+		foreach ( (array) $channels as $channel ) {
+			if ( $channel instanceof AlertChannelInterface ) {
+				$this->channels[ $channel->get_id() ] = $channel;
+			}
+		}
+
+		return $this->channels;
+	}
+
+	/**
+	 * Get the labels of the alert types
+	 *
+	 * @since 2.5.0
+	 * @return array<string, string> Labels keyed by alert type.
+	 */
+	public static function get_alert_type_labels(): array {
+		return array(
+			'threshold'   => \__( 'High error rate', 'contact-form-to-api' ),
+			'individual'  => \__( 'Individual submission failures', 'contact-form-to-api' ),
+			'dead_letter' => \__( 'Deliveries moved to dead letter', 'contact-form-to-api' ),
+			'rule'        => \__( 'Form alert rules', 'contact-form-to-api' ),
+		);
+	}
+
+	/**
+	 * Check whether any channel is enabled
+	 *
+	 * Threshold alerts are checked by the alert cron, which must then run
+	 * even when email alerts are off.
+	 *
+	 * @since 2.5.0
+	 * @return bool
+	 */
+	public function has_enabled_channels(): bool {
+		$settings = Settings::instance();
+
+		foreach ( \array_keys( $this->get_channels() ) as $id ) {
+			$config = $settings->get_alert_channel( $id );
+			if ( $config['enabled'] && '' !== $config['url'] ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Check whether an alert of a type would be sent to any channel
+	 *
+	 * @since 2.5.0
+	 * @param string $type Alert type.
+	 * @return bool
+	 */
+	public function wants( string $type ): bool {
+		return ! empty( $this->get_recipients( $type ) );
+	}
+
+	/**
+	 * Send an alert to the channels subscribed to its type
+	 *
+	 * Channels in their cooldown period for the alert type are skipped. An
+	 * optional `cooldown_key` gives alerts of the same type separate
+	 * cooldowns, so one alert rule does not silence another.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $alert Alert data (see AlertChannelInterface).
+	 * @return int Number of channels the alert was delivered to.
+	 */
+	public function dispatch( array $alert ): int {
+		$type      = (string) $alert['type'];
+		$key       = (string) ( $alert['cooldown_key'] ?? $type );
+		$delivered = 0;
+
+		foreach ( $this->get_recipients( $type, $key ) as $id => $url ) {
+			$result = $this->post( $url, $this->channels[ $id ]->build_payload( $alert ) );
+
+			if ( \is_wp_error( $result ) ) {
+				try {
+					DebugLogger::instance()->warning(
+						'Alert channel delivery failed',
+						array(
+							'channel' => $id,
+							'type'    => $type,
+							'error'   => $result->get_error_message(),
+						)
+					);
+				} catch ( \Exception $e ) {
+					// Silently fail if logger not available.
+					unset( $e );
+				}
+				continue;
+			}
+
+			$this->mark_sent( $id, $key );
+			++$delivered;
+		}
+
+		return $delivered;
+	}
+
+	/**
+	 * Send a test alert
+	 *
+	 * Uses the given URL so unsaved settings can be tested; ignores the
+	 * channel's alert types and cooldown.
+	 *
+	 * @since 2.5.0
+	 * @param string $channel_id Channel ID.
+	 * @param string $url        Webhook URL.
+	 * @return true|WP_Error
+	 */
+	public function send_test( string $channel_id, string $url ) {
+		$channel = $this->get_channels()[ $channel_id ] ?? null;
+
+		if ( null === $channel ) {
+			return new WP_Error( 'cf7_api_alert_channel', \__( 'Unknown alert channel.', 'contact-form-to-api' ) );
+		}
+
+		if ( false === \filter_var( $url, FILTER_VALIDATE_URL ) || ! \in_array( \wp_parse_url( $url, PHP_URL_SCHEME ), array( 'http', 'https' ), true ) ) {
+			return new WP_Error( 'cf7_api_alert_channel', \__( 'Please enter a valid webhook URL.', 'contact-form-to-api' ) );
+		}
+
+		$alert = array(
+			'type'    => 'test',
+			'title'   => \sprintf(
+				/* translators: %s: site name */
+				\__( '[%s] CF7 API Alert Test', 'contact-form-to-api' ),
+				\get_bloginfo( 'name' )
+			),
+			'message' => \sprintf(
+				/* translators: %s: channel name */
+				\__( 'This is a test alert from Contact Form 7 to API plugin. If you can read it, your %s alerts are working.', 'contact-form-to-api' ),
+				$channel->get_label()
+			),
+			'fields'  => array(
+				array(
+					'key'   => 'site',
+					'label' => \__( 'Site', 'contact-form-to-api' ),
+					'value' => \home_url(),
+				),
+			),
+			'url'     => \admin_url( 'admin.php?page=cf7-api-logs' ),
+		);
+
+		return $this->post( $url, $channel->build_payload( $alert ) );
+	}
+
+	/**
+	 * Get the webhook URLs of the channels an alert type is sent to
+	 *
+	 * @since 2.5.0
+	 * @param string $type         Alert type.
+	 * @param string $cooldown_key Key of the cooldown state (defaults to the alert type).
+	 * @return array<string, string> Webhook URLs keyed by channel ID.
+	 */
+	private function get_recipients( string $type, string $cooldown_key = '' ): array {
+		$cooldown_key = '' !== $cooldown_key ? $cooldown_key : $type;
+
+		$settings   = Settings::instance();
+		$state      = (array) \get_option( self::STATE_OPTION, array() );
+		$recipients = array();
+
+		foreach ( \array_keys( $this->get_channels() ) as $id ) {
+			$config = $settings->get_alert_channel( $id );
+
+			if ( ! $config['enabled'] || '' === $config['url'] || empty( $config['types'][ $type ] ) ) {
+				continue;
+			}
+
+			$last_sent = (int) ( $state[ $id ][ $cooldown_key ] ?? 0 );
+			if ( $last_sent > 0 && \time() < $last_sent + ( $config['cooldown_hours'] * HOUR_IN_SECONDS ) ) {
+				continue;
+			}
+
+			$recipients[ $id ] = $config['url'];
+		}
+
+		return $recipients;
+	}
+
+	/**
+	 * Record when a channel sent an alert
+	 *
+	 * @since 2.5.0
+	 * @param string $channel_id   Channel ID.
+	 * @param string $cooldown_key Alert type or cooldown key.
+	 * @return void
+	 */
+	private function mark_sent( string $channel_id, string $cooldown_key ): void {
+		$state = (array) \get_option( self::STATE_OPTION, array() );
+
+		$state[ $channel_id ][ $cooldown_key ] = \time();
+
+		\update_option( self::STATE_OPTION, $state, false );
+	}
+
+	/**
+	 * Post a payload to a webhook
+	 *
+	 * @since 2.5.0
+	 * @param string               $url     Webhook URL.
+	 * @param array<string, mixed> $payload JSON payload.
+	 * @return true|WP_Error
+	 */
+	private function post( string $url, array $payload ) {
+		$response = \wp_remote_post(
+			$url,
+			array(
+				'timeout' => self::TIMEOUT,
+				'headers' => array( 'Content-Type' => 'application/json; charset=utf-8' ),
+				'body'    => \wp_json_encode( $payload ),
+			)
+		);
+
+		if ( \is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		$code = (int) \wp_remote_retrieve_response_code( $response );
+		if ( $code < 200 || $code >= 300 ) {
+			return new WP_Error(
+				'cf7_api_alert_channel',
+				\sprintf(
+					/* translators: 1: HTTP status code, 2: response body */
+					\__( 'The webhook responded with HTTP %1$d: %2$s', 'contact-form-to-api' ),
+					$code,
+					\mb_substr( \wp_strip_all_tags( \wp_remote_retrieve_body( $response ) ), 0, 200 )
+				)
+			);
+		}
+
+		return true;
+	}
+}
@@ -0,0 +1,324 @@
+<?php
+/**
+ * Alert Rule Service
+ *
+ * Evaluates the alert rules of each form against its recent deliveries.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Service\Notification
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Service\Notification;
+
+use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Service\ContactForm\FormConfigManager;
+use SilverAssist\ContactFormToAPI\Service\Logging\LogStatistics;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class AlertRuleService
+ *
+ * Rules are stored in the `alert_rules` form property:
+ *
+ *     array(
+ *         'type'      => 'error_rate', // error_count, error_rate, p95_latency or no_success
+ *         'endpoint'  => '',           // Empty for all endpoints of the form, or a destination URL
+ *         'threshold' => 20,           // Errors, percent or milliseconds; unused by no_success
+ *         'window'    => 60,           // Minutes
+ *     )
+ *
+ * A rule alerts when it starts failing, then again after the email alert
+ * cooldown while it keeps failing. A rule that recovers alerts as soon as
+ * it fails again. Rules only count deliveries made in their window, so a
+ * form without submissions never triggers `no_success`.
+ *
+ * @since 2.5.0
+ */
+class AlertRuleService {
+
+	/**
+	 * Option storing when each failing rule last alerted
+	 *
+	 * @var string
+	 */
+	public const STATE_OPTION = 'cf7_api_alert_rule_state';
+
+	/**
+	 * Rule types
+	 *
+	 * @var array<int, string>
+	 */
+	public const TYPES = array( 'error_count', 'error_rate', 'p95_latency', 'no_success' );
+
+	/**
+	 * Rule windows in minutes
+	 *
+	 * @var array<int, int>
+	 */
+	public const WINDOWS = array( 30, 60, 180, 360, 720, 1440, 2880 );
+
+	/**
+	 * Maximum number of rules per form
+	 *
+	 * @var int
+	 */
+	public const MAX_RULES = 10;
+
+	/**
+	 * Log statistics
+	 *
+	 * @var LogStatistics
+	 */
+	private LogStatistics $stats;
+
+	/**
+	 * Constructor
+	 */
+	public function __construct() {
+		$this->stats = new LogStatistics();
+	}
+
+	/**
+	 * Get the labels of the rule types
+	 *
+	 * @return array<string, string> Labels keyed by rule type.
+	 */
+	public static function get_type_labels(): array {
+		return array(
+			'error_count' => \__( 'Error count reaches', 'contact-form-to-api' ),
+			'error_rate'  => \__( 'Error rate reaches', 'contact-form-to-api' ),
+			'p95_latency' => \__( 'P95 response time reaches', 'contact-form-to-api' ),
+			'no_success'  => \__( 'No successful delivery', 'contact-form-to-api' ),
+		);
+	}
+
+	/**
+	 * Get the units of the rule thresholds
+	 *
+	 * @return array<string, string> Units keyed by rule type.
+	 */
+	public static function get_type_units(): array {
+		return array(
+			'error_count' => \__( 'errors', 'contact-form-to-api' ),
+			'error_rate'  => '%',
+			'p95_latency' => \__( 'ms', 'contact-form-to-api' ),
+			'no_success'  => '',
+		);
+	}
+
+	/**
+	 * Get the labels of the rule windows
+	 *
+	 * @return array<int, string> Labels keyed by minutes.
+	 */
+	public static function get_window_labels(): array {
+		$labels = array();
+		foreach ( self::WINDOWS as $minutes ) {
+			$labels[ $minutes ] = \human_time_diff( 0, $minutes * MINUTE_IN_SECONDS );
+		}
+
+		return $labels;
+	}
+
+	/**
+	 * Describe a rule, e.g. "Error rate of 20% or more in 1 hour"
+	 *
+	 * @param array<string, mixed> $rule Sanitized rule.
+	 * @return string
+	 */
+	public static function describe( array $rule ): string {
+		$window    = \human_time_diff( 0, (int) $rule['window'] * MINUTE_IN_SECONDS );
+		$threshold = (float) $rule['threshold'];
+
+		switch ( $rule['type'] ) {
+			case 'error_count':
+				/* translators: 1: number of errors, 2: time window, e.g. "1 hour" */
+				return \sprintf( \__( '%1$s or more errors in %2$s', 'contact-form-to-api' ), \number_format_i18n( $threshold ), $window );
+
+			case 'error_rate':
+				/* translators: 1: error rate percentage, 2: time window, e.g. "1 hour" */
+				return \sprintf( \__( 'Error rate of %1$s%% or more in %2$s', 'contact-form-to-api' ), \number_format_i18n( $threshold, 1 ), $window );
+
+			case 'p95_latency':
+				/* translators: 1: response time in milliseconds, 2: time window, e.g. "1 hour" */
+				return \sprintf( \__( 'P95 response time of %1$s ms or more in %2$s', 'contact-form-to-api' ), \number_format_i18n( $threshold ), $window );
+
+			default:
+				/* translators: %s: time window, e.g. "1 hour" */
+				return \sprintf( \__( 'No successful delivery in %s', 'contact-form-to-api' ), $window );
+		}
+	}
+
+	/**
+	 * Sanitize the alert rules of a form
+	 *
+	 * Rules with an unknown type are dropped.
+	 *
+	 * @param mixed $raw_rules Raw rules.
+	 * @return array<int, array{type: string, endpoint: string, threshold: float|int, window: int}> Sanitized rules.
+	 */
+	public function sanitize( $raw_rules ): array {
+		if ( ! \is_array( $raw_rules ) ) {
+			return array();
+		}
+
+		$rules = array();
+		foreach ( $raw_rules as $raw_rule ) {
+			if ( ! \is_array( $raw_rule ) ) {
+				continue;
+			}
+
+			$type = \sanitize_key( (string) ( $raw_rule['type'] ?? '' ) );
+			if ( ! \in_array( $type, self::TYPES, true ) ) {
+				continue;
+			}
+
+			$window = \absint( $raw_rule['window'] ?? 0 );
+
+			$rules[] = array(
+				'type'      => $type,
+				'endpoint'  => \esc_url_raw( \trim( (string) ( $raw_rule['endpoint'] ?? '' ) ) ),
+				'threshold' => $this->sanitize_threshold( $type, $raw_rule['threshold'] ?? 0 ),
+				'window'    => \in_array( $window, self::WINDOWS, true ) ? $window : 60,
+			);
+
+			if ( \count( $rules ) >= self::MAX_RULES ) {
+				break;
+			}
+		}
+
+		return $rules;
+	}
+
+	/**
+	 * Evaluate a rule
+	 *
+	 * @param int                  $form_id Form ID.
+	 * @param array<string, mixed> $rule    Sanitized rule.
+	 * @return string|null The measured value when the rule fails, e.g. "35.0%", or null when it passes.
+	 */
+	public function evaluate( int $form_id, array $rule ): ?string {
+		$window    = (int) $rule['window'];
+		$endpoint  = (string) $rule['endpoint'];
+		$threshold = (float) $rule['threshold'];
+
+		switch ( $rule['type'] ) {
+			case 'error_count':
+				$stats = $this->stats->get_window_stats( $window, $form_id, $endpoint );
+				if ( $stats['errors'] < $threshold ) {
+					return null;
+				}
+
+				/* translators: %s: number of errors */
+				return \sprintf( \_n( '%s error', '%s errors', $stats['errors'], 'contact-form-to-api' ), \number_format_i18n( $stats['errors'] ) );
+
+			case 'error_rate':
+				$stats = $this->stats->get_window_stats( $window, $form_id, $endpoint );
+				if ( 0 === $stats['total'] || $stats['error_rate'] < $threshold ) {
+					return null;
+				}
+
+				/* translators: 1: error rate percentage, 2: number of failed deliveries, 3: number of deliveries */
+				return \sprintf( \__( '%1$s%% (%2$d of %3$d deliveries)', 'contact-form-to-api' ), \number_format_i18n( $stats['error_rate'], 1 ), $stats['errors'], $stats['total'] );
+
+			case 'p95_latency':
+				$p95 = $this->stats->get_response_time_percentile( 95, $window, $form_id, $endpoint );
+				if ( null === $p95 || $p95 < $threshold ) {
+					return null;
+				}
+
+				/* translators: %s: response time in milliseconds */
+				return \sprintf( \__( '%s ms', 'contact-form-to-api' ), \number_format_i18n( $p95 ) );
+
+			case 'no_success':
+				$stats = $this->stats->get_window_stats( $window, $form_id, $endpoint );
+				if ( 0 === $stats['total'] || $stats['successes'] > 0 ) {
+					return null;
+				}
+
+				$last_success = $this->stats->get_last_success( $form_id, $endpoint );
+				if ( null === $last_success ) {
+					return \__( 'No successful delivery yet', 'contact-form-to-api' );
+				}
+
+				/* translators: %s: date and time of the last successful delivery */
+				return \sprintf( \__( 'Last success: %s', 'contact-form-to-api' ), $last_success );
+		}
+
+		return null;
+	}
+
+	/**
+	 * Evaluate the rules of all forms and get the alerts that are due
+	 *
+	 * Records the returned alerts as sent.
+	 *
+	 * @return array<int, array{key: string, form_id: int, rule: array<string, mixed>, value: string}> Due alerts.
+	 */
+	public function get_due_alerts(): array {
+		$manager  = new FormConfigManager();
+		$state    = (array) \get_option( self::STATE_OPTION, array() );
+		$cooldown = Settings::instance()->get_alert_cooldown_hours() * HOUR_IN_SECONDS;
+		$failing  = array();
+		$due      = array();
+
+		foreach ( \array_keys( $manager->get_forms() ) as $form_id ) {
+			$settings = $manager->get_settings( $form_id );
+			if ( null === $settings ) {
+				continue;
+			}
+
+			foreach ( $this->sanitize( $settings->get_alert_rules() ) as $rule ) {
+				$value = $this->evaluate( $form_id, $rule );
+				if ( null === $value ) {
+					continue;
+				}
+
+				$key       = $form_id . ':' . \md5( (string) \wp_json_encode( $rule ) );
+				$last_sent = (int) ( $state[ $key ] ?? 0 );
+
+				if ( $last_sent > 0 && \time() < $last_sent + $cooldown ) {
+					$failing[ $key ] = $last_sent;
+					continue;
+				}
+
+				$failing[ $key ] = \time();
+				$due[]           = array(
+					'key'     => $key,
+					'form_id' => $form_id,
+					'rule'    => $rule,
+					'value'   => $value,
+				);
+			}
+		}
+
+		// Rules that passed or were removed are forgotten, so they alert as soon as they fail again.
+		\update_option( self::STATE_OPTION, $failing, false );
+
+		return $due;
+	}
+
+	/**
+	 * Sanitize the threshold of a rule
+	 *
+	 * @param string $type      Rule type.
+	 * @param mixed  $threshold Raw threshold.
+	 * @return float|int
+	 */
+	private function sanitize_threshold( string $type, $threshold ) {
+		switch ( $type ) {
+			case 'error_rate':
+				return \min( 100.0, \max( 0.1, \round( (float) $threshold, 1 ) ) );
+
+			case 'no_success':
+				return 0;
+
+			default:
+				return \max( 1, \absint( $threshold ) );
+		}
+	}
+}
@@ -0,0 +1,68 @@
+<?php
+/**
+ * Alert Channel Interface
+ *
+ * Contract for the webhook-based channels alerts are sent through.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Service\Notification\Channel
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Service\Notification\Channel;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Interface AlertChannelInterface
+ *
+ * A channel only formats alerts; AlertChannelService posts the payloads
+ * and applies each channel's settings. Additional channels are registered
+ * with the `cf7_api_alert_channels` filter.
+ *
+ * An alert is an array with the keys:
+ * - type:    threshold, individual, dead_letter or test.
+ * - title:   One-line summary.
+ * - message: Description of the alert.
+ * - fields:  List of array{key: string, label: string, value: string}.
+ * - url:     Link to the logs screen.
+ *
+ * @since 2.5.0
+ */
+interface AlertChannelInterface {
+
+	/**
+	 * Get the channel ID used in the settings
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_id(): string;
+
+	/**
+	 * Get the channel name shown on the settings page
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_label(): string;
+
+	/**
+	 * Get the help text for the webhook URL setting
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_description(): string;
+
+	/**
+	 * Build the JSON payload posted to the webhook
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $alert Alert data.
+	 * @return array<string, mixed>
+	 */
+	public function build_payload( array $alert ): array;
+}
@@ -0,0 +1,139 @@
+<?php
+/**
+ * Slack Alert Channel
+ *
+ * Formats alerts for Slack incoming webhooks.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Service\Notification\Channel
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Service\Notification\Channel;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class SlackChannel
+ *
+ * Builds a Block Kit message. The top-level text is the fallback shown
+ * in notifications.
+ *
+ * @since 2.5.0
+ */
+class SlackChannel implements AlertChannelInterface {
+
+	/**
+	 * Slack limit for header block text
+	 *
+	 * @var int
+	 */
+	private const HEADER_MAX_LENGTH = 150;
+
+	/**
+	 * Slack limit for the fields of a section block
+	 *
+	 * @var int
+	 */
+	private const MAX_FIELDS = 10;
+
+	/**
+	 * Get the channel ID used in the settings
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_id(): string {
+		return 'slack';
+	}
+
+	/**
+	 * Get the channel name shown on the settings page
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_label(): string {
+		return \__( 'Slack', 'contact-form-to-api' );
+	}
+
+	/**
+	 * Get the help text for the webhook URL setting
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_description(): string {
+		return \__( 'Incoming webhook URL of a Slack app, e.g. https://hooks.slack.com/services/...', 'contact-form-to-api' );
+	}
+
+	/**
+	 * Build the JSON payload posted to the webhook
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $alert Alert data.
+	 * @return array<string, mixed>
+	 */
+	public function build_payload( array $alert ): array {
+		$title  = (string) $alert['title'];
+		$blocks = array(
+			array(
+				'type' => 'header',
+				'text' => array(
+					'type' => 'plain_text',
+					'text' => \mb_substr( $title, 0, self::HEADER_MAX_LENGTH ),
+				),
+			),
+			array(
+				'type' => 'section',
+				'text' => array(
+					'type' => 'mrkdwn',
+					'text' => $this->escape( (string) $alert['message'] ),
+				),
+			),
+		);
+
+		$fields = array();
+		foreach ( \array_slice( $alert['fields'], 0, self::MAX_FIELDS ) as $field ) {
+			$fields[] = array(
+				'type' => 'mrkdwn',
+				'text' => '*' . $this->escape( $field['label'] ) . "*\n" . $this->escape( (string) $field['value'] ),
+			);
+		}
+
+		if ( ! empty( $fields ) ) {
+			$blocks[] = array(
+				'type'   => 'section',
+				'fields' => $fields,
+			);
+		}
+
+		if ( ! empty( $alert['url'] ) ) {
+			$blocks[] = array(
+				'type' => 'section',
+				'text' => array(
+					'type' => 'mrkdwn',
+					'text' => '<' . $alert['url'] . '|' . $this->escape( \__( 'View Logs', 'contact-form-to-api' ) ) . '>',
+				),
+			);
+		}
+
+		return array(
+			'text'   => $title,
+			'blocks' => $blocks,
+		);
+	}
+
+	/**
+	 * Escape the control characters of Slack's mrkdwn
+	 *
+	 * @since 2.5.0
+	 * @param string $text Plain text.
+	 * @return string
+	 */
+	private function escape( string $text ): string {
+		return \str_replace( array( '&', '<', '>' ), array( '&amp;', '&lt;', '&gt;' ), $text );
+	}
+}
@@ -0,0 +1,124 @@
+<?php
+/**
+ * Microsoft Teams Alert Channel
+ *
+ * Formats alerts for Microsoft Teams webhooks.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Service\Notification\Channel
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Service\Notification\Channel;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class TeamsChannel
+ *
+ * Posts an Adaptive Card message, the format accepted by the Workflows
+ * "post to a channel when a webhook request is received" template.
+ *
+ * @since 2.5.0
+ */
+class TeamsChannel implements AlertChannelInterface {
+
+	/**
+	 * Get the channel ID used in the settings
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_id(): string {
+		return 'teams';
+	}
+
+	/**
+	 * Get the channel name shown on the settings page
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_label(): string {
+		return \__( 'Microsoft Teams', 'contact-form-to-api' );
+	}
+
+	/**
+	 * Get the help text for the webhook URL setting
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_description(): string {
+		return \__( 'Webhook URL of a Teams workflow that posts Adaptive Cards to a channel.', 'contact-form-to-api' );
+	}
+
+	/**
+	 * Build the JSON payload posted to the webhook
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $alert Alert data.
+	 * @return array<string, mixed>
+	 */
+	public function build_payload( array $alert ): array {
+		$body = array(
+			array(
+				'type'   => 'TextBlock',
+				'text'   => (string) $alert['title'],
+				'size'   => 'Large',
+				'weight' => 'Bolder',
+				'color'  => 'test' === $alert['type'] ? 'Default' : 'Attention',
+				'wrap'   => true,
+			),
+			array(
+				'type' => 'TextBlock',
+				'text' => (string) $alert['message'],
+				'wrap' => true,
+			),
+		);
+
+		$facts = array();
+		foreach ( $alert['fields'] as $field ) {
+			$facts[] = array(
+				'title' => $field['label'],
+				'value' => (string) $field['value'],
+			);
+		}
+
+		if ( ! empty( $facts ) ) {
+			$body[] = array(
+				'type'  => 'FactSet',
+				'facts' => $facts,
+			);
+		}
+
+		$card = array(
+			'$schema' => 'http://adaptivecards.io/schemas/adaptive-card.json',
+			'type'    => 'AdaptiveCard',
+			'version' => '1.4',
+			'body'    => $body,
+		);
+
+		if ( ! empty( $alert['url'] ) ) {
+			$card['actions'] = array(
+				array(
+					'type'  => 'Action.OpenUrl',
+					'title' => \__( 'View Logs', 'contact-form-to-api' ),
+					'url'   => $alert['url'],
+				),
+			);
+		}
+
+		return array(
+			'type'        => 'message',
+			'attachments' => array(
+				array(
+					'contentType' => 'application/vnd.microsoft.card.adaptive',
+					'content'     => $card,
+				),
+			),
+		);
+	}
+}
@@ -0,0 +1,79 @@
+<?php
+/**
+ * Generic Webhook Alert Channel
+ *
+ * Posts alerts as plain JSON documents.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Service\Notification\Channel
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Service\Notification\Channel;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class WebhookChannel
+ *
+ * For incident tools and custom receivers. The alert fields are sent as
+ * a `data` object keyed by field.
+ *
+ * @since 2.5.0
+ */
+class WebhookChannel implements AlertChannelInterface {
+
+	/**
+	 * Get the channel ID used in the settings
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_id(): string {
+		return 'webhook';
+	}
+
+	/**
+	 * Get the channel name shown on the settings page
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_label(): string {
+		return \__( 'Generic Webhook', 'contact-form-to-api' );
+	}
+
+	/**
+	 * Get the help text for the webhook URL setting
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_description(): string {
+		return \__( 'Receives a JSON document with the alert type, title, message, data, site and timestamp.', 'contact-form-to-api' );
+	}
+
+	/**
+	 * Build the JSON payload posted to the webhook
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $alert Alert data.
+	 * @return array<string, mixed>
+	 */
+	public function build_payload( array $alert ): array {
+		return array(
+			'type'      => (string) $alert['type'],
+			'title'     => (string) $alert['title'],
+			'message'   => (string) $alert['message'],
+			'data'      => (object) \array_column( $alert['fields'], 'value', 'key' ),
+			'url'       => (string) $alert['url'],
+			'site'      => array(
+				'name' => \get_bloginfo( 'name' ),
+				'url'  => \home_url(),
+			),
+			'timestamp' => \gmdate( 'c' ),
+		);
+	}
+}
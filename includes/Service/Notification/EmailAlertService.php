@@ -26,6 +26,7 @@ use SilverAssist\ContactFormToAPI\Utils\DebugLogger;
  * Class EmailAlertService
  *
  * Monitors API error rates and sends email notifications when thresholds are exceeded.
+ * The same alerts are passed to AlertChannelService for Slack, Teams and webhooks.
  *
  * @since 1.2.0
  */
@@ -52,6 +53,13 @@ class EmailAlertService implements LoadableInterface {
 	 */
 	private ?LogReader $log_reader = null;
 
+	/**
+	 * Slack, Teams and webhook alert channels
+	 *
+	 * @var AlertChannelService|null
+	 */
+	private ?AlertChannelService $channels = null;
+
 	/**
 	 * Get singleton instance
 	 *
@@ -109,24 +117,33 @@ class EmailAlertService implements LoadableInterface {
 	 * Main method called by cron job to check if alerts should be sent.
 	 *
 	 * @since 1.2.0
+	 * @since 2.5.0 Also alerts the Slack, Teams and webhook channels, and evaluates the form alert rules.
 	 * @return void
 	 */
 	public function check_and_alert(): void {
+		$this->check_error_threshold();
+		$this->check_alert_rules();
+	}
+
+	/**
+	 * Send the high error rate alert if the thresholds are exceeded
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	private function check_error_threshold(): void {
 		// Get settings.
 		$settings = Settings::instance();
 
-		// Check if alerts are enabled.
-		if ( ! $settings->is_alerts_enabled() ) {
-			return;
-		}
+		// Email requires alerts and threshold alerts enabled, outside the cooldown period.
+		$email = $settings->is_alerts_enabled()
+			&& $settings->is_threshold_alerts_enabled()
+			&& ! $this->is_in_cooldown( $settings );
 
-		// Check if threshold alerts are enabled.
-		if ( ! $settings->is_threshold_alerts_enabled() ) {
-			return;
-		}
+		// Channels apply their own alert types and cooldown.
+		$channels = $this->get_channels()->wants( 'threshold' );
 
-		// Check cooldown period.
-		if ( $this->is_in_cooldown( $settings ) ) {
+		if ( ! $email && ! $channels ) {
 			return;
 		}
 
@@ -134,9 +151,210 @@ class EmailAlertService implements LoadableInterface {
 		$stats = $this->get_hourly_stats();
 
 		// Check if alert should be sent.
-		if ( $this->should_alert( $stats, $settings ) ) {
+		if ( ! $this->should_alert( $stats, $settings ) ) {
+			return;
+		}
+
+		if ( $email ) {
 			$this->send_alert( $stats, $settings );
 		}
+
+		if ( $channels ) {
+			$this->get_channels()->dispatch( $this->build_threshold_alert( $stats ) );
+		}
+	}
+
+	/**
+	 * Send the alerts of failing form alert rules
+	 *
+	 * Emails only require alerts to be enabled globally, like dead-letter
+	 * alerts: the rules themselves are the opt-in.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	private function check_alert_rules(): void {
+		$email    = Settings::instance()->is_alerts_enabled();
+		$channels = $this->get_channels()->wants( 'rule' );
+
+		if ( ! $email && ! $channels ) {
+			return;
+		}
+
+		foreach ( ( new AlertRuleService() )->get_due_alerts() as $due ) {
+			$alert = $this->build_rule_alert( $due );
+
+			if ( $email ) {
+				$this->send_rule_alert( $alert );
+			}
+
+			if ( $channels ) {
+				$this->get_channels()->dispatch( $alert );
+			}
+		}
+	}
+
+	/**
+	 * Get the alert channel service
+	 *
+	 * @since 2.5.0
+	 * @return AlertChannelService
+	 */
+	private function get_channels(): AlertChannelService {
+		if ( null === $this->channels ) {
+			$this->channels = new AlertChannelService();
+		}
+
+		return $this->channels;
+	}
+
+	/**
+	 * Build the channel alert for a high error rate
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $stats Statistics array.
+	 * @return array<string, mixed> Alert data (see AlertChannelInterface).
+	 */
+	private function build_threshold_alert( array $stats ): array {
+		return array(
+			'type'    => 'threshold',
+			'title'   => \sprintf(
+				/* translators: %s: site name */
+				\__( '[%s] CF7 API Alert: High Error Rate Detected', 'contact-form-to-api' ),
+				\get_bloginfo( 'name' )
+			),
+			'message' => \__( 'High error rate detected on your WordPress site.', 'contact-form-to-api' ),
+			'fields'  => array(
+				array(
+					'key'   => 'errors',
+					'label' => \__( 'Errors (last hour)', 'contact-form-to-api' ),
+					'value' => (string) $stats['errors'],
+				),
+				array(
+					'key'   => 'error_rate',
+					'label' => \__( 'Error Rate', 'contact-form-to-api' ),
+					'value' => \number_format( (float) $stats['error_rate'], 2 ) . '%',
+				),
+				array(
+					'key'   => 'total_requests',
+					'label' => \__( 'Total Requests', 'contact-form-to-api' ),
+					'value' => (string) $stats['total_requests'],
+				),
+			),
+			'url'     => \admin_url( 'admin.php?page=cf7-api-logs' ),
+		);
+	}
+
+	/**
+	 * Build the alert for a failing alert rule
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $due Due alert (see AlertRuleService::get_due_alerts()).
+	 * @return array<string, mixed> Alert data (see AlertChannelInterface).
+	 */
+	private function build_rule_alert( array $due ): array {
+		$form_title  = $this->get_form_title( (int) $due['form_id'] );
+		$description = AlertRuleService::describe( $due['rule'] );
+
+		return array(
+			'type'         => 'rule',
+			'title'        => \sprintf(
+				/* translators: %1$s: site name, %2$s: form title */
+				\__( '[%1$s] CF7 API Alert Rule Triggered: %2$s', 'contact-form-to-api' ),
+				\get_bloginfo( 'name' ),
+				$form_title
+			),
+			'message'      => \sprintf(
+				/* translators: %s: rule description, e.g. "Error rate of 20% or more in 1 hour" */
+				\__( 'An alert rule of this form is failing: %s.', 'contact-form-to-api' ),
+				$description
+			),
+			'fields'       => array(
+				array(
+					'key'   => 'form',
+					'label' => \__( 'Form', 'contact-form-to-api' ),
+					'value' => $form_title,
+				),
+				array(
+					'key'   => 'endpoint',
+					'label' => \__( 'Endpoint', 'contact-form-to-api' ),
+					'value' => '' !== $due['rule']['endpoint'] ? (string) $due['rule']['endpoint'] : \__( 'All endpoints', 'contact-form-to-api' ),
+				),
+				array(
+					'key'   => 'rule',
+					'label' => \__( 'Rule', 'contact-form-to-api' ),
+					'value' => $description,
+				),
+				array(
+					'key'   => 'value',
+					'label' => \__( 'Measured', 'contact-form-to-api' ),
+					'value' => (string) $due['value'],
+				),
+			),
+			'url'          => \add_query_arg(
+				array(
+					'page'    => 'cf7-api-logs',
+					'form_id' => (int) $due['form_id'],
+				),
+				\admin_url( 'admin.php' )
+			),
+			'cooldown_key' => 'rule:' . $due['key'],
+		);
+	}
+
+	/**
+	 * Send an alert rule email
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $alert Alert data (see build_rule_alert()).
+	 * @return void
+	 */
+	private function send_rule_alert( array $alert ): void {
+		$recipients_string = Settings::instance()->get_alert_recipients();
+		$recipients        = \array_map( 'trim', \explode( ',', $recipients_string ) );
+
+		$html  = '<html><head><style>';
+		$html .= 'body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }';
+		$html .= 'h2 { color: #d63638; border-bottom: 2px solid #d63638; padding-bottom: 10px; }';
+		$html .= 'table { border-collapse: collapse; width: 100%; margin: 20px 0; }';
+		$html .= 'td { padding: 8px; border: 1px solid #ddd; }';
+		$html .= 'td:first-child { font-weight: bold; background-color: #f5f5f5; width: 30%; }';
+		$html .= 'a { color: #135e96; text-decoration: none; }';
+		$html .= '</style></head><body>';
+		$html .= '<h2>' . \esc_html__( 'CF7 API Alert Rule Triggered', 'contact-form-to-api' ) . '</h2>';
+		$html .= '<p>' . \esc_html( $alert['message'] ) . '</p>';
+
+		$html .= '<table>';
+		$html .= '<tr><td>' . \esc_html__( 'Site', 'contact-form-to-api' ) . '</td><td>' . \esc_html( \get_bloginfo( 'name' ) ) . '</td></tr>';
+		$html .= '<tr><td>' . \esc_html__( 'Time', 'contact-form-to-api' ) . '</td><td>' . \esc_html( \current_time( 'mysql' ) ) . '</td></tr>';
+		foreach ( $alert['fields'] as $field ) {
+			$html .= '<tr><td>' . \esc_html( $field['label'] ) . '</td><td>' . \esc_html( (string) $field['value'] ) . '</td></tr>';
+		}
+		$html .= '</table>';
+
+		$html .= '<p><a href="' . \esc_url( $alert['url'] ) . '">' . \esc_html__( 'View Form Logs', 'contact-form-to-api' ) . '</a></p>';
+		$html .= '</body></html>';
+
+		$headers = array( 'Content-Type: text/html; charset=UTF-8' );
+
+		foreach ( $recipients as $email ) {
+			if ( \is_email( $email ) ) {
+				\wp_mail( $email, $alert['title'], $html, $headers );
+			}
+		}
+
+		try {
+			DebugLogger::instance()->info(
+				'Alert rule email sent',
+				array(
+					'alert'      => $alert['title'],
+					'recipients' => $recipients_string,
+				)
+			);
+		} catch ( \Exception $e ) {
+			// Silently fail if logger not available.
+			unset( $e );
+		}
 	}
 
 	/**
@@ -374,6 +592,64 @@ class EmailAlertService implements LoadableInterface {
 		return \wp_mail( $recipient, $subject, $message, $headers );
 	}
 
+	/**
+	 * Send a scheduled export download link
+	 *
+	 * Sent to the alert recipients, whether or not alerts are enabled.
+	 *
+	 * @since 2.5.0
+	 * @param string $download_url   Download URL of the export file.
+	 * @param string $filename       Export file name.
+	 * @param int    $count          Number of exported logs.
+	 * @param int    $retention_days Days the file is kept.
+	 * @return bool True if the email was sent to at least one recipient.
+	 */
+	public function send_export_ready( string $download_url, string $filename, int $count, int $retention_days ): bool {
+		$recipients_string = Settings::instance()->get_alert_recipients();
+		$recipients        = \array_map( 'trim', \explode( ',', $recipients_string ) );
+
+		$subject = \sprintf(
+			/* translators: %s: site name */
+			\__( '[%s] CF7 API Scheduled Log Export', 'contact-form-to-api' ),
+			\get_bloginfo( 'name' )
+		);
+
+		$message  = '<html><head><style>';
+		$message .= 'body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }';
+		$message .= 'h2 { color: #135e96; }';
+		$message .= 'a { color: #135e96; }';
+		$message .= '</style></head><body>';
+		$message .= '<h2>' . \esc_html__( 'Scheduled Log Export', 'contact-form-to-api' ) . '</h2>';
+		$message .= '<p>' . \esc_html(
+			\sprintf(
+				/* translators: 1: number of log entries, 2: file name */
+				\_n( '%1$d log entry was exported to %2$s.', '%1$d log entries were exported to %2$s.', $count, 'contact-form-to-api' ),
+				$count,
+				$filename
+			)
+		) . '</p>';
+		$message .= '<p><a href="' . \esc_url( $download_url ) . '">' . \esc_html__( 'Download Export', 'contact-form-to-api' ) . '</a></p>';
+		$message .= '<p>' . \esc_html(
+			\sprintf(
+				/* translators: %d: number of days */
+				\_n( 'Downloading requires an administrator login. The file is deleted after %d day.', 'Downloading requires an administrator login. The file is deleted after %d days.', $retention_days, 'contact-form-to-api' ),
+				$retention_days
+			)
+		) . '</p>';
+		$message .= '</body></html>';
+
+		$headers = array( 'Content-Type: text/html; charset=UTF-8' );
+
+		$sent = false;
+		foreach ( $recipients as $email ) {
+			if ( \is_email( $email ) ) {
+				$sent = \wp_mail( $email, $subject, $message, $headers ) || $sent;
+			}
+		}
+
+		return $sent;
+	}
+
 	/**
 	 * Maybe send individual failure alert
 	 *
@@ -381,6 +657,7 @@ class EmailAlertService implements LoadableInterface {
 	 * Checks settings and sends alert if individual alerts are enabled.
 	 *
 	 * @since 2.1.0
+	 * @since 2.5.0 Also alerts the Slack, Teams and webhook channels.
 	 * @param int $log_id  Log entry ID.
 	 * @param int $form_id Contact Form 7 form ID.
 	 * @return void
@@ -388,13 +665,11 @@ class EmailAlertService implements LoadableInterface {
 	public function maybe_send_individual_alert( int $log_id, int $form_id ): void {
 		$settings = Settings::instance();
 
-		// Check if alerts are enabled globally.
-		if ( ! $settings->is_alerts_enabled() ) {
-			return;
-		}
+		// Email requires alerts and individual alerts enabled.
+		$email    = $settings->is_alerts_enabled() && $settings->is_individual_alerts_enabled();
+		$channels = $this->get_channels()->wants( 'individual' );
 
-		// Check if individual alerts are enabled.
-		if ( ! $settings->is_individual_alerts_enabled() ) {
+		if ( ! $email && ! $channels ) {
 			return;
 		}
 
@@ -404,56 +679,82 @@ class EmailAlertService implements LoadableInterface {
 			return;
 		}
 
-		// Send the individual failure alert (no cooldown for event-driven alerts).
-		$this->send_individual_failure_alert( $log_id, $form_id );
+		// Send the individual failure alert (no email cooldown for event-driven alerts).
+		if ( $email ) {
+			$this->send_individual_failure_alert( $log_id, $form_id );
+		}
+
+		if ( $channels ) {
+			$this->send_channel_failure_alert( $log_id, $form_id );
+		}
 
 		// Mark alert as sent (expires after 30 days).
 		\set_transient( $alert_sent_key, true, 30 * DAY_IN_SECONDS );
 	}
 
 	/**
-	 * Send individual failure alert email
+	 * Maybe send dead-letter alert
 	 *
-	 * Sends an email notification for a single submission that failed permanently.
+	 * Called when a delivery failed every scheduled retry and was moved to the
+	 * dead-letter status. Only requires alerts to be enabled globally.
 	 *
-	 * @since 2.1.0
+	 * @since 2.5.0
 	 * @param int $log_id  Log entry ID.
 	 * @param int $form_id Contact Form 7 form ID.
 	 * @return void
 	 */
-	private function send_individual_failure_alert( int $log_id, int $form_id ): void {
-		// Initialize log reader if needed.
-		if ( null === $this->log_reader ) {
-			$this->log_reader = new LogReader();
+	public function maybe_send_dead_letter_alert( int $log_id, int $form_id ): void {
+		$email    = Settings::instance()->is_alerts_enabled();
+		$channels = $this->get_channels()->wants( 'dead_letter' );
+
+		if ( ! $email && ! $channels ) {
+			return;
+		}
+
+		$alert_sent_key = 'cf7api_dead_letter_alert_sent_' . $log_id;
+		if ( \get_transient( $alert_sent_key ) ) {
+			return;
+		}
+
+		if ( $email ) {
+			$this->send_individual_failure_alert( $log_id, $form_id, true );
 		}
 
+		if ( $channels ) {
+			$this->send_channel_failure_alert( $log_id, $form_id, true );
+		}
+
+		\set_transient( $alert_sent_key, true, 30 * DAY_IN_SECONDS );
+	}
+
+	/**
+	 * Send individual failure alert email
+	 *
+	 * Sends an email notification for a single submission that failed permanently.
+	 *
+	 * @since 2.1.0
+	 * @since 2.5.0 Added the `$dead_letter` parameter.
+	 * @param int  $log_id      Log entry ID.
+	 * @param int  $form_id     Contact Form 7 form ID.
+	 * @param bool $dead_letter Whether the delivery failed its scheduled retries.
+	 * @return void
+	 */
+	private function send_individual_failure_alert( int $log_id, int $form_id, bool $dead_letter = false ): void {
 		// Get log entry.
-		$log = $this->log_reader->get_log( $log_id );
+		$log = $this->get_log( $log_id );
 
 		if ( null === $log ) {
 			return;
 		}
 
 		// Get form title.
-		$form_title = \get_the_title( $form_id );
-		if ( empty( $form_title ) ) {
-			$form_title = \sprintf(
-				/* translators: %d: form ID */
-				\__( 'Form #%d', 'contact-form-to-api' ),
-				$form_id
-			);
-		}
+		$form_title = $this->get_form_title( $form_id );
 
 		// Build email subject.
-		$subject = \sprintf(
-			/* translators: %1$s: site name, %2$s: form title */
-			\__( '[%1$s] API Submission Failed: %2$s', 'contact-form-to-api' ),
-			\get_bloginfo( 'name' ),
-			$form_title
-		);
+		$subject = $this->get_failure_title( $form_title, $dead_letter );
 
 		// Build email body.
-		$message = $this->build_individual_alert_body( $log, $form_title );
+		$message = $this->build_individual_alert_body( $log, $form_title, $dead_letter );
 
 		// Set content type to HTML.
 		$headers = array( 'Content-Type: text/html; charset=UTF-8' );
@@ -473,7 +774,7 @@ class EmailAlertService implements LoadableInterface {
 		// Log alert sent.
 		try {
 			DebugLogger::instance()->info(
-				'Individual failure alert sent',
+				$dead_letter ? 'Dead-letter alert sent' : 'Individual failure alert sent',
 				array(
 					'log_id'     => $log_id,
 					'form_id'    => $form_id,
@@ -487,15 +788,147 @@ class EmailAlertService implements LoadableInterface {
 		}
 	}
 
+	/**
+	 * Send a failed submission alert to the channels
+	 *
+	 * @since 2.5.0
+	 * @param int  $log_id      Log entry ID.
+	 * @param int  $form_id     Contact Form 7 form ID.
+	 * @param bool $dead_letter Whether the delivery failed its scheduled retries.
+	 * @return void
+	 */
+	private function send_channel_failure_alert( int $log_id, int $form_id, bool $dead_letter = false ): void {
+		$log = $this->get_log( $log_id );
+
+		if ( null === $log ) {
+			return;
+		}
+
+		$form_title = $this->get_form_title( $form_id );
+
+		if ( $dead_letter ) {
+			$message = \__( 'A form submission failed every scheduled retry and will not be retried again automatically. You can still retry it manually from the log entry.', 'contact-form-to-api' );
+		} else {
+			$message = \__( 'A form submission has permanently failed after exhausting all retry attempts.', 'contact-form-to-api' );
+		}
+
+		$this->get_channels()->dispatch(
+			array(
+				'type'    => $dead_letter ? 'dead_letter' : 'individual',
+				'title'   => $this->get_failure_title( $form_title, $dead_letter ),
+				'message' => $message,
+				'fields'  => array(
+					array(
+						'key'   => 'form',
+						'label' => \__( 'Form', 'contact-form-to-api' ),
+						'value' => $form_title,
+					),
+					array(
+						'key'   => 'endpoint',
+						'label' => \__( 'Endpoint', 'contact-form-to-api' ),
+						'value' => ! empty( $log['endpoint'] ) ? (string) $log['endpoint'] : \__( 'N/A', 'contact-form-to-api' ),
+					),
+					array(
+						'key'   => 'response_code',
+						'label' => \__( 'Response Code', 'contact-form-to-api' ),
+						'value' => ! empty( $log['response_code'] ) ? (string) $log['response_code'] : \__( 'N/A', 'contact-form-to-api' ),
+					),
+					array(
+						'key'   => 'error_message',
+						'label' => \__( 'Error', 'contact-form-to-api' ),
+						'value' => ! empty( $log['error_message'] ) ? (string) $log['error_message'] : \__( 'Unknown error', 'contact-form-to-api' ),
+					),
+					array(
+						'key'   => 'log_id',
+						'label' => \__( 'Log ID', 'contact-form-to-api' ),
+						'value' => (string) $log_id,
+					),
+				),
+				'url'     => \add_query_arg(
+					array(
+						'page'   => 'cf7-api-logs',
+						'action' => 'view',
+						'log_id' => $log_id,
+					),
+					\admin_url( 'admin.php' )
+				),
+			)
+		);
+	}
+
+	/**
+	 * Get a log entry
+	 *
+	 * @since 2.5.0
+	 * @param int $log_id Log entry ID.
+	 * @return array<string, mixed>|null Log entry data, or null if not found.
+	 */
+	private function get_log( int $log_id ): ?array {
+		// Initialize log reader if needed.
+		if ( null === $this->log_reader ) {
+			$this->log_reader = new LogReader();
+		}
+
+		return $this->log_reader->get_log( $log_id );
+	}
+
+	/**
+	 * Get the title of a form, or a placeholder for deleted forms
+	 *
+	 * @since 2.5.0
+	 * @param int $form_id Contact Form 7 form ID.
+	 * @return string
+	 */
+	private function get_form_title( int $form_id ): string {
+		$form_title = \get_the_title( $form_id );
+		if ( empty( $form_title ) ) {
+			$form_title = \sprintf(
+				/* translators: %d: form ID */
+				\__( 'Form #%d', 'contact-form-to-api' ),
+				$form_id
+			);
+		}
+
+		return $form_title;
+	}
+
+	/**
+	 * Get the subject of a failed submission alert
+	 *
+	 * @since 2.5.0
+	 * @param string $form_title  Form title.
+	 * @param bool   $dead_letter Whether the delivery failed its scheduled retries.
+	 * @return string
+	 */
+	private function get_failure_title( string $form_title, bool $dead_letter ): string {
+		if ( $dead_letter ) {
+			return \sprintf(
+				/* translators: %1$s: site name, %2$s: form title */
+				\__( '[%1$s] API Submission Moved to Dead Letter: %2$s', 'contact-form-to-api' ),
+				\get_bloginfo( 'name' ),
+				$form_title
+			);
+		}
+
+		return \sprintf(
+			/* translators: %1$s: site name, %2$s: form title */
+			\__( '[%1$s] API Submission Failed: %2$s', 'contact-form-to-api' ),
+			\get_bloginfo( 'name' ),
+			$form_title
+		);
+	}
+
 	/**
 	 * Build individual failure alert email body HTML
 	 *
 	 * @since 2.1.0
-	 * @param array<string, mixed> $log        Log entry data.
-	 * @param string               $form_title Form title.
+	 * @since 2.5.0 Added the `$dead_letter` parameter.
+	 * @param array<string, mixed> $log         Log entry data.
+	 * @param string               $form_title  Form title.
+	 * @param bool                 $dead_letter Whether the delivery failed its scheduled retries.
 	 * @return string HTML email body.
 	 */
-	private function build_individual_alert_body( array $log, string $form_title ): string {
+	private function build_individual_alert_body( array $log, string $form_title, bool $dead_letter = false ): string {
 		$logs_url       = \admin_url( 'admin.php?page=cf7-api-logs' );
 		$log_detail_url = \add_query_arg(
 			array(
@@ -525,8 +958,13 @@ class EmailAlertService implements LoadableInterface {
 		$html .= 'code { background: #f5f5f5; padding: 2px 6px; border-radius: 3px; font-family: monospace; }';
 		$html .= '</style></head><body>';
 
-		$html .= '<h2>' . \esc_html__( 'API Submission Failed', 'contact-form-to-api' ) . '</h2>';
-		$html .= '<p>' . \esc_html__( 'A form submission has permanently failed after exhausting all retry attempts.', 'contact-form-to-api' ) . '</p>';
+		if ( $dead_letter ) {
+			$html .= '<h2>' . \esc_html__( 'API Submission Moved to Dead Letter', 'contact-form-to-api' ) . '</h2>';
+			$html .= '<p>' . \esc_html__( 'A form submission failed every scheduled retry and will not be retried again automatically. You can still retry it manually from the log entry.', 'contact-form-to-api' ) . '</p>';
+		} else {
+			$html .= '<h2>' . \esc_html__( 'API Submission Failed', 'contact-form-to-api' ) . '</h2>';
+			$html .= '<p>' . \esc_html__( 'A form submission has permanently failed after exhausting all retry attempts.', 'contact-form-to-api' ) . '</p>';
+		}
 
 		$html .= '<table>';
 		$html .= '<tr><td>' . \esc_html__( 'Site', 'contact-form-to-api' ) . '</td><td>' . \esc_html( $site_name ) . '</td></tr>';
@@ -34,6 +34,8 @@ class EncryptionService implements LoadableInterface {
 	/**
 	 * Encryption version identifier
 	 *
+	 * Version of the key used before key rotation existed.
+	 *
 	 * @since 1.3.0
 	 * @var int
 	 */
@@ -42,10 +44,44 @@ class EncryptionService implements LoadableInterface {
 	/**
 	 * Plugin-specific salt for key derivation
 	 *
+	 * Suffixed with the key version, so version 1 keeps the original salt.
+	 *
 	 * @since 1.3.0
 	 * @var string
 	 */
-	private const PLUGIN_SALT = 'cf7_api_encryption_v1';
+	private const PLUGIN_SALT = 'cf7_api_encryption_v';
+
+	/**
+	 * Option storing the active key version
+	 *
+	 * @since 2.5.0
+	 * @var string
+	 */
+	private const VERSION_OPTION = 'cf7_api_encryption_version';
+
+	/**
+	 * Option storing the keys replaced by a key rotation
+	 *
+	 * @since 2.5.0
+	 * @var string
+	 */
+	private const PREVIOUS_KEYS_OPTION = 'cf7_api_encryption_previous_keys';
+
+	/**
+	 * Key derivation context of the key sealing the previous keys
+	 *
+	 * @since 2.5.0
+	 * @var string
+	 */
+	private const PREVIOUS_KEYS_CONTEXT = 'cf7_api_previous_keys_v1';
+
+	/**
+	 * Key derivation context of the blind index key
+	 *
+	 * @since 2.5.0
+	 * @var string
+	 */
+	private const BLIND_INDEX_CONTEXT = 'cf7_api_blind_index_v1';
 
 	/**
 	 * Singleton instance
@@ -61,6 +97,13 @@ class EncryptionService implements LoadableInterface {
 	 */
 	private ?string $key = null;
 
+	/**
+	 * Cached keys kept for a rotation
+	 *
+	 * @var array<int, string>|null
+	 */
+	private ?array $previous_keys = null;
+
 	/**
 	 * Initialization flag
 	 *
@@ -195,6 +238,7 @@ class EncryptionService implements LoadableInterface {
 	 * Automatically detects format and returns appropriate result.
 	 *
 	 * @since 1.3.0
+	 * @since 2.5.0 Falls back to the keys kept for a key rotation.
 	 * @param string $data Data to decrypt (or plaintext).
 	 * @return string Decrypted plaintext data.
 	 * @throws DecryptionException If decryption fails due to tampering or corruption.
@@ -220,45 +264,8 @@ class EncryptionService implements LoadableInterface {
 			return $data;
 		}
 
-		try {
-			// Decode from base64.
-			$decoded = \base64_decode( $data, true );
-			if ( false === $decoded ) {
-				throw new DecryptionException( 'Invalid base64 encoding' );
-			}
-
-			// Extract nonce and ciphertext.
-			$nonce      = \substr( $decoded, 0, SODIUM_CRYPTO_SECRETBOX_NONCEBYTES );
-			$ciphertext = \substr( $decoded, SODIUM_CRYPTO_SECRETBOX_NONCEBYTES );
-
-			// Decrypt with authenticated decryption.
-			$plaintext = \sodium_crypto_secretbox_open( $ciphertext, $nonce, $this->get_key() );
-
-			// Check for decryption failure (returns false on tampering/corruption).
-			if ( false === $plaintext ) {
-				throw new DecryptionException( 'Decryption failed - data may be tampered or corrupted' );
-			}
-
-			// Clear sensitive data from memory.
-			\sodium_memzero( $decoded );
-			\sodium_memzero( $nonce );
-			\sodium_memzero( $ciphertext );
-
-			return $plaintext;
-
-		} catch ( DecryptionException $e ) {
-			// Re-throw decryption exceptions.
-			throw $e;
-		} catch ( \Exception $e ) {
-			// Log decryption failure (without sensitive data).
-			if ( \class_exists( DebugLogger::class ) ) {
-				DebugLogger::instance()->error( 'Decryption failed: ' . $e->getMessage() );
-			}
-
-			// Throw exception to indicate failure.
-			// phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped -- Exception passed to constructor, not output.
-			throw new DecryptionException( 'Decryption failed: ' . $e->getMessage(), 0, $e );
-		}
+		// Data written before a key rotation finished may use a previous key.
+		return $this->open( $data, \array_merge( array( $this->get_key() ), $this->get_previous_keys() ) );
 	}
 
 	/**
@@ -297,10 +304,92 @@ class EncryptionService implements LoadableInterface {
 	 * Returns current encryption version identifier.
 	 *
 	 * @since 1.3.0
+	 * @since 2.5.0 Returns the active key version.
 	 * @return int Version number.
 	 */
 	public function get_version(): int {
-		return self::VERSION;
+		return \max( self::VERSION, (int) \get_option( self::VERSION_OPTION, self::VERSION ) );
+	}
+
+	/**
+	 * Keep the active key to decrypt existing data after a rotation
+	 *
+	 * When the WordPress salts already changed, the active key can no longer
+	 * decrypt older data: pass the previous AUTH_KEY so its key is kept too.
+	 * Any keys kept before are replaced.
+	 *
+	 * @since 2.5.0
+	 * @param string $previous_secret Previous AUTH_KEY (optional).
+	 * @return void
+	 */
+	public function remember_previous_keys( string $previous_secret = '' ): void {
+		$keys = array( $this->get_key() );
+
+		if ( '' !== $previous_secret ) {
+			$keys[] = $this->derive_version_key( $previous_secret, $this->get_version() );
+		}
+
+		$nonce  = \random_bytes( SODIUM_CRYPTO_SECRETBOX_NONCEBYTES );
+		$sealed = \sodium_crypto_secretbox( \implode( '', $keys ), $nonce, $this->get_sealing_key() );
+
+		\update_option( self::PREVIOUS_KEYS_OPTION, \base64_encode( $nonce . $sealed ), false );
+		$this->previous_keys = $keys;
+	}
+
+	/**
+	 * Switch to the next key version
+	 *
+	 * New data is encrypted with the key of the new version; data of older
+	 * versions stays readable through the keys kept by remember_previous_keys().
+	 *
+	 * @since 2.5.0
+	 * @return int New key version.
+	 */
+	public function activate_next_version(): int {
+		$version = $this->get_version() + 1;
+
+		\update_option( self::VERSION_OPTION, $version );
+		$this->key = null;
+
+		return $version;
+	}
+
+	/**
+	 * Check whether keys of a rotation in progress are kept
+	 *
+	 * @since 2.5.0
+	 * @return bool
+	 */
+	public function has_previous_keys(): bool {
+		return ! empty( $this->get_previous_keys() );
+	}
+
+	/**
+	 * Forget the keys kept for a rotation
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function forget_previous_keys(): void {
+		\delete_option( self::PREVIOUS_KEYS_OPTION );
+		$this->previous_keys = array();
+	}
+
+	/**
+	 * Compute a blind index of a value
+	 *
+	 * Keyed hash (HMAC-SHA256) that allows exact-match lookups of encrypted
+	 * values without storing them. The key is derived from the encryption key
+	 * but is never used to encrypt, so an index leak does not expose the key.
+	 *
+	 * @since 2.5.0
+	 * @param string $value Normalized value.
+	 * @return string Hex-encoded hash (64 characters).
+	 */
+	public function blind_index( string $value ): string {
+		$index_key = \hash_hkdf( 'sha256', $this->get_key(), 32, self::BLIND_INDEX_CONTEXT );
+
+		return \hash_hmac( 'sha256', $value, $index_key );
 	}
 
 	/**
@@ -324,6 +413,7 @@ class EncryptionService implements LoadableInterface {
 	 * encryption key from WordPress AUTH_KEY constant.
 	 *
 	 * @since 1.3.0
+	 * @since 2.5.0 Derives the key of the active key version.
 	 * @return string Binary encryption key (32 bytes).
 	 */
 	private function derive_key(): string {
@@ -332,47 +422,169 @@ class EncryptionService implements LoadableInterface {
 			return $this->key;
 		}
 
+		$this->key = $this->derive_version_key( $this->get_key_material(), $this->get_version() );
+
+		return $this->key;
+	}
+
+	/**
+	 * Derive the key of a key version
+	 *
+	 * @since 2.5.0
+	 * @param string $ikm     Input key material.
+	 * @param int    $version Key version.
+	 * @return string Binary encryption key (32 bytes).
+	 */
+	private function derive_version_key( string $ikm, int $version ): string {
+		// Derive a 32-byte key using HKDF with SHA-256.
+		return \hash_hkdf(
+			'sha256',
+			$ikm,
+			SODIUM_CRYPTO_SECRETBOX_KEYBYTES,
+			self::PLUGIN_SALT . $version
+		);
+	}
+
+	/**
+	 * Get the input key material
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	private function get_key_material(): string {
 		// Prefer WordPress AUTH_KEY as input key material when available.
 		if ( \defined( 'AUTH_KEY' ) && AUTH_KEY ) {
-			$ikm = AUTH_KEY;
-		} else {
-			// Fallback: use a securely generated, per-site random key stored in options.
-			$option_name = 'cf7_api_encryption_key';
-			$site_key    = (string) \get_option( $option_name, '' );
-
-			if ( '' === $site_key ) {
-				try {
-					// Generate a high-entropy random key and store it for future use.
-					$site_key = \bin2hex( \random_bytes( SODIUM_CRYPTO_SECRETBOX_KEYBYTES ) );
-				} catch ( \Exception $exception ) {
-					// Fallback to a deterministic but still non-predictable value if random_bytes() fails.
-					$site_key = \hash( 'sha256', \uniqid( 'cf7_api_encryption_', true ) );
-				}
+			return AUTH_KEY;
+		}
 
-				// Do not autoload this option to minimize memory overhead.
-				\update_option( $option_name, $site_key, false );
+		// Fallback: use a securely generated, per-site random key stored in options.
+		$option_name = 'cf7_api_encryption_key';
+		$site_key    = (string) \get_option( $option_name, '' );
+
+		if ( '' === $site_key ) {
+			try {
+				// Generate a high-entropy random key and store it for future use.
+				$site_key = \bin2hex( \random_bytes( SODIUM_CRYPTO_SECRETBOX_KEYBYTES ) );
+			} catch ( \Exception $exception ) {
+				// Fallback to a deterministic but still non-predictable value if random_bytes() fails.
+				$site_key = \hash( 'sha256', \uniqid( 'cf7_api_encryption_', true ) );
 			}
 
-			$ikm = $site_key;
+			// Do not autoload this option to minimize memory overhead.
+			\update_option( $option_name, $site_key, false );
+		}
 
-			// Log a warning so site owners are aware AUTH_KEY is not defined.
-			if ( \class_exists( DebugLogger::class ) ) {
-				DebugLogger::instance()->warning(
-					'AUTH_KEY is not defined; using generated encryption key stored in options.',
-					array( 'option' => $option_name )
-				);
-			}
+		// Log a warning so site owners are aware AUTH_KEY is not defined.
+		if ( \class_exists( DebugLogger::class ) ) {
+			DebugLogger::instance()->warning(
+				'AUTH_KEY is not defined; using generated encryption key stored in options.',
+				array( 'option' => $option_name )
+			);
 		}
 
-		// Derive a 32-byte key using HKDF with SHA-256.
-		$this->key = \hash_hkdf(
-			'sha256',
-			$ikm,
-			SODIUM_CRYPTO_SECRETBOX_KEYBYTES,
-			self::PLUGIN_SALT
+		return $site_key;
+	}
+
+	/**
+	 * Get the key sealing the previous keys
+	 *
+	 * Independent of the key version, so the previous keys stay readable
+	 * while the active version changes.
+	 *
+	 * @since 2.5.0
+	 * @return string Binary key (32 bytes).
+	 */
+	private function get_sealing_key(): string {
+		return \hash_hkdf( 'sha256', $this->get_key_material(), SODIUM_CRYPTO_SECRETBOX_KEYBYTES, self::PREVIOUS_KEYS_CONTEXT );
+	}
+
+	/**
+	 * Get the keys kept for a rotation
+	 *
+	 * @since 2.5.0
+	 * @return array<int, string> Binary keys.
+	 */
+	private function get_previous_keys(): array {
+		if ( null !== $this->previous_keys ) {
+			return $this->previous_keys;
+		}
+
+		$this->previous_keys = array();
+
+		$stored = (string) \get_option( self::PREVIOUS_KEYS_OPTION, '' );
+		if ( '' === $stored ) {
+			return $this->previous_keys;
+		}
+
+		$decoded = (string) \base64_decode( $stored, true );
+		$keys    = \sodium_crypto_secretbox_open(
+			\substr( $decoded, SODIUM_CRYPTO_SECRETBOX_NONCEBYTES ),
+			\substr( $decoded, 0, SODIUM_CRYPTO_SECRETBOX_NONCEBYTES ),
+			$this->get_sealing_key()
 		);
 
-		return $this->key;
+		if ( false !== $keys && '' !== $keys ) {
+			$this->previous_keys = \str_split( $keys, SODIUM_CRYPTO_SECRETBOX_KEYBYTES );
+		}
+
+		return $this->previous_keys;
+	}
+
+	/**
+	 * Open encrypted data with the first matching key
+	 *
+	 * @since 2.5.0
+	 * @param string             $data Base64-encoded encrypted data with nonce prepended.
+	 * @param array<int, string> $keys Binary keys to try.
+	 * @return string Decrypted plaintext data.
+	 * @throws DecryptionException If no key decrypts the data.
+	 */
+	private function open( string $data, array $keys ): string {
+		try {
+			// Decode from base64.
+			$decoded = \base64_decode( $data, true );
+			if ( false === $decoded ) {
+				throw new DecryptionException( 'Invalid base64 encoding' );
+			}
+
+			// Extract nonce and ciphertext.
+			$nonce      = \substr( $decoded, 0, SODIUM_CRYPTO_SECRETBOX_NONCEBYTES );
+			$ciphertext = \substr( $decoded, SODIUM_CRYPTO_SECRETBOX_NONCEBYTES );
+
+			// Decrypt with authenticated decryption.
+			$plaintext = false;
+			foreach ( $keys as $key ) {
+				$plaintext = \sodium_crypto_secretbox_open( $ciphertext, $nonce, $key );
+				if ( false !== $plaintext ) {
+					break;
+				}
+			}
+
+			// Check for decryption failure (returns false on tampering/corruption).
+			if ( false === $plaintext ) {
+				throw new DecryptionException( 'Decryption failed - data may be tampered or corrupted' );
+			}
+
+			// Clear sensitive data from memory.
+			\sodium_memzero( $decoded );
+			\sodium_memzero( $nonce );
+			\sodium_memzero( $ciphertext );
+
+			return $plaintext;
+
+		} catch ( DecryptionException $e ) {
+			// Re-throw decryption exceptions.
+			throw $e;
+		} catch ( \Exception $e ) {
+			// Log decryption failure (without sensitive data).
+			if ( \class_exists( DebugLogger::class ) ) {
+				DebugLogger::instance()->error( 'Decryption failed: ' . $e->getMessage() );
+			}
+
+			// Throw exception to indicate failure.
+			// phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped -- Exception passed to constructor, not output.
+			throw new DecryptionException( 'Decryption failed: ' . $e->getMessage(), 0, $e );
+		}
 	}
 
 	/**
@@ -0,0 +1,220 @@
+<?php
+/**
+ * Condition Evaluator
+ *
+ * Evaluates sending conditions against submitted form values.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Utils
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Utils;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class ConditionEvaluator
+ *
+ * Conditions are stored as:
+ *
+ *     array(
+ *         'match' => 'all'|'any',
+ *         'rules' => array(
+ *             array( 'field' => 'country', 'operator' => 'equals', 'value' => 'US' ),
+ *         ),
+ *     )
+ *
+ * Multi-value fields (checkboxes, multi-selects) match when any of their
+ * values matches; negative operators require that none of them match.
+ * A condition set without rules always passes.
+ *
+ * @since 2.5.0
+ */
+class ConditionEvaluator {
+	/**
+	 * Supported operators
+	 *
+	 * @var array<string>
+	 */
+	public const OPERATORS = array(
+		'equals',
+		'not_equals',
+		'contains',
+		'not_contains',
+		'in',
+		'is_empty',
+		'not_empty',
+		'greater_than',
+		'less_than',
+	);
+
+	/**
+	 * Operators that do not use a comparison value
+	 *
+	 * @var array<string>
+	 */
+	private const UNARY_OPERATORS = array( 'is_empty', 'not_empty' );
+
+	/**
+	 * Get the reason a submission does not satisfy the conditions
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array<string, mixed> $conditions Condition set (match and rules).
+	 * @param array<string, mixed> $values     Submitted values keyed by field name.
+	 * @return string|null Description of the blocking rule(s), null when the conditions pass.
+	 */
+	public static function get_skip_reason( array $conditions, array $values ): ?string {
+		$rules = \array_values(
+			\array_filter(
+				(array) ( $conditions['rules'] ?? array() ),
+				fn( $rule ) => \is_array( $rule ) && ! empty( $rule['field'] ) && \in_array( $rule['operator'] ?? '', self::OPERATORS, true )
+			)
+		);
+
+		if ( empty( $rules ) ) {
+			return null;
+		}
+
+		$match_any = 'any' === ( $conditions['match'] ?? 'all' );
+		$failed    = array();
+
+		foreach ( $rules as $rule ) {
+			$passed = self::evaluate_rule( $rule, $values[ $rule['field'] ] ?? '' );
+
+			if ( $passed && $match_any ) {
+				return null;
+			}
+
+			if ( ! $passed ) {
+				if ( ! $match_any ) {
+					return self::describe( $rule );
+				}
+				$failed[] = self::describe( $rule );
+			}
+		}
+
+		if ( ! $match_any ) {
+			return null;
+		}
+
+		/* translators: %s: list of sending rules, separated by "; " */
+		return \sprintf( \__( 'None of the rules matched: %s', 'contact-form-to-api' ), \implode( '; ', $failed ) );
+	}
+
+	/**
+	 * Evaluate a single rule
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array<string, mixed> $rule  Rule (field, operator, value).
+	 * @param mixed                $value Submitted value.
+	 * @return bool Whether the rule passes.
+	 */
+	public static function evaluate_rule( array $rule, $value ): bool {
+		$operator = (string) ( $rule['operator'] ?? 'equals' );
+		$expected = \trim( (string) ( $rule['value'] ?? '' ) );
+		$items    = \array_map(
+			fn( $item ) => \trim( (string) $item ),
+			\is_array( $value ) ? $value : array( $value )
+		);
+		$items    = \array_values( \array_filter( $items, fn( $item ) => '' !== $item ) );
+
+		switch ( $operator ) {
+			case 'is_empty':
+				return empty( $items );
+
+			case 'not_empty':
+				return ! empty( $items );
+
+			case 'not_equals':
+				return ! self::any( $items, fn( $item ) => 0 === \strcasecmp( $item, $expected ) );
+
+			case 'contains':
+				return self::any( $items, fn( $item ) => '' !== $expected && false !== \stripos( $item, $expected ) );
+
+			case 'not_contains':
+				return ! self::any( $items, fn( $item ) => '' !== $expected && false !== \stripos( $item, $expected ) );
+
+			case 'in':
+				$options = \array_map( 'strtolower', \array_map( 'trim', \explode( ',', $expected ) ) );
+				return self::any( $items, fn( $item ) => \in_array( \strtolower( $item ), $options, true ) );
+
+			case 'greater_than':
+				return self::any( $items, fn( $item ) => \is_numeric( $item ) && \is_numeric( $expected ) && (float) $item > (float) $expected );
+
+			case 'less_than':
+				return self::any( $items, fn( $item ) => \is_numeric( $item ) && \is_numeric( $expected ) && (float) $item < (float) $expected );
+
+			case 'equals':
+			default:
+				if ( '' === $expected ) {
+					return empty( $items );
+				}
+				return self::any( $items, fn( $item ) => 0 === \strcasecmp( $item, $expected ) );
+		}
+	}
+
+	/**
+	 * Describe a rule for logs
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array<string, mixed> $rule Rule (field, operator, value).
+	 * @return string Human readable rule, e.g. `country equals "US"`.
+	 */
+	public static function describe( array $rule ): string {
+		$operator = (string) ( $rule['operator'] ?? 'equals' );
+		$labels   = self::get_operator_labels();
+		$text     = ( $rule['field'] ?? '' ) . ' ' . ( $labels[ $operator ] ?? $operator );
+
+		if ( ! \in_array( $operator, self::UNARY_OPERATORS, true ) ) {
+			$text .= ' "' . ( $rule['value'] ?? '' ) . '"';
+		}
+
+		return $text;
+	}
+
+	/**
+	 * Get translated operator labels
+	 *
+	 * @since 2.5.0
+	 *
+	 * @return array<string, string> Labels keyed by operator.
+	 */
+	public static function get_operator_labels(): array {
+		return array(
+			'equals'       => \__( 'equals', 'contact-form-to-api' ),
+			'not_equals'   => \__( 'does not equal', 'contact-form-to-api' ),
+			'contains'     => \__( 'contains', 'contact-form-to-api' ),
+			'not_contains' => \__( 'does not contain', 'contact-form-to-api' ),
+			'in'           => \__( 'is one of', 'contact-form-to-api' ),
+			'is_empty'     => \__( 'is empty / unchecked', 'contact-form-to-api' ),
+			'not_empty'    => \__( 'is not empty / checked', 'contact-form-to-api' ),
+			'greater_than' => \__( 'is greater than', 'contact-form-to-api' ),
+			'less_than'    => \__( 'is less than', 'contact-form-to-api' ),
+		);
+	}
+
+	/**
+	 * Check whether any item satisfies a callback
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array<int, string> $items    Values.
+	 * @param callable           $callback Predicate.
+	 * @return bool
+	 */
+	private static function any( array $items, callable $callback ): bool {
+		foreach ( $items as $item ) {
+			if ( $callback( $item ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+}
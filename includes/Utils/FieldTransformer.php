@@ -0,0 +1,261 @@
+<?php
+/**
+ * Field Transformer
+ *
+ * Applies the value transforms configured in the field mapping editor and
+ * builds nested payloads from dotted API keys.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Utils
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Utils;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class FieldTransformer
+ *
+ * Mapping rules are stored per form as:
+ *
+ *     array(
+ *         'transforms' => array(
+ *             'your-email' => array(
+ *                 array( 'type' => 'trim' ),
+ *                 array( 'type' => 'lowercase' ),
+ *             ),
+ *             'your-date'  => array(
+ *                 array( 'type' => 'date', 'from' => 'd/m/Y', 'to' => 'Y-m-d' ),
+ *             ),
+ *         ),
+ *         'constants'  => array(
+ *             array( 'key' => 'source', 'value' => 'website' ),
+ *         ),
+ *     )
+ *
+ * Transforms run in order on each submitted value. Transform settings:
+ * - date:    `from` (input format, empty to parse any date) and `to` (output format).
+ * - phone:   `country` (calling code used when the number has no international prefix).
+ * - default: `value` used when the submitted value is empty.
+ * - lookup:  `map` of submitted value => sent value; other values are kept.
+ * - concat:  `fields` (other form fields appended to the value) and `separator`.
+ *
+ * @since 2.5.0
+ */
+class FieldTransformer {
+	/**
+	 * Supported transform types
+	 *
+	 * @var array<string>
+	 */
+	public const TYPES = array( 'trim', 'lowercase', 'date', 'phone', 'default', 'lookup', 'concat' );
+
+	/**
+	 * Apply a list of transforms to a submitted value
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param mixed                            $value          Submitted value (scalar).
+	 * @param array<int, array<string, mixed>> $transforms     Transforms to apply, in order.
+	 * @param array<string, mixed>             $submitted_data All submitted values, used by `concat`.
+	 * @return mixed Transformed value.
+	 */
+	public static function apply( $value, array $transforms, array $submitted_data = array() ) {
+		foreach ( $transforms as $transform ) {
+			if ( ! \is_array( $transform ) || ! \in_array( $transform['type'] ?? '', self::TYPES, true ) ) {
+				continue;
+			}
+
+			$value = self::apply_transform( \is_scalar( $value ) ? (string) $value : '', $transform, $submitted_data );
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Set a value in a payload, creating nested arrays for dotted keys
+	 *
+	 * `contact.email` sets `$fields['contact']['email']`. A scalar already
+	 * stored on an intermediate key is replaced by an array.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array<string, mixed> $fields Payload.
+	 * @param string               $key    API key, segments separated by dots.
+	 * @param mixed                $value  Value to set.
+	 * @return array<string, mixed> Updated payload.
+	 */
+	public static function set_nested( array $fields, string $key, $value ): array {
+		$segments = \array_values( \array_filter( \explode( '.', $key ), fn( $segment ) => '' !== $segment ) );
+		if ( empty( $segments ) ) {
+			return $fields;
+		}
+
+		$target = &$fields;
+		foreach ( \array_slice( $segments, 0, -1 ) as $segment ) {
+			if ( ! isset( $target[ $segment ] ) || ! \is_array( $target[ $segment ] ) ) {
+				$target[ $segment ] = array();
+			}
+			$target = &$target[ $segment ];
+		}
+		$target[ \end( $segments ) ] = $value;
+		unset( $target );
+
+		return $fields;
+	}
+
+	/**
+	 * Normalize a phone number to E.164
+	 *
+	 * Numbers starting with `+` or `00` keep their country code; other numbers
+	 * get the default calling code with a leading trunk `0` removed.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $phone   Phone number as entered.
+	 * @param string $country Default country calling code, e.g. `1` or `+44`.
+	 * @return string E.164 number, or the input when it has no digits.
+	 */
+	public static function to_e164( string $phone, string $country = '' ): string {
+		$phone  = \trim( $phone );
+		$digits = (string) \preg_replace( '/\D+/', '', $phone );
+
+		if ( '' === $digits ) {
+			return $phone;
+		}
+
+		if ( \str_starts_with( $phone, '+' ) ) {
+			return '+' . $digits;
+		}
+
+		if ( \str_starts_with( $digits, '00' ) ) {
+			return '+' . \substr( $digits, 2 );
+		}
+
+		$country = (string) \preg_replace( '/\D+/', '', $country );
+		if ( '' === $country ) {
+			return '+' . $digits;
+		}
+
+		// National numbers already carrying the country code, e.g. 1 555 010 9999.
+		if ( \str_starts_with( $digits, $country ) && \strlen( $digits ) > 10 ) {
+			return '+' . $digits;
+		}
+
+		return '+' . $country . \ltrim( $digits, '0' );
+	}
+
+	/**
+	 * Parse the "from = to" lines of a lookup table
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $lines One entry per line.
+	 * @return array<string, string> Sent values keyed by submitted value.
+	 */
+	public static function parse_lookup_lines( string $lines ): array {
+		$map = array();
+
+		foreach ( \preg_split( '/\R/', $lines ) ?: array() as $line ) {
+			$parts = \explode( '=', $line, 2 );
+			if ( 2 !== \count( $parts ) ) {
+				continue;
+			}
+
+			$from = \trim( $parts[0] );
+			if ( '' !== $from ) {
+				$map[ $from ] = \trim( $parts[1] );
+			}
+		}
+
+		return $map;
+	}
+
+	/**
+	 * Get translated transform labels
+	 *
+	 * @since 2.5.0
+	 *
+	 * @return array<string, string> Labels keyed by transform type.
+	 */
+	public static function get_type_labels(): array {
+		return array(
+			'trim'      => \__( 'Trim whitespace', 'contact-form-to-api' ),
+			'lowercase' => \__( 'Lowercase', 'contact-form-to-api' ),
+			'date'      => \__( 'Date format', 'contact-form-to-api' ),
+			'phone'     => \__( 'Phone to E.164', 'contact-form-to-api' ),
+			'default'   => \__( 'Default when empty', 'contact-form-to-api' ),
+			'lookup'    => \__( 'Lookup table', 'contact-form-to-api' ),
+			'concat'    => \__( 'Concatenate fields', 'contact-form-to-api' ),
+		);
+	}
+
+	/**
+	 * Apply a single transform
+	 *
+	 * @param string               $value          Current value.
+	 * @param array<string, mixed> $transform      Transform settings.
+	 * @param array<string, mixed> $submitted_data All submitted values.
+	 * @return string
+	 */
+	private static function apply_transform( string $value, array $transform, array $submitted_data ): string {
+		switch ( $transform['type'] ) {
+			case 'trim':
+				return \trim( $value );
+
+			case 'lowercase':
+				return \mb_strtolower( $value );
+
+			case 'date':
+				return self::format_date( $value, (string) ( $transform['from'] ?? '' ), (string) ( $transform['to'] ?? '' ) );
+
+			case 'phone':
+				return self::to_e164( $value, (string) ( $transform['country'] ?? '' ) );
+
+			case 'default':
+				return '' === \trim( $value ) ? (string) ( $transform['value'] ?? '' ) : $value;
+
+			case 'lookup':
+				$map = \is_array( $transform['map'] ?? null ) ? $transform['map'] : array();
+				return \array_key_exists( $value, $map ) ? (string) $map[ $value ] : $value;
+
+			case 'concat':
+				$parts = array( $value );
+				foreach ( (array) ( $transform['fields'] ?? array() ) as $field ) {
+					$other   = $submitted_data[ $field ] ?? '';
+					$parts[] = \is_array( $other ) ? \implode( ', ', $other ) : (string) $other;
+				}
+				$parts = \array_filter( \array_map( 'trim', $parts ), fn( $part ) => '' !== $part );
+				return \implode( (string) ( $transform['separator'] ?? ' ' ), $parts );
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Convert a date between formats
+	 *
+	 * @param string $value Date as submitted.
+	 * @param string $from  Input format, empty to let PHP parse the date.
+	 * @param string $to    Output format.
+	 * @return string Formatted date, or the input when it cannot be parsed.
+	 */
+	private static function format_date( string $value, string $from, string $to ): string {
+		if ( '' === \trim( $value ) || '' === $to ) {
+			return $value;
+		}
+
+		try {
+			$date = '' === $from
+				? new \DateTimeImmutable( \trim( $value ) )
+				: \DateTimeImmutable::createFromFormat( '!' . $from, \trim( $value ) );
+		} catch ( \Exception $e ) {
+			return $value;
+		}
+
+		return $date ? $date->format( $to ) : $value;
+	}
+}
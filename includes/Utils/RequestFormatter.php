@@ -0,0 +1,235 @@
+<?php
+/**
+ * Request Formatter
+ *
+ * Turns logged requests into cURL or HTTPie commands and raw HTTP messages
+ * that can be handed to an API vendor to reproduce a request.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Utils
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Utils;
+
+use SilverAssist\ContactFormToAPI\Service\Security\SensitiveDataPatterns;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class RequestFormatter
+ *
+ * Works on decrypted log entries. By default sensitive body fields and
+ * headers are masked with SensitiveDataPatterns, as in the log detail view.
+ * Unmasking only reveals body fields: sensitive headers are already redacted
+ * when the request is logged.
+ *
+ * @since 2.5.0
+ */
+class RequestFormatter {
+	/**
+	 * Supported output formats
+	 *
+	 * @var array<string>
+	 */
+	public const FORMATS = array( 'curl', 'httpie', 'http' );
+
+	/**
+	 * Format a logged request
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array<string, mixed> $log    Decrypted log entry.
+	 * @param string               $format One of FORMATS.
+	 * @param bool                 $mask   Whether to mask sensitive headers and body fields.
+	 * @return string Empty string for unknown formats.
+	 */
+	public static function format( array $log, string $format, bool $mask = true ): string {
+		switch ( $format ) {
+			case 'curl':
+				return self::to_curl( $log, $mask );
+
+			case 'httpie':
+				return self::to_httpie( $log, $mask );
+
+			case 'http':
+				return self::to_raw_http( $log, $mask );
+		}
+
+		return '';
+	}
+
+	/**
+	 * Get translated format labels
+	 *
+	 * @since 2.5.0
+	 *
+	 * @return array<string, string> Labels keyed by format.
+	 */
+	public static function get_format_labels(): array {
+		return array(
+			'curl'   => \__( 'cURL', 'contact-form-to-api' ),
+			'httpie' => \__( 'HTTPie', 'contact-form-to-api' ),
+			'http'   => \__( 'Raw HTTP', 'contact-form-to-api' ),
+		);
+	}
+
+	/**
+	 * Get the method, URL, headers and body of a logged request
+	 *
+	 * Form parameters (no JSON or XML Content-Type) are form-encoded for
+	 * POST-like methods; GET parameters are already part of the logged URL.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array<string, mixed> $log  Decrypted log entry.
+	 * @param bool                 $mask Whether to mask sensitive headers and body fields.
+	 * @return array{method: string, url: string, headers: array<string, string>, body: string}
+	 */
+	public static function get_request( array $log, bool $mask = true ): array {
+		$method  = \strtoupper( (string) ( $log['method'] ?? 'GET' ) );
+		$headers = \json_decode( (string) ( $log['request_headers'] ?? '' ), true );
+		$headers = \is_array( $headers ) ? \array_map( 'strval', \array_filter( $headers, 'is_scalar' ) ) : array();
+		$data    = (string) ( $log['request_data'] ?? '' );
+
+		if ( $mask ) {
+			$data = SensitiveDataPatterns::anonymize( $data );
+			foreach ( $headers as $name => $value ) {
+				if ( SensitiveDataPatterns::is_sensitive( (string) $name ) ) {
+					$headers[ $name ] = '***REDACTED***';
+				}
+			}
+		} else {
+			$decoded = \json_decode( $data, true );
+			$data    = \is_array( $decoded ) ? $decoded : $data;
+		}
+
+		$content_type = '';
+		foreach ( $headers as $name => $value ) {
+			if ( 'content-type' === \strtolower( (string) $name ) ) {
+				$content_type = \strtolower( $value );
+			}
+		}
+
+		if ( \is_array( $data ) ) {
+			if ( \str_contains( $content_type, 'json' ) ) {
+				$body = (string) \wp_json_encode( $data, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+			} elseif ( 'GET' === $method ) {
+				$body = '';
+			} else {
+				$body = \http_build_query( $data, '', '&' );
+				if ( '' === $content_type ) {
+					$headers['Content-Type'] = 'application/x-www-form-urlencoded';
+				}
+			}
+		} else {
+			$body = 'null' === \strtolower( (string) $data ) ? '' : (string) $data;
+		}
+
+		return array(
+			'method'  => $method,
+			'url'     => (string) ( $log['endpoint'] ?? '' ),
+			'headers' => $headers,
+			'body'    => $body,
+		);
+	}
+
+	/**
+	 * Format a logged request as a cURL command
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array<string, mixed> $log  Decrypted log entry.
+	 * @param bool                 $mask Whether to mask sensitive headers and body fields.
+	 * @return string
+	 */
+	public static function to_curl( array $log, bool $mask = true ): string {
+		$request = self::get_request( $log, $mask );
+		$parts   = array( 'curl', '-X ' . $request['method'], self::quote( $request['url'] ) );
+
+		foreach ( $request['headers'] as $name => $value ) {
+			$parts[] = '-H ' . self::quote( "{$name}: {$value}" );
+		}
+
+		if ( '' !== $request['body'] ) {
+			$parts[] = '--data-raw ' . self::quote( $request['body'] );
+		}
+
+		return \implode( " \\\n  ", $parts );
+	}
+
+	/**
+	 * Format a logged request as an HTTPie command
+	 *
+	 * The body is passed with `--raw` (HTTPie 3.2+) so it is sent exactly as logged.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array<string, mixed> $log  Decrypted log entry.
+	 * @param bool                 $mask Whether to mask sensitive headers and body fields.
+	 * @return string
+	 */
+	public static function to_httpie( array $log, bool $mask = true ): string {
+		$request = self::get_request( $log, $mask );
+		$parts   = array( 'http' );
+
+		if ( '' !== $request['body'] ) {
+			$parts[] = '--raw ' . self::quote( $request['body'] );
+		}
+
+		$parts[] = $request['method'] . ' ' . self::quote( $request['url'] );
+
+		foreach ( $request['headers'] as $name => $value ) {
+			$parts[] = self::quote( "{$name}:{$value}" );
+		}
+
+		return \implode( " \\\n  ", $parts );
+	}
+
+	/**
+	 * Format a logged request as a raw HTTP/1.1 message
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array<string, mixed> $log  Decrypted log entry.
+	 * @param bool                 $mask Whether to mask sensitive headers and body fields.
+	 * @return string
+	 */
+	public static function to_raw_http( array $log, bool $mask = true ): string {
+		$request = self::get_request( $log, $mask );
+		$url     = \wp_parse_url( $request['url'] );
+		$url     = \is_array( $url ) ? $url : array();
+		$target  = ( $url['path'] ?? '' ) ?: '/';
+
+		if ( isset( $url['query'] ) ) {
+			$target .= '?' . $url['query'];
+		}
+
+		$lines = array( "{$request['method']} {$target} HTTP/1.1" );
+		if ( isset( $url['host'] ) ) {
+			$lines[] = 'Host: ' . $url['host'] . ( isset( $url['port'] ) ? ':' . $url['port'] : '' );
+		}
+
+		foreach ( $request['headers'] as $name => $value ) {
+			$lines[] = "{$name}: {$value}";
+		}
+
+		if ( '' !== $request['body'] ) {
+			$lines[] = 'Content-Length: ' . \strlen( $request['body'] );
+		}
+
+		return \implode( "\n", $lines ) . "\n\n" . $request['body'];
+	}
+
+	/**
+	 * Quote a value for a POSIX shell
+	 *
+	 * @param string $value Value to quote.
+	 * @return string
+	 */
+	private static function quote( string $value ): string {
+		return "'" . \str_replace( "'", "'\\''", $value ) . "'";
+	}
+}
@@ -0,0 +1,273 @@
+<?php
+/**
+ * Response Evaluator
+ *
+ * Applies a form's response rules to API responses: decides whether a
+ * response counts as a success and extracts values from its body.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Utils
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Utils;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class ResponseEvaluator
+ *
+ * Response rules are stored as:
+ *
+ *     array(
+ *         'success_path'  => '$.ok',      // JSONPath ($...) or XPath (/...)
+ *         'success_value' => 'true',      // expected value; empty means "present and not false/empty"
+ *         'extract'       => array(
+ *             array( 'name' => 'lead_id', 'path' => '$.data.id' ),
+ *         ),
+ *     )
+ *
+ * Only a practical subset of JSONPath is supported: dotted keys, `['key']`
+ * and `[index]` segments, e.g. `$.data.items[0]['lead-id']`. XPath
+ * expressions are evaluated with DOMXPath against XML bodies.
+ *
+ * @since 2.5.0
+ */
+class ResponseEvaluator {
+
+	/**
+	 * Check whether response rules contain anything to evaluate
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array<string, mixed> $rules Response rules.
+	 * @return bool
+	 */
+	public static function has_rules( array $rules ): bool {
+		return ! empty( $rules['success_path'] ) || ! empty( $rules['extract'] );
+	}
+
+	/**
+	 * Get the reason a 2xx response body fails the success rule
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array<string, mixed> $rules Response rules.
+	 * @param string               $body  Response body.
+	 * @return string|null Description of the failed rule, null when the response is a success.
+	 */
+	public static function get_failure_reason( array $rules, string $body ): ?string {
+		$path = \trim( (string) ( $rules['success_path'] ?? '' ) );
+		if ( '' === $path ) {
+			return null;
+		}
+
+		$expected = \trim( (string) ( $rules['success_value'] ?? '' ) );
+		$actual   = self::query( $body, $path );
+
+		if ( '' === $expected ) {
+			if ( null !== $actual && '' !== $actual && 'false' !== $actual && '0' !== $actual ) {
+				return null;
+			}
+
+			return \sprintf(
+				/* translators: 1: JSONPath/XPath expression, 2: value found in the response */
+				\__( 'Success rule failed: %1$s is "%2$s".', 'contact-form-to-api' ),
+				$path,
+				$actual ?? \__( '(missing)', 'contact-form-to-api' )
+			);
+		}
+
+		if ( null !== $actual && \strtolower( $actual ) === \strtolower( $expected ) ) {
+			return null;
+		}
+
+		return \sprintf(
+			/* translators: 1: JSONPath/XPath expression, 2: value found in the response, 3: expected value */
+			\__( 'Success rule failed: %1$s is "%2$s", expected "%3$s".', 'contact-form-to-api' ),
+			$path,
+			$actual ?? \__( '(missing)', 'contact-form-to-api' ),
+			$expected
+		);
+	}
+
+	/**
+	 * Extract the configured fields from a response body
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array<string, mixed> $rules Response rules.
+	 * @param string               $body  Response body.
+	 * @return array<string, string> Extracted values keyed by field name; missing values are left out.
+	 */
+	public static function extract( array $rules, string $body ): array {
+		$values = array();
+
+		foreach ( (array) ( $rules['extract'] ?? array() ) as $field ) {
+			if ( ! \is_array( $field ) || empty( $field['name'] ) || empty( $field['path'] ) ) {
+				continue;
+			}
+
+			$value = self::query( $body, (string) $field['path'] );
+			if ( null !== $value ) {
+				$values[ (string) $field['name'] ] = $value;
+			}
+		}
+
+		return $values;
+	}
+
+	/**
+	 * Evaluate a JSONPath or XPath expression against a response body
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $body Response body.
+	 * @param string $path Expression starting with `$` (JSON) or `/` (XML).
+	 * @return string|null String value of the first match, null when nothing matches.
+	 */
+	public static function query( string $body, string $path ): ?string {
+		$path = \trim( $path );
+
+		if ( \str_starts_with( $path, '$' ) ) {
+			return self::query_json( $body, $path );
+		}
+
+		if ( \str_starts_with( $path, '/' ) ) {
+			return self::query_xml( $body, $path );
+		}
+
+		return null;
+	}
+
+	/**
+	 * Parse the "name = path" lines entered in the integration panel
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $lines One field per line.
+	 * @return array<int, array{name: string, path: string}>
+	 */
+	public static function parse_extract_lines( string $lines ): array {
+		$fields = array();
+
+		foreach ( \preg_split( '/\R/', $lines ) ?: array() as $line ) {
+			$parts = \explode( '=', $line, 2 );
+			if ( 2 !== \count( $parts ) ) {
+				continue;
+			}
+
+			$name = \sanitize_key( \trim( $parts[0] ) );
+			$path = \trim( $parts[1] );
+			if ( '' !== $name && '' !== $path ) {
+				$fields[] = array(
+					'name' => $name,
+					'path' => $path,
+				);
+			}
+		}
+
+		return $fields;
+	}
+
+	/**
+	 * Evaluate a JSONPath expression
+	 *
+	 * @param string $body JSON body.
+	 * @param string $path JSONPath expression.
+	 * @return string|null
+	 */
+	private static function query_json( string $body, string $path ): ?string {
+		$data = \json_decode( $body, true );
+		if ( null === $data && JSON_ERROR_NONE !== \json_last_error() ) {
+			return null;
+		}
+
+		\preg_match_all( '/\.([^.\[\]]+)|\[\s*(?:\'([^\']*)\'|"([^"]*)"|(\d+))\s*\]/', \substr( $path, 1 ), $segments, PREG_SET_ORDER );
+
+		foreach ( $segments as $segment ) {
+			$key = self::first_non_empty( $segment );
+			if ( ! \is_array( $data ) || ! \array_key_exists( $key, $data ) ) {
+				return null;
+			}
+			$data = $data[ $key ];
+		}
+
+		return self::to_string( $data );
+	}
+
+	/**
+	 * Evaluate an XPath expression
+	 *
+	 * @param string $body XML body.
+	 * @param string $path XPath expression.
+	 * @return string|null
+	 */
+	private static function query_xml( string $body, string $path ): ?string {
+		if ( '' === \trim( $body ) ) {
+			return null;
+		}
+
+		$previous = \libxml_use_internal_errors( true );
+		$document = new \DOMDocument();
+		$loaded   = $document->loadXML( $body, LIBXML_NONET );
+		\libxml_clear_errors();
+		\libxml_use_internal_errors( $previous );
+
+		if ( ! $loaded ) {
+			return null;
+		}
+
+		$result = @( new \DOMXPath( $document ) )->evaluate( $path ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged -- Invalid user expressions return false.
+
+		if ( $result instanceof \DOMNodeList ) {
+			return $result->length > 0 ? \trim( (string) $result->item( 0 )->textContent ) : null;
+		}
+
+		return false === $result ? null : self::to_string( $result );
+	}
+
+	/**
+	 * Get the first captured group of a JSONPath segment match
+	 *
+	 * @param array<int, string> $segment Regex match.
+	 * @return string|int
+	 */
+	private static function first_non_empty( array $segment ) {
+		if ( isset( $segment[4] ) && '' !== $segment[4] ) {
+			return (int) $segment[4];
+		}
+
+		foreach ( array( 1, 2, 3 ) as $group ) {
+			if ( isset( $segment[ $group ] ) && '' !== $segment[ $group ] ) {
+				return $segment[ $group ];
+			}
+		}
+
+		return '';
+	}
+
+	/**
+	 * Convert a matched value to the string used in comparisons and mail tags
+	 *
+	 * @param mixed $value Matched value.
+	 * @return string|null
+	 */
+	private static function to_string( $value ): ?string {
+		if ( null === $value ) {
+			return null;
+		}
+
+		if ( \is_bool( $value ) ) {
+			return $value ? 'true' : 'false';
+		}
+
+		if ( \is_array( $value ) ) {
+			return (string) \wp_json_encode( $value );
+		}
+
+		return (string) $value;
+	}
+}
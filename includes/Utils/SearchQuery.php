@@ -0,0 +1,126 @@
+<?php
+/**
+ * Search Query
+ *
+ * Parses the structured query syntax of the API logs search box.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Utils
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Utils;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class SearchQuery
+ *
+ * A query is a list of `key:value` filters and free text, for example
+ * `code:5xx email:jane@example.com time:>2000 timeout`. Values containing
+ * spaces are quoted: `error:"connection timed out"`. Filters are combined
+ * with AND; tokens with an unknown key are treated as free text.
+ *
+ * Built-in keys:
+ * - code:     response code, `404`, `5xx`, `400-499`, `>=500`.
+ * - time:     execution time in milliseconds, `>2000`, `<100`, `1000-3000`.
+ * - endpoint: part of the endpoint URL.
+ * - error:    part of the error message.
+ * - method:   HTTP method.
+ *
+ * Other keys are the searchable fields configured in the settings.
+ *
+ * @since 2.5.0
+ */
+class SearchQuery {
+	/**
+	 * Built-in filter keys
+	 *
+	 * @var array<string>
+	 */
+	public const KEYS = array( 'code', 'time', 'endpoint', 'error', 'method' );
+
+	/**
+	 * Split a query into filters and free text
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string        $query      Search box value.
+	 * @param array<string> $extra_keys Additional keys, e.g. searchable fields.
+	 * @return array{filters: array<int, array{key: string, value: string}>, text: string}
+	 */
+	public static function parse( string $query, array $extra_keys = array() ): array {
+		$keys    = \array_merge( self::KEYS, \array_map( 'strtolower', $extra_keys ) );
+		$filters = array();
+		$text    = array();
+
+		\preg_match_all( '/([\w.-]+):(?:"([^"]*)"|(\S+))|"[^"]*"|\S+/', $query, $matches, PREG_SET_ORDER );
+
+		foreach ( $matches as $match ) {
+			$key   = \strtolower( $match[1] ?? '' );
+			$value = ( $match[2] ?? '' ) . ( $match[3] ?? '' );
+
+			if ( '' !== $key && '' !== $value && \in_array( $key, $keys, true ) && self::is_valid( $key, $value ) ) {
+				$filters[] = array(
+					'key'   => $key,
+					'value' => $value,
+				);
+				continue;
+			}
+
+			$text[] = \str_replace( '"', '', $match[0] );
+		}
+
+		return array(
+			'filters' => $filters,
+			'text'    => \trim( \implode( ' ', $text ) ),
+		);
+	}
+
+	/**
+	 * Parse a numeric range
+	 *
+	 * `5xx` covers 500-599, `400-499` is inclusive, and a plain number is an
+	 * exact match.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $value Filter value.
+	 * @return array<int, array{0: string, 1: int}>|null Comparisons (operator, number), or null when invalid.
+	 */
+	public static function parse_range( string $value ): ?array {
+		// sanitize_text_field() encodes a lone "<".
+		$value = \strtolower( \trim( \str_replace( array( '&lt;', '&gt;' ), array( '<', '>' ), $value ) ) );
+
+		if ( \preg_match( '/^([1-9])xx$/', $value, $match ) ) {
+			return array( array( '>=', (int) $match[1] * 100 ), array( '<=', (int) $match[1] * 100 + 99 ) );
+		}
+
+		if ( \preg_match( '/^(\d+)-(\d+)$/', $value, $match ) ) {
+			return array( array( '>=', (int) $match[1] ), array( '<=', (int) $match[2] ) );
+		}
+
+		if ( \preg_match( '/^(>=|<=|>|<|=)?(\d+)$/', $value, $match ) ) {
+			return array( array( '' !== $match[1] ? $match[1] : '=', (int) $match[2] ) );
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check that a filter value can be used
+	 *
+	 * @param string $key   Filter key.
+	 * @param string $value Filter value.
+	 * @return bool
+	 */
+	private static function is_valid( string $key, string $value ): bool {
+		if ( 'code' === $key || 'time' === $key ) {
+			return null !== self::parse_range( $value );
+		}
+
+		return '' !== \trim( $value );
+	}
+}
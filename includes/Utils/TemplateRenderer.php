@@ -0,0 +1,354 @@
+<?php
+/**
+ * Template Renderer
+ *
+ * Context-aware placeholder substitution for JSON and XML request templates.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage Utils
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\Utils;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class TemplateRenderer
+ *
+ * Replaces `[field]` and typed `[field:type]` placeholders in a template.
+ *
+ * JSON templates:
+ * - Inside a string literal, values are inserted as escaped JSON string content.
+ * - A typed placeholder that is the whole string (`"[age:int]"`) or stands on
+ *   its own (`[age:int]`) emits a native value: `int`, `float`, `bool`, `array`
+ *   or `string`.
+ * - An untyped placeholder outside a string emits numbers as-is and anything
+ *   else as a JSON string, so the payload stays valid.
+ *
+ * XML templates:
+ * - Values are entity-escaped. `bool` emits `true`/`false`, `array` a comma-separated list.
+ *
+ * Placeholders whose field is not in the values map are left untouched.
+ *
+ * @since 2.5.0
+ */
+class TemplateRenderer {
+	/**
+	 * Supported placeholder types
+	 *
+	 * @var array<string>
+	 */
+	public const TYPES = array( 'int', 'float', 'bool', 'array', 'string' );
+
+	/**
+	 * Values treated as false by the `bool` type
+	 *
+	 * @var array<string>
+	 */
+	private const FALSE_VALUES = array( '', '0', 'false', 'no', 'off' );
+
+	/**
+	 * Placeholder name pattern
+	 *
+	 * Names may contain inner spaces, e.g. checkbox options like `[services-Option A]`.
+	 *
+	 * @var string
+	 */
+	private const NAME_PATTERN = '[^\[\]\s"](?:[^\[\]"\r\n]*[^\[\]\s"])?';
+
+	/**
+	 * Render a template
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string               $template Template with placeholders.
+	 * @param string               $type     Template type (json or xml).
+	 * @param array<string, mixed> $values   Values keyed by placeholder field name.
+	 * @return string Rendered template.
+	 */
+	public static function render( string $template, string $type, array $values ): string {
+		if ( 'json' === $type ) {
+			return self::render_json( $template, $values );
+		}
+
+		return self::render_xml( $template, $values );
+	}
+
+	/**
+	 * Render a JSON template
+	 *
+	 * Walks the template once, tracking whether each placeholder sits inside a
+	 * string literal, so substituted values are never re-scanned.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string               $template JSON template.
+	 * @param array<string, mixed> $values   Values keyed by field name.
+	 * @return string Rendered JSON.
+	 */
+	private static function render_json( string $template, array $values ): string {
+		$in_string = false;
+		$position  = 0;
+
+		return (string) \preg_replace_callback(
+			'/"\[(' . self::NAME_PATTERN . ')\]"|\[(' . self::NAME_PATTERN . ')\]/',
+			function ( array $match ) use ( $template, $values, &$in_string, &$position ) {
+				$offset = $match[0][1];
+
+				// Advance string state up to this match.
+				$in_string = self::scan_string_state( $template, $position, $offset, $in_string );
+				$position  = $offset + \strlen( $match[0][0] );
+
+				$quoted      = isset( $match[1] ) && '' !== $match[1][0] && -1 !== $match[1][1];
+				$placeholder = self::parse_placeholder( $quoted ? $match[1][0] : $match[2][0], $values );
+
+				if ( null === $placeholder ) {
+					// Unknown field: keep the text, but track any quotes it contains.
+					$in_string = self::scan_string_state( $match[0][0], 0, \strlen( $match[0][0] ), $in_string );
+					return $match[0][0];
+				}
+
+				$value = self::resolve_value( $values[ $placeholder['field'] ], $placeholder['type'] );
+
+				if ( $quoted && ! $in_string ) {
+					// The placeholder is a whole string literal.
+					return null === $placeholder['type']
+						? self::encode_json( self::to_string( $value ) )
+						: self::encode_json( self::cast( $value, $placeholder['type'] ) );
+				}
+
+				if ( $quoted ) {
+					// The first quote closes the current string, the last one opens a new string.
+					return '"' . self::json_outside_string( $value, $placeholder['type'] ) . '"';
+				}
+
+				if ( $in_string ) {
+					return \substr( self::encode_json( self::to_string( $value ) ), 1, -1 );
+				}
+
+				return self::json_outside_string( $value, $placeholder['type'] );
+			},
+			$template,
+			-1,
+			$count,
+			PREG_OFFSET_CAPTURE
+		);
+	}
+
+	/**
+	 * Render an XML template
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string               $template XML template.
+	 * @param array<string, mixed> $values   Values keyed by field name.
+	 * @return string Rendered XML.
+	 */
+	private static function render_xml( string $template, array $values ): string {
+		return (string) \preg_replace_callback(
+			'/\[(' . self::NAME_PATTERN . ')\]/',
+			function ( array $match ) use ( $values ) {
+				$placeholder = self::parse_placeholder( $match[1], $values );
+				if ( null === $placeholder ) {
+					return $match[0];
+				}
+
+				$value = self::resolve_value( $values[ $placeholder['field'] ], $placeholder['type'] );
+
+				switch ( $placeholder['type'] ) {
+					case 'bool':
+						$text = self::cast( $value, 'bool' ) ? 'true' : 'false';
+						break;
+
+					case 'int':
+					case 'float':
+						$text = (string) self::cast( $value, $placeholder['type'] );
+						break;
+
+					default:
+						$text = \is_array( $value ) ? \implode( ',', \array_map( 'strval', $value ) ) : self::to_string( $value );
+						break;
+				}
+
+				return \htmlspecialchars( $text, ENT_XML1 | ENT_QUOTES, 'UTF-8' );
+			},
+			$template
+		);
+	}
+
+	/**
+	 * Parse a placeholder name into field and type
+	 *
+	 * A `:type` suffix is only recognized for supported types, so field names
+	 * containing a colon keep working.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string               $name   Placeholder content without brackets.
+	 * @param array<string, mixed> $values Known values keyed by field name.
+	 * @return array{field: string, type: string|null}|null Parsed placeholder, null for unknown fields.
+	 */
+	private static function parse_placeholder( string $name, array $values ): ?array {
+		$separator = \strrpos( $name, ':' );
+		if ( false !== $separator ) {
+			$field = \substr( $name, 0, $separator );
+			$type  = \strtolower( \substr( $name, $separator + 1 ) );
+			if ( \in_array( $type, self::TYPES, true ) && \array_key_exists( $field, $values ) ) {
+				return array(
+					'field' => $field,
+					'type'  => $type,
+				);
+			}
+		}
+
+		if ( \array_key_exists( $name, $values ) ) {
+			return array(
+				'field' => $name,
+				'type'  => null,
+			);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Resolve the value used for a placeholder
+	 *
+	 * Untyped placeholders keep the historical behavior of using the first
+	 * value of multi-value fields; typed placeholders receive the full value.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param mixed       $value Field value.
+	 * @param string|null $type  Placeholder type, null when untyped.
+	 * @return mixed Resolved value.
+	 */
+	private static function resolve_value( $value, ?string $type ) {
+		if ( null === $type && \is_array( $value ) ) {
+			return empty( $value ) ? '' : \reset( $value );
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Encode a value used outside a JSON string literal
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param mixed       $value Field value.
+	 * @param string|null $type  Placeholder type, null when untyped.
+	 * @return string JSON fragment.
+	 */
+	private static function json_outside_string( $value, ?string $type ): string {
+		if ( null !== $type ) {
+			return self::encode_json( self::cast( $value, $type ) );
+		}
+
+		// Untyped: keep numbers raw for backward compatibility, quote everything else.
+		$text = self::to_string( $value );
+		if ( \is_numeric( $text ) && \preg_match( '/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/', $text ) ) {
+			return $text;
+		}
+
+		return self::encode_json( $text );
+	}
+
+	/**
+	 * Cast a field value to a placeholder type
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param mixed  $value Field value.
+	 * @param string $type  Target type.
+	 * @return mixed Cast value (null when a number is expected but missing).
+	 */
+	public static function cast( $value, string $type ) {
+		switch ( $type ) {
+			case 'int':
+				$text = self::to_string( $value );
+				return \is_numeric( $text ) ? (int) $text : null;
+
+			case 'float':
+				$text = self::to_string( $value );
+				return \is_numeric( $text ) ? (float) $text : null;
+
+			case 'bool':
+				if ( \is_array( $value ) ) {
+					$value = \array_filter( $value, fn( $item ) => '' !== (string) $item );
+					return ! empty( $value );
+				}
+				return ! \in_array( \strtolower( \trim( (string) $value ) ), self::FALSE_VALUES, true );
+
+			case 'array':
+				if ( \is_array( $value ) ) {
+					return \array_values( \array_map( 'strval', $value ) );
+				}
+				return '' === (string) $value ? array() : array( (string) $value );
+
+			default:
+				return self::to_string( $value );
+		}
+	}
+
+	/**
+	 * Flatten a field value to a string
+	 *
+	 * Multi-value fields (e.g. `[tags:string]`) are joined with a comma and space.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param mixed $value Field value.
+	 * @return string String value.
+	 */
+	private static function to_string( $value ): string {
+		if ( \is_array( $value ) ) {
+			return \implode( ', ', \array_map( 'strval', $value ) );
+		}
+
+		return (string) $value;
+	}
+
+	/**
+	 * Encode a value as JSON without escaping slashes or unicode
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param mixed $value Value to encode.
+	 * @return string JSON.
+	 */
+	private static function encode_json( $value ): string {
+		$json = \wp_json_encode( $value, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+
+		return false === $json ? 'null' : $json;
+	}
+
+	/**
+	 * Track whether a position is inside a JSON string literal
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $text      Text to scan.
+	 * @param int    $start     Start offset.
+	 * @param int    $end       End offset (exclusive).
+	 * @param bool   $in_string State at the start offset.
+	 * @return bool State at the end offset.
+	 */
+	private static function scan_string_state( string $text, int $start, int $end, bool $in_string ): bool {
+		for ( $i = $start; $i < $end; $i++ ) {
+			$char = $text[ $i ];
+			if ( $in_string && '\\' === $char ) {
+				++$i;
+				continue;
+			}
+			if ( '"' === $char ) {
+				$in_string = ! $in_string;
+			}
+		}
+
+		return $in_string;
+	}
+}
@@ -14,6 +14,7 @@
 
 namespace SilverAssist\ContactFormToAPI\View\Admin\Dashboard;
 
+use SilverAssist\ContactFormToAPI\Service\Logging\EndpointHealth;
 use SilverAssist\ContactFormToAPI\Service\Security\SensitiveDataPatterns;
 
 \defined( 'ABSPATH' ) || exit;
@@ -46,6 +47,8 @@ class DashboardWidgetView {
 				<?php self::render_response_time_card( $stats['avg_response_time'] ); ?>
 			</div>
 
+			<?php self::render_endpoint_health( $stats['endpoint_health'] ?? array() ); ?>
+
 			<?php self::render_recent_errors( $stats['recent_errors'], $stats['errors_24h'] ); ?>
 
 			<div class="cf7-widget-actions">
@@ -122,6 +125,39 @@ class DashboardWidgetView {
 		<?php
 	}
 
+	/**
+	 * Render endpoint health section
+	 *
+	 * @since 2.5.0
+	 * @param array<string, array<string, mixed>> $endpoint_health Health keyed by endpoint URL
+	 * @return void
+	 */
+	private static function render_endpoint_health( array $endpoint_health ): void {
+		if ( empty( $endpoint_health ) ) {
+			return;
+		}
+
+		$labels = EndpointHealth::get_status_labels();
+		?>
+		<div class="cf7-widget-health">
+			<h4><?php \esc_html_e( 'Endpoint Health', 'contact-form-to-api' ); ?></h4>
+
+			<ul class="cf7-health-list">
+				<?php foreach ( $endpoint_health as $url => $health ) : ?>
+					<li class="cf7-health-item">
+						<span class="cf7-health-url" title="<?php echo \esc_attr( \implode( ', ', $health['forms'] ?? array() ) ); ?>">
+							<?php echo \esc_html( (string) \wp_parse_url( $url, PHP_URL_HOST ) . (string) \wp_parse_url( $url, PHP_URL_PATH ) ); ?>
+						</span>
+						<span class="cf7-health-badge cf7-health-<?php echo \esc_attr( $health['status'] ); ?>">
+							<?php echo \esc_html( $labels[ $health['status'] ] ?? $health['status'] ); ?>
+						</span>
+					</li>
+				<?php endforeach; ?>
+			</ul>
+		</div>
+		<?php
+	}
+
 	/**
 	 * Render recent errors section
 	 *
@@ -0,0 +1,132 @@
+<?php
+/**
+ * Circuit Breaker Partial View
+ *
+ * Renders the endpoint circuit breakers and their reset buttons for the Request Log page.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage View\Admin\Logs\Partials
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\View\Admin\Logs\Partials;
+
+use SilverAssist\ContactFormToAPI\Service\Api\CircuitBreaker;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class CircuitBreakerPartial
+ *
+ * Lists the endpoints with recent consecutive failures: their breaker
+ * state, when it opened and when the endpoint is probed next.
+ *
+ * @since 2.5.0
+ */
+class CircuitBreakerPartial {
+
+	/**
+	 * Render circuit breakers
+	 *
+	 * Nothing is rendered while no endpoint has recent failures.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, array<string, mixed>> $breakers Breakers from CircuitBreaker::get_all(), keyed by endpoint.
+	 * @return void
+	 */
+	public static function render( array $breakers ): void {
+		if ( empty( $breakers ) ) {
+			return;
+		}
+
+		$labels = CircuitBreaker::get_state_labels();
+		$opened = \array_filter( $breakers, fn( $breaker ) => CircuitBreaker::CLOSED !== $breaker['state'] );
+		?>
+		<div class="cf7-api-circuit-breakers<?php echo $opened ? ' has-open' : ''; ?>">
+			<strong><?php \esc_html_e( 'Circuit breakers', 'contact-form-to-api' ); ?></strong>
+			<table class="widefat striped">
+				<thead>
+					<tr>
+						<th scope="col"><?php \esc_html_e( 'Endpoint', 'contact-form-to-api' ); ?></th>
+						<th scope="col"><?php \esc_html_e( 'State', 'contact-form-to-api' ); ?></th>
+						<th scope="col"><?php \esc_html_e( 'Consecutive failures', 'contact-form-to-api' ); ?></th>
+						<th scope="col"><?php \esc_html_e( 'Next probe', 'contact-form-to-api' ); ?></th>
+						<th scope="col"><span class="screen-reader-text"><?php \esc_html_e( 'Actions', 'contact-form-to-api' ); ?></span></th>
+					</tr>
+				</thead>
+				<tbody>
+					<?php foreach ( $breakers as $endpoint => $breaker ) : ?>
+						<tr>
+							<td><code><?php echo \esc_html( $endpoint ); ?></code></td>
+							<td>
+								<span class="cf7-api-circuit-state is-<?php echo \esc_attr( \str_replace( '_', '-', $breaker['state'] ) ); ?>">
+									<?php echo \esc_html( $labels[ $breaker['state'] ] ?? $breaker['state'] ); ?>
+								</span>
+								<?php if ( ! empty( $breaker['opened_at'] ) ) : ?>
+									<span class="description">
+										<?php
+										echo \esc_html(
+											\sprintf(
+												/* translators: %s: human readable time difference, e.g. "5 mins" */
+												\__( 'since %s ago', 'contact-form-to-api' ),
+												\human_time_diff( (int) $breaker['opened_at'] )
+											)
+										);
+										?>
+									</span>
+								<?php endif; ?>
+							</td>
+							<td><?php echo \esc_html( \number_format_i18n( (int) $breaker['failures'] ) ); ?></td>
+							<td>
+								<?php
+								if ( null !== $breaker['retry_at'] ) {
+									/* translators: %s: human readable time difference, e.g. "2 mins" */
+									echo \esc_html( \sprintf( \__( 'In %s', 'contact-form-to-api' ), \human_time_diff( \time(), (int) $breaker['retry_at'] ) ) );
+								} elseif ( CircuitBreaker::HALF_OPEN === $breaker['state'] ) {
+									\esc_html_e( 'With the next delivery', 'contact-form-to-api' );
+								} else {
+									echo '&mdash;';
+								}
+								?>
+							</td>
+							<td class="cf7-api-circuit-actions">
+								<a href="<?php echo \esc_url( self::get_reset_url( (string) $endpoint ) ); ?>" class="button button-small">
+									<?php \esc_html_e( 'Reset', 'contact-form-to-api' ); ?>
+								</a>
+							</td>
+						</tr>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
+			<?php if ( $opened ) : ?>
+				<p class="description">
+					<?php \esc_html_e( 'Deliveries to an open endpoint wait in the delivery queue until a probe succeeds. Resetting a breaker closes it and sends the waiting deliveries right away.', 'contact-form-to-api' ); ?>
+				</p>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Build a breaker reset URL
+	 *
+	 * @since 2.5.0
+	 * @param string $endpoint Endpoint URL.
+	 * @return string Nonced URL.
+	 */
+	private static function get_reset_url( string $endpoint ): string {
+		return \wp_nonce_url(
+			\add_query_arg(
+				array(
+					'page'             => 'cf7-api-logs',
+					'circuit_action'   => 'reset',
+					'circuit_endpoint' => \rawurlencode( $endpoint ),
+				),
+				\admin_url( 'admin.php' )
+			),
+			'cf7_api_circuit'
+		);
+	}
+}
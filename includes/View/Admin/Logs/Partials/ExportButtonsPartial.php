@@ -13,12 +13,14 @@
 
 namespace SilverAssist\ContactFormToAPI\View\Admin\Logs\Partials;
 
+use SilverAssist\ContactFormToAPI\Service\Export\ExportService;
+
 \defined( 'ABSPATH' ) || exit;
 
 /**
  * Class ExportButtonsPartial
  *
- * Handles rendering of export buttons (CSV and JSON).
+ * Handles rendering of export buttons (CSV, JSON and NDJSON).
  *
  * @since 2.0.0
  */
@@ -43,31 +45,7 @@ class ExportButtonsPartial {
 		);
 
 		// Preserve current filters.
-		if ( isset( $_GET['status'] ) && ! empty( $_GET['status'] ) ) {
-			$base_args['status'] = \sanitize_text_field( \wp_unslash( $_GET['status'] ) );
-		}
-
-		if ( isset( $_GET['form_id'] ) && ! empty( $_GET['form_id'] ) ) {
-			$base_args['form_id'] = \absint( $_GET['form_id'] );
-		}
-
-		if ( isset( $_GET['s'] ) && ! empty( $_GET['s'] ) ) {
-			$base_args['s'] = \sanitize_text_field( \wp_unslash( $_GET['s'] ) );
-		}
-
-		// Preserve date filter parameters.
-		if ( isset( $_GET['date_filter'] ) && ! empty( $_GET['date_filter'] ) ) {
-			$base_args['date_filter'] = \sanitize_text_field( \wp_unslash( $_GET['date_filter'] ) );
-
-			if ( 'custom' === $base_args['date_filter'] ) {
-				if ( isset( $_GET['date_start'] ) && ! empty( $_GET['date_start'] ) ) {
-					$base_args['date_start'] = \sanitize_text_field( \wp_unslash( $_GET['date_start'] ) );
-				}
-				if ( isset( $_GET['date_end'] ) && ! empty( $_GET['date_end'] ) ) {
-					$base_args['date_end'] = \sanitize_text_field( \wp_unslash( $_GET['date_end'] ) );
-				}
-			}
-		}
+		$base_args = \array_merge( $base_args, ExportService::sanitize_filters( \wp_unslash( $_GET ) ) );
 		// phpcs:enable
 
 		// CSV export URL.
@@ -78,6 +56,10 @@ class ExportButtonsPartial {
 		$json_args = \array_merge( $base_args, array( 'action' => 'export_json' ) );
 		$json_url  = \add_query_arg( $json_args, \admin_url( 'admin.php' ) );
 
+		// NDJSON export URL.
+		$ndjson_args = \array_merge( $base_args, array( 'action' => 'export_ndjson' ) );
+		$ndjson_url  = \add_query_arg( $ndjson_args, \admin_url( 'admin.php' ) );
+
 		$disabled_class = $has_logs ? '' : ' disabled';
 		$disabled_attr  = $has_logs ? '' : ' aria-disabled="true" tabindex="-1"';
 		?>
@@ -91,6 +73,10 @@ class ExportButtonsPartial {
 					<span class="dashicons dashicons-download"></span>
 					<?php \esc_html_e( 'Export as JSON', 'contact-form-to-api' ); ?>
 				</a>
+				<a href="<?php echo $has_logs ? \esc_url( $ndjson_url ) : '#'; ?>" class="button<?php echo \esc_attr( $disabled_class ); ?>"<?php echo $disabled_attr; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Static string. ?>>
+					<span class="dashicons dashicons-download"></span>
+					<?php \esc_html_e( 'Export as NDJSON', 'contact-form-to-api' ); ?>
+				</a>
 			</div>
 		</div>
 		<?php
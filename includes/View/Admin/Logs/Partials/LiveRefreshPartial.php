@@ -0,0 +1,48 @@
+<?php
+/**
+ * Live Refresh Partial View
+ *
+ * Renders the live update controls for the Request Log page.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage View\Admin\Logs\Partials
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\View\Admin\Logs\Partials;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class LiveRefreshPartial
+ *
+ * Handles rendering of the live update toggle, pause button and new entries indicator.
+ *
+ * @since 2.5.0
+ */
+class LiveRefreshPartial {
+
+	/**
+	 * Render live update controls
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public static function render(): void {
+		?>
+		<div class="cf7-api-live-refresh" id="cf7-api-live-refresh">
+			<label>
+				<input type="checkbox" id="cf7-api-live-toggle" />
+				<?php \esc_html_e( 'Live updates', 'contact-form-to-api' ); ?>
+			</label>
+			<button type="button" class="button button-small cf7-api-hidden" id="cf7-api-live-pause" aria-pressed="false">
+				<?php \esc_html_e( 'Pause', 'contact-form-to-api' ); ?>
+			</button>
+			<button type="button" class="button button-small button-primary cf7-api-hidden" id="cf7-api-live-new"></button>
+			<span class="cf7-api-live-status" id="cf7-api-live-status" aria-live="polite"></span>
+		</div>
+		<?php
+	}
+}
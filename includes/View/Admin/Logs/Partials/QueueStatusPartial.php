@@ -0,0 +1,128 @@
+<?php
+/**
+ * Queue Status Partial View
+ *
+ * Renders the delivery queue status and worker controls for the Request Log page.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage View\Admin\Logs\Partials
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\View\Admin\Logs\Partials;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class QueueStatusPartial
+ *
+ * Shows how many deliveries are waiting, whether the workers are running
+ * and buttons to process the queue now or pause/resume the workers.
+ *
+ * @since 2.5.0
+ */
+class QueueStatusPartial {
+
+	/**
+	 * Render queue status
+	 *
+	 * Nothing is rendered while queued delivery is off and the queue is empty.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $status Queue status from DeliveryQueue::get_status().
+	 * @return void
+	 */
+	public static function render( array $status ): void {
+		$length = (int) ( $status['length'] ?? 0 );
+
+		if ( empty( $status['enabled'] ) && 0 === $length ) {
+			return;
+		}
+
+		$paused   = ! empty( $status['paused'] );
+		$next_run = $status['next_run'] ?? null;
+
+		if ( $paused ) {
+			$worker_label = \__( 'Paused', 'contact-form-to-api' );
+		} elseif ( $next_run && $next_run > \time() ) {
+			/* translators: %s: human readable time difference, e.g. "2 mins" */
+			$worker_label = \sprintf( \__( 'Next run in %s', 'contact-form-to-api' ), \human_time_diff( \time(), (int) $next_run ) );
+		} elseif ( $next_run ) {
+			$worker_label = \__( 'Due now', 'contact-form-to-api' );
+		} else {
+			$worker_label = \__( 'Idle', 'contact-form-to-api' );
+		}
+		?>
+		<div class="cf7-api-queue-status<?php echo $paused ? ' is-paused' : ''; ?>">
+			<div class="cf7-api-queue-summary">
+				<strong><?php \esc_html_e( 'Delivery queue', 'contact-form-to-api' ); ?></strong>
+				<span class="cf7-api-queue-length">
+					<?php
+					echo \esc_html(
+						\sprintf(
+							/* translators: %d: number of queued deliveries */
+							\_n( '%d delivery waiting', '%d deliveries waiting', $length, 'contact-form-to-api' ),
+							$length
+						)
+					);
+					?>
+				</span>
+				<span class="cf7-api-queue-worker">
+					<?php
+					echo \esc_html(
+						\sprintf(
+							/* translators: 1: worker state, 2: scheduler name (WP-Cron or Action Scheduler), 3: deliveries per run */
+							\__( 'Workers: %1$s (%2$s, %3$d per run)', 'contact-form-to-api' ),
+							$worker_label,
+							(string) ( $status['runner'] ?? 'WP-Cron' ),
+							(int) ( $status['batch_size'] ?? 0 )
+						)
+					);
+					?>
+				</span>
+				<?php if ( empty( $status['enabled'] ) ) : ?>
+					<span class="description"><?php \esc_html_e( 'Queued delivery is turned off; remaining deliveries are still sent.', 'contact-form-to-api' ); ?></span>
+				<?php endif; ?>
+			</div>
+			<div class="cf7-api-queue-actions">
+				<?php if ( ! $paused && $length > 0 ) : ?>
+					<a href="<?php echo \esc_url( self::get_action_url( 'process' ) ); ?>" class="button">
+						<?php \esc_html_e( 'Process queue now', 'contact-form-to-api' ); ?>
+					</a>
+				<?php endif; ?>
+				<?php if ( $paused ) : ?>
+					<a href="<?php echo \esc_url( self::get_action_url( 'resume' ) ); ?>" class="button button-primary">
+						<?php \esc_html_e( 'Resume workers', 'contact-form-to-api' ); ?>
+					</a>
+				<?php else : ?>
+					<a href="<?php echo \esc_url( self::get_action_url( 'pause' ) ); ?>" class="button">
+						<?php \esc_html_e( 'Pause workers', 'contact-form-to-api' ); ?>
+					</a>
+				<?php endif; ?>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Build a queue control URL
+	 *
+	 * @since 2.5.0
+	 * @param string $action Queue action (process, pause, resume).
+	 * @return string Nonced URL.
+	 */
+	private static function get_action_url( string $action ): string {
+		return \wp_nonce_url(
+			\add_query_arg(
+				array(
+					'page'         => 'cf7-api-logs',
+					'queue_action' => $action,
+				),
+				\admin_url( 'admin.php' )
+			),
+			'cf7_api_queue'
+		);
+	}
+}
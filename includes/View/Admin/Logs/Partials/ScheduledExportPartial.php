@@ -0,0 +1,142 @@
+<?php
+/**
+ * Scheduled Export Partial View
+ *
+ * Renders the scheduled export form of the Request Log page.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage View\Admin\Logs\Partials
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\View\Admin\Logs\Partials;
+
+use SilverAssist\ContactFormToAPI\Service\Export\ExportService;
+use SilverAssist\ContactFormToAPI\Service\Export\ScheduledExportService;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class ScheduledExportPartial
+ *
+ * Saving the form schedules exports with the filters currently applied
+ * to the logs list.
+ *
+ * @since 2.5.0
+ */
+class ScheduledExportPartial {
+
+	/**
+	 * Render scheduled export form
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $schedule Saved schedule (frequency, format, filters) and its next run.
+	 * @return void
+	 */
+	public static function render( array $schedule ): void {
+		$frequency = (string) ( $schedule['frequency'] ?? '' );
+		$format    = (string) ( $schedule['format'] ?? 'csv' );
+		$next_run  = $schedule['next_run'] ?? null;
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only operation for building the form.
+		$filters = ExportService::sanitize_filters( \wp_unslash( $_GET ) );
+
+		$frequencies = array(
+			''       => \__( 'Off', 'contact-form-to-api' ),
+			'daily'  => \__( 'Daily', 'contact-form-to-api' ),
+			'weekly' => \__( 'Weekly', 'contact-form-to-api' ),
+		);
+
+		$formats = array(
+			'csv'    => \__( 'CSV', 'contact-form-to-api' ),
+			'json'   => \__( 'JSON', 'contact-form-to-api' ),
+			'ndjson' => \__( 'NDJSON', 'contact-form-to-api' ),
+		);
+		?>
+		<details class="cf7-api-export-schedule">
+			<summary class="button">
+				<span class="dashicons dashicons-clock"></span>
+				<?php
+				if ( isset( $frequencies[ $frequency ] ) && '' !== $frequency ) {
+					echo \esc_html(
+						\sprintf(
+							/* translators: 1: frequency (Daily/Weekly), 2: export format */
+							\__( 'Scheduled export: %1$s %2$s', 'contact-form-to-api' ),
+							$frequencies[ $frequency ],
+							$formats[ $format ] ?? $format
+						)
+					);
+				} else {
+					\esc_html_e( 'Schedule export', 'contact-form-to-api' );
+				}
+				?>
+			</summary>
+			<form method="post" action="<?php echo \esc_url( \admin_url( 'admin-post.php' ) ); ?>">
+				<input type="hidden" name="action" value="cf7_api_schedule_export" />
+				<?php \wp_nonce_field( 'cf7_api_schedule_export' ); ?>
+				<?php foreach ( $filters as $key => $value ) : ?>
+					<input type="hidden" name="filters[<?php echo \esc_attr( $key ); ?>]" value="<?php echo \esc_attr( (string) $value ); ?>" />
+				<?php endforeach; ?>
+
+				<p>
+					<label>
+						<?php \esc_html_e( 'Frequency', 'contact-form-to-api' ); ?>
+						<select name="export_frequency">
+							<?php foreach ( $frequencies as $value => $label ) : ?>
+								<option value="<?php echo \esc_attr( $value ); ?>" <?php \selected( $frequency, $value ); ?>><?php echo \esc_html( $label ); ?></option>
+							<?php endforeach; ?>
+						</select>
+					</label>
+					<label>
+						<?php \esc_html_e( 'Format', 'contact-form-to-api' ); ?>
+						<select name="export_format">
+							<?php foreach ( $formats as $value => $label ) : ?>
+								<option value="<?php echo \esc_attr( $value ); ?>" <?php \selected( $format, $value ); ?>><?php echo \esc_html( $label ); ?></option>
+							<?php endforeach; ?>
+						</select>
+					</label>
+					<?php \submit_button( \__( 'Save Schedule', 'contact-form-to-api' ), 'secondary', 'submit', false ); ?>
+				</p>
+
+				<p class="description">
+					<?php
+					echo \esc_html(
+						\sprintf(
+							/* translators: %d: number of days */
+							\__( 'Exports the logs matching the current filters and emails a download link to the alert recipients. Files are kept for %d days.', 'contact-form-to-api' ),
+							ScheduledExportService::RETENTION_DAYS
+						)
+					);
+					?>
+				</p>
+
+				<?php if ( '' !== $frequency ) : ?>
+					<p class="description">
+						<?php \esc_html_e( 'Saved filters:', 'contact-form-to-api' ); ?>
+						<?php if ( empty( $schedule['filters'] ) ) : ?>
+							<?php \esc_html_e( 'none', 'contact-form-to-api' ); ?>
+						<?php else : ?>
+							<?php foreach ( (array) $schedule['filters'] as $key => $value ) : ?>
+								<code><?php echo \esc_html( $key . '=' . $value ); ?></code>
+							<?php endforeach; ?>
+						<?php endif; ?>
+						<?php if ( null !== $next_run ) : ?>
+							<br />
+							<?php
+							echo \esc_html(
+								\sprintf(
+									/* translators: %s: date and time of the next export */
+									\__( 'Next export: %s', 'contact-form-to-api' ),
+									\wp_date( \get_option( 'date_format' ) . ' ' . \get_option( 'time_format' ), (int) $next_run )
+								)
+							);
+							?>
+						<?php endif; ?>
+					</p>
+				<?php endif; ?>
+			</form>
+		</details>
+		<?php
+	}
+}
@@ -0,0 +1,53 @@
+<?php
+/**
+ * Search Help Partial View
+ *
+ * Renders the query syntax help below the Request Log search box.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage View\Admin\Logs\Partials
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\View\Admin\Logs\Partials;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class SearchHelpPartial
+ *
+ * Lists the built-in filters and the searchable fields configured in the settings.
+ *
+ * @since 2.5.0
+ */
+class SearchHelpPartial {
+
+	/**
+	 * Render search syntax help
+	 *
+	 * @since 2.5.0
+	 * @param array<string> $fields Searchable fields.
+	 * @return void
+	 */
+	public static function render( array $fields ): void {
+		$examples = array( 'code:5xx', 'time:>2000', 'endpoint:leads', 'error:"timed out"', 'method:POST' );
+		foreach ( $fields as $field ) {
+			$examples[] = $field . ':…';
+		}
+		?>
+		<details class="cf7-api-search-help">
+			<summary><?php \esc_html_e( 'Search syntax', 'contact-form-to-api' ); ?></summary>
+			<p>
+				<?php \esc_html_e( 'Combine filters and free text; all of them must match. Time is in milliseconds and codes accept ranges like 400-499. Searchable fields match the exact value only.', 'contact-form-to-api' ); ?>
+			</p>
+			<p>
+				<?php foreach ( $examples as $example ) : ?>
+					<code><?php echo \esc_html( $example ); ?></code>
+				<?php endforeach; ?>
+			</p>
+		</details>
+		<?php
+	}
+}
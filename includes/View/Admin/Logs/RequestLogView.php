@@ -17,10 +17,17 @@ namespace SilverAssist\ContactFormToAPI\View\Admin\Logs;
 use SilverAssist\ContactFormToAPI\Infrastructure\ListTable\RequestLogTable;
 use SilverAssist\ContactFormToAPI\Service\Logging\LogReader;
 use SilverAssist\ContactFormToAPI\Service\Logging\RetryManager;
+use SilverAssist\ContactFormToAPI\Service\Logging\SearchIndex;
 use SilverAssist\ContactFormToAPI\Service\Security\SensitiveDataPatterns;
 use SilverAssist\ContactFormToAPI\Utils\DateFilterTrait;
+use SilverAssist\ContactFormToAPI\Utils\RequestFormatter;
+use SilverAssist\ContactFormToAPI\View\Admin\Logs\Partials\CircuitBreakerPartial;
 use SilverAssist\ContactFormToAPI\View\Admin\Logs\Partials\DateFilterPartial;
 use SilverAssist\ContactFormToAPI\View\Admin\Logs\Partials\ExportButtonsPartial;
+use SilverAssist\ContactFormToAPI\View\Admin\Logs\Partials\LiveRefreshPartial;
+use SilverAssist\ContactFormToAPI\View\Admin\Logs\Partials\QueueStatusPartial;
+use SilverAssist\ContactFormToAPI\View\Admin\Logs\Partials\ScheduledExportPartial;
+use SilverAssist\ContactFormToAPI\View\Admin\Logs\Partials\SearchHelpPartial;
 use SilverAssist\ContactFormToAPI\View\Admin\Logs\Partials\StatisticsPartial;
 
 \defined( 'ABSPATH' ) || exit;
@@ -43,22 +50,35 @@ class RequestLogView {
 	 * @param array<int, array{form_id: string, post_title: string|null}> $forms_with_logs Forms that have log entries.
 	 * @param array<string, mixed>                                        $stats           Statistics data from LogStatistics service.
 	 * @param string                                                      $date_context    Date context label for statistics.
+	 * @param array<string, mixed>                                        $queue_status    Delivery queue status (since 2.5.0).
+	 * @param array<string, mixed>                                        $export_schedule Scheduled export and its next run (since 2.5.0).
+	 * @param array<string, array<string, mixed>>                         $breakers        Endpoint circuit breakers (since 2.5.0).
 	 * @return void
 	 */
-	public static function render_page( RequestLogTable $list_table, array $forms_with_logs, array $stats, string $date_context ): void {
+	public static function render_page( RequestLogTable $list_table, array $forms_with_logs, array $stats, string $date_context, array $queue_status = array(), array $export_schedule = array(), array $breakers = array() ): void {
 		?>
 		<div class="wrap">
 			<h1 class="wp-heading-inline"><?php \esc_html_e( 'API Logs', 'contact-form-to-api' ); ?></h1>
 			<?php ExportButtonsPartial::render( $list_table->get_total_items() ); ?>
+			<?php ScheduledExportPartial::render( $export_schedule ); ?>
 
-			<?php StatisticsPartial::render( $stats, $date_context ); ?>
+			<div id="cf7-api-stats">
+				<?php StatisticsPartial::render( $stats, $date_context ); ?>
+			</div>
+
+			<?php QueueStatusPartial::render( $queue_status ); ?>
+
+			<?php CircuitBreakerPartial::render( $breakers ); ?>
 
 			<?php DateFilterPartial::render( $forms_with_logs ); ?>
 
+			<?php LiveRefreshPartial::render(); ?>
+
 			<form method="get">
 				<input type="hidden" name="page" value="<?php echo \esc_attr( $_REQUEST['page'] ?? '' ); ?>" />
 				<?php
 				$list_table->search_box( \__( 'Search logs', 'contact-form-to-api' ), 'cf7-api-log' );
+				SearchHelpPartial::render( SearchIndex::instance()->get_fields() );
 				$list_table->display();
 				?>
 			</form>
@@ -215,11 +235,13 @@ class RequestLogView {
 	/**
 	 * Render log detail view
 	 *
-	 * @param array<string, mixed> $log           Log entry data.
-	 * @param RetryManager         $retry_manager Retry manager instance for retry operations.
+	 * @since 2.5.0 Added `$deliveries`.
+	 * @param array<string, mixed>             $log           Log entry data.
+	 * @param RetryManager                     $retry_manager Retry manager instance for retry operations.
+	 * @param array<int, array<string, mixed>> $deliveries    All log entries of the same submission.
 	 * @return void
 	 */
-	public static function render_detail( array $log, RetryManager $retry_manager ): void {
+	public static function render_detail( array $log, RetryManager $retry_manager, array $deliveries = array() ): void {
 		?>
 		<div class="wrap">
 			<h1><?php \esc_html_e( 'API Log Detail', 'contact-form-to-api' ); ?></h1>
@@ -229,22 +251,252 @@ class RequestLogView {
 					← <?php \esc_html_e( 'Back to Logs', 'contact-form-to-api' ); ?>
 				</a>
 				<?php self::render_retry_button( $log, $retry_manager ); ?>
+				<?php self::render_resend_button( $log, $retry_manager ); ?>
+				<?php self::render_copy_buttons( $log ); ?>
 			</p>
 
+			<?php self::render_resend_form( $log, $retry_manager ); ?>
+
 			<?php self::render_retry_information( $log, $retry_manager ); ?>
 
-			<div class="cf7-api-log-detail">
-				<?php self::render_request_section( $log, $retry_manager ); ?>
-				<?php self::render_request_headers( $log ); ?>
-				<?php self::render_request_data( $log ); ?>
-				<?php self::render_response_section( $log ); ?>
-				<?php self::render_response_headers( $log ); ?>
-				<?php self::render_response_data( $log ); ?>
-			</div>
+			<?php self::render_detail_sections( $log, $retry_manager, $deliveries ); ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render log detail for the drawer on the logs list
+	 *
+	 * Shows the same sections as the detail page, followed by a side-by-side
+	 * comparison of the original request with each of its retries.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed>             $log           Log entry data.
+	 * @param RetryManager                     $retry_manager Retry manager instance for retry operations.
+	 * @param array<int, array<string, mixed>> $deliveries    All log entries of the same submission.
+	 * @param array<string, mixed>|null        $original      Original log entry (the log itself unless it is a retry).
+	 * @param array<int, array<string, mixed>> $retries       Retries of the original entry, oldest first.
+	 * @return void
+	 */
+	public static function render_drawer( array $log, RetryManager $retry_manager, array $deliveries, ?array $original, array $retries ): void {
+		$view_url = \add_query_arg(
+			array(
+				'page'   => 'cf7-api-logs',
+				'action' => 'view',
+				'log_id' => $log['id'],
+			),
+			\admin_url( 'admin.php' )
+		);
+		?>
+		<p class="cf7-api-drawer-actions">
+			<a href="<?php echo \esc_url( $view_url ); ?>" class="button cf7-api-drawer-full"><?php \esc_html_e( 'Open Full Page', 'contact-form-to-api' ); ?></a>
+			<?php self::render_retry_button( $log, $retry_manager ); ?>
+			<?php self::render_resend_button( $log, $retry_manager ); ?>
+			<?php self::render_copy_buttons( $log ); ?>
+		</p>
+
+		<?php self::render_resend_form( $log, $retry_manager ); ?>
+
+		<?php self::render_retry_information( $log, $retry_manager ); ?>
+
+		<?php self::render_detail_sections( $log, $retry_manager, $deliveries ); ?>
+
+		<?php
+		if ( null !== $original ) {
+			self::render_retry_diffs( $original, $retries );
+		}
+	}
+
+	/**
+	 * Render the request and response sections of a log entry
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed>             $log           Log entry data.
+	 * @param RetryManager                     $retry_manager Retry manager instance.
+	 * @param array<int, array<string, mixed>> $deliveries    All log entries of the same submission.
+	 * @return void
+	 */
+	private static function render_detail_sections( array $log, RetryManager $retry_manager, array $deliveries ): void {
+		?>
+		<div class="cf7-api-log-detail">
+			<?php self::render_submission_deliveries( $log, $deliveries ); ?>
+			<?php self::render_request_section( $log, $retry_manager ); ?>
+			<?php self::render_request_headers( $log ); ?>
+			<?php self::render_request_data( $log ); ?>
+			<?php self::render_response_section( $log ); ?>
+			<?php self::render_response_headers( $log ); ?>
+			<?php self::render_response_data( $log ); ?>
 		</div>
 		<?php
 	}
 
+	/**
+	 * Render the differences between an original request and its retries
+	 *
+	 * Request and response bodies are compared line by line with sensitive
+	 * fields redacted, the same way they are displayed.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed>             $original Original log entry.
+	 * @param array<int, array<string, mixed>> $retries  Retries of the original entry, oldest first.
+	 * @return void
+	 */
+	private static function render_retry_diffs( array $original, array $retries ): void {
+		if ( empty( $retries ) ) {
+			return;
+		}
+
+		$fields = array(
+			'request_data'  => \__( 'Request Body', 'contact-form-to-api' ),
+			'response_data' => \__( 'Response Body', 'contact-form-to-api' ),
+		);
+		?>
+		<div class="log-section cf7-api-retry-diffs">
+			<h2><?php \esc_html_e( 'Retry Comparison', 'contact-form-to-api' ); ?></h2>
+			<?php foreach ( $retries as $index => $retry ) : ?>
+				<details class="cf7-api-retry-diff"<?php echo \count( $retries ) - 1 === $index ? ' open' : ''; ?>>
+					<summary>
+						<?php
+						echo \esc_html(
+							\sprintf(
+								/* translators: 1: original log ID, 2: retry log ID, 3: original response code, 4: retry response code */
+								\__( 'Original #%1$d vs. retry #%2$d (response %3$s → %4$s)', 'contact-form-to-api' ),
+								$original['id'],
+								$retry['id'],
+								$original['response_code'] ?? '-',
+								$retry['response_code'] ?? '-'
+							)
+						);
+						?>
+						<span class="cf7-api-status cf7-api-status-<?php echo \esc_attr( $retry['status'] ); ?>"><?php echo \esc_html( \ucfirst( \str_replace( '_', ' ', $retry['status'] ) ) ); ?></span>
+					</summary>
+					<?php foreach ( $fields as $field => $label ) : ?>
+						<?php
+						$diff = \wp_text_diff(
+							self::get_display_content( $original[ $field ] ?? '' ),
+							self::get_display_content( $retry[ $field ] ?? '' ),
+							array(
+								'title'       => $label,
+								/* translators: %d: log ID */
+								'title_left'  => \sprintf( \__( 'Original #%d', 'contact-form-to-api' ), $original['id'] ),
+								/* translators: %d: log ID */
+								'title_right' => \sprintf( \__( 'Retry #%d', 'contact-form-to-api' ), $retry['id'] ),
+							)
+						);
+						?>
+						<?php if ( '' !== $diff ) : ?>
+							<div class="cf7-api-diff"><?php echo \wp_kses_post( $diff ); ?></div>
+						<?php else : ?>
+							<p><strong><?php echo \esc_html( $label ); ?></strong>: <?php \esc_html_e( 'No differences.', 'contact-form-to-api' ); ?></p>
+						<?php endif; ?>
+					<?php endforeach; ?>
+				</details>
+			<?php endforeach; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the copy request buttons
+	 *
+	 * Commands are rendered with sensitive headers and fields masked; the
+	 * unmask option fetches them unmasked when copying.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $log Log entry data.
+	 * @return void
+	 */
+	private static function render_copy_buttons( array $log ): void {
+		if ( 'skipped' === $log['status'] ) {
+			return;
+		}
+		?>
+		<span class="cf7-api-copy-request" data-log-id="<?php echo \esc_attr( $log['id'] ); ?>">
+			<?php foreach ( RequestFormatter::get_format_labels() as $format => $label ) : ?>
+				<button type="button" class="button cf7-api-copy-command" data-format="<?php echo \esc_attr( $format ); ?>" data-command="<?php echo \esc_attr( RequestFormatter::format( $log, $format ) ); ?>">
+					<?php
+					/* translators: %s: request format, e.g. cURL */
+					echo \esc_html( \sprintf( \__( 'Copy as %s', 'contact-form-to-api' ), $label ) );
+					?>
+				</button>
+			<?php endforeach; ?>
+			<label>
+				<input type="checkbox" class="cf7-api-copy-unmask" />
+				<?php \esc_html_e( 'Unmask sensitive fields', 'contact-form-to-api' ); ?>
+			</label>
+		</span>
+		<?php
+	}
+
+	/**
+	 * Render the edit and resend button
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $log           Log entry data.
+	 * @param RetryManager         $retry_manager Retry manager instance.
+	 * @return void
+	 */
+	private static function render_resend_button( array $log, RetryManager $retry_manager ): void {
+		if ( ! $retry_manager->can_retry( $log ) ) {
+			return;
+		}
+		?>
+		<button type="button" class="button cf7-api-resend-toggle" aria-expanded="false" aria-controls="cf7-api-resend-<?php echo \esc_attr( $log['id'] ); ?>">
+			<?php \esc_html_e( 'Edit & Resend', 'contact-form-to-api' ); ?>
+		</button>
+		<?php
+	}
+
+	/**
+	 * Render the edit and resend form
+	 *
+	 * Starts from the request as displayed. Fields and headers left redacted
+	 * are sent with their logged value or the form's current header value.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $log           Log entry data.
+	 * @param RetryManager         $retry_manager Retry manager instance.
+	 * @return void
+	 */
+	private static function render_resend_form( array $log, RetryManager $retry_manager ): void {
+		if ( ! $retry_manager->can_retry( $log ) ) {
+			return;
+		}
+
+		$headers = \json_decode( (string) ( $log['request_headers'] ?? '' ), true );
+		$lines   = array();
+		foreach ( \is_array( $headers ) ? $headers : array() as $name => $value ) {
+			if ( \is_scalar( $value ) ) {
+				$lines[] = $name . ': ' . ( SensitiveDataPatterns::is_sensitive( (string) $name ) ? '***REDACTED***' : $value );
+			}
+		}
+
+		$form_id = 'cf7-api-resend-' . $log['id'];
+		?>
+		<form id="<?php echo \esc_attr( $form_id ); ?>" class="log-section cf7-api-resend-form" method="post" action="<?php echo \esc_url( \admin_url( 'admin.php?page=cf7-api-logs' ) ); ?>" hidden>
+			<h2><?php \esc_html_e( 'Edit and Resend', 'contact-form-to-api' ); ?></h2>
+			<p class="description">
+				<?php \esc_html_e( 'The edited request is sent through the form\'s current authentication and logged as a retry of this entry. Values left as ***REDACTED*** are sent unchanged.', 'contact-form-to-api' ); ?>
+			</p>
+			<?php \wp_nonce_field( 'cf7_api_resend_' . $log['id'], '_wpnonce', false ); ?>
+			<input type="hidden" name="cf7_api_resend" value="<?php echo \esc_attr( $log['id'] ); ?>" />
+			<p>
+				<label for="<?php echo \esc_attr( $form_id ); ?>-headers"><strong><?php \esc_html_e( 'Headers', 'contact-form-to-api' ); ?></strong></label>
+				<textarea id="<?php echo \esc_attr( $form_id ); ?>-headers" name="resend_headers" class="large-text code" rows="4"><?php echo \esc_textarea( \implode( "\n", $lines ) ); ?></textarea>
+				<span class="description"><?php \esc_html_e( 'One "Name: value" header per line.', 'contact-form-to-api' ); ?></span>
+			</p>
+			<p>
+				<label for="<?php echo \esc_attr( $form_id ); ?>-body"><strong><?php \esc_html_e( 'Body', 'contact-form-to-api' ); ?></strong></label>
+				<textarea id="<?php echo \esc_attr( $form_id ); ?>-body" name="resend_body" class="large-text code" rows="12"><?php echo \esc_textarea( self::get_display_content( $log['request_data'] ?? '' ) ); ?></textarea>
+			</p>
+			<p>
+				<button type="submit" class="button button-primary"><?php \esc_html_e( 'Send Request', 'contact-form-to-api' ); ?></button>
+				<button type="button" class="button cf7-api-resend-cancel"><?php \esc_html_e( 'Cancel', 'contact-form-to-api' ); ?></button>
+			</p>
+		</form>
+		<?php
+	}
+
 	/**
 	 * Render request information section
 	 *
@@ -254,7 +506,8 @@ class RequestLogView {
 	 */
 	private static function render_request_section( array $log, RetryManager $retry_manager ): void {
 		// Get manual retry count from provided retry manager instance.
-		$manual_retry_count = $retry_manager->count_retries( (int) $log['id'] );
+		$manual_retry_count = $retry_manager->count_retries( (int) $log['id'], false );
+		$auto_retry_count   = $retry_manager->count_retries( (int) $log['id'], true );
 
 		?>
 		<div class="log-section">
@@ -264,13 +517,58 @@ class RequestLogView {
 					<th><?php \esc_html_e( 'Endpoint', 'contact-form-to-api' ); ?></th>
 					<td><code><?php echo \esc_html( $log['endpoint'] ); ?></code></td>
 				</tr>
+				<?php if ( ! empty( $log['destination'] ) ) : ?>
+					<tr>
+						<th><?php \esc_html_e( 'Destination', 'contact-form-to-api' ); ?></th>
+						<td><?php echo \esc_html( $log['destination'] ); ?></td>
+					</tr>
+				<?php endif; ?>
 				<tr>
 					<th><?php \esc_html_e( 'Method', 'contact-form-to-api' ); ?></th>
 					<td><span class="method-badge method-<?php echo \esc_attr( \strtolower( $log['method'] ) ); ?>"><?php echo \esc_html( $log['method'] ); ?></span></td>
 				</tr>
+				<?php if ( ! empty( $log['signature_algorithm'] ) ) : ?>
+					<tr>
+						<th><?php \esc_html_e( 'Signature', 'contact-form-to-api' ); ?></th>
+						<td>
+							<?php
+							echo \esc_html(
+								\sprintf(
+									/* translators: %s: HMAC algorithm, e.g. HMAC-SHA256 */
+									\__( 'Signed with %s', 'contact-form-to-api' ),
+									'HMAC-' . \strtoupper( $log['signature_algorithm'] )
+								)
+							);
+							?>
+							<small class="description"><?php \esc_html_e( '(see the request headers; the secret is never logged)', 'contact-form-to-api' ); ?></small>
+						</td>
+					</tr>
+				<?php endif; ?>
+				<?php $files = ! empty( $log['file_metadata'] ) ? \json_decode( (string) $log['file_metadata'], true ) : array(); ?>
+				<?php if ( ! empty( $files ) && \is_array( $files ) ) : ?>
+					<tr>
+						<th><?php \esc_html_e( 'Files', 'contact-form-to-api' ); ?></th>
+						<td>
+							<?php foreach ( $files as $file ) : ?>
+								<div>
+									<code><?php echo \esc_html( $file['filename'] ?? '' ); ?></code>
+									<?php echo \esc_html( \sprintf( '(%s, %s)', $file['mimetype'] ?? '', \size_format( (int) ( $file['size'] ?? 0 ) ) ) ); ?>
+									<?php if ( ! empty( $file['error'] ) ) : ?>
+										<small class="description"><?php echo \esc_html( $file['error'] ); ?></small>
+									<?php endif; ?>
+								</div>
+							<?php endforeach; ?>
+						</td>
+					</tr>
+				<?php endif; ?>
 				<tr>
 					<th><?php \esc_html_e( 'Status', 'contact-form-to-api' ); ?></th>
-					<td><span class="cf7-api-status cf7-api-status-<?php echo \esc_attr( $log['status'] ); ?>"><?php echo \esc_html( \ucfirst( \str_replace( '_', ' ', $log['status'] ) ) ); ?></span></td>
+					<td><span class="cf7-api-status cf7-api-status-<?php echo \esc_attr( $log['status'] ); ?>"><?php echo \esc_html( \ucfirst( \str_replace( '_', ' ', $log['status'] ) ) ); ?></span>
+						<?php if ( ! empty( $log['is_test'] ) ) : ?>
+							<span class="cf7-api-status cf7-api-status-test"><?php \esc_html_e( 'Test', 'contact-form-to-api' ); ?></span>
+							<small class="description"><?php \esc_html_e( '(sent from the Test Connection button)', 'contact-form-to-api' ); ?></small>
+						<?php endif; ?>
+					</td>
 				</tr>
 				<tr>
 					<th><?php \esc_html_e( 'Date', 'contact-form-to-api' ); ?></th>
@@ -291,6 +589,104 @@ class RequestLogView {
 					<th><?php \esc_html_e( 'Manual Retry Count', 'contact-form-to-api' ); ?></th>
 					<td><?php echo \esc_html( $manual_retry_count ); ?></td>
 				</tr>
+				<?php if ( $auto_retry_count > 0 || ! empty( $log['next_retry_at'] ) ) : ?>
+					<tr>
+						<th><?php \esc_html_e( 'Scheduled Retries', 'contact-form-to-api' ); ?></th>
+						<td>
+							<?php echo \esc_html( $auto_retry_count ); ?>
+							<?php if ( ! empty( $log['next_retry_at'] ) ) : ?>
+								<small class="description">
+									<?php
+									echo \esc_html(
+										\sprintf(
+											/* translators: %s: date and time of the next retry */
+											\__( '(next attempt: %s)', 'contact-form-to-api' ),
+											\get_date_from_gmt( $log['next_retry_at'], \get_option( 'date_format' ) . ' ' . \get_option( 'time_format' ) )
+										)
+									);
+									?>
+								</small>
+							<?php endif; ?>
+						</td>
+					</tr>
+				<?php endif; ?>
+			</table>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the deliveries of the same submission
+	 *
+	 * Only shown when the submission was sent to more than one request,
+	 * i.e. to several destinations or with retries.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed>             $log        Log entry data.
+	 * @param array<int, array<string, mixed>> $deliveries All log entries of the same submission.
+	 * @return void
+	 */
+	private static function render_submission_deliveries( array $log, array $deliveries ): void {
+		if ( \count( $deliveries ) < 2 ) {
+			return;
+		}
+		?>
+		<div class="log-section">
+			<h2><?php \esc_html_e( 'Submission Deliveries', 'contact-form-to-api' ); ?></h2>
+			<p class="description">
+				<?php
+				echo \esc_html(
+					\sprintf(
+						/* translators: %s: submission ID */
+						\__( 'Submission %s was delivered to the following endpoints.', 'contact-form-to-api' ),
+						$log['submission_id']
+					)
+				);
+				?>
+			</p>
+			<table class="widefat striped">
+				<thead>
+					<tr>
+						<th><?php \esc_html_e( 'Log', 'contact-form-to-api' ); ?></th>
+						<th><?php \esc_html_e( 'Destination', 'contact-form-to-api' ); ?></th>
+						<th><?php \esc_html_e( 'Endpoint', 'contact-form-to-api' ); ?></th>
+						<th><?php \esc_html_e( 'Status', 'contact-form-to-api' ); ?></th>
+						<th><?php \esc_html_e( 'Response', 'contact-form-to-api' ); ?></th>
+						<th><?php \esc_html_e( 'Date', 'contact-form-to-api' ); ?></th>
+					</tr>
+				</thead>
+				<tbody>
+					<?php foreach ( $deliveries as $delivery ) : ?>
+						<?php
+						$is_current = (int) $delivery['id'] === (int) $log['id'];
+						$view_url   = \add_query_arg(
+							array(
+								'page'   => 'cf7-api-logs',
+								'action' => 'view',
+								'log_id' => $delivery['id'],
+							),
+							\admin_url( 'admin.php' )
+						);
+						?>
+						<tr>
+							<td>
+								<?php if ( $is_current ) : ?>
+									<strong>#<?php echo \esc_html( $delivery['id'] ); ?></strong>
+								<?php else : ?>
+									<a href="<?php echo \esc_url( $view_url ); ?>">#<?php echo \esc_html( $delivery['id'] ); ?></a>
+								<?php endif; ?>
+								<?php if ( ! empty( $delivery['retry_of'] ) ) : ?>
+									<small class="description"><?php \esc_html_e( '(retry)', 'contact-form-to-api' ); ?></small>
+								<?php endif; ?>
+							</td>
+							<td><?php echo \esc_html( $delivery['destination'] ?? '' ); ?></td>
+							<td><code><?php echo \esc_html( $delivery['endpoint'] ); ?></code></td>
+							<td><span class="cf7-api-status cf7-api-status-<?php echo \esc_attr( $delivery['status'] ); ?>"><?php echo \esc_html( \ucfirst( \str_replace( '_', ' ', $delivery['status'] ) ) ); ?></span></td>
+							<td><?php echo \esc_html( $delivery['response_code'] ?? '—' ); ?></td>
+							<td><?php echo \esc_html( \mysql2date( \get_option( 'date_format' ) . ' ' . \get_option( 'time_format' ), $delivery['created_at'] ) ); ?></td>
+						</tr>
+					<?php endforeach; ?>
+				</tbody>
 			</table>
 		</div>
 		<?php
@@ -321,15 +717,11 @@ class RequestLogView {
 	 * @return void
 	 */
 	private static function render_request_data( array $log ): void {
-		$data = $log['request_data'] ?? '';
-		
-		// Anonymize sensitive data at render time
-		$anonymized_data = SensitiveDataPatterns::anonymize( $data );
-		
+		$content = self::get_display_content( $log['request_data'] ?? '' );
 		?>
 		<div class="log-section">
 			<h2><?php \esc_html_e( 'Request Data', 'contact-form-to-api' ); ?></h2>
-			<pre class="log-content"><?php echo \esc_html( self::format_json( \is_string( $anonymized_data ) ? $anonymized_data : \wp_json_encode( $anonymized_data ) ) ); ?></pre>
+			<pre class="log-content" data-lang="<?php echo \esc_attr( self::get_content_language( $content ) ); ?>"><?php echo \esc_html( $content ); ?></pre>
 		</div>
 		<?php
 	}
@@ -341,6 +733,7 @@ class RequestLogView {
 	 * @return void
 	 */
 	private static function render_response_section( array $log ): void {
+		$response_fields = ! empty( $log['response_fields'] ) ? \json_decode( (string) $log['response_fields'], true ) : array();
 		?>
 		<div class="log-section">
 			<h2><?php \esc_html_e( 'Response Information', 'contact-form-to-api' ); ?></h2>
@@ -349,12 +742,27 @@ class RequestLogView {
 					<th><?php \esc_html_e( 'Response Code', 'contact-form-to-api' ); ?></th>
 					<td><?php echo \esc_html( $log['response_code'] ?? '-' ); ?></td>
 				</tr>
-				<?php if ( ! empty( $log['error_message'] ) ) : ?>
+				<?php if ( 'skipped' === $log['status'] ) : ?>
+				<tr>
+					<th><?php \esc_html_e( 'Skipped By Rule', 'contact-form-to-api' ); ?></th>
+					<td><?php echo \esc_html( $log['error_message'] ?? '' ); ?></td>
+				</tr>
+				<?php elseif ( ! empty( $log['error_message'] ) ) : ?>
 				<tr>
 					<th><?php \esc_html_e( 'Error Message', 'contact-form-to-api' ); ?></th>
 					<td class="error-message"><?php echo \esc_html( $log['error_message'] ); ?></td>
 				</tr>
 				<?php endif; ?>
+				<?php if ( ! empty( $response_fields ) && \is_array( $response_fields ) ) : ?>
+				<tr>
+					<th><?php \esc_html_e( 'Extracted Fields', 'contact-form-to-api' ); ?></th>
+					<td>
+						<?php foreach ( $response_fields as $name => $value ) : ?>
+							<code>[_api_<?php echo \esc_html( $name ); ?>]</code> <?php echo \esc_html( (string) $value ); ?><br>
+						<?php endforeach; ?>
+					</td>
+				</tr>
+				<?php endif; ?>
 			</table>
 		</div>
 		<?php
@@ -388,20 +796,48 @@ class RequestLogView {
 		if ( empty( $log['response_data'] ) ) {
 			return;
 		}
-		
-		$data = $log['response_data'];
-		
-		// Anonymize sensitive data at render time
-		$anonymized_data = SensitiveDataPatterns::anonymize( $data );
-		
+
+		$content = self::get_display_content( $log['response_data'] );
 		?>
 		<div class="log-section">
 			<h2><?php \esc_html_e( 'Response Data', 'contact-form-to-api' ); ?></h2>
-			<pre class="log-content"><?php echo \esc_html( self::format_json( \is_string( $anonymized_data ) ? $anonymized_data : \wp_json_encode( $anonymized_data ) ) ); ?></pre>
+			<pre class="log-content" data-lang="<?php echo \esc_attr( self::get_content_language( $content ) ); ?>"><?php echo \esc_html( $content ); ?></pre>
 		</div>
 		<?php
 	}
 
+	/**
+	 * Get request or response data as displayed
+	 *
+	 * Sensitive fields are anonymized at render time and JSON is pretty-printed.
+	 *
+	 * @since 2.5.0
+	 * @param mixed $data Logged request or response data.
+	 * @return string
+	 */
+	private static function get_display_content( $data ): string {
+		$anonymized_data = SensitiveDataPatterns::anonymize( (string) ( $data ?? '' ) );
+
+		return self::format_json( \is_string( $anonymized_data ) ? $anonymized_data : (string) \wp_json_encode( $anonymized_data ) );
+	}
+
+	/**
+	 * Get the syntax highlighting language of displayed content
+	 *
+	 * @since 2.5.0
+	 * @param string $content Displayed content.
+	 * @return string `json`, `xml` or `text`.
+	 */
+	private static function get_content_language( string $content ): string {
+		$content = \trim( $content );
+
+		if ( null !== \json_decode( $content ) ) {
+			return 'json';
+		}
+
+		return \str_starts_with( $content, '<' ) ? 'xml' : 'text';
+	}
+
 	/**
 	 * Render admin notices
 	 *
@@ -513,6 +949,89 @@ class RequestLogView {
 			<?php
 		}
 
+		if ( isset( $_GET['retry_error'] ) && 'invalid_body' === $_GET['retry_error'] ) {
+			?>
+			<div class="notice notice-error is-dismissible">
+				<p>
+					<?php \esc_html_e( 'The request was not sent: the edited body must be a JSON object.', 'contact-form-to-api' ); ?>
+				</p>
+			</div>
+			<?php
+		}
+
+		if ( isset( $_GET['queue_processed'] ) ) {
+			$count = \absint( $_GET['queue_processed'] );
+			?>
+			<div class="notice notice-success is-dismissible">
+				<p>
+					<?php
+					echo \esc_html(
+						\sprintf(
+							/* translators: %d: number of queued deliveries sent */
+							\_n(
+								'%d queued delivery sent.',
+								'%d queued deliveries sent.',
+								$count,
+								'contact-form-to-api'
+							),
+							$count
+						)
+					);
+					?>
+				</p>
+			</div>
+			<?php
+		}
+
+		if ( isset( $_GET['queue_paused'] ) ) {
+			?>
+			<div class="notice notice-warning is-dismissible">
+				<p>
+					<?php \esc_html_e( 'Queue workers paused. New deliveries are queued but not sent until the workers are resumed.', 'contact-form-to-api' ); ?>
+				</p>
+			</div>
+			<?php
+		}
+
+		if ( isset( $_GET['queue_resumed'] ) ) {
+			?>
+			<div class="notice notice-success is-dismissible">
+				<p>
+					<?php \esc_html_e( 'Queue workers resumed.', 'contact-form-to-api' ); ?>
+				</p>
+			</div>
+			<?php
+		}
+
+		if ( isset( $_GET['circuit_reset'] ) ) {
+			?>
+			<div class="notice notice-success is-dismissible">
+				<p>
+					<?php \esc_html_e( 'Circuit breaker reset. Deliveries to the endpoint are sent again.', 'contact-form-to-api' ); ?>
+				</p>
+			</div>
+			<?php
+		}
+
+		if ( isset( $_GET['export_scheduled'] ) ) {
+			$frequency = \sanitize_key( \wp_unslash( $_GET['export_scheduled'] ) );
+			?>
+			<div class="notice notice-success is-dismissible">
+				<p>
+					<?php
+					if ( 'daily' === $frequency ) {
+						\esc_html_e( 'Daily export scheduled with the current filters.', 'contact-form-to-api' );
+					} elseif ( 'weekly' === $frequency ) {
+						\esc_html_e( 'Weekly export scheduled with the current filters.', 'contact-form-to-api' );
+					} else {
+						\esc_html_e( 'Scheduled exports turned off.', 'contact-form-to-api' );
+					}
+					?>
+				</p>
+			</div>
+			<?php
+		}
+
 		// Legacy notice for backward compatibility
 		if ( isset( $_GET['retried'] ) && ! isset( $_GET['retried_success'] ) ) {
 			?>
@@ -606,12 +1125,12 @@ class RequestLogView {
 	 * @return void
 	 */
 	private static function render_retry_button( array $log, RetryManager $retry_manager ): void {
-		$retryable_statuses = array( 'error', 'client_error', 'server_error' );
+		$retryable_statuses = array( 'error', 'client_error', 'server_error', 'dead_letter' );
 		if ( ! \in_array( $log['status'], $retryable_statuses, true ) ) {
 			return;
 		}
 
-		$retry_count          = $retry_manager->count_retries( (int) $log['id'] );
+		$retry_count          = $retry_manager->count_retries( (int) $log['id'], false );
 		$max_retries          = RetryManager::get_max_manual_retries();
 		$has_successful_retry = $retry_manager->has_successful_retry( (int) $log['id'] );
 
@@ -2,7 +2,7 @@
 /**
  * Migration View
  *
- * Handles HTML rendering for the legacy log migration UI.
+ * Handles HTML rendering for the legacy log migration and key rotation UI.
  * Separates view logic from controller logic.
  *
  * @package SilverAssist\ContactFormToAPI
@@ -81,6 +81,10 @@ class MigrationView {
 						<span class="dashicons dashicons-info" style="color: #2271b1;"></span>
 						<?php \esc_html_e( 'The migration tool will encrypt existing logs in batches to avoid timeouts.', 'contact-form-to-api' ); ?>
 					</p>
+					<p>
+						<span class="dashicons dashicons-backup" style="color: #2271b1;"></span>
+						<?php \esc_html_e( 'Once started, the migration continues in the background when you leave this page.', 'contact-form-to-api' ); ?>
+					</p>
 					<p>
 						<strong><?php \esc_html_e( 'Recommendation:', 'contact-form-to-api' ); ?></strong>
 						<?php \esc_html_e( 'Create a database backup before proceeding.', 'contact-form-to-api' ); ?>
@@ -133,6 +137,8 @@ class MigrationView {
 
 				<div id="cf7-api-migration-result" style="display: none;"></div>
 
+				<?php self::render_failures_table(); ?>
+
 			<?php else : ?>
 				<div class="cf7-api-migration-complete">
 					<span class="dashicons dashicons-yes-alt" style="color: #46b450;"></span>
@@ -146,6 +152,161 @@ class MigrationView {
 		<?php
 	}
 
+	/**
+	 * Render the table of logs the migration failed to encrypt
+	 *
+	 * Filled and paged by migration.js.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	private static function render_failures_table(): void {
+		?>
+		<div id="cf7-api-migration-failures" style="display: none;">
+			<p>
+				<strong><?php \esc_html_e( 'Logs that could not be encrypted', 'contact-form-to-api' ); ?></strong>
+			</p>
+			<table class="widefat striped">
+				<thead>
+					<tr>
+						<th scope="col"><?php \esc_html_e( 'Log ID', 'contact-form-to-api' ); ?></th>
+						<th scope="col"><?php \esc_html_e( 'Error', 'contact-form-to-api' ); ?></th>
+						<th scope="col"><?php \esc_html_e( 'Date', 'contact-form-to-api' ); ?></th>
+					</tr>
+				</thead>
+				<tbody></tbody>
+			</table>
+			<p class="cf7-api-migration-pager">
+				<button type="button" class="button" id="cf7-api-failures-prev">
+					&lsaquo; <?php \esc_html_e( 'Previous', 'contact-form-to-api' ); ?>
+				</button>
+				<span id="cf7-api-failures-page"></span>
+				<button type="button" class="button" id="cf7-api-failures-next">
+					<?php \esc_html_e( 'Next', 'contact-form-to-api' ); ?> &rsaquo;
+				</button>
+			</p>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render key rotation section
+	 *
+	 * Progress, pause/resume and the report of a rotation started earlier
+	 * are restored from the rotation status by migration.js.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed>|null $rotation Rotation status, see MigrationService::get_rotation_status().
+	 * @return void
+	 */
+	public static function render_key_rotation_section( ?array $rotation ): void {
+		if ( ! EncryptionService::is_sodium_available() ) {
+			return;
+		}
+
+		$encryption = EncryptionService::instance();
+		$encryption->init();
+		?>
+		<div id="cf7-api-key-rotation"
+			class="cf7-api-migration-section cf7-api-key-rotation"
+			data-nonce="<?php echo \esc_attr( \wp_create_nonce( 'cf7_api_migration' ) ); ?>"
+			data-rotation="<?php echo \esc_attr( (string) \wp_json_encode( $rotation ) ); ?>">
+			<h4>
+				<span class="dashicons dashicons-admin-network"></span>
+				<?php \esc_html_e( 'Key Rotation', 'contact-form-to-api' ); ?>
+			</h4>
+
+			<div class="cf7-api-migration-info">
+				<p>
+					<span class="dashicons dashicons-info" style="color: #2271b1;"></span>
+					<?php \esc_html_e( 'Re-encrypts all encrypted logs and form secrets with a new key. Rotate the key when it may have leaked or after changing the WordPress salts.', 'contact-form-to-api' ); ?>
+				</p>
+				<p>
+					<strong><?php \esc_html_e( 'Current key version:', 'contact-form-to-api' ); ?></strong>
+					<?php echo \esc_html( \number_format_i18n( $encryption->get_version() ) ); ?>
+				</p>
+				<p>
+					<strong><?php \esc_html_e( 'Recommendation:', 'contact-form-to-api' ); ?></strong>
+					<?php \esc_html_e( 'Create a database backup before proceeding.', 'contact-form-to-api' ); ?>
+				</p>
+			</div>
+
+			<p class="cf7-api-rotation-secret">
+				<label for="cf7-api-rotation-previous-secret">
+					<?php \esc_html_e( 'Previous AUTH_KEY (optional)', 'contact-form-to-api' ); ?>
+				</label>
+				<input type="password" id="cf7-api-rotation-previous-secret" class="regular-text" autocomplete="off" />
+				<span class="description">
+					<?php \esc_html_e( 'Only needed when the WordPress salts already changed: logs encrypted before can only be decrypted with the old AUTH_KEY. It is kept encrypted until the rotation finishes.', 'contact-form-to-api' ); ?>
+				</span>
+			</p>
+
+			<div class="cf7-api-migration-controls">
+				<button type="button" id="cf7-api-start-rotation" class="button button-primary">
+					<span class="dashicons dashicons-update"></span>
+					<?php \esc_html_e( 'Rotate Key', 'contact-form-to-api' ); ?>
+				</button>
+
+				<button type="button" id="cf7-api-rotation-dry-run" class="button button-secondary">
+					<span class="dashicons dashicons-visibility"></span>
+					<?php \esc_html_e( 'Dry Run (Preview)', 'contact-form-to-api' ); ?>
+				</button>
+
+				<button type="button" id="cf7-api-pause-rotation" class="button button-secondary" style="display: none;">
+					<span class="dashicons dashicons-controls-pause"></span>
+					<?php \esc_html_e( 'Pause', 'contact-form-to-api' ); ?>
+				</button>
+
+				<button type="button" id="cf7-api-resume-rotation" class="button button-primary" style="display: none;">
+					<span class="dashicons dashicons-controls-play"></span>
+					<?php \esc_html_e( 'Resume', 'contact-form-to-api' ); ?>
+				</button>
+
+				<button type="button" id="cf7-api-clear-rotation" class="button button-secondary" style="display: none;">
+					<span class="dashicons dashicons-dismiss"></span>
+					<?php \esc_html_e( 'Dismiss', 'contact-form-to-api' ); ?>
+				</button>
+			</div>
+
+			<div id="cf7-api-rotation-progress" style="display: none;">
+				<div class="cf7-api-progress-bar-container">
+					<div class="cf7-api-progress-bar" style="width: 0%;">
+						<span class="cf7-api-progress-text">0%</span>
+					</div>
+				</div>
+				<div class="cf7-api-migration-status">
+					<p id="cf7-api-rotation-status-text"></p>
+					<p>
+						<span id="cf7-api-rotation-processed-count">0</span> /
+						<span id="cf7-api-rotation-total-count">0</span>
+						<?php \esc_html_e( 'logs processed', 'contact-form-to-api' ); ?>
+					</p>
+				</div>
+			</div>
+
+			<div id="cf7-api-rotation-result" style="display: none;"></div>
+
+			<div id="cf7-api-rotation-report" style="display: none;">
+				<p>
+					<strong><?php \esc_html_e( 'Logs that could not be decrypted', 'contact-form-to-api' ); ?></strong>
+				</p>
+				<p class="description">
+					<?php \esc_html_e( 'These logs keep their current encryption. If they were encrypted with an older AUTH_KEY, rotate the key again with that key.', 'contact-form-to-api' ); ?>
+				</p>
+				<table class="widefat striped">
+					<thead>
+						<tr>
+							<th scope="col"><?php \esc_html_e( 'Log ID', 'contact-form-to-api' ); ?></th>
+							<th scope="col"><?php \esc_html_e( 'Error', 'contact-form-to-api' ); ?></th>
+						</tr>
+					</thead>
+					<tbody></tbody>
+				</table>
+			</div>
+		</div>
+		<?php
+	}
+
 	/**
 	 * Render dry run results
 	 *
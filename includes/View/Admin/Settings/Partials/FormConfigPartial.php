@@ -0,0 +1,175 @@
+<?php
+/**
+ * Form Config Partial View
+ *
+ * Renders the export, import and copy tools for form API configurations.
+ *
+ * @package SilverAssist\ContactFormToAPI
+ * @subpackage View\Admin\Settings\Partials
+ * @since 2.5.0
+ * @version 2.5.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ContactFormToAPI\View\Admin\Settings\Partials;
+
+use SilverAssist\ContactFormToAPI\Service\ContactForm\FormConfigManager;
+
+\defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class FormConfigPartial
+ *
+ * Imports and copies are previewed through AJAX (see settings-page.js)
+ * before they are applied.
+ *
+ * @since 2.5.0
+ */
+class FormConfigPartial {
+
+	/**
+	 * Render form configurations section
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public static function render(): void {
+		$forms = ( new FormConfigManager() )->get_forms();
+		?>
+		<div class="cf7-api-section cf7-api-form-config">
+			<h2>
+				<span class="dashicons dashicons-migrate"></span>
+				<?php \esc_html_e( 'Form Configurations', 'contact-form-to-api' ); ?>
+			</h2>
+			<p class="description">
+				<?php \esc_html_e( 'Export the API settings of a form to JSON, import them on another site, or copy them between forms.', 'contact-form-to-api' ); ?>
+			</p>
+
+			<?php if ( empty( $forms ) ) : ?>
+				<p><?php \esc_html_e( 'No contact forms found.', 'contact-form-to-api' ); ?></p>
+			<?php else : ?>
+				<?php self::render_export_form( $forms ); ?>
+				<?php self::render_copy_tool( $forms ); ?>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the export form
+	 *
+	 * @since 2.5.0
+	 * @param array<int, string> $forms Form titles keyed by form ID.
+	 * @return void
+	 */
+	private static function render_export_form( array $forms ): void {
+		?>
+		<h3><?php \esc_html_e( 'Export', 'contact-form-to-api' ); ?></h3>
+		<form method="post" action="<?php echo \esc_url( \admin_url( 'admin-post.php' ) ); ?>">
+			<input type="hidden" name="action" value="cf7_api_export_form_config" />
+			<?php \wp_nonce_field( 'cf7_api_export_form_config' ); ?>
+			<p>
+				<label>
+					<?php \esc_html_e( 'Form', 'contact-form-to-api' ); ?>
+					<select name="form_id">
+						<?php self::render_form_options( $forms ); ?>
+					</select>
+				</label>
+				<label>
+					<input type="checkbox" name="include_secrets" value="1" />
+					<?php \esc_html_e( 'Include secrets', 'contact-form-to-api' ); ?>
+				</label>
+				<?php \submit_button( \__( 'Download JSON', 'contact-form-to-api' ), 'secondary', 'submit', false ); ?>
+			</p>
+			<p class="description">
+				<?php \esc_html_e( 'Secrets are tokens, passwords, the signing secret and sensitive header values. They are exported in plaintext, so keep such files safe. Without them, the imported forms keep their current secrets.', 'contact-form-to-api' ); ?>
+			</p>
+		</form>
+		<?php
+	}
+
+	/**
+	 * Render the import and copy tool
+	 *
+	 * @since 2.5.0
+	 * @param array<int, string> $forms Form titles keyed by form ID.
+	 * @return void
+	 */
+	private static function render_copy_tool( array $forms ): void {
+		?>
+		<h3><?php \esc_html_e( 'Import or Copy', 'contact-form-to-api' ); ?></h3>
+		<div id="cf7-api-form-config-tool">
+			<p>
+				<label>
+					<input type="radio" name="cf7_api_config_source" value="file" checked="checked" />
+					<?php \esc_html_e( 'From an export file', 'contact-form-to-api' ); ?>
+				</label>
+				<input type="file" id="cf7-api-form-config-file" accept=".json,application/json" />
+			</p>
+			<p>
+				<label>
+					<input type="radio" name="cf7_api_config_source" value="form" />
+					<?php \esc_html_e( 'From another form', 'contact-form-to-api' ); ?>
+				</label>
+				<select id="cf7-api-form-config-source">
+					<?php self::render_form_options( $forms ); ?>
+				</select>
+			</p>
+
+			<p><strong><?php \esc_html_e( 'Target forms', 'contact-form-to-api' ); ?></strong></p>
+			<div class="cf7-api-form-config-targets">
+				<?php foreach ( $forms as $form_id => $title ) : ?>
+					<label>
+						<input type="checkbox" name="cf7_api_config_targets[]" value="<?php echo \esc_attr( (string) $form_id ); ?>" />
+						<?php echo \esc_html( self::get_form_label( $form_id, $title ) ); ?>
+					</label>
+				<?php endforeach; ?>
+			</div>
+			<p class="description">
+				<?php \esc_html_e( 'The API settings of the target forms are replaced; their form fields, mail and messages are not changed.', 'contact-form-to-api' ); ?>
+			</p>
+
+			<p>
+				<button type="button" class="button" id="cf7-api-form-config-preview">
+					<?php \esc_html_e( 'Preview Changes', 'contact-form-to-api' ); ?>
+				</button>
+				<button type="button" class="button button-primary" id="cf7-api-form-config-apply" disabled="disabled">
+					<?php \esc_html_e( 'Apply Changes', 'contact-form-to-api' ); ?>
+				</button>
+				<span id="cf7-api-form-config-result"></span>
+			</p>
+			<div id="cf7-api-form-config-diff"></div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render form select options
+	 *
+	 * @since 2.5.0
+	 * @param array<int, string> $forms Form titles keyed by form ID.
+	 * @return void
+	 */
+	private static function render_form_options( array $forms ): void {
+		foreach ( $forms as $form_id => $title ) {
+			\printf(
+				'<option value="%s">%s</option>',
+				\esc_attr( (string) $form_id ),
+				\esc_html( self::get_form_label( $form_id, $title ) )
+			);
+		}
+	}
+
+	/**
+	 * Get the label of a form
+	 *
+	 * @since 2.5.0
+	 * @param int    $form_id Form ID.
+	 * @param string $title   Form title.
+	 * @return string
+	 */
+	private static function get_form_label( int $form_id, string $title ): string {
+		/* translators: 1: form title, 2: form ID */
+		return \sprintf( \__( '%1$s (#%2$d)', 'contact-form-to-api' ), $title, $form_id );
+	}
+}
@@ -54,11 +54,15 @@ class GlobalSettingsPartial {
 				// Call methods from SettingsView for backward compatibility.
 				// These could be further extracted into sub-partials in future iterations.
 				SettingsView::render_retry_settings_partial( $settings );
+				SettingsView::render_queue_settings_partial( $settings );
+				SettingsView::render_file_settings_partial( $settings );
 				SettingsView::render_sensitive_patterns_partial( $settings );
+				SettingsView::render_search_index_partial( $settings );
 				SettingsView::render_logging_settings_partial( $settings );
 				SettingsView::render_log_retention_partial( $settings );
 				SettingsView::render_encryption_settings_partial( $settings );
 				SettingsView::render_email_alerts_partial( $settings );
+				SettingsView::render_alert_channels_partial( $settings );
 				?>
 
 				<?php \submit_button( \__( 'Save Settings', 'contact-form-to-api' ) ); ?>
@@ -15,8 +15,12 @@
 namespace SilverAssist\ContactFormToAPI\View\Admin\Settings;
 
 use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Service\Logging\SearchIndex;
+use SilverAssist\ContactFormToAPI\Service\Migration\MigrationService;
+use SilverAssist\ContactFormToAPI\Service\Notification\AlertChannelService;
 use SilverAssist\ContactFormToAPI\Service\Security\EncryptionService;
 use SilverAssist\ContactFormToAPI\View\Admin\Migration\MigrationView;
+use SilverAssist\ContactFormToAPI\View\Admin\Settings\Partials\FormConfigPartial;
 use SilverAssist\ContactFormToAPI\View\Admin\Settings\Partials\GlobalSettingsPartial;
 
 \defined( 'ABSPATH' ) || exit;
@@ -46,6 +50,7 @@ class SettingsView {
 			<?php self::render_notices( $notices ); ?>
 			<?php self::render_status_section(); ?>
 			<?php GlobalSettingsPartial::render(); ?>
+			<?php FormConfigPartial::render(); ?>
 			<?php self::render_how_to_section(); ?>
 			<?php self::render_quick_links_section(); ?>
 		</div>
@@ -351,6 +356,184 @@ class SettingsView {
 		<?php
 	}
 
+	/**
+	 * Render delivery queue and circuit breaker settings
+	 *
+	 * @since 2.5.0
+	 * @param Settings $settings Settings instance.
+	 * @return void
+	 */
+	public static function render_queue_settings_partial( Settings $settings ): void {
+		$queue_enabled     = $settings->is_queue_enabled();
+		$queue_batch_size  = $settings->get_queue_batch_size();
+		$breaker_enabled   = $settings->is_circuit_breaker_enabled();
+		$breaker_threshold = $settings->get_circuit_breaker_threshold();
+		$breaker_cooldown  = $settings->get_circuit_breaker_cooldown();
+		?>
+		<h3><?php \esc_html_e( 'Delivery Queue', 'contact-form-to-api' ); ?></h3>
+		<table class="form-table" role="presentation">
+			<tbody>
+				<tr>
+					<th scope="row">
+						<?php \esc_html_e( 'Background delivery', 'contact-form-to-api' ); ?>
+					</th>
+					<td>
+						<fieldset>
+							<label>
+								<input type="checkbox"
+									id="queue_enabled"
+									name="queue_enabled"
+									value="1"
+									<?php \checked( $queue_enabled ); ?>>
+								<?php \esc_html_e( 'Queue submissions and deliver them in the background', 'contact-form-to-api' ); ?>
+							</label>
+							<p class="description">
+								<?php \esc_html_e( 'Submissions are stored as pending logs and the form responds immediately. A WP-Cron (or Action Scheduler) worker sends them with each form\'s retry configuration. Requires logging to be enabled.', 'contact-form-to-api' ); ?>
+							</p>
+						</fieldset>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row">
+						<label for="queue_batch_size">
+							<?php \esc_html_e( 'Deliveries per worker run', 'contact-form-to-api' ); ?>
+						</label>
+					</th>
+					<td>
+						<input type="number"
+							id="queue_batch_size"
+							name="queue_batch_size"
+							value="<?php echo \esc_attr( $queue_batch_size ); ?>"
+							min="1"
+							max="100"
+							class="small-text">
+						<p class="description">
+							<?php \esc_html_e( 'Maximum number of queued deliveries sent each time the worker runs. The worker reschedules itself while the queue is not empty.', 'contact-form-to-api' ); ?>
+						</p>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row">
+						<?php \esc_html_e( 'Circuit breaker', 'contact-form-to-api' ); ?>
+					</th>
+					<td>
+						<fieldset>
+							<label>
+								<input type="checkbox"
+									id="circuit_breaker_enabled"
+									name="circuit_breaker_enabled"
+									value="1"
+									<?php \checked( $breaker_enabled ); ?>>
+								<?php \esc_html_e( 'Stop calling endpoints that keep failing', 'contact-form-to-api' ); ?>
+							</label>
+							<p class="description">
+								<?php \esc_html_e( 'While an endpoint\'s circuit breaker is open, submissions are not sent to it: they wait in the delivery queue as pending logs, even when background delivery is off. After the cooldown one request probes the endpoint; if it succeeds, the waiting deliveries are sent.', 'contact-form-to-api' ); ?>
+							</p>
+						</fieldset>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row">
+						<label for="circuit_breaker_threshold">
+							<?php \esc_html_e( 'Open after', 'contact-form-to-api' ); ?>
+						</label>
+					</th>
+					<td>
+						<input type="number"
+							id="circuit_breaker_threshold"
+							name="circuit_breaker_threshold"
+							value="<?php echo \esc_attr( $breaker_threshold ); ?>"
+							min="1"
+							max="100"
+							class="small-text">
+						<?php \esc_html_e( 'consecutive failed deliveries', 'contact-form-to-api' ); ?>
+						<p class="description">
+							<?php \esc_html_e( 'Timeouts, connection errors and 5xx, 408 or 429 responses count as failures.', 'contact-form-to-api' ); ?>
+						</p>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row">
+						<label for="circuit_breaker_cooldown">
+							<?php \esc_html_e( 'Probe the endpoint after', 'contact-form-to-api' ); ?>
+						</label>
+					</th>
+					<td>
+						<input type="number"
+							id="circuit_breaker_cooldown"
+							name="circuit_breaker_cooldown"
+							value="<?php echo \esc_attr( $breaker_cooldown ); ?>"
+							min="1"
+							max="1440"
+							class="small-text">
+						<?php \esc_html_e( 'minutes', 'contact-form-to-api' ); ?>
+						<p class="description">
+							<?php \esc_html_e( 'A failed probe keeps the breaker open for another cooldown.', 'contact-form-to-api' ); ?>
+						</p>
+					</td>
+				</tr>
+			</tbody>
+		</table>
+		<?php
+	}
+
+	/**
+	 * Render file forwarding limits
+	 *
+	 * @since 2.5.0
+	 * @param Settings $settings Settings instance.
+	 * @return void
+	 */
+	public static function render_file_settings_partial( Settings $settings ): void {
+		$file_max_size       = (int) ( $settings->get_file_max_size() / MB_IN_BYTES );
+		$file_max_total_size = (int) ( $settings->get_file_max_total_size() / MB_IN_BYTES );
+		?>
+		<h3><?php \esc_html_e( 'File Forwarding', 'contact-form-to-api' ); ?></h3>
+		<table class="form-table" role="presentation">
+			<tbody>
+				<tr>
+					<th scope="row">
+						<label for="file_max_size">
+							<?php \esc_html_e( 'Maximum file size (MB)', 'contact-form-to-api' ); ?>
+						</label>
+					</th>
+					<td>
+						<input type="number"
+							id="file_max_size"
+							name="file_max_size"
+							value="<?php echo \esc_attr( $file_max_size ); ?>"
+							min="1"
+							max="100"
+							class="small-text">
+						<p class="description">
+							<?php \esc_html_e( 'Uploaded files larger than this are not sent to the API. The log entry lists every file with its size and the reason it was left out.', 'contact-form-to-api' ); ?>
+						</p>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row">
+						<label for="file_max_total_size">
+							<?php \esc_html_e( 'Maximum total per request (MB)', 'contact-form-to-api' ); ?>
+						</label>
+					</th>
+					<td>
+						<input type="number"
+							id="file_max_total_size"
+							name="file_max_total_size"
+							value="<?php echo \esc_attr( $file_max_total_size ); ?>"
+							min="1"
+							max="100"
+							class="small-text">
+						<p class="description">
+							<?php \esc_html_e( 'Combined size of the files sent with one request. Base64 encoding adds about a third to the request size.', 'contact-form-to-api' ); ?>
+						</p>
+					</td>
+				</tr>
+			</tbody>
+		</table>
+		<?php
+	}
+
 	/**
 	 * Render sensitive data patterns settings
 	 *
@@ -387,6 +570,48 @@ class SettingsView {
 		<?php
 	}
 
+	/**
+	 * Render searchable fields settings
+	 *
+	 * @since 2.5.0
+	 * @param Settings $settings Settings instance.
+	 * @return void
+	 */
+	public static function render_search_index_partial( Settings $settings ): void {
+		$fields_text = \implode( "\n", $settings->get_search_index_fields() );
+		?>
+		<h3><?php \esc_html_e( 'Log Search', 'contact-form-to-api' ); ?></h3>
+		<table class="form-table" role="presentation">
+			<tbody>
+				<tr>
+					<th scope="row">
+						<label for="search_index_fields">
+							<?php \esc_html_e( 'Searchable fields', 'contact-form-to-api' ); ?>
+						</label>
+					</th>
+					<td>
+						<textarea
+							id="search_index_fields"
+							name="search_index_fields"
+							rows="3"
+							cols="50"
+							class="large-text code"><?php echo \esc_textarea( $fields_text ); ?></textarea>
+						<p class="description">
+							<?php \esc_html_e( 'Enter one field name per line. Request fields containing these names can be searched by exact value on the API Logs screen, e.g. email:jane@example.com. Values are stored as keyed hashes, never in plain text; fields matching the sensitive data patterns are not indexed.', 'contact-form-to-api' ); ?>
+						</p>
+						<?php if ( SearchIndex::instance()->is_rebuilding() ) : ?>
+							<p class="description">
+								<span class="dashicons dashicons-update"></span>
+								<?php \esc_html_e( 'Existing logs are being indexed in the background.', 'contact-form-to-api' ); ?>
+							</p>
+						<?php endif; ?>
+					</td>
+				</tr>
+			</tbody>
+		</table>
+		<?php
+	}
+
 	/**
 	 * Render logging control settings
 	 *
@@ -589,6 +814,7 @@ value="1"
 		<?php
 		// Render migration section if there are unencrypted logs.
 		MigrationView::render_migration_section( $stats );
+		MigrationView::render_key_rotation_section( MigrationService::instance()->get_rotation_status() );
 		?>
 		<?php
 	}
@@ -828,6 +1054,127 @@ value="1"
 		<?php
 	}
 
+	/**
+	 * Render alert channel settings
+	 *
+	 * One block per registered channel; test alerts use the URL entered in
+	 * the field, so they work before the settings are saved.
+	 *
+	 * @since 2.5.0
+	 * @param Settings $settings Settings instance.
+	 * @return void
+	 */
+	public static function render_alert_channels_partial( Settings $settings ): void {
+		$channels       = ( new AlertChannelService() )->get_channels();
+		$type_labels    = AlertChannelService::get_alert_type_labels();
+		$cooldown_hours = array(
+			0  => \__( 'No cooldown', 'contact-form-to-api' ),
+			1  => \__( '1 hour', 'contact-form-to-api' ),
+			2  => \__( '2 hours', 'contact-form-to-api' ),
+			4  => \__( '4 hours', 'contact-form-to-api' ),
+			8  => \__( '8 hours', 'contact-form-to-api' ),
+			24 => \__( '24 hours', 'contact-form-to-api' ),
+		);
+		?>
+		<h3><?php \esc_html_e( 'Alert Channels', 'contact-form-to-api' ); ?></h3>
+		<p class="description">
+			<?php \esc_html_e( 'Send alerts to chat and incident tools. Channels are independent of the email alerts and use the thresholds and check interval above.', 'contact-form-to-api' ); ?>
+		</p>
+		<?php foreach ( $channels as $channel_id => $channel ) : ?>
+			<?php
+			$config = $settings->get_alert_channel( $channel_id );
+			$prefix = 'alert_channel_' . $channel_id;
+			$name   = 'alert_channels[' . $channel_id . ']';
+			?>
+			<h4 style="margin: 20px 0 0 0;"><?php echo \esc_html( $channel->get_label() ); ?></h4>
+			<table class="form-table cf7-api-alert-channel" role="presentation">
+				<tbody>
+					<tr>
+						<th scope="row">
+							<?php \esc_html_e( 'Enable channel', 'contact-form-to-api' ); ?>
+						</th>
+						<td>
+							<label>
+								<input type="checkbox"
+									id="<?php echo \esc_attr( $prefix . '_enabled' ); ?>"
+									name="<?php echo \esc_attr( $name . '[enabled]' ); ?>"
+									value="1"
+									<?php \checked( $config['enabled'] ); ?>>
+								<?php
+								/* translators: %s: channel name */
+								echo \esc_html( \sprintf( \__( 'Send alerts to %s', 'contact-form-to-api' ), $channel->get_label() ) );
+								?>
+							</label>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row">
+							<label for="<?php echo \esc_attr( $prefix . '_url' ); ?>">
+								<?php \esc_html_e( 'Webhook URL', 'contact-form-to-api' ); ?>
+							</label>
+						</th>
+						<td>
+							<input type="url"
+								id="<?php echo \esc_attr( $prefix . '_url' ); ?>"
+								name="<?php echo \esc_attr( $name . '[url]' ); ?>"
+								value="<?php echo \esc_attr( $config['url'] ); ?>"
+								class="large-text code">
+							<p class="description">
+								<?php echo \esc_html( $channel->get_description() ); ?>
+							</p>
+							<p>
+								<button type="button"
+									class="button button-secondary cf7-api-send-test-alert"
+									data-channel="<?php echo \esc_attr( $channel_id ); ?>">
+									<?php \esc_html_e( 'Send Test Alert', 'contact-form-to-api' ); ?>
+								</button>
+								<span class="cf7-api-test-alert-result" style="margin-left: 10px;"></span>
+							</p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row">
+							<?php \esc_html_e( 'Alert types', 'contact-form-to-api' ); ?>
+						</th>
+						<td>
+							<fieldset>
+								<?php foreach ( $type_labels as $type => $label ) : ?>
+									<label style="display: block; margin-bottom: 6px;">
+										<input type="checkbox"
+											name="<?php echo \esc_attr( $name . '[types][' . $type . ']' ); ?>"
+											value="1"
+											<?php \checked( ! empty( $config['types'][ $type ] ) ); ?>>
+										<?php echo \esc_html( $label ); ?>
+									</label>
+								<?php endforeach; ?>
+							</fieldset>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row">
+							<label for="<?php echo \esc_attr( $prefix . '_cooldown_hours' ); ?>">
+								<?php \esc_html_e( 'Cooldown period', 'contact-form-to-api' ); ?>
+							</label>
+						</th>
+						<td>
+							<select id="<?php echo \esc_attr( $prefix . '_cooldown_hours' ); ?>" name="<?php echo \esc_attr( $name . '[cooldown_hours]' ); ?>">
+								<?php foreach ( $cooldown_hours as $hours => $label ) : ?>
+									<option value="<?php echo \esc_attr( (string) $hours ); ?>" <?php \selected( $config['cooldown_hours'], $hours ); ?>>
+										<?php echo \esc_html( $label ); ?>
+									</option>
+								<?php endforeach; ?>
+							</select>
+							<p class="description">
+								<?php \esc_html_e( 'Minimum time between two alerts of the same type on this channel.', 'contact-form-to-api' ); ?>
+							</p>
+						</td>
+					</tr>
+				</tbody>
+			</table>
+		<?php endforeach; ?>
+		<?php
+	}
+
 	/**
 	 * Render quick links section
 	 *
@@ -8,13 +8,21 @@
  * @package SilverAssist\ContactFormToAPI
  * @subpackage View\ContactForm
  * @since 1.1.0
- * @version 2.4.0
+ * @version 2.5.0
  * @author Silver Assist
  */
 
 namespace SilverAssist\ContactFormToAPI\View\ContactForm;
 
 use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Service\Api\AuthManager;
+use SilverAssist\ContactFormToAPI\Service\Api\DeliveryQueue;
+use SilverAssist\ContactFormToAPI\Service\Api\RequestSigner;
+use SilverAssist\ContactFormToAPI\Service\Api\RetryScheduler;
+use SilverAssist\ContactFormToAPI\Service\Logging\EndpointHealth;
+use SilverAssist\ContactFormToAPI\Service\Notification\AlertRuleService;
+use SilverAssist\ContactFormToAPI\Utils\ConditionEvaluator;
+use SilverAssist\ContactFormToAPI\Utils\FieldTransformer;
 use WPCF7_ContactForm;
 use WPCF7_FormTag;
 
@@ -44,6 +52,15 @@ class IntegrationView {
 	 * @param array<string, int|float>             $statistics        API statistics
 	 * @param array<string, mixed>                 $debug_info        Legacy debug information
 	 * @param array<int, array<string, string>>    $custom_headers    Custom HTTP headers
+	 * @param array<int, array<string, mixed>>     $api_endpoints     Additional destinations
+	 * @param array<string, mixed>                 $send_conditions   Sending conditions of the primary endpoint
+	 * @param array<string, string>                $auth_config       Authentication settings (secrets as stored)
+	 * @param array<string, mixed>                 $signing_config    HMAC signing settings (secret as stored)
+	 * @param array<string, mixed>                 $response_rules    Success rule and response field extraction
+	 * @param array<string, string>                $failure_policy    What the visitor sees when the primary endpoint fails
+	 * @param array<string, mixed>                 $mapping_rules     Value transforms and static fields
+	 * @param array<int, array<string, mixed>>     $alert_rules       Alert rules
+	 * @param array<string, array<string, mixed>>  $endpoint_health   Health of the form's endpoints keyed by URL
 	 * @return void
 	 */
 	public static function render_panel(
@@ -57,10 +74,20 @@ class IntegrationView {
 		array $recent_logs,
 		array $statistics,
 		array $debug_info,
-		array $custom_headers = array()
+		array $custom_headers = array(),
+		array $api_endpoints = array(),
+		array $send_conditions = array(),
+		array $auth_config = array(),
+		array $signing_config = array(),
+		array $response_rules = array(),
+		array $failure_policy = array(),
+		array $mapping_rules = array(),
+		array $alert_rules = array(),
+		array $endpoint_health = array()
 	): void {
 		$xml_placeholder  = self::get_xml_placeholder();
 		$json_placeholder = self::get_json_placeholder();
+		$field_names      = \array_map( fn( $mail_tag ) => $mail_tag->name, $mail_tags );
 		?>
 		<div id="cf7-api-integration">
 			<h2><?php \esc_html_e( 'API Integration', 'contact-form-to-api' ); ?></h2>
@@ -82,14 +109,32 @@ class IntegrationView {
 				<?php \do_action( 'cf7_api_after_base_fields', $post ); ?>
 			</fieldset>
 
-			<?php self::render_authentication_section( $custom_headers ); ?>
+			<?php self::render_authentication_section( $custom_headers, $auth_config ); ?>
 
-			<?php self::render_params_mapping( $mail_tags, $wpcf7_api_data_map ); ?>
+			<?php self::render_signing_section( $signing_config ); ?>
+
+			<?php self::render_response_rules( $response_rules ); ?>
+
+			<?php self::render_failure_policy( $failure_policy ); ?>
+
+			<?php self::render_send_conditions( $send_conditions, $field_names ); ?>
+
+			<?php self::render_params_mapping( $mail_tags, $wpcf7_api_data_map, $mapping_rules ); ?>
 
 			<?php self::render_xml_template( $mail_tags, $wpcf7_api_data_template, $xml_placeholder ); ?>
 
 			<?php self::render_json_template( $mail_tags, $wpcf7_api_json_data_template, $json_placeholder ); ?>
 
+			<?php self::render_request_preview( $mail_tags ); ?>
+
+			<?php self::render_test_connection(); ?>
+
+			<?php self::render_additional_endpoints( $api_endpoints, $field_names ); ?>
+
+			<?php self::render_alert_rules( $alert_rules, (string) $wpcf7_api_data['base_url'], $api_endpoints ); ?>
+
+			<?php self::render_endpoint_health( $endpoint_health ); ?>
+
 			<?php if ( $wpcf7_api_data['debug_log'] ) : ?>
 				<?php self::render_debug_section( $recent_logs, $statistics, $debug_info ); ?>
 			<?php endif; ?>
@@ -145,6 +190,9 @@ class IntegrationView {
 					<option value="json" <?php \selected( $wpcf7_api_data['input_type'], 'json' ); ?>>
 						<?php \esc_html_e( 'JSON', 'contact-form-to-api' ); ?>
 					</option>
+					<option value="multipart" <?php \selected( $wpcf7_api_data['input_type'], 'multipart' ); ?>>
+						<?php \esc_html_e( 'Multipart form data (file uploads)', 'contact-form-to-api' ); ?>
+					</option>
 				</select>
 			</label>
 		</div>
@@ -209,6 +257,34 @@ class IntegrationView {
 			</label>
 			<p class="description"><?php \esc_html_e( 'Automatically retry when API request times out.', 'contact-form-to-api' ); ?></p>
 		</div>
+
+		<div class="cf7_row">
+			<label for="wpcf7-retry-auto-retry">
+				<span class="cf7-label-in"><?php \esc_html_e( 'Scheduled retries', 'contact-form-to-api' ); ?></span>
+				<input type="checkbox" id="wpcf7-retry-auto-retry" name="retry_config[auto_retry]" <?php \checked( ! empty( $retry_config['auto_retry'] ) ); ?> />
+			</label>
+			<p class="description"><?php \esc_html_e( 'Re-send failed submissions in the background (timeouts, connection errors, 5xx, 408 and 429 responses). When every scheduled attempt fails the log entry is moved to "Dead letter" and an alert is emailed.', 'contact-form-to-api' ); ?></p>
+		</div>
+
+		<div class="cf7_row">
+			<label for="wpcf7-retry-auto-retry-schedule">
+				<span class="cf7-label-in"><?php \esc_html_e( 'Retry schedule (minutes)', 'contact-form-to-api' ); ?></span>
+				<input type="text" id="wpcf7-retry-auto-retry-schedule" name="retry_config[auto_retry_schedule]" class="regular-text"
+					value="<?php echo \esc_attr( \implode( ', ', RetryScheduler::parse_schedule( $retry_config['auto_retry_schedule'] ?? RetryScheduler::DEFAULT_SCHEDULE ) ) ); ?>" />
+			</label>
+			<p class="description">
+				<?php
+				echo \esc_html(
+					\sprintf(
+						/* translators: 1: maximum number of attempts, 2: maximum delay in minutes */
+						\__( 'Minutes to wait before each attempt, separated by commas; one attempt per value (up to %1$d, at most %2$d minutes each). Default: 5, 30, 120, 720, 1440', 'contact-form-to-api' ),
+						RetryScheduler::MAX_ATTEMPTS,
+						RetryScheduler::MAX_DELAY
+					)
+				);
+				?>
+			</p>
+		</div>
 		<?php
 	}
 
@@ -216,10 +292,12 @@ class IntegrationView {
 	 * Render authentication/custom headers section
 	 *
 	 * @since 1.1.2
+	 * @since 2.5.0 Added `$auth_config` for the authentication type selector.
 	 * @param array<int, array<string, string>> $custom_headers Custom HTTP headers
+	 * @param array<string, string>             $auth_config    Authentication settings (secrets as stored)
 	 * @return void
 	 */
-	private static function render_authentication_section( array $custom_headers ): void {
+	private static function render_authentication_section( array $custom_headers, array $auth_config = array() ): void {
 		// Ensure we have at least one empty row for adding new headers.
 		if ( empty( $custom_headers ) ) {
 			$custom_headers = array(
@@ -232,6 +310,10 @@ class IntegrationView {
 		?>
 		<fieldset class="cf7-api-authentication">
 			<h3><?php \esc_html_e( 'Authentication & Custom Headers', 'contact-form-to-api' ); ?></h3>
+
+			<?php self::render_auth_type_fields( $auth_config ); ?>
+
+			<h4><?php \esc_html_e( 'Custom Headers', 'contact-form-to-api' ); ?></h4>
 			<p class="description">
 				<?php \esc_html_e( 'Add custom HTTP headers for authentication or other purposes. Common examples:', 'contact-form-to-api' ); ?>
 				<code>Authorization: Bearer your-token</code>,
@@ -307,55 +389,478 @@ class IntegrationView {
 		<?php
 	}
 
+	/**
+	 * Render the authentication type selector and the settings of each type
+	 *
+	 * Saved secrets are never printed; leaving a secret field blank keeps it.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, string> $auth_config Authentication settings (secrets as stored)
+	 * @return void
+	 */
+	private static function render_auth_type_fields( array $auth_config ): void {
+		$type         = AuthManager::get_type( $auth_config );
+		$secret_field = function ( string $field, string $id ) use ( $auth_config ): void {
+			$is_saved = ! empty( $auth_config[ $field ] );
+			?>
+			<input type="password" id="<?php echo \esc_attr( $id ); ?>" name="auth_config[<?php echo \esc_attr( $field ); ?>]"
+				class="regular-text" value="" autocomplete="new-password"
+				placeholder="<?php echo $is_saved ? \esc_attr__( 'Saved — leave blank to keep', 'contact-form-to-api' ) : ''; ?>" />
+			<?php
+		};
+		?>
+		<div class="cf7_row">
+			<label for="cf7-api-auth-type">
+				<span class="cf7-label-in"><?php \esc_html_e( 'Authentication type', 'contact-form-to-api' ); ?></span>
+				<select id="cf7-api-auth-type" name="auth_config[type]">
+					<?php foreach ( AuthManager::get_type_labels() as $value => $label ) : ?>
+						<option value="<?php echo \esc_attr( $value ); ?>" <?php \selected( $type, $value ); ?>><?php echo \esc_html( $label ); ?></option>
+					<?php endforeach; ?>
+				</select>
+			</label>
+			<p class="description"><?php \esc_html_e( 'Credentials are added to every request of the primary endpoint. Secrets are stored encrypted.', 'contact-form-to-api' ); ?></p>
+		</div>
+
+		<div class="cf7-api-auth-fields" data-auth-type="bearer">
+			<div class="cf7_row">
+				<label for="cf7-api-auth-token">
+					<span class="cf7-label-in"><?php \esc_html_e( 'Token', 'contact-form-to-api' ); ?></span>
+					<?php $secret_field( 'token', 'cf7-api-auth-token' ); ?>
+				</label>
+				<p class="description"><?php \esc_html_e( 'Sent as "Authorization: Bearer <token>".', 'contact-form-to-api' ); ?></p>
+			</div>
+		</div>
+
+		<div class="cf7-api-auth-fields" data-auth-type="basic">
+			<div class="cf7_row">
+				<label for="cf7-api-auth-username">
+					<span class="cf7-label-in"><?php \esc_html_e( 'Username', 'contact-form-to-api' ); ?></span>
+					<input type="text" id="cf7-api-auth-username" name="auth_config[username]" class="regular-text"
+						value="<?php echo \esc_attr( $auth_config['username'] ?? '' ); ?>" autocomplete="off" />
+				</label>
+			</div>
+			<div class="cf7_row">
+				<label for="cf7-api-auth-password">
+					<span class="cf7-label-in"><?php \esc_html_e( 'Password', 'contact-form-to-api' ); ?></span>
+					<?php $secret_field( 'password', 'cf7-api-auth-password' ); ?>
+				</label>
+			</div>
+		</div>
+
+		<div class="cf7-api-auth-fields" data-auth-type="api_key_query">
+			<div class="cf7_row">
+				<label for="cf7-api-auth-query-param">
+					<span class="cf7-label-in"><?php \esc_html_e( 'Query parameter', 'contact-form-to-api' ); ?></span>
+					<input type="text" id="cf7-api-auth-query-param" name="auth_config[query_param]" class="regular-text"
+						value="<?php echo \esc_attr( $auth_config['query_param'] ?? '' ); ?>" placeholder="api_key" />
+				</label>
+			</div>
+			<div class="cf7_row">
+				<label for="cf7-api-auth-api-key">
+					<span class="cf7-label-in"><?php \esc_html_e( 'API key', 'contact-form-to-api' ); ?></span>
+					<?php $secret_field( 'api_key', 'cf7-api-auth-api-key' ); ?>
+				</label>
+				<p class="description"><?php \esc_html_e( 'The key is masked in the API logs.', 'contact-form-to-api' ); ?></p>
+			</div>
+		</div>
+
+		<div class="cf7-api-auth-fields" data-auth-type="oauth2">
+			<div class="cf7_row">
+				<label for="cf7-api-auth-token-url">
+					<span class="cf7-label-in"><?php \esc_html_e( 'Token URL', 'contact-form-to-api' ); ?></span>
+					<input type="url" id="cf7-api-auth-token-url" name="auth_config[token_url]" class="large-text"
+						value="<?php echo \esc_attr( $auth_config['token_url'] ?? '' ); ?>" placeholder="https://auth.example.com/oauth/token" />
+				</label>
+			</div>
+			<div class="cf7_row">
+				<label for="cf7-api-auth-client-id">
+					<span class="cf7-label-in"><?php \esc_html_e( 'Client ID', 'contact-form-to-api' ); ?></span>
+					<input type="text" id="cf7-api-auth-client-id" name="auth_config[client_id]" class="regular-text"
+						value="<?php echo \esc_attr( $auth_config['client_id'] ?? '' ); ?>" autocomplete="off" />
+				</label>
+			</div>
+			<div class="cf7_row">
+				<label for="cf7-api-auth-client-secret">
+					<span class="cf7-label-in"><?php \esc_html_e( 'Client secret', 'contact-form-to-api' ); ?></span>
+					<?php $secret_field( 'client_secret', 'cf7-api-auth-client-secret' ); ?>
+				</label>
+			</div>
+			<div class="cf7_row">
+				<label for="cf7-api-auth-scope">
+					<span class="cf7-label-in"><?php \esc_html_e( 'Scope', 'contact-form-to-api' ); ?></span>
+					<input type="text" id="cf7-api-auth-scope" name="auth_config[scope]" class="regular-text"
+						value="<?php echo \esc_attr( $auth_config['scope'] ?? '' ); ?>" />
+				</label>
+				<p class="description"><?php \esc_html_e( 'Access tokens are cached until they expire and fetched again when the API answers 401 Unauthorized.', 'contact-form-to-api' ); ?></p>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render HMAC request signing section
+	 *
+	 * The saved secret is never printed; leaving the field blank keeps it.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $signing_config HMAC signing settings (secret as stored)
+	 * @return void
+	 */
+	private static function render_signing_section( array $signing_config ): void {
+		$algorithm = RequestSigner::get_algorithm( $signing_config );
+		?>
+		<fieldset class="cf7-api-signing">
+			<h3><?php \esc_html_e( 'Request Signing', 'contact-form-to-api' ); ?></h3>
+			<p class="description"><?php \esc_html_e( 'Add an HMAC signature of the request body so the receiver can verify the request came from this site. GET requests are signed over the query string. Applies to the primary endpoint only.', 'contact-form-to-api' ); ?></p>
+
+			<div class="cf7_row">
+				<label for="cf7-api-signing-enabled">
+					<span class="cf7-label-in"><?php \esc_html_e( 'Sign requests', 'contact-form-to-api' ); ?></span>
+					<input type="checkbox" id="cf7-api-signing-enabled" name="signing_config[enabled]" <?php \checked( ! empty( $signing_config['enabled'] ) ); ?> />
+				</label>
+			</div>
+
+			<div class="cf7_row">
+				<label for="cf7-api-signing-secret">
+					<span class="cf7-label-in"><?php \esc_html_e( 'Signing secret', 'contact-form-to-api' ); ?></span>
+					<input type="password" id="cf7-api-signing-secret" name="signing_config[secret]" class="regular-text" value="" autocomplete="new-password"
+						placeholder="<?php echo ! empty( $signing_config['secret'] ) ? \esc_attr__( 'Saved — leave blank to keep', 'contact-form-to-api' ) : ''; ?>" />
+				</label>
+				<p class="description"><?php \esc_html_e( 'Shared with the receiver. Stored encrypted.', 'contact-form-to-api' ); ?></p>
+			</div>
+
+			<div class="cf7_row">
+				<label for="cf7-api-signing-algorithm">
+					<span class="cf7-label-in"><?php \esc_html_e( 'Algorithm', 'contact-form-to-api' ); ?></span>
+					<select id="cf7-api-signing-algorithm" name="signing_config[algorithm]">
+						<?php foreach ( RequestSigner::ALGORITHMS as $value ) : ?>
+							<option value="<?php echo \esc_attr( $value ); ?>" <?php \selected( $algorithm, $value ); ?>><?php echo \esc_html( 'HMAC-' . \strtoupper( $value ) ); ?></option>
+						<?php endforeach; ?>
+					</select>
+				</label>
+			</div>
+
+			<div class="cf7_row">
+				<label for="cf7-api-signing-header">
+					<span class="cf7-label-in"><?php \esc_html_e( 'Signature header', 'contact-form-to-api' ); ?></span>
+					<input type="text" id="cf7-api-signing-header" name="signing_config[header]" class="regular-text"
+						value="<?php echo \esc_attr( $signing_config['header'] ?? RequestSigner::DEFAULT_HEADER ); ?>" />
+				</label>
+				<p class="description"><?php \esc_html_e( 'Sent as "<algorithm>=<hex digest>", e.g. "sha256=5d41...".', 'contact-form-to-api' ); ?></p>
+			</div>
+
+			<div class="cf7_row">
+				<label for="cf7-api-signing-timestamp-header">
+					<span class="cf7-label-in"><?php \esc_html_e( 'Timestamp header (optional)', 'contact-form-to-api' ); ?></span>
+					<input type="text" id="cf7-api-signing-timestamp-header" name="signing_config[timestamp_header]" class="regular-text"
+						value="<?php echo \esc_attr( $signing_config['timestamp_header'] ?? '' ); ?>" placeholder="X-Signature-Timestamp" />
+				</label>
+				<p class="description"><?php \esc_html_e( 'When set, the Unix timestamp is sent in this header and the signature covers "<timestamp>.<body>" so old requests can be rejected.', 'contact-form-to-api' ); ?></p>
+			</div>
+		</fieldset>
+		<?php
+	}
+
+	/**
+	 * Render response handling section (success rule and field extraction)
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $response_rules Success rule and response field extraction
+	 * @return void
+	 */
+	private static function render_response_rules( array $response_rules ): void {
+		$extract_lines = array();
+		foreach ( (array) ( $response_rules['extract'] ?? array() ) as $field ) {
+			if ( \is_array( $field ) && ! empty( $field['name'] ) ) {
+				$extract_lines[] = $field['name'] . ' = ' . ( $field['path'] ?? '' );
+			}
+		}
+		?>
+		<fieldset class="cf7-api-response-rules">
+			<h3><?php \esc_html_e( 'Response Handling', 'contact-form-to-api' ); ?></h3>
+			<p class="description">
+				<?php \esc_html_e( 'Applies to the primary endpoint. Use JSONPath for JSON responses (e.g. $.data.id) or XPath for XML responses (e.g. /response/status).', 'contact-form-to-api' ); ?>
+			</p>
+
+			<div class="cf7_row">
+				<label for="cf7-api-success-path">
+					<span class="cf7-label-in"><?php \esc_html_e( 'Success rule', 'contact-form-to-api' ); ?></span>
+					<input type="text" id="cf7-api-success-path" name="response_rules[success_path]" class="regular-text"
+						value="<?php echo \esc_attr( $response_rules['success_path'] ?? '' ); ?>" placeholder="$.ok" />
+				</label>
+				<label for="cf7-api-success-value">
+					<span class="cf7-label-in"><?php \esc_html_e( 'equals', 'contact-form-to-api' ); ?></span>
+					<input type="text" id="cf7-api-success-value" name="response_rules[success_value]" class="regular-text"
+						value="<?php echo \esc_attr( $response_rules['success_value'] ?? '' ); ?>" placeholder="true" />
+				</label>
+				<p class="description"><?php \esc_html_e( 'A 2xx response is only a success when the expression matches the expected value (case-insensitive). Leave the value empty to require any value other than false, 0 or empty. Failed responses are logged as errors.', 'contact-form-to-api' ); ?></p>
+			</div>
+
+			<div class="cf7_row">
+				<label for="cf7-api-response-extract">
+					<span class="cf7-label-in"><?php \esc_html_e( 'Extract fields', 'contact-form-to-api' ); ?></span>
+				</label>
+				<textarea id="cf7-api-response-extract" name="response_rules[extract]" rows="3" class="large-text code"
+					placeholder="lead_id = $.data.id"><?php echo \esc_textarea( \implode( "\n", $extract_lines ) ); ?></textarea>
+				<p class="description"><?php \esc_html_e( 'One field per line as "name = expression". Values are stored on the log entry and available as [_api_name] mail tags in the mail and response messages, e.g. [_api_lead_id]. Not available to the mail when deliveries are queued.', 'contact-form-to-api' ); ?></p>
+			</div>
+		</fieldset>
+		<?php
+	}
+
+	/**
+	 * Render failure policy section
+	 *
+	 * Queued primary deliveries are sent after the visitor got their response,
+	 * so a warning is shown while queued delivery is enabled.
+	 *
+	 * @since 2.5.0
+	 * @param array<string, string> $failure_policy Policy and custom message
+	 * @return void
+	 */
+	private static function render_failure_policy( array $failure_policy ): void {
+		$queued   = DeliveryQueue::instance()->is_enabled();
+		$current  = $failure_policy['policy'] ?? 'ignore';
+		$policies = array(
+			'ignore'  => \__( 'Ignore: send the mail and show the normal response', 'contact-form-to-api' ),
+			'message' => \__( 'Show message: send the mail and show the failure message', 'contact-form-to-api' ),
+			'abort'   => \__( 'Abort: do not send the mail and show the failure message so the visitor can resubmit', 'contact-form-to-api' ),
+		);
+		?>
+		<fieldset class="cf7-api-failure-policy">
+			<h3><?php \esc_html_e( 'When the API Fails', 'contact-form-to-api' ); ?></h3>
+			<p class="description">
+				<?php \esc_html_e( 'Applies when the primary endpoint returns an error or a failed response rule. Queued deliveries and skipped sends do not count as failures.', 'contact-form-to-api' ); ?>
+			</p>
+
+			<?php if ( $queued ) : ?>
+				<div class="notice notice-warning inline" style="margin: 10px 0;">
+					<p>
+						<?php
+						printf(
+							/* translators: %s: URL to settings page */
+							\esc_html__( 'Queued delivery is enabled in %s, so the primary endpoint is called in the background after the visitor gets the normal response. This policy has no effect until queued delivery is turned off.', 'contact-form-to-api' ),
+							'<a href="' . \esc_url( \admin_url( 'admin.php?page=contact-form-to-api' ) ) . '">' . \esc_html__( 'Global Settings', 'contact-form-to-api' ) . '</a>'
+						);
+						?>
+					</p>
+				</div>
+			<?php endif; ?>
+
+			<div class="cf7_row">
+				<label for="cf7-api-failure-policy">
+					<span class="cf7-label-in"><?php \esc_html_e( 'Failure policy', 'contact-form-to-api' ); ?></span>
+					<select id="cf7-api-failure-policy" name="failure_policy[policy]">
+						<?php foreach ( $policies as $value => $label ) : ?>
+							<option value="<?php echo \esc_attr( $value ); ?>" <?php \selected( $current, $value ); ?>><?php echo \esc_html( $label ); ?></option>
+						<?php endforeach; ?>
+					</select>
+				</label>
+			</div>
+
+			<div class="cf7_row">
+				<label for="cf7-api-failure-message">
+					<span class="cf7-label-in"><?php \esc_html_e( 'Failure message', 'contact-form-to-api' ); ?></span>
+				</label>
+				<textarea id="cf7-api-failure-message" name="failure_policy[message]" rows="2" class="large-text"
+					placeholder="<?php \esc_attr_e( 'We could not process your submission right now. Please try again in a few minutes.', 'contact-form-to-api' ); ?>"><?php echo \esc_textarea( $failure_policy['message'] ?? '' ); ?></textarea>
+				<p class="description"><?php \esc_html_e( 'Leave empty for the default message. Mail tags such as [your-name] can be used. The message is registered with WPML for translation.', 'contact-form-to-api' ); ?></p>
+			</div>
+		</fieldset>
+		<?php
+	}
+
 	/**
 	 * Render parameters mapping section
 	 *
+	 * Transform and static field rows are added from disabled prototypes by admin.js.
+	 *
 	 * @since 1.1.0
-	 * @param array<int, WPCF7_FormTag>   $mail_tags           Available mail tags
-	 * @param array<string, mixed> $wpcf7_api_data_map  Field mapping data
+	 * @since 2.5.0 Added value transforms and static fields.
+	 * @param array<int, WPCF7_FormTag> $mail_tags          Available mail tags
+	 * @param array<string, mixed>      $wpcf7_api_data_map Field mapping data
+	 * @param array<string, mixed>      $mapping_rules      Value transforms and static fields
 	 * @return void
 	 */
-	private static function render_params_mapping( array $mail_tags, array $wpcf7_api_data_map ): void {
+	private static function render_params_mapping( array $mail_tags, array $wpcf7_api_data_map, array $mapping_rules = array() ): void {
+		$transforms = \is_array( $mapping_rules['transforms'] ?? null ) ? $mapping_rules['transforms'] : array();
+		$constants  = \is_array( $mapping_rules['constants'] ?? null ) ? \array_values( $mapping_rules['constants'] ) : array();
 		?>
-		<fieldset data-cf7index="params">
+		<fieldset data-cf7index="params multipart json xml" class="cf7-api-field-mapping">
 			<div class="cf7_row">
 				<h2><?php \esc_html_e( 'Form fields', 'contact-form-to-api' ); ?></h2>
+				<p class="description">
+					<?php \esc_html_e( 'Transforms run in order before the value is sent. With the JSON input type and an empty JSON template, the body is built from this mapping and dotted API keys such as contact.email become nested objects.', 'contact-form-to-api' ); ?>
+				</p>
+				<p class="description">
+					<?php \esc_html_e( 'With the multipart input type, mapped file upload fields are sent as files under their API key.', 'contact-form-to-api' ); ?>
+				</p>
 
-				<table>
-					<tr>
-						<th><?php \esc_html_e( 'Form fields', 'contact-form-to-api' ); ?></th>
-						<th><?php \esc_html_e( 'API Key', 'contact-form-to-api' ); ?></th>
-						<th></th>
-					</tr>
-					<?php foreach ( $mail_tags as $mail_tag ) : ?>
-						<?php if ( $mail_tag->type === 'checkbox' ) : ?>
-							<?php foreach ( $mail_tag->values as $checkbox_row ) : ?>
-								<tr>
-									<th style="text-align:left;"><?php echo \esc_html( "{$mail_tag->name} ({$checkbox_row})" ); ?></th>
+				<table class="cf7-api-mapping-table widefat">
+					<thead>
+						<tr>
+							<th><?php \esc_html_e( 'Form fields', 'contact-form-to-api' ); ?></th>
+							<th><?php \esc_html_e( 'API Key', 'contact-form-to-api' ); ?></th>
+							<th><?php \esc_html_e( 'Transforms', 'contact-form-to-api' ); ?></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( $mail_tags as $mail_tag ) : ?>
+							<?php if ( $mail_tag->type === 'checkbox' ) : ?>
+								<?php foreach ( $mail_tag->values as $checkbox_row ) : ?>
+									<tr>
+										<th style="text-align:left;"><?php echo \esc_html( "{$mail_tag->name} ({$checkbox_row})" ); ?></th>
+										<td>
+											<input type="text"
+												name="qs_wpcf7_api_map[<?php echo \esc_attr( $mail_tag->name ); ?>][<?php echo \esc_attr( $checkbox_row ); ?>]"
+												class="large-text"
+												value="<?php echo \esc_attr( $wpcf7_api_data_map[ $mail_tag->name ][ $checkbox_row ] ?? '' ); ?>" />
+										</td>
+										<td></td>
+									</tr>
+								<?php endforeach; ?>
+							<?php else : ?>
+								<tr class="cf7-api-mapping-row" data-field="<?php echo \esc_attr( $mail_tag->name ); ?>">
+									<th style="text-align:left;"><?php echo \esc_html( $mail_tag->name ); ?></th>
 									<td>
-										<input type="text"
-											name="qs_wpcf7_api_map[<?php echo \esc_attr( $mail_tag->name ); ?>][<?php echo \esc_attr( $checkbox_row ); ?>]"
-											class="large-text"
-											value="<?php echo \esc_attr( $wpcf7_api_data_map[ $mail_tag->name ][ $checkbox_row ] ?? '' ); ?>" />
+										<input type="text" name="qs_wpcf7_api_map[<?php echo \esc_attr( $mail_tag->name ); ?>]" class="large-text"
+											value="<?php echo \esc_attr( $wpcf7_api_data_map[ $mail_tag->name ] ?? '' ); ?>" />
+									</td>
+									<td>
+										<div class="cf7-api-transforms-list">
+											<?php foreach ( \array_values( (array) ( $transforms[ $mail_tag->name ] ?? array() ) ) as $transform_index => $transform ) : ?>
+												<?php self::render_transform_row( "mapping_rules[transforms][{$mail_tag->name}][{$transform_index}]", \is_array( $transform ) ? $transform : array(), false ); ?>
+											<?php endforeach; ?>
+										</div>
+										<button type="button" class="button button-small cf7-api-add-transform">
+											<span class="dashicons dashicons-plus-alt2"></span>
+											<?php \esc_html_e( 'Add transform', 'contact-form-to-api' ); ?>
+										</button>
 									</td>
 								</tr>
-							<?php endforeach; ?>
-						<?php else : ?>
-							<tr>
-								<th style="text-align:left;"><?php echo \esc_html( $mail_tag->name ); ?></th>
-								<td>
-									<input type="text" name="qs_wpcf7_api_map[<?php echo \esc_attr( $mail_tag->name ); ?>]" class="large-text"
-										value="<?php echo \esc_attr( $wpcf7_api_data_map[ $mail_tag->name ] ?? '' ); ?>" />
-								</td>
-							</tr>
-						<?php endif; ?>
-					<?php endforeach; ?>
+							<?php endif; ?>
+						<?php endforeach; ?>
+					</tbody>
 				</table>
+
+				<?php self::render_transform_row( 'mapping_rules[transforms][__field__][__index__]', array(), true ); ?>
+			</div>
+
+			<div class="cf7_row">
+				<h3><?php \esc_html_e( 'Static fields', 'contact-form-to-api' ); ?></h3>
+				<p class="description"><?php \esc_html_e( 'Constant values added to every request, e.g. source = website. Not used by XML or JSON templates.', 'contact-form-to-api' ); ?></p>
+
+				<table class="cf7-api-constants-table widefat">
+					<tbody class="cf7-api-constants-list">
+						<?php foreach ( $constants as $constant_index => $constant ) : ?>
+							<?php self::render_constant_row( "mapping_rules[constants][{$constant_index}]", \is_array( $constant ) ? $constant : array(), false ); ?>
+						<?php endforeach; ?>
+						<?php self::render_constant_row( 'mapping_rules[constants][__index__]', array(), true ); ?>
+					</tbody>
+				</table>
+
+				<p>
+					<button type="button" class="button" id="cf7-api-add-constant">
+						<span class="dashicons dashicons-plus-alt2"></span>
+						<?php \esc_html_e( 'Add static field', 'contact-form-to-api' ); ?>
+					</button>
+				</p>
 			</div>
 		</fieldset>
 		<?php
 	}
 
+	/**
+	 * Render a single value transform
+	 *
+	 * Settings of every type are rendered; admin.js shows the ones of the selected type.
+	 *
+	 * @since 2.5.0
+	 * @param string               $name      Input name prefix
+	 * @param array<string, mixed> $transform Transform settings
+	 * @param bool                 $prototype Whether this is the hidden prototype
+	 * @return void
+	 */
+	private static function render_transform_row( string $name, array $transform, bool $prototype ): void {
+		$type        = (string) ( $transform['type'] ?? 'trim' );
+		$separator   = (string) ( $transform['separator'] ?? '' );
+		$lookup_rows = array();
+		foreach ( (array) ( $transform['map'] ?? array() ) as $from => $to ) {
+			$lookup_rows[] = $from . ' = ' . $to;
+		}
+		?>
+		<div class="cf7-api-transform<?php echo $prototype ? ' cf7-api-transform-prototype' : ''; ?>" <?php echo $prototype ? 'hidden' : ''; ?>>
+			<select name="<?php echo \esc_attr( $name ); ?>[type]" class="cf7-api-transform-type" <?php \disabled( $prototype ); ?>>
+				<?php foreach ( FieldTransformer::get_type_labels() as $value => $label ) : ?>
+					<option value="<?php echo \esc_attr( $value ); ?>" <?php \selected( $type, $value ); ?>><?php echo \esc_html( $label ); ?></option>
+				<?php endforeach; ?>
+			</select>
+
+			<span class="cf7-api-transform-option" data-transform-type="date">
+				<input type="text" name="<?php echo \esc_attr( $name ); ?>[from]" class="small-text code" value="<?php echo \esc_attr( $transform['from'] ?? '' ); ?>"
+					placeholder="<?php \esc_attr_e( 'from, e.g. d/m/Y', 'contact-form-to-api' ); ?>" <?php \disabled( $prototype ); ?> />
+				<input type="text" name="<?php echo \esc_attr( $name ); ?>[to]" class="small-text code" value="<?php echo \esc_attr( $transform['to'] ?? '' ); ?>"
+					placeholder="<?php \esc_attr_e( 'to, e.g. Y-m-d', 'contact-form-to-api' ); ?>" <?php \disabled( $prototype ); ?> />
+			</span>
+
+			<span class="cf7-api-transform-option" data-transform-type="phone">
+				<input type="text" name="<?php echo \esc_attr( $name ); ?>[country]" class="small-text" value="<?php echo \esc_attr( $transform['country'] ?? '' ); ?>"
+					placeholder="<?php \esc_attr_e( 'country code, e.g. 1', 'contact-form-to-api' ); ?>" <?php \disabled( $prototype ); ?> />
+			</span>
+
+			<span class="cf7-api-transform-option" data-transform-type="default">
+				<input type="text" name="<?php echo \esc_attr( $name ); ?>[value]" class="regular-text" value="<?php echo \esc_attr( $transform['value'] ?? '' ); ?>"
+					placeholder="<?php \esc_attr_e( 'value when empty', 'contact-form-to-api' ); ?>" <?php \disabled( $prototype ); ?> />
+			</span>
+
+			<span class="cf7-api-transform-option" data-transform-type="lookup">
+				<textarea name="<?php echo \esc_attr( $name ); ?>[map]" rows="2" class="regular-text code"
+					placeholder="CA = California" <?php \disabled( $prototype ); ?>><?php echo \esc_textarea( \implode( "\n", $lookup_rows ) ); ?></textarea>
+			</span>
+
+			<span class="cf7-api-transform-option" data-transform-type="concat">
+				<input type="text" name="<?php echo \esc_attr( $name ); ?>[fields]" class="regular-text" value="<?php echo \esc_attr( \implode( ', ', (array) ( $transform['fields'] ?? array() ) ) ); ?>"
+					placeholder="<?php \esc_attr_e( 'fields to append, e.g. last-name', 'contact-form-to-api' ); ?>" <?php \disabled( $prototype ); ?> />
+				<input type="text" name="<?php echo \esc_attr( $name ); ?>[separator]" class="small-text" value="<?php echo \esc_attr( ' ' === $separator ? '' : $separator ); ?>"
+					placeholder="<?php \esc_attr_e( 'separator (space)', 'contact-form-to-api' ); ?>" <?php \disabled( $prototype ); ?> />
+			</span>
+
+			<button type="button" class="button button-small cf7-api-remove-transform" title="<?php \esc_attr_e( 'Remove transform', 'contact-form-to-api' ); ?>">
+				<span class="dashicons dashicons-trash"></span>
+			</button>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render a single static field row
+	 *
+	 * @since 2.5.0
+	 * @param string                $name      Input name prefix
+	 * @param array<string, string> $constant  Static field (key, value)
+	 * @param bool                  $prototype Whether this is the hidden prototype row
+	 * @return void
+	 */
+	private static function render_constant_row( string $name, array $constant, bool $prototype ): void {
+		?>
+		<tr class="cf7-api-constant-row<?php echo $prototype ? ' cf7-api-constant-prototype' : ''; ?>" <?php echo $prototype ? 'hidden' : ''; ?>>
+			<td>
+				<input type="text" name="<?php echo \esc_attr( $name ); ?>[key]" class="regular-text" value="<?php echo \esc_attr( $constant['key'] ?? '' ); ?>"
+					placeholder="<?php \esc_attr_e( 'API key, e.g. meta.source', 'contact-form-to-api' ); ?>" <?php \disabled( $prototype ); ?> />
+			</td>
+			<td>
+				<input type="text" name="<?php echo \esc_attr( $name ); ?>[value]" class="regular-text" value="<?php echo \esc_attr( $constant['value'] ?? '' ); ?>"
+					placeholder="<?php \esc_attr_e( 'Value', 'contact-form-to-api' ); ?>" <?php \disabled( $prototype ); ?> />
+			</td>
+			<td>
+				<button type="button" class="button cf7-api-remove-constant" title="<?php \esc_attr_e( 'Remove static field', 'contact-form-to-api' ); ?>">
+					<span class="dashicons dashicons-trash"></span>
+				</button>
+			</td>
+		</tr>
+		<?php
+	}
+
 	/**
 	 * Render XML template section
 	 *
@@ -377,6 +882,9 @@ class IntegrationView {
 					<?php endforeach; ?>
 				</legend>
 
+				<p class="description"><?php \esc_html_e( 'Values are XML-escaped automatically.', 'contact-form-to-api' ); ?></p>
+				<?php self::render_file_placeholder_help(); ?>
+
 				<textarea name="template" rows="12" dir="ltr"
 					placeholder="<?php echo \esc_attr( $xml_placeholder ); ?>"><?php echo \esc_textarea( $template ); ?></textarea>
 			</div>
@@ -411,6 +919,12 @@ class IntegrationView {
 					<?php endforeach; ?>
 				</legend>
 
+				<p class="description">
+					<?php \esc_html_e( 'Values are escaped automatically. Add a type to emit native JSON values:', 'contact-form-to-api' ); ?>
+					<code>[age:int]</code>, <code>[price:float]</code>, <code>[subscribe:bool]</code>, <code>[tags:array]</code>
+				</p>
+				<?php self::render_file_placeholder_help(); ?>
+
 				<textarea name="json_template" rows="12" dir="ltr"
 					placeholder="<?php echo \esc_attr( $json_placeholder ); ?>"><?php echo \esc_textarea( $template ); ?></textarea>
 			</div>
@@ -418,6 +932,553 @@ class IntegrationView {
 		<?php
 	}
 
+	/**
+	 * Render the file placeholder help shown under the templates
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	private static function render_file_placeholder_help(): void {
+		?>
+		<p class="description">
+			<?php \esc_html_e( 'File upload fields:', 'contact-form-to-api' ); ?>
+			<code>[your-file:base64]</code>, <code>[your-file:filename]</code>, <code>[your-file:mimetype]</code>.
+			<?php \esc_html_e( 'The file contents are added when the request is sent and are never stored in the logs.', 'contact-form-to-api' ); ?>
+		</p>
+		<?php
+	}
+
+	/**
+	 * Render sample values and live request preview section
+	 *
+	 * Sample inputs have no name attribute so they are never saved with the form.
+	 * They are shared by the preview and the connection test.
+	 *
+	 * @since 2.5.0
+	 * @param array<int, WPCF7_FormTag> $mail_tags Available mail tags
+	 * @return void
+	 */
+	private static function render_request_preview( array $mail_tags ): void {
+		?>
+		<fieldset class="cf7-api-request-preview">
+			<div class="cf7_row">
+				<h3><?php \esc_html_e( 'Request Preview', 'contact-form-to-api' ); ?></h3>
+				<p class="description"><?php \esc_html_e( 'Enter sample values to see the exact URL, headers and body a submission would send. The preview updates as you edit the settings above.', 'contact-form-to-api' ); ?></p>
+
+				<?php if ( ! empty( $mail_tags ) ) : ?>
+					<table class="cf7-api-test-samples">
+						<?php foreach ( $mail_tags as $mail_tag ) : ?>
+							<tr>
+								<th style="text-align:left;">
+									<label for="cf7-api-sample-<?php echo \esc_attr( $mail_tag->name ); ?>"><?php echo \esc_html( $mail_tag->name ); ?></label>
+								</th>
+								<td>
+									<input type="text" id="cf7-api-sample-<?php echo \esc_attr( $mail_tag->name ); ?>"
+										class="cf7-api-sample-value large-text"
+										data-field="<?php echo \esc_attr( $mail_tag->name ); ?>"
+										data-multiple="<?php echo $mail_tag->type === 'checkbox' ? '1' : '0'; ?>"
+										placeholder="<?php echo $mail_tag->type === 'checkbox' ? \esc_attr__( 'Comma-separated values', 'contact-form-to-api' ) : ''; ?>" />
+								</td>
+							</tr>
+						<?php endforeach; ?>
+					</table>
+				<?php endif; ?>
+
+				<div id="cf7-api-request-preview" class="cf7-api-preview" aria-live="polite">
+					<p><strong><?php \esc_html_e( 'URL', 'contact-form-to-api' ); ?></strong></p>
+					<pre class="cf7-api-preview-url"></pre>
+					<p><strong><?php \esc_html_e( 'Headers', 'contact-form-to-api' ); ?></strong></p>
+					<pre class="cf7-api-preview-headers"></pre>
+					<p><strong><?php \esc_html_e( 'Body', 'contact-form-to-api' ); ?></strong></p>
+					<pre class="cf7-api-preview-body"></pre>
+					<div class="cf7-api-preview-warnings"></div>
+				</div>
+			</div>
+		</fieldset>
+		<?php
+	}
+
+	/**
+	 * Render test connection section
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	private static function render_test_connection(): void {
+		?>
+		<fieldset class="cf7-api-test-connection">
+			<div class="cf7_row">
+				<h3><?php \esc_html_e( 'Test Connection', 'contact-form-to-api' ); ?></h3>
+				<p class="description"><?php \esc_html_e( 'Send a real request with the sample values above using the current settings, including unsaved changes. Retries are disabled for tests.', 'contact-form-to-api' ); ?></p>
+
+				<p>
+					<label for="cf7-api-test-log">
+						<input type="checkbox" id="cf7-api-test-log" />
+						<?php \esc_html_e( 'Record this test in the API logs', 'contact-form-to-api' ); ?>
+					</label>
+				</p>
+
+				<p>
+					<button type="button" class="button" id="test-api-connection">
+						<?php \esc_html_e( 'Test Connection', 'contact-form-to-api' ); ?>
+					</button>
+				</p>
+
+				<div id="cf7-api-test-result" class="cf7-api-test-result" hidden></div>
+			</div>
+		</fieldset>
+		<?php
+	}
+
+	/**
+	 * Render additional destinations section
+	 *
+	 * Every destination receives the same submission, built from the shared
+	 * field mapping with its own input type, template, headers and retries.
+	 *
+	 * @since 2.5.0
+	 * @param array<int, array<string, mixed>> $api_endpoints Additional destinations
+	 * @param array<int, string>               $field_names   Form field names for sending conditions
+	 * @return void
+	 */
+	private static function render_additional_endpoints( array $api_endpoints, array $field_names ): void {
+		?>
+		<fieldset class="cf7-api-endpoints">
+			<div class="cf7_row">
+				<h3><?php \esc_html_e( 'Additional Destinations', 'contact-form-to-api' ); ?></h3>
+				<p class="description"><?php \esc_html_e( 'Send each submission to more endpoints. Destinations use the form field mapping above; templates use the same placeholders. Each delivery is logged separately and linked to the submission. Authentication, request signing and response handling apply to the primary endpoint only; add credentials for a destination as headers.', 'contact-form-to-api' ); ?></p>
+
+				<div id="cf7-api-endpoints-list">
+					<?php foreach ( $api_endpoints as $index => $endpoint ) : ?>
+						<?php self::render_endpoint_row( (string) $index, $endpoint, $field_names ); ?>
+					<?php endforeach; ?>
+				</div>
+
+				<script type="text/html" id="tmpl-cf7-api-endpoint">
+					<?php self::render_endpoint_row( '__index__', array(), $field_names ); ?>
+				</script>
+
+				<p>
+					<button type="button" class="button" id="cf7-api-add-endpoint">
+						<span class="dashicons dashicons-plus-alt2"></span>
+						<?php \esc_html_e( 'Add Destination', 'contact-form-to-api' ); ?>
+					</button>
+				</p>
+			</div>
+		</fieldset>
+		<?php
+	}
+
+	/**
+	 * Render a single additional destination
+	 *
+	 * @since 2.5.0
+	 * @param string               $index       Row index (`__index__` for the JavaScript template)
+	 * @param array<string, mixed> $endpoint    Destination settings
+	 * @param array<int, string>   $field_names Form field names for sending conditions
+	 * @return void
+	 */
+	private static function render_endpoint_row( string $index, array $endpoint, array $field_names ): void {
+		$name         = "api_endpoints[{$index}]";
+		$retry_config = \is_array( $endpoint['retry_config'] ?? null ) ? $endpoint['retry_config'] : array();
+		$input_type   = $endpoint['input_type'] ?? 'json';
+		$method       = $endpoint['method'] ?? 'POST';
+		$headers      = '';
+
+		foreach ( (array) ( $endpoint['custom_headers'] ?? array() ) as $header ) {
+			$headers .= ( $header['name'] ?? '' ) . ': ' . ( $header['value'] ?? '' ) . "\n";
+		}
+		?>
+		<div class="cf7-api-endpoint">
+			<p>
+				<label>
+					<input type="checkbox" name="<?php echo \esc_attr( $name ); ?>[enabled]" value="1" <?php \checked( $endpoint['enabled'] ?? true ); ?> />
+					<?php \esc_html_e( 'Enabled', 'contact-form-to-api' ); ?>
+				</label>
+				<button type="button" class="button-link button-link-delete cf7-api-remove-endpoint">
+					<?php \esc_html_e( 'Remove', 'contact-form-to-api' ); ?>
+				</button>
+			</p>
+
+			<div class="cf7_row">
+				<label>
+					<span class="cf7-label-in"><?php \esc_html_e( 'Label', 'contact-form-to-api' ); ?></span>
+					<input type="text" name="<?php echo \esc_attr( $name ); ?>[label]" class="regular-text" maxlength="100"
+						value="<?php echo \esc_attr( $endpoint['label'] ?? '' ); ?>"
+						placeholder="<?php \esc_attr_e( 'e.g., CRM', 'contact-form-to-api' ); ?>" />
+				</label>
+			</div>
+
+			<div class="cf7_row">
+				<label>
+					<span class="cf7-label-in"><?php \esc_html_e( 'Base URL', 'contact-form-to-api' ); ?></span>
+					<input type="text" name="<?php echo \esc_attr( $name ); ?>[base_url]" class="large-text"
+						value="<?php echo \esc_attr( $endpoint['base_url'] ?? '' ); ?>" />
+				</label>
+			</div>
+
+			<div class="cf7_row">
+				<label>
+					<span class="cf7-label-in"><?php \esc_html_e( 'Input type', 'contact-form-to-api' ); ?></span>
+					<select name="<?php echo \esc_attr( $name ); ?>[input_type]">
+						<option value="params" <?php \selected( $input_type, 'params' ); ?>><?php \esc_html_e( 'Parameters - GET/POST', 'contact-form-to-api' ); ?></option>
+						<option value="xml" <?php \selected( $input_type, 'xml' ); ?>><?php \esc_html_e( 'XML', 'contact-form-to-api' ); ?></option>
+						<option value="json" <?php \selected( $input_type, 'json' ); ?>><?php \esc_html_e( 'JSON', 'contact-form-to-api' ); ?></option>
+						<option value="multipart" <?php \selected( $input_type, 'multipart' ); ?>><?php \esc_html_e( 'Multipart form data (file uploads)', 'contact-form-to-api' ); ?></option>
+					</select>
+				</label>
+				<label>
+					<span class="cf7-label-in"><?php \esc_html_e( 'Method', 'contact-form-to-api' ); ?></span>
+					<select name="<?php echo \esc_attr( $name ); ?>[method]">
+						<option value="GET" <?php \selected( $method, 'GET' ); ?>>GET</option>
+						<option value="POST" <?php \selected( $method, 'POST' ); ?>>POST</option>
+					</select>
+				</label>
+			</div>
+
+			<div class="cf7_row">
+				<label>
+					<span class="cf7-label-in"><?php \esc_html_e( 'Template (XML or JSON)', 'contact-form-to-api' ); ?></span>
+					<textarea name="<?php echo \esc_attr( $name ); ?>[template]" rows="6" dir="ltr" class="large-text code"><?php echo \esc_textarea( $endpoint['template'] ?? '' ); ?></textarea>
+				</label>
+			</div>
+
+			<div class="cf7_row">
+				<label>
+					<span class="cf7-label-in"><?php \esc_html_e( 'Headers', 'contact-form-to-api' ); ?></span>
+					<textarea name="<?php echo \esc_attr( $name ); ?>[headers]" rows="3" dir="ltr" class="large-text code"
+						placeholder="<?php \esc_attr_e( 'One per line, e.g. Authorization: Bearer your-token', 'contact-form-to-api' ); ?>"><?php echo \esc_textarea( $headers ); ?></textarea>
+				</label>
+			</div>
+
+			<div class="cf7_row">
+				<label>
+					<span class="cf7-label-in"><?php \esc_html_e( 'Maximum Retries', 'contact-form-to-api' ); ?></span>
+					<input type="number" name="<?php echo \esc_attr( $name ); ?>[retry_config][max_retries]" min="0" max="10"
+						value="<?php echo \esc_attr( $retry_config['max_retries'] ?? 3 ); ?>" />
+				</label>
+				<label>
+					<span class="cf7-label-in"><?php \esc_html_e( 'Retry Delay (seconds)', 'contact-form-to-api' ); ?></span>
+					<input type="number" name="<?php echo \esc_attr( $name ); ?>[retry_config][retry_delay]" min="1" max="60"
+						value="<?php echo \esc_attr( $retry_config['retry_delay'] ?? 2 ); ?>" />
+				</label>
+				<label>
+					<input type="checkbox" name="<?php echo \esc_attr( $name ); ?>[retry_config][retry_on_timeout]" <?php \checked( $retry_config['retry_on_timeout'] ?? true ); ?> />
+					<?php \esc_html_e( 'Retry on timeout errors', 'contact-form-to-api' ); ?>
+				</label>
+			</div>
+
+			<div class="cf7_row">
+				<label>
+					<input type="checkbox" name="<?php echo \esc_attr( $name ); ?>[retry_config][auto_retry]" <?php \checked( ! empty( $retry_config['auto_retry'] ) ); ?> />
+					<?php \esc_html_e( 'Scheduled retries', 'contact-form-to-api' ); ?>
+				</label>
+				<label>
+					<span class="cf7-label-in"><?php \esc_html_e( 'Retry schedule (minutes)', 'contact-form-to-api' ); ?></span>
+					<input type="text" name="<?php echo \esc_attr( $name ); ?>[retry_config][auto_retry_schedule]" class="regular-text"
+						value="<?php echo \esc_attr( \implode( ', ', RetryScheduler::parse_schedule( $retry_config['auto_retry_schedule'] ?? RetryScheduler::DEFAULT_SCHEDULE ) ) ); ?>" />
+				</label>
+			</div>
+
+			<div class="cf7_row">
+				<span class="cf7-label-in"><?php \esc_html_e( 'Sending Conditions', 'contact-form-to-api' ); ?></span>
+				<?php self::render_condition_builder( "{$name}[conditions]", \is_array( $endpoint['conditions'] ?? null ) ? $endpoint['conditions'] : array(), $field_names ); ?>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render alert rules section
+	 *
+	 * Rule rows are added from a disabled prototype by admin.js.
+	 *
+	 * @since 2.5.0
+	 * @param array<int, array<string, mixed>> $alert_rules   Alert rules
+	 * @param string                           $base_url      Primary endpoint URL
+	 * @param array<int, array<string, mixed>> $api_endpoints Additional destinations
+	 * @return void
+	 */
+	private static function render_alert_rules( array $alert_rules, string $base_url, array $api_endpoints ): void {
+		$endpoints = array();
+		foreach ( \array_merge( array( $base_url ), \array_column( $api_endpoints, 'base_url' ) ) as $url ) {
+			if ( '' !== (string) $url ) {
+				$endpoints[] = (string) $url;
+			}
+		}
+
+		// Keep the endpoint of a rule selectable after its destination changed.
+		foreach ( $alert_rules as $rule ) {
+			if ( ! empty( $rule['endpoint'] ) ) {
+				$endpoints[] = (string) $rule['endpoint'];
+			}
+		}
+		$endpoints = \array_values( \array_unique( $endpoints ) );
+		?>
+		<fieldset class="cf7-api-alert-rules">
+			<div class="cf7_row">
+				<h3><?php \esc_html_e( 'Alert Rules', 'contact-form-to-api' ); ?></h3>
+				<p class="description">
+					<?php
+					\printf(
+						/* translators: %s: link to the global settings page */
+						\esc_html__( 'Checked with the email alerts and sent to the alert recipients and the alert channels subscribed to form alert rules, see %s. A failing rule alerts again after the email alert cooldown. Only windows with deliveries are checked, so a form without submissions does not trigger "No successful delivery".', 'contact-form-to-api' ),
+						'<a href="' . \esc_url( \admin_url( 'admin.php?page=contact-form-to-api' ) ) . '">' . \esc_html__( 'Global Settings', 'contact-form-to-api' ) . '</a>'
+					);
+					?>
+				</p>
+
+				<table class="cf7-api-alert-rules-table widefat">
+					<thead>
+						<tr>
+							<th><?php \esc_html_e( 'Alert when', 'contact-form-to-api' ); ?></th>
+							<th><?php \esc_html_e( 'Threshold', 'contact-form-to-api' ); ?></th>
+							<th><?php \esc_html_e( 'Window', 'contact-form-to-api' ); ?></th>
+							<th><?php \esc_html_e( 'Endpoint', 'contact-form-to-api' ); ?></th>
+							<th></th>
+						</tr>
+					</thead>
+					<tbody class="cf7-api-alert-rules-list">
+						<?php foreach ( \array_values( $alert_rules ) as $rule_index => $rule ) : ?>
+							<?php self::render_alert_rule_row( "alert_rules[{$rule_index}]", $rule, $endpoints, false ); ?>
+						<?php endforeach; ?>
+						<?php self::render_alert_rule_row( 'alert_rules[__index__]', array(), $endpoints, true ); ?>
+					</tbody>
+				</table>
+
+				<p>
+					<button type="button" class="button" id="cf7-api-add-alert-rule">
+						<span class="dashicons dashicons-plus-alt2"></span>
+						<?php \esc_html_e( 'Add Alert Rule', 'contact-form-to-api' ); ?>
+					</button>
+				</p>
+			</div>
+		</fieldset>
+		<?php
+	}
+
+	/**
+	 * Render a single alert rule row
+	 *
+	 * @since 2.5.0
+	 * @param string               $name      Input name prefix
+	 * @param array<string, mixed> $rule      Alert rule
+	 * @param array<int, string>   $endpoints Endpoint URLs the rule can be limited to
+	 * @param bool                 $prototype Whether this is the hidden prototype row
+	 * @return void
+	 */
+	private static function render_alert_rule_row( string $name, array $rule, array $endpoints, bool $prototype ): void {
+		$type      = (string) ( $rule['type'] ?? 'error_rate' );
+		$units     = AlertRuleService::get_type_units();
+		$threshold = $rule['threshold'] ?? 20;
+		?>
+		<tr class="cf7-api-alert-rule-row<?php echo $prototype ? ' cf7-api-alert-rule-prototype' : ''; ?>" <?php echo $prototype ? 'hidden' : ''; ?>>
+			<td>
+				<select name="<?php echo \esc_attr( $name ); ?>[type]" class="cf7-api-alert-rule-type" <?php \disabled( $prototype ); ?>>
+					<?php foreach ( AlertRuleService::get_type_labels() as $value => $label ) : ?>
+						<option value="<?php echo \esc_attr( $value ); ?>" data-unit="<?php echo \esc_attr( $units[ $value ] ); ?>" <?php \selected( $type, $value ); ?>><?php echo \esc_html( $label ); ?></option>
+					<?php endforeach; ?>
+				</select>
+			</td>
+			<td>
+				<span class="cf7-api-alert-rule-threshold">
+					<input type="number" name="<?php echo \esc_attr( $name ); ?>[threshold]" class="small-text" min="0" step="any"
+						value="<?php echo \esc_attr( (string) $threshold ); ?>" <?php \disabled( $prototype ); ?> />
+					<span class="cf7-api-alert-rule-unit"><?php echo \esc_html( $units[ $type ] ?? '' ); ?></span>
+				</span>
+			</td>
+			<td>
+				<select name="<?php echo \esc_attr( $name ); ?>[window]" <?php \disabled( $prototype ); ?>>
+					<?php foreach ( AlertRuleService::get_window_labels() as $minutes => $label ) : ?>
+						<option value="<?php echo \esc_attr( (string) $minutes ); ?>" <?php \selected( (int) ( $rule['window'] ?? 60 ), $minutes ); ?>><?php echo \esc_html( $label ); ?></option>
+					<?php endforeach; ?>
+				</select>
+			</td>
+			<td>
+				<select name="<?php echo \esc_attr( $name ); ?>[endpoint]" class="cf7-api-alert-rule-endpoint" <?php \disabled( $prototype ); ?>>
+					<option value=""><?php \esc_html_e( 'All endpoints', 'contact-form-to-api' ); ?></option>
+					<?php foreach ( $endpoints as $url ) : ?>
+						<option value="<?php echo \esc_attr( $url ); ?>" <?php \selected( (string) ( $rule['endpoint'] ?? '' ), $url ); ?>><?php echo \esc_html( $url ); ?></option>
+					<?php endforeach; ?>
+				</select>
+			</td>
+			<td>
+				<button type="button" class="button cf7-api-remove-alert-rule" title="<?php \esc_attr_e( 'Remove alert rule', 'contact-form-to-api' ); ?>">
+					<span class="dashicons dashicons-trash"></span>
+				</button>
+			</td>
+		</tr>
+		<?php
+	}
+
+	/**
+	 * Render endpoint health section
+	 *
+	 * @since 2.5.0
+	 * @param array<string, array<string, mixed>> $endpoint_health Health keyed by endpoint URL (see EndpointHealth::get_health())
+	 * @return void
+	 */
+	private static function render_endpoint_health( array $endpoint_health ): void {
+		if ( empty( $endpoint_health ) ) {
+			return;
+		}
+
+		$labels = EndpointHealth::get_status_labels();
+		?>
+		<fieldset class="cf7-api-endpoint-health">
+			<div class="cf7_row">
+				<h3><?php \esc_html_e( 'Endpoint Health', 'contact-form-to-api' ); ?></h3>
+				<p class="description"><?php \esc_html_e( 'Deliveries of the last 24 hours from all forms. An endpoint is down when its last three deliveries failed, and degraded when its last delivery failed or at least 10% of its deliveries failed.', 'contact-form-to-api' ); ?></p>
+
+				<table class="widefat cf7-api-health-table">
+					<thead>
+						<tr>
+							<th><?php \esc_html_e( 'Endpoint', 'contact-form-to-api' ); ?></th>
+							<th><?php \esc_html_e( 'Status', 'contact-form-to-api' ); ?></th>
+							<th><?php \esc_html_e( 'Deliveries', 'contact-form-to-api' ); ?></th>
+							<th><?php \esc_html_e( 'Error Rate', 'contact-form-to-api' ); ?></th>
+							<th><?php \esc_html_e( 'P95 Response Time', 'contact-form-to-api' ); ?></th>
+							<th><?php \esc_html_e( 'Last Success', 'contact-form-to-api' ); ?></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( $endpoint_health as $url => $health ) : ?>
+							<tr>
+								<td><code><?php echo \esc_html( $url ); ?></code></td>
+								<td>
+									<span class="cf7-api-health cf7-api-health-<?php echo \esc_attr( $health['status'] ); ?>">
+										<?php echo \esc_html( $labels[ $health['status'] ] ?? $health['status'] ); ?>
+									</span>
+								</td>
+								<td><?php echo \esc_html( \number_format_i18n( (int) $health['total'] ) ); ?></td>
+								<td><?php echo \esc_html( \number_format_i18n( (float) $health['error_rate'], 1 ) ); ?>%</td>
+								<td>
+									<?php
+									/* translators: %s: response time in milliseconds */
+									echo null !== $health['p95_latency'] ? \esc_html( \sprintf( \__( '%s ms', 'contact-form-to-api' ), \number_format_i18n( (float) $health['p95_latency'] ) ) ) : '&mdash;';
+									?>
+								</td>
+								<td><?php echo $health['last_success'] ? \esc_html( (string) $health['last_success'] ) : '&mdash;'; ?></td>
+							</tr>
+						<?php endforeach; ?>
+					</tbody>
+				</table>
+			</div>
+		</fieldset>
+		<?php
+	}
+
+	/**
+	 * Render sending conditions section for the primary endpoint
+	 *
+	 * @since 2.5.0
+	 * @param array<string, mixed> $send_conditions Sending conditions
+	 * @param array<int, string>   $field_names     Form field names
+	 * @return void
+	 */
+	private static function render_send_conditions( array $send_conditions, array $field_names ): void {
+		?>
+		<fieldset class="cf7-api-send-conditions">
+			<h3><?php \esc_html_e( 'Sending Conditions', 'contact-form-to-api' ); ?></h3>
+			<p class="description"><?php \esc_html_e( 'Only send to the API when the submitted values match these rules. Leave empty to always send. Skipped submissions are logged with the rule that caused the skip.', 'contact-form-to-api' ); ?></p>
+
+			<?php self::render_condition_builder( 'send_conditions', $send_conditions, $field_names ); ?>
+		</fieldset>
+		<?php
+	}
+
+	/**
+	 * Render a sending conditions rule builder
+	 *
+	 * Rows are added from a disabled prototype row by admin.js.
+	 *
+	 * @since 2.5.0
+	 * @param string               $name        Input name prefix
+	 * @param array<string, mixed> $conditions  Conditions (match and rules)
+	 * @param array<int, string>   $field_names Form field names
+	 * @return void
+	 */
+	private static function render_condition_builder( string $name, array $conditions, array $field_names ): void {
+		$rules = \is_array( $conditions['rules'] ?? null ) ? \array_values( $conditions['rules'] ) : array();
+		$match = $conditions['match'] ?? 'all';
+		?>
+		<div class="cf7-api-conditions">
+			<p>
+				<label>
+					<?php \esc_html_e( 'Send when', 'contact-form-to-api' ); ?>
+					<select name="<?php echo \esc_attr( $name ); ?>[match]">
+						<option value="all" <?php \selected( $match, 'all' ); ?>><?php \esc_html_e( 'all rules match', 'contact-form-to-api' ); ?></option>
+						<option value="any" <?php \selected( $match, 'any' ); ?>><?php \esc_html_e( 'any rule matches', 'contact-form-to-api' ); ?></option>
+					</select>
+				</label>
+			</p>
+
+			<table class="cf7-api-conditions-table widefat">
+				<tbody class="cf7-api-conditions-list">
+					<?php foreach ( $rules as $rule_index => $rule ) : ?>
+						<?php self::render_condition_row( "{$name}[rules][{$rule_index}]", $rule, $field_names, false ); ?>
+					<?php endforeach; ?>
+					<?php self::render_condition_row( "{$name}[rules][__rule__]", array(), $field_names, true ); ?>
+				</tbody>
+			</table>
+
+			<p>
+				<button type="button" class="button cf7-api-add-condition">
+					<span class="dashicons dashicons-plus-alt2"></span>
+					<?php \esc_html_e( 'Add Rule', 'contact-form-to-api' ); ?>
+				</button>
+			</p>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render a single sending condition rule
+	 *
+	 * @since 2.5.0
+	 * @param string               $name        Input name prefix
+	 * @param array<string, mixed> $rule        Rule (field, operator, value)
+	 * @param array<int, string>   $field_names Form field names
+	 * @param bool                 $prototype   Whether this is the hidden prototype row
+	 * @return void
+	 */
+	private static function render_condition_row( string $name, array $rule, array $field_names, bool $prototype ): void {
+		$field    = (string) ( $rule['field'] ?? '' );
+		$operator = (string) ( $rule['operator'] ?? 'equals' );
+
+		// Keep rules on fields that were removed from the form.
+		if ( '' !== $field && ! \in_array( $field, $field_names, true ) ) {
+			$field_names[] = $field;
+		}
+		?>
+		<tr class="cf7-api-condition-row<?php echo $prototype ? ' cf7-api-condition-prototype' : ''; ?>" <?php echo $prototype ? 'hidden' : ''; ?>>
+			<td>
+				<select name="<?php echo \esc_attr( $name ); ?>[field]" class="cf7-api-condition-field" <?php \disabled( $prototype ); ?>>
+					<?php foreach ( $field_names as $field_name ) : ?>
+						<option value="<?php echo \esc_attr( $field_name ); ?>" <?php \selected( $field, $field_name ); ?>><?php echo \esc_html( $field_name ); ?></option>
+					<?php endforeach; ?>
+				</select>
+			</td>
+			<td>
+				<select name="<?php echo \esc_attr( $name ); ?>[operator]" class="cf7-api-condition-operator" <?php \disabled( $prototype ); ?>>
+					<?php foreach ( ConditionEvaluator::get_operator_labels() as $value => $label ) : ?>
+						<option value="<?php echo \esc_attr( $value ); ?>" <?php \selected( $operator, $value ); ?>><?php echo \esc_html( $label ); ?></option>
+					<?php endforeach; ?>
+				</select>
+			</td>
+			<td>
+				<input type="text" name="<?php echo \esc_attr( $name ); ?>[value]" class="cf7-api-condition-value regular-text"
+					value="<?php echo \esc_attr( $rule['value'] ?? '' ); ?>" <?php \disabled( $prototype ); ?> />
+			</td>
+			<td>
+				<button type="button" class="button cf7-api-remove-condition" title="<?php \esc_attr_e( 'Remove rule', 'contact-form-to-api' ); ?>">
+					<span class="dashicons dashicons-trash"></span>
+				</button>
+			</td>
+		</tr>
+		<?php
+	}
+
 	/**
 	 * Render debug and statistics section
 	 *
@@ -0,0 +1,246 @@
+<?php
+/**
+ * Tests for the SubmissionController failure policy
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Controller\ContactForm
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Controller\ContactForm;
+
+use SilverAssist\ContactFormToAPI\Controller\ContactForm\SubmissionController;
+use SilverAssist\ContactFormToAPI\Service\ContactForm\SubmissionProcessor;
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+use WPCF7_ContactForm;
+
+/**
+ * SubmissionController failure policy test case.
+ *
+ * @group unit
+ * @group controller
+ * @group contact-form
+ * @covers \SilverAssist\ContactFormToAPI\Controller\ContactForm\SubmissionController
+ */
+class SubmissionControllerTest extends TestCase {
+
+	/**
+	 * Controller instance
+	 *
+	 * @var SubmissionController
+	 */
+	private SubmissionController $controller;
+
+	/**
+	 * Test form ID
+	 *
+	 * @var int
+	 */
+	private int $test_form_id = 0;
+
+	/**
+	 * Set up test environment
+	 */
+	public function set_up(): void {
+		parent::set_up();
+
+		if ( ! \class_exists( 'WPCF7_ContactForm' ) ) {
+			$this->markTestSkipped( 'Contact Form 7 is not available.' );
+		}
+
+		$this->controller = SubmissionController::instance();
+
+		\add_filter( 'wpcf7_pre_construct_contact_form_properties', array( $this->controller, 'add_form_properties' ) );
+
+		$this->test_form_id = $this->factory->post->create(
+			array(
+				'post_type'   => 'wpcf7_contact_form',
+				'post_title'  => 'Test Form Failure Policy',
+				'post_status' => 'publish',
+			)
+		);
+		\update_post_meta( $this->test_form_id, '_form', '[email* your-email]' );
+	}
+
+	/**
+	 * Tear down test environment
+	 */
+	public function tear_down(): void {
+		if ( isset( $this->controller ) ) {
+			$this->set_property( 'processor', SubmissionProcessor::instance() );
+			$this->set_property( 'failure_response', null );
+		}
+
+		\remove_all_filters( 'wpcf7_pre_construct_contact_form_properties' );
+		\remove_all_filters( 'cf7_api_failure_message' );
+
+		\wp_delete_post( $this->test_form_id, true );
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Set a private property of the controller
+	 *
+	 * @param string $property Property name.
+	 * @param mixed  $value    Property value.
+	 * @return void
+	 */
+	private function set_property( string $property, $value ): void {
+		$reflection = new \ReflectionProperty( SubmissionController::class, $property );
+		$reflection->setAccessible( true );
+		$reflection->setValue( $this->controller, $value );
+	}
+
+	/**
+	 * Use a processor whose primary delivery failed or succeeded
+	 *
+	 * @param bool $failed Whether the primary delivery failed.
+	 * @return void
+	 */
+	private function mock_primary_delivery( bool $failed ): void {
+		$processor = $this->createMock( SubmissionProcessor::class );
+		$processor->expects( $this->once() )->method( 'process_submission' );
+		$processor->method( 'has_primary_failed' )->willReturn( $failed );
+
+		$this->set_property( 'processor', $processor );
+	}
+
+	/**
+	 * Get the test form with a failure policy
+	 *
+	 * @param string $policy  Failure policy.
+	 * @param string $message Custom failure message.
+	 * @return WPCF7_ContactForm
+	 */
+	private function get_form( string $policy, string $message = '' ): WPCF7_ContactForm {
+		\update_post_meta(
+			$this->test_form_id,
+			'_failure_policy',
+			array(
+				'policy'  => $policy,
+				'message' => $message,
+			)
+		);
+
+		return WPCF7_ContactForm::get_instance( $this->test_form_id );
+	}
+
+	/**
+	 * Get a submission stub recording the response message
+	 *
+	 * @return object
+	 */
+	private function get_submission(): object {
+		return new class() {
+			/**
+			 * Response message
+			 *
+			 * @var string|null
+			 */
+			public ?string $response = null;
+
+			/**
+			 * Set the response message
+			 *
+			 * @param string $response Response message.
+			 * @return void
+			 */
+			public function set_response( string $response ): void {
+				$this->response = $response;
+			}
+		};
+	}
+
+	/**
+	 * Get a CF7 feedback response for the test form
+	 *
+	 * @return array<string, mixed>
+	 */
+	private function get_feedback(): array {
+		return array(
+			'contact_form_id' => $this->test_form_id,
+			'status'          => 'mail_sent',
+			'message'         => 'Thank you for your message. It has been sent.',
+		);
+	}
+
+	/**
+	 * Test the abort policy stops the mail and shows the failure message
+	 */
+	public function testAbortPolicy(): void {
+		$this->mock_primary_delivery( true );
+
+		$abort      = false;
+		$submission = $this->get_submission();
+		$this->controller->handle_form_submission( $this->get_form( 'abort', 'Please try again later.' ), $abort, $submission );
+
+		$this->assertTrue( $abort );
+		$this->assertSame( 'Please try again later.', $submission->response );
+
+		$response = $this->controller->handle_feedback_response( $this->get_feedback(), array( 'contact_form_id' => $this->test_form_id ) );
+		$this->assertSame( 'aborted', $response['status'] );
+		$this->assertSame( 'Please try again later.', $response['message'] );
+	}
+
+	/**
+	 * Test the message policy sends the mail and replaces the feedback through the filter
+	 */
+	public function testMessagePolicy(): void {
+		$this->mock_primary_delivery( true );
+
+		\add_filter(
+			'cf7_api_failure_message',
+			function ( $message, $contact_form ) {
+				return $message . ' (form ' . $contact_form->id() . ')';
+			},
+			10,
+			2
+		);
+
+		$abort      = false;
+		$submission = $this->get_submission();
+		$this->controller->handle_form_submission( $this->get_form( 'message' ), $abort, $submission );
+
+		$expected = 'We could not process your submission right now. Please try again in a few minutes. (form ' . $this->test_form_id . ')';
+
+		$this->assertFalse( $abort );
+		$this->assertSame( $expected, $submission->response );
+
+		$response = $this->controller->handle_feedback_response( $this->get_feedback(), array( 'contact_form_id' => $this->test_form_id ) );
+		$this->assertSame( 'api_failed', $response['status'] );
+		$this->assertSame( $expected, $response['message'] );
+
+		$other = $this->controller->handle_feedback_response( $this->get_feedback(), array( 'contact_form_id' => $this->test_form_id + 1 ) );
+		$this->assertSame( 'mail_sent', $other['status'], 'Feedback of other forms is left untouched' );
+	}
+
+	/**
+	 * Test the ignore policy leaves CF7 untouched
+	 */
+	public function testIgnorePolicy(): void {
+		$this->mock_primary_delivery( true );
+
+		$abort      = false;
+		$submission = $this->get_submission();
+		$this->controller->handle_form_submission( $this->get_form( 'ignore', 'Please try again later.' ), $abort, $submission );
+
+		$this->assertFalse( $abort );
+		$this->assertNull( $submission->response );
+		$this->assertSame( $this->get_feedback(), $this->controller->handle_feedback_response( $this->get_feedback(), array( 'contact_form_id' => $this->test_form_id ) ) );
+	}
+
+	/**
+	 * Test a successful primary delivery changes nothing, whatever the policy
+	 */
+	public function testSuccessfulPrimaryDelivery(): void {
+		$this->mock_primary_delivery( false );
+
+		$abort      = false;
+		$submission = $this->get_submission();
+		$this->controller->handle_form_submission( $this->get_form( 'abort', 'Please try again later.' ), $abort, $submission );
+
+		$this->assertFalse( $abort );
+		$this->assertNull( $submission->response );
+		$this->assertSame( $this->get_feedback(), $this->controller->handle_feedback_response( $this->get_feedback(), array( 'contact_form_id' => $this->test_form_id ) ) );
+	}
+}
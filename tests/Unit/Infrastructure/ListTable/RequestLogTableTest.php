@@ -781,4 +781,35 @@ class RequestLogTableTest extends TestCase {
 			'Should match lastname'
 		);
 	}
+
+	/**
+	 * Test rows rendered for the live refresh link to the logs page, not the AJAX URL
+	 *
+	 * @return void
+	 */
+	public function testGetRowsHtmlUsesPageUrl(): void {
+		$table        = new RequestLogTable( 'https://example.com/wp-admin/admin.php?page=cf7-api-logs&status=error' );
+		$table->items = array(
+			array(
+				'id'                 => 42,
+				'form_id'            => 0,
+				'endpoint'           => 'https://api.example.com/leads',
+				'method'             => 'POST',
+				'status'             => 'success',
+				'response_code'      => 200,
+				'execution_time'     => 0.25,
+				'retry_count'        => 0,
+				'created_at'         => '2026-01-03 10:00:00',
+				'request_data'       => '{}',
+				'encryption_version' => 0,
+			),
+		);
+
+		$rows = $table->get_rows_html();
+
+		$this->assertCount( 1, $rows );
+		$this->assertSame( 42, $rows[0]['id'] );
+		$this->assertStringContainsString( 'admin.php?page=cf7-api-logs&#038;status=error&#038;action=view&#038;log_id=42', $rows[0]['html'] );
+		$this->assertStringNotContainsString( 'admin-ajax.php', $rows[0]['html'] );
+	}
 }
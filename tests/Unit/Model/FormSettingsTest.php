@@ -315,6 +315,159 @@ class FormSettingsTest extends TestCase {
 		);
 	}
 
+	/**
+	 * Test additional destinations are read from the api_endpoints property
+	 */
+	public function testFromMetaWithAdditionalEndpoints(): void {
+		$settings = FormSettings::from_meta(
+			42,
+			array(
+				'wpcf7_api_data' => array(
+					'send_to_api' => 'on',
+					'base_url'    => 'https://api.example.com/primary',
+				),
+				'api_endpoints'  => array(
+					array(
+						'label'    => 'CRM',
+						'enabled'  => true,
+						'base_url' => 'https://crm.example.com/leads',
+					),
+					array(
+						'label'    => 'Paused',
+						'enabled'  => false,
+						'base_url' => 'https://paused.example.com',
+					),
+				),
+			)
+		);
+
+		$this->assertCount( 2, $settings->get_additional_endpoints() );
+		$this->assertSame(
+			array( 'https://api.example.com/primary', 'https://crm.example.com/leads' ),
+			$settings->get_endpoints()
+		);
+		$this->assertSame( 'CRM', $settings->to_array()['additional_endpoints'][0]['label'] );
+	}
+
+	/**
+	 * Test to_properties() returns the form properties from_meta() reads
+	 */
+	public function testToPropertiesRoundTrip(): void {
+		$settings = new FormSettings(
+			form_id: 42,
+			enabled: true,
+			endpoint: 'https://api.example.com/leads',
+			method: 'POST',
+			input_type: 'json',
+			field_mappings: array( 'your-email' => 'email' ),
+			auth_config: array(
+				'type'  => 'bearer',
+				'token' => 'enc:abc',
+			),
+			custom_headers: array(
+				array(
+					'name'  => 'X-Source',
+					'value' => 'website',
+				),
+			),
+			retry_config: array( 'max_retries' => 2 ),
+			json_template: '{"email": "[your-email]"}',
+			signing_config: array(
+				'enabled' => true,
+				'secret'  => 'enc:def',
+			),
+			failure_policy: array(
+				'policy'  => 'block',
+				'message' => 'Try again later.',
+			),
+			alert_rules: array(
+				array(
+					'type'      => 'error_rate',
+					'endpoint'  => '',
+					'threshold' => 20.0,
+					'window'    => 60,
+				),
+			)
+		);
+
+		$properties = $settings->to_properties();
+
+		$this->assertSame( 'on', $properties['wpcf7_api_data']['send_to_api'] );
+		$this->assertSame( 'https://api.example.com/leads', $properties['wpcf7_api_data']['base_url'] );
+		$this->assertSame( '{"email": "[your-email]"}', $properties['json_template'] );
+		$this->assertSame( array( 'your-email' => 'email' ), $properties['wpcf7_api_data_map'] );
+		$this->assertSame( $settings->to_array(), FormSettings::from_meta( 42, $properties )->to_array() );
+	}
+
+	/**
+	 * Test the sanitizers give the same result for posted and stored settings
+	 */
+	public function testSanitizersAcceptPostedAndStoredShapes(): void {
+		$posted = array(
+			array(
+				'label'        => 'CRM',
+				'enabled'      => 'on',
+				'base_url'     => 'https://crm.example.com/leads',
+				'input_type'   => 'multipart',
+				'method'       => 'GET',
+				'template'     => '{"a": "\\n"}',
+				'headers'      => "X-Source: website\nnot a header",
+				'retry_config' => array(
+					'max_retries'         => '3',
+					'auto_retry'          => 'on',
+					'auto_retry_schedule' => '5, 30',
+				),
+			),
+		);
+
+		$stored = FormSettings::sanitize_endpoints( $posted );
+
+		$this->assertSame( 'POST', $stored[0]['method'] );
+		$this->assertSame( '{"a": "\\n"}', $stored[0]['template'], 'Templates are not unslashed again' );
+		$this->assertSame(
+			array(
+				array(
+					'name'  => 'X-Source',
+					'value' => 'website',
+				),
+			),
+			$stored[0]['custom_headers']
+		);
+		$this->assertFalse( $stored[0]['retry_config']['retry_on_timeout'] );
+		$this->assertTrue( $stored[0]['retry_config']['auto_retry'] );
+		$this->assertSame( array( 5, 30 ), $stored[0]['retry_config']['auto_retry_schedule'] );
+		$this->assertSame( $stored, FormSettings::sanitize_endpoints( $stored ) );
+
+		$rules = FormSettings::sanitize_response_rules( array( 'extract' => "lead_id = $.data.id\nstatus = //status" ) );
+		$this->assertSame( $rules, FormSettings::sanitize_response_rules( $rules ) );
+
+		$mapping = FormSettings::sanitize_mapping_rules(
+			array(
+				'transforms' => array(
+					'your-name' => array(
+						array(
+							'type' => 'lookup',
+							'map'  => "a = Alpha\nb = Beta",
+						),
+						array(
+							'type'   => 'concat',
+							'fields' => 'first-name, last-name',
+						),
+					),
+				),
+			)
+		);
+		$this->assertSame( $mapping, FormSettings::sanitize_mapping_rules( $mapping ) );
+
+		$this->assertSame(
+			array(
+				'policy'  => 'ignore',
+				'message' => '',
+			),
+			FormSettings::sanitize_failure_policy( array( 'policy' => 'explode' ) )
+		);
+	}
+
 	/**
 	 * Test different input types
 	 *
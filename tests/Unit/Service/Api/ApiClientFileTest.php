@@ -0,0 +1,235 @@
+<?php
+/**
+ * Tests for ApiClient file forwarding
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Service\Api
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Service\Api;
+
+use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Core\Activator;
+use SilverAssist\ContactFormToAPI\Service\Api\ApiClient;
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+
+/**
+ * ApiClient file forwarding test case.
+ *
+ * @group unit
+ * @group service
+ * @group api
+ * @covers \SilverAssist\ContactFormToAPI\Service\Api\ApiClient
+ */
+class ApiClientFileTest extends TestCase {
+
+	/**
+	 * Uploaded file contents
+	 *
+	 * @var string
+	 */
+	private const FILE_CONTENTS = "%PDF-1.4\nresume";
+
+	/**
+	 * Original settings before test
+	 *
+	 * @var array<string, mixed>
+	 */
+	private array $original_settings = array();
+
+	/**
+	 * Test form ID
+	 *
+	 * @var int
+	 */
+	private int $test_form_id = 0;
+
+	/**
+	 * Temporary upload path
+	 *
+	 * @var string
+	 */
+	private string $file_path = '';
+
+	/**
+	 * Captured outgoing HTTP requests
+	 *
+	 * @var array<int, array<string, mixed>>
+	 */
+	private array $requests = array();
+
+	/**
+	 * Set up before class - create tables once before any tests.
+	 */
+	public static function set_up_before_class(): void {
+		parent::set_up_before_class();
+		Activator::create_tables();
+	}
+
+	/**
+	 * Set up test environment
+	 */
+	public function set_up(): void {
+		parent::set_up();
+		$this->requests = array();
+
+		$this->original_settings = Settings::instance()->get_all();
+		Settings::instance()->update( array( 'logging_enabled' => true ) );
+
+		$this->test_form_id = $this->factory->post->create(
+			array(
+				'post_type'   => 'wpcf7_contact_form',
+				'post_title'  => 'Test Form File Forwarding',
+				'post_status' => 'publish',
+			)
+		);
+
+		$this->file_path = \get_temp_dir() . 'cf7-api-resume.pdf';
+		\file_put_contents( $this->file_path, self::FILE_CONTENTS ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+
+		\add_filter(
+			'pre_http_request',
+			function ( $preempt, $args, $url ) {
+				$this->requests[] = array(
+					'url'  => $url,
+					'args' => $args,
+				);
+				return array(
+					'response' => array(
+						'code'    => 200,
+						'message' => 'OK',
+					),
+					'headers'  => array(),
+					'body'     => '{}',
+				);
+			},
+			10,
+			3
+		);
+	}
+
+	/**
+	 * Tear down test environment
+	 */
+	public function tear_down(): void {
+		\remove_all_filters( 'pre_http_request' );
+
+		Settings::instance()->update( $this->original_settings );
+
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->query(
+			$wpdb->prepare( 'DELETE FROM %i WHERE form_id = %d', $wpdb->prefix . 'cf7_api_logs', $this->test_form_id )
+		);
+
+		\wp_delete_post( $this->test_form_id, true );
+		\wp_delete_file( $this->file_path );
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Get the uploaded file as listed by SubmissionProcessor::build_api_record()
+	 *
+	 * @param string $name API field name.
+	 * @return array<string, mixed>
+	 */
+	private function get_file( string $name = 'resume' ): array {
+		return array(
+			'name'     => $name,
+			'field'    => 'resume',
+			'path'     => $this->file_path,
+			'filename' => 'cf7-api-resume.pdf',
+			'mimetype' => 'application/pdf',
+			'size'     => \strlen( self::FILE_CONTENTS ),
+		);
+	}
+
+	/**
+	 * Get the test form's log entry
+	 *
+	 * @return array<string, mixed>
+	 */
+	private function get_log(): array {
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return (array) $wpdb->get_row(
+			$wpdb->prepare( 'SELECT * FROM %i WHERE form_id = %d', $wpdb->prefix . 'cf7_api_logs', $this->test_form_id ),
+			ARRAY_A
+		);
+	}
+
+	/**
+	 * Test multipart requests carry the fields and the file, and the log only its metadata
+	 */
+	public function testSendMultipart(): void {
+		ApiClient::instance()->send(
+			array(
+				'url'          => 'https://api.example.com/upload',
+				'method'       => 'GET',
+				'body'         => array( 'email' => 'jane@example.com' ),
+				'content_type' => 'multipart',
+				'form_id'      => $this->test_form_id,
+				'retry_config' => array( 'max_retries' => 0 ),
+				'files'        => array( $this->get_file( 'cv' ) ),
+			)
+		);
+
+		$this->assertCount( 1, $this->requests );
+		$args = $this->requests[0]['args'];
+		$this->assertSame( 'POST', $args['method'] );
+		$this->assertStringStartsWith( 'multipart/form-data; boundary=', $args['headers']['Content-Type'] );
+		$this->assertStringContainsString( "name=\"email\"\r\n\r\njane@example.com", $args['body'] );
+		$this->assertStringContainsString( 'name="cv"; filename="cf7-api-resume.pdf"', $args['body'] );
+		$this->assertStringContainsString( self::FILE_CONTENTS, $args['body'] );
+
+		$log = $this->get_log();
+		$this->assertStringNotContainsString( 'resume', (string) $log['request_data'] );
+		$this->assertStringNotContainsString( $this->file_path, (string) $log['file_metadata'] );
+		$this->assertSame( 'cf7-api-resume.pdf', \json_decode( $log['file_metadata'], true )[0]['filename'] );
+	}
+
+	/**
+	 * Test the base64 marker is replaced only in the sent body
+	 */
+	public function testSendJsonWithBase64File(): void {
+		ApiClient::instance()->send(
+			array(
+				'url'          => 'https://api.example.com/leads',
+				'method'       => 'POST',
+				'body'         => '{"cv":"' . ApiClient::get_file_placeholder( 'resume' ) . '"}',
+				'content_type' => 'json',
+				'form_id'      => $this->test_form_id,
+				'retry_config' => array( 'max_retries' => 0 ),
+				'files'        => array( $this->get_file() ),
+			)
+		);
+
+		$this->assertSame( '{"cv":"' . \base64_encode( self::FILE_CONTENTS ) . '"}', $this->requests[0]['args']['body'] ); // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode
+		$this->assertStringNotContainsString( \base64_encode( self::FILE_CONTENTS ), (string) $this->get_log()['request_data'] ); // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode
+	}
+
+	/**
+	 * Test files over the size limit are left out and missing files fail the request
+	 */
+	public function testSkippedAndMissingFiles(): void {
+		$client = ApiClient::instance();
+		$config = array(
+			'url'          => 'https://api.example.com/upload',
+			'body'         => array( 'email' => 'jane@example.com' ),
+			'content_type' => 'multipart',
+			'form_id'      => $this->test_form_id,
+			'retry_config' => array( 'max_retries' => 0 ),
+		);
+
+		$client->send( $config + array( 'files' => array( $this->get_file() + array( 'error' => 'Not sent: larger than the 5 MB file limit.' ) ) ) );
+		$this->assertStringNotContainsString( self::FILE_CONTENTS, $this->requests[0]['args']['body'] );
+
+		\wp_delete_file( $this->file_path );
+		$result = $client->send( $config + array( 'files' => array( $this->get_file() ) ) );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'cf7_api_file_missing', $result->get_error_code() );
+		$this->assertCount( 1, $this->requests );
+	}
+}
@@ -0,0 +1,275 @@
+<?php
+/**
+ * Tests for AuthManager
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Service\Api
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Service\Api;
+
+use SilverAssist\ContactFormToAPI\Service\Api\ApiClient;
+use SilverAssist\ContactFormToAPI\Service\Api\AuthManager;
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+
+/**
+ * AuthManager test case.
+ *
+ * @group unit
+ * @group service
+ * @group api
+ * @covers \SilverAssist\ContactFormToAPI\Service\Api\AuthManager
+ */
+class AuthManagerTest extends TestCase {
+
+	/**
+	 * Token endpoint used by the OAuth2 tests
+	 *
+	 * @var string
+	 */
+	private const TOKEN_URL = 'https://auth.example.com/oauth/token';
+
+	/**
+	 * Captured outgoing HTTP requests
+	 *
+	 * @var array<int, array<string, mixed>>
+	 */
+	private array $requests = array();
+
+	/**
+	 * Number of access tokens issued by the fake token endpoint
+	 *
+	 * @var int
+	 */
+	private int $tokens_issued = 0;
+
+	/**
+	 * Access token accepted by the fake API
+	 *
+	 * @var string
+	 */
+	private string $valid_token = 'token-1';
+
+	/**
+	 * Set up test environment
+	 */
+	public function set_up(): void {
+		parent::set_up();
+		$this->requests      = array();
+		$this->tokens_issued = 0;
+		$this->valid_token   = 'token-1';
+
+		\update_option( 'cf7_api_global_settings', array( 'encryption_enabled' => true ) );
+
+		\add_filter(
+			'pre_http_request',
+			function ( $preempt, $args, $url ) {
+				$this->requests[] = array(
+					'url'  => $url,
+					'args' => $args,
+				);
+
+				if ( self::TOKEN_URL === $url ) {
+					++$this->tokens_issued;
+					return $this->fake_response(
+						200,
+						array(
+							'access_token' => 'token-' . $this->tokens_issued,
+							'expires_in'   => 3600,
+						)
+					);
+				}
+
+				$authorization = $args['headers']['Authorization'] ?? '';
+				return $this->fake_response( 'Bearer ' . $this->valid_token === $authorization ? 200 : 401, array() );
+			},
+			10,
+			3
+		);
+	}
+
+	/**
+	 * Tear down test environment
+	 */
+	public function tear_down(): void {
+		\remove_all_filters( 'pre_http_request' );
+		\delete_option( 'cf7_api_global_settings' );
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Build a fake HTTP response
+	 *
+	 * @param int                  $code Status code.
+	 * @param array<string, mixed> $body Decoded JSON body.
+	 * @return array<string, mixed>
+	 */
+	private function fake_response( int $code, array $body ): array {
+		return array(
+			'response' => array(
+				'code'    => $code,
+				'message' => '',
+			),
+			'headers'  => array(),
+			'body'     => \wp_json_encode( $body ),
+		);
+	}
+
+	/**
+	 * Get OAuth2 settings as saved by the integration panel
+	 *
+	 * @return array<string, string>
+	 */
+	private function get_oauth_config(): array {
+		return ( new AuthManager() )->sanitize(
+			array(
+				'type'          => 'oauth2',
+				'token_url'     => self::TOKEN_URL,
+				'client_id'     => 'client-' . \wp_generate_password( 8, false ),
+				'client_secret' => 's3cret',
+				'scope'         => 'leads:write',
+			)
+		);
+	}
+
+	/**
+	 * Test secrets are encrypted on save and kept when left blank
+	 */
+	public function testSanitizeEncryptsAndKeepsSecrets(): void {
+		$manager = new AuthManager();
+		$saved   = $manager->sanitize(
+			array(
+				'type'  => 'bearer',
+				'token' => 'abc123',
+			)
+		);
+
+		$this->assertSame( 'bearer', $saved['type'] );
+		$this->assertNotSame( 'abc123', $saved['token'] );
+		$this->assertSame( 'abc123', $manager->decrypt_secret( $saved['token'] ) );
+
+		$resaved = $manager->sanitize(
+			array(
+				'type'  => 'bearer',
+				'token' => '',
+			),
+			$saved
+		);
+		$this->assertSame( $saved['token'], $resaved['token'] );
+
+		$this->assertSame( 'none', $manager->sanitize( array( 'type' => 'digest' ) )['type'] );
+	}
+
+	/**
+	 * Test static credentials become headers or query parameters
+	 */
+	public function testStaticCredentials(): void {
+		$manager = new AuthManager();
+
+		$bearer = $manager->get_credentials(
+			$manager->sanitize(
+				array(
+					'type'  => 'bearer',
+					'token' => 'abc',
+				)
+			)
+		);
+		$this->assertSame( 'Bearer abc', $bearer['headers']['Authorization'] );
+
+		$basic = $manager->get_credentials(
+			$manager->sanitize(
+				array(
+					'type'     => 'basic',
+					'username' => 'jane',
+					'password' => 'pa55',
+				)
+			)
+		);
+		// phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode -- Expected Basic credentials.
+		$this->assertSame( 'Basic ' . \base64_encode( 'jane:pa55' ), $basic['headers']['Authorization'] );
+
+		$query = $manager->get_credentials(
+			$manager->sanitize(
+				array(
+					'type'        => 'api_key_query',
+					'query_param' => 'key',
+					'api_key'     => 'k-123',
+				)
+			)
+		);
+		$this->assertSame( array( 'key' => 'k-123' ), $query['query'] );
+		$this->assertSame( array(), $query['headers'] );
+	}
+
+	/**
+	 * Test previews mask secrets
+	 */
+	public function testPreviewMasksSecrets(): void {
+		$manager     = new AuthManager();
+		$credentials = $manager->get_credentials( $this->get_oauth_config(), true );
+
+		$this->assertStringNotContainsString( 'token-', $credentials['headers']['Authorization'] );
+		$this->assertSame( 0, $this->tokens_issued );
+	}
+
+	/**
+	 * Test the API key is masked in logged URLs
+	 */
+	public function testRedactUrl(): void {
+		$auth = array(
+			'type'        => 'api_key_query',
+			'query_param' => 'key',
+		);
+
+		$redacted = AuthManager::redact_url( $auth, 'https://api.example.com/leads?key=k-123&x=1' );
+		$this->assertStringNotContainsString( 'k-123', $redacted );
+		$this->assertStringContainsString( 'x=1', $redacted );
+
+		$this->assertSame( 'https://api.example.com/leads', AuthManager::redact_url( array( 'type' => 'bearer' ), 'https://api.example.com/leads' ) );
+	}
+
+	/**
+	 * Test OAuth2 tokens are fetched once and then served from cache
+	 */
+	public function testAccessTokenIsCached(): void {
+		$auth = $this->get_oauth_config();
+
+		$this->assertSame( 'token-1', ( new AuthManager() )->get_access_token( $auth ) );
+		$this->assertSame( 'token-1', ( new AuthManager() )->get_access_token( $auth ) );
+		$this->assertSame( 1, $this->tokens_issued );
+
+		$token_request = $this->requests[0];
+		$this->assertSame( 'client_credentials', $token_request['args']['body']['grant_type'] );
+		$this->assertSame( 's3cret', $token_request['args']['body']['client_secret'] );
+		$this->assertSame( 'leads:write', $token_request['args']['body']['scope'] );
+	}
+
+	/**
+	 * Test an expired token is refreshed on 401 and the request repeated
+	 */
+	public function testTokenIsRefreshedOnUnauthorized(): void {
+		$auth = $this->get_oauth_config();
+		( new AuthManager() )->get_access_token( $auth );
+
+		// The API has revoked the cached token.
+		$this->valid_token = 'token-2';
+
+		$response = ApiClient::instance()->send(
+			array(
+				'url'          => 'https://api.example.com/leads',
+				'method'       => 'POST',
+				'body'         => array( 'email' => 'jane@example.com' ),
+				'content_type' => 'json',
+				'retry_config' => array( 'max_retries' => 0 ),
+				'auth'         => $auth,
+				'log'          => false,
+			)
+		);
+
+		$this->assertNotWPError( $response );
+		$this->assertSame( 2, $this->tokens_issued );
+		$this->assertSame( 'Bearer token-2', \end( $this->requests )['args']['headers']['Authorization'] );
+		$this->assertSame( 'token-2', ( new AuthManager() )->get_access_token( $auth ) );
+	}
+}
@@ -0,0 +1,310 @@
+<?php
+/**
+ * Tests for CircuitBreaker
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Service\Api
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Service\Api;
+
+use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Core\Activator;
+use SilverAssist\ContactFormToAPI\Service\Api\ApiClient;
+use SilverAssist\ContactFormToAPI\Service\Api\CircuitBreaker;
+use SilverAssist\ContactFormToAPI\Service\Api\DeliveryQueue;
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+
+/**
+ * CircuitBreaker test case.
+ *
+ * @group unit
+ * @group service
+ * @group api
+ * @covers \SilverAssist\ContactFormToAPI\Service\Api\CircuitBreaker
+ */
+class CircuitBreakerTest extends TestCase {
+
+	/**
+	 * Endpoint of the test deliveries
+	 *
+	 * @var string
+	 */
+	private const ENDPOINT = 'https://api.example.com/leads';
+
+	/**
+	 * Original settings before test
+	 *
+	 * @var array<string, mixed>
+	 */
+	private array $original_settings = array();
+
+	/**
+	 * Test form ID
+	 *
+	 * @var int
+	 */
+	private int $test_form_id = 0;
+
+	/**
+	 * Captured outgoing HTTP requests
+	 *
+	 * @var array<int, string>
+	 */
+	private array $requests = array();
+
+	/**
+	 * Status code returned for outgoing requests
+	 *
+	 * @var int
+	 */
+	private int $response_code = 503;
+
+	/**
+	 * Set up before class - create tables once before any tests.
+	 */
+	public static function set_up_before_class(): void {
+		parent::set_up_before_class();
+		Activator::create_tables();
+	}
+
+	/**
+	 * Set up test environment
+	 */
+	public function set_up(): void {
+		parent::set_up();
+		$this->requests      = array();
+		$this->response_code = 503;
+
+		$this->original_settings = Settings::instance()->get_all();
+		Settings::instance()->update(
+			array(
+				'logging_enabled'           => true,
+				'alerts_enabled'            => false,
+				'queue_enabled'             => false,
+				'circuit_breaker_enabled'   => true,
+				'circuit_breaker_threshold' => 2,
+				'circuit_breaker_cooldown'  => 10,
+			)
+		);
+
+		$this->test_form_id = $this->factory->post->create(
+			array(
+				'post_type'   => 'wpcf7_contact_form',
+				'post_title'  => 'Test Form Circuit Breaker',
+				'post_status' => 'publish',
+			)
+		);
+
+		\add_filter(
+			'pre_http_request',
+			function ( $preempt, $args, $url ) {
+				$this->requests[] = $url;
+				return array(
+					'response' => array(
+						'code'    => $this->response_code,
+						'message' => '',
+					),
+					'headers'  => array(),
+					'body'     => '{}',
+				);
+			},
+			10,
+			3
+		);
+	}
+
+	/**
+	 * Tear down test environment
+	 */
+	public function tear_down(): void {
+		\remove_all_filters( 'pre_http_request' );
+		\wp_clear_scheduled_hook( DeliveryQueue::HOOK );
+		\delete_option( CircuitBreaker::OPTION );
+		\delete_option( CircuitBreaker::LOCK_OPTION );
+
+		Settings::instance()->update( $this->original_settings );
+
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->query(
+			$wpdb->prepare( 'DELETE FROM %i WHERE form_id = %d', $wpdb->prefix . 'cf7_api_logs', $this->test_form_id )
+		);
+
+		\wp_delete_post( $this->test_form_id, true );
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Send a delivery for the test form
+	 *
+	 * @return array<string, mixed>|\WP_Error
+	 */
+	private function send() {
+		return ApiClient::instance()->send(
+			array(
+				'url'          => self::ENDPOINT . '?source=web',
+				'method'       => 'POST',
+				'body'         => array( 'email' => 'jane@example.com' ),
+				'content_type' => 'json',
+				'form_id'      => $this->test_form_id,
+				'retry_config' => array( 'max_retries' => 0 ),
+			)
+		);
+	}
+
+	/**
+	 * End the cooldown of the test endpoint's breaker
+	 *
+	 * @return void
+	 */
+	private function end_cooldown(): void {
+		$breakers = \get_option( CircuitBreaker::OPTION );
+
+		$breakers[ self::ENDPOINT ]['retry_at'] = \time() - 1;
+		\update_option( CircuitBreaker::OPTION, $breakers, false );
+	}
+
+	/**
+	 * Test URLs are grouped by scheme, host, port and path
+	 */
+	public function testGetEndpoint(): void {
+		$this->assertSame( self::ENDPOINT, CircuitBreaker::get_endpoint( 'https://API.example.com/leads?api_key=abc#top' ) );
+		$this->assertSame( 'http://api.example.com:8080', CircuitBreaker::get_endpoint( 'http://api.example.com:8080' ) );
+	}
+
+	/**
+	 * Test the breaker opens, half-opens for a single probe and closes again
+	 */
+	public function testStateTransitions(): void {
+		$breaker = new CircuitBreaker();
+
+		$breaker->record_failure( self::ENDPOINT );
+		$this->assertTrue( $breaker->allow_request( self::ENDPOINT ), 'One failure is below the threshold' );
+
+		$breaker->record_failure( self::ENDPOINT . '?page=2' );
+		$this->assertTrue( $breaker->is_open( self::ENDPOINT ) );
+		$this->assertFalse( $breaker->allow_request( self::ENDPOINT ) );
+		$this->assertTrue( $breaker->allow_request( 'https://api.example.com/other' ) );
+		$this->assertSame( array( self::ENDPOINT ), $breaker->get_open_endpoints() );
+		$this->assertEqualsWithDelta( \time() + 10 * MINUTE_IN_SECONDS, $breaker->get_next_probe(), 5 );
+
+		$this->end_cooldown();
+		$this->assertSame( CircuitBreaker::HALF_OPEN, $breaker->get_all()[ self::ENDPOINT ]['state'] );
+		$this->assertFalse( $breaker->is_open( self::ENDPOINT ) );
+		$this->assertTrue( $breaker->allow_request( self::ENDPOINT ), 'The first request after the cooldown is the probe' );
+		$this->assertFalse( $breaker->allow_request( self::ENDPOINT ), 'Only one probe at a time' );
+
+		$breaker->record_failure( self::ENDPOINT );
+		$this->assertSame( CircuitBreaker::OPEN, $breaker->get_all()[ self::ENDPOINT ]['state'], 'A failed probe opens the breaker again' );
+		$this->assertSame( 3, $breaker->get_all()[ self::ENDPOINT ]['failures'] );
+
+		$this->end_cooldown();
+		$this->assertTrue( $breaker->allow_request( self::ENDPOINT ) );
+		$breaker->record_result( self::ENDPOINT, array( 'response' => array( 'code' => 404 ) ) );
+		$this->assertSame( array(), $breaker->get_all(), 'A response that is not a failure closes the breaker' );
+	}
+
+	/**
+	 * Test disabled breakers never refuse requests
+	 */
+	public function testDisabledBreakerAllowsRequests(): void {
+		$breaker = new CircuitBreaker();
+		$breaker->record_failure( self::ENDPOINT );
+		$breaker->record_failure( self::ENDPOINT );
+
+		Settings::instance()->update( array( 'circuit_breaker_enabled' => false ) );
+
+		$this->assertTrue( $breaker->allow_request( self::ENDPOINT ) );
+		$this->assertSame( array(), $breaker->get_open_endpoints() );
+	}
+
+	/**
+	 * Test an open breaker skips the live call and the reset closes it
+	 */
+	public function testOpenBreakerSkipsLiveCalls(): void {
+		$this->send();
+		$this->send();
+		$this->assertCount( 2, $this->requests );
+
+		$result = $this->send();
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'cf7_api_circuit_open', $result->get_error_code() );
+		$this->assertCount( 2, $this->requests, 'No request is sent while the breaker is open' );
+
+		$this->assertTrue( ( new CircuitBreaker() )->reset( self::ENDPOINT ) );
+		$this->response_code = 200;
+		$this->assertIsArray( $this->send() );
+		$this->assertCount( 3, $this->requests );
+	}
+
+	/**
+	 * Test queued deliveries wait for the probe and are sent once it succeeds
+	 */
+	public function testQueuedDeliveriesWaitForProbe(): void {
+		$this->send();
+		$this->send();
+
+		$queue  = DeliveryQueue::instance();
+		$log_id = $queue->enqueue(
+			array(
+				'url'          => self::ENDPOINT,
+				'method'       => 'POST',
+				'body'         => array( 'email' => 'jane@example.com' ),
+				'content_type' => 'json',
+				'form_id'      => $this->test_form_id,
+				'retry_config' => array( 'max_retries' => 0 ),
+			)
+		);
+		$this->assertIsInt( $log_id );
+
+		$this->assertSame( 0, $queue->process_queue() );
+		$this->assertSame( 1, $queue->count_queued() );
+		$this->assertEqualsWithDelta( \time() + 10 * MINUTE_IN_SECONDS, $queue->get_next_run(), 5, 'The worker runs again for the probe' );
+
+		$this->end_cooldown();
+		$this->response_code = 200;
+
+		$this->assertSame( 1, $queue->process_queue() );
+		$this->assertSame( 0, $queue->count_queued() );
+		$this->assertCount( 3, $this->requests );
+		$this->assertSame( array(), ( new CircuitBreaker() )->get_all() );
+	}
+
+	/**
+	 * Test the probe is claimed against the stored breakers, not a stale cached copy
+	 */
+	public function testProbeIsClaimedOnce(): void {
+		$breaker = new CircuitBreaker();
+		$breaker->record_failure( self::ENDPOINT );
+		$breaker->record_failure( self::ENDPOINT );
+		$this->end_cooldown();
+
+		// What a concurrent request read before this one claimed the probe.
+		$stale = \get_option( CircuitBreaker::OPTION );
+
+		$this->assertTrue( $breaker->allow_request( self::ENDPOINT ) );
+
+		\wp_cache_set( CircuitBreaker::OPTION, $stale, 'options' );
+		$this->assertFalse( $breaker->allow_request( self::ENDPOINT ), 'The probe is already claimed' );
+		$this->assertSame( CircuitBreaker::HALF_OPEN, \get_option( CircuitBreaker::OPTION )[ self::ENDPOINT ]['state'] );
+	}
+
+	/**
+	 * Test a held lock blocks changes and an expired lock is taken over
+	 */
+	public function testUpdatesWaitForTheLock(): void {
+		$breaker = new CircuitBreaker();
+
+		\add_option( CircuitBreaker::LOCK_OPTION, (string) ( \time() + 60 ), '', false );
+		$breaker->record_failure( self::ENDPOINT );
+		$this->assertSame( array(), $breaker->get_all(), 'Nothing changes while another request holds the lock' );
+
+		\update_option( CircuitBreaker::LOCK_OPTION, (string) ( \time() - 1 ), false );
+		$breaker->record_failure( self::ENDPOINT );
+		$this->assertSame( 1, $breaker->get_all()[ self::ENDPOINT ]['failures'] );
+		$this->assertFalse( \get_option( CircuitBreaker::LOCK_OPTION ), 'The lock is released after the change' );
+	}
+}
@@ -0,0 +1,253 @@
+<?php
+/**
+ * Tests for DeliveryQueue
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Service\Api
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Service\Api;
+
+use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Core\Activator;
+use SilverAssist\ContactFormToAPI\Service\Api\DeliveryQueue;
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+
+/**
+ * DeliveryQueue test case.
+ *
+ * @group unit
+ * @group service
+ * @group api
+ * @covers \SilverAssist\ContactFormToAPI\Service\Api\DeliveryQueue
+ */
+class DeliveryQueueTest extends TestCase {
+
+	/**
+	 * Queue instance
+	 *
+	 * @var DeliveryQueue
+	 */
+	private DeliveryQueue $queue;
+
+	/**
+	 * Original settings before test
+	 *
+	 * @var array<string, mixed>
+	 */
+	private array $original_settings = array();
+
+	/**
+	 * Test form ID
+	 *
+	 * @var int
+	 */
+	private int $test_form_id = 0;
+
+	/**
+	 * Captured outgoing HTTP requests
+	 *
+	 * @var array<int, array<string, mixed>>
+	 */
+	private array $requests = array();
+
+	/**
+	 * Set up before class - create tables once before any tests.
+	 */
+	public static function set_up_before_class(): void {
+		parent::set_up_before_class();
+		Activator::create_tables();
+	}
+
+	/**
+	 * Set up test environment
+	 */
+	public function set_up(): void {
+		parent::set_up();
+		$this->queue    = DeliveryQueue::instance();
+		$this->requests = array();
+
+		$this->original_settings = Settings::instance()->get_all();
+		Settings::instance()->update(
+			array(
+				'logging_enabled' => true,
+				'queue_enabled'   => true,
+			)
+		);
+
+		$this->test_form_id = $this->factory->post->create(
+			array(
+				'post_type'   => 'wpcf7_contact_form',
+				'post_title'  => 'Test Form Queue',
+				'post_status' => 'publish',
+			)
+		);
+
+		\add_filter(
+			'pre_http_request',
+			function ( $preempt, $args, $url ) {
+				$this->requests[] = array(
+					'url'  => $url,
+					'args' => $args,
+				);
+				return array(
+					'response' => array(
+						'code'    => 200,
+						'message' => 'OK',
+					),
+					'headers'  => array(),
+					'body'     => '{"ok":true}',
+				);
+			},
+			10,
+			3
+		);
+	}
+
+	/**
+	 * Tear down test environment
+	 */
+	public function tear_down(): void {
+		\remove_all_filters( 'pre_http_request' );
+		\remove_all_actions( 'cf7_api_after_send_to_api' );
+		\wp_clear_scheduled_hook( DeliveryQueue::HOOK );
+		\delete_option( DeliveryQueue::PAUSED_OPTION );
+
+		Settings::instance()->update( $this->original_settings );
+
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->query(
+			$wpdb->prepare( 'DELETE FROM %i WHERE form_id = %d', $wpdb->prefix . 'cf7_api_logs', $this->test_form_id )
+		);
+
+		\wp_delete_post( $this->test_form_id, true );
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Queue a JSON delivery for the test form
+	 *
+	 * @return int|false|\WP_Error
+	 */
+	private function enqueue() {
+		return $this->queue->enqueue(
+			array(
+				'url'           => 'https://api.example.com/leads',
+				'method'        => 'POST',
+				'body'          => array( 'email' => 'jane@example.com' ),
+				'headers'       => array( 'X-API-Key' => 'secret-key' ),
+				'content_type'  => 'json',
+				'form_id'       => $this->test_form_id,
+				'retry_config'  => array( 'max_retries' => 0 ),
+				'submission_id' => 'submission-1',
+				'destination'   => 'Primary',
+			),
+			array(
+				'record'      => array( 'url' => 'https://api.example.com/leads' ),
+				'destination' => array( 'label' => 'Primary' ),
+			)
+		);
+	}
+
+	/**
+	 * Get a log row
+	 *
+	 * @param int $log_id Log ID.
+	 * @return array<string, mixed>
+	 */
+	private function get_row( int $log_id ): array {
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return (array) $wpdb->get_row(
+			$wpdb->prepare( 'SELECT * FROM %i WHERE id = %d', $wpdb->prefix . 'cf7_api_logs', $log_id ),
+			ARRAY_A
+		);
+	}
+
+	/**
+	 * Test queued deliveries are stored as pending without sending anything
+	 */
+	public function testEnqueueStoresPendingLogWithoutSending(): void {
+		$log_id = $this->enqueue();
+
+		$this->assertIsInt( $log_id );
+		$this->assertCount( 0, $this->requests );
+		$this->assertSame( 1, $this->queue->count_queued() );
+		$this->assertNotFalse( \wp_next_scheduled( DeliveryQueue::HOOK ) );
+
+		$row = $this->get_row( $log_id );
+		$this->assertSame( 'pending', $row['status'] );
+		$this->assertSame( 'submission-1', $row['submission_id'] );
+		$this->assertNotEmpty( $row['queue_payload'] );
+	}
+
+	/**
+	 * Test the worker sends the stored request and completes the same log entry
+	 */
+	public function testProcessQueueDeliversAndCompletesLog(): void {
+		$fired = array();
+		\add_action(
+			'cf7_api_after_send_to_api',
+			function ( $record, $response, $destination ) use ( &$fired ) {
+				$fired[] = $destination['label'] ?? '';
+			},
+			10,
+			3
+		);
+
+		$log_id = $this->enqueue();
+
+		$this->assertSame( 1, $this->queue->process_queue() );
+
+		$this->assertCount( 1, $this->requests );
+		$this->assertSame( 'https://api.example.com/leads', $this->requests[0]['url'] );
+		$this->assertSame( 'secret-key', $this->requests[0]['args']['headers']['X-API-Key'] );
+		$this->assertStringContainsString( 'jane@example.com', $this->requests[0]['args']['body'] );
+		$this->assertSame( array( 'Primary' ), $fired );
+
+		$row = $this->get_row( $log_id );
+		$this->assertSame( 'success', $row['status'] );
+		$this->assertNull( $row['queue_payload'] );
+		$this->assertSame( 0, $this->queue->count_queued() );
+	}
+
+	/**
+	 * Test a delivery is sent only once even if the worker runs again
+	 */
+	public function testProcessQueueDoesNotDeliverTwice(): void {
+		$this->enqueue();
+
+		$this->queue->process_queue();
+		$this->assertSame( 0, $this->queue->process_queue() );
+
+		$this->assertCount( 1, $this->requests );
+	}
+
+	/**
+	 * Test paused workers leave the queue untouched
+	 */
+	public function testPausedQueueIsNotProcessed(): void {
+		$this->enqueue();
+		$this->queue->pause();
+
+		$this->assertSame( 0, $this->queue->process_queue() );
+		$this->assertCount( 0, $this->requests );
+		$this->assertFalse( \wp_next_scheduled( DeliveryQueue::HOOK ) );
+
+		$this->queue->resume();
+
+		$this->assertNotFalse( \wp_next_scheduled( DeliveryQueue::HOOK ) );
+		$this->assertSame( 1, $this->queue->process_queue() );
+	}
+
+	/**
+	 * Test deliveries are not queued while logging is disabled
+	 */
+	public function testQueueRequiresLogging(): void {
+		Settings::instance()->update( array( 'logging_enabled' => false ) );
+
+		$this->assertFalse( $this->queue->is_enabled() );
+	}
+}
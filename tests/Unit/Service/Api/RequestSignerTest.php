@@ -0,0 +1,254 @@
+<?php
+/**
+ * Tests for RequestSigner
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Service\Api
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Service\Api;
+
+use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Core\Activator;
+use SilverAssist\ContactFormToAPI\Service\Api\ApiClient;
+use SilverAssist\ContactFormToAPI\Service\Api\RequestSigner;
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+
+/**
+ * RequestSigner test case.
+ *
+ * @group unit
+ * @group service
+ * @group api
+ * @covers \SilverAssist\ContactFormToAPI\Service\Api\RequestSigner
+ */
+class RequestSignerTest extends TestCase {
+
+	/**
+	 * Original settings before test
+	 *
+	 * @var array<string, mixed>
+	 */
+	private array $original_settings = array();
+
+	/**
+	 * Test form ID
+	 *
+	 * @var int
+	 */
+	private int $test_form_id = 0;
+
+	/**
+	 * Captured outgoing HTTP requests
+	 *
+	 * @var array<int, array<string, mixed>>
+	 */
+	private array $requests = array();
+
+	/**
+	 * Set up before class - create tables once before any tests.
+	 */
+	public static function set_up_before_class(): void {
+		parent::set_up_before_class();
+		Activator::create_tables();
+	}
+
+	/**
+	 * Set up test environment
+	 */
+	public function set_up(): void {
+		parent::set_up();
+		$this->requests = array();
+
+		$this->original_settings = Settings::instance()->get_all();
+		Settings::instance()->update( array( 'logging_enabled' => true ) );
+
+		$this->test_form_id = $this->factory->post->create(
+			array(
+				'post_type'   => 'wpcf7_contact_form',
+				'post_title'  => 'Test Form Request Signer',
+				'post_status' => 'publish',
+			)
+		);
+
+		\add_filter(
+			'pre_http_request',
+			function ( $preempt, $args, $url ) {
+				$this->requests[] = array(
+					'url'  => $url,
+					'args' => $args,
+				);
+				return array(
+					'response' => array(
+						'code'    => 200,
+						'message' => 'OK',
+					),
+					'headers'  => array(),
+					'body'     => '{}',
+				);
+			},
+			10,
+			3
+		);
+	}
+
+	/**
+	 * Tear down test environment
+	 */
+	public function tear_down(): void {
+		\remove_all_filters( 'pre_http_request' );
+
+		Settings::instance()->update( $this->original_settings );
+
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->query(
+			$wpdb->prepare( 'DELETE FROM %i WHERE form_id = %d', $wpdb->prefix . 'cf7_api_logs', $this->test_form_id )
+		);
+
+		\wp_delete_post( $this->test_form_id, true );
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Get signing settings as saved by the integration panel
+	 *
+	 * @param array<string, mixed> $overrides Posted values to override.
+	 * @return array<string, mixed>
+	 */
+	private function get_signing( array $overrides = array() ): array {
+		return ( new RequestSigner() )->sanitize(
+			$overrides + array(
+				'enabled'   => 'on',
+				'secret'    => 'whsec_test',
+				'algorithm' => 'sha256',
+				'header'    => 'X-Signature',
+			)
+		);
+	}
+
+	/**
+	 * Test the signature covers the body, or the timestamp and body
+	 */
+	public function testSign(): void {
+		$signer = new RequestSigner();
+
+		$headers = $signer->sign( $this->get_signing(), '{"a":1}' );
+		$this->assertSame( array( 'X-Signature' => 'sha256=' . \hash_hmac( 'sha256', '{"a":1}', 'whsec_test' ) ), $headers );
+
+		$headers = $signer->sign(
+			$this->get_signing(
+				array(
+					'algorithm'        => 'sha512',
+					'timestamp_header' => 'X-Timestamp',
+				)
+			),
+			'{"a":1}',
+			1700000000
+		);
+		$this->assertSame( '1700000000', $headers['X-Timestamp'] );
+		$this->assertSame( 'sha512=' . \hash_hmac( 'sha512', '1700000000.{"a":1}', 'whsec_test' ), $headers['X-Signature'] );
+
+		$this->assertSame( array(), $signer->sign( $this->get_signing( array( 'enabled' => '' ) ), '{}' ) );
+	}
+
+	/**
+	 * Test a blank secret keeps the saved one and unknown values fall back to defaults
+	 */
+	public function testSanitize(): void {
+		$signer = new RequestSigner();
+		$saved  = $this->get_signing();
+
+		$resaved = $signer->sanitize(
+			array(
+				'enabled'   => 'on',
+				'secret'    => '',
+				'algorithm' => 'md5',
+				'header'    => 'X Bad:Header',
+			),
+			$saved
+		);
+
+		$this->assertSame( $saved['secret'], $resaved['secret'] );
+		$this->assertSame( 'sha256', $resaved['algorithm'] );
+		$this->assertSame( 'XBadHeader', $resaved['header'] );
+		$this->assertSame( RequestSigner::DEFAULT_HEADER, $signer->sanitize( array() )['header'] );
+	}
+
+	/**
+	 * Test sends are signed over the final body and the log records it without the secret
+	 */
+	public function testSendSignsRequestAndLogsAlgorithm(): void {
+		ApiClient::instance()->send(
+			array(
+				'url'          => 'https://api.example.com/hooks',
+				'method'       => 'POST',
+				'body'         => array( 'email' => 'jane@example.com' ),
+				'content_type' => 'json',
+				'form_id'      => $this->test_form_id,
+				'retry_config' => array( 'max_retries' => 0 ),
+				'signing'      => $this->get_signing(),
+			)
+		);
+
+		$this->assertCount( 1, $this->requests );
+		$args = $this->requests[0]['args'];
+		$this->assertSame( 'sha256=' . \hash_hmac( 'sha256', $args['body'], 'whsec_test' ), $args['headers']['X-Signature'] );
+
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$log = $wpdb->get_row(
+			$wpdb->prepare( 'SELECT * FROM %i WHERE form_id = %d', $wpdb->prefix . 'cf7_api_logs', $this->test_form_id ),
+			ARRAY_A
+		);
+
+		$this->assertSame( 'sha256', $log['signature_algorithm'] );
+		$this->assertStringNotContainsString( 'whsec_test', \wp_json_encode( $log ) );
+	}
+
+	/**
+	 * Test GET requests are signed over the query string they carry
+	 */
+	public function testSendSignsQueryStringOfGetRequests(): void {
+		ApiClient::instance()->send(
+			array(
+				'url'          => 'https://api.example.com/hooks?source=cf7',
+				'method'       => 'GET',
+				'body'         => array( 'email' => 'jane@example.com' ),
+				'content_type' => 'params',
+				'form_id'      => $this->test_form_id,
+				'retry_config' => array( 'max_retries' => 0 ),
+				'signing'      => $this->get_signing(),
+			)
+		);
+
+		$this->assertCount( 1, $this->requests );
+		$query = (string) \wp_parse_url( $this->requests[0]['url'], PHP_URL_QUERY );
+
+		$this->assertStringContainsString( 'email=', $query );
+		$this->assertSame( 'sha256=' . \hash_hmac( 'sha256', $query, 'whsec_test' ), $this->requests[0]['args']['headers']['X-Signature'] );
+	}
+
+	/**
+	 * Test multipart requests are signed over the multipart body even without files
+	 */
+	public function testSendSignsMultipartWithoutFiles(): void {
+		ApiClient::instance()->send(
+			array(
+				'url'          => 'https://api.example.com/upload',
+				'method'       => 'POST',
+				'body'         => array( 'email' => 'jane@example.com' ),
+				'content_type' => 'multipart',
+				'form_id'      => $this->test_form_id,
+				'retry_config' => array( 'max_retries' => 0 ),
+				'signing'      => $this->get_signing(),
+			)
+		);
+
+		$this->assertCount( 1, $this->requests );
+		$args = $this->requests[0]['args'];
+		$this->assertStringStartsWith( 'multipart/form-data; boundary=', $args['headers']['Content-Type'] );
+		$this->assertSame( 'sha256=' . \hash_hmac( 'sha256', $args['body'], 'whsec_test' ), $args['headers']['X-Signature'] );
+	}
+}
@@ -0,0 +1,309 @@
+<?php
+/**
+ * Tests for RetryScheduler
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Service\Api
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Service\Api;
+
+use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Core\Activator;
+use SilverAssist\ContactFormToAPI\Service\Api\ApiClient;
+use SilverAssist\ContactFormToAPI\Service\Api\RetryScheduler;
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+
+/**
+ * RetryScheduler test case.
+ *
+ * @group unit
+ * @group service
+ * @group api
+ * @covers \SilverAssist\ContactFormToAPI\Service\Api\RetryScheduler
+ */
+class RetrySchedulerTest extends TestCase {
+
+	/**
+	 * Original settings before test
+	 *
+	 * @var array<string, mixed>
+	 */
+	private array $original_settings = array();
+
+	/**
+	 * Test form ID
+	 *
+	 * @var int
+	 */
+	private int $test_form_id = 0;
+
+	/**
+	 * Response codes returned for outgoing requests, in order (the last one repeats)
+	 *
+	 * @var array<int>
+	 */
+	private array $response_codes = array( 503 );
+
+	/**
+	 * Captured outgoing HTTP requests
+	 *
+	 * @var array<int, array<string, mixed>>
+	 */
+	private array $requests = array();
+
+	/**
+	 * Set up before class - create tables once before any tests.
+	 */
+	public static function set_up_before_class(): void {
+		parent::set_up_before_class();
+		Activator::create_tables();
+	}
+
+	/**
+	 * Set up test environment
+	 */
+	public function set_up(): void {
+		parent::set_up();
+		$this->requests       = array();
+		$this->response_codes = array( 503 );
+
+		$this->original_settings = Settings::instance()->get_all();
+		Settings::instance()->update(
+			array(
+				'logging_enabled' => true,
+				'alerts_enabled'  => false,
+			)
+		);
+
+		$this->test_form_id = $this->factory->post->create(
+			array(
+				'post_type'   => 'wpcf7_contact_form',
+				'post_title'  => 'Test Form Retry Scheduler',
+				'post_status' => 'publish',
+			)
+		);
+
+		\add_filter(
+			'pre_http_request',
+			function ( $preempt, $args, $url ) {
+				$this->requests[] = array(
+					'url'  => $url,
+					'args' => $args,
+				);
+				$code = \count( $this->response_codes ) > 1 ? \array_shift( $this->response_codes ) : $this->response_codes[0];
+				return array(
+					'response' => array(
+						'code'    => $code,
+						'message' => '',
+					),
+					'headers'  => array(),
+					'body'     => '{}',
+				);
+			},
+			10,
+			3
+		);
+	}
+
+	/**
+	 * Tear down test environment
+	 */
+	public function tear_down(): void {
+		\remove_all_filters( 'pre_http_request' );
+		\remove_all_actions( 'cf7_api_delivery_dead_letter' );
+		\wp_clear_scheduled_hook( RetryScheduler::HOOK );
+
+		Settings::instance()->update( $this->original_settings );
+
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->query(
+			$wpdb->prepare( 'DELETE FROM %i WHERE form_id = %d', $wpdb->prefix . 'cf7_api_logs', $this->test_form_id )
+		);
+
+		\wp_delete_post( $this->test_form_id, true );
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Store a retry configuration on the test form, as the integration panel does
+	 *
+	 * @param array<string, mixed> $retry_config Retry configuration.
+	 * @return void
+	 */
+	private function configure_form( array $retry_config ): void {
+		if ( ! \class_exists( 'WPCF7_ContactForm' ) ) {
+			$this->markTestSkipped( 'Contact Form 7 is not available.' );
+		}
+
+		\add_filter(
+			'wpcf7_pre_construct_contact_form_properties',
+			fn( $properties ) => $properties + array( 'retry_config' => array() )
+		);
+		\update_post_meta( $this->test_form_id, '_retry_config', $retry_config );
+	}
+
+	/**
+	 * Send a delivery for the test form
+	 *
+	 * @param array<string, mixed> $retry_config Retry configuration.
+	 * @return void
+	 */
+	private function send( array $retry_config ): void {
+		ApiClient::instance()->send(
+			array(
+				'url'          => 'https://api.example.com/leads',
+				'method'       => 'POST',
+				'body'         => array( 'email' => 'jane@example.com' ),
+				'content_type' => 'json',
+				'form_id'      => $this->test_form_id,
+				'retry_config' => $retry_config + array( 'max_retries' => 0 ),
+			)
+		);
+	}
+
+	/**
+	 * Get the original (non-retry) log entry of the test form
+	 *
+	 * @return array<string, mixed>
+	 */
+	private function get_original(): array {
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return (array) $wpdb->get_row(
+			$wpdb->prepare( 'SELECT * FROM %i WHERE form_id = %d AND retry_of IS NULL', $wpdb->prefix . 'cf7_api_logs', $this->test_form_id ),
+			ARRAY_A
+		);
+	}
+
+	/**
+	 * Make the scheduled retry of a log entry due now
+	 *
+	 * @param int $log_id Log entry ID.
+	 * @return void
+	 */
+	private function make_due( int $log_id ): void {
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->update(
+			$wpdb->prefix . 'cf7_api_logs',
+			array( 'next_retry_at' => \gmdate( 'Y-m-d H:i:s', \time() - 60 ) ),
+			array( 'id' => $log_id )
+		);
+	}
+
+	/**
+	 * Test schedules are parsed, capped and defaulted
+	 */
+	public function testParseSchedule(): void {
+		$this->assertSame( array( 5, 60, 1440 ), RetryScheduler::parse_schedule( '5, 60,1440' ) );
+		$this->assertSame( array( 10, RetryScheduler::MAX_DELAY ), RetryScheduler::parse_schedule( array( 10, 'x', 0, 99999 ) ) );
+		$this->assertCount( RetryScheduler::MAX_ATTEMPTS, RetryScheduler::parse_schedule( \implode( ',', \range( 1, 20 ) ) ) );
+		$this->assertSame( RetryScheduler::DEFAULT_SCHEDULE, RetryScheduler::parse_schedule( '' ) );
+	}
+
+	/**
+	 * Test a failed delivery gets its first retry scheduled
+	 */
+	public function testFailedDeliveryIsScheduled(): void {
+		$this->send(
+			array(
+				'auto_retry'          => true,
+				'auto_retry_schedule' => array( 30 ),
+			)
+		);
+
+		$row = $this->get_original();
+		$this->assertSame( 'server_error', $row['status'] );
+		$this->assertNotEmpty( $row['next_retry_at'] );
+		$this->assertEqualsWithDelta( \time() + 30 * MINUTE_IN_SECONDS, \strtotime( $row['next_retry_at'] . ' UTC' ), 5 );
+		$this->assertNotFalse( \wp_next_scheduled( RetryScheduler::HOOK ) );
+	}
+
+	/**
+	 * Test client errors and disabled auto retry are not scheduled
+	 */
+	public function testNonRetryableFailuresAreNotScheduled(): void {
+		$this->response_codes = array( 400 );
+		$this->send( array( 'auto_retry' => true ) );
+		$this->assertEmpty( $this->get_original()['next_retry_at'] );
+
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->query( $wpdb->prepare( 'DELETE FROM %i WHERE form_id = %d', $wpdb->prefix . 'cf7_api_logs', $this->test_form_id ) );
+
+		$this->response_codes = array( 503 );
+		$this->send( array( 'auto_retry' => false ) );
+		$this->assertEmpty( $this->get_original()['next_retry_at'] );
+	}
+
+	/**
+	 * Test a due retry is re-sent and stops once it succeeds
+	 */
+	public function testDueRetryIsSentAndStopsOnSuccess(): void {
+		$config = array(
+			'auto_retry'          => true,
+			'auto_retry_schedule' => array( 5, 30 ),
+		);
+		$this->configure_form( $config );
+		$this->send( $config );
+
+		$original = $this->get_original();
+		$this->make_due( (int) $original['id'] );
+		$this->response_codes = array( 200 );
+
+		$this->assertSame( 1, RetryScheduler::instance()->process_due_retries() );
+
+		$this->assertCount( 2, $this->requests );
+		$this->assertEmpty( $this->get_original()['next_retry_at'] );
+
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$retry = $wpdb->get_row(
+			$wpdb->prepare( 'SELECT * FROM %i WHERE retry_of = %d', $wpdb->prefix . 'cf7_api_logs', $original['id'] ),
+			ARRAY_A
+		);
+		$this->assertSame( 'success', $retry['status'] );
+		$this->assertSame( '1', (string) $retry['is_auto_retry'] );
+	}
+
+	/**
+	 * Test a delivery moves to dead letter after the last scheduled attempt fails
+	 */
+	public function testExhaustedScheduleMovesToDeadLetter(): void {
+		$config = array(
+			'auto_retry'          => true,
+			'auto_retry_schedule' => array( 5, 30 ),
+		);
+		$this->configure_form( $config );
+		$this->send( $config );
+
+		$dead_letters = array();
+		\add_action(
+			'cf7_api_delivery_dead_letter',
+			function ( $log_id ) use ( &$dead_letters ) {
+				$dead_letters[] = $log_id;
+			}
+		);
+
+		$log_id = (int) $this->get_original()['id'];
+
+		// First scheduled attempt fails and plans the second one.
+		$this->make_due( $log_id );
+		RetryScheduler::instance()->process_due_retries();
+		$this->assertNotEmpty( $this->get_original()['next_retry_at'] );
+		$this->assertSame( 'server_error', $this->get_original()['status'] );
+
+		// Second (last) attempt fails.
+		$this->make_due( $log_id );
+		RetryScheduler::instance()->process_due_retries();
+
+		$row = $this->get_original();
+		$this->assertSame( 'dead_letter', $row['status'] );
+		$this->assertEmpty( $row['next_retry_at'] );
+		$this->assertSame( array( $log_id ), $dead_letters );
+		$this->assertCount( 3, $this->requests );
+	}
+}
@@ -0,0 +1,383 @@
+<?php
+/**
+ * Tests for FormConfigManager
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Service\ContactForm
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Service\ContactForm;
+
+use SilverAssist\ContactFormToAPI\Controller\ContactForm\SubmissionController;
+use SilverAssist\ContactFormToAPI\Service\Api\AuthManager;
+use SilverAssist\ContactFormToAPI\Service\ContactForm\FormConfigManager;
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+
+/**
+ * FormConfigManager test case.
+ *
+ * @group unit
+ * @group service
+ * @group contact-form
+ * @covers \SilverAssist\ContactFormToAPI\Service\ContactForm\FormConfigManager
+ */
+class FormConfigManagerTest extends TestCase {
+
+	/**
+	 * Source form ID
+	 *
+	 * @var int
+	 */
+	private int $source_id = 0;
+
+	/**
+	 * Target form ID
+	 *
+	 * @var int
+	 */
+	private int $target_id = 0;
+
+	/**
+	 * Secret storage helper
+	 *
+	 * @var AuthManager
+	 */
+	private AuthManager $secrets;
+
+	/**
+	 * Set up test environment
+	 */
+	public function set_up(): void {
+		parent::set_up();
+
+		if ( ! \class_exists( 'WPCF7_ContactForm' ) ) {
+			$this->markTestSkipped( 'Contact Form 7 is not available.' );
+		}
+
+		\add_filter( 'wpcf7_pre_construct_contact_form_properties', array( SubmissionController::instance(), 'add_form_properties' ) );
+
+		$this->secrets   = new AuthManager();
+		$this->source_id = $this->create_form( 'Source Form', '[email* your-email] [text your-name]' );
+		$this->target_id = $this->create_form( 'Target Form', '[email* your-email]' );
+
+		$meta = array(
+			'_wpcf7_api_data'     => array(
+				'send_to_api' => 'on',
+				'base_url'    => 'https://api.example.com/leads',
+				'method'      => 'POST',
+				'input_type'  => 'json',
+			),
+			'_wpcf7_api_data_map' => array(
+				'your-email' => 'email',
+				'your-name'  => 'name',
+			),
+			'_json_template'      => '{"email": "[your-email]"}',
+			'_retry_config'       => array( 'max_retries' => 2 ),
+			'_custom_headers'     => array(
+				array(
+					'name'  => 'X-Source',
+					'value' => 'website',
+				),
+				array(
+					'name'  => 'X-Api-Key',
+					'value' => 'header-secret',
+				),
+			),
+			'_auth_config'        => array(
+				'type'  => 'bearer',
+				'token' => $this->secrets->encrypt_secret( 'source-token' ),
+			),
+		);
+
+		foreach ( $meta as $key => $value ) {
+			\update_post_meta( $this->source_id, $key, $value );
+		}
+
+		\update_post_meta(
+			$this->target_id,
+			'_auth_config',
+			array(
+				'type'  => 'bearer',
+				'token' => $this->secrets->encrypt_secret( 'target-token' ),
+			)
+		);
+	}
+
+	/**
+	 * Tear down test environment
+	 */
+	public function tear_down(): void {
+		\remove_all_filters( 'wpcf7_pre_construct_contact_form_properties' );
+
+		\wp_delete_post( $this->source_id, true );
+		\wp_delete_post( $this->target_id, true );
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Create a contact form
+	 *
+	 * @param string $title Form title.
+	 * @param string $form  Form template.
+	 * @return int Form ID.
+	 */
+	private function create_form( string $title, string $form ): int {
+		$form_id = $this->factory->post->create(
+			array(
+				'post_type'   => 'wpcf7_contact_form',
+				'post_title'  => $title,
+				'post_status' => 'publish',
+			)
+		);
+		\update_post_meta( $form_id, '_form', $form );
+
+		return $form_id;
+	}
+
+	/**
+	 * Get the stored authentication settings of a form
+	 *
+	 * @param int $form_id Form ID.
+	 * @return array<string, mixed>
+	 */
+	private function get_auth( int $form_id ): array {
+		return (array) \get_post_meta( $form_id, '_auth_config', true );
+	}
+
+	/**
+	 * Test secrets are exported in plaintext only on request
+	 */
+	public function testExportBlanksSecretsUnlessIncluded(): void {
+		$manager  = new FormConfigManager();
+		$document = $manager->export( $this->source_id );
+
+		$this->assertSame( FormConfigManager::FORMAT, $document['format'] );
+		$this->assertFalse( $document['secrets_included'] );
+		$this->assertArrayNotHasKey( 'form_id', $document['config'] );
+		$this->assertSame( 'https://api.example.com/leads', $document['config']['endpoint'] );
+		$this->assertSame( '{"email": "[your-email]"}', $document['config']['json_template'] );
+		$this->assertSame( '', $document['config']['auth_config']['token'] );
+		$this->assertSame( 'website', $document['config']['custom_headers'][0]['value'] );
+		$this->assertSame( '', $document['config']['custom_headers'][1]['value'] );
+
+		$document = $manager->export( $this->source_id, true );
+
+		$this->assertTrue( $document['secrets_included'] );
+		$this->assertSame( 'source-token', $document['config']['auth_config']['token'] );
+		$this->assertSame( 'header-secret', $document['config']['custom_headers'][1]['value'] );
+
+		$this->assertNull( $manager->export( 0 ) );
+	}
+
+	/**
+	 * Test only export documents of a supported version are accepted
+	 */
+	public function testParseValidatesDocuments(): void {
+		$manager  = new FormConfigManager();
+		$document = $manager->export( $this->source_id );
+
+		$this->assertSame( $document['config'], $manager->parse( (string) \wp_json_encode( $document ) ) );
+		$this->assertSame( 'invalid_json', $manager->parse( '{' )->get_error_code() );
+		$this->assertSame( 'invalid_format', $manager->parse( '{"format": "other", "config": {}}' )->get_error_code() );
+
+		$document['version'] = FormConfigManager::VERSION + 1;
+		$this->assertSame( 'unsupported_version', $manager->parse( (string) \wp_json_encode( $document ) )->get_error_code() );
+	}
+
+	/**
+	 * Test imported secrets are re-encrypted and blank secrets keep the target's
+	 */
+	public function testImportReencryptsSecrets(): void {
+		$manager = new FormConfigManager();
+
+		$this->assertTrue( $manager->import( $this->target_id, $manager->export( $this->source_id )['config'] ) );
+		$this->assertSame( 'target-token', $this->secrets->decrypt_secret( $this->get_auth( $this->target_id )['token'] ) );
+		$this->assertSame( 'https://api.example.com/leads', \get_post_meta( $this->target_id, '_wpcf7_api_data', true )['base_url'] );
+		$this->assertSame( '{"email": "[your-email]"}', \get_post_meta( $this->target_id, '_json_template', true ) );
+		$this->assertSame( '[email* your-email]', \get_post_meta( $this->target_id, '_form', true ), 'The form itself is not changed' );
+
+		$this->assertTrue( $manager->import( $this->target_id, $manager->export( $this->source_id, true )['config'] ) );
+		$this->assertSame( 'source-token', $this->secrets->decrypt_secret( $this->get_auth( $this->target_id )['token'] ) );
+		$this->assertSame( 'header-secret', \get_post_meta( $this->target_id, '_custom_headers', true )[1]['value'] );
+
+		$this->assertFalse( $manager->import( 0, array() ) );
+	}
+
+	/**
+	 * Test the diff lists changed settings, masks secrets and warns about missing fields
+	 */
+	public function testDiffListsChanges(): void {
+		$manager = new FormConfigManager();
+		$diff    = $manager->diff( $this->target_id, $manager->export( $this->source_id, true )['config'] );
+		$changes = \array_column( $diff['changes'], null, 'key' );
+
+		$this->assertSame( '', $changes['endpoint']['before'] );
+		$this->assertSame( 'https://api.example.com/leads', $changes['endpoint']['after'] );
+		$this->assertSame( 'name', $changes['field_mappings.your-name']['after'] );
+		$this->assertSame( '********', $changes['auth_config.token']['before'] );
+		$this->assertSame( '********', $changes['auth_config.token']['after'] );
+		$this->assertSame( '********', $changes['custom_headers.1.value']['after'] );
+		$this->assertCount( 1, $diff['warnings'] );
+		$this->assertStringContainsString( 'your-name', $diff['warnings'][0] );
+
+		$unchanged = $manager->diff( $this->target_id, $manager->export( $this->source_id )['config'] );
+		$this->assertArrayNotHasKey( 'auth_config.token', \array_column( $unchanged['changes'], null, 'key' ), 'Blank secrets keep the current value' );
+
+		$manager->import( $this->target_id, $manager->export( $this->source_id, true )['config'] );
+		$this->assertSame( array(), $manager->diff( $this->target_id, $manager->export( $this->source_id, true )['config'] )['changes'] );
+	}
+
+	/**
+	 * Test imported values go through the panel's sanitizers
+	 */
+	public function testImportSanitizesMalformedValues(): void {
+		$manager = new FormConfigManager();
+		$config  = $manager->export( $this->source_id )['config'];
+		$strings = array();
+
+		$config['retry_config']         = array(
+			'max_retries'         => '2 retries',
+			'retry_on_timeout'    => false,
+			'auto_retry'          => 'yes',
+			'auto_retry_schedule' => array( '5', 'soon', -1, 60 ),
+			'unknown'             => 'dropped',
+		);
+		$config['send_conditions']      = array(
+			'match' => 'sometimes',
+			'rules' => array(
+				array(
+					'field'    => 'your-email',
+					'operator' => 'not_a_operator',
+				),
+				'not a rule',
+			),
+		);
+		$config['response_rules']       = array(
+			'success_path'  => array( '$.ok' ),
+			'success_value' => 'true',
+			'extract'       => array(
+				array(
+					'name' => 'Lead ID',
+					'path' => '$.data.id',
+				),
+				array( 'name' => 'no_path' ),
+			),
+		);
+		$config['failure_policy']       = array(
+			'policy'  => 'explode',
+			'message' => '<b>Try again</b>',
+		);
+		$config['mapping_rules']        = array(
+			'transforms' => array(
+				'your-name' => array(
+					array( 'type' => 'eval' ),
+					array(
+						'type' => 'lookup',
+						'map'  => array( 'a' => 'Alpha' ),
+					),
+				),
+			),
+			'constants'  => array( 'not a constant' ),
+		);
+		$config['additional_endpoints'] = array(
+			array( 'base_url' => 'not a url' ),
+			array(
+				'base_url'       => 'https://crm.example.com/leads',
+				'method'         => 'DELETE',
+				'input_type'     => 'yaml',
+				'custom_headers' => array( array( 'value' => 'nameless' ) ),
+				'retry_config'   => array( 'auto_retry_schedule' => '10, 20' ),
+			),
+		);
+
+		\add_action(
+			'wpml_register_single_string',
+			function ( $context, $name, $value ) use ( &$strings ) {
+				$strings[ $name ] = array( $context, $value );
+			},
+			10,
+			3
+		);
+
+		$this->assertTrue( $manager->import( $this->target_id, $config ) );
+		\remove_all_actions( 'wpml_register_single_string' );
+
+		$retry = \get_post_meta( $this->target_id, '_retry_config', true );
+		$this->assertSame( 2, $retry['max_retries'] );
+		$this->assertFalse( $retry['retry_on_timeout'], 'Stored false stays false' );
+		$this->assertTrue( $retry['auto_retry'] );
+		$this->assertSame( array( 5, 60 ), $retry['auto_retry_schedule'] );
+		$this->assertArrayNotHasKey( 'unknown', $retry );
+
+		$this->assertSame(
+			array(
+				'match' => 'all',
+				'rules' => array(),
+			),
+			\get_post_meta( $this->target_id, '_send_conditions', true )
+		);
+
+		$rules = \get_post_meta( $this->target_id, '_response_rules', true );
+		$this->assertSame( '', $rules['success_path'] );
+		$this->assertSame(
+			array(
+				array(
+					'name' => 'leadid',
+					'path' => '$.data.id',
+				),
+			),
+			$rules['extract']
+		);
+
+		$policy = \get_post_meta( $this->target_id, '_failure_policy', true );
+		$this->assertSame( 'ignore', $policy['policy'] );
+		$this->assertSame( 'Try again', $policy['message'] );
+		$this->assertSame( array( 'contact-form-to-api', 'Try again' ), $strings[ 'failure_message_' . $this->target_id ] ?? null, 'The imported message is registered with WPML' );
+
+		$mapping = \get_post_meta( $this->target_id, '_mapping_rules', true );
+		$this->assertSame(
+			array(
+				array(
+					'type' => 'lookup',
+					'map'  => array( 'a' => 'Alpha' ),
+				),
+			),
+			$mapping['transforms']['your-name']
+		);
+		$this->assertSame( array(), $mapping['constants'] );
+
+		$endpoints = \get_post_meta( $this->target_id, '_api_endpoints', true );
+		$this->assertCount( 1, $endpoints );
+		$this->assertSame( 'GET', $endpoints[0]['method'] );
+		$this->assertSame( 'params', $endpoints[0]['input_type'] );
+		$this->assertSame( array(), $endpoints[0]['custom_headers'] );
+		$this->assertSame( array( 10, 20 ), $endpoints[0]['retry_config']['auto_retry_schedule'] );
+		$this->assertSame( array(), $endpoints[0]['conditions']['rules'] );
+	}
+
+	/**
+	 * Test multipart imports are sent as POST, since GET would drop every field
+	 */
+	public function testPrepareForcesPostForMultipart(): void {
+		$manager = new FormConfigManager();
+		$config  = $manager->export( $this->source_id )['config'];
+
+		$config['input_type']           = 'multipart';
+		$config['method']               = 'GET';
+		$config['additional_endpoints'] = array(
+			array(
+				'label'      => 'Files',
+				'enabled'    => true,
+				'base_url'   => 'https://files.example.com/upload',
+				'input_type' => 'multipart',
+				'method'     => 'GET',
+			),
+		);
+
+		$settings = $manager->prepare( $this->target_id, $config );
+
+		$this->assertSame( 'POST', $settings->get_method() );
+		$this->assertSame( 'POST', $settings->get_additional_endpoints()[0]['method'] );
+	}
+}
@@ -0,0 +1,467 @@
+<?php
+/**
+ * Tests for SubmissionProcessor connection tests and request previews
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Service\ContactForm
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Service\ContactForm;
+
+use SilverAssist\ContactFormToAPI\Controller\ContactForm\SubmissionController;
+use SilverAssist\ContactFormToAPI\Core\Activator;
+use SilverAssist\ContactFormToAPI\Service\ContactForm\SubmissionProcessor;
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+use WP_Error;
+
+/**
+ * SubmissionProcessor test case.
+ *
+ * @group unit
+ * @group service
+ * @group contact-form
+ * @covers \SilverAssist\ContactFormToAPI\Service\ContactForm\SubmissionProcessor
+ */
+class SubmissionProcessorTest extends TestCase {
+
+	/**
+	 * Processor instance
+	 *
+	 * @var SubmissionProcessor
+	 */
+	private SubmissionProcessor $processor;
+
+	/**
+	 * Original global settings before test
+	 *
+	 * @var array<string, mixed>|false
+	 */
+	private $original_settings = false;
+
+	/**
+	 * Test form ID
+	 *
+	 * @var int
+	 */
+	private int $test_form_id = 0;
+
+	/**
+	 * Captured outgoing HTTP requests
+	 *
+	 * @var array<int, array<string, mixed>>
+	 */
+	private array $requests = array();
+
+	/**
+	 * Set up before class - create tables once before any tests.
+	 */
+	public static function set_up_before_class(): void {
+		parent::set_up_before_class();
+		Activator::create_tables();
+	}
+
+	/**
+	 * Set up test environment
+	 */
+	public function set_up(): void {
+		parent::set_up();
+		$this->processor = SubmissionProcessor::instance();
+		$this->requests  = array();
+
+		$this->original_settings = \get_option( 'cf7_api_global_settings', false );
+
+		$global_settings                    = \get_option( 'cf7_api_global_settings', array() );
+		$global_settings['logging_enabled'] = true;
+		\update_option( 'cf7_api_global_settings', $global_settings );
+
+		$this->test_form_id = $this->factory->post->create(
+			array(
+				'post_type'   => 'wpcf7_contact_form',
+				'post_title'  => 'Test Form Connection',
+				'post_status' => 'publish',
+			)
+		);
+	}
+
+	/**
+	 * Tear down test environment
+	 */
+	public function tear_down(): void {
+		\remove_all_filters( 'pre_http_request' );
+
+		if ( false === $this->original_settings ) {
+			\delete_option( 'cf7_api_global_settings' );
+		} else {
+			\update_option( 'cf7_api_global_settings', $this->original_settings );
+		}
+
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->query(
+			$wpdb->prepare( 'DELETE FROM %i WHERE form_id = %d', $wpdb->prefix . 'cf7_api_logs', $this->test_form_id )
+		);
+
+		\wp_delete_post( $this->test_form_id, true );
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Mock the HTTP layer and capture outgoing requests
+	 *
+	 * @param array<string, mixed>|WP_Error $response Response to return.
+	 * @return void
+	 */
+	private function mock_http_response( $response ): void {
+		\add_filter(
+			'pre_http_request',
+			function ( $preempt, $args, $url ) use ( $response ) {
+				$this->requests[] = array(
+					'url'  => $url,
+					'args' => $args,
+				);
+				return $response;
+			},
+			10,
+			3
+		);
+	}
+
+	/**
+	 * Count log rows for the test form
+	 *
+	 * @return int
+	 */
+	private function count_logs(): int {
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return (int) $wpdb->get_var(
+			$wpdb->prepare( 'SELECT COUNT(*) FROM %i WHERE form_id = %d', $wpdb->prefix . 'cf7_api_logs', $this->test_form_id )
+		);
+	}
+
+	/**
+	 * Test build_api_record accepts raw posted data
+	 */
+	public function testBuildApiRecordAcceptsArray(): void {
+		$record = $this->processor->build_api_record(
+			array( 'your-name' => 'Jane' ),
+			array( 'your-name' => 'name' ),
+			'params'
+		);
+
+		$this->assertSame( 'Jane', $record['fields']['name'] );
+	}
+
+	/**
+	 * Test JSON templates escape values and support typed placeholders
+	 */
+	public function testBuildApiRecordRendersTypedJsonTemplate(): void {
+		$record = $this->processor->build_api_record(
+			array(
+				'your-message' => "Say \"hi\"\nthere",
+				'age'          => '42',
+				'interests'    => array( 'news', 'offers' ),
+			),
+			array(
+				'your-message' => '',
+				'age'          => '',
+				'interests'    => '',
+			),
+			'json',
+			'{"message":"[your-message]","age":[age:int],"interests":[interests:array]}'
+		);
+
+		$this->assertSame(
+			array(
+				'message'   => "Say \"hi\"\nthere",
+				'age'       => 42,
+				'interests' => array( 'news', 'offers' ),
+			),
+			\json_decode( $record['fields'], true )
+		);
+	}
+
+	/**
+	 * Test transforms and static fields, and nested JSON built from the mapping
+	 */
+	public function testBuildApiRecordAppliesMappingRules(): void {
+		$mapping_rules = array(
+			'transforms' => array(
+				'your-email' => array(
+					array( 'type' => 'trim' ),
+					array( 'type' => 'lowercase' ),
+				),
+			),
+			'constants'  => array(
+				array(
+					'key'   => 'meta.source',
+					'value' => 'website',
+				),
+			),
+		);
+		$submitted     = array(
+			'your-email' => ' Jane@Example.com ',
+			'your-name'  => 'Jane',
+		);
+		$data_map      = array(
+			'your-email' => 'contact.email',
+			'your-name'  => 'contact.name',
+		);
+
+		$params = $this->processor->build_api_record( $submitted, $data_map, 'params', '', $mapping_rules );
+		$this->assertSame( 'jane@example.com', $params['fields']['contact.email'] );
+		$this->assertSame( 'website', $params['fields']['meta.source'] );
+
+		$json = $this->processor->build_api_record( $submitted, $data_map, 'json', '', $mapping_rules );
+		$this->assertSame(
+			array(
+				'contact' => array(
+					'email' => 'jane@example.com',
+					'name'  => 'Jane',
+				),
+				'meta'    => array( 'source' => 'website' ),
+			),
+			$json['fields']
+		);
+
+		$templated = $this->processor->build_api_record( $submitted, $data_map, 'json', '{"email":"[your-email]"}', $mapping_rules );
+		$this->assertSame( '{"email":"jane@example.com"}', $templated['fields'] );
+	}
+
+	/**
+	 * Test sample values are sent and the response is returned
+	 */
+	public function testSendTestRequestReturnsResponseDetails(): void {
+		$this->mock_http_response(
+			array(
+				'response' => array(
+					'code'    => 201,
+					'message' => 'Created',
+				),
+				'headers'  => array( 'content-type' => 'application/json' ),
+				'body'     => '{"id":42}',
+			)
+		);
+
+		$result = $this->processor->send_test_request(
+			$this->test_form_id,
+			array(
+				'base_url'   => 'https://api.example.com/leads',
+				'method'     => 'POST',
+				'input_type' => 'json',
+			),
+			array( 'your-email' => 'email' ),
+			'{"email":"[your-email]"}',
+			array(
+				array(
+					'name'  => 'X-API-Key',
+					'value' => 'secret',
+				),
+			),
+			array( 'your-email' => 'sample@example.com' )
+		);
+
+		$this->assertCount( 1, $this->requests );
+		$this->assertSame( 'https://api.example.com/leads', $this->requests[0]['url'] );
+		$this->assertSame( 'secret', $this->requests[0]['args']['headers']['X-API-Key'] );
+		$this->assertStringContainsString( 'sample@example.com', $this->requests[0]['args']['body'] );
+
+		$this->assertTrue( $result['success'] );
+		$this->assertSame( 201, $result['status_code'] );
+		$this->assertSame( '{"id":42}', $result['body'] );
+		$this->assertSame( 'application/json', $result['headers']['content-type'] );
+		$this->assertArrayHasKey( 'duration_ms', $result );
+		$this->assertFalse( $result['logged'] );
+		$this->assertSame( 0, $this->count_logs() );
+	}
+
+	/**
+	 * Test failed requests are not retried
+	 */
+	public function testSendTestRequestDoesNotRetry(): void {
+		$this->mock_http_response( new WP_Error( 'http_request_failed', 'cURL error 28: Operation timed out' ) );
+
+		$result = $this->processor->send_test_request(
+			$this->test_form_id,
+			array(
+				'base_url'   => 'https://api.example.com/leads',
+				'method'     => 'GET',
+				'input_type' => 'params',
+			),
+			array(),
+			'',
+			array(),
+			array()
+		);
+
+		$this->assertCount( 1, $this->requests );
+		$this->assertFalse( $result['success'] );
+		$this->assertNull( $result['status_code'] );
+		$this->assertStringContainsString( 'timed out', $result['error'] );
+	}
+
+	/**
+	 * Test opting in records the request flagged as a test
+	 */
+	public function testSendTestRequestLogsWhenRequested(): void {
+		$this->mock_http_response(
+			array(
+				'response' => array(
+					'code'    => 200,
+					'message' => 'OK',
+				),
+				'headers'  => array(),
+				'body'     => 'ok',
+			)
+		);
+
+		$result = $this->processor->send_test_request(
+			$this->test_form_id,
+			array(
+				'base_url'   => 'https://api.example.com/leads',
+				'method'     => 'GET',
+				'input_type' => 'params',
+			),
+			array( 'your-name' => 'name' ),
+			'',
+			array(),
+			array( 'your-name' => 'Jane' ),
+			true
+		);
+
+		$this->assertTrue( $result['logged'] );
+		$this->assertStringContainsString( 'name=Jane', $this->requests[0]['url'] );
+
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$is_test = $wpdb->get_var(
+			$wpdb->prepare( 'SELECT is_test FROM %i WHERE form_id = %d', $wpdb->prefix . 'cf7_api_logs', $this->test_form_id )
+		);
+
+		$this->assertSame( '1', (string) $is_test );
+	}
+
+	/**
+	 * Test preview renders the final GET URL without sending anything
+	 */
+	public function testBuildPreviewAppendsQueryForGetParams(): void {
+		$this->mock_http_response( new WP_Error( 'unexpected', 'Preview must not send requests' ) );
+
+		$preview = $this->processor->build_preview(
+			array(
+				'base_url'   => 'https://api.example.com/leads?source=web',
+				'method'     => 'GET',
+				'input_type' => 'params',
+			),
+			array( 'your-name' => 'name' ),
+			'',
+			array(),
+			array( 'your-name' => 'Jane Doe' )
+		);
+
+		$this->assertCount( 0, $this->requests );
+		$this->assertSame( 'https://api.example.com/leads?source=web&name=Jane+Doe', $preview['url'] );
+		$this->assertSame( 'GET', $preview['method'] );
+		$this->assertSame( array(), $preview['unreplaced'] );
+	}
+
+	/**
+	 * Test preview flags unreplaced tags and redacts sensitive headers
+	 */
+	public function testBuildPreviewFlagsUnreplacedTagsAndRedactsHeaders(): void {
+		$preview = $this->processor->build_preview(
+			array(
+				'base_url'   => 'https://api.example.com/leads',
+				'method'     => 'POST',
+				'input_type' => 'json',
+			),
+			array( 'your-email' => '' ),
+			'{"email":"[your-email]","phone":"[your-phone]"}',
+			array(
+				array(
+					'name'  => 'Authorization',
+					'value' => 'Bearer secret-token',
+				),
+				array(
+					'name'  => 'X-Source',
+					'value' => 'website',
+				),
+			),
+			array( 'your-email' => 'sample@example.com' )
+		);
+
+		$this->assertNull( $preview['error'] );
+		$this->assertStringContainsString( 'sample@example.com', $preview['body'] );
+		$this->assertSame( array( 'your-phone' ), $preview['unreplaced'] );
+		$this->assertSame( '***REDACTED***', $preview['headers']['Authorization'] );
+		$this->assertSame( 'website', $preview['headers']['X-Source'] );
+		$this->assertSame( 'application/json', $preview['headers']['Content-Type'] );
+	}
+
+	/**
+	 * Test preview reports invalid templates but keeps the raw body
+	 */
+	public function testBuildPreviewReportsInvalidTemplate(): void {
+		$preview = $this->processor->build_preview(
+			array(
+				'base_url'   => 'https://api.example.com/leads',
+				'method'     => 'POST',
+				'input_type' => 'json',
+			),
+			array(),
+			'{"age": [age]}',
+			array(),
+			array()
+		);
+
+		$this->assertNotNull( $preview['error'] );
+		$this->assertSame( '{"age": [age]}', $preview['body'] );
+		$this->assertSame( array( 'age' ), $preview['unreplaced'] );
+	}
+
+	/**
+	 * Test the form's signing and auth settings only apply to the primary endpoint
+	 */
+	public function testAdditionalDestinationsDoNotGetPrimarySecrets(): void {
+		if ( ! \class_exists( 'WPCF7_ContactForm' ) ) {
+			$this->markTestSkipped( 'Contact Form 7 is not available.' );
+		}
+
+		\add_filter( 'wpcf7_pre_construct_contact_form_properties', array( SubmissionController::instance(), 'add_form_properties' ) );
+
+		$signing = array(
+			'enabled' => true,
+			'secret'  => 'primary-vendor-secret',
+		);
+		$auth    = array(
+			'type'  => 'bearer',
+			'token' => 'primary-token',
+		);
+
+		\update_post_meta( $this->test_form_id, '_form', '[email* your-email]' );
+		\update_post_meta( $this->test_form_id, '_signing_config', $signing );
+		\update_post_meta( $this->test_form_id, '_auth_config', $auth );
+		\update_post_meta(
+			$this->test_form_id,
+			'_api_endpoints',
+			array(
+				array(
+					'label'    => 'Marketing',
+					'enabled'  => true,
+					'base_url' => 'https://marketing.example.com/leads',
+				),
+			)
+		);
+
+		$primary = $this->processor->get_destination_settings( $this->test_form_id, null );
+		$other   = $this->processor->get_destination_settings( $this->test_form_id, 'Marketing' );
+
+		\remove_all_filters( 'wpcf7_pre_construct_contact_form_properties' );
+
+		$this->assertSame( $signing, $primary['signing'] );
+		$this->assertSame( $auth, $primary['auth'] );
+		$this->assertSame( array(), $other['signing'] );
+		$this->assertSame( array(), $other['auth'] );
+	}
+}
@@ -364,4 +364,98 @@ class ExportServiceTest extends TestCase {
 		$lines = \explode( "\n", \trim( $csv ) );
 		$this->assertGreaterThanOrEqual( 3, \count( $lines ), 'CSV should have header and 2 data rows' );
 	}
+
+	/**
+	 * Test JSON export matches pretty printing the whole list
+	 *
+	 * @return void
+	 */
+	public function testExportJsonMatchesPrettyPrintedList(): void {
+		$sample_logs = array(
+			array(
+				'id'       => 1,
+				'endpoint' => 'https://api.example.com/submit',
+				'response' => array( 'message' => 'Grüße' ),
+			),
+			array(
+				'id'       => 2,
+				'endpoint' => 'https://api.example.com/failed',
+			),
+		);
+
+		$this->assertSame(
+			\wp_json_encode( $sample_logs, JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE ),
+			$this->export_service->export_json( $sample_logs )
+		);
+	}
+
+	/**
+	 * Test NDJSON export writes one sanitized entry per line
+	 *
+	 * @return void
+	 */
+	public function testExportNdjsonWritesOneEntryPerLine(): void {
+		$sample_logs = array(
+			array(
+				'id'              => 1,
+				'request_headers' => \wp_json_encode( array( 'Authorization' => 'Bearer secret-token-123' ) ),
+			),
+			array(
+				'id'            => 2,
+				'error_message' => "Line one\nline two",
+			),
+		);
+
+		$ndjson = $this->export_service->export_ndjson( $sample_logs );
+		$lines  = \explode( "\n", \rtrim( $ndjson, "\n" ) );
+
+		$this->assertStringEndsWith( "\n", $ndjson );
+		$this->assertCount( 2, $lines );
+		$this->assertSame( 1, \json_decode( $lines[0], true )['id'] );
+		$this->assertSame( "Line one\nline two", \json_decode( $lines[1], true )['error_message'] );
+		$this->assertStringNotContainsString( 'secret-token-123', $ndjson );
+		$this->assertSame( '', $this->export_service->export_ndjson( array() ) );
+	}
+
+	/**
+	 * Test filters are sanitized like the logs screen
+	 *
+	 * @return void
+	 */
+	public function testSanitizeFilters(): void {
+		$this->assertSame(
+			array(
+				'status'      => 'error',
+				'form_id'     => 12,
+				's'           => 'code:5xx',
+				'date_filter' => '7days',
+			),
+			ExportService::sanitize_filters(
+				array(
+					'status'      => 'error',
+					'form_id'     => '12abc',
+					's'           => '<b>code:5xx</b>',
+					'date_filter' => '7days',
+					'date_start'  => '2024-01-01',
+					'page'        => 'cf7-api-logs',
+				)
+			)
+		);
+
+		$this->assertSame(
+			array(
+				'date_filter' => 'custom',
+				'date_start'  => '2024-01-01',
+			),
+			ExportService::sanitize_filters(
+				array(
+					'status'      => 'all',
+					'form_id'     => '',
+					'date_filter' => 'custom',
+					'date_start'  => '2024-01-01',
+					'date_end'    => array( 'x' ),
+				)
+			)
+		);
+	}
 }
@@ -0,0 +1,202 @@
+<?php
+/**
+ * Tests for ScheduledExportService and filtered export streaming
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Service\Export
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Service\Export;
+
+use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Core\Activator;
+use SilverAssist\ContactFormToAPI\Service\Export\ExportService;
+use SilverAssist\ContactFormToAPI\Service\Export\ScheduledExportService;
+use SilverAssist\ContactFormToAPI\Service\Logging\LogWriter;
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+
+/**
+ * ScheduledExportService test case.
+ *
+ * @group unit
+ * @group service
+ * @group export
+ * @covers \SilverAssist\ContactFormToAPI\Service\Export\ScheduledExportService
+ * @covers \SilverAssist\ContactFormToAPI\Service\Export\ExportService
+ */
+class ScheduledExportServiceTest extends TestCase {
+
+	/**
+	 * Form ID of the test logs
+	 *
+	 * @var int
+	 */
+	private const FORM_ID = 987654;
+
+	/**
+	 * Original settings before test
+	 *
+	 * @var array<string, mixed>
+	 */
+	private array $original_settings = array();
+
+	/**
+	 * Captured emails
+	 *
+	 * @var array<int, array<string, mixed>>
+	 */
+	private array $mails = array();
+
+	/**
+	 * IDs of the test logs, oldest first
+	 *
+	 * @var array<int, int>
+	 */
+	private array $log_ids = array();
+
+	/**
+	 * Set up before class - create tables once before any tests.
+	 */
+	public static function set_up_before_class(): void {
+		parent::set_up_before_class();
+		Activator::create_tables();
+	}
+
+	/**
+	 * Set up test environment
+	 */
+	public function set_up(): void {
+		parent::set_up();
+		$this->mails = array();
+
+		$this->original_settings = Settings::instance()->get_all();
+		Settings::instance()->update(
+			array(
+				'logging_enabled'  => true,
+				'alert_recipients' => 'ops@example.com',
+			)
+		);
+
+		$writer = new LogWriter();
+		foreach ( array( 200, 500, 503 ) as $code ) {
+			$log_id = $writer->start_request( self::FORM_ID, 'https://api.example.com/leads', 'POST', array( 'email' => 'jane@example.com' ) );
+			$writer->complete_request(
+				$log_id,
+				array(
+					'response' => array( 'code' => $code ),
+					'headers'  => array(),
+					'body'     => '{}',
+				)
+			);
+			$this->log_ids[] = $log_id;
+		}
+
+		\add_filter(
+			'pre_wp_mail',
+			function ( $preempt, $atts ) {
+				$this->mails[] = $atts;
+				return true;
+			},
+			10,
+			2
+		);
+	}
+
+	/**
+	 * Tear down test environment
+	 */
+	public function tear_down(): void {
+		\remove_all_filters( 'pre_wp_mail' );
+
+		ScheduledExportService::instance()->update_schedule( '', 'csv', array() );
+		ScheduledExportService::instance()->delete_all_files();
+		Settings::instance()->update( $this->original_settings );
+
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->delete( $wpdb->prefix . 'cf7_api_logs', array( 'form_id' => self::FORM_ID ) );
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Stream an export to a string
+	 *
+	 * @param string               $format  Export format.
+	 * @param array<string, mixed> $filters Filters.
+	 * @return string
+	 */
+	private function stream( string $format, array $filters ): string {
+		$handle = \fopen( 'php://temp', 'r+' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+		ExportService::instance()->stream( $handle, $format, $filters );
+		\rewind( $handle );
+		$content = (string) \stream_get_contents( $handle );
+		\fclose( $handle ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+
+		return $content;
+	}
+
+	/**
+	 * Test streamed exports apply the logs screen filters, newest first
+	 */
+	public function testStreamAppliesFilters(): void {
+		$lines = \explode( "\n", \trim( $this->stream( 'ndjson', array( 'form_id' => self::FORM_ID ) ) ) );
+		$ids   = \array_map( fn( $line ) => (int) \json_decode( $line, true )['id'], $lines );
+		$this->assertSame( \array_reverse( $this->log_ids ), $ids );
+
+		$filters = array(
+			'form_id' => self::FORM_ID,
+			's'       => 'code:5xx',
+		);
+		$json    = \json_decode( $this->stream( 'json', $filters ), true );
+		$this->assertSame( array( $this->log_ids[2], $this->log_ids[1] ), \array_map( 'intval', \array_column( $json, 'id' ) ) );
+
+		$filters['s'] = 'code:404';
+		$csv          = $this->stream( 'csv', $filters );
+		$this->assertCount( 1, \explode( "\n", \trim( $csv ) ), 'Only the header row is written' );
+	}
+
+	/**
+	 * Test a scheduled run writes a protected file and emails its download link
+	 */
+	public function testRunWritesFileAndEmailsLink(): void {
+		$service = ScheduledExportService::instance();
+		$this->assertNull( $service->run(), 'Nothing is exported while scheduled exports are off' );
+
+		$service->update_schedule( 'weekly', 'ndjson', array( 'form_id' => self::FORM_ID ) );
+		$this->assertNotNull( $service->get_next_run() );
+
+		$filename = $service->run();
+		$path     = $service->get_file_path( (string) $filename );
+
+		$this->assertMatchesRegularExpression( '/^cf7-api-logs_[\w-]+\.ndjson$/', (string) $filename );
+		$this->assertNotNull( $path );
+		$this->assertCount( 3, \file( $path, FILE_IGNORE_NEW_LINES ) );
+		$this->assertFileExists( \dirname( $path ) . '/.htaccess' );
+		$this->assertFileExists( \dirname( $path ) . '/index.php' );
+
+		$this->assertCount( 1, $this->mails );
+		$this->assertSame( 'ops@example.com', $this->mails[0]['to'] );
+		$this->assertStringContainsString( \esc_url( $service->get_download_url( (string) $filename ) ), $this->mails[0]['message'] );
+		$this->assertStringNotContainsString( 'jane@example.com', $this->mails[0]['message'] );
+	}
+
+	/**
+	 * Test only export file names resolve to paths and expired files are deleted
+	 */
+	public function testFilePathsAndRetention(): void {
+		$service = ScheduledExportService::instance();
+		$service->update_schedule( 'daily', 'csv', array( 'form_id' => self::FORM_ID ) );
+		$filename = (string) $service->run();
+
+		$this->assertNull( $service->get_file_path( '../cf7-api-logs_x.csv' ) );
+		$this->assertNull( $service->get_file_path( 'index.php' ) );
+		$this->assertNull( $service->get_file_path( 'cf7-api-logs_missing.csv' ) );
+
+		$path = (string) $service->get_file_path( $filename );
+		\touch( $path, \time() - ( ScheduledExportService::RETENTION_DAYS + 1 ) * DAY_IN_SECONDS );
+
+		$this->assertSame( 1, $service->delete_expired_files() );
+		$this->assertNull( $service->get_file_path( $filename ) );
+	}
+}
@@ -0,0 +1,129 @@
+<?php
+/**
+ * Tests for EndpointHealth
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Service\Logging
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Service\Logging;
+
+use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Core\Activator;
+use SilverAssist\ContactFormToAPI\Service\Logging\EndpointHealth;
+use SilverAssist\ContactFormToAPI\Service\Logging\LogWriter;
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+
+/**
+ * EndpointHealth test case.
+ *
+ * @group unit
+ * @group service
+ * @group logging
+ * @covers \SilverAssist\ContactFormToAPI\Service\Logging\EndpointHealth
+ * @covers \SilverAssist\ContactFormToAPI\Service\Logging\LogStatistics
+ */
+class EndpointHealthTest extends TestCase {
+
+	/**
+	 * Form ID of the test logs
+	 *
+	 * @var int
+	 */
+	private const FORM_ID = 765433;
+
+	/**
+	 * Endpoint of the test logs
+	 *
+	 * @var string
+	 */
+	private const ENDPOINT = 'https://health.example.com/leads';
+
+	/**
+	 * Original settings before test
+	 *
+	 * @var array<string, mixed>
+	 */
+	private array $original_settings = array();
+
+	/**
+	 * Set up before class - create tables once before any tests.
+	 */
+	public static function set_up_before_class(): void {
+		parent::set_up_before_class();
+		Activator::create_tables();
+	}
+
+	/**
+	 * Set up test environment
+	 */
+	public function set_up(): void {
+		parent::set_up();
+
+		$this->original_settings = Settings::instance()->get_all();
+		Settings::instance()->update( array( 'logging_enabled' => true ) );
+	}
+
+	/**
+	 * Tear down test environment
+	 */
+	public function tear_down(): void {
+		Settings::instance()->update( $this->original_settings );
+
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->delete( $wpdb->prefix . 'cf7_api_logs', array( 'form_id' => self::FORM_ID ) );
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Log a completed delivery
+	 *
+	 * @param int $code HTTP status code.
+	 * @return void
+	 */
+	private function log_delivery( int $code ): void {
+		$writer = new LogWriter();
+		$log_id = $writer->start_request( self::FORM_ID, self::ENDPOINT, 'POST', array() );
+		$writer->complete_request(
+			$log_id,
+			array(
+				'response' => array( 'code' => $code ),
+				'headers'  => array(),
+				'body'     => '{}',
+			)
+		);
+	}
+
+	/**
+	 * Test the status follows the recent deliveries
+	 */
+	public function testStatusTransitions(): void {
+		$health = new EndpointHealth();
+
+		$this->assertSame( EndpointHealth::UNKNOWN, $health->get_health( self::ENDPOINT )['status'] );
+
+		for ( $i = 0; $i < 10; $i++ ) {
+			$this->log_delivery( 200 );
+		}
+		$result = $health->get_health( self::ENDPOINT );
+		$this->assertSame( EndpointHealth::HEALTHY, $result['status'] );
+		$this->assertSame( 10, $result['total'] );
+		$this->assertNotNull( $result['last_success'] );
+		$this->assertNotNull( $result['p95_latency'] );
+
+		$this->log_delivery( 500 );
+		$this->assertSame( EndpointHealth::DEGRADED, $health->get_health( self::ENDPOINT )['status'], 'The last delivery failed' );
+
+		$this->log_delivery( 200 );
+		$this->assertSame( EndpointHealth::HEALTHY, $health->get_health( self::ENDPOINT )['status'], '1 of 12 deliveries failed' );
+
+		$this->log_delivery( 502 );
+		$this->log_delivery( 503 );
+		$this->log_delivery( 500 );
+		$result = $health->get_health( self::ENDPOINT );
+		$this->assertSame( EndpointHealth::DOWN, $result['status'] );
+		$this->assertSame( 26.67, $result['error_rate'] );
+	}
+}
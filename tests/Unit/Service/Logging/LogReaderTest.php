@@ -263,6 +263,57 @@ class LogReaderTest extends TestCase {
 		$this->assertArrayHasKey( 'body', $request );
 	}
 
+	/**
+	 * Test deliveries of one submission are grouped and keep their link on retry
+	 */
+	public function testGetLogsBySubmissionGroupsDeliveries(): void {
+		$form_id       = \wp_rand( 100000, 999999 );
+		$submission_id = \wp_generate_uuid4();
+
+		$primary_id = $this->log_writer->start_request(
+			form_id: $form_id,
+			endpoint: 'https://api.example.com/primary',
+			method: 'POST',
+			request_data: array( 'name' => 'Test' ),
+			attributes: array(
+				'submission_id' => $submission_id,
+				'destination'   => 'Primary',
+			)
+		);
+		$crm_id     = $this->log_writer->start_request(
+			form_id: $form_id,
+			endpoint: 'https://crm.example.com/leads',
+			method: 'POST',
+			request_data: array( 'name' => 'Test' ),
+			attributes: array(
+				'submission_id' => $submission_id,
+				'destination'   => 'CRM',
+			)
+		);
+		$this->log_writer->start_request(
+			form_id: $form_id,
+			endpoint: 'https://api.example.com/primary',
+			method: 'POST',
+			request_data: array( 'name' => 'Other' ),
+			attributes: array( 'submission_id' => \wp_generate_uuid4() )
+		);
+
+		$this->log_writer->complete_request( $crm_id, new \WP_Error( 'http_error', 'Connection failed' ) );
+
+		$deliveries = $this->log_reader->get_logs_by_submission( $submission_id );
+
+		$this->assertCount( 2, $deliveries );
+		$this->assertSame( (string) $primary_id, $deliveries[0]['id'] );
+		$this->assertSame( 'Primary', $deliveries[0]['destination'] );
+		$this->assertSame( 'CRM', $deliveries[1]['destination'] );
+		$this->assertSame( array(), $this->log_reader->get_logs_by_submission( '' ) );
+
+		$request = $this->log_reader->get_request_for_retry( $crm_id );
+
+		$this->assertSame( $submission_id, $request['submission_id'] );
+		$this->assertSame( 'CRM', $request['destination'] );
+	}
+
 	/**
 	 * Test get_request_for_retry with different error statuses
 	 *
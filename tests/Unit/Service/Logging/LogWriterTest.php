@@ -158,6 +158,33 @@ class LogWriterTest extends TestCase {
 		$this->assertSame( (string) $original_log_id, $log['retry_of'] );
 	}
 
+	/**
+	 * Test log_skipped records the blocking rule without request data
+	 */
+	public function testLogSkippedStoresReason(): void {
+		$log_id = $this->log_writer->log_skipped(
+			123,
+			'https://api.example.com/webhook',
+			'POST',
+			'country equals "US"',
+			array( 'destination' => 'CRM' )
+		);
+
+		$this->assertIsInt( $log_id );
+
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$log = $wpdb->get_row(
+			$wpdb->prepare( 'SELECT * FROM %i WHERE id = %d', $wpdb->prefix . 'cf7_api_logs', $log_id ),
+			ARRAY_A
+		);
+
+		$this->assertSame( 'skipped', $log['status'] );
+		$this->assertSame( 'country equals "US"', $log['error_message'] );
+		$this->assertSame( 'CRM', $log['destination'] );
+		$this->assertSame( '', $log['request_data'] );
+	}
+
 	/**
 	 * Test complete_request with successful response
 	 */
@@ -135,6 +135,41 @@ class RetryManagerTest extends TestCase {
 		$this->assertSame( 2, $count );
 	}
 
+	/**
+	 * Test count_retries can separate manual and scheduled retries
+	 */
+	public function testCountRetriesSeparatesScheduledRetries(): void {
+		$original_id = $this->log_writer->start_request(
+			form_id: 456,
+			endpoint: 'https://api.example.com/error',
+			method: 'POST',
+			request_data: array( 'test' => 'data' )
+		);
+
+		$this->log_writer->start_request(
+			form_id: 456,
+			endpoint: 'https://api.example.com/error',
+			method: 'POST',
+			request_data: array( 'test' => 'data' ),
+			retry_of: $original_id
+		);
+
+		for ( $i = 0; $i < 2; $i++ ) {
+			$this->log_writer->start_request(
+				form_id: 456,
+				endpoint: 'https://api.example.com/error',
+				method: 'POST',
+				request_data: array( 'test' => 'data' ),
+				retry_of: $original_id,
+				attributes: array( 'is_auto_retry' => true )
+			);
+		}
+
+		$this->assertSame( 3, $this->retry_manager->count_retries( $original_id ) );
+		$this->assertSame( 1, $this->retry_manager->count_retries( $original_id, false ) );
+		$this->assertSame( 2, $this->retry_manager->count_retries( $original_id, true ) );
+	}
+
 	/**
 	 * Test get_retries_for_log returns empty array for non-existent log
 	 */
@@ -256,6 +291,46 @@ class RetryManagerTest extends TestCase {
 		$this->assertTrue( $result );
 	}
 
+	/**
+	 * Test can_retry only allows failed entries without files or a successful retry
+	 */
+	public function testCanRetry(): void {
+		$original_id = $this->log_writer->start_request(
+			form_id: 222,
+			endpoint: 'https://api.example.com/test',
+			method: 'POST',
+			request_data: array()
+		);
+
+		$log = array(
+			'id'     => $original_id,
+			'status' => 'server_error',
+		);
+
+		$this->assertTrue( $this->retry_manager->can_retry( $log ) );
+		$this->assertFalse( $this->retry_manager->can_retry( array( 'status' => 'success' ) + $log ) );
+		$this->assertFalse( $this->retry_manager->can_retry( array( 'file_metadata' => '[{"filename":"cv.pdf"}]' ) + $log ) );
+
+		$retry_id = $this->log_writer->start_request(
+			form_id: 222,
+			endpoint: 'https://api.example.com/test',
+			method: 'POST',
+			request_data: array(),
+			request_headers: array(),
+			retry_of: $original_id
+		);
+		$this->log_writer->complete_request(
+			$retry_id,
+			array(
+				'response' => array( 'code' => 200 ),
+				'body'     => '',
+				'headers'  => array(),
+			)
+		);
+
+		$this->assertFalse( $this->retry_manager->can_retry( $log ) );
+	}
+
 	/**
 	 * Test get_successful_retry_id returns null for non-existent
 	 */
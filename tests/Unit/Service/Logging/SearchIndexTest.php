@@ -0,0 +1,128 @@
+<?php
+/**
+ * Tests for SearchIndex Service
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Service\Logging
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Service\Logging;
+
+use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Core\Activator;
+use SilverAssist\ContactFormToAPI\Service\Logging\LogWriter;
+use SilverAssist\ContactFormToAPI\Service\Logging\SearchIndex;
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+
+/**
+ * SearchIndex test case.
+ *
+ * @group unit
+ * @group service
+ * @group logging
+ * @covers \SilverAssist\ContactFormToAPI\Service\Logging\SearchIndex
+ */
+class SearchIndexTest extends TestCase {
+
+	/**
+	 * Original settings before test
+	 *
+	 * @var array<string, mixed>
+	 */
+	private array $original_settings = array();
+
+	/**
+	 * Set up before class - create tables once before any tests.
+	 */
+	public static function set_up_before_class(): void {
+		parent::set_up_before_class();
+		Activator::create_tables();
+	}
+
+	/**
+	 * Set up test environment
+	 */
+	public function set_up(): void {
+		parent::set_up();
+
+		$this->original_settings = Settings::instance()->get_all();
+		Settings::instance()->update(
+			array(
+				'logging_enabled'     => true,
+				'search_index_fields' => array( 'email', 'phone', 'password' ),
+			)
+		);
+	}
+
+	/**
+	 * Tear down test environment
+	 */
+	public function tear_down(): void {
+		Settings::instance()->update( $this->original_settings );
+		parent::tear_down();
+	}
+
+	/**
+	 * Find log IDs matching a search box query
+	 *
+	 * @param string $query Search box value.
+	 * @return array<int, int>
+	 */
+	private function search( string $query ): array {
+		global $wpdb;
+
+		$search = SearchIndex::instance()->get_query_conditions( $query );
+		$where  = \implode( ' AND ', \array_merge( array( '1=1' ), $search['conditions'] ) );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.NotPrepared, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		return \array_map( 'intval', $wpdb->get_col( $wpdb->prepare( "SELECT id FROM %i WHERE {$where}", $wpdb->prefix . 'cf7_api_logs', ...$search['values'] ) ) );
+	}
+
+	/**
+	 * Test logged values are found by exact value through blind hashes only
+	 */
+	public function testIndexedFieldsAreSearchable(): void {
+		if ( ! SearchIndex::instance()->should_load() ) {
+			$this->markTestSkipped( 'Sodium is not available.' );
+		}
+
+		$log_id = ( new LogWriter() )->start_request(
+			form_id: 321,
+			endpoint: 'https://api.example.com/leads',
+			method: 'POST',
+			request_data: array(
+				'your-email' => 'Jane@Example.com',
+				'contact'    => array( 'phone' => '+1 (555) 010-9999' ),
+				'password'   => 'hunter2',
+			)
+		);
+
+		$this->assertSame( array( 'email', 'phone' ), SearchIndex::instance()->get_fields() );
+		$this->assertContains( $log_id, $this->search( 'email:jane@example.com' ) );
+		$this->assertContains( $log_id, $this->search( 'phone:15550109999 endpoint:leads' ) );
+		$this->assertNotContains( $log_id, $this->search( 'email:jane@example' ) );
+		$this->assertNotContains( $log_id, $this->search( 'phone:jane@example.com' ) );
+
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$rows = $wpdb->get_results( $wpdb->prepare( 'SELECT field, hash FROM %i WHERE log_id = %d', SearchIndex::instance()->get_table_name(), $log_id ), ARRAY_A );
+		$this->assertCount( 2, $rows );
+		$this->assertStringNotContainsString( 'jane', \wp_json_encode( $rows ) );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->delete( $wpdb->prefix . 'cf7_api_logs', array( 'id' => $log_id ) );
+		SearchIndex::instance()->delete_orphans();
+		$this->assertSame( array(), $this->search( 'email:jane@example.com' ) );
+	}
+
+	/**
+	 * Test response code and execution time filters
+	 */
+	public function testCodeAndTimeFilters(): void {
+		$search = SearchIndex::instance()->get_query_conditions( 'code:5xx time:>2000 timeout' );
+
+		$this->assertSame( array( 'response_code >= %d', 'response_code <= %d', 'execution_time > %f' ), $search['conditions'] );
+		$this->assertSame( array( 500, 599, 2.0 ), $search['values'] );
+		$this->assertSame( 'timeout', $search['text'] );
+	}
+}
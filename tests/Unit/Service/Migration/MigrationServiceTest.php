@@ -13,7 +13,10 @@
 
 namespace SilverAssist\ContactFormToAPI\Tests\Unit\Service\Migration;
 
+use SilverAssist\ContactFormToAPI\Config\Settings;
 use SilverAssist\ContactFormToAPI\Core\Activator;
+use SilverAssist\ContactFormToAPI\Exception\DecryptionException;
+use SilverAssist\ContactFormToAPI\Service\Api\AuthManager;
 use SilverAssist\ContactFormToAPI\Service\Migration\MigrationService;
 use SilverAssist\ContactFormToAPI\Service\Security\EncryptionService;
 use WP_UnitTestCase;
@@ -87,6 +90,21 @@ class MigrationServiceTest extends WP_UnitTestCase {
 		// Clean up transients.
 		\delete_transient( 'cf7_api_migration_progress' );
 
+		// Clean up the background migration.
+		\delete_option( 'cf7_api_migration_state' );
+		\delete_option( 'cf7_api_migration_lock' );
+		\wp_clear_scheduled_hook( MigrationService::HOOK );
+
+		// Clean up key rotation and reset the cached keys.
+		\delete_option( 'cf7_api_key_rotation' );
+		\delete_option( 'cf7_api_encryption_version' );
+		\delete_option( 'cf7_api_encryption_previous_keys' );
+		foreach ( array( 'key', 'previous_keys' ) as $property ) {
+			$reflection = new \ReflectionProperty( EncryptionService::class, $property );
+			$reflection->setAccessible( true );
+			$reflection->setValue( $this->encryption, null );
+		}
+
 		parent::tear_down();
 	}
 
@@ -537,4 +555,381 @@ class MigrationServiceTest extends WP_UnitTestCase {
 		$this->service->cancel_migration();
 		$this->assertFalse( $this->service->is_migration_running() );
 	}
+
+	/**
+	 * Insert an encrypted test log
+	 *
+	 * @param string $request_data Encrypted request data.
+	 * @param int    $version      Encryption version.
+	 * @return int Log ID.
+	 */
+	private function insert_encrypted_log( string $request_data, int $version = 1 ): int {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->insert(
+			$wpdb->prefix . 'cf7_api_logs',
+			array(
+				'form_id'            => 1,
+				'endpoint'           => 'https://example.com/api',
+				'method'             => 'POST',
+				'status'             => 'success',
+				'request_data'       => $request_data,
+				'encryption_version' => $version,
+			),
+			array( '%d', '%s', '%s', '%s', '%s', '%d' )
+		);
+
+		return (int) $wpdb->insert_id;
+	}
+
+	/**
+	 * Get a test log
+	 *
+	 * @param int $log_id Log ID.
+	 * @return array<string, mixed>
+	 */
+	private function get_log( int $log_id ): array {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return (array) $wpdb->get_row( $wpdb->prepare( 'SELECT * FROM %i WHERE id = %d', $wpdb->prefix . 'cf7_api_logs', $log_id ), ARRAY_A );
+	}
+
+	/**
+	 * Test key rotation re-encrypts logs with the next key version
+	 *
+	 * @return void
+	 */
+	public function test_key_rotation_reencrypts_logs(): void {
+		$test_data = '{"email": "john@example.com"}';
+		$encrypted = $this->encryption->encrypt( $test_data );
+		$log_id    = $this->insert_encrypted_log( $encrypted );
+
+		$status = $this->service->start_key_rotation();
+
+		$this->assertSame( 'running', $status['status'] );
+		$this->assertSame( 2, $status['target_version'] );
+		$this->assertSame( 1, $status['remaining'] );
+		$this->assertSame( 2, $this->encryption->get_version() );
+		$this->assertSame( $test_data, $this->encryption->decrypt( $encrypted ), 'Logs stay readable during the rotation' );
+
+		$status = $this->service->rotate_batch( 10 );
+		$log    = $this->get_log( $log_id );
+
+		$this->assertSame( 'completed', $status['status'] );
+		$this->assertSame( 1, $status['rotated'] );
+		$this->assertSame( 0, $status['failed'] );
+		$this->assertSame( 2, (int) $log['encryption_version'] );
+		$this->assertNotSame( $encrypted, $log['request_data'] );
+		$this->assertSame( $test_data, $this->encryption->decrypt( $log['request_data'] ) );
+		$this->assertFalse( $this->encryption->has_previous_keys() );
+
+		$this->expectException( DecryptionException::class );
+		$this->encryption->decrypt( $encrypted );
+	}
+
+	/**
+	 * Test a key rotation dry run does not modify data
+	 *
+	 * @return void
+	 */
+	public function test_key_rotation_dry_run_does_not_modify_data(): void {
+		$encrypted = $this->encryption->encrypt( '{"name": "John"}' );
+		$log_id    = $this->insert_encrypted_log( $encrypted );
+
+		$this->service->start_key_rotation( true );
+		$status = $this->service->rotate_batch( 10 );
+		$log    = $this->get_log( $log_id );
+
+		$this->assertSame( 'completed', $status['status'] );
+		$this->assertTrue( $status['dry_run'] );
+		$this->assertSame( 1, $status['rotated'] );
+		$this->assertSame( 1, $this->encryption->get_version() );
+		$this->assertSame( 1, (int) $log['encryption_version'] );
+		$this->assertSame( $encrypted, $log['request_data'] );
+	}
+
+	/**
+	 * Test logs that cannot be decrypted are skipped and reported
+	 *
+	 * @return void
+	 */
+	public function test_key_rotation_reports_undecryptable_logs(): void {
+		$corrupted = \base64_encode( \random_bytes( 64 ) ); // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode
+		$bad_id    = $this->insert_encrypted_log( $corrupted );
+		$good_id   = $this->insert_encrypted_log( $this->encryption->encrypt( '{"name": "John"}' ) );
+
+		$this->service->start_key_rotation();
+		$status = $this->service->rotate_batch( 10 );
+
+		$this->assertSame( 1, $status['rotated'] );
+		$this->assertSame( 1, $status['failed'] );
+		$this->assertSame( $bad_id, $status['failures'][0]['id'] );
+		$this->assertSame( 1, (int) $this->get_log( $bad_id )['encryption_version'] );
+		$this->assertSame( $corrupted, $this->get_log( $bad_id )['request_data'] );
+		$this->assertSame( 2, (int) $this->get_log( $good_id )['encryption_version'] );
+	}
+
+	/**
+	 * Test logs encrypted with a previous AUTH_KEY are rotated when it is given
+	 *
+	 * @return void
+	 */
+	public function test_key_rotation_uses_previous_auth_key(): void {
+		$old_key   = \hash_hkdf( 'sha256', 'previous-auth-key', SODIUM_CRYPTO_SECRETBOX_KEYBYTES, 'cf7_api_encryption_v1' );
+		$nonce     = \random_bytes( SODIUM_CRYPTO_SECRETBOX_NONCEBYTES );
+		$encrypted = \base64_encode( $nonce . \sodium_crypto_secretbox( '{"name": "John"}', $nonce, $old_key ) ); // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode
+		$log_id    = $this->insert_encrypted_log( $encrypted );
+
+		$this->service->start_key_rotation( false, 'previous-auth-key' );
+		$status = $this->service->rotate_batch( 10 );
+
+		$this->assertSame( 0, $status['failed'] );
+		$this->assertSame( '{"name": "John"}', $this->encryption->decrypt( $this->get_log( $log_id )['request_data'] ) );
+	}
+
+	/**
+	 * Test a paused key rotation resumes where it stopped
+	 *
+	 * @return void
+	 */
+	public function test_key_rotation_pause_and_resume(): void {
+		$log_ids = array();
+		for ( $i = 0; $i < 3; $i++ ) {
+			$log_ids[] = $this->insert_encrypted_log( $this->encryption->encrypt( '{"index": ' . $i . '}' ) );
+		}
+
+		$this->service->start_key_rotation();
+		$this->service->rotate_batch( 2 );
+
+		$this->assertTrue( $this->service->pause_key_rotation() );
+		$status = $this->service->get_rotation_status();
+		$this->assertSame( 'paused', $status['status'] );
+		$this->assertSame( 2, $status['processed'] );
+		$this->assertSame( 1, $status['remaining'] );
+
+		$this->assertInstanceOf( \WP_Error::class, $this->service->start_key_rotation(), 'Only one rotation runs at a time' );
+		$this->assertInstanceOf( \WP_Error::class, $this->service->clear_key_rotation(), 'An unfinished rotation is not discarded' );
+
+		$status = $this->service->rotate_batch( 2 );
+
+		$this->assertSame( 'completed', $status['status'] );
+		$this->assertSame( 3, $status['rotated'] );
+		$this->assertSame( 2, (int) $this->get_log( $log_ids[2] )['encryption_version'] );
+
+		$this->assertTrue( $this->service->clear_key_rotation() );
+		$this->assertNull( $this->service->get_rotation_status() );
+	}
+
+	/**
+	 * Test form secrets are re-encrypted with the new key
+	 *
+	 * @return void
+	 */
+	public function test_key_rotation_reencrypts_form_secrets(): void {
+		$secrets = new AuthManager();
+		$form_id = $this->factory->post->create();
+		$stored  = $secrets->encrypt_secret( 'form-token' );
+		\update_post_meta(
+			$form_id,
+			'_auth_config',
+			array(
+				'type'  => 'bearer',
+				'token' => $stored,
+			)
+		);
+
+		$this->service->start_key_rotation();
+		$this->service->rotate_batch( 10 );
+
+		$token = \get_post_meta( $form_id, '_auth_config', true )['token'];
+		$this->assertNotSame( $stored, $token );
+		$this->assertSame( 'form-token', $secrets->decrypt_secret( $token ) );
+	}
+
+	/**
+	 * Insert unencrypted test logs
+	 *
+	 * @param int $count Number of logs.
+	 * @return void
+	 */
+	private function insert_unencrypted_logs( int $count ): void {
+		global $wpdb;
+
+		for ( $i = 0; $i < $count; $i++ ) {
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$wpdb->insert(
+				$wpdb->prefix . 'cf7_api_logs',
+				array(
+					'form_id'            => 1,
+					'endpoint'           => 'https://example.com/api',
+					'method'             => 'POST',
+					'status'             => 'success',
+					'request_data'       => '{"index": ' . $i . '}',
+					'encryption_version' => 0,
+				),
+				array( '%d', '%s', '%s', '%s', '%s', '%d' )
+			);
+		}
+	}
+
+	/**
+	 * Call a private method of the service
+	 *
+	 * @param string       $method Method name.
+	 * @param array<mixed> $args   Arguments.
+	 * @return mixed
+	 */
+	private function call_private( string $method, array $args ) {
+		$reflection = new \ReflectionMethod( MigrationService::class, $method );
+		$reflection->setAccessible( true );
+
+		return $reflection->invokeArgs( $this->service, $args );
+	}
+
+	/**
+	 * Test a started migration is scheduled in the background and run by batches
+	 *
+	 * @return void
+	 */
+	public function test_started_migration_runs_in_batches(): void {
+		$this->insert_unencrypted_logs( 3 );
+
+		$this->assertTrue( $this->service->start_migration() );
+		$this->assertNotFalse( \wp_next_scheduled( MigrationService::HOOK ) );
+
+		$status = $this->service->get_migration_status();
+		$this->assertSame( 'running', $status['status'] );
+		$this->assertSame( 3, $status['remaining'] );
+
+		$status = $this->service->run_batch();
+
+		$this->assertSame( 'completed', $status['status'] );
+		$this->assertSame( 3, $status['processed'] );
+		$this->assertSame( 3, $status['success'] );
+		$this->assertSame( 0, $this->service->get_unencrypted_count() );
+		$this->assertFalse( $this->service->is_migration_running() );
+		$this->assertFalse( \wp_next_scheduled( MigrationService::HOOK ) );
+	}
+
+	/**
+	 * Test the background worker completes the migration without the page
+	 *
+	 * @return void
+	 */
+	public function test_process_background_completes_migration(): void {
+		$this->insert_unencrypted_logs( 3 );
+		$this->service->start_migration();
+
+		$this->service->process_background();
+
+		$this->assertSame( 'completed', $this->service->get_migration_status()['status'] );
+		$this->assertSame( 0, $this->service->get_unencrypted_count() );
+	}
+
+	/**
+	 * Test a background dry run completes without modifying data
+	 *
+	 * @return void
+	 */
+	public function test_background_dry_run_completes(): void {
+		$this->insert_unencrypted_logs( 3 );
+		$this->service->start_migration( true );
+
+		$status = $this->service->run_batch();
+
+		$this->assertSame( 'completed', $status['status'] );
+		$this->assertSame( 3, $status['success'] );
+		$this->assertSame( 3, $this->service->get_unencrypted_count() );
+	}
+
+	/**
+	 * Test no batch runs while another request holds the lock
+	 *
+	 * @return void
+	 */
+	public function test_run_batch_skips_while_locked(): void {
+		$this->insert_unencrypted_logs( 3 );
+		$this->service->start_migration();
+		\add_option( 'cf7_api_migration_lock', (string) ( \time() + 60 ), '', false );
+
+		$status = $this->service->run_batch();
+
+		$this->assertSame( 'running', $status['status'] );
+		$this->assertSame( 0, $status['processed'] );
+		$this->assertSame( 3, $this->service->get_unencrypted_count() );
+	}
+
+	/**
+	 * Test an expired lock is taken over and released after the batch
+	 *
+	 * @return void
+	 */
+	public function test_run_batch_takes_over_expired_lock(): void {
+		$this->insert_unencrypted_logs( 3 );
+		$this->service->start_migration();
+		\add_option( 'cf7_api_migration_lock', (string) ( \time() - 1 ), '', false );
+
+		$status = $this->service->run_batch();
+
+		$this->assertSame( 3, $status['processed'] );
+		$this->assertTrue( $this->call_private( 'acquire_lock', array() ), 'The lock is released after the batch' );
+		$this->assertFalse( $this->call_private( 'acquire_lock', array() ), 'A held lock cannot be taken twice' );
+	}
+
+	/**
+	 * Test the migration stops with an error while encryption is disabled
+	 *
+	 * @return void
+	 */
+	public function test_run_batch_reports_disabled_encryption(): void {
+		$this->insert_unencrypted_logs( 1 );
+		$this->service->start_migration();
+
+		Settings::instance()->set( 'encryption_enabled', false );
+		$status = $this->service->run_batch();
+		Settings::instance()->set( 'encryption_enabled', true );
+
+		$this->assertSame( 'error', $status['status'] );
+		$this->assertNotEmpty( $status['error'] );
+		$this->assertFalse( $this->service->is_migration_running() );
+	}
+
+	/**
+	 * Test the batch size adapts to the time budget
+	 *
+	 * @return void
+	 */
+	public function test_batch_size_adapts_to_time_budget(): void {
+		$this->assertSame( 50, $this->call_private( 'adapt_batch_size', array( 100, 100, 4.0 ) ) );
+		$this->assertSame( 200, $this->call_private( 'adapt_batch_size', array( 100, 100, 0.1 ) ), 'Grows at most twofold' );
+		$this->assertSame( 500, $this->call_private( 'adapt_batch_size', array( 400, 400, 0.1 ) ) );
+		$this->assertSame( 10, $this->call_private( 'adapt_batch_size', array( 20, 20, 60.0 ) ) );
+		$this->assertSame( 100, $this->call_private( 'adapt_batch_size', array( 100, 40, 60.0 ) ), 'Partial batches keep the size' );
+	}
+
+	/**
+	 * Test failed logs are paged and cleared when a migration starts
+	 *
+	 * @return void
+	 */
+	public function test_failures_are_paged(): void {
+		for ( $i = 1; $i <= 25; $i++ ) {
+			$this->call_private( 'record_failure', array( $i, 'Failed to update log ID ' . $i ) );
+		}
+
+		$first = $this->service->get_failures();
+		$last  = $this->service->get_failures( 9 );
+
+		$this->assertSame( 25, $first['total'] );
+		$this->assertSame( 2, $first['pages'] );
+		$this->assertCount( 20, $first['items'] );
+		$this->assertSame( 1, $first['items'][0]['log_id'] );
+		$this->assertSame( 2, $last['page'] );
+		$this->assertCount( 5, $last['items'] );
+
+		$this->service->start_migration();
+		$this->assertSame( 0, $this->service->get_failures()['total'] );
+	}
 }
@@ -0,0 +1,304 @@
+<?php
+/**
+ * Tests for AlertChannelService and the alert channels
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Service\Notification
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Service\Notification;
+
+use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Core\Activator;
+use SilverAssist\ContactFormToAPI\Service\Logging\LogWriter;
+use SilverAssist\ContactFormToAPI\Service\Notification\AlertChannelService;
+use SilverAssist\ContactFormToAPI\Service\Notification\Channel\SlackChannel;
+use SilverAssist\ContactFormToAPI\Service\Notification\Channel\TeamsChannel;
+use SilverAssist\ContactFormToAPI\Service\Notification\Channel\WebhookChannel;
+use SilverAssist\ContactFormToAPI\Service\Notification\EmailAlertService;
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+
+/**
+ * AlertChannelService test case.
+ *
+ * @group unit
+ * @group service
+ * @group notification
+ * @covers \SilverAssist\ContactFormToAPI\Service\Notification\AlertChannelService
+ * @covers \SilverAssist\ContactFormToAPI\Service\Notification\Channel\SlackChannel
+ * @covers \SilverAssist\ContactFormToAPI\Service\Notification\Channel\TeamsChannel
+ * @covers \SilverAssist\ContactFormToAPI\Service\Notification\Channel\WebhookChannel
+ */
+class AlertChannelServiceTest extends TestCase {
+
+	/**
+	 * Form ID of the test logs
+	 *
+	 * @var int
+	 */
+	private const FORM_ID = 876543;
+
+	/**
+	 * Slack webhook URL
+	 *
+	 * @var string
+	 */
+	private const SLACK_URL = 'https://hooks.slack.com/services/T000/B000/XXXX';
+
+	/**
+	 * Generic webhook URL
+	 *
+	 * @var string
+	 */
+	private const WEBHOOK_URL = 'https://alerts.example.com/hook';
+
+	/**
+	 * Original settings before test
+	 *
+	 * @var array<string, mixed>
+	 */
+	private array $original_settings = array();
+
+	/**
+	 * Captured outgoing HTTP requests
+	 *
+	 * @var array<int, array<string, mixed>>
+	 */
+	private array $requests = array();
+
+	/**
+	 * Status code returned for outgoing requests
+	 *
+	 * @var int
+	 */
+	private int $response_code = 200;
+
+	/**
+	 * Set up before class - create tables once before any tests.
+	 */
+	public static function set_up_before_class(): void {
+		parent::set_up_before_class();
+		Activator::create_tables();
+	}
+
+	/**
+	 * Set up test environment
+	 */
+	public function set_up(): void {
+		parent::set_up();
+		$this->requests      = array();
+		$this->response_code = 200;
+
+		$this->original_settings = Settings::instance()->get_all();
+		Settings::instance()->update(
+			array(
+				'logging_enabled' => true,
+				'alerts_enabled'  => false,
+				'alert_channels'  => array(
+					'slack'   => array(
+						'enabled'        => true,
+						'url'            => self::SLACK_URL,
+						'types'          => array(
+							'threshold'   => true,
+							'individual'  => false,
+							'dead_letter' => true,
+						),
+						'cooldown_hours' => 1,
+					),
+					'webhook' => array(
+						'enabled'        => true,
+						'url'            => self::WEBHOOK_URL,
+						'types'          => array(
+							'threshold'   => false,
+							'individual'  => true,
+							'dead_letter' => true,
+						),
+						'cooldown_hours' => 0,
+					),
+				),
+			)
+		);
+
+		\add_filter(
+			'pre_http_request',
+			function ( $preempt, $args, $url ) {
+				$this->requests[] = array(
+					'url'     => $url,
+					'payload' => \json_decode( $args['body'], true ),
+				);
+
+				return array(
+					'headers'  => array(),
+					'body'     => 200 === $this->response_code ? 'ok' : '<p>invalid_payload</p>',
+					'response' => array(
+						'code'    => $this->response_code,
+						'message' => '',
+					),
+					'cookies'  => array(),
+				);
+			},
+			10,
+			3
+		);
+	}
+
+	/**
+	 * Tear down test environment
+	 */
+	public function tear_down(): void {
+		\remove_all_filters( 'pre_http_request' );
+		\remove_all_filters( 'pre_wp_mail' );
+		\delete_option( AlertChannelService::STATE_OPTION );
+		Settings::instance()->update( $this->original_settings );
+
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->delete( $wpdb->prefix . 'cf7_api_logs', array( 'form_id' => self::FORM_ID ) );
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Build a test alert
+	 *
+	 * @param string $type Alert type.
+	 * @return array<string, mixed>
+	 */
+	private function build_alert( string $type ): array {
+		return array(
+			'type'    => $type,
+			'title'   => 'High error rate',
+			'message' => 'Errors <b>& more</b>',
+			'fields'  => array(
+				array(
+					'key'   => 'errors',
+					'label' => 'Errors',
+					'value' => '12',
+				),
+			),
+			'url'     => 'https://example.com/wp-admin/admin.php?page=cf7-api-logs',
+		);
+	}
+
+	/**
+	 * Test each channel formats alerts for its service
+	 */
+	public function testChannelsBuildPayloads(): void {
+		$alert = $this->build_alert( 'threshold' );
+
+		$slack = ( new SlackChannel() )->build_payload( $alert );
+		$this->assertSame( 'High error rate', $slack['text'] );
+		$this->assertSame( 'header', $slack['blocks'][0]['type'] );
+		$this->assertSame( 'Errors &lt;b&gt;&amp; more&lt;/b&gt;', $slack['blocks'][1]['text']['text'] );
+		$this->assertSame( "*Errors*\n12", $slack['blocks'][2]['fields'][0]['text'] );
+		$this->assertStringStartsWith( '<' . $alert['url'] . '|', $slack['blocks'][3]['text']['text'] );
+
+		$teams = ( new TeamsChannel() )->build_payload( $alert );
+		$card  = $teams['attachments'][0]['content'];
+		$this->assertSame( 'message', $teams['type'] );
+		$this->assertSame( 'AdaptiveCard', $card['type'] );
+		$this->assertSame( 'Errors', $card['body'][2]['facts'][0]['title'] );
+		$this->assertSame( $alert['url'], $card['actions'][0]['url'] );
+
+		$webhook = \json_decode( (string) \wp_json_encode( ( new WebhookChannel() )->build_payload( $alert ) ), true );
+		$this->assertSame( 'threshold', $webhook['type'] );
+		$this->assertSame( array( 'errors' => '12' ), $webhook['data'] );
+		$this->assertSame( \home_url(), $webhook['site']['url'] );
+	}
+
+	/**
+	 * Test alerts go to the subscribed channels outside their cooldown
+	 */
+	public function testDispatchAppliesTypesAndCooldown(): void {
+		$service = new AlertChannelService();
+
+		$this->assertTrue( $service->has_enabled_channels() );
+		$this->assertTrue( $service->wants( 'threshold' ) );
+
+		$this->assertSame( 1, $service->dispatch( $this->build_alert( 'threshold' ) ) );
+		$this->assertSame( self::SLACK_URL, $this->requests[0]['url'] );
+		$this->assertFalse( $service->wants( 'threshold' ), 'Slack is in its cooldown period' );
+		$this->assertSame( 0, $service->dispatch( $this->build_alert( 'threshold' ) ) );
+
+		$this->assertSame( 2, $service->dispatch( $this->build_alert( 'dead_letter' ) ) );
+		$this->assertSame( 1, $service->dispatch( $this->build_alert( 'dead_letter' ) ), 'The webhook has no cooldown' );
+		$this->assertSame( self::WEBHOOK_URL, $this->requests[3]['url'] );
+
+		$state = \get_option( AlertChannelService::STATE_OPTION );
+		\update_option( AlertChannelService::STATE_OPTION, array( 'slack' => array( 'threshold' => $state['slack']['threshold'] - HOUR_IN_SECONDS - 1 ) ) );
+		$this->assertTrue( $service->wants( 'threshold' ), 'The cooldown has expired' );
+	}
+
+	/**
+	 * Test failed deliveries do not start the cooldown
+	 */
+	public function testFailedDeliveryIsRetriedNextTime(): void {
+		$service             = new AlertChannelService();
+		$this->response_code = 400;
+
+		$this->assertSame( 0, $service->dispatch( $this->build_alert( 'threshold' ) ) );
+		$this->assertTrue( $service->wants( 'threshold' ) );
+
+		$result = $service->send_test( 'slack', self::SLACK_URL );
+		$this->assertWPError( $result );
+		$this->assertStringContainsString( 'HTTP 400: invalid_payload', $result->get_error_message() );
+	}
+
+	/**
+	 * Test test alerts ignore the channel settings and validate their input
+	 */
+	public function testSendTest(): void {
+		$service = new AlertChannelService();
+
+		$this->assertTrue( $service->send_test( 'teams', 'https://example.com/workflow' ) );
+		$this->assertSame( 'https://example.com/workflow', $this->requests[0]['url'] );
+		$this->assertSame( 'AdaptiveCard', $this->requests[0]['payload']['attachments'][0]['content']['type'] );
+		$this->assertFalse( \get_option( AlertChannelService::STATE_OPTION ), 'Test alerts do not start the cooldown' );
+
+		$this->assertWPError( $service->send_test( 'pager', self::WEBHOOK_URL ) );
+		$this->assertWPError( $service->send_test( 'webhook', 'not a url' ) );
+		$this->assertCount( 1, $this->requests );
+	}
+
+	/**
+	 * Test failure alerts reach the channels while email alerts are off
+	 */
+	public function testFailureAlertsWithoutEmail(): void {
+		$mails = array();
+		\add_filter(
+			'pre_wp_mail',
+			function ( $preempt, $atts ) use ( &$mails ) {
+				$mails[] = $atts;
+				return true;
+			},
+			10,
+			2
+		);
+
+		$writer = new LogWriter();
+		$log_id = $writer->start_request( self::FORM_ID, 'https://api.example.com/leads', 'POST', array( 'email' => 'jane@example.com' ) );
+		$writer->complete_request(
+			$log_id,
+			array(
+				'response' => array( 'code' => 500 ),
+				'headers'  => array(),
+				'body'     => '{}',
+			)
+		);
+
+		EmailAlertService::instance()->maybe_send_individual_alert( $log_id, self::FORM_ID );
+		EmailAlertService::instance()->maybe_send_individual_alert( $log_id, self::FORM_ID );
+
+		$this->assertCount( 1, $this->requests, 'Each log entry is alerted once' );
+		$this->assertSame( self::WEBHOOK_URL, $this->requests[0]['url'] );
+		$this->assertSame( 'individual', $this->requests[0]['payload']['type'] );
+		$this->assertSame( '500', $this->requests[0]['payload']['data']['response_code'] );
+		$this->assertSame( (string) $log_id, $this->requests[0]['payload']['data']['log_id'] );
+
+		EmailAlertService::instance()->maybe_send_dead_letter_alert( $log_id, self::FORM_ID );
+
+		$this->assertCount( 3, $this->requests );
+		$this->assertSame( 'dead_letter', $this->requests[2]['payload']['type'] );
+		$this->assertSame( array(), $mails );
+	}
+}
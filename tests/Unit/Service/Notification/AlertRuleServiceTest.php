@@ -0,0 +1,349 @@
+<?php
+/**
+ * Tests for AlertRuleService
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Service\Notification
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Service\Notification;
+
+use SilverAssist\ContactFormToAPI\Config\Settings;
+use SilverAssist\ContactFormToAPI\Controller\ContactForm\SubmissionController;
+use SilverAssist\ContactFormToAPI\Core\Activator;
+use SilverAssist\ContactFormToAPI\Service\Logging\LogWriter;
+use SilverAssist\ContactFormToAPI\Service\Notification\AlertChannelService;
+use SilverAssist\ContactFormToAPI\Service\Notification\AlertRuleService;
+use SilverAssist\ContactFormToAPI\Service\Notification\EmailAlertService;
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+
+/**
+ * AlertRuleService test case.
+ *
+ * @group unit
+ * @group service
+ * @group notification
+ * @covers \SilverAssist\ContactFormToAPI\Service\Notification\AlertRuleService
+ */
+class AlertRuleServiceTest extends TestCase {
+
+	/**
+	 * Form ID of the test logs
+	 *
+	 * @var int
+	 */
+	private const FORM_ID = 765432;
+
+	/**
+	 * Endpoint of the test logs
+	 *
+	 * @var string
+	 */
+	private const ENDPOINT = 'https://rules.example.com/leads';
+
+	/**
+	 * Original settings before test
+	 *
+	 * @var array<string, mixed>
+	 */
+	private array $original_settings = array();
+
+	/**
+	 * Form IDs whose logs are deleted after the test
+	 *
+	 * @var array<int, int>
+	 */
+	private array $form_ids = array( self::FORM_ID );
+
+	/**
+	 * Set up before class - create tables once before any tests.
+	 */
+	public static function set_up_before_class(): void {
+		parent::set_up_before_class();
+		Activator::create_tables();
+	}
+
+	/**
+	 * Set up test environment
+	 */
+	public function set_up(): void {
+		parent::set_up();
+
+		$this->original_settings = Settings::instance()->get_all();
+		Settings::instance()->update( array( 'logging_enabled' => true ) );
+	}
+
+	/**
+	 * Tear down test environment
+	 */
+	public function tear_down(): void {
+		\remove_all_filters( 'pre_http_request' );
+		\remove_all_filters( 'pre_wp_mail' );
+		\remove_all_filters( 'wpcf7_pre_construct_contact_form_properties' );
+		\delete_option( AlertRuleService::STATE_OPTION );
+		\delete_option( AlertChannelService::STATE_OPTION );
+		Settings::instance()->update( $this->original_settings );
+
+		global $wpdb;
+		foreach ( $this->form_ids as $form_id ) {
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$wpdb->delete( $wpdb->prefix . 'cf7_api_logs', array( 'form_id' => $form_id ) );
+		}
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Log a completed delivery
+	 *
+	 * @param int    $form_id  Form ID.
+	 * @param string $endpoint Endpoint URL.
+	 * @param int    $code     HTTP status code.
+	 * @param float  $seconds  Execution time in seconds.
+	 * @return void
+	 */
+	private function log_delivery( int $form_id, string $endpoint, int $code, float $seconds = 0.1 ): void {
+		$writer = new LogWriter();
+		$log_id = $writer->start_request( $form_id, $endpoint, 'POST', array( 'email' => 'jane@example.com' ) );
+		$writer->complete_request(
+			$log_id,
+			array(
+				'response' => array( 'code' => $code ),
+				'headers'  => array(),
+				'body'     => '{}',
+			)
+		);
+
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->update( $wpdb->prefix . 'cf7_api_logs', array( 'execution_time' => $seconds ), array( 'id' => $log_id ) );
+	}
+
+	/**
+	 * Test rules are validated and clamped
+	 */
+	public function testSanitize(): void {
+		$rules = ( new AlertRuleService() )->sanitize(
+			array(
+				array(
+					'type'      => 'error_rate',
+					'endpoint'  => ' ' . self::ENDPOINT . ' ',
+					'threshold' => '250',
+					'window'    => '180',
+				),
+				array(
+					'type'      => 'p95_latency',
+					'threshold' => '-5',
+					'window'    => '45',
+				),
+				array(
+					'type'      => 'no_success',
+					'threshold' => '12',
+					'window'    => '1440',
+				),
+				array( 'type' => 'uptime' ),
+				'not a rule',
+			)
+		);
+
+		$this->assertCount( 3, $rules );
+		$this->assertSame(
+			array(
+				'type'      => 'error_rate',
+				'endpoint'  => self::ENDPOINT,
+				'threshold' => 100.0,
+				'window'    => 180,
+			),
+			$rules[0]
+		);
+		$this->assertSame( 1, $rules[1]['threshold'] );
+		$this->assertSame( 60, $rules[1]['window'], 'Unknown windows fall back to one hour' );
+		$this->assertSame( 0, $rules[2]['threshold'] );
+
+		$this->assertCount( AlertRuleService::MAX_RULES, ( new AlertRuleService() )->sanitize( \array_fill( 0, 20, array( 'type' => 'error_count' ) ) ) );
+		$this->assertSame( array(), ( new AlertRuleService() )->sanitize( 'error_count' ) );
+	}
+
+	/**
+	 * Test each rule type against the logged deliveries
+	 */
+	public function testEvaluate(): void {
+		$service = new AlertRuleService();
+
+		$this->log_delivery( self::FORM_ID, self::ENDPOINT, 200, 0.1 );
+		$this->log_delivery( self::FORM_ID, self::ENDPOINT, 500, 0.2 );
+		$this->log_delivery( self::FORM_ID, self::ENDPOINT . '?api_key=abc', 500, 0.3 );
+		$this->log_delivery( self::FORM_ID, self::ENDPOINT, 503, 2.0 );
+		$this->log_delivery( self::FORM_ID, 'https://rules.example.com/backup', 500, 0.1 );
+
+		$rule = array(
+			'type'      => 'error_count',
+			'endpoint'  => self::ENDPOINT,
+			'threshold' => 3,
+			'window'    => 60,
+		);
+		$this->assertSame( '3 errors', $service->evaluate( self::FORM_ID, $rule ), 'Logged URLs with a query string count for the endpoint' );
+		$this->assertNull( $service->evaluate( self::FORM_ID, array( 'threshold' => 4 ) + $rule ) );
+		$this->assertSame( '4 errors', $service->evaluate( self::FORM_ID, array( 'endpoint' => '' ) + $rule ) );
+		$this->assertNull( $service->evaluate( self::FORM_ID + 1, $rule ) );
+
+		$rule = array(
+			'type'      => 'error_rate',
+			'threshold' => 75.0,
+		) + $rule;
+		$this->assertSame( '75.0% (3 of 4 deliveries)', $service->evaluate( self::FORM_ID, $rule ) );
+		$this->assertNull( $service->evaluate( self::FORM_ID, array( 'threshold' => 80.0 ) + $rule ) );
+
+		$rule = array(
+			'type'      => 'p95_latency',
+			'threshold' => 1500,
+		) + $rule;
+		$this->assertSame( '2,000 ms', $service->evaluate( self::FORM_ID, $rule ) );
+
+		$rule = array(
+			'type'      => 'no_success',
+			'threshold' => 0,
+		) + $rule;
+		$this->assertNull( $service->evaluate( self::FORM_ID, $rule ) );
+		$this->assertSame( 'No successful delivery yet', $service->evaluate( self::FORM_ID, array( 'endpoint' => 'https://rules.example.com/backup' ) + $rule ) );
+		$this->assertNull( $service->evaluate( self::FORM_ID, array( 'endpoint' => 'https://rules.example.com/unused' ) + $rule ), 'Windows without deliveries pass' );
+	}
+
+	/**
+	 * Test rule descriptions
+	 */
+	public function testDescribe(): void {
+		$this->assertSame(
+			'Error rate of 20.0% or more in 1 hour',
+			AlertRuleService::describe(
+				array(
+					'type'      => 'error_rate',
+					'threshold' => 20.0,
+					'window'    => 60,
+				)
+			)
+		);
+		$this->assertSame(
+			'No successful delivery in 6 hours',
+			AlertRuleService::describe(
+				array(
+					'type'      => 'no_success',
+					'threshold' => 0,
+					'window'    => 360,
+				)
+			)
+		);
+	}
+
+	/**
+	 * Test the alert cron sends rule alerts once per cooldown and forgets recovered rules
+	 */
+	public function testCheckAndAlertSendsRuleAlerts(): void {
+		if ( ! \class_exists( 'WPCF7_ContactForm' ) ) {
+			$this->markTestSkipped( 'Contact Form 7 is not available.' );
+		}
+
+		\add_filter( 'wpcf7_pre_construct_contact_form_properties', array( SubmissionController::instance(), 'add_form_properties' ) );
+
+		$form_id          = $this->factory->post->create(
+			array(
+				'post_type'   => 'wpcf7_contact_form',
+				'post_title'  => 'Rules Form',
+				'post_status' => 'publish',
+			)
+		);
+		$this->form_ids[] = $form_id;
+
+		\update_post_meta( $form_id, '_form', '[email* your-email]' );
+		\update_post_meta(
+			$form_id,
+			'_alert_rules',
+			array(
+				array(
+					'type'      => 'error_count',
+					'endpoint'  => '',
+					'threshold' => 2,
+					'window'    => 60,
+				),
+			)
+		);
+
+		Settings::instance()->update(
+			array(
+				'alerts_enabled'       => true,
+				'alert_recipients'     => 'ops@example.com',
+				'alert_cooldown_hours' => 4,
+				'alert_types'          => array(
+					'threshold'  => false,
+					'individual' => false,
+				),
+				'alert_channels'       => array(
+					'webhook' => array(
+						'enabled'        => true,
+						'url'            => 'https://alerts.example.com/hook',
+						'types'          => array(
+							'threshold'   => false,
+							'individual'  => false,
+							'dead_letter' => false,
+							'rule'        => true,
+						),
+						'cooldown_hours' => 0,
+					),
+				),
+			)
+		);
+
+		$requests = array();
+		\add_filter(
+			'pre_http_request',
+			function ( $preempt, $args ) use ( &$requests ) {
+				$requests[] = \json_decode( $args['body'], true );
+
+				return array(
+					'headers'  => array(),
+					'body'     => 'ok',
+					'response' => array(
+						'code'    => 200,
+						'message' => 'OK',
+					),
+					'cookies'  => array(),
+				);
+			},
+			10,
+			2
+		);
+
+		$mails = array();
+		\add_filter(
+			'pre_wp_mail',
+			function ( $preempt, $atts ) use ( &$mails ) {
+				$mails[] = $atts;
+				return true;
+			},
+			10,
+			2
+		);
+
+		$this->log_delivery( $form_id, self::ENDPOINT, 500 );
+		$this->log_delivery( $form_id, self::ENDPOINT, 502 );
+
+		EmailAlertService::instance()->check_and_alert();
+
+		$this->assertCount( 1, $requests );
+		$this->assertSame( 'rule', $requests[0]['type'] );
+		$this->assertSame( '2 errors', $requests[0]['data']['value'] );
+		$this->assertSame( '2 or more errors in 1 hour', $requests[0]['data']['rule'] );
+		$this->assertCount( 1, $mails );
+		$this->assertStringContainsString( 'Rules Form', $mails[0]['subject'] );
+
+		EmailAlertService::instance()->check_and_alert();
+		$this->assertCount( 1, $requests, 'A failing rule does not alert again within the cooldown' );
+
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->delete( $wpdb->prefix . 'cf7_api_logs', array( 'form_id' => $form_id ) );
+
+		$this->assertSame( array(), ( new AlertRuleService() )->get_due_alerts() );
+		$this->assertSame( array(), \get_option( AlertRuleService::STATE_OPTION ), 'Recovered rules are forgotten' );
+	}
+}
@@ -0,0 +1,133 @@
+<?php
+/**
+ * Tests for ConditionEvaluator
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Utils
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Utils;
+
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+use SilverAssist\ContactFormToAPI\Utils\ConditionEvaluator;
+
+/**
+ * ConditionEvaluator test case.
+ *
+ * @group unit
+ * @group utils
+ * @covers \SilverAssist\ContactFormToAPI\Utils\ConditionEvaluator
+ */
+class ConditionEvaluatorTest extends TestCase {
+
+	/**
+	 * Test an empty condition set always passes
+	 */
+	public function testEmptyConditionsPass(): void {
+		$this->assertNull( ConditionEvaluator::get_skip_reason( array(), array( 'country' => 'US' ) ) );
+		$this->assertNull( ConditionEvaluator::get_skip_reason( array( 'rules' => array() ), array() ) );
+	}
+
+	/**
+	 * Test "all" reports the first failing rule
+	 */
+	public function testMatchAllReportsFailingRule(): void {
+		$conditions = array(
+			'match' => 'all',
+			'rules' => array(
+				array(
+					'field'    => 'country',
+					'operator' => 'equals',
+					'value'    => 'US',
+				),
+				array(
+					'field'    => 'consent',
+					'operator' => 'not_empty',
+					'value'    => '',
+				),
+			),
+		);
+
+		$this->assertNull(
+			ConditionEvaluator::get_skip_reason(
+				$conditions,
+				array(
+					'country' => 'us',
+					'consent' => array( 'I agree' ),
+				)
+			)
+		);
+
+		$reason = ConditionEvaluator::get_skip_reason(
+			$conditions,
+			array(
+				'country' => 'US',
+				'consent' => array(),
+			)
+		);
+
+		$this->assertStringStartsWith( 'consent ', $reason );
+	}
+
+	/**
+	 * Test "any" passes when one rule matches and lists all rules otherwise
+	 */
+	public function testMatchAny(): void {
+		$conditions = array(
+			'match' => 'any',
+			'rules' => array(
+				array(
+					'field'    => 'country',
+					'operator' => 'in',
+					'value'    => 'US, CA',
+				),
+				array(
+					'field'    => 'budget',
+					'operator' => 'greater_than',
+					'value'    => '1000',
+				),
+			),
+		);
+
+		$this->assertNull(
+			ConditionEvaluator::get_skip_reason(
+				$conditions,
+				array(
+					'country' => 'MX',
+					'budget'  => '5000',
+				)
+			)
+		);
+
+		$reason = ConditionEvaluator::get_skip_reason(
+			$conditions,
+			array(
+				'country' => 'MX',
+				'budget'  => '500',
+			)
+		);
+
+		$this->assertStringContainsString( 'country', $reason );
+		$this->assertStringContainsString( 'budget', $reason );
+	}
+
+	/**
+	 * Test operators against single and multi-value fields
+	 */
+	public function testOperators(): void {
+		$rule = fn( string $operator, string $value = '' ) => array(
+			'field'    => 'field',
+			'operator' => $operator,
+			'value'    => $value,
+		);
+
+		$this->assertTrue( ConditionEvaluator::evaluate_rule( $rule( 'equals', 'B' ), array( 'a', 'b' ) ) );
+		$this->assertFalse( ConditionEvaluator::evaluate_rule( $rule( 'not_equals', 'B' ), array( 'a', 'b' ) ) );
+		$this->assertTrue( ConditionEvaluator::evaluate_rule( $rule( 'contains', 'example' ), 'jane@example.com' ) );
+		$this->assertTrue( ConditionEvaluator::evaluate_rule( $rule( 'not_contains', 'test' ), 'jane@example.com' ) );
+		$this->assertTrue( ConditionEvaluator::evaluate_rule( $rule( 'is_empty' ), array( '' ) ) );
+		$this->assertFalse( ConditionEvaluator::evaluate_rule( $rule( 'not_empty' ), '  ' ) );
+		$this->assertTrue( ConditionEvaluator::evaluate_rule( $rule( 'less_than', '10' ), '9.5' ) );
+		$this->assertFalse( ConditionEvaluator::evaluate_rule( $rule( 'greater_than', '10' ), 'abc' ) );
+	}
+}
@@ -0,0 +1,113 @@
+<?php
+/**
+ * Tests for FieldTransformer
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Utils
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Utils;
+
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+use SilverAssist\ContactFormToAPI\Utils\FieldTransformer;
+
+/**
+ * FieldTransformer test case.
+ *
+ * @group unit
+ * @group utils
+ * @covers \SilverAssist\ContactFormToAPI\Utils\FieldTransformer
+ */
+class FieldTransformerTest extends TestCase {
+
+	/**
+	 * Test transforms run in order
+	 */
+	public function testApplyRunsTransformsInOrder(): void {
+		$transforms = array(
+			array( 'type' => 'trim' ),
+			array( 'type' => 'lowercase' ),
+			array(
+				'type' => 'lookup',
+				'map'  => array( 'ca' => 'California' ),
+			),
+		);
+
+		$this->assertSame( 'California', FieldTransformer::apply( '  CA ', $transforms ) );
+		$this->assertSame( 'ny', FieldTransformer::apply( 'NY', $transforms ) );
+		$this->assertSame( 'NY', FieldTransformer::apply( 'NY', array( array( 'type' => 'unknown' ) ) ) );
+	}
+
+	/**
+	 * Test date conversion, default values and concatenation
+	 */
+	public function testDateDefaultAndConcat(): void {
+		$date = array(
+			'type' => 'date',
+			'from' => 'd/m/Y',
+			'to'   => 'Y-m-d',
+		);
+		$this->assertSame( '2024-03-31', FieldTransformer::apply( '31/03/2024', array( $date ) ) );
+		$this->assertSame( 'not a date', FieldTransformer::apply( 'not a date', array( $date ) ) );
+		$this->assertSame( '2024-03-31', FieldTransformer::apply( 'March 31, 2024', array( array( 'from' => '' ) + $date ) ) );
+
+		$default = array(
+			'type'  => 'default',
+			'value' => 'N/A',
+		);
+		$this->assertSame( 'N/A', FieldTransformer::apply( ' ', array( $default ) ) );
+		$this->assertSame( 'x', FieldTransformer::apply( 'x', array( $default ) ) );
+
+		$concat = array(
+			'type'      => 'concat',
+			'fields'    => array( 'last-name', 'missing' ),
+			'separator' => ' ',
+		);
+		$this->assertSame( 'Jane Doe', FieldTransformer::apply( 'Jane', array( $concat ), array( 'last-name' => 'Doe' ) ) );
+	}
+
+	/**
+	 * Test phone numbers are normalized to E.164
+	 */
+	public function testToE164(): void {
+		$this->assertSame( '+15550109999', FieldTransformer::to_e164( '(555) 010-9999', '1' ) );
+		$this->assertSame( '+15550109999', FieldTransformer::to_e164( '1 555 010 9999', '1' ) );
+		$this->assertSame( '+447911123456', FieldTransformer::to_e164( '07911 123456', '+44' ) );
+		$this->assertSame( '+447911123456', FieldTransformer::to_e164( '+44 7911 123456', '1' ) );
+		$this->assertSame( '+447911123456', FieldTransformer::to_e164( '0044 7911 123456' ) );
+		$this->assertSame( 'n/a', FieldTransformer::to_e164( 'n/a', '1' ) );
+	}
+
+	/**
+	 * Test dotted keys build nested payloads
+	 */
+	public function testSetNested(): void {
+		$fields = FieldTransformer::set_nested( array(), 'contact.email', 'jane@example.com' );
+		$fields = FieldTransformer::set_nested( $fields, 'contact.name.first', 'Jane' );
+		$fields = FieldTransformer::set_nested( $fields, 'source', 'web' );
+
+		$this->assertSame(
+			array(
+				'contact' => array(
+					'email' => 'jane@example.com',
+					'name'  => array( 'first' => 'Jane' ),
+				),
+				'source'  => 'web',
+			),
+			$fields
+		);
+	}
+
+	/**
+	 * Test the panel's "from = to" lookup lines
+	 */
+	public function testParseLookupLines(): void {
+		$this->assertSame(
+			array(
+				'CA' => 'California',
+				'NY' => '',
+			),
+			FieldTransformer::parse_lookup_lines( "CA = California\ninvalid\nNY =\n = empty" )
+		);
+	}
+}
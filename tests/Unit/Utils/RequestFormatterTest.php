@@ -0,0 +1,102 @@
+<?php
+/**
+ * Tests for RequestFormatter
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Utils
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Utils;
+
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+use SilverAssist\ContactFormToAPI\Utils\RequestFormatter;
+
+/**
+ * RequestFormatter test case.
+ *
+ * @group unit
+ * @group utils
+ * @covers \SilverAssist\ContactFormToAPI\Utils\RequestFormatter
+ */
+class RequestFormatterTest extends TestCase {
+
+	/**
+	 * Test JSON requests keep their body and redact sensitive fields
+	 */
+	public function testToCurlJson(): void {
+		$command = RequestFormatter::to_curl(
+			array(
+				'method'          => 'post',
+				'endpoint'        => 'https://api.example.com/leads',
+				'request_headers' => '{"Content-Type":"application\/json","Authorization":"***REDACTED***"}',
+				'request_data'    => '{"name":"O\'Brien","password":"secret"}',
+			)
+		);
+
+		$this->assertStringStartsWith( "curl \\\n  -X POST \\\n  'https://api.example.com/leads'", $command );
+		$this->assertStringContainsString( "-H 'Content-Type: application/json'", $command );
+		$this->assertStringContainsString( "--data-raw '{\"name\":\"O'\\''Brien\",\"password\":\"***REDACTED***\"}'", $command );
+		$this->assertStringNotContainsString( 'secret', $command );
+	}
+
+	/**
+	 * Test form parameters are form-encoded, and left out of GET requests
+	 */
+	public function testGetRequestFormParams(): void {
+		$log = array(
+			'method'          => 'POST',
+			'endpoint'        => 'https://api.example.com/leads',
+			'request_headers' => '',
+			'request_data'    => '{"name":"Jane Doe","email":"jane@example.com"}',
+		);
+
+		$request = RequestFormatter::get_request( $log );
+		$this->assertSame( 'name=Jane+Doe&email=jane%40example.com', $request['body'] );
+		$this->assertSame( 'application/x-www-form-urlencoded', $request['headers']['Content-Type'] );
+
+		$request = RequestFormatter::get_request( array( 'method' => 'GET' ) + $log );
+		$this->assertSame( '', $request['body'] );
+		$this->assertSame( array(), $request['headers'] );
+	}
+
+	/**
+	 * Test HTTPie and raw HTTP output
+	 */
+	public function testOtherFormats(): void {
+		$log = array(
+			'method'          => 'PUT',
+			'endpoint'        => 'https://api.example.com:8443/leads/7?source=web',
+			'request_headers' => '{"Content-Type":"application\/json","X-Api-Key":"abc123"}',
+			'request_data'    => '{"name":"Jane"}',
+		);
+
+		$this->assertSame(
+			"http \\\n  --raw '{\"name\":\"Jane\"}' \\\n  PUT 'https://api.example.com:8443/leads/7?source=web' \\\n  'Content-Type:application/json' \\\n  'X-Api-Key:***REDACTED***'",
+			RequestFormatter::format( $log, 'httpie' )
+		);
+		$this->assertSame(
+			"PUT /leads/7?source=web HTTP/1.1\nHost: api.example.com:8443\nContent-Type: application/json\nX-Api-Key: ***REDACTED***\nContent-Length: 15\n\n{\"name\":\"Jane\"}",
+			RequestFormatter::format( $log, 'http' )
+		);
+		$this->assertSame( '', RequestFormatter::format( $log, 'wget' ) );
+	}
+
+	/**
+	 * Test unmasked requests keep body fields and logged headers
+	 */
+	public function testUnmasked(): void {
+		$request = RequestFormatter::get_request(
+			array(
+				'method'          => 'POST',
+				'endpoint'        => 'https://api.example.com/leads',
+				'request_headers' => '{"Content-Type":"application\/json","Authorization":"***REDACTED***","X-Api-Key":"abc123"}',
+				'request_data'    => '{"password":"secret"}',
+			),
+			false
+		);
+
+		$this->assertSame( '{"password":"secret"}', $request['body'] );
+		$this->assertSame( 'abc123', $request['headers']['X-Api-Key'] );
+		$this->assertSame( '***REDACTED***', $request['headers']['Authorization'] );
+	}
+}
@@ -0,0 +1,108 @@
+<?php
+/**
+ * Tests for ResponseEvaluator
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Utils
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Utils;
+
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+use SilverAssist\ContactFormToAPI\Utils\ResponseEvaluator;
+
+/**
+ * ResponseEvaluator test case.
+ *
+ * @group unit
+ * @group utils
+ * @covers \SilverAssist\ContactFormToAPI\Utils\ResponseEvaluator
+ */
+class ResponseEvaluatorTest extends TestCase {
+
+	/**
+	 * Sample JSON response
+	 *
+	 * @var string
+	 */
+	private const JSON_BODY = '{"ok":false,"error":"Duplicate lead","data":{"id":4711,"tags":["a","b"],"lead-ref":"L-1"}}';
+
+	/**
+	 * Sample XML response
+	 *
+	 * @var string
+	 */
+	private const XML_BODY = '<response><status>accepted</status><lead id="99">Jane</lead></response>';
+
+	/**
+	 * Test JSONPath lookups
+	 */
+	public function testQueryJson(): void {
+		$this->assertSame( 'false', ResponseEvaluator::query( self::JSON_BODY, '$.ok' ) );
+		$this->assertSame( '4711', ResponseEvaluator::query( self::JSON_BODY, '$.data.id' ) );
+		$this->assertSame( 'b', ResponseEvaluator::query( self::JSON_BODY, '$.data.tags[1]' ) );
+		$this->assertSame( 'L-1', ResponseEvaluator::query( self::JSON_BODY, "$.data['lead-ref']" ) );
+		$this->assertSame( '["a","b"]', ResponseEvaluator::query( self::JSON_BODY, '$.data.tags' ) );
+		$this->assertNull( ResponseEvaluator::query( self::JSON_BODY, '$.data.missing' ) );
+		$this->assertNull( ResponseEvaluator::query( 'not json', '$.ok' ) );
+	}
+
+	/**
+	 * Test XPath lookups
+	 */
+	public function testQueryXml(): void {
+		$this->assertSame( 'accepted', ResponseEvaluator::query( self::XML_BODY, '/response/status' ) );
+		$this->assertSame( '99', ResponseEvaluator::query( self::XML_BODY, '/response/lead/@id' ) );
+		$this->assertNull( ResponseEvaluator::query( self::XML_BODY, '/response/missing' ) );
+		$this->assertNull( ResponseEvaluator::query( self::XML_BODY, '/response[' ) );
+		$this->assertNull( ResponseEvaluator::query( self::JSON_BODY, '/response/status' ) );
+	}
+
+	/**
+	 * Test the success rule against expected and truthy values
+	 */
+	public function testFailureReason(): void {
+		$this->assertNull( ResponseEvaluator::get_failure_reason( array(), self::JSON_BODY ) );
+
+		$reason = ResponseEvaluator::get_failure_reason(
+			array(
+				'success_path'  => '$.ok',
+				'success_value' => 'true',
+			),
+			self::JSON_BODY
+		);
+		$this->assertStringContainsString( '$.ok', $reason );
+		$this->assertStringContainsString( 'false', $reason );
+
+		$this->assertNull(
+			ResponseEvaluator::get_failure_reason(
+				array(
+					'success_path'  => '/response/status',
+					'success_value' => 'Accepted',
+				),
+				self::XML_BODY
+			)
+		);
+
+		$this->assertNull( ResponseEvaluator::get_failure_reason( array( 'success_path' => '$.data.id' ), self::JSON_BODY ) );
+		$this->assertNotNull( ResponseEvaluator::get_failure_reason( array( 'success_path' => '$.ok' ), self::JSON_BODY ) );
+	}
+
+	/**
+	 * Test field extraction and the panel's "name = path" format
+	 */
+	public function testExtract(): void {
+		$rules = array(
+			'extract' => ResponseEvaluator::parse_extract_lines( "lead_id = \$.data.id\n\ninvalid line\nError = \$.error\nmissing = \$.nope" ),
+		);
+
+		$this->assertCount( 3, $rules['extract'] );
+		$this->assertSame(
+			array(
+				'lead_id' => '4711',
+				'error'   => 'Duplicate lead',
+			),
+			ResponseEvaluator::extract( $rules, self::JSON_BODY )
+		);
+	}
+}
@@ -0,0 +1,60 @@
+<?php
+/**
+ * Tests for SearchQuery
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Utils
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Utils;
+
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+use SilverAssist\ContactFormToAPI\Utils\SearchQuery;
+
+/**
+ * SearchQuery test case.
+ *
+ * @group unit
+ * @group utils
+ * @covers \SilverAssist\ContactFormToAPI\Utils\SearchQuery
+ */
+class SearchQueryTest extends TestCase {
+
+	/**
+	 * Test filters, quoted values and free text are separated
+	 */
+	public function testParse(): void {
+		$parsed = SearchQuery::parse( 'code:5xx Email:jane@example.com error:"timed out" https://api.example.com time:soon leads', array( 'email' ) );
+
+		$this->assertSame(
+			array(
+				array(
+					'key'   => 'code',
+					'value' => '5xx',
+				),
+				array(
+					'key'   => 'email',
+					'value' => 'jane@example.com',
+				),
+				array(
+					'key'   => 'error',
+					'value' => 'timed out',
+				),
+			),
+			$parsed['filters']
+		);
+		$this->assertSame( 'https://api.example.com time:soon leads', $parsed['text'] );
+	}
+
+	/**
+	 * Test numeric ranges
+	 */
+	public function testParseRange(): void {
+		$this->assertSame( array( array( '>=', 500 ), array( '<=', 599 ) ), SearchQuery::parse_range( '5XX' ) );
+		$this->assertSame( array( array( '>=', 400 ), array( '<=', 499 ) ), SearchQuery::parse_range( '400-499' ) );
+		$this->assertSame( array( array( '>', 2000 ) ), SearchQuery::parse_range( '>2000' ) );
+		$this->assertSame( array( array( '<', 100 ) ), SearchQuery::parse_range( '&lt;100' ) );
+		$this->assertSame( array( array( '=', 404 ) ), SearchQuery::parse_range( '404' ) );
+		$this->assertNull( SearchQuery::parse_range( '>=abc' ) );
+	}
+}
@@ -0,0 +1,186 @@
+<?php
+/**
+ * Tests for TemplateRenderer
+ *
+ * @since   2.5.0
+ * @package SilverAssist\ContactFormToAPI\Tests\Unit\Utils
+ */
+
+namespace SilverAssist\ContactFormToAPI\Tests\Unit\Utils;
+
+use SilverAssist\ContactFormToAPI\Tests\Helpers\TestCase;
+use SilverAssist\ContactFormToAPI\Utils\TemplateRenderer;
+
+/**
+ * TemplateRenderer test case.
+ *
+ * @group unit
+ * @group utils
+ * @covers \SilverAssist\ContactFormToAPI\Utils\TemplateRenderer
+ */
+class TemplateRendererTest extends TestCase {
+
+	/**
+	 * Test string values are JSON-escaped inside string literals
+	 */
+	public function testJsonEscapesStringValues(): void {
+		$output = TemplateRenderer::render(
+			'{"message":"[your-message]","greeting":"Hello [your-name]!"}',
+			'json',
+			array(
+				'your-message' => "Line \"one\"\nC:\\path",
+				'your-name'    => 'O"Brien',
+			)
+		);
+
+		$decoded = \json_decode( $output, true );
+
+		$this->assertSame( JSON_ERROR_NONE, \json_last_error() );
+		$this->assertSame( "Line \"one\"\nC:\\path", $decoded['message'] );
+		$this->assertSame( 'Hello O"Brien!', $decoded['greeting'] );
+	}
+
+	/**
+	 * Test typed placeholders emit native JSON values
+	 */
+	public function testJsonTypedPlaceholders(): void {
+		$output = TemplateRenderer::render(
+			'{"age":[age:int],"price":"[price:float]","subscribe":[subscribe:bool],"tags":[tags:array],"zip":[zip:string]}',
+			'json',
+			array(
+				'age'       => '42',
+				'price'     => '9.5',
+				'subscribe' => 'on',
+				'tags'      => array( 'news', 'offers' ),
+				'zip'       => '01234',
+			)
+		);
+
+		$this->assertSame(
+			array(
+				'age'       => 42,
+				'price'     => 9.5,
+				'subscribe' => true,
+				'tags'      => array( 'news', 'offers' ),
+				'zip'       => '01234',
+			),
+			\json_decode( $output, true )
+		);
+	}
+
+	/**
+	 * Test empty typed values stay valid JSON
+	 */
+	public function testJsonTypedPlaceholdersWithEmptyValues(): void {
+		$output = TemplateRenderer::render(
+			'{"age":[age:int],"subscribe":[subscribe:bool],"tags":[tags:array]}',
+			'json',
+			array(
+				'age'       => '',
+				'subscribe' => '',
+				'tags'      => '',
+			)
+		);
+
+		$this->assertSame(
+			array(
+				'age'       => null,
+				'subscribe' => false,
+				'tags'      => array(),
+			),
+			\json_decode( $output, true )
+		);
+	}
+
+	/**
+	 * Test untyped placeholders outside strings keep numbers and quote text
+	 */
+	public function testJsonUntypedPlaceholderOutsideString(): void {
+		$output = TemplateRenderer::render(
+			'{"count":[count],"name":[your-name]}',
+			'json',
+			array(
+				'count'     => '3',
+				'your-name' => 'Jane',
+			)
+		);
+
+		$this->assertSame( '{"count":3,"name":"Jane"}', $output );
+	}
+
+	/**
+	 * Test substituted values are not scanned for placeholders again
+	 */
+	public function testJsonDoesNotReplaceInsideSubstitutedValues(): void {
+		$output = TemplateRenderer::render(
+			'{"a":"[first]","b":"[second]"}',
+			'json',
+			array(
+				'first'  => '[second]',
+				'second' => 'value',
+			)
+		);
+
+		$this->assertSame( '{"a":"[second]","b":"value"}', $output );
+	}
+
+	/**
+	 * Test unknown placeholders and JSON arrays are left untouched
+	 */
+	public function testJsonLeavesUnknownPlaceholders(): void {
+		$output = TemplateRenderer::render(
+			'{"list":[1,2],"other":"[unknown]","name":"[your-name]"}',
+			'json',
+			array( 'your-name' => 'Jane' )
+		);
+
+		$this->assertSame( '{"list":[1,2],"other":"[unknown]","name":"Jane"}', $output );
+	}
+
+	/**
+	 * Test checkbox options with spaces are filled when checked and cleared when unchecked
+	 */
+	public function testCheckboxOptionsWithSpaces(): void {
+		$values = array(
+			'services-Option A'   => 'Option A',
+			'services-Option B'   => '',
+			'services-Web Design' => 'Web Design',
+		);
+
+		$json = TemplateRenderer::render(
+			'{"a":"[services-Option A]","b":"[services-Option B]","list":[ 1, 2 ],"c":[services-Web Design]}',
+			'json',
+			$values
+		);
+
+		$this->assertSame( '{"a":"Option A","b":"","list":[ 1, 2 ],"c":"Web Design"}', $json );
+
+		$xml = TemplateRenderer::render(
+			'<lead><a>[services-Option A]</a><b>[services-Option B]</b></lead>',
+			'xml',
+			$values
+		);
+
+		$this->assertSame( '<lead><a>Option A</a><b></b></lead>', $xml );
+	}
+
+	/**
+	 * Test XML values are entity-escaped
+	 */
+	public function testXmlEscapesEntities(): void {
+		$output = TemplateRenderer::render(
+			'<lead><company>[company]</company><optin>[optin:bool]</optin><age>[age:int]</age></lead>',
+			'xml',
+			array(
+				'company' => 'Smith & <Sons> "Ltd"',
+				'optin'   => 'yes',
+				'age'     => '30',
+			)
+		);
+
+		$this->assertSame(
+			'<lead><company>Smith &amp; &lt;Sons&gt; &quot;Ltd&quot;</company><optin>true</optin><age>30</age></lead>',
+			$output
+		);
+	}
+}